@@ -0,0 +1,103 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import morgan from 'morgan';
+import rateLimit from 'express-rate-limit';
+import process from 'process';
+
+// Import routes
+import authRoutes from './routes/auth.js';
+import invitationRoutes from './routes/invitations.js';
+import userRoutes from './routes/users.js';
+import workspaceRoutes from './routes/workspaces.js';
+import spaceRoutes from './routes/spaces.js';
+import folderRoutes from './routes/folders.js';
+import listRoutes from './routes/lists.js';
+import taskRoutes from './routes/tasks.js';
+import attachmentRoutes from './routes/attachments.js';
+import checklistRoutes from './routes/checklists.js';
+import commentRoutes from './routes/comments.js';
+import notificationRoutes from './routes/notifications.js';
+import automationRoutes from './routes/automations.js';
+import customFieldRoutes from './routes/customFields.js';
+import viewRoutes from './routes/views.js';
+import searchRoutes from './routes/search.js';
+import activityRoutes from './routes/activity.js';
+import trashRoutes from './routes/trash.js';
+import integrationRoutes from './routes/integrations.js';
+import hookRoutes from './routes/hooks.js';
+import timeRoutes from './routes/timeTracking.js';
+
+// Import middleware
+import { errorHandler } from './middleware/errorHandler.js';
+import { authMiddleware } from './middleware/auth.js';
+
+/**
+ * Build the Express application. Storage is selected separately through
+ * repositories/index.js, so the same app runs on MongoDB or in memory.
+ */
+export const createApp = () => {
+  const app = express();
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  });
+
+  // Middleware
+  app.use(helmet());
+  app.use(cors());
+  if (process.env.NODE_ENV !== 'test') {
+    app.use(morgan('combined'));
+    app.use(limiter);
+  }
+  // Keep the raw body around, inbound webhooks are signed over its exact bytes
+  const keepRawBody = (req, _res, buffer) => {
+    req.rawBody = buffer;
+  };
+  app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+  // Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/invitations', invitationRoutes);
+  app.use('/api/users', authMiddleware, userRoutes);
+  app.use('/api/workspaces', authMiddleware, workspaceRoutes);
+  app.use('/api/spaces', authMiddleware, spaceRoutes);
+  app.use('/api/folders', authMiddleware, folderRoutes);
+  app.use('/api/lists', authMiddleware, listRoutes);
+  // Uploaded files are only served to members of the task's workspace
+  app.use('/api/tasks/:taskId/attachments', authMiddleware, attachmentRoutes);
+  app.use('/api/tasks/:taskId/checklists', authMiddleware, checklistRoutes);
+  app.use('/api/tasks', authMiddleware, taskRoutes);
+  app.use('/api/comments', authMiddleware, commentRoutes);
+  app.use('/api/notifications', authMiddleware, notificationRoutes);
+  app.use('/api/automations', authMiddleware, automationRoutes);
+  app.use('/api/custom-fields', authMiddleware, customFieldRoutes);
+  app.use('/api/views', authMiddleware, viewRoutes);
+  app.use('/api/search', authMiddleware, searchRoutes);
+  app.use('/api/activity', authMiddleware, activityRoutes);
+  app.use('/api/trash', authMiddleware, trashRoutes);
+  app.use('/api/integrations', authMiddleware, integrationRoutes);
+  // Inbound webhooks authenticate with signatures instead of tokens
+  app.use('/api/hooks', hookRoutes);
+  app.use('/api/time', authMiddleware, timeRoutes);
+
+  // Placeholder routes for future features
+  app.use('/api/projects', authMiddleware, (_req, res) => {
+    res.json({ success: true, message: 'Projects endpoint - to be implemented', data: [] });
+  });
+
+  // Health check
+  app.get('/health', (_req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  });
+
+  // Error handling middleware
+  app.use(errorHandler);
+
+  return app;
+};
+
+export default createApp;
@@ -1,8 +1,8 @@
 import asyncHandler from 'express-async-handler';
-import User from '../models/User.js';
-import OTP from '../models/OTP.js';
-import Workspace from '../models/Workspace.js';
+import { db } from '../repositories/index.js';
 import generateToken from '../utils/generateToken.js';
+import { hashPassword, matchPassword } from '../utils/password.js';
+import { createOTP, verifyOTP, incrementAttempts } from '../services/otpService.js';
 import { sendOTPEmail, sendWelcomeEmail } from '../services/emailService.js';
 
 // @desc    Auth user & get token
@@ -11,7 +11,7 @@ import { sendOTPEmail, sendWelcomeEmail } from '../services/emailService.js';
 const authUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  const user = await User.findOne({ email }).populate('workspaces');
+  const user = await db.users.findOne({ email }, { populate: 'workspaces' });
 
   if (!user) {
     console.log(`Login attempt for email: ${email} - User not found.`);
@@ -26,7 +26,7 @@ const authUser = asyncHandler(async (req, res) => {
     throw new Error('Please verify your email address before logging in');
   }
 
-  const isMatch = await user.matchPassword(password);
+  const isMatch = await matchPassword(password, user.password);
   console.log(`Login attempt for email: ${email} - Password match: ${isMatch}`);
 
   if (isMatch) {
@@ -67,7 +67,7 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new Error('Password must be at least 6 characters long');
   }
 
-  const userExists = await User.findOne({ email });
+  const userExists = await db.users.findOne({ email });
 
   if (userExists) {
     if (userExists.emailVerified) {
@@ -75,15 +75,15 @@ const registerUser = asyncHandler(async (req, res) => {
       throw new Error('User already exists with this email');
     } else {
       // User exists but email not verified, allow re-registration
-      await User.findByIdAndDelete(userExists._id);
+      await db.users.deleteById(userExists._id);
     }
   }
 
   // Create user with unverified status
-  const user = await User.create({
+  const user = await db.users.create({
     name,
     email,
-    password,
+    password: await hashPassword(password),
     status: 'pending',
     emailVerified: false
   });
@@ -91,7 +91,7 @@ const registerUser = asyncHandler(async (req, res) => {
   if (user) {
     // Generate and send OTP
     try {
-      const otp = await OTP.createOTP(email, 'email_verification');
+      const otp = await createOTP(email, 'email_verification');
       const emailResult = await sendOTPEmail(email, otp, name);
 
       if (!emailResult.success) {
@@ -114,7 +114,7 @@ const registerUser = asyncHandler(async (req, res) => {
       });
     } catch (error) {
       // If OTP creation fails, delete the user and return error
-      await User.findByIdAndDelete(user._id);
+      await db.users.deleteById(user._id);
       res.status(500);
       throw new Error('Failed to send verification email. Please try again.');
     }
@@ -137,41 +137,41 @@ const verifyEmail = asyncHandler(async (req, res) => {
 
   try {
     // Verify OTP
-    await OTP.verifyOTP(email, otp, 'email_verification');
+    await verifyOTP(email, otp, 'email_verification');
 
     // Find and update user
-    const user = await User.findOne({ email });
-    if (!user) {
+    const existingUser = await db.users.findOne({ email });
+    if (!existingUser) {
       res.status(404);
       throw new Error('User not found');
     }
 
-    if (user.emailVerified) {
+    if (existingUser.emailVerified) {
       res.status(400);
       throw new Error('Email is already verified');
     }
 
-    // Update user verification status
-    user.emailVerified = true;
-    user.emailVerifiedAt = new Date();
-    user.status = 'active';
-    await user.save();
-
     // Create default workspace for the user
-    const workspace = await Workspace.create({
+    const workspace = await db.workspaces.create({
       name: `${user.name}'s Workspace`,
       description: 'Your personal workspace',
-      owner: user._id,
+      owner: existingUser._id,
       members: [{
-        user: user._id,
+        user: existingUser._id,
         role: 'admin',
         joinedAt: new Date()
       }]
     });
 
-    // Add workspace to user
-    user.workspaces.push(workspace._id);
-    await user.save();
+    // Update user verification status and add the workspace
+    const user = await db.users.updateById(existingUser._id, {
+      $set: {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        status: 'active'
+      },
+      $push: { workspaces: workspace._id }
+    });
 
     // Send welcome email
     try {
@@ -204,7 +204,7 @@ const verifyEmail = asyncHandler(async (req, res) => {
   } catch (error) {
     // Increment failed attempts
     try {
-      await OTP.incrementAttempts(email, otp, 'email_verification');
+      await incrementAttempts(email, otp, 'email_verification');
     } catch (incrementError) {
       console.error('Failed to increment OTP attempts:', incrementError);
     }
@@ -225,7 +225,7 @@ const resendOTP = asyncHandler(async (req, res) => {
     throw new Error('Please provide email address');
   }
 
-  const user = await User.findOne({ email });
+  const user = await db.users.findOne({ email });
   if (!user) {
     res.status(404);
     throw new Error('User not found');
@@ -238,7 +238,7 @@ const resendOTP = asyncHandler(async (req, res) => {
 
   try {
     // Generate new OTP
-    const otp = await OTP.createOTP(email, 'email_verification');
+    const otp = await createOTP(email, 'email_verification');
     const emailResult = await sendOTPEmail(email, otp, user.name);
 
     if (!emailResult.success) {
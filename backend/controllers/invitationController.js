@@ -1,8 +1,14 @@
 import asyncHandler from 'express-async-handler';
-import TeamInvitation from '../models/TeamInvitation.js';
-import User from '../models/User.js';
-import Workspace from '../models/Workspace.js';
+import { db } from '../repositories/index.js';
+import {
+  createInvitation,
+  findInvitationByToken,
+  markInvitationAccepted,
+  markInvitationDeclined,
+  getInvitationStats
+} from '../services/invitationService.js';
 import { sendTeamInvitationEmail } from '../services/emailService.js';
+import { notify } from '../services/notificationService.js';
 
 // @desc    Send team invitation
 // @route   POST /api/invitations/send
@@ -18,7 +24,7 @@ const sendInvitation = asyncHandler(async (req, res) => {
   }
 
   // Check if workspace exists and user has permission to invite
-  const workspace = await Workspace.findById(workspaceId);
+  const workspace = await db.workspaces.findById(workspaceId);
   if (!workspace) {
     res.status(404);
     throw new Error('Workspace not found');
@@ -47,7 +53,7 @@ const sendInvitation = asyncHandler(async (req, res) => {
   }
 
   // Check if user is already a member of the workspace
-  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  const existingUser = await db.users.findOne({ email: email.toLowerCase() });
   if (existingUser) {
     const isAlreadyMember = workspace.members.some(
       member => member.user.toString() === existingUser._id.toString()
@@ -61,7 +67,7 @@ const sendInvitation = asyncHandler(async (req, res) => {
 
   try {
     // Create invitation
-    const invitation = await TeamInvitation.createInvitation({
+    const invitation = await createInvitation({
       email: email.toLowerCase(),
       workspaceId,
       invitedBy: inviterId,
@@ -81,7 +87,7 @@ const sendInvitation = asyncHandler(async (req, res) => {
 
     if (!emailResult.success) {
       // If email sending fails, delete the invitation
-      await TeamInvitation.findByIdAndDelete(invitation._id);
+      await db.invitations.deleteById(invitation._id);
       res.status(500);
       throw new Error('Failed to send invitation email');
     }
@@ -121,12 +127,12 @@ const acceptInvitation = asyncHandler(async (req, res) => {
 
   try {
     // Find invitation
-    const invitation = await TeamInvitation.findByToken(token);
+    const invitation = await findInvitationByToken(token);
     
     // If userId is provided, use it; otherwise, check if user exists with invitation email
     let user;
     if (userId) {
-      user = await User.findById(userId);
+      user = await db.users.findById(userId);
       if (!user) {
         res.status(404);
         throw new Error('User not found');
@@ -139,7 +145,7 @@ const acceptInvitation = asyncHandler(async (req, res) => {
       }
     } else {
       // Check if user exists with the invitation email
-      user = await User.findOne({ email: invitation.email });
+      user = await db.users.findOne({ email: invitation.email });
       if (!user) {
         res.status(400);
         throw new Error('Please register or login first to accept this invitation');
@@ -153,22 +159,28 @@ const acceptInvitation = asyncHandler(async (req, res) => {
     }
 
     // Accept invitation
-    await invitation.accept(user._id);
+    await markInvitationAccepted(invitation, user._id);
 
     // Add user to workspace
-    const workspace = await Workspace.findById(invitation.workspaceId);
-    workspace.members.push({
-      user: user._id,
-      role: invitation.role,
-      joinedAt: new Date()
+    const workspace = await db.workspaces.updateById(invitation.workspaceId._id, {
+      $push: {
+        members: {
+          user: user._id,
+          role: invitation.role,
+          joinedAt: new Date()
+        }
+      }
     });
-    await workspace.save();
 
     // Add workspace to user's workspaces
-    if (!user.workspaces.includes(workspace._id)) {
-      user.workspaces.push(workspace._id);
-      await user.save();
-    }
+    await db.users.updateById(user._id, { $addToSet: { workspaces: workspace._id } });
+
+    await notify([invitation.invitedBy?._id], {
+      type: 'invitation-accepted',
+      actor: user,
+      workspace,
+      message: `${user.name} accepted your invitation to ${workspace.name}`
+    });
 
     res.json({
       success: true,
@@ -206,7 +218,7 @@ const getInvitationDetails = asyncHandler(async (req, res) => {
   }
 
   try {
-    const invitation = await TeamInvitation.findByToken(token);
+    const invitation = await findInvitationByToken(token);
     
     res.json({
       success: true,
@@ -246,8 +258,8 @@ const declineInvitation = asyncHandler(async (req, res) => {
   }
 
   try {
-    const invitation = await TeamInvitation.findByToken(token);
-    await invitation.decline();
+    const invitation = await findInvitationByToken(token);
+    await markInvitationDeclined(invitation);
 
     res.json({
       success: true,
@@ -268,7 +280,7 @@ const getWorkspaceInvitations = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   // Check if workspace exists and user has permission
-  const workspace = await Workspace.findById(workspaceId);
+  const workspace = await db.workspaces.findById(workspaceId);
   if (!workspace) {
     res.status(404);
     throw new Error('Workspace not found');
@@ -283,11 +295,12 @@ const getWorkspaceInvitations = asyncHandler(async (req, res) => {
     throw new Error('You do not have permission to view invitations for this workspace');
   }
 
-  const invitations = await TeamInvitation.find({ workspaceId })
-    .populate('invitedBy', 'name email')
-    .sort({ createdAt: -1 });
+  const invitations = await db.invitations.find({ workspaceId }, {
+    populate: { path: 'invitedBy', select: 'name email' },
+    sort: { createdAt: -1 }
+  });
 
-  const stats = await TeamInvitation.getStats(workspaceId);
+  const stats = await getInvitationStats(workspaceId);
 
   res.json({
     success: true,
@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Files in a directory on the local disk. They are only served through the
+ * attachment routes, never statically.
+ */
+class LocalFileStorage {
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys are generated by the server, but never let one point outside the root
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid file key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, data) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalFileStorage;
@@ -0,0 +1,54 @@
+import { Buffer } from 'buffer';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+/**
+ * Files in a bucket of S3 or an S3-compatible service such as MinIO. With a
+ * custom endpoint, buckets are addressed by path instead of subdomain.
+ */
+class S3FileStorage {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('A bucket is required for S3 file storage');
+    }
+
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      ...(endpoint && { endpoint, forcePathStyle: true }),
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+      // Not every S3-compatible service supports the newer checksum headers
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+  }
+
+  async put(key, data, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: data,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+export default S3FileStorage;
@@ -0,0 +1,48 @@
+import process from 'process';
+import LocalFileStorage from './LocalFileStorage.js';
+import S3FileStorage from './S3FileStorage.js';
+
+/**
+ * Storage for uploaded files, used by the attachment routes. Both backends
+ * expose the same interface:
+ *
+ *   put(key, buffer, { contentType })
+ *   get(key)      // Buffer, or null when there is no such file
+ *   delete(key)   // also succeeds when the file is already gone
+ */
+
+export const FILE_STORAGE_TYPES = ['local', 's3'];
+
+const optionsFromEnv = (type) => (type === 's3'
+  ? {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
+  : { root: process.env.UPLOAD_PATH || './uploads' });
+
+let currentStorage = null;
+
+/**
+ * Store files on the given backend ('local' or 's3'), configured from the
+ * environment unless options are passed
+ */
+export const selectFileStorage = (type, options = optionsFromEnv(type)) => {
+  if (!FILE_STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown file storage type: ${type}`);
+  }
+
+  currentStorage = type === 's3' ? new S3FileStorage(options) : new LocalFileStorage(options);
+  return currentStorage;
+};
+
+// The local disk is used until a backend is selected
+const backend = () => currentStorage || selectFileStorage('local');
+
+export const files = {
+  put: (key, data, options) => backend().put(key, data, options),
+  get: (key) => backend().get(key),
+  delete: (key) => backend().delete(key)
+};
@@ -1,7 +1,16 @@
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import { db } from '../repositories/index.js';
 import process from 'process';
 
+/**
+ * Load the user a token was issued to; null when the user no longer exists.
+ * Throws when the token is invalid or expired.
+ */
+export const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return db.users.findById(decoded.id, { select: '-password' });
+};
+
 export const authMiddleware = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -10,8 +19,7 @@ export const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await getUserFromToken(token);
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
@@ -25,6 +33,28 @@ export const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Socket.IO counterpart of authMiddleware; the token comes from the handshake's `auth`
+export const socketAuthMiddleware = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error('No token, authorization denied'));
+    }
+
+    const user = await getUserFromToken(token);
+
+    if (!user) {
+      return next(new Error('Token is not valid'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch {
+    next(new Error('Token is not valid'));
+  }
+};
+
 export const roleCheck = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -45,13 +45,22 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
   // Default error
-  const statusCode = err.statusCode || 500;
+  // Controllers using express-async-handler set the status before throwing
+  const statusCode = err.statusCode || (res.statusCode >= 400 ? res.statusCode : 500);
   const message = err.message || 'Internal Server Error';
 
   res.status(statusCode).json({
     success: false,
     message,
+    ...(Array.isArray(err.errors) && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -1,42 +0,0 @@
-import jwt from 'jsonwebtoken';
-import mockDb from '../mockDb.js';
-import process from 'process';
-
-export const mockAuthMiddleware = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token, authorization denied' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    const user = mockDb.findUserById(decoded.id);
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
-
-    // Remove password from user object
-    const { password: _, ...userWithoutPassword } = user;
-    req.user = userWithoutPassword;
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
-  }
-};
-
-export const mockRoleCheck = (roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ message: 'User not authenticated' });
-    }
-
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    next();
-  };
-};
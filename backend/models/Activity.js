@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { ACTIVITY_ACTIONS, ACTIVITY_FIELDS, ACTIVITY_SOURCES } from '../utils/activityContract.js';
+
+// Audit entry: a task was created or deleted, or one of its fields changed
+const activitySchema = mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Task',
+  },
+  // Title when the entry was made, for tasks that are gone since
+  taskTitle: {
+    type: String,
+    default: '',
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: ACTIVITY_SOURCES,
+    default: 'user',
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ACTIVITY_ACTIONS,
+  },
+  field: {
+    type: String,
+    enum: [...ACTIVITY_FIELDS, null],
+    default: null,
+  },
+  // For custom field changes: which field, and its name at the time
+  customField: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomField',
+    default: null,
+  },
+  label: {
+    type: String,
+    default: null,
+  },
+  // Values before and after; references are kept as { _id, name } snapshots
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+},
+{
+  timestamps: true,
+});
+
+activitySchema.index({ task: 1, createdAt: -1 });
+activitySchema.index({ workspace: 1, createdAt: -1 });
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+export default Activity;
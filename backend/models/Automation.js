@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import {
+  AUTOMATION_TRIGGERS,
+  AUTOMATION_ACTIONS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  AUTOMATION_LIMITS
+} from '../utils/automationContract.js';
+
+const automationSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: AUTOMATION_LIMITS.name,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  // Rules without a list apply to every task of the workspace
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Dry-run rules log what they would do without changing anything
+  dryRun: {
+    type: Boolean,
+    default: false,
+  },
+  trigger: {
+    type: {
+      type: String,
+      required: true,
+      enum: AUTOMATION_TRIGGERS,
+    },
+    // Status keys a status change must come from or go to; empty matches any
+    from: { type: String, default: null },
+    to: { type: String, default: null },
+  },
+  conditions: [
+    {
+      field: { type: String, required: true, enum: CONDITION_FIELDS },
+      operator: { type: String, required: true, enum: CONDITION_OPERATORS },
+      value: { type: String, default: '' },
+    },
+  ],
+  actions: [
+    {
+      type: { type: String, required: true, enum: AUTOMATION_ACTIONS },
+      status: { type: String },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      tag: { type: String, trim: true },
+      title: { type: String, trim: true },
+      content: { type: String, maxlength: AUTOMATION_LIMITS.text },
+      message: { type: String, maxlength: AUTOMATION_LIMITS.text },
+      url: { type: String },
+    },
+  ],
+  // Changes made by the rule are attributed to the member who created it
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  runCount: {
+    type: Number,
+    default: 0,
+  },
+  lastRunAt: {
+    type: Date,
+    default: null,
+  },
+},
+{
+  timestamps: true,
+});
+
+automationSchema.index({ workspace: 1, 'trigger.type': 1, enabled: 1 });
+
+const Automation = mongoose.model('Automation', automationSchema);
+
+export default Automation;
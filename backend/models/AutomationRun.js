@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { AUTOMATION_ACTIONS, AUTOMATION_TRIGGERS, RUN_STATUSES } from '../utils/automationContract.js';
+
+// Execution log entry: one per time a rule fired, or was kept from firing
+const automationRunSchema = mongoose.Schema({
+  automation: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Automation',
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+  trigger: {
+    type: String,
+    required: true,
+    enum: AUTOMATION_TRIGGERS,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: RUN_STATUSES,
+  },
+  dryRun: {
+    type: Boolean,
+    default: false,
+  },
+  // How many automations in a row led to this run; 0 when a person acted
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  // Due date that passed, so each one fires a rule only once
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  // Why the run was skipped or failed
+  reason: {
+    type: String,
+    default: null,
+  },
+  actions: [
+    {
+      type: { type: String, required: true, enum: AUTOMATION_ACTIONS },
+      status: { type: String, required: true, enum: [...RUN_STATUSES, 'planned'] },
+      detail: { type: String, default: null },
+    },
+  ],
+},
+{
+  timestamps: true,
+});
+
+automationRunSchema.index({ automation: 1, createdAt: -1 });
+automationRunSchema.index({ automation: 1, task: 1, trigger: 1, dueDate: 1 });
+
+const AutomationRun = mongoose.model('AutomationRun', automationRunSchema);
+
+export default AutomationRun;
@@ -1,4 +1,32 @@
 import mongoose from 'mongoose';
+import { COMMENT_LIMITS } from '../utils/commentContract.js';
+import { SEARCH_WEIGHTS } from '../utils/searchContract.js';
+
+// A previous version of an edited comment
+const revisionSchema = mongoose.Schema({
+  content: {
+    type: String,
+    required: true,
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// One entry per user and emoji
+const reactionSchema = mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true,
+    maxlength: COMMENT_LIMITS.emoji,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+}, { _id: false });
 
 const commentSchema = mongoose.Schema({
   user: {
@@ -11,15 +39,50 @@ const commentSchema = mongoose.Schema({
     required: true,
     ref: 'Task',
   },
+  // Workspace of the task, so searches can scope comments without loading tasks
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  // Deleted comments keep their place in the thread with empty content
   content: {
     type: String,
-    required: true,
+    maxlength: [COMMENT_LIMITS.content, `Comment cannot exceed ${COMMENT_LIMITS.content} characters`],
+    default: '',
+  },
+  // Thread root this comment replies to; threads are one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  mentions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  reactions: [reactionSchema],
+  edits: [revisionSchema],
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
   },
 },
 {
   timestamps: true,
 });
 
+commentSchema.index({ task: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ workspace: 1 });
+commentSchema.index({ content: 'text' }, { weights: SEARCH_WEIGHTS.comment, name: 'comment_search' });
+
 const Comment = mongoose.model('Comment', commentSchema);
 
-export default Comment;
\ No newline at end of file
+export default Comment;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_LIMITS,
+  DEFAULT_CURRENCY
+} from '../utils/customFieldContract.js';
+
+// A typed field tasks can hold a value for; see services/customFieldService.js
+const customFieldSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: CUSTOM_FIELD_LIMITS.name,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: CUSTOM_FIELD_TYPES,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  // Fields without a list apply to every task of the workspace
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null,
+  },
+  // Choices of dropdown and labels fields; tasks store the option _id
+  options: [
+    {
+      name: { type: String, required: true, trim: true, maxlength: CUSTOM_FIELD_LIMITS.optionName },
+      color: { type: String, default: '#6B7280' },
+    },
+  ],
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+  },
+  // Arithmetic over number and currency fields, e.g. `{Story points} * {Rate}`
+  formula: {
+    type: String,
+    default: '',
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+},
+{
+  timestamps: true,
+});
+
+customFieldSchema.index({ workspace: 1, list: 1, order: 1 });
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+
+export default CustomField;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// One entry per scheduled email that went out, so it is never sent twice
+const emailDeliverySchema = mongoose.Schema({
+  // e.g. `overdue:<task>:<user>:<due date>` or `digest:daily:<user>:<local date>`
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['due-soon', 'overdue', 'digest'],
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+},
+{
+  timestamps: true,
+});
+
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+
+export default EmailDelivery;
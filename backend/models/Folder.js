@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { trashPlugin } from '../utils/trashContract.js';
 
 const folderSchema = new mongoose.Schema({
   name: {
@@ -50,6 +51,8 @@ const folderSchema = new mongoose.Schema({
 // Add indexes for better performance
 folderSchema.index({ space: 1 });
 
+folderSchema.plugin(trashPlugin);
+
 const Folder = mongoose.model('Folder', folderSchema);
 
 export default Folder;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { GITHUB_LINK_KINDS, PULL_REQUEST_STATES } from '../utils/integrationContract.js';
+
+// Commit or pull request that refers to a task
+const githubLinkSchema = mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Task',
+  },
+  kind: {
+    type: String,
+    enum: GITHUB_LINK_KINDS,
+    required: true,
+  },
+  // Full name of the repository, e.g. octo-org/api
+  repository: {
+    type: String,
+    required: true,
+  },
+  // Commit SHA or pull request number
+  ref: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+  },
+  title: {
+    type: String,
+  },
+  branch: {
+    type: String,
+  },
+  author: {
+    type: String,
+  },
+  // Pull requests only
+  state: {
+    type: String,
+    enum: [...PULL_REQUEST_STATES, null],
+    default: null,
+  },
+},
+{
+  timestamps: true,
+});
+
+githubLinkSchema.index({ task: 1, kind: 1, repository: 1, ref: 1 });
+
+const GithubLink = mongoose.model('GithubLink', githubLinkSchema);
+
+export default GithubLink;
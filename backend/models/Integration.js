@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { INTEGRATION_PROVIDERS, GITHUB_TRANSITION_EVENTS, CHAT_EVENTS } from '../utils/integrationContract.js';
+import { WORKFLOW_KEY_PATTERN } from '../utils/taskContract.js';
+
+// Third-party service connected to a workspace; one per provider
+const integrationSchema = mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  provider: {
+    type: String,
+    enum: INTEGRATION_PROVIDERS,
+    required: true,
+  },
+  // Key the provider signs the requests it sends with; generated for GitHub,
+  // the app's signing secret for Slack
+  secret: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  github: {
+    // Status a referenced task moves to when something happens on GitHub
+    transitions: [
+      {
+        on: {
+          type: String,
+          enum: GITHUB_TRANSITION_EVENTS,
+          required: true,
+        },
+        status: {
+          type: String,
+          match: WORKFLOW_KEY_PATTERN,
+          required: true,
+        },
+      },
+    ],
+  },
+  slack: {
+    // Incoming webhook the selected events are posted to
+    webhookUrl: {
+      type: String,
+      trim: true,
+    },
+    events: [
+      {
+        type: String,
+        enum: CHAT_EVENTS,
+      },
+    ],
+    // List tasks created with the slash command go to
+    defaultList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'List',
+      default: null,
+    },
+    // Chat accounts and the workspace members they act as
+    members: [
+      {
+        chatUserId: {
+          type: String,
+          required: true,
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+      },
+    ],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+},
+{
+  timestamps: true,
+});
+
+integrationSchema.index({ workspace: 1, provider: 1 }, { unique: true });
+
+const Integration = mongoose.model('Integration', integrationSchema);
+
+export default Integration;
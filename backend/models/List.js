@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { SEARCH_WEIGHTS } from '../utils/searchContract.js';
+import { trashPlugin } from '../utils/trashContract.js';
 
 const listSchema = new mongoose.Schema({
   name: {
@@ -54,6 +56,9 @@ const listSchema = new mongoose.Schema({
 
 // Add indexes for better performance
 listSchema.index({ folder: 1 });
+listSchema.index({ name: 'text', description: 'text' }, { weights: SEARCH_WEIGHTS.list, name: 'list_search' });
+
+listSchema.plugin(trashPlugin);
 
 const List = mongoose.model('List', listSchema);
 
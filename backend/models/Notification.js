@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../utils/notificationContract.js';
+
+const notificationSchema = mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: NOTIFICATION_TYPES,
+  },
+  // Who caused the notification; empty for reminders sent by the server
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+},
+{
+  timestamps: true,
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+notificationSchema.index({ type: 1, task: 1, recipient: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
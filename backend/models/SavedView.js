@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { VIEW_LAYOUTS, TASK_QUERY_LIMITS } from '../utils/taskQueryContract.js';
+
+// A named task filter with its sorting, grouping and layout; see services/taskQueryService.js
+const savedViewSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: TASK_QUERY_LIMITS.viewName,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  // Shared views are listed for every member of the workspace
+  shared: {
+    type: Boolean,
+    default: false,
+  },
+  layout: {
+    type: String,
+    enum: VIEW_LAYOUTS,
+    default: 'list',
+  },
+  // Condition or group of conditions of the task query language
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // As in `?sort=`, e.g. `priority:desc,dueDate`
+  sort: {
+    type: String,
+    default: '',
+  },
+  groupBy: {
+    type: String,
+    default: '',
+  },
+},
+{
+  timestamps: true,
+});
+
+savedViewSchema.index({ workspace: 1, createdBy: 1 });
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+export default SavedView;
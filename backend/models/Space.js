@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { SEARCH_WEIGHTS } from '../utils/searchContract.js';
+import { trashPlugin } from '../utils/trashContract.js';
 
 const spaceSchema = mongoose.Schema({
   name: {
@@ -16,14 +18,31 @@ const spaceSchema = mongoose.Schema({
   folders: [
     {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Folder', // Assuming a Folder model will be created
+      ref: 'Folder',
     },
   ],
+  color: {
+    type: String,
+    default: '#4F46E5',
+  },
+  icon: {
+    type: String,
+    default: '',
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
 },
 {
   timestamps: true,
 });
 
+spaceSchema.index({ workspace: 1 });
+spaceSchema.index({ name: 'text', description: 'text' }, { weights: SEARCH_WEIGHTS.space, name: 'space_search' });
+
+spaceSchema.plugin(trashPlugin);
+
 const Space = mongoose.model('Space', spaceSchema);
 
-export default Space;
\ No newline at end of file
+export default Space;
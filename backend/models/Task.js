@@ -1,38 +1,261 @@
 import mongoose from 'mongoose';
+import {
+  WORKFLOW_KEY_PATTERN,
+  DEPENDENCY_TYPES,
+  TASK_LIMITS,
+  TASK_DEFAULTS,
+  getCrossFieldErrors
+} from '../utils/taskContract.js';
+import { CHECKLIST_LIMITS } from '../utils/checklistContract.js';
+import { SEARCH_WEIGHTS } from '../utils/searchContract.js';
+import { trashPlugin } from '../utils/trashContract.js';
+import { recurrenceSchema } from '../utils/recurrenceContract.js';
 
-const taskSchema = mongoose.Schema({
-  name: {
+// An earlier upload of an attachment, kept when a new version replaces it
+const attachmentVersionSchema = mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+  },
+  filename: {
     type: String,
     required: true,
   },
+  originalName: {
+    type: String,
+  },
+  size: {
+    type: Number,
+    default: 0,
+  },
+  mimeType: {
+    type: String,
+  },
+  thumbnail: {
+    type: String,
+    default: null,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// `filename` and `thumbnail` are keys in the file storage, see fileStorage/
+const attachmentSchema = mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+  },
+  originalName: {
+    type: String,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    default: 0,
+  },
+  mimeType: {
+    type: String,
+  },
+  thumbnail: {
+    type: String,
+    default: null,
+  },
+  // Comment the file was attached to, if any
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  versions: [attachmentVersionSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A predecessor this task waits on; see DEPENDENCY_TYPES
+const dependencySchema = mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: DEPENDENCY_TYPES,
+    default: DEPENDENCY_TYPES[0],
+  },
+}, { _id: false });
+
+const checklistItemSchema = mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Item text is required'],
+    trim: true,
+    maxlength: [CHECKLIST_LIMITS.item, `Item text cannot exceed ${CHECKLIST_LIMITS.item} characters`],
+  },
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Lightweight to-do list inside a task; items can be turned into subtasks
+const checklistSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Checklist name is required'],
+    trim: true,
+    maxlength: [CHECKLIST_LIMITS.name, `Checklist name cannot exceed ${CHECKLIST_LIMITS.name} characters`],
+  },
+  items: [checklistItemSchema],
+});
+
+const taskSchema = mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [TASK_LIMITS.title, `Task title cannot exceed ${TASK_LIMITS.title} characters`],
+  },
   description: {
     type: String,
+    default: TASK_DEFAULTS.description,
+    maxlength: [TASK_LIMITS.description, `Description cannot exceed ${TASK_LIMITS.description} characters`],
   },
   workspace: {
     type: mongoose.Schema.Types.ObjectId,
-    required: true,
+    required: [true, 'Workspace is required'],
     ref: 'Workspace',
   },
-  assignee: {
+  // Sequential per workspace, referenced as CU-<number> (see utils/taskReferences.js)
+  number: {
+    type: Number,
+  },
+  list: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    required: [true, 'List is required'],
+    ref: 'List',
   },
+  // Keys of the workspace's configured statuses and priorities
   status: {
     type: String,
-    enum: ['open', 'in progress', 'closed', 'on hold'],
-    default: 'open',
+    match: [WORKFLOW_KEY_PATTERN, 'Invalid status'],
+    default: TASK_DEFAULTS.status,
   },
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high', 'urgent'],
-    default: 'medium',
+    match: [WORKFLOW_KEY_PATTERN, 'Invalid priority'],
+    default: TASK_DEFAULTS.priority,
   },
-  dueDate: {
+  assignees: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+      },
+      assignedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+  ],
+  watchers: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  tags: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  // Values of the workspace's and list's custom fields, checked against their type
+  customFields: [
+    {
+      _id: false,
+      field: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'CustomField',
+      },
+      value: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  startDate: {
     type: Date,
   },
-  startDate: {
+  dueDate: {
     type: Date,
   },
+  estimatedTime: {
+    type: Number,
+    min: [0, 'Estimated time must be a positive integer'],
+    default: TASK_DEFAULTS.estimatedTime,
+  },
+  // Position within the workspace's status column on the board
+  rank: {
+    type: Number,
+    default: TASK_DEFAULTS.rank,
+  },
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+  subtasks: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+  ],
+  dependencies: [dependencySchema],
+  // Set on the latest occurrence of a recurring task only
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+  },
+  // Occurrence this task was created from, when it repeats one
+  recurringFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+  checklists: [checklistSchema],
+  attachments: [attachmentSchema],
   comments: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -45,11 +268,42 @@ const taskSchema = mongoose.Schema({
       ref: 'TimeLog',
     },
   ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Creator is required'],
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 },
 {
   timestamps: true,
 });
 
+// Enforce the cross-field rules of the shared task contract
+taskSchema.pre('validate', function (next) {
+  getCrossFieldErrors(this).forEach(({ path, message }) => this.invalidate(path, message));
+  next();
+});
+
+taskSchema.index({ workspace: 1, status: 1, rank: 1 });
+taskSchema.index({ workspace: 1, number: 1 });
+taskSchema.index({ list: 1 });
+taskSchema.index({ 'assignees.user': 1 });
+taskSchema.index({ parentTask: 1 });
+taskSchema.index({ 'dependencies.task': 1 });
+taskSchema.index({ 'customFields.field': 1 });
+taskSchema.index({ 'recurrence.mode': 1, dueDate: 1 });
+taskSchema.index({ recurringFrom: 1 });
+taskSchema.index(
+  { title: 'text', description: 'text', 'attachments.originalName': 'text' },
+  { weights: SEARCH_WEIGHTS.task, name: 'task_search' }
+);
+
+taskSchema.plugin(trashPlugin);
+
 const Task = mongoose.model('Task', taskSchema);
 
-export default Task;
\ No newline at end of file
+export default Task;
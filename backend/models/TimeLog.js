@@ -11,9 +11,41 @@ const timeLogSchema = mongoose.Schema({
     required: true,
     ref: 'Task',
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  startTime: {
+    type: Date,
+  },
+  endTime: {
+    type: Date,
+  },
+  // Duration in minutes
   duration: {
     type: Number,
     required: true,
+    default: 0,
+  },
+  isRunning: {
+    type: Boolean,
+    default: false,
+  },
+  isBillable: {
+    type: Boolean,
+    default: true,
+  },
+  billableRate: {
+    type: Number,
+  },
+  tags: [String],
+  manualEntry: {
+    type: Boolean,
+    default: false,
   },
   notes: {
     type: String,
@@ -23,6 +55,9 @@ const timeLogSchema = mongoose.Schema({
   timestamps: true,
 });
 
+timeLogSchema.index({ user: 1, isRunning: 1 });
+timeLogSchema.index({ workspace: 1, startTime: -1 });
+
 const TimeLog = mongoose.model('TimeLog', timeLogSchema);
 
-export default TimeLog;
\ No newline at end of file
+export default TimeLog;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
-import bcrypt from 'bcryptjs';
+import {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  DEFAULT_NOTIFICATION_SETTINGS
+} from '../utils/notificationContract.js';
 
 const userSchema = mongoose.Schema({
   name: {
@@ -41,6 +45,28 @@ const userSchema = mongoose.Schema({
       default: 'UTC',
     },
   },
+  notificationSettings: {
+    emailNotifications: {
+      type: Boolean,
+      default: DEFAULT_NOTIFICATION_SETTINGS.emailNotifications,
+    },
+    pushNotifications: {
+      type: Boolean,
+      default: DEFAULT_NOTIFICATION_SETTINGS.pushNotifications,
+    },
+    // Notification types the user does not want at all
+    mutedTypes: [
+      {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+      },
+    ],
+    digest: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: DEFAULT_NOTIFICATION_SETTINGS.digest,
+    },
+  },
   workspaces: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -52,21 +78,6 @@ const userSchema = mongoose.Schema({
   timestamps: true,
 });
 
-// Hash password before saving
-userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) {
-    return next();
-  }
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
-  next();
-});
-
-// Match user entered password to hashed password in database
-userSchema.methods.matchPassword = async function (enteredPassword) {
-  return await bcrypt.compare(enteredPassword, this.password);
-};
-
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
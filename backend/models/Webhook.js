@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from '../utils/webhookContract.js';
+
+// URL of a workspace that is sent the events it subscribed to
+const webhookSchema = mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  events: [
+    {
+      type: String,
+      enum: WEBHOOK_EVENTS,
+    },
+  ],
+  // Key of the HMAC signature receivers check payloads against
+  secret: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+},
+{
+  timestamps: true,
+});
+
+webhookSchema.index({ workspace: 1, active: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from '../utils/webhookContract.js';
+
+// One event sent to one webhook, with the outcome of its latest attempt
+const webhookDeliverySchema = mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Webhook',
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Workspace',
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: WEBHOOK_EVENTS,
+  },
+  // Serialized JSON payload; kept as sent so retries carry the same signed bytes
+  body: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when a delivery was sent again by hand
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null,
+  },
+},
+{
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { STATUS_CATEGORIES, WORKFLOW_KEY_PATTERN } from '../utils/taskContract.js';
+import { trashPlugin } from '../utils/trashContract.js';
 
 const workspaceSchema = mongoose.Schema({
   name: {
@@ -41,19 +43,29 @@ const workspaceSchema = mongoose.Schema({
       ref: 'Space',
     },
   ],
+  // Number of the last task created, see utils/taskReferences.js
+  taskCounter: {
+    type: Number,
+    default: 0,
+  },
   settings: {
     taskStatuses: [
       {
+        key: { type: String, match: WORKFLOW_KEY_PATTERN },
         name: { type: String, required: true },
         color: { type: String, required: true },
         order: { type: Number, required: true },
+        category: { type: String, enum: STATUS_CATEGORIES, default: 'open' },
+        archived: { type: Boolean, default: false },
       },
     ],
     taskPriorities: [
       {
+        key: { type: String, match: WORKFLOW_KEY_PATTERN },
         name: { type: String, required: true },
         color: { type: String, required: true },
         order: { type: Number, required: true },
+        archived: { type: Boolean, default: false },
       },
     ],
   },
@@ -62,6 +74,8 @@ const workspaceSchema = mongoose.Schema({
   timestamps: true,
 });
 
+workspaceSchema.plugin(trashPlugin);
+
 const Workspace = mongoose.model('Workspace', workspaceSchema);
 
 export default Workspace;
@@ -0,0 +1,239 @@
+import {
+  matchesFilter,
+  applyUpdate,
+  sortDocuments,
+  projectDocument,
+  cloneDocument,
+  getPath
+} from './query.js';
+import { normalizePopulate, refOf } from './populate.js';
+import TextIndex from './textIndex.js';
+
+/**
+ * Repository backed by a Map from the in-memory database. Documents are cast,
+ * defaulted and validated through the Mongoose schema without a connection,
+ * so both backends store exactly the same shape.
+ */
+class MemoryRepository {
+  constructor(Model, store, resolveRepository) {
+    this.Model = Model;
+    this.store = store;
+    this.resolveRepository = resolveRepository;
+    this.timestamps = Boolean(Model.schema.options.timestamps);
+    this.uniquePaths = Object.entries(Model.schema.paths)
+      .filter(([, schemaType]) => schemaType.options.unique)
+      .map(([path]) => path);
+    this.textIndex = TextIndex.fromSchema(Model.schema);
+    this.trashable = Boolean(Model.schema.path('trashedAt'));
+  }
+
+  // Reads leave trashed documents out, as the hooks of utils/trashContract.js do on MongoDB
+  visible(filter, withTrashed) {
+    if (!this.trashable || withTrashed || 'trashedAt' in filter) return filter;
+    return { ...filter, trashedAt: null };
+  }
+
+  // Cast and validate through the schema, returning a plain object
+  async toStored(data) {
+    const doc = new this.Model(data);
+    await doc.validate();
+    return doc.toObject({ depopulate: true });
+  }
+
+  assertUnique(document) {
+    this.uniquePaths.forEach(path => {
+      const value = getPath(document, path);
+      if (value == null) return;
+
+      const duplicate = [...this.store.values()].some(existing => (
+        String(existing._id) !== String(document._id) &&
+        String(getPath(existing, path)) === String(value)
+      ));
+
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${this.Model.collection.name} index: ${path}_1`);
+        error.code = 11000;
+        error.keyPattern = { [path]: 1 };
+        error.keyValue = { [path]: value };
+        throw error;
+      }
+    });
+  }
+
+  async output(documents, { select, populate } = {}) {
+    const copies = documents.map(document => cloneDocument(document));
+    if (populate) {
+      await this.populate(copies, populate);
+    }
+    return copies.map(document => projectDocument(document, select));
+  }
+
+  async create(data) {
+    const now = new Date();
+    const stored = await this.toStored({
+      ...(this.timestamps && { createdAt: now, updatedAt: now }),
+      ...data
+    });
+
+    this.assertUnique(stored);
+    this.store.set(String(stored._id), stored);
+
+    return cloneDocument(stored);
+  }
+
+  async findById(id, { withTrashed, ...options } = {}) {
+    const document = this.store.get(String(id));
+    if (!document || !matchesFilter(document, this.visible({}, withTrashed))) return null;
+
+    const [result] = await this.output([document], options);
+    return result;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [result] = await this.find(filter, { ...options, limit: 1 });
+    return result || null;
+  }
+
+  async find(filter = {}, { sort, skip = 0, limit, withTrashed, ...options } = {}) {
+    const visible = this.visible(filter, withTrashed);
+    let documents = [...this.store.values()].filter(document => matchesFilter(document, visible));
+    documents = sortDocuments(documents, sort);
+    documents = documents.slice(skip, limit ? skip + limit : undefined);
+
+    return this.output(documents, options);
+  }
+
+  async search(text, filter = {}, { limit, withTrashed, ...options } = {}) {
+    if (!this.textIndex) {
+      throw new Error(`text index required for $text query on ${this.Model.collection.name}`);
+    }
+
+    const scores = this.textIndex.search(this.store, text);
+    const documents = [...scores.keys()]
+      .map(id => this.store.get(id))
+      .filter(document => matchesFilter(document, this.visible(filter, withTrashed)))
+      .sort((a, b) => scores.get(String(b._id)) - scores.get(String(a._id)))
+      .slice(0, limit || undefined);
+
+    const results = await this.output(documents, options);
+    return results.map(document => ({ ...document, score: scores.get(String(document._id)) }));
+  }
+
+  async count(filter = {}, { withTrashed } = {}) {
+    const visible = this.visible(filter, withTrashed);
+    return [...this.store.values()].filter(document => matchesFilter(document, visible)).length;
+  }
+
+  async updateById(id, update, options = {}) {
+    const existing = this.store.get(String(id));
+    if (!existing) return null;
+
+    const { document } = applyUpdate(existing, update);
+    if (this.timestamps) document.updatedAt = new Date();
+
+    const stored = await this.toStored(document);
+    this.assertUnique(stored);
+    this.store.set(String(stored._id), stored);
+
+    const [result] = await this.output([stored], options);
+    return result;
+  }
+
+  async updateMany(filter, update) {
+    const documents = [...this.store.values()].filter(document => matchesFilter(document, filter));
+
+    // Validate every document first so a failing one leaves the rest untouched
+    const updated = await Promise.all(documents.map(existing => {
+      const { document } = applyUpdate(existing, update);
+      if (this.timestamps) document.updatedAt = new Date();
+      return this.toStored(document);
+    }));
+
+    updated.forEach(stored => this.store.set(String(stored._id), stored));
+    return updated.length;
+  }
+
+  async deleteById(id) {
+    const existing = this.store.get(String(id));
+    if (!existing) return null;
+
+    this.store.delete(String(id));
+    return cloneDocument(existing);
+  }
+
+  async deleteMany(filter = {}) {
+    const documents = [...this.store.values()].filter(document => matchesFilter(document, filter));
+    documents.forEach(document => this.store.delete(String(document._id)));
+    return documents.length;
+  }
+
+  /**
+   * Replace references with the referenced documents, following the same
+   * `{ path, select, populate, options: { sort } }` specs Mongoose accepts
+   */
+  async populate(documents, specs) {
+    for (const spec of normalizePopulate(specs)) {
+      const modelName = refOf(this.Model.schema, spec.path);
+      const repository = modelName && this.resolveRepository(modelName);
+      if (!repository) continue;
+
+      const segments = spec.path.split('.');
+      const ids = new Set();
+      documents.forEach(document => collectIds(document, segments, ids));
+      if (ids.size === 0) continue;
+
+      const related = await repository.find(
+        { _id: { $in: [...ids] }, ...(spec.match || {}) },
+        { select: spec.select, populate: spec.populate, sort: spec.options?.sort }
+      );
+      const byId = new Map(related.map(document => [String(document._id), document]));
+      const rank = new Map(related.map((document, index) => [String(document._id), index]));
+
+      documents.forEach(document => replaceIds(document, segments, (value) => {
+        if (Array.isArray(value)) {
+          const resolved = value.map(id => byId.get(String(id))).filter(Boolean);
+          return spec.options?.sort
+            ? resolved.sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)))
+            : resolved;
+        }
+        return value == null ? value : byId.get(String(value)) || null;
+      }));
+    }
+
+    return documents;
+  }
+}
+
+const collectIds = (value, segments, ids) => {
+  if (value == null) return;
+  if (Array.isArray(value)) {
+    if (segments.length === 0) {
+      value.forEach(id => id != null && ids.add(String(id)));
+    } else {
+      value.forEach(item => collectIds(item, segments, ids));
+    }
+    return;
+  }
+  if (segments.length === 0) {
+    ids.add(String(value));
+    return;
+  }
+  const [segment, ...rest] = segments;
+  if (typeof value === 'object') collectIds(value[segment], rest, ids);
+};
+
+const replaceIds = (value, segments, resolve) => {
+  if (value == null || typeof value !== 'object') return;
+  if (Array.isArray(value)) {
+    value.forEach(item => replaceIds(item, segments, resolve));
+    return;
+  }
+  const [segment, ...rest] = segments;
+  if (rest.length === 0) {
+    if (segment in value) value[segment] = resolve(value[segment]);
+    return;
+  }
+  replaceIds(value[segment], rest, resolve);
+};
+
+export default MemoryRepository;
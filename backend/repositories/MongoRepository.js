@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { applyUpdate } from './query.js';
+
+/**
+ * Repository backed by a Mongoose model. Reads are lean so both backends
+ * hand out plain objects. Single-document updates go through `save()` so
+ * schema hooks and validators run exactly as they do for the memory backend.
+ */
+class MongoRepository {
+  constructor(Model) {
+    this.Model = Model;
+  }
+
+  query(query, { sort, skip, limit, select, populate, withTrashed } = {}) {
+    if (withTrashed) query.setOptions({ withTrashed });
+    if (select) query.select(select);
+    if (sort) query.sort(sort);
+    if (skip) query.skip(skip);
+    if (limit) query.limit(limit);
+    if (populate) query.populate(populate);
+    return query.lean();
+  }
+
+  async create(data) {
+    const doc = await this.Model.create(data);
+    return doc.toObject({ depopulate: true });
+  }
+
+  async findById(id, options = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.query(this.Model.findById(id), options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.query(this.Model.findOne(filter), options);
+  }
+
+  async find(filter = {}, options = {}) {
+    return this.query(this.Model.find(filter), options);
+  }
+
+  async search(text, filter = {}, options = {}) {
+    const query = this.Model
+      .find({ ...filter, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } });
+    return this.query(query, options);
+  }
+
+  async count(filter = {}, { withTrashed } = {}) {
+    return this.Model.countDocuments(filter).setOptions({ withTrashed });
+  }
+
+  async updateById(id, update, options = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const doc = await this.Model.findById(id).setOptions({ withTrashed: true });
+    if (!doc) return null;
+
+    const { document, paths } = applyUpdate(doc.toObject({ depopulate: true }), update);
+    paths.forEach(path => doc.set(path, document[path]));
+    await doc.save();
+
+    if (!options.select && !options.populate) {
+      return doc.toObject({ depopulate: true });
+    }
+    return this.findById(id, options);
+  }
+
+  async updateMany(filter, update) {
+    const result = await this.Model.updateMany(filter, update, { runValidators: true });
+    return result.modifiedCount;
+  }
+
+  async deleteById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.Model.findByIdAndDelete(id).lean();
+  }
+
+  async deleteMany(filter = {}) {
+    const result = await this.Model.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  async populate(documents, specs) {
+    return this.Model.populate(documents, specs);
+  }
+}
+
+export default MongoRepository;
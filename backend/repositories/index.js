@@ -0,0 +1,104 @@
+import mockDb from '../mockDb.js';
+import MemoryRepository from './MemoryRepository.js';
+import MongoRepository from './MongoRepository.js';
+import User from '../models/User.js';
+import Workspace from '../models/Workspace.js';
+import Space from '../models/Space.js';
+import Folder from '../models/Folder.js';
+import List from '../models/List.js';
+import Task from '../models/Task.js';
+import Comment from '../models/Comment.js';
+import Notification from '../models/Notification.js';
+import EmailDelivery from '../models/EmailDelivery.js';
+import Automation from '../models/Automation.js';
+import AutomationRun from '../models/AutomationRun.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import Integration from '../models/Integration.js';
+import GithubLink from '../models/GithubLink.js';
+import TimeLog from '../models/TimeLog.js';
+import CustomField from '../models/CustomField.js';
+import SavedView from '../models/SavedView.js';
+import Activity from '../models/Activity.js';
+import OTP from '../models/OTP.js';
+import TeamInvitation from '../models/TeamInvitation.js';
+import TemporaryUser from '../models/TemporaryUser.js';
+
+/**
+ * Storage adapter used by every route. Each collection exposes the same
+ * repository interface on both backends:
+ *
+ *   create(data)
+ *   findById(id, { select, populate, withTrashed })
+ *   findOne(filter, { select, populate, withTrashed })
+ *   find(filter, { sort, skip, limit, select, populate, withTrashed })
+ *   search(text, filter, { limit, select, populate })  // `$text` on the schema's text index, best first with `score`
+ *   count(filter, { withTrashed })
+ *   updateById(id, update, { select, populate })   // plain fields or $set/$unset/$inc/$push/$addToSet/$pull
+ *   updateMany(filter, update)
+ *   deleteById(id)
+ *   deleteMany(filter)
+ *   populate(documents, specs)
+ *
+ * Documents are always plain objects; filters use MongoDB query syntax.
+ * Reads of trashable collections (see utils/trashContract.js) leave trashed
+ * documents out unless the filter mentions `trashedAt` or `withTrashed` is
+ * passed with the options; updates and deletes reach them either way.
+ */
+
+export const STORAGE_TYPES = ['mongo', 'memory'];
+
+const collections = {
+  users: User,
+  workspaces: Workspace,
+  spaces: Space,
+  folders: Folder,
+  lists: List,
+  tasks: Task,
+  comments: Comment,
+  notifications: Notification,
+  emailDeliveries: EmailDelivery,
+  automations: Automation,
+  automationRuns: AutomationRun,
+  webhooks: Webhook,
+  webhookDeliveries: WebhookDelivery,
+  integrations: Integration,
+  githubLinks: GithubLink,
+  timeLogs: TimeLog,
+  customFields: CustomField,
+  savedViews: SavedView,
+  activities: Activity,
+  otps: OTP,
+  invitations: TeamInvitation,
+  temporaryUsers: TemporaryUser
+};
+
+export const db = {};
+
+let currentStorage = null;
+
+/**
+ * Point every repository at the given backend ('mongo' or 'memory')
+ */
+export const selectStorage = (type) => {
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown storage type: ${type}`);
+  }
+
+  const byModelName = new Map();
+  const resolveRepository = (modelName) => byModelName.get(modelName);
+
+  Object.entries(collections).forEach(([name, Model]) => {
+    const repository = type === 'memory'
+      ? new MemoryRepository(Model, mockDb.collection(name), resolveRepository)
+      : new MongoRepository(Model);
+
+    byModelName.set(Model.modelName, repository);
+    db[name] = repository;
+  });
+
+  currentStorage = type;
+  return db;
+};
+
+export const getStorageType = () => currentStorage;
@@ -0,0 +1,21 @@
+/**
+ * Normalize a Mongoose-style populate argument ('a b', { path }, or an array
+ * of either) into a flat list of `{ path, ... }` specs
+ */
+export const normalizePopulate = (specs) => {
+  if (!specs) return [];
+  if (Array.isArray(specs)) return specs.flatMap(normalizePopulate);
+  if (typeof specs === 'string') {
+    return specs.split(/\s+/).filter(Boolean).map(path => ({ path }));
+  }
+  return [specs];
+};
+
+/**
+ * Name of the model a schema path references, for both single references
+ * and arrays of references
+ */
+export const refOf = (schema, path) => {
+  const schemaType = schema.path(path);
+  return schemaType?.options?.ref || schemaType?.caster?.options?.ref || null;
+};
@@ -0,0 +1,312 @@
+/**
+ * In-memory implementation of the subset of MongoDB query, update, sort and
+ * projection semantics the routes rely on. Used by the memory repositories so
+ * that the same filters work against both storage backends.
+ */
+
+const isPlainObject = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+
+const isOperatorObject = (value) => isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Deep copy that keeps ObjectIds and Dates intact
+ */
+export const cloneDocument = (value) => {
+  if (Array.isArray(value)) return value.map(cloneDocument);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneDocument(item)]));
+  }
+  return value;
+};
+
+// Reduce ObjectIds and Dates to primitives so they can be compared
+const toComparable = (value) => {
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && value._id !== undefined && isObjectId(value._id)) {
+    return value._id.toString();
+  }
+  return value;
+};
+
+const valuesEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+  if (a == null || b == null) return a == null && b == null;
+  return toComparable(a) === toComparable(b);
+};
+
+const compareValues = (a, b) => {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left == null && right == null) return 0;
+  if (left == null) return -1;
+  if (right == null) return 1;
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+};
+
+/**
+ * Read a dotted path. Arrays along the way are traversed, so the result is a
+ * list of every value found (the way MongoDB resolves `assignees.user`).
+ */
+const resolvePath = (value, segments) => {
+  if (segments.length === 0) return [value];
+  if (Array.isArray(value)) {
+    const [segment, ...rest] = segments;
+    if (/^\d+$/.test(segment)) return resolvePath(value[Number(segment)], rest);
+    return value.flatMap(item => resolvePath(item, segments));
+  }
+  if (value && typeof value === 'object') {
+    const [segment, ...rest] = segments;
+    return resolvePath(value[segment], rest);
+  }
+  return [undefined];
+};
+
+// Every value at a dotted path, with arrays along the way and at its end flattened
+export const getPathValues = (document, path) =>
+  resolvePath(document, path.split('.')).flat().filter(value => value !== undefined);
+
+export const getPath = (document, path) => {
+  return path.split('.').reduce((value, segment) => (value == null ? undefined : value[segment]), document);
+};
+
+export const setPath = (document, path, value) => {
+  const segments = path.split('.');
+  let target = document;
+  segments.slice(0, -1).forEach(segment => {
+    if (target[segment] == null || typeof target[segment] !== 'object') {
+      target[segment] = {};
+    }
+    target = target[segment];
+  });
+  target[segments[segments.length - 1]] = value;
+};
+
+const unsetPath = (document, path) => {
+  const segments = path.split('.');
+  const parent = segments.length > 1 ? getPath(document, segments.slice(0, -1).join('.')) : document;
+  if (parent && typeof parent === 'object') {
+    delete parent[segments[segments.length - 1]];
+  }
+};
+
+// Candidate values for a path; a trailing array also matches by its elements
+const candidatesFor = (document, path) => {
+  return resolvePath(document, path.split('.')).flatMap(value => (
+    Array.isArray(value) ? [value, ...value] : [value]
+  ));
+};
+
+const toRegExp = (pattern, options = '') => (
+  pattern instanceof RegExp ? pattern : new RegExp(pattern, options)
+);
+
+const matchesOperators = (document, path, condition) => {
+  const candidates = candidatesFor(document, path);
+  const present = candidates.filter(value => value !== undefined);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return candidates.some(value => valuesEqual(value, operand));
+      case '$ne':
+        return !candidates.some(value => valuesEqual(value, operand));
+      case '$in':
+        return operand.some(option => (
+          option instanceof RegExp
+            ? present.some(value => typeof value === 'string' && option.test(value))
+            : candidates.some(value => valuesEqual(value, option))
+        ));
+      case '$nin':
+        return !operand.some(option => candidates.some(value => valuesEqual(value, option)));
+      case '$gt':
+        return present.some(value => value !== null && compareValues(value, operand) > 0);
+      case '$gte':
+        return present.some(value => value !== null && compareValues(value, operand) >= 0);
+      case '$lt':
+        return present.some(value => value !== null && compareValues(value, operand) < 0);
+      case '$lte':
+        return present.some(value => value !== null && compareValues(value, operand) <= 0);
+      case '$exists':
+        return operand ? present.length > 0 : present.length === 0;
+      case '$regex': {
+        const regex = toRegExp(operand, condition.$options);
+        return present.some(value => typeof value === 'string' && regex.test(value));
+      }
+      case '$options':
+        return true;
+      case '$all': {
+        const arrays = resolvePath(document, path.split('.')).filter(Array.isArray);
+        return arrays.some(array => operand.every(option => array.some(value => valuesEqual(value, option))));
+      }
+      case '$size':
+        return resolvePath(document, path.split('.')).some(value => Array.isArray(value) && value.length === operand);
+      case '$elemMatch':
+        return resolvePath(document, path.split('.')).some(value => (
+          Array.isArray(value) && value.some(item => (
+            isOperatorObject(operand) ? matchesOperators({ item }, 'item', operand) : matchesFilter(item, operand)
+          ))
+        ));
+      case '$not':
+        return !matchesOperators(document, path, operand instanceof RegExp ? { $regex: operand } : operand);
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+};
+
+const matchesCondition = (document, path, condition) => {
+  if (condition instanceof RegExp) {
+    return candidatesFor(document, path).some(value => typeof value === 'string' && condition.test(value));
+  }
+  if (isOperatorObject(condition)) {
+    return matchesOperators(document, path, condition);
+  }
+  return matchesOperators(document, path, { $eq: condition });
+};
+
+/**
+ * Check whether a document matches a MongoDB-style filter
+ */
+export const matchesFilter = (document, filter = {}) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$or':
+        return condition.some(subFilter => matchesFilter(document, subFilter));
+      case '$and':
+        return condition.every(subFilter => matchesFilter(document, subFilter));
+      case '$nor':
+        return !condition.some(subFilter => matchesFilter(document, subFilter));
+      default:
+        return matchesCondition(document, key, condition);
+    }
+  });
+};
+
+const matchesPullCondition = (item, condition) => {
+  if (isOperatorObject(condition)) return matchesOperators({ item }, 'item', condition);
+  if (isPlainObject(condition)) return isPlainObject(item) && matchesFilter(item, condition);
+  return valuesEqual(item, condition);
+};
+
+const eachValues = (value) => (isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value]);
+
+/**
+ * Apply a MongoDB-style update to a copy of the document. Plain fields are
+ * treated as `$set`. Returns the updated copy and the top-level paths touched.
+ */
+export const applyUpdate = (document, update = {}) => {
+  const result = cloneDocument(document);
+  const touched = new Set();
+
+  const operations = {};
+  Object.entries(update).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      operations[key] = { ...(operations[key] || {}), ...value };
+    } else {
+      operations.$set = { ...(operations.$set || {}), [key]: value };
+    }
+  });
+
+  Object.entries(operations).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      touched.add(path.split('.')[0]);
+
+      switch (operator) {
+        case '$set':
+          setPath(result, path, cloneDocument(value));
+          break;
+        case '$unset':
+          unsetPath(result, path);
+          break;
+        case '$inc':
+          setPath(result, path, (getPath(result, path) || 0) + value);
+          break;
+        case '$push': {
+          const array = getPath(result, path) || [];
+          setPath(result, path, [...array, ...eachValues(value).map(cloneDocument)]);
+          break;
+        }
+        case '$addToSet': {
+          const array = [...(getPath(result, path) || [])];
+          eachValues(value).forEach(item => {
+            if (!array.some(existing => valuesEqual(existing, item))) array.push(cloneDocument(item));
+          });
+          setPath(result, path, array);
+          break;
+        }
+        case '$pull': {
+          const array = getPath(result, path) || [];
+          setPath(result, path, array.filter(item => !matchesPullCondition(item, value)));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    });
+  });
+
+  return { document: result, paths: [...touched] };
+};
+
+/**
+ * Sort documents by a `{ field: 1 | -1 }` specification
+ */
+export const sortDocuments = (documents, sort) => {
+  if (!sort) return documents;
+  const keys = Object.entries(sort);
+
+  return [...documents].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compareValues(getPath(a, path), getPath(b, path));
+      if (order !== 0) return direction === -1 || direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+const parseSelect = (select) => {
+  if (typeof select === 'string') {
+    return Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field => (
+      field.startsWith('-') ? [field.slice(1), 0] : [field.replace(/^\+/, ''), 1]
+    )));
+  }
+  return select;
+};
+
+/**
+ * Apply a Mongoose-style field selection (`'name email'` or `'-password'`)
+ */
+export const projectDocument = (document, select) => {
+  if (!select || !document) return document;
+
+  const fields = parseSelect(select);
+  const included = Object.entries(fields).filter(([field, flag]) => flag && field !== '_id');
+
+  if (included.length === 0 && !fields._id) {
+    const result = cloneDocument(document);
+    Object.keys(fields).forEach(field => unsetPath(result, field));
+    return result;
+  }
+
+  const result = {};
+  if (fields._id !== 0) result._id = document._id;
+  included.forEach(([field]) => {
+    const value = getPath(document, field);
+    if (value !== undefined) setPath(result, field, cloneDocument(value));
+  });
+  return result;
+};
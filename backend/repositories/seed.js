@@ -0,0 +1,59 @@
+import { db } from './index.js';
+import { hashPassword } from '../utils/password.js';
+
+export const DEMO_USER = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'password123'
+};
+
+/**
+ * Seed a verified demo user with a workspace, space, folder and list so the
+ * in-memory backend is usable right after start-up. Does nothing if the demo
+ * user already exists.
+ */
+export const seedDemoData = async () => {
+  const existing = await db.users.findOne({ email: DEMO_USER.email });
+  if (existing) return existing;
+
+  const user = await db.users.create({
+    name: DEMO_USER.name,
+    email: DEMO_USER.email,
+    password: await hashPassword(DEMO_USER.password),
+    status: 'active',
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+
+  const workspace = await db.workspaces.create({
+    name: 'My First Workspace',
+    description: 'A default workspace for testing',
+    owner: user._id,
+    members: [{ user: user._id, role: 'admin' }]
+  });
+
+  const space = await db.spaces.create({
+    name: 'General Space',
+    description: 'General tasks and discussions',
+    workspace: workspace._id,
+    order: 0
+  });
+
+  const folder = await db.folders.create({
+    name: 'Projects',
+    space: space._id,
+    order: 0
+  });
+
+  const list = await db.lists.create({
+    name: 'To Do',
+    folder: folder._id,
+    order: 0
+  });
+
+  await db.folders.updateById(folder._id, { $push: { lists: list._id } });
+  await db.spaces.updateById(space._id, { $push: { folders: folder._id } });
+  await db.workspaces.updateById(workspace._id, { $push: { spaces: space._id } });
+
+  return db.users.updateById(user._id, { $push: { workspaces: workspace._id } });
+};
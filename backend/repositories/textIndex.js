@@ -0,0 +1,79 @@
+import { getPathValues } from './query.js';
+import { tokenize, parseSearch, scoreFields } from '../utils/textSearch.js';
+
+/**
+ * In-process inverted index over the fields of a schema's text index, the
+ * memory backend's stand-in for MongoDB `$text` queries. The store replaces a
+ * document on every write, so an entry is stale once its document is no
+ * longer the stored one; stale entries are reindexed before each search.
+ */
+class TextIndex {
+  constructor(fields) {
+    this.fields = fields;
+    this.entries = new Map();
+    this.postings = new Map();
+  }
+
+  // Index of the schema's text index with its weights, or null without one
+  static fromSchema(schema) {
+    const textIndex = schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+    if (!textIndex) return null;
+
+    const [fields, options = {}] = textIndex;
+    return new TextIndex(Object.keys(fields)
+      .filter(path => fields[path] === 'text')
+      .map(path => ({ path, weight: options.weights?.[path] ?? 1 })));
+  }
+
+  // Searched fields of a document as `[{ text, weight }]`
+  fieldsOf(document) {
+    return this.fields.map(({ path, weight }) => ({
+      text: getPathValues(document, path).filter(value => typeof value === 'string').join('\n'),
+      weight
+    }));
+  }
+
+  add(id, document) {
+    const terms = new Set(this.fieldsOf(document).flatMap(field => tokenize(field.text).map(token => token.term)));
+    terms.forEach(term => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    });
+    this.entries.set(id, { document, terms });
+  }
+
+  remove(id) {
+    this.entries.get(id).terms.forEach(term => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    });
+    this.entries.delete(id);
+  }
+
+  sync(store) {
+    this.entries.forEach((entry, id) => {
+      if (store.get(id) !== entry.document) this.remove(id);
+    });
+    store.forEach((document, id) => {
+      if (!this.entries.has(id)) this.add(id, document);
+    });
+  }
+
+  /**
+   * Relevance of the stored documents matching a `$search` string, by ID
+   */
+  search(store, text) {
+    this.sync(store);
+    const query = parseSearch(text);
+
+    const scores = new Map();
+    new Set(query.terms.flatMap(term => [...(this.postings.get(term) || [])])).forEach(id => {
+      const score = scoreFields(this.fieldsOf(this.entries.get(id).document), query);
+      if (score > 0) scores.set(id, score);
+    });
+    return scores;
+  }
+}
+
+export default TextIndex;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getWorkspaceForUser, getTaskForUser } from '../utils/hierarchy.js';
+import { listActivityValidation } from '../utils/activityContract.js';
+
+const router = express.Router();
+
+// Get the activity of a workspace, or of one of its tasks, newest first
+router.get('/', listActivityValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { workspaceId, taskId, actor, action, field, source, since, until, page = 1, limit = 50 } = req.query;
+
+    if (!workspaceId && !taskId) {
+      throw new AppError('workspaceId or taskId is required', 400);
+    }
+
+    const filter = {};
+    if (taskId) {
+      const { task } = await getTaskForUser(taskId, req.user);
+      filter.task = task._id;
+    } else {
+      const workspace = await getWorkspaceForUser(workspaceId, req.user);
+      filter.workspace = workspace._id;
+    }
+    if (actor) filter.actor = { $in: actor.split(',') };
+    if (action) filter.action = action;
+    if (field) filter.field = { $in: field.split(',') };
+    if (source) filter.source = source;
+    if (since || until) {
+      filter.createdAt = {
+        ...(since && { $gte: new Date(since) }),
+        ...(until && { $lt: new Date(until) })
+      };
+    }
+
+    const activities = await db.activities.find(filter, {
+      populate: [{ path: 'actor', select: 'name email avatar' }],
+      sort: { createdAt: -1, _id: -1 },
+      limit: limit * 1,
+      skip: (page - 1) * limit
+    });
+
+    const total = await db.activities.count(filter);
+
+    res.json({
+      success: true,
+      data: {
+        activities,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
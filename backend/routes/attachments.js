@@ -0,0 +1,240 @@
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { Buffer } from 'buffer';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getTaskForUser, isWorkspaceAdmin } from '../utils/hierarchy.js';
+import { sameId } from '../utils/ids.js';
+import { ATTACHMENT_TYPES, INLINE_TYPES, getMaxFileSize } from '../utils/attachmentContract.js';
+import { storeUpload, removeAttachmentFiles } from '../services/attachmentService.js';
+import { files } from '../fileStorage/index.js';
+import { emitToRoom } from '../socket.js';
+
+// Mounted under /api/tasks/:taskId/attachments
+const router = express.Router({ mergeParams: true });
+
+const userFields = 'name email avatar';
+
+const attachmentPopulate = [
+  { path: 'attachments.uploadedBy', select: userFields },
+  { path: 'attachments.versions.uploadedBy', select: userFields }
+];
+
+// Take a single file from the `file` field of a multipart form, kept in memory
+const receiveFile = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSize(), files: 1 },
+    fileFilter: (_req, file, callback) => {
+      if (!ATTACHMENT_TYPES.includes(file.mimetype)) {
+        return callback(new AppError(`Files of type ${file.mimetype} cannot be attached`, 400));
+      }
+      // Multer decodes file names as latin1
+      file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+      callback(null, true);
+    }
+  }).single('file')(req, res, next);
+};
+
+const findAttachment = (task, attachmentId) => {
+  const attachment = (task.attachments || []).find(item => sameId(item._id, attachmentId));
+
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404);
+  }
+
+  return attachment;
+};
+
+const loadAttachment = async (taskId, attachmentId) => {
+  const task = await db.tasks.findById(taskId, { select: 'attachments', populate: attachmentPopulate });
+  return findAttachment(task, attachmentId);
+};
+
+const broadcastAttachments = (taskId) => {
+  emitToRoom(`task-${taskId}`, 'attachments-updated', { taskId });
+};
+
+const sendFile = (res, data, { mimeType, name }) => {
+  const disposition = INLINE_TYPES.includes(mimeType) ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': mimeType || 'application/octet-stream',
+    'Content-Length': data.length,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(name)}`,
+    'Cache-Control': 'private, max-age=3600'
+  });
+  res.send(data);
+};
+
+// Attach a file to a task, or to one of its comments with `comment`
+router.post('/', receiveFile, async (req, res, next) => {
+  try {
+    const { task } = await getTaskForUser(req.params.taskId, req.user);
+
+    if (!req.file) {
+      throw new AppError('File is required', 400);
+    }
+
+    let comment = null;
+    if (req.body.comment) {
+      comment = await db.comments.findById(req.body.comment);
+      if (!comment || !sameId(comment.task, task._id) || comment.deletedAt) {
+        throw new AppError('Comment not found', 404);
+      }
+      if (!sameId(comment.user, req.user._id)) {
+        throw new AppError('Only the author can attach files to a comment', 403);
+      }
+    }
+
+    const attachmentId = new mongoose.Types.ObjectId();
+    const stored = await storeUpload(task, attachmentId, 1, req.file);
+
+    await db.tasks.updateById(task._id, {
+      $push: {
+        attachments: {
+          _id: attachmentId,
+          ...stored,
+          originalName: req.file.originalname,
+          url: `/api/tasks/${task._id}/attachments/${attachmentId}`,
+          comment: comment?._id ?? null,
+          version: 1,
+          uploadedBy: req.user._id,
+          uploadedAt: new Date()
+        }
+      }
+    });
+
+    broadcastAttachments(task._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'File attached successfully',
+      data: await loadAttachment(task._id, attachmentId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload a new version of an attachment; earlier versions stay downloadable
+router.post('/:attachmentId/versions', receiveFile, async (req, res, next) => {
+  try {
+    const { task } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findAttachment(task, req.params.attachmentId);
+
+    if (!req.file) {
+      throw new AppError('File is required', 400);
+    }
+    if (existing.comment && !sameId(existing.uploadedBy, req.user._id)) {
+      throw new AppError('Only the author can replace files attached to a comment', 403);
+    }
+
+    const version = existing.version + 1;
+    const stored = await storeUpload(task, existing._id, version, req.file);
+    const previous = {
+      version: existing.version,
+      filename: existing.filename,
+      originalName: existing.originalName,
+      size: existing.size,
+      mimeType: existing.mimeType,
+      thumbnail: existing.thumbnail,
+      uploadedBy: existing.uploadedBy,
+      uploadedAt: existing.uploadedAt
+    };
+
+    await db.tasks.updateById(task._id, {
+      attachments: task.attachments.map(attachment => (sameId(attachment._id, existing._id)
+        ? {
+          ...attachment,
+          ...stored,
+          originalName: req.file.originalname,
+          version,
+          versions: [...(attachment.versions || []), previous],
+          uploadedBy: req.user._id,
+          uploadedAt: new Date()
+        }
+        : attachment))
+    });
+
+    broadcastAttachments(task._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version} uploaded successfully`,
+      data: await loadAttachment(task._id, existing._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download an attachment, or an earlier version of it with `version`
+router.get('/:attachmentId', async (req, res, next) => {
+  try {
+    const { task } = await getTaskForUser(req.params.taskId, req.user);
+    const attachment = findAttachment(task, req.params.attachmentId);
+
+    const requested = req.query.version ? Number(req.query.version) : attachment.version;
+    const file = requested === attachment.version
+      ? attachment
+      : (attachment.versions || []).find(version => version.version === requested);
+
+    if (!file) {
+      throw new AppError('Version not found', 404);
+    }
+
+    const data = await files.get(file.filename);
+    if (!data) {
+      throw new AppError('File not found', 404);
+    }
+
+    sendFile(res, data, { mimeType: file.mimeType, name: file.originalName || attachment.originalName || 'download' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Thumbnail of the current version of an image attachment
+router.get('/:attachmentId/thumbnail', async (req, res, next) => {
+  try {
+    const { task } = await getTaskForUser(req.params.taskId, req.user);
+    const attachment = findAttachment(task, req.params.attachmentId);
+
+    const data = attachment.thumbnail && await files.get(attachment.thumbnail);
+    if (!data) {
+      throw new AppError('Thumbnail not found', 404);
+    }
+
+    sendFile(res, data, { mimeType: 'image/webp', name: 'thumbnail.webp' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an attachment with all of its versions
+router.delete('/:attachmentId', async (req, res, next) => {
+  try {
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const attachment = findAttachment(task, req.params.attachmentId);
+
+    if (!sameId(attachment.uploadedBy, req.user._id) && !isWorkspaceAdmin(workspace, req.user._id)) {
+      throw new AppError('Only the uploader or a workspace admin can delete an attachment', 403);
+    }
+
+    await db.tasks.updateById(task._id, { $pull: { attachments: { _id: attachment._id } } });
+    await removeAttachmentFiles([attachment]);
+
+    broadcastAttachments(task._id);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,62 +1,262 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getWorkspaceForUser, getTaskForUser, isWorkspaceAdmin } from '../utils/hierarchy.js';
+import { sameId } from '../utils/ids.js';
+import {
+  createAutomationValidation,
+  updateAutomationValidation,
+  listRunsValidation
+} from '../utils/automationContract.js';
+import {
+  automationPopulate,
+  validateAutomation,
+  executeAutomation,
+  matchesConditions
+} from '../services/automationService.js';
 
 const router = express.Router();
 
-// Placeholder routes for automations
+const ruleFields = ['name', 'list', 'enabled', 'dryRun', 'trigger', 'conditions', 'actions'];
+
+/**
+ * Load an automation together with its workspace and check access
+ */
+const getAutomationForUser = async (automationId, user) => {
+  const automation = await db.automations.findById(automationId);
+
+  if (!automation) {
+    throw new AppError('Automation not found', 404);
+  }
+
+  const workspace = await getWorkspaceForUser(automation.workspace, user);
+
+  return { automation, workspace };
+};
+
+// Only workspace admins may change the rules that act on everyone's tasks
+const assertCanManage = (workspace, user) => {
+  if (!isWorkspaceAdmin(workspace, user._id)) {
+    throw new AppError('Only workspace admins can manage automations', 403);
+  }
+};
+
+// Get the automations of a workspace, optionally only those of a list
 router.get('/', async (req, res, next) => {
   try {
+    const { workspaceId, listId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getWorkspaceForUser(workspaceId, req.user);
+
+    const filter = { workspace: workspace._id };
+    if (listId) filter.list = listId;
+
+    const automations = await db.automations.find(filter, {
+      populate: automationPopulate,
+      sort: { createdAt: 1 }
+    });
+
     res.json({
       success: true,
-      message: 'Automations endpoint - to be implemented',
-      data: []
+      data: automations
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/', async (req, res, next) => {
+// Create automation
+router.post('/', createAutomationValidation, async (req, res, next) => {
   try {
-    res.json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getWorkspaceForUser(req.body.workspace, req.user);
+    assertCanManage(workspace, req.user);
+
+    const rule = {
+      name: req.body.name,
+      list: req.body.list || null,
+      enabled: req.body.enabled ?? true,
+      dryRun: req.body.dryRun ?? false,
+      trigger: req.body.trigger,
+      conditions: req.body.conditions || [],
+      actions: req.body.actions
+    };
+    await validateAutomation(rule, workspace, req.user);
+
+    const created = await db.automations.create({
+      ...rule,
+      workspace: workspace._id,
+      createdBy: req.user._id
+    });
+
+    const automation = await db.automations.findById(created._id, { populate: automationPopulate });
+
+    res.status(201).json({
       success: true,
-      message: 'Create automation - to be implemented',
-      data: null
+      message: 'Automation created successfully',
+      data: automation
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Get single automation
 router.get('/:id', async (req, res, next) => {
   try {
+    const { automation } = await getAutomationForUser(req.params.id, req.user);
+    const [populatedAutomation] = await db.automations.populate([automation], automationPopulate);
+
     res.json({
       success: true,
-      message: 'Get automation - to be implemented',
-      data: null
+      data: populatedAutomation
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.put('/:id', async (req, res, next) => {
+// Update automation
+router.put('/:id', updateAutomationValidation, async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { automation: existing, workspace } = await getAutomationForUser(req.params.id, req.user);
+    assertCanManage(workspace, req.user);
+
+    const updates = {};
+    ruleFields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (updates.list === '') updates.list = null;
+
+    await validateAutomation({ ...existing, ...updates }, workspace, req.user);
+
+    const automation = await db.automations.updateById(existing._id, updates, { populate: automationPopulate });
+
     res.json({
       success: true,
-      message: 'Update automation - to be implemented',
-      data: null
+      message: 'Automation updated successfully',
+      data: automation
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Delete automation together with its execution log
 router.delete('/:id', async (req, res, next) => {
   try {
+    const { automation, workspace } = await getAutomationForUser(req.params.id, req.user);
+    assertCanManage(workspace, req.user);
+
+    await db.automations.deleteById(automation._id);
+    await db.automationRuns.deleteMany({ automation: automation._id });
+
+    res.json({
+      success: true,
+      message: 'Automation deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the execution log of an automation, newest first
+router.get('/:id/runs', listRunsValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { automation } = await getAutomationForUser(req.params.id, req.user);
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = { automation: automation._id };
+    if (status) filter.status = status;
+
+    const runs = await db.automationRuns.find(filter, {
+      populate: [{ path: 'task', select: 'title' }],
+      sort: { createdAt: -1 },
+      limit: limit * 1,
+      skip: (page - 1) * limit
+    });
+
+    const total = await db.automationRuns.count(filter);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Show what an automation would do to a task, without changing anything
+router.post('/:id/dry-run', [
+  body('task').notEmpty().withMessage('Task is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { automation, workspace } = await getAutomationForUser(req.params.id, req.user);
+    const { task } = await getTaskForUser(req.body.task, req.user);
+
+    if (!sameId(task.workspace, workspace._id)) {
+      throw new AppError('Task not found in this workspace', 400);
+    }
+
+    const matches = (!automation.list || sameId(automation.list, task.list)) &&
+      matchesConditions(automation.conditions, task);
+
+    const run = matches
+      ? await executeAutomation(automation, { task, workspace, trigger: automation.trigger.type, dryRun: true })
+      : null;
+
     res.json({
       success: true,
-      message: 'Delete automation - to be implemented',
-      data: null
+      data: { matches, run }
     });
   } catch (error) {
     next(error);
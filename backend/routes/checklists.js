@@ -0,0 +1,296 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildTask, getDefaultStatus, TASK_LIMITS, taskPopulate } from '../utils/taskContract.js';
+import {
+  CHECKLIST_LIMITS,
+  checklistValidation,
+  createChecklistItemValidation,
+  updateChecklistItemValidation
+} from '../utils/checklistContract.js';
+import { getTaskForUser } from '../utils/hierarchy.js';
+import { sameId } from '../utils/ids.js';
+import { getBottomRank } from '../utils/ranking.js';
+import { nextTaskNumber } from '../utils/taskReferences.js';
+import { getWorkflow } from '../services/workflowService.js';
+import { runTaskAutomations } from '../services/automationService.js';
+import { publishEvent } from '../services/webhookService.js';
+import { recordTaskCreated } from '../services/activityService.js';
+import { emitToRoom } from '../socket.js';
+
+// Mounted under /api/tasks/:taskId/checklists
+const router = express.Router({ mergeParams: true });
+
+const findChecklist = (task, checklistId) => {
+  const checklist = (task.checklists || []).find(item => sameId(item._id, checklistId));
+
+  if (!checklist) {
+    throw new AppError('Checklist not found', 404);
+  }
+
+  return checklist;
+};
+
+const findItem = (checklist, itemId) => {
+  const item = (checklist.items || []).find(entry => sameId(entry._id, itemId));
+
+  if (!item) {
+    throw new AppError('Checklist item not found', 404);
+  }
+
+  return item;
+};
+
+const completion = (completed, user) => (completed
+  ? { completed: true, completedBy: user._id, completedAt: new Date() }
+  : { completed: false, completedBy: null, completedAt: null });
+
+// Checklists of the task with one of them changed, or removed when `change` returns null
+const changeChecklist = (task, checklistId, change) => (task.checklists || [])
+  .map(checklist => (sameId(checklist._id, checklistId) ? change(checklist) : checklist))
+  .filter(Boolean);
+
+/**
+ * Store the task's checklists, tell the workspace and return the stored
+ * version of one of them
+ */
+const saveChecklists = async (task, workspace, user, checklists, checklistId) => {
+  const updatedTask = await db.tasks.updateById(task._id, {
+    checklists,
+    updatedBy: user._id
+  }, { populate: taskPopulate });
+
+  emitToRoom(`workspace-${workspace._id}`, 'task-updated', {
+    task: updatedTask,
+    workspaceId: workspace._id
+  });
+  await publishEvent(workspace._id, 'task.updated', { task: updatedTask });
+
+  return (updatedTask.checklists || []).find(checklist => sameId(checklist._id, checklistId)) ?? null;
+};
+
+// Add a checklist to a task
+router.post('/', checklistValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const checklistId = new mongoose.Types.ObjectId();
+
+    const checklist = await saveChecklists(task, workspace, req.user, [
+      ...(task.checklists || []),
+      { _id: checklistId, name: req.body.name, items: [] }
+    ], checklistId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist created successfully',
+      data: checklist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a checklist
+router.put('/:checklistId', checklistValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findChecklist(task, req.params.checklistId);
+
+    const checklists = changeChecklist(task, existing._id, current => ({ ...current, name: req.body.name }));
+    const checklist = await saveChecklists(task, workspace, req.user, checklists, existing._id);
+
+    res.json({
+      success: true,
+      message: 'Checklist updated successfully',
+      data: checklist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a checklist with all of its items
+router.delete('/:checklistId', async (req, res, next) => {
+  try {
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findChecklist(task, req.params.checklistId);
+
+    await saveChecklists(task, workspace, req.user, changeChecklist(task, existing._id, () => null), existing._id);
+
+    res.json({
+      success: true,
+      message: 'Checklist deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add an item to a checklist
+router.post('/:checklistId/items', createChecklistItemValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findChecklist(task, req.params.checklistId);
+
+    if ((existing.items || []).length >= CHECKLIST_LIMITS.items) {
+      throw new AppError(`A checklist cannot have more than ${CHECKLIST_LIMITS.items} items`, 400);
+    }
+
+    const checklists = changeChecklist(task, existing._id, current => ({
+      ...current,
+      items: [
+        ...(current.items || []),
+        { text: req.body.text, ...completion(Boolean(req.body.completed), req.user) }
+      ]
+    }));
+    const checklist = await saveChecklists(task, workspace, req.user, checklists, existing._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added successfully',
+      data: checklist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit an item or check it off
+router.put('/:checklistId/items/:itemId', updateChecklistItemValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findChecklist(task, req.params.checklistId);
+    const item = findItem(existing, req.params.itemId);
+    const { text, completed } = req.body;
+
+    const updates = {};
+    if (text !== undefined) updates.text = text;
+    // Checking off an already checked item keeps who did it first
+    if (completed !== undefined && completed !== item.completed) {
+      Object.assign(updates, completion(completed, req.user));
+    }
+
+    const checklists = changeChecklist(task, existing._id, current => ({
+      ...current,
+      items: current.items.map(entry => (sameId(entry._id, item._id) ? { ...entry, ...updates } : entry))
+    }));
+    const checklist = await saveChecklists(task, workspace, req.user, checklists, existing._id);
+
+    res.json({
+      success: true,
+      message: 'Item updated successfully',
+      data: checklist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove an item from a checklist
+router.delete('/:checklistId/items/:itemId', async (req, res, next) => {
+  try {
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findChecklist(task, req.params.checklistId);
+    const item = findItem(existing, req.params.itemId);
+
+    const checklists = changeChecklist(task, existing._id, current => ({
+      ...current,
+      items: current.items.filter(entry => !sameId(entry._id, item._id))
+    }));
+    await saveChecklists(task, workspace, req.user, checklists, existing._id);
+
+    res.json({
+      success: true,
+      message: 'Item deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn an item into a subtask of the task; the item leaves the checklist
+router.post('/:checklistId/items/:itemId/convert', async (req, res, next) => {
+  try {
+    const { task, workspace } = await getTaskForUser(req.params.taskId, req.user);
+    const existing = findChecklist(task, req.params.checklistId);
+    const item = findItem(existing, req.params.itemId);
+
+    const workflow = getWorkflow(workspace);
+    const status = getDefaultStatus(workflow);
+    const created = await db.tasks.create(buildTask({
+      title: item.text.slice(0, TASK_LIMITS.title),
+      workspace: workspace._id,
+      number: await nextTaskNumber(workspace._id),
+      list: task.list,
+      parentTask: task._id,
+      status,
+      rank: await getBottomRank(workspace._id, status),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    }, workflow));
+
+    await db.tasks.updateById(task._id, { $push: { subtasks: created._id } });
+    const checklists = changeChecklist(task, existing._id, current => ({
+      ...current,
+      items: current.items.filter(entry => !sameId(entry._id, item._id))
+    }));
+    await saveChecklists(task, workspace, req.user, checklists, existing._id);
+
+    const subtask = await db.tasks.findById(created._id, { populate: taskPopulate });
+    await recordTaskCreated(subtask, { actor: req.user });
+    emitToRoom(`workspace-${workspace._id}`, 'task-created', {
+      task: subtask,
+      workspaceId: workspace._id
+    });
+    await publishEvent(workspace._id, 'task.created', { task: subtask });
+    const converted = await runTaskAutomations(subtask, workspace, [['task-created', {}]]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Item converted to a subtask',
+      data: converted
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
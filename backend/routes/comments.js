@@ -0,0 +1,178 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { updateCommentValidation, reactionValidation } from '../utils/commentContract.js';
+import { getCommentForUser, isWorkspaceAdmin } from '../utils/hierarchy.js';
+import { sameId, idOf } from '../utils/ids.js';
+import {
+  commentSelect,
+  commentPopulate,
+  resolveMentions,
+  notifyMentions,
+  broadcastCommentUpdate
+} from '../services/commentService.js';
+import { removeAttachmentFiles } from '../services/attachmentService.js';
+import { emitToRoom } from '../socket.js';
+
+// Comments are created and listed under /api/tasks/:id/comments
+const router = express.Router();
+
+const loadComment = (id) => db.comments.findById(id, { select: commentSelect, populate: commentPopulate });
+
+// Edit a comment; the previous content is kept in its history
+router.put('/:id', updateCommentValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { comment: existing, task, workspace } = await getCommentForUser(req.params.id, req.user);
+
+    if (!sameId(existing.user, req.user._id)) {
+      throw new AppError('Only the author can edit a comment', 403);
+    }
+    if (existing.deletedAt) {
+      throw new AppError('Deleted comments cannot be edited', 400);
+    }
+
+    const { content } = req.body;
+    if (content === existing.content) {
+      return res.json({ success: true, message: 'Comment unchanged', data: await loadComment(existing._id) });
+    }
+
+    const mentions = await resolveMentions(workspace, content);
+    const editedAt = new Date();
+
+    await db.comments.updateById(existing._id, {
+      content,
+      mentions,
+      editedAt,
+      $push: { edits: { content: existing.content, editedAt } }
+    });
+
+    const comment = await loadComment(existing._id);
+    broadcastCommentUpdate(comment, task._id);
+
+    // Only people who were not mentioned before hear about it
+    const previous = new Set((existing.mentions || []).map(idOf));
+    await notifyMentions(comment, mentions.filter(userId => !previous.has(idOf(userId))), {
+      task,
+      workspace,
+      author: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a comment. It stays in place without content so replies keep their thread.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { comment: existing, task, workspace } = await getCommentForUser(req.params.id, req.user);
+
+    if (!sameId(existing.user, req.user._id) && !isWorkspaceAdmin(workspace, req.user._id)) {
+      throw new AppError('Only the author or a workspace admin can delete a comment', 403);
+    }
+    if (existing.deletedAt) {
+      throw new AppError('Comment already deleted', 400);
+    }
+
+    await db.comments.updateById(existing._id, {
+      content: '',
+      mentions: [],
+      reactions: [],
+      edits: [],
+      deletedAt: new Date()
+    });
+
+    // Files attached to the comment go with its content
+    const attachments = (task.attachments || []).filter(attachment => sameId(attachment.comment, existing._id));
+    if (attachments.length > 0) {
+      await db.tasks.updateById(task._id, { $pull: { attachments: { comment: existing._id } } });
+      await removeAttachmentFiles(attachments);
+      emitToRoom(`task-${task._id}`, 'attachments-updated', { taskId: task._id });
+    }
+
+    const comment = await loadComment(existing._id);
+    broadcastCommentUpdate(comment, task._id);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the previous versions of a comment, oldest first
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const { comment } = await getCommentForUser(req.params.id, req.user, { select: 'task content edits editedAt' });
+
+    res.json({
+      success: true,
+      data: {
+        current: { content: comment.content, editedAt: comment.editedAt },
+        revisions: comment.edits || []
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add the user's reaction with an emoji, or take it back if already there
+router.post('/:id/reactions', reactionValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { comment: existing, task } = await getCommentForUser(req.params.id, req.user);
+
+    if (existing.deletedAt) {
+      throw new AppError('Cannot react to a deleted comment', 400);
+    }
+
+    const { emoji } = req.body;
+    const reacted = (existing.reactions || []).some(reaction => (
+      reaction.emoji === emoji && sameId(reaction.user, req.user._id)
+    ));
+
+    await db.comments.updateById(existing._id, reacted
+      ? { $pull: { reactions: { emoji, user: req.user._id } } }
+      : { $push: { reactions: { emoji, user: req.user._id } } });
+
+    const comment = await loadComment(existing._id);
+    broadcastCommentUpdate(comment, task._id);
+
+    res.json({
+      success: true,
+      message: reacted ? 'Reaction removed' : 'Reaction added',
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,192 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getWorkspaceForUser, getListForUser, isWorkspaceAdmin } from '../utils/hierarchy.js';
+import { sameId } from '../utils/ids.js';
+import {
+  OPTION_TYPES,
+  DEFAULT_CURRENCY,
+  createCustomFieldValidation,
+  updateCustomFieldValidation
+} from '../utils/customFieldContract.js';
+import {
+  getFieldsForList,
+  validateFieldDefinition,
+  renameFormulaReferences
+} from '../services/customFieldService.js';
+
+const router = express.Router();
+
+/**
+ * Load a custom field together with its workspace and check access
+ */
+const getFieldForUser = async (fieldId, user) => {
+  const field = await db.customFields.findById(fieldId);
+
+  if (!field) {
+    throw new AppError('Custom field not found', 404);
+  }
+
+  const workspace = await getWorkspaceForUser(field.workspace, user);
+
+  return { field, workspace };
+};
+
+// Fields change what every task of the workspace holds, so only admins define them
+const assertCanManage = (workspace, user) => {
+  if (!isWorkspaceAdmin(workspace, user._id)) {
+    throw new AppError('Only workspace admins can manage custom fields', 403);
+  }
+};
+
+// Get the custom fields of a workspace; with listId, only those that apply to that list
+router.get('/', async (req, res, next) => {
+  try {
+    const { workspaceId, listId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getWorkspaceForUser(workspaceId, req.user);
+
+    const fields = listId
+      ? await getFieldsForList(workspace._id, listId)
+      : await db.customFields.find({ workspace: workspace._id }, { sort: { order: 1, createdAt: 1 } });
+
+    res.json({
+      success: true,
+      data: fields
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Define a custom field for a workspace, or for one of its lists
+router.post('/', createCustomFieldValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getWorkspaceForUser(req.body.workspace, req.user);
+    assertCanManage(workspace, req.user);
+
+    if (req.body.list) {
+      const { workspace: listWorkspace } = await getListForUser(req.body.list, req.user);
+      if (!sameId(listWorkspace._id, workspace._id)) {
+        throw new AppError('List not found in this workspace', 400);
+      }
+    }
+
+    const { name, type, options = [], currency = DEFAULT_CURRENCY, formula = '' } = req.body;
+    const field = {
+      name,
+      type,
+      workspace: workspace._id,
+      list: req.body.list || null,
+      options: OPTION_TYPES.includes(type) ? options : [],
+      currency,
+      formula: type === 'formula' ? formula : ''
+    };
+    await validateFieldDefinition(field);
+
+    const order = req.body.order ?? await db.customFields.count({ workspace: workspace._id });
+    const created = await db.customFields.create({ ...field, order, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a custom field; its type and list stay as they are
+router.put('/:id', updateCustomFieldValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { field: existing, workspace } = await getFieldForUser(req.params.id, req.user);
+    assertCanManage(workspace, req.user);
+
+    const updates = {};
+    ['name', 'currency', 'order'].forEach(key => {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    });
+    if (req.body.options !== undefined && OPTION_TYPES.includes(existing.type)) updates.options = req.body.options;
+    if (req.body.formula !== undefined && existing.type === 'formula') updates.formula = req.body.formula;
+
+    await validateFieldDefinition({ ...existing, ...updates }, { excludeId: existing._id });
+
+    const field = await db.customFields.updateById(existing._id, updates);
+
+    if (updates.name && updates.name !== existing.name) {
+      await renameFormulaReferences(workspace._id, existing.name, updates.name);
+    }
+
+    // Tasks keep only values that are still options of the field, trashed ones included
+    if (updates.options) {
+      const optionIds = field.options.map(option => String(option._id));
+      const tasks = await db.tasks.find({ 'customFields.field': existing._id }, { select: '_id customFields', withTrashed: true });
+      for (const task of tasks) {
+        const customFields = task.customFields
+          .map(entry => {
+            if (!sameId(entry.field, existing._id)) return entry;
+            const kept = [].concat(entry.value).filter(value => optionIds.includes(String(value)));
+            if (kept.length === 0) return null;
+            return { ...entry, value: existing.type === 'labels' ? kept : kept[0] };
+          })
+          .filter(Boolean);
+        await db.tasks.updateById(task._id, { customFields });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: field
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a custom field together with the values tasks hold for it
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { field, workspace } = await getFieldForUser(req.params.id, req.user);
+    assertCanManage(workspace, req.user);
+
+    await db.customFields.deleteById(field._id);
+    await db.tasks.updateMany(
+      { 'customFields.field': field._id },
+      { $pull: { customFields: { field: field._id } } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Custom field deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
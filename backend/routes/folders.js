@@ -0,0 +1,192 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import {
+  getSpaceForUser,
+  getFolderForUser,
+  applyOrder
+} from '../utils/hierarchy.js';
+import { trashItem } from '../services/trashService.js';
+
+const router = express.Router();
+
+const populateLists = { path: 'lists', options: { sort: { order: 1 } } };
+
+// Get folders for a space
+router.get('/', [
+  query('space').notEmpty().withMessage('Space ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { space } = await getSpaceForUser(req.query.space, req.user);
+
+    const folders = await db.folders.find({ space: space._id }, {
+      populate: populateLists,
+      sort: { order: 1, createdAt: 1 }
+    });
+
+    res.json({
+      success: true,
+      data: folders
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create folder
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Folder name is required and cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('space').notEmpty().withMessage('Space ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, color, icon, settings } = req.body;
+    const { space } = await getSpaceForUser(req.body.space, req.user);
+
+    const order = await db.folders.count({ space: space._id });
+
+    const folder = await db.folders.create({
+      name,
+      description,
+      space: space._id,
+      color,
+      icon,
+      settings,
+      order
+    });
+
+    await db.spaces.updateById(space._id, { $push: { folders: folder._id } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reorder folders within a space
+router.put('/reorder', [
+  body('space').notEmpty().withMessage('Space ID is required'),
+  body('folderIds').isArray({ min: 1 }).withMessage('Folder IDs must be a non-empty array')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { space } = await getSpaceForUser(req.body.space, req.user);
+
+    await applyOrder(db.folders, { space: space._id }, req.body.folderIds);
+
+    const folders = await db.folders.find({ space: space._id }, { sort: { order: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Folders reordered successfully',
+      data: folders
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single folder with its lists
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { folder } = await getFolderForUser(req.params.id, req.user);
+
+    const [populatedFolder] = await db.folders.populate([folder], populateLists);
+
+    res.json({
+      success: true,
+      data: populatedFolder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update folder
+router.put('/:id', [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Folder name cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { folder } = await getFolderForUser(req.params.id, req.user);
+    const { name, description, color, icon, settings, order } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (color !== undefined) updates.color = color;
+    if (icon !== undefined) updates.icon = icon;
+    if (settings !== undefined) {
+      Object.entries(settings).forEach(([key, value]) => { updates[`settings.${key}`] = value; });
+    }
+    if (order !== undefined) updates.order = order;
+
+    const updatedFolder = await db.folders.updateById(folder._id, updates);
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully',
+      data: updatedFolder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move folder to the trash along with its lists and tasks
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { folder } = await getFolderForUser(req.params.id, req.user);
+
+    await trashItem('folder', folder, req.user);
+
+    res.json({
+      success: true,
+      message: 'Folder moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
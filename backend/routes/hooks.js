@@ -0,0 +1,73 @@
+import express from 'express';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { verifyGithubSignature, handleGithubEvent } from '../services/githubService.js';
+import { verifyChatSignature } from '../services/slackService.js';
+import { handleChatCommand } from '../services/slackCommandService.js';
+
+const router = express.Router();
+
+// Receive the events of a connected GitHub repository or organization
+router.post('/github/:integrationId', async (req, res, next) => {
+  try {
+    const integration = await db.integrations.findById(req.params.integrationId);
+
+    if (!integration || integration.provider !== 'github') {
+      throw new AppError('Integration not found', 404);
+    }
+
+    if (!verifyGithubSignature(integration.secret, req.rawBody, req.get('X-Hub-Signature-256'))) {
+      throw new AppError('Invalid signature', 401);
+    }
+
+    const event = req.get('X-GitHub-Event');
+
+    if (!integration.active || event === 'ping') {
+      return res.json({
+        success: true,
+        message: integration.active ? 'Pong' : 'Integration is paused',
+        data: null
+      });
+    }
+
+    const result = await handleGithubEvent(integration, event, req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Slash commands of a Slack-compatible chat. The chat shows the JSON answer
+// as it is, so it is not wrapped like other responses.
+router.post('/slack/:integrationId', async (req, res, next) => {
+  try {
+    const integration = await db.integrations.findById(req.params.integrationId);
+
+    if (!integration || integration.provider !== 'slack') {
+      throw new AppError('Integration not found', 404);
+    }
+
+    const signed = verifyChatSignature(integration.secret, {
+      rawBody: req.rawBody,
+      timestamp: req.get('X-Slack-Request-Timestamp'),
+      signature: req.get('X-Slack-Signature')
+    });
+    if (!signed) {
+      throw new AppError('Invalid signature', 401);
+    }
+
+    if (!integration.active) {
+      return res.json({ response_type: 'ephemeral', text: 'This integration is paused.' });
+    }
+
+    res.json(await handleChatCommand(integration, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
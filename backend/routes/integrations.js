@@ -1,49 +1,500 @@
 import express from 'express';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+  getWorkspaceForUser,
+  getListForUser,
+  getTaskForUser,
+  hasWorkspaceAccess,
+  isWorkspaceAdmin
+} from '../utils/hierarchy.js';
+import { isValidStatus } from '../utils/taskContract.js';
+import { sameId } from '../utils/ids.js';
+import {
+  createWebhookValidation,
+  updateWebhookValidation,
+  listDeliveriesValidation
+} from '../utils/webhookContract.js';
+import {
+  saveGithubIntegrationValidation,
+  saveSlackIntegrationValidation,
+  listGithubLinksValidation
+} from '../utils/integrationContract.js';
+import { generateSecret, redeliver } from '../services/webhookService.js';
+import { getWorkflow } from '../services/workflowService.js';
+import { postChatMessage } from '../services/slackService.js';
 
 const router = express.Router();
 
-// Placeholder routes for integrations
+/**
+ * Load a workspace and make sure the user administers it; webhooks and
+ * integrations see every change of a workspace, so only admins may manage them
+ */
+const getAdminWorkspace = async (workspaceId, user, subject = 'webhooks') => {
+  const workspace = await getWorkspaceForUser(workspaceId, user);
+
+  if (!isWorkspaceAdmin(workspace, user._id)) {
+    throw new AppError(`Only workspace admins can manage ${subject}`, 403);
+  }
+
+  return workspace;
+};
+
+const getWebhookForAdmin = async (webhookId, user) => {
+  const webhook = await db.webhooks.findById(webhookId);
+
+  if (!webhook) {
+    throw new AppError('Webhook not found', 404);
+  }
+
+  const workspace = await getAdminWorkspace(webhook.workspace, user);
+
+  return { webhook, workspace };
+};
+
+const getIntegrationForAdmin = async (integrationId, user) => {
+  const integration = await db.integrations.findById(integrationId);
+
+  if (!integration) {
+    throw new AppError('Integration not found', 404);
+  }
+
+  await getAdminWorkspace(integration.workspace, user, 'integrations');
+
+  return integration;
+};
+
+// Get the webhooks of a workspace
+router.get('/webhooks', async (req, res, next) => {
+  try {
+    const { workspaceId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getAdminWorkspace(workspaceId, req.user);
+    const webhooks = await db.webhooks.find({ workspace: workspace._id }, { sort: { createdAt: 1 } });
+
+    res.json({
+      success: true,
+      data: webhooks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Register a webhook; its signing secret is generated here
+router.post('/webhooks', createWebhookValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { workspace: workspaceId, url, events, active = true } = req.body;
+    const workspace = await getAdminWorkspace(workspaceId, req.user);
+
+    const webhook = await db.webhooks.create({
+      workspace: workspace._id,
+      url,
+      events: [...new Set(events)],
+      active,
+      secret: generateSecret(),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a webhook's URL, events or active state
+router.put('/webhooks/:id', updateWebhookValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { webhook: existing } = await getWebhookForAdmin(req.params.id, req.user);
+    const { url, events, active } = req.body;
+
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (events !== undefined) updates.events = [...new Set(events)];
+    if (active !== undefined) updates.active = active;
+
+    const webhook = await db.webhooks.updateById(existing._id, updates);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the signing secret, e.g. after it leaked
+router.post('/webhooks/:id/secret', async (req, res, next) => {
+  try {
+    const { webhook: existing } = await getWebhookForAdmin(req.params.id, req.user);
+
+    const webhook = await db.webhooks.updateById(existing._id, { secret: generateSecret() });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a webhook together with its delivery log
+router.delete('/webhooks/:id', async (req, res, next) => {
+  try {
+    const { webhook } = await getWebhookForAdmin(req.params.id, req.user);
+
+    await db.webhooks.deleteById(webhook._id);
+    await db.webhookDeliveries.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the delivery log of a webhook, newest first
+router.get('/webhooks/:id/deliveries', listDeliveriesValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { webhook } = await getWebhookForAdmin(req.params.id, req.user);
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const filter = { webhook: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const deliveries = await db.webhookDeliveries.find(filter, {
+      sort: { createdAt: -1 },
+      limit: limit * 1,
+      skip: (page - 1) * limit
+    });
+
+    const total = await db.webhookDeliveries.count(filter);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a delivery again with the same payload; answers once the attempt is done
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const { webhook } = await getWebhookForAdmin(req.params.id, req.user);
+
+    const delivery = await db.webhookDeliveries.findById(req.params.deliveryId);
+    if (!delivery || !sameId(delivery.webhook, webhook._id)) {
+      throw new AppError('Delivery not found', 404);
+    }
+
+    const redelivery = await redeliver(delivery, webhook);
+
+    res.status(201).json({
+      success: true,
+      message: redelivery?.status === 'success' ? 'Delivery sent successfully' : 'Delivery failed, it will be retried',
+      data: redelivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the integrations connected to a workspace
 router.get('/', async (req, res, next) => {
   try {
+    const { workspaceId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getAdminWorkspace(workspaceId, req.user, 'integrations');
+    const integrations = await db.integrations.find({ workspace: workspace._id }, { sort: { createdAt: 1 } });
+
     res.json({
       success: true,
-      message: 'Integrations endpoint - to be implemented',
-      data: []
+      data: integrations
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/slack', async (req, res, next) => {
+// Connect GitHub to a workspace, or change its transitions
+router.post('/github', saveGithubIntegrationValidation, async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getAdminWorkspace(req.body.workspace, req.user, 'integrations');
+    const { transitions, active } = req.body;
+
+    const workflow = getWorkflow(workspace);
+    const invalid = (transitions || []).find(transition => !isValidStatus(workflow, transition.status));
+    if (invalid) {
+      throw new AppError(`Invalid status: ${invalid.status}`, 400);
+    }
+
+    const existing = await db.integrations.findOne({ workspace: workspace._id, provider: 'github' });
+
+    const updates = {};
+    if (transitions !== undefined) updates['github.transitions'] = transitions;
+    if (active !== undefined) updates.active = active;
+
+    const integration = existing
+      ? await db.integrations.updateById(existing._id, updates)
+      : await db.integrations.create({
+        workspace: workspace._id,
+        provider: 'github',
+        secret: generateSecret(),
+        active: active ?? true,
+        github: { transitions: transitions || [] },
+        createdBy: req.user._id
+      });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'GitHub settings updated successfully' : 'GitHub connected successfully',
+      data: integration
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the commits and pull requests that refer to a task
+router.get('/github/links', listGithubLinksValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task } = await getTaskForUser(req.query.taskId, req.user);
+    const links = await db.githubLinks.find({ task: task._id }, { sort: { createdAt: -1 } });
+
     res.json({
       success: true,
-      message: 'Slack integration - to be implemented',
-      data: null
+      data: links
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/google-drive', async (req, res, next) => {
+// Generate a new secret to sign GitHub events with
+router.post('/github/:id/secret', async (req, res, next) => {
   try {
+    const integration = await getIntegrationForAdmin(req.params.id, req.user);
+    const updated = await db.integrations.updateById(integration._id, { secret: generateSecret() });
+
     res.json({
       success: true,
-      message: 'Google Drive integration - to be implemented',
-      data: null
+      message: 'Secret rotated successfully',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Disconnect GitHub; links already made stay on their tasks
+router.delete('/github/:id', async (req, res, next) => {
+  try {
+    const integration = await getIntegrationForAdmin(req.params.id, req.user);
+    await db.integrations.deleteById(integration._id);
+
+    res.json({
+      success: true,
+      message: 'GitHub disconnected successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Connect a Slack-compatible chat to a workspace, or change its settings
+router.post('/slack', saveSlackIntegrationValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getAdminWorkspace(req.body.workspace, req.user, 'integrations');
+    const { signingSecret, webhookUrl, events, defaultList, members, active } = req.body;
+
+    if (defaultList) {
+      const { workspace: listWorkspace } = await getListForUser(defaultList, req.user);
+      if (!sameId(listWorkspace._id, workspace._id)) {
+        throw new AppError('List not found in this workspace', 400);
+      }
+    }
+
+    if (members) {
+      const stranger = members.find(member => !hasWorkspaceAccess(workspace, member.user));
+      if (stranger) {
+        throw new AppError('Chat accounts can only be linked to workspace members', 400);
+      }
+      if (new Set(members.map(member => member.chatUserId)).size !== members.length) {
+        throw new AppError('Each chat account can only be linked once', 400);
+      }
+    }
+
+    const existing = await db.integrations.findOne({ workspace: workspace._id, provider: 'slack' });
+
+    if (!existing && !signingSecret) {
+      throw new AppError('Signing secret is required', 400);
+    }
+
+    const updates = {};
+    if (signingSecret !== undefined) updates.secret = signingSecret;
+    if (active !== undefined) updates.active = active;
+    if (webhookUrl !== undefined) updates['slack.webhookUrl'] = webhookUrl || null;
+    if (events !== undefined) updates['slack.events'] = events;
+    if (defaultList !== undefined) updates['slack.defaultList'] = defaultList || null;
+    if (members !== undefined) updates['slack.members'] = members;
+
+    const integration = existing
+      ? await db.integrations.updateById(existing._id, updates)
+      : await db.integrations.create({
+        workspace: workspace._id,
+        provider: 'slack',
+        secret: signingSecret,
+        active: active ?? true,
+        slack: {
+          webhookUrl: webhookUrl || null,
+          events: events || [],
+          defaultList: defaultList || null,
+          members: members || []
+        },
+        createdBy: req.user._id
+      });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Chat settings updated successfully' : 'Chat connected successfully',
+      data: integration
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/github', async (req, res, next) => {
+// Post a test message to the chat's incoming webhook
+router.post('/slack/:id/test', async (req, res, next) => {
   try {
+    const integration = await getIntegrationForAdmin(req.params.id, req.user);
+
+    if (!integration.slack?.webhookUrl) {
+      throw new AppError('Set an incoming webhook URL first', 400);
+    }
+
+    try {
+      await postChatMessage(integration.slack.webhookUrl, {
+        text: `${req.user.name} connected this channel to task notifications`
+      });
+    } catch (error) {
+      throw new AppError(`Test message failed: ${error.message}`, 502);
+    }
+
     res.json({
       success: true,
-      message: 'GitHub integration - to be implemented',
+      message: 'Test message sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Disconnect the chat
+router.delete('/slack/:id', async (req, res, next) => {
+  try {
+    const integration = await getIntegrationForAdmin(req.params.id, req.user);
+    await db.integrations.deleteById(integration._id);
+
+    res.json({
+      success: true,
+      message: 'Chat disconnected successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Placeholder routes for the remaining integrations
+router.post('/google-drive', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Google Drive integration - to be implemented',
       data: null
     });
   } catch (error) {
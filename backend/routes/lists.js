@@ -0,0 +1,248 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sameId } from '../utils/ids.js';
+import {
+  getFolderForUser,
+  getListForUser,
+  applyOrder
+} from '../utils/hierarchy.js';
+import { trashItem } from '../services/trashService.js';
+
+const router = express.Router();
+
+// Get lists for a folder
+router.get('/', [
+  query('folder').notEmpty().withMessage('Folder ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { folder } = await getFolderForUser(req.query.folder, req.user);
+
+    const lists = await db.lists.find({ folder: folder._id }, { sort: { order: 1, createdAt: 1 } });
+
+    res.json({
+      success: true,
+      data: lists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create list
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('List name is required and cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('folder').notEmpty().withMessage('Folder ID is required'),
+  body('settings.defaultView').optional().isIn(['list', 'kanban', 'calendar', 'gantt']).withMessage('Invalid default view')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, color, icon, settings } = req.body;
+    const { folder } = await getFolderForUser(req.body.folder, req.user);
+
+    const order = await db.lists.count({ folder: folder._id });
+
+    const list = await db.lists.create({
+      name,
+      description,
+      folder: folder._id,
+      color,
+      icon,
+      settings,
+      order
+    });
+
+    await db.folders.updateById(folder._id, { $push: { lists: list._id } });
+
+    res.status(201).json({
+      success: true,
+      message: 'List created successfully',
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reorder lists within a folder
+router.put('/reorder', [
+  body('folder').notEmpty().withMessage('Folder ID is required'),
+  body('listIds').isArray({ min: 1 }).withMessage('List IDs must be a non-empty array')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { folder } = await getFolderForUser(req.body.folder, req.user);
+
+    await applyOrder(db.lists, { folder: folder._id }, req.body.listIds);
+
+    const lists = await db.lists.find({ folder: folder._id }, { sort: { order: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Lists reordered successfully',
+      data: lists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single list
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { list, folder, space } = await getListForUser(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        ...list,
+        folder: { _id: folder._id, name: folder.name },
+        space: { _id: space._id, name: space.name }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update list
+router.put('/:id', [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('List name cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer'),
+  body('settings.defaultView').optional().isIn(['list', 'kanban', 'calendar', 'gantt']).withMessage('Invalid default view')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { list } = await getListForUser(req.params.id, req.user);
+    const { name, description, color, icon, settings, order } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (color !== undefined) updates.color = color;
+    if (icon !== undefined) updates.icon = icon;
+    if (settings !== undefined) {
+      Object.entries(settings).forEach(([key, value]) => { updates[`settings.${key}`] = value; });
+    }
+    if (order !== undefined) updates.order = order;
+
+    const updatedList = await db.lists.updateById(list._id, updates);
+
+    res.json({
+      success: true,
+      message: 'List updated successfully',
+      data: updatedList
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move list to another folder (optionally at a given position)
+router.put('/:id/move', [
+  body('folder').notEmpty().withMessage('Target folder ID is required'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { list, folder: sourceFolder, workspace } = await getListForUser(req.params.id, req.user);
+    const { folder: targetFolder, workspace: targetWorkspace } = await getFolderForUser(req.body.folder, req.user);
+
+    if (!sameId(workspace, targetWorkspace)) {
+      throw new AppError('Lists can only be moved within the same workspace', 400);
+    }
+
+    // Detach from the source folder and close the gap it leaves behind
+    if (!sameId(sourceFolder, targetFolder)) {
+      await db.folders.updateById(sourceFolder._id, { $pull: { lists: list._id } });
+
+      const remaining = await db.lists.find({ folder: sourceFolder._id, _id: { $ne: list._id } }, { sort: { order: 1 } });
+      await applyOrder(db.lists, { folder: sourceFolder._id, _id: { $ne: list._id } }, remaining.map(doc => doc._id));
+    }
+
+    // Insert into the target folder at the requested position
+    const siblings = await db.lists.find({ folder: targetFolder._id, _id: { $ne: list._id } }, { sort: { order: 1 } });
+    const siblingIds = siblings.map(doc => doc._id);
+    const position = req.body.order === undefined
+      ? siblingIds.length
+      : Math.min(req.body.order, siblingIds.length);
+    siblingIds.splice(position, 0, list._id);
+
+    await db.lists.updateById(list._id, { folder: targetFolder._id });
+    await db.folders.updateById(targetFolder._id, { $addToSet: { lists: list._id } });
+
+    await applyOrder(db.lists, { folder: targetFolder._id }, siblingIds);
+
+    const movedList = await db.lists.findById(list._id);
+
+    res.json({
+      success: true,
+      message: 'List moved successfully',
+      data: movedList
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move list to the trash along with its tasks
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { list } = await getListForUser(req.params.id, req.user);
+
+    await trashItem('list', list, req.user);
+
+    res.json({
+      success: true,
+      message: 'List moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
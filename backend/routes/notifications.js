@@ -0,0 +1,110 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { listNotificationsValidation } from '../utils/notificationContract.js';
+import { notificationPopulate } from '../services/notificationService.js';
+
+// Preferences live under /api/users/notifications
+const router = express.Router();
+
+// Get the user's notifications, newest first
+router.get('/', listNotificationsValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, unread, type } = req.query;
+
+    const filter = { recipient: req.user._id };
+    if (unread === 'true') filter.read = false;
+    if (type) filter.type = type;
+
+    const notifications = await db.notifications.find(filter, {
+      populate: notificationPopulate,
+      sort: { createdAt: -1 },
+      limit: limit * 1,
+      skip: (page - 1) * limit
+    });
+
+    const total = await db.notifications.count(filter);
+    const unreadCount = await db.notifications.count({ recipient: req.user._id, read: false });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark every notification as read
+router.put('/read-all', async (req, res, next) => {
+  try {
+    const updated = await db.notifications.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a notification as read, or unread again with `read: false`
+router.put('/:id/read', [
+  body('read').optional().isBoolean().withMessage('read must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await db.notifications.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!existing) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    const read = req.body.read ?? true;
+    const notification = await db.notifications.updateById(existing._id, {
+      read,
+      readAt: read ? new Date() : null
+    }, { populate: notificationPopulate });
+
+    res.json({
+      success: true,
+      message: read ? 'Notification marked as read' : 'Notification marked as unread',
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { searchValidation, SEARCH_TYPES, SEARCH_LIMITS } from '../utils/searchContract.js';
+import { search } from '../services/searchService.js';
+
+const router = express.Router();
+
+// Search the user's workspaces, or the one given as workspaceId, ranked by relevance
+router.get('/', searchValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { q, workspaceId, types, limit } = req.query;
+
+    const results = await search(q, req.user, {
+      workspaceId,
+      types: types ? String(types).split(',') : SEARCH_TYPES,
+      limit: limit ? parseInt(limit) : SEARCH_LIMITS.defaultResults
+    });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
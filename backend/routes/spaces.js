@@ -0,0 +1,195 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import {
+  getWorkspaceForUser,
+  getSpaceForUser,
+  applyOrder
+} from '../utils/hierarchy.js';
+import { trashItem } from '../services/trashService.js';
+
+const router = express.Router();
+
+const populateHierarchy = {
+  path: 'folders',
+  options: { sort: { order: 1 } },
+  populate: {
+    path: 'lists',
+    options: { sort: { order: 1 } }
+  }
+};
+
+// Get spaces for a workspace
+router.get('/', [
+  query('workspace').notEmpty().withMessage('Workspace ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getWorkspaceForUser(req.query.workspace, req.user);
+
+    const spaces = await db.spaces.find({ workspace: workspace._id }, {
+      populate: populateHierarchy,
+      sort: { order: 1, createdAt: 1 }
+    });
+
+    res.json({
+      success: true,
+      data: spaces
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create space
+router.post('/', [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Space name must be between 2 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('workspace').notEmpty().withMessage('Workspace ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description = '', color, icon } = req.body;
+    const workspace = await getWorkspaceForUser(req.body.workspace, req.user);
+
+    const order = await db.spaces.count({ workspace: workspace._id });
+
+    const space = await db.spaces.create({
+      name,
+      description,
+      workspace: workspace._id,
+      color,
+      icon,
+      order
+    });
+
+    await db.workspaces.updateById(workspace._id, { $push: { spaces: space._id } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Space created successfully',
+      data: space
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reorder spaces within a workspace
+router.put('/reorder', [
+  body('workspace').notEmpty().withMessage('Workspace ID is required'),
+  body('spaceIds').isArray({ min: 1 }).withMessage('Space IDs must be a non-empty array')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getWorkspaceForUser(req.body.workspace, req.user);
+
+    await applyOrder(db.spaces, { workspace: workspace._id }, req.body.spaceIds);
+
+    const spaces = await db.spaces.find({ workspace: workspace._id }, { sort: { order: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Spaces reordered successfully',
+      data: spaces
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single space with its folders and lists
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { space } = await getSpaceForUser(req.params.id, req.user);
+
+    const [populatedSpace] = await db.spaces.populate([space], populateHierarchy);
+
+    res.json({
+      success: true,
+      data: populatedSpace
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update space
+router.put('/:id', [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Space name must be between 2 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { space } = await getSpaceForUser(req.params.id, req.user);
+    const { name, description, color, icon, order } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (color !== undefined) updates.color = color;
+    if (icon !== undefined) updates.icon = icon;
+    if (order !== undefined) updates.order = order;
+
+    const updatedSpace = await db.spaces.updateById(space._id, updates);
+
+    res.json({
+      success: true,
+      message: 'Space updated successfully',
+      data: updatedSpace
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move space to the trash along with its folders, lists and tasks
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { space } = await getSpaceForUser(req.params.id, req.user);
+
+    await trashItem('space', space, req.user);
+
+    res.json({
+      success: true,
+      message: 'Space moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,25 +1,127 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Task from '../models/Task.js';
-import Comment from '../models/Comment.js';
-import List from '../models/List.js';
+import { db } from '../repositories/index.js';
 import { AppError } from '../middleware/errorHandler.js';
-import { io } from '../server.js';
+import {
+  createTaskValidation,
+  updateTaskValidation,
+  buildTask,
+  toAssignees,
+  isValidStatus,
+  isValidPriority,
+  getDefaultStatus,
+  STATUS_CATEGORIES,
+  WORKFLOW_KEY_PATTERN,
+  DEPENDENCY_TYPES,
+  bulkTaskValidation,
+  userFields,
+  taskPopulate
+} from '../utils/taskContract.js';
+import { rankBetween, getBottomRank, rebalanceColumn } from '../utils/ranking.js';
+import { nextTaskNumber } from '../utils/taskReferences.js';
+import {
+  getListForUser,
+  getTaskForUser,
+  getWorkspaceForUser
+} from '../utils/hierarchy.js';
+import { sameId, idOf } from '../utils/ids.js';
+import { escapeRegExp } from '../utils/textSearch.js';
+import { getWorkflow, getStatusKeys } from '../services/workflowService.js';
+import {
+  wouldCreateCycle,
+  rescheduleDependents,
+  getCriticalPath
+} from '../services/schedulingService.js';
+import { createCommentValidation } from '../utils/commentContract.js';
+import {
+  commentSelect,
+  commentPopulate,
+  resolveMentions,
+  notifyMentions
+} from '../services/commentService.js';
+import {
+  notifyAssignment,
+  notifyStatusChange,
+  notifyComment
+} from '../services/notificationService.js';
+import { runAutomations, runTaskAutomations } from '../services/automationService.js';
+import { publishEvent } from '../services/webhookService.js';
+import { getDescendants, withProgress } from '../services/progressService.js';
+import {
+  recordTaskCreated,
+  recordTaskChanges,
+  recordTaskDeleted
+} from '../services/activityService.js';
+import {
+  keepValuesForList,
+  resolveCustomFieldValues,
+  withFormulaValues,
+  loadFilterFields,
+  buildCustomFieldFilter
+} from '../services/customFieldService.js';
+import {
+  parseFilterParam,
+  parseSort,
+  parseGroupBy,
+  getCustomFieldIds,
+  compileTaskFilter,
+  needsMemorySort,
+  toDatabaseSort,
+  sortTasks,
+  groupTasks,
+  getViewForUser
+} from '../services/taskQueryService.js';
+import { trashItem } from '../services/trashService.js';
+import { planBulkOperation, toBulkResult } from '../services/bulkTaskService.js';
+import { normalizeRecurrence, repeatOnCompletion } from '../services/recurrenceService.js';
+import { emitToRoom } from '../socket.js';
 
 const router = express.Router();
 
+/**
+ * Move a task to the trash together with its subtasks, recording and
+ * publishing the deletion of each. Returns the IDs of all of them.
+ */
+const trashTask = async (task, workspace, user) => {
+  const descendants = await getDescendants([task._id], { select: '_id title workspace parentTask' });
+  await trashItem('task', task, user);
+
+  // Parent links and dependencies stay, so a restore brings them back
+  const deleted = [task, ...descendants];
+  for (const deletedTask of deleted) {
+    await recordTaskDeleted(deletedTask, { actor: user });
+    await publishEvent(workspace._id, 'task.deleted', { taskId: deletedTask._id });
+  }
+  return deleted.map(deletedTask => deletedTask._id);
+};
+
+/**
+ * Tasks whose span overlaps [start, end). A task spans from its start date to
+ * its due date; with only one of them it is a single point in time.
+ */
+const getDateRangeFilter = (start, end) => {
+  const from = start ? new Date(start) : null;
+  const to = end ? new Date(end) : null;
+
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    throw new AppError('Invalid date range', 400);
+  }
+
+  const before = to ? { $lt: to } : { $ne: null };
+  const after = from ? { $gte: from } : { $ne: null };
+  const within = { ...after, ...(to && { $lt: to }) };
+
+  return {
+    $or: [
+      { startDate: before, dueDate: after },
+      { startDate: null, dueDate: within },
+      { dueDate: null, startDate: within }
+    ]
+  };
+};
+
 // Create task
-router.post('/', [
-  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Task title is required and cannot exceed 200 characters'),
-  body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
-  body('list').isMongoId().withMessage('Valid list ID is required'),
-  body('status').optional().isIn(['todo', 'in-progress', 'review', 'done']).withMessage('Invalid status'),
-  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
-  body('dueDate').optional().isISO8601().withMessage('Invalid due date format'),
-  body('startDate').optional().isISO8601().withMessage('Invalid start date format'),
-  body('estimatedTime').optional().isInt({ min: 0 }).withMessage('Estimated time must be a positive integer'),
-  body('assignees').optional().isArray().withMessage('Assignees must be an array')
-], async (req, res, next) => {
+router.post('/', createTaskValidation, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -34,73 +136,73 @@ router.post('/', [
       title,
       description,
       list,
-      status = 'todo',
-      priority = 'medium',
+      status,
+      priority,
       dueDate,
       startDate,
-      estimatedTime = 0,
+      estimatedTime,
       assignees = [],
+      watchers,
       tags = [],
-      customFields = []
+      customFields = [],
+      parentTask,
+      recurrence
     } = req.body;
 
     // Verify list exists and user has access
-    const listDoc = await List.findById(list).populate({
-      path: 'folder',
-      populate: {
-        path: 'space',
-        populate: {
-          path: 'workspace'
-        }
-      }
-    });
+    const { workspace } = await getListForUser(list, req.user);
 
-    if (!listDoc) {
-      throw new AppError('List not found', 404);
+    let parent = null;
+    if (parentTask) {
+      parent = await db.tasks.findById(parentTask);
+      if (!parent || !sameId(parent.workspace, workspace._id)) {
+        throw new AppError('Parent task not found', 404);
+      }
     }
 
-    // Check workspace access
-    const workspace = listDoc.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
-
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
-    }
+    // New tasks go to the bottom of their board column
+    const workflow = getWorkflow(workspace);
+    const rank = await getBottomRank(workspace._id, status || getDefaultStatus(workflow));
+    const customFieldValues = await resolveCustomFieldValues({ list }, customFields, workspace);
 
-    const task = await Task.create({
+    const created = await db.tasks.create(buildTask({
       title,
       description,
+      workspace: workspace._id,
+      number: await nextTaskNumber(workspace._id),
       list,
       status,
       priority,
-      dueDate: dueDate ? new Date(dueDate) : undefined,
-      startDate: startDate ? new Date(startDate) : undefined,
+      dueDate,
+      startDate,
       estimatedTime,
-      assignees: assignees.map(userId => ({
-        user: userId,
-        assignedAt: new Date(),
-        assignedBy: req.user._id
-      })),
+      assignees,
+      watchers,
       tags,
-      customFields,
+      customFields: customFieldValues,
+      parentTask: parent?._id,
+      recurrence: recurrence ? normalizeRecurrence(recurrence, { dueDate, timeZone: req.user.preferences?.timezone }) : undefined,
+      rank,
       createdBy: req.user._id,
       updatedBy: req.user._id
-    });
+    }, workflow));
+
+    if (parent) {
+      await db.tasks.updateById(parent._id, { $push: { subtasks: created._id } });
+    }
 
     // Populate task details
-    await task.populate([
-      { path: 'list', select: 'name' },
-      { path: 'assignees.user', select: 'name email avatar' },
-      { path: 'createdBy', select: 'name email avatar' },
-      { path: 'updatedBy', select: 'name email avatar' }
-    ]);
+    const createdTask = await db.tasks.findById(created._id, { populate: taskPopulate });
+    await recordTaskCreated(createdTask, { actor: req.user });
 
     // Emit real-time update
-    io.to(`workspace-${workspace._id}`).emit('task-created', {
-      task,
+    emitToRoom(`workspace-${workspace._id}`, 'task-created', {
+      task: createdTask,
       workspaceId: workspace._id
     });
+    await publishEvent(workspace._id, 'task.created', { task: createdTask });
+    await notifyAssignment(createdTask, createdTask.assignees.map(assignee => assignee.user), { workspace, actor: req.user });
+    const task = await runTaskAutomations(createdTask, workspace, [['task-created', {}]]);
 
     res.status(201).json({
       success: true,
@@ -112,18 +214,162 @@ router.post('/', [
   }
 });
 
-// Get tasks with filtering and pagination
+// Apply one operation to many tasks at once. Every task is checked first and
+// nothing changes unless all of them pass; the results come per task, and
+// each workspace gets one batched `tasks-bulk-updated` event. Applying is not
+// atomic: a task that fails while it is changed gets the error in its result,
+// the tasks changed before it stay changed and the rest are still tried
+router.post('/bulk', bulkTaskValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { taskIds, operation } = req.body;
+    const plans = await planBulkOperation(taskIds, operation, req.body, req.user);
+
+    const failed = plans.filter(plan => plan.error);
+    if (failed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No tasks were changed: ${failed.length} of ${plans.length} cannot be`,
+        data: { results: plans.map(plan => toBulkResult(plan, { applied: false })) }
+      });
+    }
+
+    const batches = new Map();
+    const batchOf = (workspace) => {
+      if (!batches.has(idOf(workspace._id))) {
+        batches.set(idOf(workspace._id), { workspace, tasks: new Map(), deletedTaskIds: [] });
+      }
+      return batches.get(idOf(workspace._id));
+    };
+    const changed = plans.filter(plan => plan.updates);
+
+    const failures = new Map();
+    const applyEach = async (items, apply) => {
+      for (const item of items) {
+        try {
+          await apply(item);
+        } catch (error) {
+          console.error(error);
+          failures.set(item.taskId, error instanceof AppError ? error.message : 'The task could not be changed');
+        }
+      }
+    };
+    const respond = (message, data) => {
+      const results = plans.map(plan => toBulkResult({ ...plan, error: failures.get(plan.taskId) }));
+      if (failures.size > 0) {
+        return res.status(500).json({
+          success: false,
+          message: `${failures.size} of ${changed.length} tasks failed to change; the others were changed`,
+          data: { results, ...data }
+        });
+      }
+      res.json({ success: true, message, data: { results, ...data } });
+    };
+
+    if (operation === 'delete') {
+      // Tasks under another task of the request go to the trash along with it
+      const descendants = await getDescendants(changed.map(plan => plan.task._id), { select: '_id parentTask' });
+      const goAlong = new Set(descendants.map(descendant => idOf(descendant._id)));
+      const trashed = changed.filter(plan => !goAlong.has(plan.taskId));
+
+      await applyEach(trashed, async ({ task, workspace }) => {
+        batchOf(workspace).deletedTaskIds.push(...await trashTask(task, workspace, req.user));
+      });
+      for (const { workspace, deletedTaskIds } of batches.values()) {
+        emitToRoom(`workspace-${workspace._id}`, 'tasks-bulk-updated', {
+          operation,
+          tasks: [],
+          deletedTaskIds: deletedTaskIds.map(idOf),
+          workspaceId: workspace._id
+        });
+      }
+
+      return respond(`${changed.length} task${changed.length === 1 ? '' : 's'} moved to trash`, {
+        trashed: trashed.map(plan => plan.taskId).filter(taskId => !failures.has(taskId))
+      });
+    }
+
+    await applyEach(changed, async ({ task: existingTask, workspace, updates }) => {
+      if (updates.status) {
+        updates.rank = await getBottomRank(workspace._id, updates.status);
+      }
+      let updatedTask = await db.tasks.updateById(existingTask._id, { ...updates, updatedBy: req.user._id }, { populate: taskPopulate });
+      await recordTaskChanges(existingTask, updatedTask, { actor: req.user });
+      if (await repeatOnCompletion(existingTask, updatedTask, { workspace, actor: req.user })) {
+        updatedTask = await db.tasks.findById(updatedTask._id, { populate: taskPopulate });
+      }
+      await publishEvent(workspace._id, 'task.updated', { task: updatedTask });
+
+      const triggers = [];
+      if (operation === 'assign') {
+        await notifyAssignment(updatedTask, [req.body.assignee], { workspace, actor: req.user });
+      }
+      if (operation === 'assign' || operation === 'unassign') {
+        triggers.push(['assignee-changed', {}]);
+      }
+      if (operation === 'status') {
+        await notifyStatusChange(updatedTask, { workspace, actor: req.user });
+        triggers.push(['status-changed', { from: existingTask.status, to: updatedTask.status }]);
+      }
+      const task = await runTaskAutomations(updatedTask, workspace, triggers);
+      batchOf(workspace).tasks.set(idOf(task._id), task);
+    });
+
+    // Dependents move along once all dates are shifted, so none is pushed twice
+    if (operation === 'shift-dates') {
+      await applyEach(changed.filter(plan => !failures.has(plan.taskId)), async ({ task, workspace }) => {
+        const rescheduled = await rescheduleDependents(workspace._id, task._id, { updatedBy: req.user._id, populate: taskPopulate });
+        for (const dependent of rescheduled) {
+          await publishEvent(workspace._id, 'task.updated', { task: dependent });
+          batchOf(workspace).tasks.set(idOf(dependent._id), dependent);
+        }
+      });
+    }
+
+    for (const { workspace, tasks } of batches.values()) {
+      emitToRoom(`workspace-${workspace._id}`, 'tasks-bulk-updated', {
+        operation,
+        tasks: [...tasks.values()],
+        deletedTaskIds: [],
+        workspaceId: workspace._id
+      });
+    }
+
+    respond(`${changed.length} task${changed.length === 1 ? '' : 's'} updated`, {
+      tasks: [...batches.values()].flatMap(batch => [...batch.tasks.values()])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get tasks with filtering and pagination. Besides the simple filters, `filter`
+// takes the task query language as JSON, `sort` several keys and `groupBy`
+// groups the result; `view` applies a saved view (see services/taskQueryService.js)
 router.get('/', async (req, res, next) => {
   try {
     const {
       workspaceId,
+      view: viewId,
       listId,
       status,
+      statusCategory,
       priority,
       assignee,
       dueBefore,
       dueAfter,
+      rangeStart,
+      rangeEnd,
       search,
+      cf = {},
       page = 1,
       limit = 50,
       sortBy = 'createdAt',
@@ -131,64 +377,147 @@ router.get('/', async (req, res, next) => {
     } = req.query;
 
     const filter = {};
-    
-    if (workspaceId) {
-      // Filter by workspace (need to traverse through lists)
-      const lists = await List.find().populate({
-        path: 'folder',
-        populate: {
-          path: 'space',
-          match: { workspace: workspaceId }
-        }
-      });
-      
-      const validListIds = lists
-        .filter(list => list.folder && list.folder.space)
-        .map(list => list._id);
-      
-      filter.list = { $in: validListIds };
-    }
-    
+    let workspaces;
+    let view = null;
+
+    if (viewId) {
+      ({ view } = await getViewForUser(viewId, req.user));
+      if (workspaceId && !sameId(view.workspace, workspaceId)) {
+        throw new AppError('View belongs to another workspace', 400);
+      }
+    }
+
+    if (workspaceId || view) {
+      const workspace = await getWorkspaceForUser(workspaceId || view.workspace, req.user);
+      workspaces = [workspace];
+      filter.workspace = workspace._id;
+    } else {
+      // Only tasks from workspaces the user belongs to
+      workspaces = await db.workspaces.find({
+        $or: [
+          { owner: req.user._id },
+          { 'members.user': req.user._id }
+        ]
+      }, { select: '_id settings' });
+      filter.workspace = { $in: workspaces.map(workspace => workspace._id) };
+    }
+
     if (listId) filter.list = listId;
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (assignee) filter['assignees.user'] = assignee;
-    if (dueBefore) filter.dueDate = { $lt: new Date(dueBefore) };
-    if (dueAfter) filter.dueDate = { $gt: new Date(dueAfter) };
+    // Status, priority and assignee accept a comma-separated list
+    if (status) filter.status = { $in: String(status).split(',') };
+    if (priority) filter.priority = { $in: String(priority).split(',') };
+    if (assignee) filter['assignees.user'] = { $in: String(assignee).split(',') };
+    if (statusCategory && !STATUS_CATEGORIES.includes(statusCategory)) {
+      throw new AppError('Invalid status category', 400);
+    }
+    if (statusCategory && workspaces.length > 0) {
+      // Each workspace maps the category to its own statuses
+      filter.$and = [{
+        $or: workspaces.map(workspace => ({
+          workspace: workspace._id,
+          status: { $in: getStatusKeys(getWorkflow(workspace), statusCategory) }
+        }))
+      }];
+    }
+    if (dueBefore || dueAfter) {
+      filter.dueDate = {
+        ...(dueBefore && { $lt: new Date(dueBefore) }),
+        ...(dueAfter && { $gt: new Date(dueAfter) })
+      };
+    }
+    // Plain substring match; ranked full-text search is GET /api/search
     if (search) {
+      const pattern = escapeRegExp(search);
       filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
+        { title: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
       ];
     }
+    if (rangeStart || rangeEnd) {
+      filter.$and = [...(filter.$and || []), getDateRangeFilter(rangeStart, rangeEnd)];
+    }
+
+    // Parameters given with the request win over those of the view
+    const query = {
+      filter: req.query.filter !== undefined ? parseFilterParam(req.query.filter) : view?.filter,
+      sort: parseSort(req.query.sort
+        ?? (req.query.sortBy === undefined && view?.sort ? view.sort : `${sortBy}:${sortOrder}`)),
+      groupBy: parseGroupBy(req.query.groupBy ?? view?.groupBy)
+    };
+
+    // Custom field filters also come as ?cf[<fieldId>]=value or ?cf[<fieldId>][gte]=3
+    if (typeof cf !== 'object' || Array.isArray(cf)) {
+      throw new AppError('cf must map custom field IDs to filters', 400);
+    }
+    const customFields = await loadFilterFields(
+      [...new Set([...Object.keys(cf), ...getCustomFieldIds(query)])],
+      workspaces.map(workspace => workspace._id)
+    );
+    const cfFilter = buildCustomFieldFilter(cf, customFields);
+    const context = {
+      customFields,
+      workspaces,
+      userId: req.user._id,
+      timeZone: req.user.preferences?.timezone
+    };
+    const queryFilter = compileTaskFilter(query.filter, context);
+
+    const conditions = [...cfFilter.conditions, ...(queryFilter.condition ? [queryFilter.condition] : [])];
+    if (conditions.length > 0) {
+      filter.$and = [...(filter.$and || []), ...conditions];
+    }
 
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const populate = [
+      ...taskPopulate,
+      { path: 'subtasks', select: 'title status priority' },
+      { path: 'parentTask', select: 'title status' }
+    ];
+    const pageSize = parseInt(limit);
+    const skip = (parseInt(page) - 1) * pageSize;
 
-    const tasks = await Task.find(filter)
-      .populate([
-        { path: 'list', select: 'name' },
-        { path: 'assignees.user', select: 'name email avatar' },
-        { path: 'createdBy', select: 'name email avatar' },
-        { path: 'updatedBy', select: 'name email avatar' },
-        { path: 'subtasks', select: 'title status priority' },
-        { path: 'parentTask', select: 'title status' }
-      ])
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    let tasks;
+    let total;
+    let groups;
+    if (cfFilter.needsFormulas || queryFilter.needsFormulas || query.groupBy || needsMemorySort(query.sort)) {
+      // Formula values, workflow order and groups are only known once the tasks are loaded
+      const matching = (await withFormulaValues(await db.tasks.find(filter, { populate, sort: { createdAt: 1 } })))
+        .filter(task => cfFilter.matchesFormulas(task) && queryFilter.matchesFormulas(task));
+      let sorted = sortTasks(matching, query.sort, context);
 
-    const total = await Task.countDocuments(filter);
+      if (query.groupBy) {
+        const grouped = groupTasks(sorted, query.groupBy, context);
+        // Tasks in several groups are listed once, with their first group
+        sorted = [...new Set(grouped.flatMap(group => group.tasks))];
+        const onPage = new Set(sorted.slice(skip, skip + pageSize));
+        groups = grouped.map(group => ({
+          key: group.key,
+          count: group.tasks.length,
+          taskIds: group.tasks.filter(task => onPage.has(task)).map(task => task._id)
+        }));
+      }
+
+      total = sorted.length;
+      tasks = sorted.slice(skip, skip + pageSize);
+    } else {
+      tasks = await withFormulaValues(await db.tasks.find(filter, {
+        populate,
+        sort: toDatabaseSort(query.sort),
+        limit: pageSize,
+        skip
+      }));
+      total = await db.tasks.count(filter);
+    }
 
     res.json({
       success: true,
       data: {
-        tasks,
+        tasks: await withProgress(tasks),
+        ...(groups && { groups }),
         pagination: {
           page: parseInt(page),
-          limit: parseInt(limit),
+          limit: pageSize,
           total,
-          pages: Math.ceil(total / limit)
+          pages: Math.ceil(total / pageSize)
         }
       }
     });
@@ -197,37 +526,137 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// Get task counts per status and priority of a workspace
+router.get('/summary', async (req, res, next) => {
+  try {
+    const { workspaceId, listId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getWorkspaceForUser(workspaceId, req.user);
+    const { statuses, priorities } = getWorkflow(workspace);
+
+    const filter = { workspace: workspace._id };
+    if (listId) filter.list = listId;
+
+    const tasks = await db.tasks.find(filter, { select: 'status priority' });
+
+    const countBy = (field, options) => options.map(option => ({
+      ...option,
+      count: tasks.filter(task => task[field] === option.key).length
+    }));
+
+    const byStatus = countBy('status', statuses);
+    const done = byStatus
+      .filter(status => status.category === 'done')
+      .reduce((total, status) => total + status.count, 0);
+
+    res.json({
+      success: true,
+      data: {
+        total: tasks.length,
+        open: tasks.length - done,
+        done,
+        byStatus,
+        byPriority: countBy('priority', priorities)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the tasks of a workspace laid out for the Gantt chart, with slack and critical path
+router.get('/gantt', async (req, res, next) => {
+  try {
+    const { workspaceId, listId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getWorkspaceForUser(workspaceId, req.user);
+
+    // Dependencies may cross lists, so the schedule covers the whole workspace
+    const allTasks = await db.tasks.find(
+      { workspace: workspace._id },
+      {
+        sort: { startDate: 1, dueDate: 1, createdAt: 1 },
+        populate: [{ path: 'assignees.user', select: userFields }]
+      }
+    );
+    const schedule = getCriticalPath(allTasks);
+
+    const tasks = allTasks
+      .filter(task => !listId || sameId(task.list, listId))
+      .map(task => ({
+        ...task,
+        slack: schedule.get(idOf(task._id))?.slack ?? null,
+        critical: schedule.get(idOf(task._id))?.critical ?? false
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        tasks,
+        criticalPath: tasks.filter(task => task.critical).map(task => task._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get single task
 router.get('/:id', async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate([
-        { path: 'list', populate: { path: 'folder.space.workspace' } },
-        { path: 'assignees.user', select: 'name email avatar' },
-        { path: 'createdBy', select: 'name email avatar' },
-        { path: 'updatedBy', select: 'name email avatar' },
-        { path: 'subtasks', populate: { path: 'assignees.user', select: 'name email avatar' } },
+    const { task } = await getTaskForUser(req.params.id, req.user, {
+      populate: [
+        { path: 'list', select: 'name folder' },
+        { path: 'assignees.user', select: userFields },
+        { path: 'createdBy', select: userFields },
+        { path: 'updatedBy', select: userFields },
+        { path: 'subtasks', populate: { path: 'assignees.user', select: userFields } },
         { path: 'parentTask', select: 'title status' },
-        { path: 'comments', populate: { path: 'author', select: 'name email avatar' } },
-        { path: 'attachments.uploadedBy', select: 'name email avatar' }
-      ]);
+        { path: 'comments', select: commentSelect, populate: commentPopulate },
+        { path: 'attachments.uploadedBy', select: userFields },
+        { path: 'attachments.versions.uploadedBy', select: userFields }
+      ]
+    });
+    const [withRollup] = await withProgress(await withFormulaValues([task]));
 
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+    res.json({
+      success: true,
+      data: withRollup
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Check workspace access
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
+// Get every subtask of a task as a tree, each node with its progress
+router.get('/:id/subtasks', async (req, res, next) => {
+  try {
+    const { task } = await getTaskForUser(req.params.id, req.user);
 
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
-    }
+    const descendants = await getDescendants([task._id], {
+      sort: { createdAt: 1 },
+      populate: [{ path: 'assignees.user', select: userFields }]
+    });
+    const [root, ...nodes] = await withProgress([task, ...descendants]);
+
+    const childrenOf = (parentId) => nodes
+      .filter(node => sameId(node.parentTask, parentId))
+      .map(node => ({ ...node, subtasks: childrenOf(node._id) }));
 
     res.json({
       success: true,
-      data: task
+      data: {
+        progress: root.progress,
+        subtasks: childrenOf(task._id)
+      }
     });
   } catch (error) {
     next(error);
@@ -235,15 +664,7 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // Update task
-router.put('/:id', [
-  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Task title cannot exceed 200 characters'),
-  body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
-  body('status').optional().isIn(['todo', 'in-progress', 'review', 'done']).withMessage('Invalid status'),
-  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
-  body('dueDate').optional().isISO8601().withMessage('Invalid due date format'),
-  body('startDate').optional().isISO8601().withMessage('Invalid start date format'),
-  body('estimatedTime').optional().isInt({ min: 0 }).withMessage('Estimated time must be a positive integer')
-], async (req, res, next) => {
+router.put('/:id', updateTaskValidation, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -254,68 +675,119 @@ router.put('/:id', [
       });
     }
 
-    const task = await Task.findById(req.params.id)
-      .populate('list.folder.space.workspace');
-
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
-
-    // Check workspace access
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
+    const { task: existingTask, workspace } = await getTaskForUser(req.params.id, req.user);
 
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
+    // Clients send the version they edited so concurrent saves do not silently overwrite each other
+    const { expectedUpdatedAt } = req.body;
+    if (expectedUpdatedAt && new Date(expectedUpdatedAt).getTime() !== new Date(existingTask.updatedAt).getTime()) {
+      throw new AppError('This task was changed by someone else since you opened it', 409);
     }
 
     const {
       title,
       description,
+      list,
       status,
       priority,
       dueDate,
       startDate,
       estimatedTime,
       assignees,
+      watchers,
       tags,
-      customFields
+      customFields,
+      recurrence
     } = req.body;
 
-    if (title !== undefined) task.title = title;
-    if (description !== undefined) task.description = description;
-    if (status !== undefined) task.status = status;
-    if (priority !== undefined) task.priority = priority;
-    if (dueDate !== undefined) task.dueDate = dueDate ? new Date(dueDate) : undefined;
-    if (startDate !== undefined) task.startDate = startDate ? new Date(startDate) : undefined;
-    if (estimatedTime !== undefined) task.estimatedTime = estimatedTime;
-    if (assignees !== undefined) {
-      task.assignees = assignees.map(userId => ({
-        user: userId,
-        assignedAt: new Date(),
-        assignedBy: req.user._id
-      }));
+    // Tasks may keep an archived status or priority, but cannot move into one
+    const workflow = getWorkflow(workspace);
+    if (status !== undefined && status !== existingTask.status && !isValidStatus(workflow, status)) {
+      throw new AppError(`Invalid status: ${status}`, 400);
+    }
+    if (priority !== undefined && priority !== existingTask.priority && !isValidPriority(workflow, priority)) {
+      throw new AppError(`Invalid priority: ${priority}`, 400);
+    }
+
+    const updates = {};
+
+    // Tasks move between lists of their workspace and lose the values of
+    // custom fields that only the old list has
+    let customFieldBase = existingTask;
+    if (list !== undefined && !sameId(list, existingTask.list)) {
+      const { list: targetList, workspace: targetWorkspace } = await getListForUser(list, req.user);
+      if (!sameId(targetWorkspace._id, workspace._id)) {
+        throw new AppError('Tasks can only move to a list of their own workspace', 400);
+      }
+      updates.list = targetList._id;
+      updates.customFields = await keepValuesForList(existingTask.customFields, workspace._id, targetList._id);
+      customFieldBase = { list: targetList._id, customFields: updates.customFields };
+    }
+
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (status !== undefined) updates.status = status;
+    if (status !== undefined && status !== existingTask.status) {
+      updates.rank = await getBottomRank(workspace._id, status);
+    }
+    if (priority !== undefined) updates.priority = priority;
+    if (dueDate !== undefined) updates.dueDate = dueDate ? new Date(dueDate) : undefined;
+    if (startDate !== undefined) updates.startDate = startDate ? new Date(startDate) : undefined;
+    if (estimatedTime !== undefined) updates.estimatedTime = estimatedTime;
+    if (assignees !== undefined) updates.assignees = toAssignees(assignees, req.user._id);
+    if (watchers !== undefined) updates.watchers = watchers;
+    if (tags !== undefined) updates.tags = tags;
+    if (customFields !== undefined) {
+      updates.customFields = await resolveCustomFieldValues(customFieldBase, customFields, workspace);
+    }
+
+    // Recurrences repeat the due date, so a recurring task must keep one
+    const nextDueDate = dueDate !== undefined ? updates.dueDate : existingTask.dueDate;
+    if (recurrence) {
+      updates.recurrence = normalizeRecurrence(recurrence, { dueDate: nextDueDate, timeZone: req.user.preferences?.timezone });
+    } else if (recurrence === null) {
+      updates.recurrence = null;
+    } else if (existingTask.recurrence && !nextDueDate) {
+      throw new AppError('Recurring tasks need a due date', 400);
     }
-    if (tags !== undefined) task.tags = tags;
-    if (customFields !== undefined) task.customFields = customFields;
 
-    task.updatedBy = req.user._id;
-    await task.save();
+    updates.updatedBy = req.user._id;
 
     // Populate task details
-    await task.populate([
-      { path: 'list', select: 'name' },
-      { path: 'assignees.user', select: 'name email avatar' },
-      { path: 'createdBy', select: 'name email avatar' },
-      { path: 'updatedBy', select: 'name email avatar' }
-    ]);
+    let updatedTask = await db.tasks.updateById(existingTask._id, updates, { populate: taskPopulate });
+    await recordTaskChanges(existingTask, updatedTask, { actor: req.user });
+
+    // Completing a task that repeats on completion hands its recurrence on
+    if (await repeatOnCompletion(existingTask, updatedTask, { workspace, actor: req.user })) {
+      updatedTask = await db.tasks.findById(updatedTask._id, { populate: taskPopulate });
+    }
+
+    // Dependents of a task whose dates changed move along with it
+    const rescheduled = dueDate !== undefined || startDate !== undefined
+      ? await rescheduleDependents(workspace._id, updatedTask._id, { updatedBy: req.user._id, populate: taskPopulate })
+      : [];
 
     // Emit real-time update
-    io.to(`workspace-${workspace._id}`).emit('task-updated', {
-      task,
-      workspaceId: workspace._id
-    });
+    for (const changedTask of [updatedTask, ...rescheduled]) {
+      emitToRoom(`workspace-${workspace._id}`, 'task-updated', {
+        task: changedTask,
+        workspaceId: workspace._id
+      });
+      await publishEvent(workspace._id, 'task.updated', { task: changedTask });
+    }
+
+    const triggers = [];
+    if (assignees !== undefined) {
+      const previous = new Set(existingTask.assignees.map(assignee => idOf(assignee.user)));
+      const current = updatedTask.assignees.map(assignee => assignee.user);
+      const added = current.filter(user => !previous.has(idOf(user)));
+      await notifyAssignment(updatedTask, added, { workspace, actor: req.user });
+      if (added.length > 0 || current.length !== previous.size) triggers.push(['assignee-changed', {}]);
+    }
+    if (updatedTask.status !== existingTask.status) {
+      await notifyStatusChange(updatedTask, { workspace, actor: req.user });
+      triggers.push(['status-changed', { from: existingTask.status, to: updatedTask.status }]);
+    }
+    const task = await runTaskAutomations(updatedTask, workspace, triggers);
 
     res.json({
       success: true,
@@ -327,45 +799,162 @@ router.put('/:id', [
   }
 });
 
-// Delete task
-router.delete('/:id', async (req, res, next) => {
+// Move task on the board: change its status and rank it between two neighbours
+router.put('/:id/move', [
+  body('status').optional().matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+  body('prevTaskId').optional({ values: 'null' }).notEmpty().withMessage('Invalid previous task'),
+  body('nextTaskId').optional({ values: 'null' }).notEmpty().withMessage('Invalid next task')
+], async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('list.folder.space.workspace');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
 
-    if (!task) {
-      throw new AppError('Task not found', 404);
+    const { task: existingTask, workspace } = await getTaskForUser(req.params.id, req.user);
+    const { prevTaskId, nextTaskId } = req.body;
+    const status = req.body.status ?? existingTask.status;
+
+    if (status !== existingTask.status && !isValidStatus(getWorkflow(workspace), status)) {
+      throw new AppError(`Invalid status: ${status}`, 400);
     }
 
-    // Check workspace access
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
+    // Neighbours must be other tasks of the target column
+    const loadNeighbour = async (taskId) => {
+      if (!taskId) return null;
+      const neighbour = await db.tasks.findById(taskId, { select: 'workspace status rank' });
+      if (!neighbour || sameId(neighbour._id, existingTask._id) ||
+        !sameId(neighbour.workspace, workspace._id) || neighbour.status !== status) {
+        throw new AppError('Neighbouring task not found in the target column', 400);
+      }
+      return neighbour;
+    };
 
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
+    const loadNeighbours = () => Promise.all([loadNeighbour(prevTaskId), loadNeighbour(nextTaskId)]);
+
+    let [prevTask, nextTask] = await loadNeighbours();
+    let rank = rankBetween(prevTask?.rank, nextTask?.rank);
+    const rebalanced = rank === null;
+
+    if (rebalanced) {
+      await rebalanceColumn(workspace._id, status);
+      [prevTask, nextTask] = await loadNeighbours();
+      rank = rankBetween(prevTask?.rank, nextTask?.rank);
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    // Neighbours in the wrong order: the client's board is stale
+    if (rank === null) {
+      throw new AppError('The board has changed, reload and try again', 409);
+    }
 
-    // Emit real-time update
-    io.to(`workspace-${workspace._id}`).emit('task-deleted', {
-      taskId: req.params.id,
+    let movedTask = await db.tasks.updateById(existingTask._id, {
+      status,
+      rank,
+      updatedBy: req.user._id
+    }, { populate: taskPopulate });
+    await recordTaskChanges(existingTask, movedTask, { actor: req.user });
+
+    if (await repeatOnCompletion(existingTask, movedTask, { workspace, actor: req.user })) {
+      movedTask = await db.tasks.findById(movedTask._id, { populate: taskPopulate });
+    }
+
+    // Teammates' boards reorder live; after a rebalance they reload the column
+    emitToRoom(`workspace-${workspace._id}`, 'task-update', {
+      type: 'move',
+      task: movedTask,
+      workspaceId: workspace._id,
+      fromStatus: existingTask.status,
+      rebalanced
+    });
+    await publishEvent(workspace._id, 'task.updated', { task: movedTask });
+
+    let task = movedTask;
+    if (movedTask.status !== existingTask.status) {
+      await notifyStatusChange(movedTask, { workspace, actor: req.user });
+      task = await runTaskAutomations(movedTask, workspace, [
+        ['status-changed', { from: existingTask.status, to: movedTask.status }]
+      ]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Task moved successfully',
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move a task under another task of its workspace, or to the top level with a null parent
+router.put('/:id/parent', [
+  body('parentTask').exists().withMessage('parentTask is required'),
+  body('parentTask').optional({ values: 'null' }).notEmpty().withMessage('Invalid parent task')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task: existingTask, workspace } = await getTaskForUser(req.params.id, req.user);
+
+    let parent = null;
+    if (req.body.parentTask) {
+      parent = await db.tasks.findById(req.body.parentTask, { select: 'workspace' });
+      if (!parent || !sameId(parent.workspace, workspace._id)) {
+        throw new AppError('Parent task not found in this workspace', 400);
+      }
+      if (sameId(parent._id, existingTask._id)) {
+        throw new AppError('A task cannot be its own parent', 400);
+      }
+      const descendants = await getDescendants([existingTask._id], { select: '_id parentTask' });
+      if (descendants.some(descendant => sameId(descendant._id, parent._id))) {
+        throw new AppError('A task cannot be moved under one of its own subtasks', 400);
+      }
+    }
+
+    if (existingTask.parentTask) {
+      await db.tasks.updateById(existingTask.parentTask, { $pull: { subtasks: existingTask._id } });
+    }
+    if (parent) {
+      await db.tasks.updateById(parent._id, { $addToSet: { subtasks: existingTask._id } });
+    }
+
+    const task = await db.tasks.updateById(existingTask._id, {
+      parentTask: parent?._id ?? null,
+      updatedBy: req.user._id
+    }, { populate: taskPopulate });
+    await recordTaskChanges(existingTask, task, { actor: req.user });
+
+    emitToRoom(`workspace-${workspace._id}`, 'task-updated', {
+      task,
       workspaceId: workspace._id
     });
+    await publishEvent(workspace._id, 'task.updated', { task });
 
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved successfully',
+      data: task
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Add comment to task
-router.post('/:id/comments', [
-  body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Comment content is required and cannot exceed 2000 characters')
+// Make a task wait on another task of its workspace
+router.post('/:id/dependencies', [
+  body('predecessor').notEmpty().withMessage('Predecessor task is required'),
+  body('type').optional().isIn(DEPENDENCY_TYPES).withMessage('Invalid dependency type')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -377,44 +966,165 @@ router.post('/:id/comments', [
       });
     }
 
-    const task = await Task.findById(req.params.id)
-      .populate('list.folder.space.workspace');
+    const { task: existingTask, workspace } = await getTaskForUser(req.params.id, req.user);
+    const { predecessor: predecessorId, type = DEPENDENCY_TYPES[0] } = req.body;
+
+    const predecessor = await db.tasks.findById(predecessorId, { select: 'workspace' });
+    if (!predecessor || !sameId(predecessor.workspace, workspace._id)) {
+      throw new AppError('Predecessor task not found in this workspace', 400);
+    }
+    if (sameId(predecessor._id, existingTask._id)) {
+      throw new AppError('A task cannot depend on itself', 400);
+    }
+
+    // Trashed tasks count too, as they may come back
+    const workspaceTasks = await db.tasks.find({ workspace: workspace._id }, { select: '_id dependencies', withTrashed: true });
+    if (wouldCreateCycle(workspaceTasks, existingTask._id, predecessor._id)) {
+      throw new AppError('This dependency would create a cycle', 400);
+    }
+
+    // Adding an existing dependency again changes its type
+    const dependencies = [
+      ...(existingTask.dependencies || []).filter(dependency => !sameId(dependency.task, predecessor._id)),
+      { task: predecessor._id, type }
+    ];
+
+    await db.tasks.updateById(existingTask._id, { dependencies, updatedBy: req.user._id });
 
-    if (!task) {
-      throw new AppError('Task not found', 404);
+    // The new dependency may push this task, and its own dependents, back
+    const rescheduled = await rescheduleDependents(workspace._id, predecessor._id, {
+      updatedBy: req.user._id,
+      populate: taskPopulate
+    });
+    const task = rescheduled.find(updatedTask => sameId(updatedTask._id, existingTask._id)) ||
+      await db.tasks.findById(existingTask._id, { populate: taskPopulate });
+    await recordTaskChanges(existingTask, task, { actor: req.user, fields: ['dependencies'] });
+
+    for (const updatedTask of [task, ...rescheduled.filter(rescheduledTask => rescheduledTask !== task)]) {
+      emitToRoom(`workspace-${workspace._id}`, 'task-updated', {
+        task: updatedTask,
+        workspaceId: workspace._id
+      });
+      await publishEvent(workspace._id, 'task.updated', { task: updatedTask });
     }
 
-    // Check workspace access
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: { task, rescheduled }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a dependency; the dates of the tasks stay as they are
+router.delete('/:id/dependencies/:predecessorId', async (req, res, next) => {
+  try {
+    const { task: existingTask, workspace } = await getTaskForUser(req.params.id, req.user);
 
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
+    if (!(existingTask.dependencies || []).some(dependency => sameId(dependency.task, req.params.predecessorId))) {
+      throw new AppError('Dependency not found', 404);
     }
 
-    const { content, mentions = [] } = req.body;
+    const task = await db.tasks.updateById(existingTask._id, {
+      dependencies: existingTask.dependencies.filter(dependency => !sameId(dependency.task, req.params.predecessorId)),
+      updatedBy: req.user._id
+    }, { populate: taskPopulate });
+    await recordTaskChanges(existingTask, task, { actor: req.user });
+
+    emitToRoom(`workspace-${workspace._id}`, 'task-updated', {
+      task,
+      workspaceId: workspace._id
+    });
+    await publishEvent(workspace._id, 'task.updated', { task });
 
-    const comment = await Comment.create({
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move task to the trash together with all of its subtasks
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { task, workspace } = await getTaskForUser(req.params.id, req.user);
+    const deletedIds = await trashTask(task, workspace, req.user);
+
+    // Emit real-time update
+    for (const deletedId of deletedIds) {
+      emitToRoom(`workspace-${workspace._id}`, 'task-deleted', {
+        taskId: idOf(deletedId),
+        workspaceId: workspace._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add comment to task, or reply to one of its comments
+router.post('/:id/comments', createCommentValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { task, workspace } = await getTaskForUser(req.params.id, req.user);
+
+    const { content } = req.body;
+
+    // Replies to a reply join the thread of the comment they answer
+    let parent = null;
+    if (req.body.parent) {
+      const parentComment = await db.comments.findById(req.body.parent, { select: 'task parent' });
+      if (!parentComment || !sameId(parentComment.task, task._id)) {
+        throw new AppError('Parent comment not found on this task', 400);
+      }
+      parent = parentComment.parent || parentComment._id;
+    }
+
+    const mentions = await resolveMentions(workspace, content);
+
+    const created = await db.comments.create({
       task: task._id,
-      author: req.user._id,
+      workspace: task.workspace,
+      user: req.user._id,
       content,
-      mentions: mentions.map(userId => ({
-        user: userId,
-        notified: false
-      }))
+      parent,
+      mentions
     });
 
-    await comment.populate('author', 'name email avatar');
+    await db.tasks.updateById(task._id, { $push: { comments: created._id } });
 
-    task.comments.push(comment._id);
-    await task.save();
+    const comment = await db.comments.findById(created._id, {
+      select: commentSelect,
+      populate: commentPopulate
+    });
 
     // Emit real-time update
-    io.to(`task-${task._id}`).emit('comment-added', {
+    emitToRoom(`task-${task._id}`, 'comment-added', {
       comment,
       taskId: task._id
     });
+    await publishEvent(workspace._id, 'comment.created', { comment, taskId: task._id });
+    await notifyMentions(comment, mentions, { task, workspace, author: req.user });
+    await notifyComment(comment, { task, workspace, author: req.user, skip: mentions });
+    await runAutomations('comment-added', { task, workspace, event: { comment: comment._id } });
 
     res.status(201).json({
       success: true,
@@ -426,29 +1136,16 @@ router.post('/:id/comments', [
   }
 });
 
-// Get task comments
+// Get task comments, oldest first; replies point at their thread through `parent`
 router.get('/:id/comments', async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('list.folder.space.workspace');
-
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+    const { task } = await getTaskForUser(req.params.id, req.user);
 
-    // Check workspace access
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
-
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
-    }
-
-    const comments = await Comment.find({ task: req.params.id })
-      .populate('author', 'name email avatar')
-      .populate('mentions.user', 'name email avatar')
-      .sort({ createdAt: -1 });
+    const comments = await db.comments.find({ task: task._id }, {
+      select: commentSelect,
+      populate: commentPopulate,
+      sort: { createdAt: 1 }
+    });
 
     res.json({
       success: true,
@@ -1,12 +1,33 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import TimeLog from '../models/TimeLog.js';
-import Task from '../models/Task.js';
-import Workspace from '../models/Workspace.js';
+import { db } from '../repositories/index.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { getTaskForUser } from '../utils/hierarchy.js';
+import { sameId } from '../utils/ids.js';
+import { publishEvent } from '../services/webhookService.js';
 
 const router = express.Router();
 
+const findRunningTimer = (userId) => db.timeLogs.findOne({ user: userId, isRunning: true });
+
+// Minutes between two dates, never less than one
+const minutesBetween = (start, end) => Math.max(1, Math.round((end - new Date(start)) / (1000 * 60)));
+
+// Total, billable and non-billable minutes of a set of time logs
+const summarize = (timeLogs) => timeLogs.reduce((totals, log) => {
+  totals.totalDuration += log.duration;
+  if (log.isBillable) {
+    totals.totalBillableDuration += log.duration;
+  } else {
+    totals.totalNonBillableDuration += log.duration;
+  }
+  return totals;
+}, {
+  totalDuration: 0,
+  totalBillableDuration: 0,
+  totalNonBillableDuration: 0
+});
+
 // Start timer for a task
 router.post('/start', [
   body('taskId').isMongoId().withMessage('Valid task ID is required'),
@@ -27,26 +48,15 @@ router.post('/start', [
     const { taskId, description = '', isBillable = true, billableRate } = req.body;
 
     // Check if user already has a running timer
-    const runningTimer = await TimeLog.findRunningTimer(req.user._id);
+    const runningTimer = await findRunningTimer(req.user._id);
     if (runningTimer) {
       throw new AppError('You already have a running timer. Stop it first.', 400);
     }
 
     // Verify task exists and user has access
-    const task = await Task.findById(taskId).populate('list.folder.space.workspace');
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+    const { workspace } = await getTaskForUser(taskId, req.user);
 
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
-
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
-    }
-
-    const timeLog = await TimeLog.create({
+    const timeLog = await db.timeLogs.create({
       task: taskId,
       user: req.user._id,
       description,
@@ -72,17 +82,26 @@ router.post('/start', [
 // Stop running timer
 router.post('/stop', async (req, res, next) => {
   try {
-    const runningTimer = await TimeLog.findRunningTimer(req.user._id);
+    const runningTimer = await findRunningTimer(req.user._id);
     if (!runningTimer) {
       throw new AppError('No running timer found', 404);
     }
 
-    await runningTimer.stopTimer();
+    const endTime = new Date();
+    const timeLog = await db.timeLogs.updateById(runningTimer._id, {
+      endTime,
+      duration: minutesBetween(runningTimer.startTime, endTime),
+      isRunning: false
+    });
+
+    if (timeLog.workspace) {
+      await publishEvent(timeLog.workspace, 'timer.stopped', { timeLog });
+    }
 
     res.json({
       success: true,
       message: 'Timer stopped successfully',
-      data: runningTimer
+      data: timeLog
     });
   } catch (error) {
     next(error);
@@ -92,7 +111,7 @@ router.post('/stop', async (req, res, next) => {
 // Get current running timer
 router.get('/current', async (req, res, next) => {
   try {
-    const runningTimer = await TimeLog.findRunningTimer(req.user._id);
+    const runningTimer = await findRunningTimer(req.user._id);
     
     if (!runningTimer) {
       return res.json({
@@ -108,7 +127,7 @@ router.get('/current', async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        ...runningTimer.toObject(),
+        ...runningTimer,
         currentDuration
       }
     });
@@ -147,20 +166,9 @@ router.post('/manual', [
     } = req.body;
 
     // Verify task exists and user has access
-    const task = await Task.findById(taskId).populate('list.folder.space.workspace');
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+    const { workspace } = await getTaskForUser(taskId, req.user);
 
-    const workspace = task.list.folder.space.workspace;
-    const hasAccess = workspace.owner.equals(req.user._id) ||
-      workspace.members.some(member => member.user.equals(req.user._id));
-
-    if (!hasAccess) {
-      throw new AppError('Access denied', 403);
-    }
-
-    const timeLog = await TimeLog.create({
+    const timeLog = await db.timeLogs.create({
       task: taskId,
       user: req.user._id,
       description,
@@ -217,37 +225,26 @@ router.get('/', async (req, res, next) => {
       filter.user = req.user._id;
     }
 
-    const timeLogs = await TimeLog.find(filter)
-      .populate('task', 'title status')
-      .populate('user', 'name email avatar')
-      .sort({ startTime: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const timeLogs = await db.timeLogs.find(filter, {
+      populate: [
+        { path: 'task', select: 'title status' },
+        { path: 'user', select: 'name email avatar' }
+      ],
+      sort: { startTime: -1 },
+      limit: limit * 1,
+      skip: (page - 1) * limit
+    });
 
-    const total = await TimeLog.countDocuments(filter);
+    const total = await db.timeLogs.count(filter);
 
     // Calculate totals
-    const totals = await TimeLog.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: null,
-          totalDuration: { $sum: '$duration' },
-          totalBillableDuration: { $sum: { $cond: ['$isBillable', '$duration', 0] } },
-          totalNonBillableDuration: { $sum: { $cond: ['$isBillable', 0, '$duration'] } }
-        }
-      }
-    ]);
+    const totals = summarize(await db.timeLogs.find(filter, { select: 'duration isBillable' }));
 
     res.json({
       success: true,
       data: {
         timeLogs,
-        totals: totals[0] || {
-          totalDuration: 0,
-          totalBillableDuration: 0,
-          totalNonBillableDuration: 0
-        },
+        totals,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -279,13 +276,13 @@ router.put('/:id', [
       });
     }
 
-    const timeLog = await TimeLog.findById(req.params.id);
+    const timeLog = await db.timeLogs.findById(req.params.id);
     if (!timeLog) {
       throw new AppError('Time log not found', 404);
     }
 
     // Users can only edit their own time logs unless they're admin
-    if (!timeLog.user.equals(req.user._id) && !['admin'].includes(req.user.role)) {
+    if (!sameId(timeLog.user, req.user._id) && !['admin'].includes(req.user.role)) {
       throw new AppError('Access denied', 403);
     }
 
@@ -298,30 +295,27 @@ router.put('/:id', [
       tags
     } = req.body;
 
-    if (description !== undefined) timeLog.description = description;
-    if (duration !== undefined) {
-      timeLog.duration = duration;
-      if (startTime) {
-        timeLog.startTime = new Date(startTime);
-        timeLog.endTime = new Date(new Date(startTime).getTime() + duration * 60 * 1000);
-      }
-    }
-    if (startTime !== undefined) {
-      timeLog.startTime = new Date(startTime);
-      if (timeLog.duration) {
-        timeLog.endTime = new Date(new Date(startTime).getTime() + timeLog.duration * 60 * 1000);
+    const updates = {};
+    if (description !== undefined) updates.description = description;
+    if (duration !== undefined) updates.duration = duration;
+    if (startTime !== undefined) updates.startTime = new Date(startTime);
+    if (duration !== undefined || startTime !== undefined) {
+      const start = updates.startTime || timeLog.startTime;
+      const minutes = updates.duration ?? timeLog.duration;
+      if (start && minutes) {
+        updates.endTime = new Date(new Date(start).getTime() + minutes * 60 * 1000);
       }
     }
-    if (isBillable !== undefined) timeLog.isBillable = isBillable;
-    if (billableRate !== undefined) timeLog.billableRate = billableRate;
-    if (tags !== undefined) timeLog.tags = tags;
+    if (isBillable !== undefined) updates.isBillable = isBillable;
+    if (billableRate !== undefined) updates.billableRate = billableRate;
+    if (tags !== undefined) updates.tags = tags;
 
-    await timeLog.save();
+    const updatedTimeLog = await db.timeLogs.updateById(timeLog._id, updates);
 
     res.json({
       success: true,
       message: 'Time log updated successfully',
-      data: timeLog
+      data: updatedTimeLog
     });
   } catch (error) {
     next(error);
@@ -331,17 +325,17 @@ router.put('/:id', [
 // Delete time log
 router.delete('/:id', async (req, res, next) => {
   try {
-    const timeLog = await TimeLog.findById(req.params.id);
+    const timeLog = await db.timeLogs.findById(req.params.id);
     if (!timeLog) {
       throw new AppError('Time log not found', 404);
     }
 
     // Users can only delete their own time logs unless they're admin
-    if (!timeLog.user.equals(req.user._id) && !['admin'].includes(req.user.role)) {
+    if (!sameId(timeLog.user, req.user._id) && !['admin'].includes(req.user.role)) {
       throw new AppError('Access denied', 403);
     }
 
-    await TimeLog.findByIdAndDelete(req.params.id);
+    await db.timeLogs.deleteById(timeLog._id);
 
     res.json({
       success: true,
@@ -352,6 +346,23 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
+// Get time stats for the current user
+router.get('/stats', async (req, res, next) => {
+  try {
+    const timeLogs = await db.timeLogs.find({ user: req.user._id, isRunning: false }, { select: 'duration' });
+
+    res.json({
+      success: true,
+      data: {
+        totalTime: timeLogs.reduce((sum, log) => sum + log.duration, 0),
+        logsCount: timeLogs.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get time tracking reports
 router.get('/reports/summary', async (req, res, next) => {
   try {
@@ -379,70 +390,40 @@ router.get('/reports/summary', async (req, res, next) => {
       filter.user = req.user._id;
     }
 
-    let groupStage;
-    switch (groupBy) {
-      case 'user':
-        groupStage = {
-          $group: {
-            _id: '$user',
-            totalDuration: { $sum: '$duration' },
-            billableDuration: { $sum: { $cond: ['$isBillable', '$duration', 0] } },
-            nonBillableDuration: { $sum: { $cond: ['$isBillable', 0, '$duration'] } },
-            entryCount: { $sum: 1 }
-          }
-        };
-        break;
-      case 'task':
-        groupStage = {
-          $group: {
-            _id: '$task',
-            totalDuration: { $sum: '$duration' },
-            billableDuration: { $sum: { $cond: ['$isBillable', '$duration', 0] } },
-            nonBillableDuration: { $sum: { $cond: ['$isBillable', 0, '$duration'] } },
-            entryCount: { $sum: 1 }
-          }
-        };
-        break;
-      case 'date':
-        groupStage = {
-          $group: {
-            _id: {
-              $dateToString: {
-                format: '%Y-%m-%d',
-                date: '$startTime'
-              }
-            },
-            totalDuration: { $sum: '$duration' },
-            billableDuration: { $sum: { $cond: ['$isBillable', '$duration', 0] } },
-            nonBillableDuration: { $sum: { $cond: ['$isBillable', 0, '$duration'] } },
-            entryCount: { $sum: 1 }
-          }
-        };
-        break;
-      default:
-        groupStage = {
-          $group: {
-            _id: null,
-            totalDuration: { $sum: '$duration' },
-            billableDuration: { $sum: { $cond: ['$isBillable', '$duration', 0] } },
-            nonBillableDuration: { $sum: { $cond: ['$isBillable', 0, '$duration'] } },
-            entryCount: { $sum: 1 }
-          }
-        };
-    }
+    const groupKeys = {
+      user: log => String(log.user),
+      task: log => String(log.task),
+      date: log => (log.startTime ? new Date(log.startTime).toISOString().slice(0, 10) : null)
+    };
+    const keyOf = groupKeys[groupBy] || (() => null);
+
+    const timeLogs = await db.timeLogs.find(filter, { select: 'user task startTime duration isBillable' });
 
-    const report = await TimeLog.aggregate([
-      { $match: filter },
-      groupStage,
-      { $sort: { totalDuration: -1 } }
-    ]);
+    const groups = new Map();
+    timeLogs.forEach(log => {
+      const key = keyOf(log);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(log);
+    });
+
+    const report = [...groups.entries()]
+      .map(([key, logs]) => {
+        const totals = summarize(logs);
+        return {
+          _id: key,
+          totalDuration: totals.totalDuration,
+          billableDuration: totals.totalBillableDuration,
+          nonBillableDuration: totals.totalNonBillableDuration,
+          entryCount: logs.length
+        };
+      })
+      .sort((a, b) => b.totalDuration - a.totalDuration);
 
     // Populate user or task details if needed
     if (groupBy === 'user') {
-      const User = await import('../models/User.js').then(module => module.default);
       const populatedReport = await Promise.all(
         report.map(async item => {
-          const user = await User.findById(item._id).select('name email avatar');
+          const user = await db.users.findById(item._id, { select: 'name email avatar' });
           return { ...item, user };
         })
       );
@@ -455,7 +436,7 @@ router.get('/reports/summary', async (req, res, next) => {
     if (groupBy === 'task') {
       const populatedReport = await Promise.all(
         report.map(async item => {
-          const task = await Task.findById(item._id).select('title status');
+          const task = await db.tasks.findById(item._id, { select: 'title status' });
           return { ...item, task };
         })
       );
@@ -0,0 +1,124 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { getWorkspaceForUser } from '../utils/hierarchy.js';
+import { userFields, taskPopulate } from '../utils/taskContract.js';
+import { trashItemValidation, listTrashValidation } from '../utils/trashContract.js';
+import {
+  getTrashedItemForUser,
+  restoreItem,
+  purgeItem,
+  listTrash,
+  toTrashEntry
+} from '../services/trashService.js';
+import { recordTaskRestored } from '../services/activityService.js';
+import { publishEvent } from '../services/webhookService.js';
+import { emitToRoom } from '../socket.js';
+
+const router = express.Router();
+
+// Get the trash of a workspace
+router.get('/', listTrashValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getWorkspaceForUser(req.query.workspaceId, req.user);
+
+    res.json({
+      success: true,
+      data: await listTrash(workspace)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the deleted workspaces of the current user
+router.get('/workspaces', async (req, res, next) => {
+  try {
+    const workspaces = await db.workspaces.find(
+      { owner: req.user._id, trashedAt: { $ne: null } },
+      { populate: [{ path: 'trashedBy', select: userFields }], sort: { trashedAt: -1 } }
+    );
+
+    res.json({
+      success: true,
+      data: workspaces.map(workspace => toTrashEntry('workspace', workspace))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore an item along with what was deleted with it
+router.post('/:type/:id/restore', trashItemValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id } = req.params;
+    const { item, workspace } = await getTrashedItemForUser(type, id, req.user);
+    const contents = await restoreItem(type, item);
+
+    // Restored tasks show up again where they were
+    const taskIds = type === 'task' ? [item._id, ...contents.tasks] : [];
+    for (const taskId of taskIds) {
+      const task = await db.tasks.findById(taskId, { populate: taskPopulate });
+      await recordTaskRestored(task, { actor: req.user });
+
+      emitToRoom(`workspace-${workspace._id}`, 'task-created', {
+        task,
+        workspaceId: workspace._id
+      });
+      await publishEvent(workspace._id, 'task.restored', { task });
+    }
+
+    res.json({
+      success: true,
+      message: 'Restored from trash',
+      data: { type, _id: item._id, restored: Object.values(contents).flat().length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an item of the trash for good
+router.delete('/:type/:id', trashItemValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id } = req.params;
+    const { item } = await getTrashedItemForUser(type, id, req.user, { purge: true });
+    await purgeItem(type, item);
+
+    res.json({
+      success: true,
+      message: 'Deleted for good'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,15 +1,27 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
+import { db } from '../repositories/index.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { hasWorkspaceAccess } from '../utils/hierarchy.js';
+import { hashPassword, matchPassword } from '../utils/password.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { escapeRegExp } from '../utils/textSearch.js';
+import {
+  getNotificationSettings,
+  notificationSettingsValidation
+} from '../utils/notificationContract.js';
+
+const publicUserFields = 'name email avatar status';
 
 const router = express.Router();
 
 // Get current user profile
 router.get('/me', async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate('workspaces', 'name description color icon');
+    const user = await db.users.findById(req.user._id, {
+      select: '-password',
+      populate: { path: 'workspaces', select: 'name description color icon' }
+    });
 
     res.json({
       success: true,
@@ -24,7 +36,7 @@ router.get('/me', async (req, res, next) => {
 router.put('/me', [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('preferences.theme').optional().isIn(['light', 'dark']).withMessage('Invalid theme preference'),
-  body('preferences.timezone').optional().isString().withMessage('Timezone must be a string')
+  body('preferences.timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be an IANA time zone, e.g. Europe/Berlin')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -37,15 +49,15 @@ router.put('/me', [
     }
 
     const { name, preferences, avatar } = req.body;
-    const user = await User.findById(req.user._id);
 
-    if (name !== undefined) user.name = name;
-    if (avatar !== undefined) user.avatar = avatar;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (avatar !== undefined) updates.avatar = avatar;
     if (preferences !== undefined) {
-      user.preferences = { ...user.preferences, ...preferences };
+      updates.preferences = { ...req.user.preferences, ...preferences };
     }
 
-    await user.save();
+    const user = await db.users.updateById(req.user._id, updates, { select: '-password' });
 
     res.json({
       success: true,
@@ -73,15 +85,14 @@ router.put('/me/password', [
     }
 
     const { currentPassword, newPassword } = req.body;
-    const user = await User.findById(req.user._id).select('+password');
+    const user = await db.users.findById(req.user._id);
 
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    const isCurrentPasswordValid = await matchPassword(currentPassword, user.password);
     if (!isCurrentPasswordValid) {
       throw new AppError('Current password is incorrect', 400);
     }
 
-    user.password = newPassword;
-    await user.save();
+    await db.users.updateById(user._id, { password: await hashPassword(newPassword) });
 
     res.json({
       success: true,
@@ -92,11 +103,54 @@ router.put('/me/password', [
   }
 });
 
+// Get notification preferences
+router.get('/notifications', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: getNotificationSettings(req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update notification preferences; muted types are not created at all
+router.put('/notifications', notificationSettingsValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { emailNotifications, pushNotifications, mutedTypes, digest } = req.body;
+
+    const notificationSettings = getNotificationSettings(req.user);
+    if (emailNotifications !== undefined) notificationSettings.emailNotifications = emailNotifications;
+    if (pushNotifications !== undefined) notificationSettings.pushNotifications = pushNotifications;
+    if (mutedTypes !== undefined) notificationSettings.mutedTypes = [...new Set(mutedTypes)];
+    if (digest !== undefined) notificationSettings.digest = digest;
+
+    const user = await db.users.updateById(req.user._id, { notificationSettings }, { select: 'notificationSettings' });
+
+    res.json({
+      success: true,
+      message: 'Notification settings updated successfully',
+      data: getNotificationSettings(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get user by ID (for mentions, etc.)
 router.get('/:id', async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('name email avatar status');
+    const user = await db.users.findById(req.params.id, { select: publicUserFields });
 
     if (!user) {
       throw new AppError('User not found', 404);
@@ -121,39 +175,38 @@ router.get('/search/:query', async (req, res, next) => {
     
     if (workspaceId) {
       // Search within workspace members
-      const Workspace = await import('../models/Workspace.js').then(module => module.default);
-      const workspace = await Workspace.findById(workspaceId)
-        .populate('members.user', 'name email avatar status');
+      const workspace = await db.workspaces.findById(workspaceId, {
+        populate: { path: 'members.user', select: publicUserFields }
+      });
 
       if (!workspace) {
         throw new AppError('Workspace not found', 404);
       }
 
       // Check if user has access to this workspace
-      const hasAccess = workspace.owner.equals(req.user._id) ||
-        workspace.members.some(member => member.user._id.equals(req.user._id));
-
-      if (!hasAccess) {
+      if (!hasWorkspaceAccess(workspace, req.user._id)) {
         throw new AppError('Access denied', 403);
       }
 
       users = workspace.members
-        .filter(member => 
+        .filter(member => member.user && (
           member.user.name.toLowerCase().includes(query.toLowerCase()) ||
           member.user.email.toLowerCase().includes(query.toLowerCase())
-        )
+        ))
         .map(member => member.user);
     } else {
       // Global search (limited to avoid exposing all users)
-      users = await User.find({
+      const pattern = escapeRegExp(query);
+      users = await db.users.find({
         $or: [
-          { name: { $regex: query, $options: 'i' } },
-          { email: { $regex: query, $options: 'i' } }
+          { name: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } }
         ],
         status: 'active'
-      })
-      .select('name email avatar status')
-      .limit(10);
+      }, {
+        select: publicUserFields,
+        limit: 10
+      });
     }
 
     res.json({
@@ -0,0 +1,150 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getWorkspaceForUser } from '../utils/hierarchy.js';
+import { createViewValidation, updateViewValidation } from '../utils/taskQueryContract.js';
+import { getViewForUser, canManageView, validateTaskQuery } from '../services/taskQueryService.js';
+
+const router = express.Router();
+
+const VIEW_FIELDS = ['name', 'shared', 'layout', 'filter', 'sort', 'groupBy'];
+
+// Get the views of a workspace the user can see: their own and the shared ones
+router.get('/', async (req, res, next) => {
+  try {
+    const { workspaceId } = req.query;
+
+    if (!workspaceId) {
+      throw new AppError('workspaceId is required', 400);
+    }
+
+    const workspace = await getWorkspaceForUser(workspaceId, req.user);
+
+    const views = await db.savedViews.find({
+      workspace: workspace._id,
+      $or: [{ createdBy: req.user._id }, { shared: true }]
+    }, {
+      populate: [{ path: 'createdBy', select: 'name email avatar' }],
+      sort: { name: 1 }
+    });
+
+    res.json({
+      success: true,
+      data: views
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single view; shared views open for every member through their link
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { view } = await getViewForUser(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a filter with its sorting, grouping and layout as a named view
+router.post('/', createViewValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await getWorkspaceForUser(req.body.workspace, req.user);
+
+    const view = {
+      name: req.body.name,
+      shared: Boolean(req.body.shared),
+      layout: req.body.layout || 'list',
+      filter: req.body.filter || null,
+      sort: req.body.sort || '',
+      groupBy: req.body.groupBy || ''
+    };
+    await validateTaskQuery(view, workspace, req.user);
+
+    const created = await db.savedViews.create({
+      ...view,
+      workspace: workspace._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a view; its creator can, and admins can for shared views
+router.put('/:id', updateViewValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { view: existing, workspace } = await getViewForUser(req.params.id, req.user);
+    if (!canManageView(existing, workspace, req.user)) {
+      throw new AppError('Only the creator of a view, or an admin for shared views, can change it', 403);
+    }
+
+    const updates = {};
+    VIEW_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    });
+    if (updates.groupBy === null) updates.groupBy = '';
+    await validateTaskQuery({ ...existing, ...updates }, workspace, req.user);
+
+    const view = await db.savedViews.updateById(existing._id, updates);
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a view
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { view, workspace } = await getViewForUser(req.params.id, req.user);
+    if (!canManageView(view, workspace, req.user)) {
+      throw new AppError('Only the creator of a view, or an admin for shared views, can delete it', 403);
+    }
+
+    await db.savedViews.deleteById(view._id);
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,12 +1,22 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Workspace from '../models/Workspace.js';
-import Space from '../models/Space.js';
+import { db } from '../repositories/index.js';
 import { AppError } from '../middleware/errorHandler.js';
-import { roleCheck } from '../middleware/auth.js';
+import { hasWorkspaceAccess, isWorkspaceAdmin } from '../utils/hierarchy.js';
+import { sameId } from '../utils/ids.js';
+import { DEFAULT_TASK_STATUSES, DEFAULT_TASK_PRIORITIES } from '../utils/taskContract.js';
+import { withWorkflow, updateStatuses, updatePriorities } from '../services/workflowService.js';
+import { trashItem } from '../services/trashService.js';
+import { emitToRoom, leaveWorkspaceRooms } from '../socket.js';
 
 const router = express.Router();
 
+const workspacePopulate = [
+  { path: 'owner', select: 'name email avatar' },
+  { path: 'members.user', select: 'name email avatar' },
+  { path: 'spaces', select: 'name description color icon order' }
+];
+
 // Create workspace
 router.post('/', [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Workspace name must be between 2 and 100 characters'),
@@ -24,7 +34,7 @@ router.post('/', [
 
     const { name, description, color = '#4F46E5', icon = '' } = req.body;
 
-    const workspace = await Workspace.create({
+    const workspace = await db.workspaces.create({
       name,
       description,
       owner: req.user._id,
@@ -35,29 +45,18 @@ router.post('/', [
       color,
       icon,
       settings: {
-        taskStatuses: [
-          { name: 'To Do', color: '#6B7280', order: 0 },
-          { name: 'In Progress', color: '#3B82F6', order: 1 },
-          { name: 'Review', color: '#F59E0B', order: 2 },
-          { name: 'Done', color: '#10B981', order: 3 }
-        ],
-        taskPriorities: [
-          { name: 'Low', color: '#6B7280', order: 0 },
-          { name: 'Medium', color: '#3B82F6', order: 1 },
-          { name: 'High', color: '#EF4444', order: 2 },
-          { name: 'Urgent', color: '#DC2626', order: 3 }
-        ]
+        taskStatuses: DEFAULT_TASK_STATUSES.map((status, order) => ({ ...status, order })),
+        taskPriorities: DEFAULT_TASK_PRIORITIES.map((priority, order) => ({ ...priority, order }))
       }
     });
 
     // Add workspace to user's workspaces
-    req.user.workspaces.push(workspace._id);
-    await req.user.save();
+    await db.users.updateById(req.user._id, { $addToSet: { workspaces: workspace._id } });
 
     res.status(201).json({
       success: true,
       message: 'Workspace created successfully',
-      data: workspace
+      data: withWorkflow(workspace)
     });
   } catch (error) {
     next(error);
@@ -67,20 +66,19 @@ router.post('/', [
 // Get user's workspaces
 router.get('/', async (req, res, next) => {
   try {
-    const workspaces = await Workspace.find({
+    const workspaces = await db.workspaces.find({
       $or: [
         { owner: req.user._id },
         { 'members.user': req.user._id }
       ]
-    })
-    .populate('owner', 'name email avatar')
-    .populate('members.user', 'name email avatar')
-    .populate('spaces', 'name description color icon order')
-    .sort({ createdAt: -1 });
+    }, {
+      populate: workspacePopulate,
+      sort: { createdAt: -1 }
+    });
 
     res.json({
       success: true,
-      data: workspaces
+      data: workspaces.map(withWorkflow)
     });
   } catch (error) {
     next(error);
@@ -90,26 +88,22 @@ router.get('/', async (req, res, next) => {
 // Get single workspace
 router.get('/:id', async (req, res, next) => {
   try {
-    const workspace = await Workspace.findById(req.params.id)
-      .populate('owner', 'name email avatar')
-      .populate('members.user', 'name email avatar')
-      .populate('spaces', 'name description color icon order');
+    const workspace = await db.workspaces.findById(req.params.id, {
+      populate: workspacePopulate
+    });
 
     if (!workspace) {
       throw new AppError('Workspace not found', 404);
     }
 
     // Check if user has access to this workspace
-    const hasAccess = workspace.owner._id.equals(req.user._id) ||
-      workspace.members.some(member => member.user._id.equals(req.user._id));
-
-    if (!hasAccess) {
+    if (!hasWorkspaceAccess(workspace, req.user._id)) {
       throw new AppError('Access denied', 403);
     }
 
     res.json({
       success: true,
-      data: workspace
+      data: withWorkflow(workspace)
     });
   } catch (error) {
     next(error);
@@ -131,65 +125,153 @@ router.put('/:id', [
       });
     }
 
-    const workspace = await Workspace.findById(req.params.id);
+    const workspace = await db.workspaces.findById(req.params.id);
 
     if (!workspace) {
       throw new AppError('Workspace not found', 404);
     }
 
     // Check if user has permission to update workspace
-    const isOwner = workspace.owner.equals(req.user._id);
-    const isAdmin = workspace.members.some(member => 
-      member.user.equals(req.user._id) && member.role === 'admin'
-    );
-
-    if (!isOwner && !isAdmin) {
+    if (!isWorkspaceAdmin(workspace, req.user._id)) {
       throw new AppError('Access denied', 403);
     }
 
     const { name, description, color, icon, settings } = req.body;
+    // Statuses and priorities have their own endpoints, which migrate tasks
+    const { taskStatuses, taskPriorities, ...otherSettings } = settings || {};
+
+    if (taskStatuses !== undefined || taskPriorities !== undefined) {
+      throw new AppError('Use the statuses and priorities endpoints to change the workflow', 400);
+    }
 
-    if (name !== undefined) workspace.name = name;
-    if (description !== undefined) workspace.description = description;
-    if (color !== undefined) workspace.color = color;
-    if (icon !== undefined) workspace.icon = icon;
-    if (settings !== undefined) workspace.settings = { ...workspace.settings, ...settings };
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (color !== undefined) updates.color = color;
+    if (icon !== undefined) updates.icon = icon;
+    if (settings !== undefined) updates.settings = { ...workspace.settings, ...otherSettings };
 
-    await workspace.save();
+    const updatedWorkspace = await db.workspaces.updateById(workspace._id, updates);
 
     res.json({
       success: true,
       message: 'Workspace updated successfully',
-      data: workspace
+      data: withWorkflow(updatedWorkspace)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete workspace
-router.delete('/:id', roleCheck(['admin']), async (req, res, next) => {
+const workflowValidation = (field) => [
+  body(field).isArray({ min: 1 }).withMessage(`${field} must be a non-empty array`),
+  body(`${field}.*.name`).isString().trim().notEmpty().withMessage('Name is required'),
+  body(`${field}.*.color`).optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3B82F6'),
+  body(`${field}.*.archived`).optional().isBoolean().withMessage('Archived must be a boolean')
+];
+
+// Replace workspace task statuses (add, rename, recolor, reorder, archive)
+router.put('/:id/statuses', [
+  ...workflowValidation('statuses'),
+  body('statuses.*.category').optional().isIn(['open', 'done']).withMessage('Category must be open or done')
+], async (req, res, next) => {
   try {
-    const workspace = await Workspace.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await db.workspaces.findById(req.params.id);
+
+    if (!workspace) {
+      throw new AppError('Workspace not found', 404);
+    }
+
+    if (!isWorkspaceAdmin(workspace, req.user._id)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const result = await updateStatuses(workspace, req.body.statuses);
+
+    // Emit real-time update
+    emitToRoom(`workspace-${workspace._id}`, 'workflow-updated', {
+      workspaceId: workspace._id,
+      settings: result.workspace.settings
+    });
+
+    res.json({
+      success: true,
+      message: 'Statuses updated successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace workspace task priorities
+router.put('/:id/priorities', workflowValidation('priorities'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await db.workspaces.findById(req.params.id);
+
+    if (!workspace) {
+      throw new AppError('Workspace not found', 404);
+    }
+
+    if (!isWorkspaceAdmin(workspace, req.user._id)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const result = await updatePriorities(workspace, req.body.priorities);
+
+    // Emit real-time update
+    emitToRoom(`workspace-${workspace._id}`, 'workflow-updated', {
+      workspaceId: workspace._id,
+      settings: result.workspace.settings
+    });
+
+    res.json({
+      success: true,
+      message: 'Priorities updated successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move workspace to the trash along with everything in it
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const workspace = await db.workspaces.findById(req.params.id);
 
     if (!workspace) {
       throw new AppError('Workspace not found', 404);
     }
 
     // Check if user is the owner
-    if (!workspace.owner.equals(req.user._id)) {
+    if (!sameId(workspace.owner, req.user._id)) {
       throw new AppError('Only workspace owner can delete workspace', 403);
     }
 
-    await Workspace.findByIdAndDelete(req.params.id);
-
-    // Remove workspace from all users' workspaces array
-    // This would typically be handled by a pre-delete hook or cascade delete
-    // For now, we'll keep it simple
+    await trashItem('workspace', workspace, req.user);
 
     res.json({
       success: true,
-      message: 'Workspace deleted successfully'
+      message: 'Workspace moved to trash'
     });
   } catch (error) {
     next(error);
@@ -211,55 +293,50 @@ router.post('/:id/members', [
       });
     }
 
-    const workspace = await Workspace.findById(req.params.id).populate('members.user', 'email');
+    const workspace = await db.workspaces.findById(req.params.id);
 
     if (!workspace) {
       throw new AppError('Workspace not found', 404);
     }
 
     // Check if user has permission to add members
-    const isOwner = workspace.owner.equals(req.user._id);
-    const isAdmin = workspace.members.some(member => 
-      member.user._id.equals(req.user._id) && member.role === 'admin'
-    );
-
-    if (!isOwner && !isAdmin) {
+    if (!isWorkspaceAdmin(workspace, req.user._id)) {
       throw new AppError('Access denied', 403);
     }
 
-    const User = await import('../models/User.js').then(module => module.default);
     const { email, role = 'member' } = req.body;
 
-    const userToAdd = await User.findOne({ email });
+    const userToAdd = await db.users.findOne({ email });
     if (!userToAdd) {
       throw new AppError('User not found', 404);
     }
 
     // Check if user is already a member
     const isAlreadyMember = workspace.members.some(member => 
-      member.user._id.equals(userToAdd._id)
+      sameId(member.user, userToAdd._id)
     );
 
     if (isAlreadyMember) {
       throw new AppError('User is already a member of this workspace', 400);
     }
 
-    workspace.members.push({
-      user: userToAdd._id,
-      role,
-      joinedAt: new Date()
+    const updatedWorkspace = await db.workspaces.updateById(workspace._id, {
+      $push: {
+        members: {
+          user: userToAdd._id,
+          role,
+          joinedAt: new Date()
+        }
+      }
     });
 
     // Add workspace to user's workspaces
-    userToAdd.workspaces.push(workspace._id);
-    await userToAdd.save();
-
-    await workspace.save();
+    await db.users.updateById(userToAdd._id, { $addToSet: { workspaces: workspace._id } });
 
     res.json({
       success: true,
       message: 'Member added successfully',
-      data: workspace
+      data: withWorkflow(updatedWorkspace)
     });
   } catch (error) {
     next(error);
@@ -269,45 +346,41 @@ router.post('/:id/members', [
 // Remove member from workspace
 router.delete('/:id/members/:userId', async (req, res, next) => {
   try {
-    const workspace = await Workspace.findById(req.params.id);
+    const workspace = await db.workspaces.findById(req.params.id);
 
     if (!workspace) {
       throw new AppError('Workspace not found', 404);
     }
 
     // Check if user has permission to remove members
-    const isOwner = workspace.owner.equals(req.user._id);
-    const isAdmin = workspace.members.some(member => 
-      member.user.equals(req.user._id) && member.role === 'admin'
-    );
-    const isRemovingSelf = req.params.userId === req.user._id.toString();
+    const isRemovingSelf = sameId(req.params.userId, req.user._id);
 
-    if (!isOwner && !isAdmin && !isRemovingSelf) {
+    if (!isWorkspaceAdmin(workspace, req.user._id) && !isRemovingSelf) {
       throw new AppError('Access denied', 403);
     }
 
     // Cannot remove owner
-    if (workspace.owner.toString() === req.params.userId) {
+    if (sameId(workspace.owner, req.params.userId)) {
       throw new AppError('Cannot remove workspace owner', 400);
     }
 
     // Remove member
-    workspace.members = workspace.members.filter(member => 
-      member.user.toString() !== req.params.userId
-    );
-
-    await workspace.save();
+    const updatedWorkspace = await db.workspaces.updateById(workspace._id, {
+      $pull: { members: { user: req.params.userId } }
+    });
 
     // Remove workspace from user's workspaces
-    const User = await import('../models/User.js').then(module => module.default);
-    await User.findByIdAndUpdate(req.params.userId, {
+    await db.users.updateById(req.params.userId, {
       $pull: { workspaces: workspace._id }
     });
 
+    // Stop real-time updates reaching the removed member
+    await leaveWorkspaceRooms(workspace._id, req.params.userId);
+
     res.json({
       success: true,
       message: 'Member removed successfully',
-      data: workspace
+      data: withWorkflow(updatedWorkspace)
     });
   } catch (error) {
     next(error);
@@ -1,151 +1,89 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
-import { Server } from 'socket.io';
-import rateLimit from 'express-rate-limit';
 import process from 'process';
 
 // Import database connection
 import connectDB from './db.js';
 
-// Import cleanup utilities
-import { initializeCleanupScheduler } from './utils/cleanup.js';
+// Import storage adapter
+import { selectStorage } from './repositories/index.js';
+import { seedDemoData, DEMO_USER } from './repositories/seed.js';
+import { selectFileStorage } from './fileStorage/index.js';
 
-// Import real routes with MongoDB support
-import authRoutes from './routes/auth.js';
-import invitationRoutes from './routes/invitations.js';
-import workspaceRoutes from './routes/workspaces.js';
-import mockUserRoutes from './routes/mockUsers.js';
-import mockTaskRoutes from './routes/mockTasks.js';
-import mockTimeRoutes from './routes/mockTime.js';
+// Import cleanup utilities
+import { initializeCleanupScheduler, cleanupExpiredTrash } from './utils/cleanup.js';
+import { scheduleJob } from './services/jobScheduler.js';
+import { sendDueDateReminders, sendDigests } from './services/reminderService.js';
+import { runDueDateAutomations } from './services/automationService.js';
+import { processWebhookQueue } from './services/webhookService.js';
+import { createScheduledOccurrences } from './services/recurrenceService.js';
+import { backfillCommentWorkspaces } from './services/commentService.js';
 
-// Import middleware
-import { errorHandler } from './middleware/errorHandler.js';
-import { authMiddleware } from './middleware/auth.js';
-import { mockAuthMiddleware } from './middleware/mockAuth.js';
+import { createApp } from './app.js';
+import { initializeSocket } from './socket.js';
 
 dotenv.config();
 
-const app = express();
+const app = createApp();
 const server = createServer(app);
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
-const io = new Server(server, {
-  cors: {
-    origin: [`${FRONTEND_URL}`, "http://localhost:3000"],
-    methods: ["GET", "POST", "PUT", "DELETE", "PATCH"]
-  }
+// Socket.IO for real-time features
+initializeSocket(server, {
+  origins: [`${FRONTEND_URL}`, "http://localhost:3000"]
 });
 
 const PORT = process.env.PORT || 5001;
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
-app.use(limiter);
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Static files
-app.use('/uploads', express.static('uploads'));
-
-// Initialize database connection
+// Initialize storage: MongoDB when configured, in-memory when chosen with
+// STORAGE=memory or when there is no MongoDB URI. A configured MongoDB that
+// cannot be reached stops the start-up instead of quietly losing every write.
 async function initializeDatabase() {
-  try {
-    if (process.env.MONGODB_URI) {
-      // Add timeout for MongoDB connection
-      const connectPromise = connectDB();
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('MongoDB connection timeout')), 5000)
-      );
+  if (process.env.STORAGE !== 'memory' && process.env.MONGODB_URI) {
+    await connectDB();
+    selectStorage('mongo');
+    console.log('Using MongoDB database');
+    return 'mongo';
+  }
 
-      await Promise.race([connectPromise, timeoutPromise]);
-      console.log('Using MongoDB database');
-    } else {
-      console.log('No MongoDB URI provided, using in-memory storage');
-    }
-  } catch (error) {
-    console.log('MongoDB connection failed, using in-memory storage:', error.message);
+  selectStorage('memory');
+  // The demo user has a published password, so only seed it on request and never in production
+  if (process.env.STORAGE === 'memory' && process.env.NODE_ENV !== 'production') {
+    await seedDemoData();
+    console.log(`In-memory storage seeded with demo user ${DEMO_USER.email} / ${DEMO_USER.password}`);
+  } else {
+    console.log('Using empty in-memory storage');
   }
+  return 'memory';
 }
 
-// Routes - Using real auth and invitations with MongoDB, mock for others
-app.use('/api/auth', authRoutes);
-app.use('/api/invitations', invitationRoutes);
-app.use('/api/users', authMiddleware, mockUserRoutes);
-app.use('/api/workspaces', authMiddleware, workspaceRoutes);
-app.use('/api/tasks', authMiddleware, mockTaskRoutes);
-app.use('/api/time', authMiddleware, mockTimeRoutes);
-
-// Placeholder routes for future features
-app.use('/api/projects', mockAuthMiddleware, (_req, res) => {
-  res.json({ success: true, message: 'Projects endpoint - to be implemented', data: [] });
-});
-app.use('/api/automations', mockAuthMiddleware, (_req, res) => {
-  res.json({ success: true, message: 'Automations endpoint - to be implemented', data: [] });
-});
-app.use('/api/integrations', mockAuthMiddleware, (_req, res) => {
-  res.json({ success: true, message: 'Integrations endpoint - to be implemented', data: [] });
-});
-
-// Socket.IO for real-time features
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-workspace', (workspaceId) => {
-    socket.join(`workspace-${workspaceId}`);
-  });
-
-  socket.on('join-task', (taskId) => {
-    socket.join(`task-${taskId}`);
-  });
-
-  socket.on('send-message', (data) => {
-    io.to(`task-${data.taskId}`).emit('receive-message', data);
-  });
-
-  socket.on('task-updated', (data) => {
-    io.to(`workspace-${data.workspaceId}`).emit('task-update', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
-
-// Error handling middleware
-app.use(errorHandler);
-
-// Health check
-app.get('/health', (_req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
-
 // Start server
 async function startServer() {
-  await initializeDatabase();
+  const storage = await initializeDatabase();
+  selectFileStorage(process.env.FILE_STORAGE || 'local');
 
-  // Initialize cleanup scheduler for temporary users and OTPs
-  if (process.env.MONGODB_URI) {
+  // Initialize cleanup scheduler for temporary users and OTPs, and give
+  // comments saved before they recorded their workspace the one of their task
+  if (storage === 'mongo') {
     initializeCleanupScheduler();
+    await backfillCommentWorkspaces();
   }
 
+  // Due date reminders, email digests, due date automations, webhook retries, recurring tasks and the trash retention; all are safe to run again after a restart
+  scheduleJob('reminders', 15 * 60 * 1000, () => sendDueDateReminders());
+  scheduleJob('digests', 15 * 60 * 1000, () => sendDigests());
+  scheduleJob('automations', 5 * 60 * 1000, () => runDueDateAutomations());
+  scheduleJob('webhooks', 60 * 1000, () => processWebhookQueue());
+  scheduleJob('recurrence', 5 * 60 * 1000, () => createScheduledOccurrences());
+  scheduleJob('trash', 60 * 60 * 1000, cleanupExpiredTrash);
+
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
-    console.log('Using in-memory storage (no MongoDB required)');
+    console.log(`Using ${storage === 'mongo' ? 'MongoDB' : 'in-memory'} storage`);
   });
 }
 
-startServer().catch(console.error);
-
-export { io };
+startServer().catch(error => {
+  console.error('Server failed to start:', error.message);
+  process.exit(1);
+});
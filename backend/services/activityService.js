@@ -0,0 +1,147 @@
+import { db } from '../repositories/index.js';
+import { idOf } from '../utils/ids.js';
+import { ACTIVITY_FIELDS } from '../utils/activityContract.js';
+
+/**
+ * Audit history of tasks. A change is recorded as one entry per changed
+ * field with its value before and after. References to members, lists and
+ * tasks are stored as `{ _id, name }` snapshots, so the history still reads
+ * right after they are renamed or deleted.
+ */
+
+const toISODate = (value) => (value ? new Date(value).toISOString() : null);
+
+// Value of a field to compare: dates as ISO strings, references as IDs
+const valueOf = (task, field) => {
+  const value = task[field];
+  switch (field) {
+    case 'dueDate':
+    case 'startDate':
+      return toISODate(value);
+    case 'assignees':
+      return (value || []).map(assignee => idOf(assignee.user)).sort();
+    case 'tags':
+      return [...(value || [])].sort();
+    case 'list':
+    case 'parentTask':
+      return value ? idOf(value) : null;
+    case 'dependencies':
+      return (value || [])
+        .map(dependency => ({ task: idOf(dependency.task), type: dependency.type }))
+        .sort((a, b) => a.task.localeCompare(b.task));
+    default:
+      return value ?? null;
+  }
+};
+
+const customFieldValues = (task) => new Map((task.customFields || []).map(entry => [idOf(entry.field), entry.value ?? null]));
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two versions of a task as `{ field, from, to }`;
+ * each custom field whose value changed is an entry of its own
+ */
+export const diffTask = (before, after, fields = ACTIVITY_FIELDS) => fields.flatMap(field => {
+  if (field === 'customFields') {
+    const previous = customFieldValues(before);
+    const current = customFieldValues(after);
+    return [...new Set([...previous.keys(), ...current.keys()])]
+      .filter(fieldId => !isSame(previous.get(fieldId) ?? null, current.get(fieldId) ?? null))
+      .map(fieldId => ({ field, customField: fieldId, from: previous.get(fieldId) ?? null, to: current.get(fieldId) ?? null }));
+  }
+
+  const from = valueOf(before, field);
+  const to = valueOf(after, field);
+  return isSame(from, to) ? [] : [{ field, from, to }];
+});
+
+const loadNames = async (repository, ids, path) => {
+  if (ids.length === 0) return new Map();
+  const documents = await repository.find({ _id: { $in: ids } }, { select: path });
+  return new Map(documents.map(document => [idOf(document._id), document[path]]));
+};
+
+// Swap the IDs in changes for `{ _id, name }` snapshots
+const withSnapshots = async (changes) => {
+  const userIds = new Set();
+  const listIds = new Set();
+  const taskIds = new Set();
+  const fieldIds = new Set();
+  changes.forEach(({ field, customField, from, to }) => {
+    if (field === 'assignees') [...(from || []), ...(to || [])].forEach(id => userIds.add(id));
+    if (field === 'list') [from, to].filter(Boolean).forEach(id => listIds.add(id));
+    if (field === 'parentTask') [from, to].filter(Boolean).forEach(id => taskIds.add(id));
+    if (field === 'dependencies') [...(from || []), ...(to || [])].forEach(dependency => taskIds.add(dependency.task));
+    if (customField) fieldIds.add(customField);
+  });
+
+  const [users, lists, tasks, fields] = await Promise.all([
+    loadNames(db.users, [...userIds], 'name'),
+    loadNames(db.lists, [...listIds], 'name'),
+    loadNames(db.tasks, [...taskIds], 'title'),
+    loadNames(db.customFields, [...fieldIds], 'name')
+  ]);
+  const snapshot = (names, id) => (id ? { _id: id, name: names.get(id) ?? null } : null);
+
+  return changes.map(change => {
+    switch (change.field) {
+      case 'assignees':
+        return { ...change, from: change.from.map(id => snapshot(users, id)), to: change.to.map(id => snapshot(users, id)) };
+      case 'list':
+        return { ...change, from: snapshot(lists, change.from), to: snapshot(lists, change.to) };
+      case 'parentTask':
+        return { ...change, from: snapshot(tasks, change.from), to: snapshot(tasks, change.to) };
+      case 'dependencies': {
+        const toSnapshots = values => values.map(({ task, type }) => ({ ...snapshot(tasks, task), type }));
+        return { ...change, from: toSnapshots(change.from), to: toSnapshots(change.to) };
+      }
+      case 'customFields':
+        return { ...change, label: fields.get(change.customField) ?? null };
+      default:
+        return change;
+    }
+  });
+};
+
+const record = async (task, entries, { actor, source = 'user' }) => {
+  const created = [];
+  for (const entry of entries) {
+    created.push(await db.activities.create({
+      workspace: idOf(task.workspace),
+      task: task._id,
+      taskTitle: task.title,
+      actor: actor ? idOf(actor) : null,
+      source,
+      ...entry
+    }));
+  }
+  return created;
+};
+
+/**
+ * Record that a task was created by `actor`, a user or user ID; `source`
+ * says what acted for them (see ACTIVITY_SOURCES)
+ */
+export const recordTaskCreated = (task, options = {}) => record(task, [{ action: 'created' }], options);
+
+/**
+ * Record what changed between two versions of a task, optionally only for
+ * some `fields`. Returns the new entries; none when nothing changed.
+ */
+export const recordTaskChanges = async (before, after, { fields, ...options } = {}) => {
+  const changes = diffTask(before, after, fields);
+  if (changes.length === 0) return [];
+  const entries = await withSnapshots(changes);
+  return record(after, entries.map(entry => ({ action: 'updated', ...entry })), options);
+};
+
+/**
+ * Record that a task was deleted
+ */
+export const recordTaskDeleted = (task, options = {}) => record(task, [{ action: 'deleted' }], options);
+
+/**
+ * Record that a task came back from the trash
+ */
+export const recordTaskRestored = (task, options = {}) => record(task, [{ action: 'restored' }], options);
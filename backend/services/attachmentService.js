@@ -0,0 +1,67 @@
+import path from 'path';
+import sharp from 'sharp';
+import { files } from '../fileStorage/index.js';
+import { PREVIEW_TYPES, THUMBNAIL_SIZE } from '../utils/attachmentContract.js';
+import { idOf } from '../utils/ids.js';
+
+// Keep a plain extension so downloaded files open with the right program
+const extensionOf = (name = '') => {
+  const extension = path.extname(name).toLowerCase();
+  return /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '';
+};
+
+/**
+ * Scale an image down to a WebP thumbnail; null when it cannot be read
+ */
+export const createThumbnail = async (data) => {
+  try {
+    return await sharp(data)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    console.error('Error creating thumbnail:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Store an uploaded file as one version of an attachment, together with a
+ * thumbnail for images. Returns the fields describing that version.
+ */
+export const storeUpload = async (task, attachmentId, version, file) => {
+  const base = `${idOf(task.workspace)}/${idOf(task._id)}/${attachmentId}/v${version}`;
+  const filename = `${base}${extensionOf(file.originalname)}`;
+  await files.put(filename, file.buffer, { contentType: file.mimetype });
+
+  let thumbnail = null;
+  if (PREVIEW_TYPES.includes(file.mimetype)) {
+    const image = await createThumbnail(file.buffer);
+    if (image) {
+      thumbnail = `${base}.thumb.webp`;
+      await files.put(thumbnail, image, { contentType: 'image/webp' });
+    }
+  }
+
+  return { filename, size: file.size, mimeType: file.mimetype, thumbnail };
+};
+
+/**
+ * Remove every stored version and thumbnail of deleted attachments. Never
+ * throws; files that cannot be removed are only logged.
+ */
+export const removeAttachmentFiles = async (attachments = []) => {
+  const keys = attachments
+    .flatMap(attachment => [attachment, ...(attachment.versions || [])])
+    .flatMap(version => [version.filename, version.thumbnail])
+    .filter(Boolean);
+
+  for (const key of keys) {
+    try {
+      await files.delete(key);
+    } catch (error) {
+      console.error(`Error removing file ${key}:`, error);
+    }
+  }
+};
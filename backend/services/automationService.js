@@ -0,0 +1,435 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf, sameId } from '../utils/ids.js';
+import { hasWorkspaceAccess, getListForUser } from '../utils/hierarchy.js';
+import { buildTask, toAssignees, isValidStatus, getDefaultStatus, userFields, taskPopulate } from '../utils/taskContract.js';
+import { ACTION_FIELDS, MAX_AUTOMATION_DEPTH } from '../utils/automationContract.js';
+import { DELIVERY_TIMEOUT } from '../utils/webhookContract.js';
+import { getBottomRank } from '../utils/ranking.js';
+import { nextTaskNumber } from '../utils/taskReferences.js';
+import { emitToRoom } from '../socket.js';
+import { publishEvent } from './webhookService.js';
+import { getWorkflow, filterOpenTasks } from './workflowService.js';
+import { commentSelect, commentPopulate, resolveMentions, notifyMentions } from './commentService.js';
+import { recordTaskCreated, recordTaskChanges } from './activityService.js';
+import { repeatOnCompletion } from './recurrenceService.js';
+import {
+  notify,
+  notifyAssignment,
+  notifyStatusChange,
+  notifyComment,
+  getTaskAudience
+} from './notificationService.js';
+
+export const automationPopulate = [
+  { path: 'list', select: 'name' },
+  { path: 'actions.user', select: userFields },
+  { path: 'createdBy', select: userFields }
+];
+
+/**
+ * Check the references of a rule against its workspace: the list it is
+ * scoped to, status keys and assignees. Throws a 400 AppError otherwise.
+ */
+export const validateAutomation = async (rule, workspace, user) => {
+  if (rule.list) {
+    const { workspace: listWorkspace } = await getListForUser(rule.list, user);
+    if (!sameId(listWorkspace._id, workspace._id)) {
+      throw new AppError('List not found in this workspace', 400);
+    }
+  }
+
+  const statusKeys = getWorkflow(workspace).statuses.map(status => status.key);
+  ['from', 'to'].forEach(key => {
+    if (rule.trigger[key] && !statusKeys.includes(rule.trigger[key])) {
+      throw new AppError(`Invalid status: ${rule.trigger[key]}`, 400);
+    }
+  });
+  if ((rule.trigger.from || rule.trigger.to) && rule.trigger.type !== 'status-changed') {
+    throw new AppError('Only status changes can be limited to statuses', 400);
+  }
+
+  rule.actions.forEach(action => {
+    const missing = ACTION_FIELDS[action.type].find(field => !action[field]);
+    if (missing) {
+      throw new AppError(`Action ${action.type} requires ${missing}`, 400);
+    }
+    if (action.type === 'change-status' && !isValidStatus(getWorkflow(workspace), action.status)) {
+      throw new AppError(`Invalid status: ${action.status}`, 400);
+    }
+    if (action.user && !hasWorkspaceAccess(workspace, action.user)) {
+      throw new AppError('Users must be members of the workspace', 400);
+    }
+  });
+};
+
+const matchesTrigger = (trigger, event) => {
+  if (trigger.from && trigger.from !== event.from) return false;
+  if (trigger.to && trigger.to !== event.to) return false;
+  return true;
+};
+
+// Values a condition field has on a task, as strings
+const fieldValues = (task, field) => {
+  switch (field) {
+    case 'status': return [task.status];
+    case 'priority': return [task.priority];
+    case 'assignee': return (task.assignees || []).map(assignee => idOf(assignee.user));
+    case 'tag': return task.tags || [];
+    case 'list': return task.list ? [idOf(task.list)] : [];
+    case 'title': return [task.title];
+    default: return [];
+  }
+};
+
+export const matchesConditions = (conditions, task) => conditions.every(({ field, operator, value }) => {
+  const values = fieldValues(task, field).filter(Boolean);
+
+  switch (operator) {
+    case 'is': return values.includes(value);
+    case 'is-not': return !values.includes(value);
+    case 'contains': return values.some(item => item.toLowerCase().includes(String(value).toLowerCase()));
+    case 'is-set': return values.length > 0;
+    case 'is-not-set': return values.length === 0;
+    default: return false;
+  }
+});
+
+const getUserName = async (userId) => {
+  const user = await db.users.findById(userId, { select: 'name' });
+  return user?.name || 'a former member';
+};
+
+/**
+ * Actions of a rule. `describe` says what an action would do to the task, or
+ * returns null when there is nothing to do; `perform` does it and returns the
+ * triggers its change fires in turn.
+ */
+const actionHandlers = {
+  'change-status': {
+    describe: (action, { task, workspace }) => {
+      if (task.status === action.status) return null;
+      const status = getWorkflow(workspace).statuses.find(option => option.key === action.status);
+      return `Move to ${status?.name || action.status}`;
+    },
+    perform: async (action, { task, workspace, actor }) => {
+      if (!isValidStatus(getWorkflow(workspace), action.status)) {
+        throw new Error(`Status ${action.status} is no longer available`);
+      }
+      let updated = await db.tasks.updateById(task._id, {
+        status: action.status,
+        rank: await getBottomRank(workspace._id, action.status),
+        updatedBy: actor._id
+      }, { populate: taskPopulate });
+      await recordTaskChanges(task, updated, { actor, source: 'automation' });
+      if (await repeatOnCompletion(task, updated, { workspace, actor })) {
+        updated = await db.tasks.findById(task._id, { populate: taskPopulate });
+      }
+
+      emitToRoom(`workspace-${workspace._id}`, 'task-updated', { task: updated, workspaceId: workspace._id });
+      await publishEvent(workspace._id, 'task.updated', { task: updated });
+      await notifyStatusChange(updated, { workspace, actor });
+      return [['status-changed', updated, { from: task.status, to: updated.status }]];
+    }
+  },
+
+  assign: {
+    describe: async (action, { task }) => {
+      if (task.assignees.some(assignee => sameId(assignee.user, action.user))) return null;
+      return `Assign ${await getUserName(action.user)}`;
+    },
+    perform: async (action, { task, workspace, actor }) => {
+      if (!hasWorkspaceAccess(workspace, action.user)) {
+        throw new Error('The user is no longer a member of the workspace');
+      }
+      const updated = await db.tasks.updateById(task._id, {
+        assignees: [...task.assignees, ...toAssignees([action.user], actor._id)],
+        updatedBy: actor._id
+      }, { populate: taskPopulate });
+      await recordTaskChanges(task, updated, { actor, source: 'automation' });
+
+      emitToRoom(`workspace-${workspace._id}`, 'task-updated', { task: updated, workspaceId: workspace._id });
+      await publishEvent(workspace._id, 'task.updated', { task: updated });
+      await notifyAssignment(updated, [action.user], { workspace, actor });
+      return [['assignee-changed', updated, {}]];
+    }
+  },
+
+  'add-tag': {
+    describe: (action, { task }) => ((task.tags || []).includes(action.tag) ? null : `Add tag "${action.tag}"`),
+    perform: async (action, { task, workspace, actor }) => {
+      const updated = await db.tasks.updateById(task._id, {
+        $addToSet: { tags: action.tag },
+        updatedBy: actor._id
+      }, { populate: taskPopulate });
+      await recordTaskChanges(task, updated, { actor, source: 'automation' });
+
+      emitToRoom(`workspace-${workspace._id}`, 'task-updated', { task: updated, workspaceId: workspace._id });
+      await publishEvent(workspace._id, 'task.updated', { task: updated });
+      return [];
+    }
+  },
+
+  'create-subtask': {
+    describe: (action) => `Create subtask "${action.title}"`,
+    perform: async (action, { task, workspace, actor }) => {
+      const workflow = getWorkflow(workspace);
+      const created = await db.tasks.create(buildTask({
+        title: action.title,
+        workspace: workspace._id,
+        number: await nextTaskNumber(workspace._id),
+        list: task.list,
+        parentTask: task._id,
+        rank: await getBottomRank(workspace._id, getDefaultStatus(workflow)),
+        createdBy: actor._id,
+        updatedBy: actor._id
+      }, workflow));
+      await db.tasks.updateById(task._id, { $push: { subtasks: created._id } });
+
+      const subtask = await db.tasks.findById(created._id, { populate: taskPopulate });
+      await recordTaskCreated(subtask, { actor, source: 'automation' });
+      emitToRoom(`workspace-${workspace._id}`, 'task-created', { task: subtask, workspaceId: workspace._id });
+      await publishEvent(workspace._id, 'task.created', { task: subtask });
+      return [['task-created', subtask, {}]];
+    }
+  },
+
+  'post-comment': {
+    describe: (action) => `Comment "${action.content}"`,
+    perform: async (action, { task, workspace, actor }) => {
+      const mentions = await resolveMentions(workspace, action.content);
+      const created = await db.comments.create({
+        task: task._id,
+        workspace: workspace._id,
+        user: actor._id,
+        content: action.content,
+        mentions
+      });
+      await db.tasks.updateById(task._id, { $push: { comments: created._id } });
+
+      const comment = await db.comments.findById(created._id, { select: commentSelect, populate: commentPopulate });
+      emitToRoom(`task-${task._id}`, 'comment-added', { comment, taskId: task._id });
+      await publishEvent(workspace._id, 'comment.created', { comment, taskId: task._id });
+      await notifyMentions(comment, mentions, { task, workspace, author: actor });
+      await notifyComment(comment, { task, workspace, author: actor, skip: mentions });
+      return [['comment-added', task, {}]];
+    }
+  },
+
+  'send-notification': {
+    describe: async (action) => (
+      `Notify ${action.user ? await getUserName(action.user) : 'assignees and watchers'}: "${action.message}"`
+    ),
+    perform: async (action, { task, workspace }) => {
+      // Sent by the rule itself, so the member who created it is told as well
+      await notify(action.user ? [action.user] : getTaskAudience(task), {
+        type: 'automation',
+        workspace,
+        task,
+        message: action.message
+      });
+      return [];
+    }
+  },
+
+  'call-webhook': {
+    describe: (action) => `POST to ${action.url}`,
+    perform: async (action, { automation, task, workspace, trigger, event }) => {
+      const response = await fetch(action.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          automation: { _id: automation._id, name: automation.name },
+          trigger,
+          event,
+          workspace: { _id: workspace._id, name: workspace.name },
+          task
+        }),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook answered with status ${response.status}`);
+      }
+      return [];
+    }
+  }
+};
+
+const recordRun = async (automation, run) => {
+  const created = await db.automationRuns.create({
+    automation: automation._id,
+    workspace: automation.workspace,
+    ...run
+  });
+  if (run.status !== 'skipped' && !run.dryRun) {
+    await db.automations.updateById(automation._id, { $inc: { runCount: 1 }, lastRunAt: new Date() });
+  }
+  return created;
+};
+
+/**
+ * Carry out the actions of a rule on a task and log the run. Dry runs only
+ * describe the actions. `chain` holds the rules whose changes led here: a
+ * rule never fires twice in one chain, and chains stop after
+ * MAX_AUTOMATION_DEPTH rules, so rules cannot trigger each other forever.
+ */
+export const executeAutomation = async (automation, { task, workspace, trigger, event = {}, chain = [], dryRun = automation.dryRun }) => {
+  const base = { task: task._id, trigger, dryRun, depth: chain.length, dueDate: event.dueDate ?? null };
+
+  if (chain.some(automationId => sameId(automationId, automation._id))) {
+    return recordRun(automation, { ...base, status: 'skipped', reason: 'Loop detected: the rule already ran in this chain of changes' });
+  }
+  if (chain.length >= MAX_AUTOMATION_DEPTH) {
+    return recordRun(automation, { ...base, status: 'skipped', reason: `More than ${MAX_AUTOMATION_DEPTH} automations in a row` });
+  }
+
+  const actor = await db.users.findById(automation.createdBy, { select: userFields }) || { _id: automation.createdBy };
+  const context = { automation, workspace, actor, trigger, event };
+  const actions = [];
+  const followUps = [];
+  let current = task;
+
+  for (const action of automation.actions) {
+    const handler = actionHandlers[action.type];
+    const detail = await handler.describe(action, { ...context, task: current });
+
+    if (detail === null) {
+      actions.push({ type: action.type, status: 'skipped', detail: 'Nothing to change' });
+      continue;
+    }
+    if (dryRun) {
+      actions.push({ type: action.type, status: 'planned', detail });
+      continue;
+    }
+
+    try {
+      const fired = await handler.perform(action, { ...context, task: current });
+      followUps.push(...fired);
+      current = await db.tasks.findById(task._id) || current;
+      actions.push({ type: action.type, status: 'success', detail });
+    } catch (error) {
+      actions.push({ type: action.type, status: 'failed', detail: error.message });
+    }
+  }
+
+  const failed = actions.some(action => action.status === 'failed');
+  const run = await recordRun(automation, {
+    ...base,
+    status: failed ? 'failed' : 'success',
+    reason: failed ? 'Some actions failed' : null,
+    actions
+  });
+
+  // Changes made by the rule fire the rules listening to them, one level deeper
+  for (const [followUpTrigger, followUpTask, followUpEvent] of followUps) {
+    await runAutomations(followUpTrigger, {
+      task: followUpTask,
+      workspace,
+      event: followUpEvent,
+      chain: [...chain, automation._id]
+    });
+  }
+
+  return run;
+};
+
+/**
+ * Run a rule for a trigger if it covers the task's list and the task meets
+ * its conditions. Returns the logged run, or null when the rule did not apply.
+ */
+const runAutomation = async (automation, { task, workspace, trigger, event, chain }) => {
+  if (automation.list && !sameId(automation.list, task.list)) return null;
+  if (!matchesTrigger(automation.trigger, event)) return null;
+
+  // Earlier rules may have changed the task already
+  const current = await db.tasks.findById(task._id);
+  if (!current || !matchesConditions(automation.conditions, current)) return null;
+
+  return executeAutomation(automation, { task: current, workspace, trigger, event, chain });
+};
+
+/**
+ * Run the enabled rules of a workspace that listen to `trigger` for a task.
+ * `event` describes the change, e.g. `{ from, to }` for status changes.
+ * Failures are logged instead of thrown so they cannot fail the change that
+ * caused them.
+ */
+export const runAutomations = async (trigger, { task, workspace, event = {}, chain = [] }) => {
+  try {
+    const automations = await db.automations.find({
+      workspace: workspace._id,
+      'trigger.type': trigger,
+      enabled: true
+    }, { sort: { createdAt: 1 } });
+
+    const runs = [];
+    for (const automation of automations) {
+      const run = await runAutomation(automation, { task, workspace, trigger, event, chain });
+      if (run) runs.push(run);
+    }
+    return runs;
+  } catch (error) {
+    console.error('Error running automations:', error);
+    return [];
+  }
+};
+
+/**
+ * Run the automations fired by a change to a task, as `[trigger, event]`
+ * pairs, and return the task as they left it
+ */
+export const runTaskAutomations = async (task, workspace, triggers) => {
+  let changed = false;
+  for (const [trigger, event] of triggers) {
+    const runs = await runAutomations(trigger, { task, workspace, event });
+    changed = changed || runs.some(run => run.status !== 'skipped' && !run.dryRun);
+  }
+  return changed ? db.tasks.findById(task._id, { populate: taskPopulate }) : task;
+};
+
+/**
+ * Fire `due-date-passed` rules for open tasks whose due date has passed,
+ * once per rule, task and due date. Only due dates that passed after a rule
+ * was created count, so a new rule does not act on every old overdue task.
+ */
+export const runDueDateAutomations = async (now = new Date()) => {
+  const automations = await db.automations.find({ 'trigger.type': 'due-date-passed', enabled: true });
+
+  const runs = [];
+  for (const workspaceId of new Set(automations.map(automation => idOf(automation.workspace)))) {
+    const workspace = await db.workspaces.findById(workspaceId);
+    if (!workspace) continue;
+
+    const rules = automations.filter(automation => sameId(automation.workspace, workspaceId));
+    const since = new Date(Math.min(...rules.map(automation => new Date(automation.createdAt).getTime())));
+    const tasks = await filterOpenTasks(await db.tasks.find({
+      workspace: workspace._id,
+      dueDate: { $gte: since, $lte: now }
+    }));
+
+    for (const task of tasks) {
+      for (const automation of rules) {
+        if (new Date(task.dueDate) < new Date(automation.createdAt)) continue;
+
+        const previous = await db.automationRuns.count({
+          automation: automation._id,
+          task: task._id,
+          trigger: 'due-date-passed',
+          dueDate: task.dueDate
+        });
+        if (previous > 0) continue;
+
+        const run = await runAutomation(automation, {
+          task,
+          workspace,
+          trigger: 'due-date-passed',
+          event: { dueDate: task.dueDate },
+          chain: []
+        });
+        if (run) runs.push(run);
+      }
+    }
+  }
+  return runs;
+};
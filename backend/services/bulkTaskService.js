@@ -0,0 +1,100 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf, sameId } from '../utils/ids.js';
+import { getWorkspaceForUser, getListForUser } from '../utils/hierarchy.js';
+import { isValidStatus, isValidPriority, toAssignees } from '../utils/taskContract.js';
+import { getWorkflow } from './workflowService.js';
+import { keepValuesForList } from './customFieldService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => (date ? new Date(new Date(date).getTime() + days * DAY) : date);
+
+/**
+ * The updates one operation makes to one task: null when the task already is
+ * as asked, and an error thrown as AppError when it cannot be done
+ */
+const planners = {
+  status: (task, { status }, { workspace }) => {
+    if (task.status === status) return null;
+    if (!isValidStatus(getWorkflow(workspace), status)) throw new AppError(`Invalid status: ${status}`, 400);
+    return { status };
+  },
+  priority: (task, { priority }, { workspace }) => {
+    if (task.priority === priority) return null;
+    if (!isValidPriority(getWorkflow(workspace), priority)) throw new AppError(`Invalid priority: ${priority}`, 400);
+    return { priority };
+  },
+  assign: (task, { assignee }, { workspace, user }) => {
+    if (!workspace.members.some(member => sameId(member.user, assignee))) {
+      throw new AppError('The assignee is not a member of this workspace', 400);
+    }
+    if (task.assignees.some(entry => sameId(entry.user, assignee))) return null;
+    return { assignees: [...task.assignees, ...toAssignees([assignee], user._id)] };
+  },
+  unassign: (task, { assignee }) => {
+    if (!task.assignees.some(entry => sameId(entry.user, assignee))) return null;
+    return { assignees: task.assignees.filter(entry => !sameId(entry.user, assignee)) };
+  },
+  'add-tag': (task, { tag }) => (task.tags.includes(tag) ? null : { tags: [...task.tags, tag] }),
+  'remove-tag': (task, { tag }) => (task.tags.includes(tag) ? { tags: task.tags.filter(item => item !== tag) } : null),
+  'shift-dates': (task, { days }) => {
+    if (!task.startDate && !task.dueDate) return null;
+    return { startDate: shiftDate(task.startDate, days), dueDate: shiftDate(task.dueDate, days) };
+  },
+  move: async (task, _params, { workspace, target }) => {
+    if (sameId(task.list, target.list._id)) return null;
+    if (!sameId(target.workspace._id, workspace._id)) {
+      throw new AppError('Tasks can only move to a list of their own workspace', 400);
+    }
+    return {
+      list: target.list._id,
+      customFields: await keepValuesForList(task.customFields, workspace._id, target.list._id)
+    };
+  },
+  delete: () => ({})
+};
+
+/**
+ * Check a bulk operation against every task before anything is changed, so
+ * a request is refused as a whole when one of its tasks cannot be changed.
+ * Returns one plan
+ * per task, in the order asked: `{ taskId, task, workspace, updates }` with
+ * null `updates` for tasks that stay as they are, or `{ taskId, error }`.
+ */
+export const planBulkOperation = async (taskIds, operation, params, user) => {
+  const uniqueIds = [...new Set(taskIds.map(String))];
+  const tasks = await db.tasks.find({ _id: { $in: uniqueIds } });
+  const tasksById = new Map(tasks.map(task => [idOf(task._id), task]));
+
+  // Workspaces the user cannot see count as missing, like their tasks
+  const workspaces = new Map();
+  for (const workspaceId of new Set(tasks.map(task => idOf(task.workspace)))) {
+    workspaces.set(workspaceId, await getWorkspaceForUser(workspaceId, user).catch(() => null));
+  }
+
+  const target = operation === 'move' ? await getListForUser(params.list, user) : null;
+  const values = { ...params, tag: params.tag?.trim(), days: Number(params.days) };
+
+  return Promise.all(uniqueIds.map(async (taskId) => {
+    const task = tasksById.get(taskId);
+    const workspace = task && workspaces.get(idOf(task.workspace));
+    if (!workspace) return { taskId, error: 'Task not found' };
+
+    try {
+      const updates = await planners[operation](task, values, { workspace, user, target });
+      return { taskId, task, workspace, updates };
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      return { taskId, error: error.message };
+    }
+  }));
+};
+
+/**
+ * A plan as `POST /api/tasks/bulk` reports it; when another task failed the
+ * check, nothing is `applied` and no task `changed`
+ */
+export const toBulkResult = ({ taskId, updates, error }, { applied = true } = {}) => (error
+  ? { taskId, success: false, error }
+  : { taskId, success: true, changed: applied && updates !== null });
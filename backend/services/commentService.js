@@ -0,0 +1,84 @@
+import { db } from '../repositories/index.js';
+import { idOf } from '../utils/ids.js';
+import { escapeRegExp } from '../utils/textSearch.js';
+import { emitToRoom } from '../socket.js';
+import { notify } from './notificationService.js';
+
+const userFields = 'name email avatar';
+
+// Revisions are served separately, see GET /api/comments/:id/history
+export const commentSelect = '-edits';
+
+export const commentPopulate = [
+  { path: 'user', select: userFields },
+  { path: 'mentions', select: userFields },
+  { path: 'reactions.user', select: 'name' }
+];
+
+/**
+ * Users mentioned in a comment. A mention is `@` followed by a user's full
+ * name or email address, in any case, e.g. `@Jane Doe` or `@jane@example.com`.
+ */
+export const findMentions = (content, users) => {
+  return users
+    .filter(user => [user.name, user.email].filter(Boolean).some(handle => (
+      new RegExp(`(^|[^\\w@])@${escapeRegExp(handle)}(?![\\w@.-]*\\w)`, 'i').test(content)
+    )))
+    .map(user => user._id);
+};
+
+/**
+ * Resolve the mentions of a comment against the members of its workspace
+ */
+export const resolveMentions = async (workspace, content) => {
+  if (!content.includes('@')) return [];
+
+  const memberIds = [workspace.owner, ...workspace.members.map(member => member.user)].map(idOf);
+  const users = await db.users.find({ _id: { $in: [...new Set(memberIds)] } }, { select: 'name email' });
+
+  return findMentions(content, users);
+};
+
+/**
+ * Tell newly mentioned users about a comment; authors are not told about themselves
+ */
+export const notifyMentions = (comment, mentionIds, { task, workspace, author }) => notify(mentionIds, {
+  type: 'mention',
+  actor: author,
+  workspace,
+  task,
+  comment,
+  message: `${author.name} mentioned you in "${task.title}"`
+});
+
+/**
+ * Stream a changed comment (edit, delete, reaction) into the task room
+ */
+export const broadcastCommentUpdate = (comment, taskId) => {
+  emitToRoom(`task-${taskId}`, 'comment-updated', { comment, taskId });
+};
+
+/**
+ * Give comments saved before they recorded their workspace the workspace of
+ * their task. Returns how many were updated.
+ */
+export const backfillCommentWorkspaces = async () => {
+  const comments = await db.comments.find({ workspace: null }, { select: '_id task' });
+  if (comments.length === 0) return 0;
+
+  const taskIds = [...new Set(comments.map(comment => idOf(comment.task)))];
+  const tasks = await db.tasks.find({ _id: { $in: taskIds } }, { select: '_id workspace', withTrashed: true });
+  const workspaceOf = new Map(tasks.map(task => [idOf(task), idOf(task.workspace)]));
+
+  const byWorkspace = new Map();
+  comments.forEach(comment => {
+    const workspaceId = workspaceOf.get(idOf(comment.task));
+    if (workspaceId) byWorkspace.set(workspaceId, [...(byWorkspace.get(workspaceId) || []), comment._id]);
+  });
+
+  let updated = 0;
+  for (const [workspaceId, ids] of byWorkspace) {
+    updated += await db.comments.updateMany({ _id: { $in: ids } }, { workspace: workspaceId });
+  }
+  return updated;
+};
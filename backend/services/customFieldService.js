@@ -0,0 +1,505 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf, sameId } from '../utils/ids.js';
+import { hasWorkspaceAccess } from '../utils/hierarchy.js';
+import { escapeRegExp } from '../utils/textSearch.js';
+import {
+  CUSTOM_FIELD_LIMITS,
+  OPTION_TYPES,
+  NUMERIC_TYPES
+} from '../utils/customFieldContract.js';
+
+/**
+ * Custom field values of tasks. Tasks store `customFields` as
+ * `{ field, value }` entries, one per field that has a value:
+ *
+ *   text, url        string
+ *   number           number
+ *   currency         number rounded to cents, in the field's `currency`
+ *   date             Date
+ *   dropdown         _id of one of the field's options, as a string
+ *   labels           _ids of several options, as strings
+ *   checkbox         boolean
+ *   person           ID of a workspace member, as a string
+ *   formula          never stored; calculated when tasks are read
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FILTER_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte', 'set'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Formulas are numbers and {Field name} references joined by + - * / and parentheses
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|\{([^{}]+)\}|([-+*/()]))/y;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new AppError(`Invalid formula near "${expression.slice(start).trim()}"`, 400);
+    }
+
+    const [, number, reference, symbol] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (reference !== undefined) tokens.push({ type: 'field', name: reference.trim() });
+    else tokens.push({ type: 'symbol', value: symbol });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a formula into a tree of `number`, `field`, `negate` and `binary`
+ * nodes. Throws a 400 AppError when it is not valid.
+ */
+export const parseFormula = (expression = '') => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = (token, ...symbols) => token?.type === 'symbol' && symbols.includes(token.value);
+
+  const parseFactor = () => {
+    const token = tokens[position++];
+    if (!token) throw new AppError('Formula ends unexpectedly', 400);
+    if (token.type === 'number' || token.type === 'field') return token;
+    if (isSymbol(token, '-')) return { type: 'negate', operand: parseFactor() };
+    if (isSymbol(token, '(')) {
+      const inner = parseSum();
+      if (!isSymbol(tokens[position++], ')')) throw new AppError('Missing ) in formula', 400);
+      return inner;
+    }
+    throw new AppError(`Unexpected "${token.value}" in formula`, 400);
+  };
+
+  const parseProduct = () => {
+    let node = parseFactor();
+    while (isSymbol(peek(), '*', '/')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isSymbol(peek(), '+', '-')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) throw new AppError('Formula is required', 400);
+  const tree = parseSum();
+  if (position < tokens.length) {
+    throw new AppError(`Unexpected "${peek().value ?? peek().name}" in formula`, 400);
+  }
+  return tree;
+};
+
+// Names of the fields a parsed formula refers to
+const getReferences = (node) => {
+  switch (node.type) {
+    case 'field':
+      return [node.name];
+    case 'negate':
+      return getReferences(node.operand);
+    case 'binary':
+      return [...getReferences(node.left), ...getReferences(node.right)];
+    default:
+      return [];
+  }
+};
+
+// Result of a parsed formula, or null when a value is missing or it divides by zero
+const evaluate = (node, lookup) => {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'field':
+      return lookup(node.name);
+    case 'negate': {
+      const value = evaluate(node.operand, lookup);
+      return value === null ? null : -value;
+    }
+    default: {
+      const left = evaluate(node.left, lookup);
+      const right = evaluate(node.right, lookup);
+      if (left === null || right === null) return null;
+      const result = {
+        '+': left + right,
+        '-': left - right,
+        '*': left * right,
+        '/': right === 0 ? null : left / right
+      }[node.operator];
+      return Number.isFinite(result) ? Math.round(result * 10000) / 10000 : null;
+    }
+  }
+};
+
+/**
+ * Fields that apply to tasks of a list: the workspace's own and the list's
+ */
+export const getFieldsForList = (workspaceId, listId) => db.customFields.find(
+  { workspace: workspaceId, list: { $in: [null, listId] } },
+  { sort: { order: 1, createdAt: 1 } }
+);
+
+/**
+ * The custom field values a task keeps when it moves to another list of its
+ * workspace: those of the fields that apply to the new list
+ */
+export const keepValuesForList = async (customFields = [], workspaceId, listId) => {
+  const fieldIds = new Set((await getFieldsForList(workspaceId, listId)).map(field => idOf(field._id)));
+  return customFields.filter(entry => fieldIds.has(idOf(entry.field)));
+};
+
+const appliesTo = (field, task) => sameId(field.workspace, task.workspace) &&
+  (!field.list || sameId(field.list, task.list));
+
+/**
+ * Check a field definition before it is stored: names are unique within the
+ * workspace, option fields have options and formulas only refer to number
+ * and currency fields the formula field can see
+ */
+export const validateFieldDefinition = async (field, { excludeId } = {}) => {
+  const workspaceFields = (await db.customFields.find({ workspace: field.workspace }))
+    .filter(other => !sameId(other._id, excludeId));
+
+  if (workspaceFields.some(other => sameName(other.name, field.name))) {
+    throw new AppError(`A custom field named "${field.name}" already exists in this workspace`, 400);
+  }
+  if (OPTION_TYPES.includes(field.type) && !(field.options || []).length) {
+    throw new AppError(`${field.type === 'labels' ? 'Labels' : 'Dropdown'} fields need at least one option`, 400);
+  }
+  if (field.type === 'formula') {
+    const visible = workspaceFields.filter(other => !other.list || sameId(other.list, field.list));
+    getReferences(parseFormula(field.formula)).forEach(name => {
+      const referenced = visible.find(other => sameName(other.name, name));
+      if (!referenced || !NUMERIC_TYPES.includes(referenced.type)) {
+        throw new AppError(`Formulas can only use number and currency fields; "${name}" is not one`, 400);
+      }
+    });
+  }
+};
+
+/**
+ * Rewrite `{Old name}` references after a field was renamed
+ */
+export const renameFormulaReferences = async (workspaceId, oldName, newName) => {
+  const formulas = await db.customFields.find({ workspace: workspaceId, type: 'formula' });
+  const pattern = new RegExp(`\\{\\s*${escapeRegExp(oldName.trim())}\\s*\\}`, 'gi');
+
+  for (const formula of formulas) {
+    const rewritten = formula.formula.replace(pattern, `{${newName}}`);
+    if (rewritten !== formula.formula) {
+      await db.customFields.updateById(formula._id, { formula: rewritten });
+    }
+  }
+};
+
+const invalid = (field, expected) => new AppError(`Invalid value for ${field.name}: expected ${expected}`, 400);
+
+const toNumber = (field, value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid(field, 'a number');
+  return number;
+};
+
+const toOptionId = (field, value) => {
+  const option = (field.options || []).find(item => sameId(item._id, value));
+  if (!option) throw invalid(field, 'one of its options');
+  return idOf(option._id);
+};
+
+/**
+ * Check a value against the field's type and return it as stored, or null
+ * to clear it. Throws a 400 AppError for values of the wrong type.
+ */
+export const normalizeValue = (field, value, workspace) => {
+  if (field.type === 'formula') {
+    throw new AppError(`${field.name} is calculated and cannot be set`, 400);
+  }
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (field.type) {
+    case 'text': {
+      if (typeof value !== 'string') throw invalid(field, 'text');
+      const text = value.trim();
+      if (text.length > CUSTOM_FIELD_LIMITS.text) throw invalid(field, `at most ${CUSTOM_FIELD_LIMITS.text} characters`);
+      return text || null;
+    }
+    case 'number':
+      return toNumber(field, value);
+    case 'currency':
+      return Math.round(toNumber(field, value) * 100) / 100;
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || isNaN(date.getTime())) throw invalid(field, 'a date');
+      return date;
+    }
+    case 'dropdown':
+      return toOptionId(field, value);
+    case 'labels': {
+      if (!Array.isArray(value)) throw invalid(field, 'a list of options');
+      const labels = [...new Set(value.map(item => toOptionId(field, item)))];
+      return labels.length > 0 ? labels : null;
+    }
+    case 'checkbox':
+      if (typeof value !== 'boolean') throw invalid(field, 'true or false');
+      return value;
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(value).trim());
+      } catch {
+        throw invalid(field, 'an http(s) URL');
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) throw invalid(field, 'an http(s) URL');
+      return url.href;
+    }
+    case 'person':
+      if (!hasWorkspaceAccess(workspace, value)) throw invalid(field, 'a member of the workspace');
+      return idOf(value);
+    default:
+      throw invalid(field, 'a supported type');
+  }
+};
+
+/**
+ * Merge `{ field, value }` input into the custom field values of a task in
+ * the given list. A null or empty value clears the field. Returns the new
+ * `customFields` of the task.
+ */
+export const resolveCustomFieldValues = async ({ list, customFields = [] }, input, workspace) => {
+  if (!Array.isArray(input)) {
+    throw new AppError('customFields must be a list of { field, value }', 400);
+  }
+
+  const fields = await getFieldsForList(workspace._id, idOf(list));
+  const values = new Map(customFields.map(entry => [idOf(entry.field), entry]));
+
+  input.forEach(({ field: fieldId, value } = {}) => {
+    const field = fields.find(item => sameId(item._id, fieldId));
+    if (!field) {
+      throw new AppError('Custom field not found for this list', 400);
+    }
+
+    const normalized = normalizeValue(field, value, workspace);
+    if (normalized === null) values.delete(idOf(field._id));
+    else values.set(idOf(field._id), { field: field._id, value: normalized });
+  });
+
+  return [...values.values()];
+};
+
+/**
+ * Value a task, whose formula values were already added, holds for a field
+ */
+export const getCustomFieldValue = (task, field) =>
+  (task.customFields || []).find(entry => sameId(entry.field, field._id))?.value ?? null;
+
+// Value of a task for a field, calculating formulas from the task's other values
+const getValue = (task, field, fields) => {
+  if (field.type !== 'formula') return getCustomFieldValue(task, field);
+
+  let tree;
+  try {
+    tree = parseFormula(field.formula);
+  } catch {
+    return null;
+  }
+  return evaluate(tree, (name) => {
+    const referenced = fields.find(other => NUMERIC_TYPES.includes(other.type) && sameName(other.name, name));
+    const value = referenced ? getValue(task, referenced, fields) : null;
+    return typeof value === 'number' ? value : null;
+  });
+};
+
+// Fields of the workspaces the tasks belong to, each task with its own
+const loadFieldsForTasks = async (tasks) => {
+  const workspaceIds = [...new Set(tasks.map(task => idOf(task.workspace)))];
+  const fields = await db.customFields.find({ workspace: { $in: workspaceIds } }, { sort: { order: 1, createdAt: 1 } });
+  return (task) => fields.filter(field => appliesTo(field, { workspace: idOf(task.workspace), list: idOf(task.list) }));
+};
+
+/**
+ * The tasks with the values of their formula fields added to `customFields`
+ */
+export const withFormulaValues = async (tasks) => {
+  if (tasks.length === 0) return [];
+
+  const fieldsFor = await loadFieldsForTasks(tasks);
+
+  return tasks.map(task => {
+    const fields = fieldsFor(task);
+    const calculated = fields
+      .filter(field => field.type === 'formula')
+      .map(field => ({ field: field._id, value: getValue(task, field, fields) }))
+      .filter(entry => entry.value !== null);
+
+    return calculated.length > 0
+      ? { ...task, customFields: [...(task.customFields || []), ...calculated] }
+      : task;
+  });
+};
+
+const toOperand = (field, raw) => {
+  if (NUMERIC_TYPES.includes(field.type) || field.type === 'formula') {
+    const number = Number(raw);
+    if (raw === '' || !Number.isFinite(number)) throw new AppError(`Filter on ${field.name} needs a number`, 400);
+    return number;
+  }
+  if (field.type === 'date') {
+    const date = new Date(raw);
+    if (isNaN(date.getTime())) throw new AppError(`Filter on ${field.name} needs a date`, 400);
+    return date;
+  }
+  return String(raw);
+};
+
+const isSetFilter = (raw) => raw === true || raw === 'true';
+
+// Does a value pass one operator of a filter; used for formulas, which are not stored
+const passes = (value, operator, operand) => {
+  if (operator === 'set') return isSetFilter(operand) === (value !== null);
+  if (value === null) return false;
+  switch (operator) {
+    case 'gt': return value > operand;
+    case 'gte': return value >= operand;
+    case 'lt': return value < operand;
+    case 'lte': return value <= operand;
+    default: return value === operand;
+  }
+};
+
+/**
+ * Load the fields named in `cf` (`?cf[<fieldId>]=value` or
+ * `?cf[<fieldId>][gte]=3`), limited to the given workspaces
+ */
+export const loadFilterFields = async (fieldIds, workspaceIds) => {
+  const fields = fieldIds.length > 0
+    ? await db.customFields.find({ _id: { $in: fieldIds }, workspace: { $in: workspaceIds } })
+    : [];
+
+  fieldIds.forEach(fieldId => {
+    if (!fields.some(field => sameId(field._id, fieldId))) {
+      throw new AppError(`Unknown custom field: ${fieldId}`, 400);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Turn custom field filters into MongoDB conditions on `customFields`, plus
+ * checks for formula fields, which can only be tested once calculated.
+ *
+ *   eq       equals; contains for text and URLs, same day for dates, has
+ *            the option for labels
+ *   gt/gte/lt/lte   numbers, currencies, dates and formulas
+ *   set      true for tasks with a value, false for tasks without one
+ */
+export const buildCustomFieldFilter = (cf, fields) => {
+  const conditions = [];
+  const formulaChecks = [];
+
+  Object.entries(cf).forEach(([fieldId, raw]) => {
+    const field = fields.find(item => sameId(item._id, fieldId));
+    const spec = typeof raw === 'object' && raw !== null && !Array.isArray(raw) ? raw : { eq: raw };
+
+    const unknown = Object.keys(spec).find(operator => !FILTER_OPERATORS.includes(operator));
+    if (unknown) throw new AppError(`Unknown filter operator: ${unknown}`, 400);
+
+    const ranged = Object.keys(spec).some(operator => RANGE_OPERATORS.includes(operator));
+    if (ranged && ![...NUMERIC_TYPES, 'date', 'formula'].includes(field.type)) {
+      throw new AppError(`${field.name} cannot be compared by range`, 400);
+    }
+
+    if (field.type === 'formula') {
+      const checks = Object.entries(spec).map(([operator, operand]) => [
+        operator,
+        operator === 'set' ? operand : toOperand(field, operand)
+      ]);
+      formulaChecks.push({ field, checks });
+      return;
+    }
+
+    const withValue = (value) => ({ customFields: { $elemMatch: { field: field._id, ...(value !== undefined && { value }) } } });
+    const without = (value) => ({ customFields: { $not: withValue(value).customFields } });
+
+    if (spec.set !== undefined) {
+      conditions.push(isSetFilter(spec.set) ? withValue() : without());
+    }
+
+    const value = {};
+    RANGE_OPERATORS.forEach(operator => {
+      if (spec[operator] !== undefined) value[`$${operator}`] = toOperand(field, spec[operator]);
+    });
+
+    if (spec.eq !== undefined) {
+      const operand = toOperand(field, spec.eq);
+      if (field.type === 'checkbox') {
+        conditions.push(operand === 'true' ? withValue(true) : without(true));
+      } else if (field.type === 'text' || field.type === 'url') {
+        value.$regex = escapeRegExp(operand);
+        value.$options = 'i';
+      } else if (field.type === 'date') {
+        const day = new Date(operand);
+        day.setUTCHours(0, 0, 0, 0);
+        value.$gte = day;
+        value.$lt = new Date(day.getTime() + DAY);
+      } else {
+        value.$eq = operand;
+      }
+    }
+
+    if (Object.keys(value).length > 0) conditions.push(withValue(value));
+  });
+
+  // Formula checks need the calculated values, see withFormulaValues
+  const matchesFormulas = (task) => formulaChecks.every(({ field, checks }) => {
+    const value = getCustomFieldValue(task, field);
+    return checks.every(([operator, operand]) => passes(value, operator, operand));
+  });
+
+  return { conditions, matchesFormulas, needsFormulas: formulaChecks.length > 0 };
+};
+
+/**
+ * What a custom field value sorts and groups by: numbers and dates
+ * numerically, options by their order in the field, text case-insensitively.
+ * Null for tasks without a value.
+ */
+export const customFieldSortKey = (field, value) => {
+  if (value === null || value === undefined) return null;
+  switch (field.type) {
+    case 'date':
+      return new Date(value).getTime();
+    case 'checkbox':
+      return value ? 1 : 0;
+    case 'dropdown':
+    case 'labels': {
+      const ids = Array.isArray(value) ? value : [value];
+      const positions = ids
+        .map(id => (field.options || []).findIndex(option => sameId(option._id, id)))
+        .filter(position => position !== -1);
+      return positions.length > 0 ? Math.min(...positions) : null;
+    }
+    case 'text':
+    case 'url':
+    case 'person':
+      return String(value).toLowerCase();
+    default:
+      return value;
+  }
+};
@@ -1,5 +1,7 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
+import process from 'process';
+import { isValidTimeZone } from '../utils/timezone.js';
 
 dotenv.config();
 
@@ -10,10 +12,11 @@ const createTransporter = () => {
     host: process.env.SMTP_HOST,
     port: port,
     secure: port === 465, // true for 465, false for other ports
-    auth: {
+    // Local SMTP servers used in development and tests need no login
+    auth: process.env.SMTP_USER ? {
       user: process.env.SMTP_USER,
       pass: process.env.SMTP_PASS,
-    },
+    } : undefined,
   });
 };
 
@@ -224,3 +227,118 @@ export const sendWelcomeEmail = async (email, name) => {
     return { success: false, error: error.message };
   }
 };
+
+// Task titles and names come from users and must not be read as HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDueDate = (date, timeZone) => new Date(date).toLocaleString('en-US', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const taskListHtml = (tasks, timeZone) => `
+  <ul class="task-list">
+    ${tasks.map(task => `
+      <li>
+        <a href="${process.env.FRONTEND_URL}/workspace/${task.workspace}/task/${task._id}">${escapeHtml(task.title)}</a>
+        ${task.dueDate ? `<span class="due">due ${formatDueDate(task.dueDate, timeZone)}</span>` : ''}
+      </li>
+    `).join('')}
+  </ul>
+`;
+
+const taskEmailHtml = (title, body) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+      .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+      .header { background: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+      .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+      .task-list { background: white; padding: 20px 20px 20px 40px; border-radius: 8px; margin: 20px 0; }
+      .task-list a { color: #4F46E5; font-weight: bold; text-decoration: none; }
+      .due { color: #666; font-size: 14px; margin-left: 8px; }
+      .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>${title}</h1>
+      </div>
+      <div class="content">
+        ${body}
+        <p>Best regards,<br>The ClickUp Alternative Team</p>
+      </div>
+      <div class="footer">
+        <p>You can change which emails you get in <a href="${process.env.FRONTEND_URL}/settings">Settings</a>.</p>
+      </div>
+    </div>
+  </body>
+  </html>
+`;
+
+// Send due date reminders for tasks due soon and overdue tasks
+export const sendReminderEmail = async (user, { dueSoon = [], overdue = [] }) => {
+  try {
+    const transporter = createTransporter();
+    const timeZone = isValidTimeZone(user.preferences?.timezone) ? user.preferences.timezone : 'UTC';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: overdue.length > 0
+        ? `${overdue.length} overdue task${overdue.length > 1 ? 's' : ''} - ClickUp Alternative`
+        : `${dueSoon.length} task${dueSoon.length > 1 ? 's' : ''} due soon - ClickUp Alternative`,
+      html: taskEmailHtml('⏰ Task Reminder', `
+        <h2>Hi ${escapeHtml(user.name)},</h2>
+        ${overdue.length > 0 ? `<p>These tasks are past their due date:</p>${taskListHtml(overdue, timeZone)}` : ''}
+        ${dueSoon.length > 0 ? `<p>These tasks are due within the next 24 hours:</p>${taskListHtml(dueSoon, timeZone)}` : ''}
+      `)
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Reminder email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending reminder email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send the daily or weekly digest of assigned and changed tasks
+export const sendDigestEmail = async (user, { frequency, assigned = [], changed = [] }) => {
+  try {
+    const transporter = createTransporter();
+    const timeZone = isValidTimeZone(user.preferences?.timezone) ? user.preferences.timezone : 'UTC';
+    const period = frequency === 'weekly' ? 'week' : 'day';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: `Your ${frequency} digest - ClickUp Alternative`,
+      html: taskEmailHtml(`📋 Your ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest`, `
+        <h2>Hi ${escapeHtml(user.name)},</h2>
+        ${assigned.length > 0 ? `<p>Open tasks assigned to you:</p>${taskListHtml(assigned, timeZone)}` : ''}
+        ${changed.length > 0 ? `<p>Tasks you follow that others changed in the last ${period}:</p>${taskListHtml(changed, timeZone)}` : ''}
+      `)
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Digest email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending digest email:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { db } from '../repositories/index.js';
+import { isValidStatus, userFields, taskPopulate } from '../utils/taskContract.js';
+import { getBottomRank } from '../utils/ranking.js';
+import { findReferencedTasks } from '../utils/taskReferences.js';
+import { emitToRoom } from '../socket.js';
+import { getWorkflow } from './workflowService.js';
+import { publishEvent } from './webhookService.js';
+import { notifyStatusChange } from './notificationService.js';
+import { runTaskAutomations } from './automationService.js';
+import { recordTaskChanges } from './activityService.js';
+import { repeatOnCompletion } from './recurrenceService.js';
+
+/**
+ * Check the `X-Hub-Signature-256` header GitHub sends: `sha256=` and the hex
+ * HMAC of the raw request body, keyed with the integration secret
+ */
+export const verifyGithubSignature = (secret, rawBody, signature) => {
+  if (!rawBody || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const branchOf = (ref = '') => ref.replace(/^refs\/heads\//, '');
+
+/**
+ * Record that a commit or pull request refers to a task; pull requests are
+ * recorded once and kept up to date
+ */
+const saveLink = async (task, link) => {
+  const existing = await db.githubLinks.findOne({
+    task: task._id,
+    kind: link.kind,
+    repository: link.repository,
+    ref: link.ref
+  });
+
+  if (existing) {
+    return db.githubLinks.updateById(existing._id, link);
+  }
+  return db.githubLinks.create({ ...link, workspace: task.workspace, task: task._id });
+};
+
+/**
+ * Move a task to the status configured for a GitHub event, attributed to the
+ * member who connected GitHub. Returns the updated task, or null when the
+ * task already has that status or none is configured.
+ */
+const applyTransition = async (integration, task, event, { workspace, actor }) => {
+  const transition = integration.github?.transitions?.find(option => option.on === event);
+  if (!transition || task.status === transition.status) return null;
+  if (!isValidStatus(getWorkflow(workspace), transition.status)) return null;
+
+  let updated = await db.tasks.updateById(task._id, {
+    status: transition.status,
+    rank: await getBottomRank(workspace._id, transition.status),
+    updatedBy: actor._id
+  }, { populate: taskPopulate });
+  await recordTaskChanges(task, updated, { actor, source: 'github' });
+  if (await repeatOnCompletion(task, updated, { workspace, actor })) {
+    updated = await db.tasks.findById(task._id, { populate: taskPopulate });
+  }
+
+  await notifyStatusChange(updated, { workspace, actor });
+  // Send the task out as the automations left it
+  const moved = await runTaskAutomations(updated, workspace, [['status-changed', { from: task.status, to: updated.status }]]);
+
+  emitToRoom(`workspace-${workspace._id}`, 'task-updated', { task: moved, workspaceId: workspace._id });
+  await publishEvent(workspace._id, 'task.updated', { task: moved });
+  return moved;
+};
+
+/**
+ * Turn a GitHub event into links: one per referenced task and commit or pull
+ * request, with the transition the event fires
+ */
+const parseEvent = (event, payload) => {
+  const repository = payload.repository?.full_name;
+
+  if (event === 'push' && !payload.deleted) {
+    const branch = branchOf(payload.ref);
+    return (payload.commits || []).map(commit => ({
+      texts: [commit.message, branch],
+      transition: 'commit-pushed',
+      link: {
+        kind: 'commit',
+        repository,
+        ref: commit.id,
+        url: commit.url,
+        title: (commit.message || '').split('\n')[0],
+        branch,
+        author: commit.author?.username || commit.author?.name
+      }
+    }));
+  }
+
+  if (event === 'pull_request' && payload.pull_request) {
+    const pullRequest = payload.pull_request;
+    const state = pullRequest.merged ? 'merged' : pullRequest.state;
+    const transitions = {
+      opened: 'pull-request-opened',
+      reopened: 'pull-request-opened',
+      closed: pullRequest.merged ? 'pull-request-merged' : 'pull-request-closed'
+    };
+
+    return [{
+      texts: [pullRequest.title, pullRequest.head?.ref],
+      transition: transitions[payload.action] || null,
+      link: {
+        kind: 'pull-request',
+        repository,
+        ref: String(pullRequest.number),
+        url: pullRequest.html_url,
+        title: pullRequest.title,
+        branch: pullRequest.head?.ref,
+        author: pullRequest.user?.login,
+        state
+      }
+    }];
+  }
+
+  return [];
+};
+
+/**
+ * Handle an event GitHub sent to an integration: link the commits and pull
+ * requests to the tasks they refer to and run the configured transitions.
+ * Events other than pushes and pull requests are ignored.
+ */
+export const handleGithubEvent = async (integration, event, payload) => {
+  const items = parseEvent(event, payload);
+  const result = { links: 0, moved: [] };
+  if (items.length === 0) return result;
+
+  const workspace = await db.workspaces.findById(integration.workspace);
+  if (!workspace) return result;
+
+  const actor = await db.users.findById(integration.createdBy, { select: userFields }) ||
+    { _id: integration.createdBy, name: 'GitHub' };
+
+  for (const { texts, transition, link } of items) {
+    const tasks = await findReferencedTasks(workspace._id, texts);
+
+    for (const task of tasks) {
+      await saveLink(task, link);
+      result.links += 1;
+
+      // Reload, an earlier commit of the same push may have moved the task
+      const current = await db.tasks.findById(task._id);
+      const moved = transition && await applyTransition(integration, current, transition, { workspace, actor });
+      if (moved) result.moved.push({ task: moved._id, status: moved.status });
+    }
+  }
+
+  return result;
+};
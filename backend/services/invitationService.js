@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import process from 'process';
+import { db } from '../repositories/index.js';
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'expired'];
+
+// Generate a secure invitation token
+export const generateInvitationToken = () => crypto.randomBytes(32).toString('hex');
+
+// Create an invitation unless one is already pending for this email
+export const createInvitation = async (invitationData) => {
+  const {
+    email,
+    workspaceId,
+    invitedBy,
+    role = 'member',
+    inviterName,
+    workspaceName,
+    personalMessage
+  } = invitationData;
+
+  const expiryHours = parseInt(process.env.INVITATION_EXPIRY_HOURS) || 72;
+  const expiresAt = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+
+  // Check if there's already a pending invitation
+  const existingInvitation = await db.invitations.findOne({
+    email,
+    workspaceId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (existingInvitation) {
+    throw new Error('An invitation has already been sent to this email for this workspace');
+  }
+
+  return db.invitations.create({
+    email,
+    workspaceId,
+    invitedBy,
+    role,
+    token: generateInvitationToken(),
+    expiresAt,
+    metadata: {
+      inviterName,
+      workspaceName,
+      personalMessage
+    }
+  });
+};
+
+// Find a valid invitation by token, with its workspace and inviter
+export const findInvitationByToken = async (token) => {
+  const invitation = await db.invitations.findOne({
+    token,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }, {
+    populate: [
+      { path: 'workspaceId' },
+      { path: 'invitedBy', select: 'name email avatar' }
+    ]
+  });
+
+  if (!invitation) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  return invitation;
+};
+
+// Mark an invitation as accepted by the given user
+export const markInvitationAccepted = async (invitation, userId) => {
+  if (invitation.status !== 'pending') {
+    throw new Error('Invitation is no longer pending');
+  }
+
+  if (invitation.expiresAt < new Date()) {
+    await db.invitations.updateById(invitation._id, { status: 'expired' });
+    throw new Error('Invitation has expired');
+  }
+
+  return db.invitations.updateById(invitation._id, {
+    status: 'accepted',
+    acceptedBy: userId,
+    acceptedAt: new Date()
+  });
+};
+
+// Mark an invitation as declined
+export const markInvitationDeclined = async (invitation) => {
+  if (invitation.status !== 'pending') {
+    throw new Error('Invitation is no longer pending');
+  }
+
+  return db.invitations.updateById(invitation._id, { status: 'declined' });
+};
+
+// Count invitations of a workspace per status
+export const getInvitationStats = async (workspaceId) => {
+  const counts = await Promise.all(
+    INVITATION_STATUSES.map(status => db.invitations.count({ workspaceId, status }))
+  );
+
+  return Object.fromEntries(INVITATION_STATUSES.map((status, index) => [status, counts[index]]));
+};
@@ -0,0 +1,39 @@
+/**
+ * In-process scheduler for background jobs. Each job runs once right away
+ * and then on its interval; a run is skipped while the previous one is still
+ * going, and errors are logged so a failing job does not stop the others.
+ * Jobs must be idempotent: they also run again after every restart.
+ */
+
+const jobs = new Map();
+
+export const scheduleJob = (name, interval, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  const job = { running: false, timer: null };
+
+  const tick = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Error running job ${name}:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(tick, interval);
+  jobs.set(name, job);
+  tick();
+
+  console.log(`Job ${name} scheduled - running every ${Math.round(interval / 60000)} minutes`);
+};
+
+export const stopJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
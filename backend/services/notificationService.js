@@ -0,0 +1,129 @@
+import { db } from '../repositories/index.js';
+import { idOf } from '../utils/ids.js';
+import { getNotificationSettings } from '../utils/notificationContract.js';
+import { emitToUser } from '../socket.js';
+import { getWorkflow, filterOpenTasks } from './workflowService.js';
+
+export const notificationPopulate = [
+  { path: 'actor', select: 'name email avatar' },
+  { path: 'task', select: 'title' },
+  { path: 'workspace', select: 'name' }
+];
+
+// Assignees hear about tasks due within this window, once per due date
+export const DUE_SOON_WINDOW = 24 * 60 * 60 * 1000;
+
+// Everyone following a task: its assignees and watchers
+export const getTaskAudience = (task) => [
+  ...(task.assignees || []).map(assignee => assignee.user),
+  ...(task.watchers || [])
+];
+
+/**
+ * Create a notification of the given type for each recipient who has not
+ * muted it, and push it to their open connections unless they turned push
+ * off. Actors are never told about their own actions. Failures are logged
+ * instead of thrown so they cannot fail the change that caused them.
+ */
+export const notify = async (recipientIds, { type, actor = null, workspace = null, task = null, comment = null, message }) => {
+  try {
+    const ids = [...new Set(recipientIds.filter(Boolean).map(idOf))]
+      .filter(id => !actor || id !== idOf(actor));
+    if (ids.length === 0) return [];
+
+    const recipients = await db.users.find({ _id: { $in: ids } }, { select: 'notificationSettings' });
+
+    return await Promise.all(recipients
+      .map(recipient => ({ recipient, settings: getNotificationSettings(recipient) }))
+      .filter(({ settings }) => !settings.mutedTypes.includes(type))
+      .map(async ({ recipient, settings }) => {
+        const created = await db.notifications.create({
+          recipient: recipient._id,
+          type,
+          actor: actor?._id ?? null,
+          workspace: workspace?._id ?? null,
+          task: task?._id ?? null,
+          comment: comment?._id ?? null,
+          message
+        });
+        const notification = await db.notifications.findById(created._id, { populate: notificationPopulate });
+
+        if (settings.pushNotifications) {
+          emitToUser(recipient._id, 'notification', notification);
+        }
+        return notification;
+      }));
+  } catch (error) {
+    console.error('Error creating notifications:', error);
+    return [];
+  }
+};
+
+export const notifyAssignment = (task, userIds, { workspace, actor }) => notify(userIds, {
+  type: 'assignment',
+  actor,
+  workspace,
+  task,
+  message: `${actor.name} assigned you to "${task.title}"`
+});
+
+export const notifyStatusChange = (task, { workspace, actor }) => {
+  const status = getWorkflow(workspace).statuses.find(option => option.key === task.status);
+
+  return notify(getTaskAudience(task), {
+    type: 'status-change',
+    actor,
+    workspace,
+    task,
+    message: `${actor.name} moved "${task.title}" to ${status?.name || task.status}`
+  });
+};
+
+/**
+ * Tell the people following a task about a new comment. Users in `skip`,
+ * e.g. those mentioned in it, are left out since they already hear about it.
+ */
+export const notifyComment = (comment, { task, workspace, author, skip = [] }) => {
+  const skipped = new Set(skip.map(idOf));
+
+  return notify(getTaskAudience(task).filter(userId => !skipped.has(idOf(userId))), {
+    type: 'comment',
+    actor: author,
+    workspace,
+    task,
+    comment,
+    message: `${author.name} commented on "${task.title}"`
+  });
+};
+
+/**
+ * Remind assignees of open tasks that are due within the next day. A
+ * reminder is only sent once per due date, so running this repeatedly is safe.
+ */
+export const notifyDueSoon = async (now = new Date()) => {
+  const tasks = await filterOpenTasks(await db.tasks.find({
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_WINDOW) }
+  }, { select: 'title workspace status dueDate assignees' }));
+
+  const notifications = [];
+  for (const task of tasks) {
+    // Anyone reminded since the reminder window for this due date opened is skipped
+    const reminded = await db.notifications.find({
+      type: 'due-soon',
+      task: task._id,
+      createdAt: { $gte: new Date(new Date(task.dueDate).getTime() - DUE_SOON_WINDOW) }
+    }, { select: 'recipient' });
+    const remindedIds = new Set(reminded.map(notification => idOf(notification.recipient)));
+
+    notifications.push(...await notify(
+      getTaskAudience({ assignees: task.assignees }).filter(userId => !remindedIds.has(idOf(userId))),
+      {
+        type: 'due-soon',
+        workspace: { _id: task.workspace },
+        task,
+        message: `"${task.title}" is due within 24 hours`
+      }
+    ));
+  }
+  return notifications;
+};
@@ -0,0 +1,78 @@
+import process from 'process';
+import { db } from '../repositories/index.js';
+
+const MAX_ATTEMPTS = 5;
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+// Generate a numeric OTP
+export const generateOTP = (length = 6) => {
+  const digits = '0123456789';
+  let otp = '';
+  for (let i = 0; i < length; i++) {
+    otp += digits[Math.floor(Math.random() * digits.length)];
+  }
+  return otp;
+};
+
+// Create and save an OTP, replacing any previous one for the same purpose
+export const createOTP = async (email, purpose = 'email_verification') => {
+  const otpLength = parseInt(process.env.OTP_LENGTH) || 6;
+  const expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
+
+  // Delete any existing OTPs for this email and purpose
+  await db.otps.deleteMany({ email: normalizeEmail(email), purpose });
+
+  const otp = generateOTP(otpLength);
+
+  await db.otps.create({
+    email,
+    otp,
+    purpose,
+    expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000)
+  });
+
+  return otp;
+};
+
+// Verify an OTP and mark it as used
+export const verifyOTP = async (email, otp, purpose = 'email_verification') => {
+  const otpDoc = await db.otps.findOne({
+    email: normalizeEmail(email),
+    otp,
+    purpose,
+    isUsed: false,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!otpDoc) {
+    // Check if there's an expired or used OTP to provide better error message
+    const expiredOTP = await db.otps.findOne({ email: normalizeEmail(email), otp, purpose });
+    if (expiredOTP) {
+      if (expiredOTP.isUsed) {
+        throw new Error('OTP has already been used');
+      } else {
+        throw new Error('OTP has expired');
+      }
+    }
+    throw new Error('Invalid OTP');
+  }
+
+  // Check attempts limit
+  if (otpDoc.attempts >= MAX_ATTEMPTS) {
+    throw new Error('Too many failed attempts. Please request a new OTP');
+  }
+
+  // Mark as used
+  await db.otps.updateById(otpDoc._id, { isUsed: true });
+
+  return true;
+};
+
+// Increment failed attempts
+export const incrementAttempts = async (email, otp, purpose = 'email_verification') => {
+  await db.otps.updateMany(
+    { email: normalizeEmail(email), otp, purpose, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+};
@@ -0,0 +1,78 @@
+/**
+ * Who is looking at a workspace or task right now. Presence lives in memory
+ * on the socket server: every connection in a room has an entry, and a
+ * user with several tabs open is reported once.
+ */
+
+// room -> Map(socketId -> { user, editing, typing })
+const rooms = new Map();
+
+const publicUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  avatar: user.avatar
+});
+
+export const joinPresence = (room, socketId, user) => {
+  if (!rooms.has(room)) rooms.set(room, new Map());
+  rooms.get(room).set(socketId, { user: publicUser(user), editing: null, typing: false });
+};
+
+/**
+ * Remove a connection from a room. Returns whether it was there.
+ */
+export const leavePresence = (room, socketId) => {
+  const entries = rooms.get(room);
+  if (!entries?.delete(socketId)) return false;
+  if (entries.size === 0) rooms.delete(room);
+  return true;
+};
+
+/**
+ * Remove a connection from every room. Returns the rooms it left.
+ */
+export const leaveAllPresence = (socketId) => {
+  return [...rooms.keys()].filter(room => leavePresence(room, socketId));
+};
+
+/**
+ * Change what a connection is doing in a room (`editing` field, `typing`)
+ */
+export const updatePresence = (room, socketId, changes) => {
+  const entry = rooms.get(room)?.get(socketId);
+  if (!entry) return null;
+  Object.assign(entry, changes);
+  return entry;
+};
+
+/**
+ * The people in a room, one entry per user: the field they edit, if any,
+ * and whether they are typing in any of their tabs
+ */
+export const getViewers = (room) => {
+  const byUser = new Map();
+
+  (rooms.get(room) || new Map()).forEach(({ user, editing, typing }) => {
+    const key = String(user._id);
+    const viewer = byUser.get(key) || { user, editing: null, typing: false };
+    byUser.set(key, {
+      user,
+      editing: viewer.editing || editing,
+      typing: viewer.typing || typing
+    });
+  });
+
+  return [...byUser.values()];
+};
+
+/**
+ * Another user already editing a field of the room, if any
+ */
+export const getFieldEditor = (room, field, userId) => {
+  if (!field) return null;
+  const viewer = getViewers(room).find(entry => (
+    entry.editing === field && String(entry.user._id) !== String(userId)
+  ));
+  return viewer?.user || null;
+};
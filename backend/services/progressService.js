@@ -0,0 +1,116 @@
+import { db } from '../repositories/index.js';
+import { idOf } from '../utils/ids.js';
+import { getWorkflow, getStatusKeys } from './workflowService.js';
+
+/**
+ * Progress of tasks with subtasks and checklists. Subtasks nest to any
+ * depth, and a task's progress rolls up everything below it:
+ *
+ *   subtasks       { done, total } over the whole subtree; done means a
+ *                  status in the `done` category of the workspace
+ *   checklist      { done, total } items of the task's own checklists
+ *   percent        done subtasks and items out of all of them; a task with
+ *                  neither is 0 or 100 depending on its own status
+ *   estimatedTime  minutes estimated for the task and its subtree
+ *   loggedTime     minutes logged on the task and its subtree
+ */
+
+const progressSelect = '_id parentTask workspace status estimatedTime';
+
+/**
+ * Every task below the given ones, at any depth, found one level at a time
+ */
+export const getDescendants = async (taskIds, options = {}) => {
+  const found = new Map();
+  let level = taskIds.map(idOf);
+
+  while (level.length > 0) {
+    const children = (await db.tasks.find({ parentTask: { $in: level } }, options))
+      .filter(child => !found.has(idOf(child._id)));
+    children.forEach(child => found.set(idOf(child._id), child));
+    level = children.map(child => idOf(child._id));
+  }
+
+  return [...found.values()];
+};
+
+// Keys of the done statuses of each workspace the tasks belong to
+const loadDoneStatuses = async (tasks) => {
+  const workspaceIds = [...new Set(tasks.map(task => idOf(task.workspace)))];
+  const workspaces = await db.workspaces.find({ _id: { $in: workspaceIds } }, { select: '_id settings' });
+
+  return new Map(workspaces.map(workspace => [
+    idOf(workspace._id),
+    new Set(getStatusKeys(getWorkflow(workspace), 'done'))
+  ]));
+};
+
+/**
+ * The tasks with a `progress` field added, see above
+ */
+export const withProgress = async (tasks) => {
+  if (tasks.length === 0) return [];
+
+  const descendants = await getDescendants(tasks.map(task => task._id), { select: progressSelect });
+  const nodes = new Map([...descendants, ...tasks].map(task => [idOf(task._id), task]));
+
+  const children = new Map();
+  nodes.forEach(task => {
+    const parentId = task.parentTask ? idOf(task.parentTask) : null;
+    if (!nodes.has(parentId)) return;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(task);
+  });
+
+  const doneStatuses = await loadDoneStatuses([...nodes.values()]);
+  const isDone = (task) => Boolean(doneStatuses.get(idOf(task.workspace))?.has(task.status));
+
+  const logged = new Map();
+  const timeLogs = await db.timeLogs.find({ task: { $in: [...nodes.keys()] } }, { select: 'task duration' });
+  timeLogs.forEach(log => {
+    logged.set(idOf(log.task), (logged.get(idOf(log.task)) || 0) + (log.duration || 0));
+  });
+
+  const subtrees = new Map();
+  const rollup = (taskId) => {
+    if (subtrees.has(taskId)) return subtrees.get(taskId);
+
+    const subtree = {
+      done: 0,
+      total: 0,
+      estimatedTime: nodes.get(taskId).estimatedTime || 0,
+      loggedTime: logged.get(taskId) || 0
+    };
+    subtrees.set(taskId, subtree);
+
+    (children.get(taskId) || []).forEach(child => {
+      const below = rollup(idOf(child._id));
+      subtree.done += below.done + (isDone(child) ? 1 : 0);
+      subtree.total += below.total + 1;
+      subtree.estimatedTime += below.estimatedTime;
+      subtree.loggedTime += below.loggedTime;
+    });
+
+    return subtree;
+  };
+
+  return tasks.map(task => {
+    const { done, total, estimatedTime, loggedTime } = rollup(idOf(task._id));
+    const items = (task.checklists || []).flatMap(checklist => checklist.items || []);
+    const checked = items.filter(item => item.completed).length;
+    const counted = total + items.length;
+
+    return {
+      ...task,
+      progress: {
+        percent: counted > 0
+          ? Math.round(((done + checked) / counted) * 100)
+          : (isDone(task) ? 100 : 0),
+        subtasks: { done, total },
+        checklist: { done: checked, total: items.length },
+        estimatedTime,
+        loggedTime
+      }
+    };
+  });
+};
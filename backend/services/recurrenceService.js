@@ -0,0 +1,280 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf } from '../utils/ids.js';
+import { buildTask, getDefaultStatus, isValidPriority, taskPopulate } from '../utils/taskContract.js';
+import { WEEKDAYS } from '../utils/recurrenceContract.js';
+import { getLocalTime, zonedTimeToInstant, isValidTimeZone } from '../utils/timezone.js';
+import { getBottomRank } from '../utils/ranking.js';
+import { nextTaskNumber } from '../utils/taskReferences.js';
+import { getWorkflow, getStatusKeys } from './workflowService.js';
+import { getDescendants } from './progressService.js';
+import { recordTaskCreated } from './activityService.js';
+import { notify } from './notificationService.js';
+import { publishEvent } from './webhookService.js';
+import { runTaskAutomations } from './automationService.js';
+import { emitToRoom } from '../socket.js';
+
+/**
+ * Occurrences of recurring tasks. Dates are worked out on the calendar and
+ * wall clock of the recurrence's time zone, so a task due Mondays at 9:00
+ * stays at 9:00 local time across daylight saving changes.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar days are counted from 1970-01-01
+const toDayNumber = (day) => {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, dayOfMonth) / DAY;
+};
+
+const toDay = (dayNumber) => new Date(dayNumber * DAY).toISOString().slice(0, 10);
+
+// Index into WEEKDAYS, Monday being 0
+const weekdayOf = (dayNumber) => (new Date(dayNumber * DAY).getUTCDay() + 6) % 7;
+
+// Day of a month the recurrence falls on; months without its day use their last one
+const dayInMonth = (year, month, recurrence) => {
+  const first = Date.UTC(year, month, 1) / DAY;
+  const last = Date.UTC(year, month + 1, 0) / DAY;
+  if (recurrence.weekdayPosition) {
+    const weekday = WEEKDAYS.indexOf(recurrence.weekdays[0]);
+    return recurrence.weekdayPosition === -1
+      ? last - ((weekdayOf(last) - weekday + 7) % 7)
+      : first + ((weekday - weekdayOf(first) + 7) % 7) + (recurrence.weekdayPosition - 1) * 7;
+  }
+  return Math.min(first + recurrence.monthDay - 1, last);
+};
+
+// First day after `dayNumber` the recurrence falls on
+const nextDayAfter = (dayNumber, recurrence) => {
+  const { frequency, interval } = recurrence;
+  if (frequency === 'daily') return dayNumber + interval;
+
+  if (frequency === 'weekly') {
+    const weekdays = recurrence.weekdays.map(weekday => WEEKDAYS.indexOf(weekday)).sort((a, b) => a - b);
+    const monday = dayNumber - weekdayOf(dayNumber);
+    for (let week = 0; week <= interval; week += interval) {
+      const next = weekdays.map(weekday => monday + week * 7 + weekday).find(day => day > dayNumber);
+      if (next !== undefined) return next;
+    }
+    return undefined;
+  }
+
+  const date = new Date(dayNumber * DAY);
+  for (let months = 0; months <= interval; months += interval) {
+    const next = dayInMonth(date.getUTCFullYear(), date.getUTCMonth() + months, recurrence);
+    if (next > dayNumber) return next;
+  }
+  return undefined;
+};
+
+// A date moved by whole days on the wall clock of a time zone
+const shiftWallClock = (date, days, timeZone) => {
+  if (!date) return undefined;
+  const { date: day, minutes } = getLocalTime(new Date(date), timeZone);
+  return zonedTimeToInstant(toDay(toDayNumber(day) + days), minutes, timeZone);
+};
+
+/**
+ * Check a recurrence sent for a task due on `dueDate` and fill in what it
+ * leaves out from that date: the weekday for weekly and the day of the month
+ * for monthly rules. `timeZone` is used when the rule names none.
+ */
+export const normalizeRecurrence = (input, { dueDate, timeZone }) => {
+  if (!dueDate) {
+    throw new AppError('Recurring tasks need a due date', 400);
+  }
+
+  const timezone = [input.timezone, timeZone].find(isValidTimeZone) || 'UTC';
+  const dueDay = toDayNumber(getLocalTime(new Date(dueDate), timezone).date);
+  const dueWeekday = WEEKDAYS[weekdayOf(dueDay)];
+  const weekdays = WEEKDAYS.filter(weekday => (input.weekdays || []).includes(weekday));
+
+  const recurrence = {
+    frequency: input.frequency,
+    interval: input.interval || 1,
+    weekdays: [],
+    monthDay: null,
+    weekdayPosition: null,
+    mode: input.mode || 'on-completion',
+    timezone,
+    copySubtasks: Boolean(input.copySubtasks),
+    copyChecklists: input.copyChecklists ?? true,
+    until: input.until || null
+  };
+
+  if (recurrence.frequency === 'weekly') {
+    recurrence.weekdays = weekdays.length > 0 ? weekdays : [dueWeekday];
+  }
+  if (recurrence.frequency === 'monthly' && input.weekdayPosition) {
+    recurrence.weekdayPosition = input.weekdayPosition;
+    recurrence.weekdays = [weekdays[0] || dueWeekday];
+  } else if (recurrence.frequency === 'monthly') {
+    recurrence.monthDay = input.monthDay || new Date(dueDay * DAY).getUTCDate();
+  }
+
+  if (recurrence.until && toDayNumber(recurrence.until) < dueDay) {
+    throw new AppError('A recurrence cannot end before the task is due', 400);
+  }
+
+  return recurrence;
+};
+
+/**
+ * Due and start date of the occurrence after a task, keeping their time of
+ * day, or null when the recurrence has ended. Occurrences that would already
+ * be due by `now` are skipped rather than created late.
+ */
+export const getNextOccurrence = (task, now = new Date()) => {
+  const { recurrence } = task;
+  const { timezone } = recurrence;
+  const due = getLocalTime(new Date(task.dueDate), timezone);
+  const dueDay = toDayNumber(due.date);
+  const until = recurrence.until ? toDayNumber(recurrence.until) : Infinity;
+
+  let day = dueDay;
+  let dueDate;
+  do {
+    day = nextDayAfter(day, recurrence);
+    if (day === undefined || day > until) return null;
+    dueDate = zonedTimeToInstant(toDay(day), due.minutes, timezone);
+  } while (dueDate <= now);
+
+  const days = day - dueDay;
+  return { dueDate, startDate: shiftWallClock(task.startDate, days, timezone), days };
+};
+
+/**
+ * Create the occurrence after a recurring task, with its subtasks when the
+ * recurrence copies them, and hand the recurrence on to it. Returns the new
+ * task as its `task-created` rules left it, or null when the recurrence ended
+ * or the task already repeated.
+ * `actor` is null for occurrences created on schedule.
+ */
+export const createNextOccurrence = async (task, { workspace, actor = null, now = new Date() }) => {
+  if (!task.recurrence) return null;
+
+  // A task repeats once, however often this runs for it
+  if (await db.tasks.count({ recurringFrom: task._id }, { withTrashed: true }) > 0) return null;
+
+  const next = getNextOccurrence(task, now);
+  if (!next) {
+    await db.tasks.updateById(task._id, { recurrence: null });
+    return null;
+  }
+
+  const workflow = getWorkflow(workspace);
+  const status = getDefaultStatus(workflow);
+  const creator = actor ? actor._id : idOf(task.createdBy);
+  const { recurrence } = task;
+
+  const copy = async (source, fields) => {
+    const created = await db.tasks.create(buildTask({
+      title: source.title,
+      description: source.description,
+      workspace: workspace._id,
+      number: await nextTaskNumber(workspace._id),
+      list: idOf(source.list),
+      status,
+      // Archived priorities fall back to the workspace default
+      priority: isValidPriority(workflow, source.priority) ? source.priority : undefined,
+      estimatedTime: source.estimatedTime,
+      assignees: source.assignees.map(assignee => idOf(assignee.user)),
+      watchers: source.watchers.map(idOf),
+      tags: source.tags,
+      customFields: source.customFields,
+      checklists: recurrence.copyChecklists
+        ? source.checklists.map(checklist => ({ name: checklist.name, items: checklist.items.map(item => ({ text: item.text })) }))
+        : [],
+      rank: await getBottomRank(workspace._id, status),
+      createdBy: creator,
+      updatedBy: creator,
+      ...fields
+    }, workflow));
+
+    if (created.parentTask) {
+      await db.tasks.updateById(created.parentTask, { $push: { subtasks: created._id } });
+    }
+    return created;
+  };
+
+  const parent = task.parentTask ? await db.tasks.findById(task.parentTask, { select: '_id' }) : null;
+  const occurrence = await copy(task, {
+    dueDate: next.dueDate,
+    startDate: next.startDate,
+    parentTask: parent?._id,
+    recurrence,
+    recurringFrom: task._id
+  });
+  await db.tasks.updateById(task._id, { recurrence: null });
+
+  // Subtasks come in levels, so each parent is copied before its children
+  const created = [occurrence];
+  if (recurrence.copySubtasks) {
+    const copies = new Map([[idOf(task._id), occurrence._id]]);
+    for (const subtask of await getDescendants([task._id])) {
+      const subtaskCopy = await copy(subtask, {
+        dueDate: shiftWallClock(subtask.dueDate, next.days, recurrence.timezone),
+        startDate: shiftWallClock(subtask.startDate, next.days, recurrence.timezone),
+        parentTask: copies.get(idOf(subtask.parentTask))
+      });
+      copies.set(idOf(subtask._id), subtaskCopy._id);
+      created.push(subtaskCopy);
+    }
+  }
+
+  const room = `workspace-${workspace._id}`;
+  const populated = [];
+  for (const createdTask of created) {
+    const populatedTask = await db.tasks.findById(createdTask._id, { populate: taskPopulate });
+    await recordTaskCreated(populatedTask, { actor, source: 'recurrence' });
+    emitToRoom(room, 'task-created', { task: populatedTask, workspaceId: workspace._id });
+    await publishEvent(workspace._id, 'task.created', { task: populatedTask });
+    populated.push(populatedTask);
+  }
+
+  // Assignees hear about the new occurrence, not about each of its subtasks
+  const [nextTask] = populated;
+  await notify(nextTask.assignees.map(assignee => assignee.user), {
+    type: 'assignment',
+    actor,
+    workspace,
+    task: nextTask,
+    message: `A new occurrence of "${nextTask.title}" is assigned to you`
+  });
+
+  // The rules for new tasks apply to occurrences as to any other task
+  const results = [];
+  for (const populatedTask of populated) {
+    results.push(await runTaskAutomations(populatedTask, workspace, [['task-created', {}]]));
+  }
+  return results[0];
+};
+
+/**
+ * Create the next occurrence of a task that repeats on completion, once it
+ * moved from an open into a done status
+ */
+export const repeatOnCompletion = async (before, task, { workspace, actor }) => {
+  if (task.recurrence?.mode !== 'on-completion') return null;
+  const done = getStatusKeys(getWorkflow(workspace), 'done');
+  if (done.includes(before.status) || !done.includes(task.status)) return null;
+  return createNextOccurrence(task, { workspace, actor });
+};
+
+/**
+ * Create the next occurrences of tasks that repeat on schedule and whose
+ * due date has come. Returns how many were created.
+ */
+export const createScheduledOccurrences = async (now = new Date()) => {
+  const tasks = await db.tasks.find({ 'recurrence.mode': 'on-schedule', dueDate: { $lte: now } });
+
+  let created = 0;
+  for (const task of tasks) {
+    const workspace = await db.workspaces.findById(task.workspace);
+    if (!workspace) continue;
+    if (await createNextOccurrence(task, { workspace, now })) created += 1;
+  }
+  return created;
+};
@@ -0,0 +1,154 @@
+import { db } from '../repositories/index.js';
+import { idOf, sameId } from '../utils/ids.js';
+import { getNotificationSettings } from '../utils/notificationContract.js';
+import { getLocalTime } from '../utils/timezone.js';
+import { filterOpenTasks } from './workflowService.js';
+import { notifyDueSoon, DUE_SOON_WINDOW } from './notificationService.js';
+import { sendReminderEmail, sendDigestEmail } from './emailService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Digests go out once the recipient's local time reaches this hour; weekly ones on Mondays
+export const DIGEST_HOUR = 8;
+const DIGEST_WEEKDAY = 'Mon';
+
+const taskFields = 'title workspace status dueDate assignees watchers updatedAt updatedBy';
+const userFields = 'name email preferences notificationSettings';
+
+/**
+ * Record the keys of emails about to be sent. Keys recorded before, e.g.
+ * by a run before a restart, are left out of the result.
+ */
+const claimDeliveries = async (deliveries) => {
+  const claimed = [];
+  for (const delivery of deliveries) {
+    try {
+      await db.emailDeliveries.create(delivery);
+      claimed.push(delivery);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return claimed;
+};
+
+// Forget deliveries whose email failed so the next run tries again
+const releaseDeliveries = (deliveries) => db.emailDeliveries.deleteMany({
+  key: { $in: deliveries.map(delivery => delivery.key) }
+});
+
+/**
+ * Send a batch of deliveries to one user as a single email, skipping the ones
+ * already sent. Returns whether an email went out.
+ */
+const deliverOnce = async (deliveries, send) => {
+  const claimed = await claimDeliveries(deliveries);
+  if (claimed.length === 0) return false;
+
+  const result = await send(claimed);
+  if (!result.success) {
+    await releaseDeliveries(claimed);
+    return false;
+  }
+  return true;
+};
+
+const wantsEmail = (user, type) => {
+  const settings = getNotificationSettings(user);
+  return settings.emailNotifications && !settings.mutedTypes.includes(type);
+};
+
+/**
+ * Remind assignees of open tasks due within the next day or already overdue:
+ * in the app for tasks due soon, and by email for both. Each task is emailed
+ * about once per due date and kind of reminder.
+ */
+export const sendDueDateReminders = async (now = new Date()) => {
+  await notifyDueSoon(now);
+
+  const tasks = await filterOpenTasks(await db.tasks.find({
+    dueDate: { $ne: null, $lte: new Date(now.getTime() + DUE_SOON_WINDOW) }
+  }, { select: taskFields }));
+
+  const byAssignee = new Map();
+  tasks.forEach(task => task.assignees.forEach(({ user }) => {
+    if (!byAssignee.has(idOf(user))) byAssignee.set(idOf(user), []);
+    byAssignee.get(idOf(user)).push(task);
+  }));
+  if (byAssignee.size === 0) return 0;
+
+  const users = await db.users.find({ _id: { $in: [...byAssignee.keys()] } }, { select: userFields });
+
+  let sent = 0;
+  for (const user of users) {
+    // Overdue reminders follow the due date reminder preference
+    if (!wantsEmail(user, 'due-soon')) continue;
+
+    const deliveries = byAssignee.get(idOf(user._id)).map(task => {
+      const type = new Date(task.dueDate) <= now ? 'overdue' : 'due-soon';
+      return {
+        key: `${type}:${task._id}:${user._id}:${new Date(task.dueDate).toISOString()}`,
+        type,
+        recipient: user._id,
+        task
+      };
+    });
+
+    const delivered = await deliverOnce(deliveries, (claimed) => sendReminderEmail(user, {
+      dueSoon: claimed.filter(delivery => delivery.type === 'due-soon').map(delivery => delivery.task),
+      overdue: claimed.filter(delivery => delivery.type === 'overdue').map(delivery => delivery.task)
+    }));
+    if (delivered) sent += 1;
+  }
+  return sent;
+};
+
+/**
+ * Tasks for a user's digest: their open assigned tasks, and tasks they are
+ * assigned to or watch that someone else changed since `since`
+ */
+const getDigestTasks = async (user, since) => {
+  const followed = await db.tasks.find({
+    $or: [{ 'assignees.user': user._id }, { watchers: user._id }]
+  }, { select: taskFields, sort: { dueDate: 1 } });
+
+  const assigned = await filterOpenTasks(followed.filter(task => (
+    task.assignees.some(assignee => sameId(assignee.user, user._id))
+  )));
+  const changed = followed.filter(task => (
+    new Date(task.updatedAt) >= since && task.updatedBy && !sameId(task.updatedBy, user._id)
+  ));
+
+  return { assigned, changed };
+};
+
+/**
+ * Send daily and weekly digests to users whose local time has reached the
+ * digest hour. A digest is keyed by the user's local date, so each one goes
+ * out at most once even when the job runs many times a day.
+ */
+export const sendDigests = async (now = new Date()) => {
+  const users = await db.users.find({
+    'notificationSettings.digest': { $in: ['daily', 'weekly'] }
+  }, { select: userFields });
+
+  let sent = 0;
+  for (const user of users) {
+    const { emailNotifications, digest } = getNotificationSettings(user);
+    const local = getLocalTime(now, user.preferences?.timezone);
+    if (!emailNotifications || local.hour < DIGEST_HOUR) continue;
+    if (digest === 'weekly' && local.weekday !== DIGEST_WEEKDAY) continue;
+
+    const since = new Date(now.getTime() - (digest === 'weekly' ? 7 : 1) * DAY);
+    const { assigned, changed } = await getDigestTasks(user, since);
+    if (assigned.length === 0 && changed.length === 0) continue;
+
+    const delivered = await deliverOnce([{
+      key: `digest:${digest}:${user._id}:${local.date}`,
+      type: 'digest',
+      recipient: user._id
+    }], () => sendDigestEmail(user, { frequency: digest, assigned, changed }));
+    if (delivered) sent += 1;
+  }
+  return sent;
+};
@@ -0,0 +1,193 @@
+import { db } from '../repositories/index.js';
+import { idOf } from '../utils/ids.js';
+import { recordTaskChanges } from './activityService.js';
+
+/**
+ * Scheduling of dependent tasks for the Gantt view. Tasks are planned in
+ * whole days: a task occupies every day from its start date to its due date,
+ * both included. A task with only one of the two dates lasts a single day.
+ * Tasks without any date take no part in scheduling.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * First and last day of a task in milliseconds, or null when it has no dates
+ */
+export const getSpan = (task) => {
+  const start = toTime(task.startDate ?? task.dueDate);
+  const end = toTime(task.dueDate ?? task.startDate);
+  return start === null ? null : { start, end };
+};
+
+/**
+ * How far a task has to be pushed back to satisfy a predecessor
+ */
+const requiredShift = (span, predecessorSpan, type) => {
+  switch (type) {
+    case 'start-to-start':
+      return predecessorSpan.start - span.start;
+    case 'finish-to-finish':
+      return predecessorSpan.end - span.end;
+    default:
+      return predecessorSpan.end + DAY - span.start;
+  }
+};
+
+// Tasks keyed by ID, plus the tasks that depend on each of them
+const indexTasks = (tasks) => {
+  const byId = new Map(tasks.map(task => [idOf(task._id), task]));
+  const dependents = new Map();
+
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dependency => {
+      const predecessorId = idOf(dependency.task);
+      if (!byId.has(predecessorId)) return;
+      if (!dependents.has(predecessorId)) dependents.set(predecessorId, []);
+      dependents.get(predecessorId).push({ task, type: dependency.type });
+    });
+  });
+
+  return { byId, dependents };
+};
+
+/**
+ * Whether making `taskId` depend on `predecessorId` would close a loop,
+ * i.e. the predecessor already waits on the task, directly or not.
+ */
+export const wouldCreateCycle = (tasks, taskId, predecessorId) => {
+  const byId = new Map(tasks.map(task => [idOf(task._id), task]));
+  const target = idOf(taskId);
+  const visited = new Set();
+  const pending = [idOf(predecessorId)];
+
+  while (pending.length > 0) {
+    const currentId = pending.pop();
+    if (currentId === target) return true;
+    if (visited.has(currentId)) continue;
+    visited.add(currentId);
+
+    (byId.get(currentId)?.dependencies || []).forEach(dependency => {
+      pending.push(idOf(dependency.task));
+    });
+  }
+
+  return false;
+};
+
+/**
+ * Push the dependents of a task back until every dependency holds again,
+ * following the chain as far as it goes. Tasks are only ever moved later and
+ * keep their duration. Returns the new dates of every task that moved.
+ */
+export const planReschedule = (tasks, taskId) => {
+  const { byId, dependents } = indexTasks(tasks);
+  const spans = new Map(tasks.map(task => [idOf(task._id), getSpan(task)]));
+  const moved = new Set();
+  const pending = [idOf(taskId)];
+
+  while (pending.length > 0) {
+    const currentId = pending.shift();
+
+    (dependents.get(currentId) || []).forEach(({ task }) => {
+      const dependentId = idOf(task._id);
+      const span = spans.get(dependentId);
+      if (!span) return;
+
+      const shift = Math.max(0, ...task.dependencies.map(dependency => {
+        const predecessorSpan = spans.get(idOf(dependency.task));
+        return predecessorSpan ? requiredShift(span, predecessorSpan, dependency.type) : 0;
+      }));
+      if (shift <= 0) return;
+
+      spans.set(dependentId, { start: span.start + shift, end: span.end + shift });
+      moved.add(dependentId);
+      pending.push(dependentId);
+    });
+  }
+
+  return [...moved].map(id => {
+    const task = byId.get(id);
+    const { start, end } = spans.get(id);
+    return {
+      _id: task._id,
+      ...(task.startDate && { startDate: new Date(start) }),
+      ...(task.dueDate && { dueDate: new Date(end) })
+    };
+  });
+};
+
+/**
+ * Reschedule the dependents of a task after it moved or gained a dependent,
+ * recording the new dates in their activity. Returns the updated tasks.
+ */
+export const rescheduleDependents = async (workspaceId, taskId, { updatedBy, populate } = {}) => {
+  const tasks = await db.tasks.find(
+    { workspace: workspaceId },
+    { select: '_id startDate dueDate dependencies' }
+  );
+  const tasksById = new Map(tasks.map(task => [idOf(task._id), task]));
+
+  return Promise.all(planReschedule(tasks, taskId).map(async ({ _id, ...dates }) => {
+    const updated = await db.tasks.updateById(_id, { ...dates, ...(updatedBy && { updatedBy }) }, { populate });
+    await recordTaskChanges(tasksById.get(idOf(_id)), updated, {
+      actor: updatedBy,
+      source: 'dependency',
+      fields: ['startDate', 'dueDate']
+    });
+    return updated;
+  }));
+};
+
+/**
+ * Critical path analysis over the tasks' current dates. Working back from the
+ * last due date, each task gets the latest day it could finish without
+ * delaying the whole plan; its slack is how many days it could slip. Tasks
+ * without slack form the critical path.
+ *
+ * Returns a map of task ID to `{ slack, critical }` for every task with dates.
+ */
+export const getCriticalPath = (tasks) => {
+  const { dependents } = indexTasks(tasks);
+  const spans = new Map(tasks.map(task => [idOf(task._id), getSpan(task)]).filter(([, span]) => span));
+  if (spans.size === 0) return new Map();
+
+  const projectEnd = Math.max(...[...spans.values()].map(span => span.end));
+  const latestFinish = new Map();
+
+  const getLatestFinish = (id) => {
+    if (latestFinish.has(id)) return latestFinish.get(id);
+    const span = spans.get(id);
+    const duration = span.end - span.start;
+    latestFinish.set(id, projectEnd); // guards against loops in stored data
+
+    const bounds = (dependents.get(id) || [])
+      .filter(({ task }) => spans.has(idOf(task._id)))
+      .map(({ task, type }) => {
+        const successorId = idOf(task._id);
+        const successorFinish = getLatestFinish(successorId);
+        const successorSpan = spans.get(successorId);
+        const successorStart = successorFinish - (successorSpan.end - successorSpan.start);
+
+        switch (type) {
+          case 'start-to-start':
+            return successorStart + duration;
+          case 'finish-to-finish':
+            return successorFinish;
+          default:
+            return successorStart - DAY;
+        }
+      });
+
+    const finish = Math.min(projectEnd, ...bounds);
+    latestFinish.set(id, finish);
+    return finish;
+  };
+
+  return new Map([...spans.entries()].map(([id, span]) => {
+    const slack = Math.round((getLatestFinish(id) - span.end) / DAY);
+    return [id, { slack, critical: slack <= 0 }];
+  }));
+};
@@ -0,0 +1,198 @@
+import { db } from '../repositories/index.js';
+import { getWorkspaceForUser } from '../utils/hierarchy.js';
+import { idOf } from '../utils/ids.js';
+import { formatTaskReference } from '../utils/taskReferences.js';
+import { SEARCH_TYPES, SEARCH_WEIGHTS, SEARCH_LIMITS } from '../utils/searchContract.js';
+import { parseSearch, scoreFields, findMatches, buildSnippet } from '../utils/textSearch.js';
+
+const userFields = 'name email avatar';
+
+// Searched fields of a document as `[{ text, weight }]` for scoreFields
+const weighted = (weights, values) => Object.entries(weights).map(([path, weight]) => ({
+  text: values[path] || '',
+  weight
+}));
+
+// A result with its title and snippet highlighted
+const toResult = (type, document, { title, snippet, query, score, ...fields }) => ({
+  type,
+  id: document._id,
+  title,
+  highlights: findMatches(title, query),
+  snippet: buildSnippet(snippet, query, SEARCH_LIMITS.snippet),
+  score,
+  ...fields
+});
+
+/**
+ * Workspaces a search covers: the given one, checked for access, or every
+ * workspace of the user
+ */
+const getSearchWorkspaces = async (workspaceId, user) => {
+  if (workspaceId) return [await getWorkspaceForUser(workspaceId, user)];
+
+  return db.workspaces.find({
+    $or: [
+      { owner: user._id },
+      { 'members.user': user._id }
+    ]
+  });
+};
+
+const searchTasks = async (text, query, { workspaceIds, types, limit }) => {
+  const tasks = await db.tasks.search(text, { workspace: { $in: workspaceIds } }, {
+    limit,
+    select: 'title description number workspace list status attachments',
+    populate: [{ path: 'list', select: 'name' }]
+  });
+
+  return tasks.flatMap(task => {
+    const results = [];
+    const context = { workspace: task.workspace, reference: formatTaskReference(task), list: task.list };
+
+    const attachments = (task.attachments || [])
+      .map(attachment => ({
+        attachment,
+        score: scoreFields([{ text: attachment.originalName, weight: SEARCH_WEIGHTS.task['attachments.originalName'] }], query)
+      }))
+      .filter(({ score }) => score > 0);
+
+    // The backend's stemmer may match words this scorer does not; such hits
+    // count for the task unless one of its attachments explains them
+    const score = scoreFields(weighted({ title: SEARCH_WEIGHTS.task.title, description: SEARCH_WEIGHTS.task.description }, task), query) ||
+      (attachments.length === 0 ? task.score : 0);
+    if (types.includes('task') && score > 0) {
+      results.push(toResult('task', task, {
+        title: task.title,
+        snippet: task.description,
+        status: task.status,
+        query,
+        score,
+        ...context
+      }));
+    }
+
+    if (types.includes('attachment')) {
+      attachments.forEach(({ attachment, score: attachmentScore }) => {
+        results.push(toResult('attachment', attachment, {
+          title: attachment.originalName,
+          task: { _id: task._id, title: task.title },
+          comment: attachment.comment || null,
+          mimeType: attachment.mimeType,
+          query,
+          score: attachmentScore,
+          ...context
+        }));
+      });
+    }
+
+    return results;
+  });
+};
+
+const searchComments = async (text, query, { workspaceIds, limit }) => {
+  const comments = await db.comments.search(text, { workspace: { $in: workspaceIds }, deletedAt: null }, {
+    limit,
+    select: 'content task user createdAt',
+    populate: [{ path: 'user', select: userFields }]
+  });
+
+  // Only the tasks of the matches are loaded; comments of trashed tasks are left out
+  const taskIds = [...new Set(comments.map(comment => idOf(comment.task)))];
+  const tasks = await db.tasks.find({ _id: { $in: taskIds } }, { select: '_id title number workspace' });
+  const tasksById = new Map(tasks.map(task => [idOf(task), task]));
+
+  return comments.filter(comment => tasksById.has(idOf(comment.task))).map(comment => {
+    const task = tasksById.get(idOf(comment.task));
+    return toResult('comment', comment, {
+      title: task.title,
+      snippet: comment.content,
+      task: { _id: task._id, title: task.title },
+      reference: formatTaskReference(task),
+      user: comment.user,
+      workspace: task.workspace,
+      query,
+      score: scoreFields(weighted(SEARCH_WEIGHTS.comment, comment), query) || comment.score
+    });
+  });
+};
+
+const searchSpacesAndLists = async (text, query, { workspaceIds, types, limit }) => {
+  const spaces = await db.spaces.find({ workspace: { $in: workspaceIds } }, { select: '_id name workspace' });
+  const spacesById = new Map(spaces.map(space => [idOf(space), space]));
+  const results = [];
+
+  if (types.includes('space')) {
+    const matches = await db.spaces.search(text, { workspace: { $in: workspaceIds } }, { limit });
+    matches.forEach(space => results.push(toResult('space', space, {
+      title: space.name,
+      snippet: space.description,
+      workspace: space.workspace,
+      query,
+      score: scoreFields(weighted(SEARCH_WEIGHTS.space, space), query) || space.score
+    })));
+  }
+
+  if (types.includes('list')) {
+    const folders = await db.folders.find({ space: { $in: spaces.map(space => space._id) } }, { select: '_id name space' });
+    const foldersById = new Map(folders.map(folder => [idOf(folder), folder]));
+    const matches = await db.lists.search(text, { folder: { $in: folders.map(folder => folder._id) } }, { limit });
+    matches.forEach(list => {
+      const folder = foldersById.get(idOf(list.folder));
+      const space = spacesById.get(idOf(folder.space));
+      results.push(toResult('list', list, {
+        title: list.name,
+        snippet: list.description,
+        workspace: space.workspace,
+        path: [space.name, folder.name],
+        query,
+        score: scoreFields(weighted(SEARCH_WEIGHTS.list, list), query) || list.score
+      }));
+    });
+  }
+
+  return results;
+};
+
+// Members are few per workspace, so they are matched in process
+const searchMembers = async (query, { workspaces }) => {
+  const memberIds = new Set(workspaces.flatMap(workspace => [workspace.owner, ...workspace.members.map(member => member.user)].map(idOf)));
+  const users = await db.users.find({ _id: { $in: [...memberIds] } }, { select: userFields });
+
+  return users
+    .map(user => ({ user, score: scoreFields(weighted(SEARCH_WEIGHTS.member, user), query) }))
+    .filter(({ score }) => score > 0)
+    .map(({ user, score }) => toResult('member', user, {
+      title: user.name,
+      snippet: user.email,
+      avatar: user.avatar,
+      query,
+      score
+    }));
+};
+
+/**
+ * Search tasks, comments, attachment names, spaces, lists and members of the
+ * user's workspaces, or of one of them, for a MongoDB `$search` string.
+ * Candidates come from the text indexes of the storage backend and are ranked
+ * together by relevance, best first; every result carries `highlights` of
+ * its title and a `snippet` of the matching text.
+ */
+export const search = async (text, user, { workspaceId, types = SEARCH_TYPES, limit = SEARCH_LIMITS.defaultResults } = {}) => {
+  const query = parseSearch(text);
+  if (query.terms.length === 0) return [];
+
+  const workspaces = await getSearchWorkspaces(workspaceId, user);
+  const options = { workspaces, workspaceIds: workspaces.map(workspace => workspace._id), types, limit };
+
+  const found = await Promise.all([
+    types.some(type => type === 'task' || type === 'attachment') ? searchTasks(text, query, options) : [],
+    types.includes('comment') ? searchComments(text, query, options) : [],
+    types.some(type => type === 'space' || type === 'list') ? searchSpacesAndLists(text, query, options) : [],
+    types.includes('member') ? searchMembers(query, options) : []
+  ]);
+
+  return found.flat()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
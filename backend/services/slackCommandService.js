@@ -0,0 +1,121 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sameId } from '../utils/ids.js';
+import { hasWorkspaceAccess, getListForUser } from '../utils/hierarchy.js';
+import { buildTask, getDefaultStatus, userFields, taskPopulate } from '../utils/taskContract.js';
+import { getBottomRank } from '../utils/ranking.js';
+import { nextTaskNumber } from '../utils/taskReferences.js';
+import { emitToRoom } from '../socket.js';
+import { getWorkflow, getStatusKeys } from './workflowService.js';
+import { publishEvent } from './webhookService.js';
+import { runTaskAutomations } from './automationService.js';
+import { recordTaskCreated } from './activityService.js';
+import { escapeChatText, formatTaskLink } from './slackService.js';
+
+const LIST_LIMIT = 10;
+
+const HELP = 'Try `/task create <title>` to add a task, or `/task list mine` for your open tasks.';
+
+// Only the member who ran the command sees ephemeral replies
+const reply = (text, { visibleToChannel = false, blocks } = {}) => ({
+  response_type: visibleToChannel ? 'in_channel' : 'ephemeral',
+  text,
+  ...(blocks && { blocks })
+});
+
+// The list new tasks go to, if it still exists in the workspace
+const getDefaultList = async (integration, workspace, user) => {
+  if (!integration.slack?.defaultList) return null;
+
+  try {
+    const { list, workspace: listWorkspace } = await getListForUser(integration.slack.defaultList, user);
+    return sameId(listWorkspace._id, workspace._id) ? list : null;
+  } catch (error) {
+    if (error instanceof AppError) return null;
+    throw error;
+  }
+};
+
+const createTask = async (integration, workspace, user, title) => {
+  if (!title) return reply('Give the task a title: `/task create <title>`');
+
+  const list = await getDefaultList(integration, workspace, user);
+  if (!list) {
+    return reply('No list is set for new tasks yet. Ask a workspace admin to pick one in the workspace settings.');
+  }
+
+  const workflow = getWorkflow(workspace);
+  let task;
+  try {
+    task = buildTask({
+      title,
+      workspace: workspace._id,
+      list: list._id,
+      rank: await getBottomRank(workspace._id, getDefaultStatus(workflow)),
+      createdBy: user._id,
+      updatedBy: user._id
+    }, workflow);
+  } catch (error) {
+    if (error instanceof AppError) return reply(error.message);
+    throw error;
+  }
+
+  const created = await db.tasks.create({ ...task, number: await nextTaskNumber(workspace._id) });
+  const createdTask = await db.tasks.findById(created._id, { populate: taskPopulate });
+  await recordTaskCreated(createdTask, { actor: user, source: 'slack' });
+
+  emitToRoom(`workspace-${workspace._id}`, 'task-created', { task: createdTask, workspaceId: workspace._id });
+  await publishEvent(workspace._id, 'task.created', { task: createdTask });
+  // Reply with the task as the automations left it
+  const result = await runTaskAutomations(createdTask, workspace, [['task-created', {}]]);
+
+  return reply(`Created ${formatTaskLink(result)} in ${escapeChatText(result.list.name)}`, { visibleToChannel: true });
+};
+
+const listMyTasks = async (workspace, user) => {
+  const filter = {
+    workspace: workspace._id,
+    'assignees.user': user._id,
+    status: { $nin: getStatusKeys(getWorkflow(workspace), 'done') }
+  };
+  const tasks = await db.tasks.find(filter, { sort: { dueDate: 1, createdAt: 1 }, limit: LIST_LIMIT });
+  const total = await db.tasks.count(filter);
+
+  if (tasks.length === 0) return reply('You have no open tasks.');
+
+  const lines = tasks.map(task => (
+    `• ${formatTaskLink(task)}${task.dueDate ? ` (due ${new Date(task.dueDate).toISOString().slice(0, 10)})` : ''}`
+  ));
+  const text = `*Your open tasks* (${total})\n${lines.join('\n')}${total > tasks.length ? `\n…and ${total - tasks.length} more` : ''}`;
+
+  return reply(text, { blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] });
+};
+
+/**
+ * Run a slash command sent by the chat. The chat account is mapped to a
+ * workspace member, who the command acts as. Returns the reply to show.
+ */
+export const handleChatCommand = async (integration, { user_id: chatUserId, text = '' }) => {
+  const member = integration.slack?.members?.find(option => option.chatUserId === chatUserId);
+  if (!member) {
+    return reply(`Your chat account (${escapeChatText(chatUserId)}) is not linked to a workspace member. Ask a workspace admin to link it in the workspace settings.`);
+  }
+
+  const workspace = await db.workspaces.findById(integration.workspace);
+  const user = await db.users.findById(member.user, { select: userFields });
+  if (!workspace || !user || !hasWorkspaceAccess(workspace, user._id)) {
+    return reply('Your linked account is no longer a member of this workspace.');
+  }
+
+  const [subcommand = '', ...args] = text.trim().split(/\s+/);
+  const rest = text.trim().slice(subcommand.length).trim();
+
+  switch (subcommand.toLowerCase()) {
+    case 'create':
+      return createTask(integration, workspace, user, rest);
+    case 'list':
+      return args.join(' ').toLowerCase() === 'mine' ? listMyTasks(workspace, user) : reply(HELP);
+    default:
+      return reply(HELP);
+  }
+};
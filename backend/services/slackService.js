@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import process from 'process';
+import { db } from '../repositories/index.js';
+import { idOf } from '../utils/ids.js';
+import { formatTaskReference } from '../utils/taskReferences.js';
+import { CHAT_SIGNATURE_MAX_AGE } from '../utils/integrationContract.js';
+import { getWorkflow } from './workflowService.js';
+
+const MESSAGE_TIMEOUT = 10 * 1000;
+
+// Messages being posted right now
+const inFlight = new Set();
+
+/**
+ * Check the signature of a slash command request: `X-Slack-Signature` holds
+ * `v0=` and the hex HMAC of `v0:<X-Slack-Request-Timestamp>:<raw body>`,
+ * keyed with the app's signing secret. Old timestamps are rejected.
+ */
+export const verifyChatSignature = (secret, { rawBody, timestamp, signature }, now = Date.now()) => {
+  if (!rawBody || typeof signature !== 'string') return false;
+  if (!/^\d+$/.test(timestamp || '') || Math.abs(now / 1000 - Number(timestamp)) > CHAT_SIGNATURE_MAX_AGE) return false;
+
+  const expected = Buffer.from(`v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Chat markup treats these three characters as control characters
+export const escapeChatText = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+export const formatTaskLink = (task) => {
+  const url = `${process.env.FRONTEND_URL}/workspace/${idOf(task.workspace)}/task/${task._id}`;
+  return `<${url}|${formatTaskReference(task)} ${escapeChatText(task.title)}>`;
+};
+
+const getName = async (user) => {
+  if (user?.name) return user.name;
+  const found = user && await db.users.findById(idOf(user), { select: 'name' });
+  return found?.name || 'Someone';
+};
+
+const formatDuration = (minutes = 0) => {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
+
+/**
+ * Message for a workspace event, as `text` for notifications and `blocks`
+ * for the chat window. Returns null for events with nothing to show.
+ */
+export const formatChatMessage = async (event, data, workspace) => {
+  let text;
+  let quote;
+
+  switch (event) {
+    case 'task.created': {
+      const { task } = data;
+      text = `*New task* ${formatTaskLink(task)}${task.list?.name ? ` in ${escapeChatText(task.list.name)}` : ''} by ${escapeChatText(await getName(task.createdBy))}`;
+      break;
+    }
+    case 'task.updated': {
+      const { task } = data;
+      const status = getWorkflow(workspace).statuses.find(option => option.key === task.status);
+      text = `*Task updated* ${formatTaskLink(task)} is ${escapeChatText(status?.name || task.status)}, changed by ${escapeChatText(await getName(task.updatedBy))}`;
+      break;
+    }
+    case 'task.deleted':
+      text = `*Task deleted* ${escapeChatText(String(data.taskId))}`;
+      break;
+    case 'task.restored':
+      text = `*Task restored* ${formatTaskLink(data.task)}`;
+      break;
+    case 'comment.created': {
+      const { comment } = data;
+      const task = await db.tasks.findById(data.taskId, { select: 'title number workspace' });
+      if (!task) return null;
+      text = `*${escapeChatText(await getName(comment.user))}* commented on ${formatTaskLink(task)}`;
+      quote = comment.content;
+      break;
+    }
+    case 'timer.stopped': {
+      const { timeLog } = data;
+      const task = timeLog.task && await db.tasks.findById(idOf(timeLog.task), { select: 'title number workspace' });
+      text = `*${escapeChatText(await getName(timeLog.user))}* logged ${formatDuration(timeLog.duration)}${task ? ` on ${formatTaskLink(task)}` : ''}`;
+      break;
+    }
+    default:
+      return null;
+  }
+
+  const blocks = [section(text)];
+  if (quote) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escapeChatText(quote).slice(0, 500) }] });
+  }
+  return { text, blocks };
+};
+
+/**
+ * Post a message to an incoming webhook; throws when it is not accepted
+ */
+export const postChatMessage = async (url, message) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+    redirect: 'manual',
+    signal: AbortSignal.timeout(MESSAGE_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Chat answered with status ${response.status}`);
+  }
+};
+
+/**
+ * Post an event to the chat of a workspace if it selected the event. Runs
+ * in the background and never throws; a failed message is only logged.
+ */
+export const notifyChat = (workspaceId, event, data) => {
+  const message = (async () => {
+    const integration = await db.integrations.findOne({
+      workspace: workspaceId,
+      provider: 'slack',
+      active: true,
+      'slack.events': event
+    });
+    if (!integration?.slack?.webhookUrl) return;
+
+    const workspace = await db.workspaces.findById(workspaceId);
+    const content = await formatChatMessage(event, data, workspace);
+    if (content) await postChatMessage(integration.slack.webhookUrl, content);
+  })()
+    .catch(error => console.error('Error posting chat message:', error))
+    .finally(() => inFlight.delete(message));
+
+  inFlight.add(message);
+  return message;
+};
+
+// Wait for every message that is still being posted
+export const settleChatMessages = () => Promise.all(inFlight);
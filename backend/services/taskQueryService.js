@@ -0,0 +1,458 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf, sameId } from '../utils/ids.js';
+import { getLocalTime, startOfLocalDay } from '../utils/timezone.js';
+import { escapeRegExp } from '../utils/textSearch.js';
+import { hasWorkspaceAccess, isWorkspaceAdmin } from '../utils/hierarchy.js';
+import { getWorkflow, getStatusKeys } from './workflowService.js';
+import {
+  buildCustomFieldFilter,
+  customFieldSortKey,
+  getCustomFieldValue,
+  loadFilterFields
+} from './customFieldService.js';
+import {
+  FILTER_FIELDS,
+  FILTER_OPERATORS,
+  RELATIVE_DATES,
+  RELATIVE_DAYS_PATTERN,
+  SORT_FIELDS,
+  GROUP_BY_FIELDS,
+  TASK_QUERY_LIMITS
+} from '../utils/taskQueryContract.js';
+
+/**
+ * Task query language: filters compiled to MongoDB conditions, multi-key
+ * sorting and grouping. See utils/taskQueryContract.js for the fields and
+ * operators.
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+// Tasks whose workflow lacks a status or priority sort after the known ones
+const UNKNOWN_POSITION = Number.MAX_SAFE_INTEGER;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isCustomField = (field) => typeof field === 'string' && field.startsWith('cf.');
+
+// Calendar day `YYYY-MM-DD` moved by whole days
+const shiftDay = (day, days) => {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, dayOfMonth + days)).toISOString().slice(0, 10);
+};
+
+// First day of the month `offset` months away from the month of a day
+const firstOfMonth = (day, offset) => {
+  const [year, month] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + offset, 1)).toISOString().slice(0, 10);
+};
+
+/**
+ * Date range (`$gte`/`$lt`, or `$lt` for `overdue`) of a relative date like
+ * `this-week` or `next-7-days`, in the given time zone
+ */
+export const getRelativeRange = (name, { now = new Date(), timeZone } = {}) => {
+  const { date: today, weekday } = getLocalTime(now, timeZone);
+  const range = (from, to) => ({ $gte: startOfLocalDay(from, timeZone), $lt: startOfLocalDay(to, timeZone) });
+  const monday = shiftDay(today, -WEEKDAYS.indexOf(weekday));
+
+  const days = RELATIVE_DAYS_PATTERN.exec(name);
+  if (days) {
+    const count = Number(days[2]);
+    if (count < 1) throw new AppError('Relative ranges need at least one day', 400);
+    return days[1] === 'last'
+      ? range(shiftDay(today, 1 - count), shiftDay(today, 1))
+      : range(today, shiftDay(today, count));
+  }
+
+  switch (name) {
+    case 'overdue':
+      return { $lt: now };
+    case 'today':
+      return range(today, shiftDay(today, 1));
+    case 'yesterday':
+      return range(shiftDay(today, -1), today);
+    case 'tomorrow':
+      return range(shiftDay(today, 1), shiftDay(today, 2));
+    case 'this-week':
+      return range(monday, shiftDay(monday, 7));
+    case 'last-week':
+      return range(shiftDay(monday, -7), monday);
+    case 'next-week':
+      return range(shiftDay(monday, 7), shiftDay(monday, 14));
+    case 'this-month':
+      return range(firstOfMonth(today, 0), firstOfMonth(today, 1));
+    case 'last-month':
+      return range(firstOfMonth(today, -1), firstOfMonth(today, 0));
+    case 'next-month':
+      return range(firstOfMonth(today, 1), firstOfMonth(today, 2));
+    default:
+      throw new AppError(`Unknown relative date: ${name}. Use ${RELATIVE_DATES.join(', ')} or last-<n>-days / next-<n>-days`, 400);
+  }
+};
+
+/**
+ * IDs of the custom fields a filter, sort or group refers to as `cf.<id>`
+ */
+export const getCustomFieldIds = ({ filter, sort = [], groupBy } = {}) => {
+  const ids = new Set();
+  const walk = (node) => {
+    if (!isPlainObject(node)) return;
+    [node.and, node.or].filter(Array.isArray).forEach(children => children.forEach(walk));
+    if (isCustomField(node.field)) ids.add(node.field.slice(3));
+  };
+  walk(filter);
+  sort.forEach(({ field }) => isCustomField(field) && ids.add(field.slice(3)));
+  if (isCustomField(groupBy)) ids.add(groupBy.slice(3));
+  return [...ids];
+};
+
+/**
+ * Read the `filter` query parameter: JSON text, or nothing
+ */
+export const parseFilterParam = (raw) => {
+  if (raw === undefined || raw === '') return null;
+  if (typeof raw !== 'string') throw new AppError('filter must be JSON', 400);
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new AppError('filter must be JSON', 400);
+  }
+};
+
+/**
+ * Parse `priority:desc,dueDate` into `[{ field, direction }]`; a key without
+ * a direction sorts ascending
+ */
+export const parseSort = (sort) => {
+  if (!sort) return [];
+  const keys = String(sort).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [field, order = 'asc'] = part.split(':');
+    if (!SORT_FIELDS.includes(field) && !isCustomField(field)) {
+      throw new AppError(`Cannot sort by ${field}`, 400);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw new AppError(`Sort order must be asc or desc, not ${order}`, 400);
+    }
+    return { field, direction: order === 'desc' ? -1 : 1 };
+  });
+
+  if (keys.length > TASK_QUERY_LIMITS.sortKeys) {
+    throw new AppError(`Tasks can be sorted by at most ${TASK_QUERY_LIMITS.sortKeys} keys`, 400);
+  }
+  return keys;
+};
+
+/**
+ * Check the `groupBy` of a query; returns it, or null for no grouping
+ */
+export const parseGroupBy = (groupBy) => {
+  if (!groupBy) return null;
+  if (!GROUP_BY_FIELDS.includes(groupBy) && !isCustomField(groupBy)) {
+    throw new AppError(`Cannot group by ${groupBy}`, 400);
+  }
+  return groupBy;
+};
+
+const toList = (value) => [].concat(value ?? []).map(String);
+
+const toNumber = (field, value) => {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number)) {
+    throw new AppError(`Filter on ${field} needs a number`, 400);
+  }
+  return number;
+};
+
+/**
+ * Turn a filter into a MongoDB condition. `context` holds the loaded
+ * `customFields`, the `workspaces` searched (for status categories), the
+ * `userId` that `me` stands for, `now` and the user's `timeZone`.
+ *
+ * Formula fields are only known once tasks are read, so their conditions
+ * come back as `matchesFormulas` and may only be combined with AND.
+ */
+export const compileTaskFilter = (filter, context) => {
+  const { customFields = [], workspaces = [], userId, now = new Date(), timeZone } = context;
+  const formulaMatchers = [];
+  let count = 0;
+
+  // Local calendar day of a date, or a `YYYY-MM-DD` day as given
+  const toDay = (value) => (DAY_PATTERN.test(value) ? value : getLocalTime(new Date(value), timeZone).date);
+  const toDate = (field, value) => {
+    const date = typeof value === 'string' && DAY_PATTERN.test(value)
+      ? startOfLocalDay(value, timeZone)
+      : new Date(value);
+    if (value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+      throw new AppError(`Filter on ${field} needs a date`, 400);
+    }
+    return date;
+  };
+  const isTrue = (value) => value === true || value === 'true';
+
+  const compileCustom = ({ field, op, value }, allAnd) => {
+    const fieldId = field.slice(3);
+    const customField = customFields.find(item => sameId(item._id, fieldId));
+    if (!customField) throw new AppError(`Unknown custom field: ${fieldId}`, 400);
+    if (!FILTER_OPERATORS.custom.includes(op)) {
+      throw new AppError(`${customField.name} cannot be filtered with "${op}"`, 400);
+    }
+
+    let spec = { [op]: value };
+    if (op === 'within') {
+      if (customField.type !== 'date') {
+        throw new AppError(`${customField.name} is not a date field`, 400);
+      }
+      const range = getRelativeRange(value, { now, timeZone });
+      spec = Object.fromEntries(Object.entries(range).map(([operator, date]) => [operator.slice(1), date.toISOString()]));
+    }
+
+    const { conditions, matchesFormulas, needsFormulas } = buildCustomFieldFilter({ [fieldId]: spec }, [customField]);
+    if (needsFormulas) {
+      if (!allAnd) throw new AppError('Formula fields can only be combined with AND', 400);
+      formulaMatchers.push(matchesFormulas);
+      return null;
+    }
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  };
+
+  const compileCondition = (condition, allAnd) => {
+    const { field, op, value } = condition;
+    if (typeof field !== 'string') throw new AppError('Every condition needs a field', 400);
+    if (isCustomField(field)) return compileCustom(condition, allAnd);
+
+    const kind = FILTER_FIELDS[field];
+    if (!kind) throw new AppError(`Unknown filter field: ${field}`, 400);
+    if (!FILTER_OPERATORS[kind].includes(op)) {
+      throw new AppError(`${field} cannot be filtered with "${op}"`, 400);
+    }
+
+    switch (kind) {
+      case 'key':
+        return { [field]: { [`$${op}`]: toList(value) } };
+
+      case 'multi': {
+        const array = field === 'assignee' ? 'assignees' : 'tags';
+        if (op === 'set') return { [`${array}.0`]: { $exists: isTrue(value) } };
+        const values = toList(value).map(item => (field === 'assignee' && item === 'me' ? idOf(userId) : item));
+        return { [field === 'assignee' ? 'assignees.user' : 'tags']: { [`$${op}`]: values } };
+      }
+
+      case 'category': {
+        const category = String(value);
+        if (!['open', 'done'].includes(category)) throw new AppError('Invalid status category', 400);
+        return {
+          $or: workspaces.map(workspace => ({
+            workspace: workspace._id,
+            status: { $in: getStatusKeys(getWorkflow(workspace), category) }
+          }))
+        };
+      }
+
+      case 'text':
+        if (op === 'set') return { [field]: isTrue(value) ? { $nin: [null, ''] } : { $in: [null, ''] } };
+        return { [field]: { $regex: escapeRegExp(String(value ?? '')), $options: 'i' } };
+
+      case 'date': {
+        if (op === 'set') return { [field]: isTrue(value) ? { $ne: null } : null };
+        if (op === 'within') return { [field]: getRelativeRange(value, { now, timeZone }) };
+        if (op === 'eq') {
+          toDate(field, value);
+          const day = toDay(value);
+          return { [field]: { $gte: startOfLocalDay(day, timeZone), $lt: startOfLocalDay(shiftDay(day, 1), timeZone) } };
+        }
+        return { [field]: { [`$${op}`]: toDate(field, value) } };
+      }
+
+      default:
+        if (op === 'set') return { [field]: isTrue(value) ? { $ne: null } : null };
+        return { [field]: { [`$${op}`]: toNumber(field, value) } };
+    }
+  };
+
+  const compile = (node, depth, allAnd) => {
+    if (!isPlainObject(node)) {
+      throw new AppError('Filters are conditions { field, op, value } or groups { and: [...] } / { or: [...] }', 400);
+    }
+    if (depth > TASK_QUERY_LIMITS.depth) {
+      throw new AppError(`Filter groups can be nested at most ${TASK_QUERY_LIMITS.depth} deep`, 400);
+    }
+
+    const group = ['and', 'or'].find(key => node[key] !== undefined);
+    if (!group) {
+      count += 1;
+      if (count > TASK_QUERY_LIMITS.conditions) {
+        throw new AppError(`Filters can have at most ${TASK_QUERY_LIMITS.conditions} conditions`, 400);
+      }
+      return compileCondition(node, allAnd);
+    }
+
+    if (!Array.isArray(node[group]) || node[group].length === 0) {
+      throw new AppError(`"${group}" needs a list of conditions`, 400);
+    }
+    const parts = node[group]
+      .map(child => compile(child, depth + 1, allAnd && group === 'and'))
+      .filter(Boolean);
+    return parts.length > 0 ? { [`$${group}`]: parts } : null;
+  };
+
+  const condition = filter ? compile(filter, 1, true) : null;
+
+  return {
+    condition,
+    matchesFormulas: (task) => formulaMatchers.every(matches => matches(task)),
+    needsFormulas: formulaMatchers.length > 0
+  };
+};
+
+/**
+ * Whether tasks can be sorted by the database, or only once loaded
+ */
+export const needsMemorySort = (keys) =>
+  keys.some(({ field }) => isCustomField(field) || field === 'status' || field === 'priority');
+
+/**
+ * Sort object for the database; tasks that share a rank keep their creation order
+ */
+export const toDatabaseSort = (keys) => {
+  const sort = Object.fromEntries(keys.map(({ field, direction }) => [field, direction]));
+  if (sort.rank !== undefined && sort.createdAt === undefined) sort.createdAt = 1;
+  return sort;
+};
+
+// Looks up what tasks sort and group by, for tasks of the given workspaces
+const createKeyReader = ({ customFields = [], workspaces = [] }) => {
+  const workflows = new Map(workspaces.map(workspace => [idOf(workspace._id), getWorkflow(workspace)]));
+  const position = (task, field) => {
+    const workflow = workflows.get(idOf(task.workspace));
+    const options = (field === 'status' ? workflow?.statuses : workflow?.priorities) || [];
+    const index = options.findIndex(option => option.key === task[field]);
+    return index === -1 ? UNKNOWN_POSITION : index;
+  };
+
+  return (task, field) => {
+    if (isCustomField(field)) {
+      const customField = customFields.find(item => sameId(item._id, field.slice(3)));
+      return customField ? customFieldSortKey(customField, getCustomFieldValue(task, customField)) : null;
+    }
+    switch (field) {
+      case 'status':
+      case 'priority':
+        return position(task, field);
+      case 'title':
+        return task.title?.toLowerCase() ?? null;
+      case 'dueDate':
+      case 'startDate':
+      case 'createdAt':
+      case 'updatedAt':
+        return task[field] ? new Date(task[field]).getTime() : null;
+      default:
+        return task[field] ?? null;
+    }
+  };
+};
+
+// Missing values come last in either direction
+const compareKeys = (a, b, direction) => {
+  if (a === null || b === null) return (a === null) - (b === null);
+  if (a === b) return 0;
+  return (a < b ? -1 : 1) * direction;
+};
+
+/**
+ * Sort loaded tasks by several keys; ties keep their current order
+ */
+export const sortTasks = (tasks, keys, context) => {
+  const readKey = createKeyReader(context);
+
+  return tasks
+    .map(task => ({ task, values: keys.map(({ field }) => readKey(task, field)) }))
+    .sort((a, b) => {
+      for (let index = 0; index < keys.length; index += 1) {
+        const order = compareKeys(a.values[index], b.values[index], keys[index].direction);
+        if (order !== 0) return order;
+      }
+      return 0;
+    })
+    .map(({ task }) => task);
+};
+
+// Group keys of a task with what the groups are ordered by; tasks can be in several groups
+const getGroupEntries = (task, groupBy, readKey, customFields) => {
+  switch (groupBy) {
+    case 'status':
+    case 'priority':
+      return [{ key: task[groupBy], order: readKey(task, groupBy) }];
+    case 'assignee':
+      return (task.assignees || []).map(({ user }) => ({ key: idOf(user), order: user?.name?.toLowerCase() ?? idOf(user) }));
+    case 'list':
+      return task.list ? [{ key: idOf(task.list), order: task.list.name?.toLowerCase() ?? idOf(task.list) }] : [];
+    case 'tags':
+      return (task.tags || []).map(tag => ({ key: tag, order: tag.toLowerCase() }));
+    default: {
+      const customField = customFields.find(item => sameId(item._id, groupBy.slice(3)));
+      const value = customField ? getCustomFieldValue(task, customField) : null;
+      return [].concat(value ?? []).map(item => ({
+        key: customField.type === 'date' ? new Date(item).toISOString() : String(item),
+        order: customFieldSortKey(customField, item)
+      }));
+    }
+  }
+};
+
+/**
+ * Group sorted tasks; groups are ordered by their workflow position or name,
+ * the group of tasks without a value (`key: null`) comes last
+ */
+export const groupTasks = (tasks, groupBy, context) => {
+  const readKey = createKeyReader(context);
+  const groups = new Map();
+
+  tasks.forEach(task => {
+    const entries = getGroupEntries(task, groupBy, readKey, context.customFields || []);
+    (entries.length > 0 ? entries : [{ key: null, order: null }]).forEach(({ key, order }) => {
+      if (!groups.has(key)) groups.set(key, { key, order, tasks: [] });
+      groups.get(key).tasks.push(task);
+    });
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => compareKeys(a.order, b.order, 1))
+    .map(({ key, tasks: grouped }) => ({ key, tasks: grouped }));
+};
+
+/**
+ * Load a saved view and check that the user may see it: their own views
+ * and the shared views of their workspaces
+ */
+export const getViewForUser = async (viewId, user) => {
+  const view = await db.savedViews.findById(viewId);
+  if (!view) throw new AppError('View not found', 404);
+
+  const workspace = await db.workspaces.findById(view.workspace);
+  if (!workspace || !hasWorkspaceAccess(workspace, user._id) || (!view.shared && !sameId(view.createdBy, user._id))) {
+    throw new AppError('View not found', 404);
+  }
+
+  return { view, workspace };
+};
+
+/**
+ * Whether a user may change a view: its creator, or an admin for shared views
+ */
+export const canManageView = (view, workspace, user) =>
+  sameId(view.createdBy, user._id) || (view.shared && isWorkspaceAdmin(workspace, user._id));
+
+/**
+ * Check the filter, sort and grouping of a view before it is saved
+ */
+export const validateTaskQuery = async ({ filter, sort, groupBy }, workspace, user) => {
+  const sortKeys = parseSort(sort);
+  const group = parseGroupBy(groupBy);
+  const customFields = await loadFilterFields(
+    getCustomFieldIds({ filter, sort: sortKeys, groupBy: group }),
+    [workspace._id]
+  );
+  compileTaskFilter(filter, { customFields, workspaces: [workspace], userId: user._id });
+};
@@ -0,0 +1,256 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf } from '../utils/ids.js';
+import {
+  getWorkspaceForUser,
+  isWorkspaceAdmin,
+  deleteTasksCascade,
+  deleteListsCascade,
+  deleteFoldersCascade,
+  deleteSpacesCascade
+} from '../utils/hierarchy.js';
+import { TRASH_TYPES, TRASH_RETENTION_DAYS, getPurgeDate } from '../utils/trashContract.js';
+import { getDescendants } from './progressService.js';
+
+/**
+ * Levels of the hierarchy, each with the collection it is stored in and the
+ * field pointing at the level above
+ */
+const LEVELS = [
+  { type: 'workspace', collection: 'workspaces' },
+  { type: 'space', collection: 'spaces', parent: 'workspace' },
+  { type: 'folder', collection: 'folders', parent: 'space' },
+  { type: 'list', collection: 'lists', parent: 'folder' },
+  { type: 'task', collection: 'tasks', parent: 'list' }
+];
+
+const levelOf = (type) => LEVELS.find(level => level.type === type);
+
+const PURGE_CASCADES = {
+  space: deleteSpacesCascade,
+  folder: deleteFoldersCascade,
+  list: deleteListsCascade,
+  task: deleteTasksCascade
+};
+
+// Collections whose documents belong to a workspace, besides its spaces and what they hold
+const WORKSPACE_COLLECTIONS = [
+  'customFields',
+  'savedViews',
+  'activities',
+  'notifications',
+  'automations',
+  'automationRuns',
+  'webhooks',
+  'webhookDeliveries',
+  'integrations',
+  'githubLinks',
+  'timeLogs'
+];
+
+/**
+ * What is under an item and not in the trash yet, as IDs per collection;
+ * for tasks that is their subtasks at any depth
+ */
+const findContents = async (type, id) => {
+  if (type === 'task') {
+    const subtasks = await getDescendants([id], { select: '_id parentTask' });
+    return { tasks: subtasks.map(subtask => subtask._id) };
+  }
+
+  const contents = {};
+  let parentIds = [id];
+  for (const level of LEVELS.slice(LEVELS.indexOf(levelOf(type)) + 1)) {
+    const children = parentIds.length > 0
+      ? await db[level.collection].find({ [level.parent]: { $in: parentIds } }, { select: '_id' })
+      : [];
+    contents[level.collection] = children.map(child => child._id);
+    parentIds = contents[level.collection];
+  }
+  return contents;
+};
+
+/**
+ * ID of the workspace an item belongs to, trashed or not
+ */
+const findWorkspaceId = async (type, item) => {
+  switch (type) {
+    case 'workspace':
+      return item._id;
+    case 'task':
+    case 'space':
+      return item.workspace;
+    default: {
+      const { parent } = levelOf(type);
+      const parentItem = await db[levelOf(parent).collection].findById(item[parent], { withTrashed: true });
+      return parentItem ? findWorkspaceId(parent, parentItem) : null;
+    }
+  }
+};
+
+/**
+ * Move an item to the trash, together with everything under it that is not
+ * there yet. Returns the IDs per collection that went along.
+ */
+export const trashItem = async (type, item, user) => {
+  const trashedAt = new Date();
+  const contents = await findContents(type, item._id);
+
+  await db[levelOf(type).collection].updateById(item._id, { trashedAt, trashedBy: user._id, trashedWith: null });
+  for (const [collection, ids] of Object.entries(contents)) {
+    if (ids.length === 0) continue;
+    await db[collection].updateMany({ _id: { $in: ids } }, { trashedAt, trashedBy: user._id, trashedWith: item._id });
+  }
+
+  return contents;
+};
+
+/**
+ * Load an item of the trash with its workspace. Restoring takes the same
+ * rights as deleting, purging those of an admin; workspaces are their
+ * owner's either way.
+ */
+export const getTrashedItemForUser = async (type, id, user, { purge = false } = {}) => {
+  const item = await db[levelOf(type).collection].findOne({ _id: id, trashedAt: { $ne: null }, trashedWith: null });
+  if (!item) {
+    throw new AppError(`This ${type} is not in the trash`, 404);
+  }
+
+  if (type === 'workspace') {
+    if (idOf(item.owner) !== idOf(user._id)) {
+      throw new AppError('Only the workspace owner can restore or delete a workspace', 403);
+    }
+    return { item, workspace: item };
+  }
+
+  const workspace = await getWorkspaceForUser(await findWorkspaceId(type, item), user);
+  if (purge && !isWorkspaceAdmin(workspace, user._id)) {
+    throw new AppError('Only workspace admins can delete items for good', 403);
+  }
+  return { item, workspace };
+};
+
+/**
+ * Take an item and what went to the trash with it out of the trash. Items
+ * whose parent is still in the trash wait for it to be restored first.
+ * Returns the IDs per collection that came back along.
+ */
+export const restoreItem = async (type, item) => {
+  const { parent } = levelOf(type);
+  const parents = [
+    parent && [parent, item[parent]],
+    type === 'task' && item.parentTask && ['task', item.parentTask]
+  ].filter(Boolean);
+
+  for (const [parentType, parentId] of parents) {
+    const parentItem = await db[levelOf(parentType).collection].findById(parentId, { withTrashed: true });
+    if (parentItem?.trashedAt) {
+      throw new AppError(`Restore the ${parentType} this ${type} belongs to first`, 409);
+    }
+  }
+
+  const restored = { trashedAt: null, trashedBy: null, trashedWith: null };
+  await db[levelOf(type).collection].updateById(item._id, restored);
+
+  const contents = {};
+  for (const level of LEVELS.filter(candidate => candidate.parent)) {
+    const documents = await db[level.collection].find({ trashedWith: item._id, trashedAt: { $ne: null } }, { select: '_id' });
+    contents[level.collection] = documents.map(document => document._id);
+    if (documents.length > 0) {
+      await db[level.collection].updateMany({ _id: { $in: contents[level.collection] } }, restored);
+    }
+  }
+  return contents;
+};
+
+/**
+ * Delete a trashed item and everything under it for good
+ */
+export const purgeItem = async (type, item) => {
+  if (type === 'workspace') {
+    const spaces = await db.spaces.find({ workspace: item._id }, { select: '_id', withTrashed: true });
+    await deleteSpacesCascade(spaces.map(space => space._id));
+    for (const collection of WORKSPACE_COLLECTIONS) {
+      await db[collection].deleteMany({ workspace: item._id });
+    }
+    await db.invitations.deleteMany({ workspaceId: item._id });
+    await db.workspaces.deleteById(item._id);
+    await db.users.updateMany({ workspaces: item._id }, { $pull: { workspaces: item._id } });
+    return;
+  }
+
+  if (type === 'task') {
+    const subtasks = await db.tasks.find({ trashedWith: item._id, trashedAt: { $ne: null } }, { select: '_id' });
+    await deleteTasksCascade([item._id, ...subtasks.map(subtask => subtask._id)]);
+    return;
+  }
+
+  // Parents list their children in a field named after the children's collection
+  const { parent, collection } = levelOf(type);
+  await PURGE_CASCADES[type]([item._id]);
+  await db[levelOf(parent).collection].updateById(item[parent], { $pull: { [collection]: item._id } });
+};
+
+/**
+ * Items deleted from a workspace, newest first, each with how many items
+ * went to the trash along with it and when it will be purged
+ */
+export const listTrash = async (workspace) => {
+  const inTrash = { trashedAt: { $ne: null } };
+  const options = { populate: [{ path: 'trashedBy', select: 'name email avatar' }] };
+
+  const spaces = await db.spaces.find({ workspace: workspace._id }, { select: '_id', withTrashed: true });
+  const folders = await db.folders.find({ space: { $in: spaces.map(space => space._id) } }, { select: '_id', withTrashed: true });
+
+  const roots = await Promise.all([
+    db.spaces.find({ workspace: workspace._id, ...inTrash, trashedWith: null }, options),
+    db.folders.find({ space: { $in: spaces.map(space => space._id) }, ...inTrash, trashedWith: null }, options),
+    db.lists.find({ folder: { $in: folders.map(folder => folder._id) }, ...inTrash, trashedWith: null }, options),
+    db.tasks.find({ workspace: workspace._id, ...inTrash, trashedWith: null }, options)
+  ]);
+
+  const taken = await Promise.all(['spaces', 'folders', 'lists', 'tasks'].map(collection => db[collection].find(
+    { trashedWith: { $in: roots.flat().map(root => root._id) }, ...inTrash },
+    { select: '_id trashedWith' }
+  )));
+  const counts = new Map();
+  taken.flat().forEach(document => counts.set(idOf(document.trashedWith), (counts.get(idOf(document.trashedWith)) || 0) + 1));
+
+  return ['space', 'folder', 'list', 'task']
+    .flatMap((type, index) => roots[index].map(item => toTrashEntry(type, item, counts.get(idOf(item._id)) || 0)))
+    .sort((a, b) => new Date(b.trashedAt) - new Date(a.trashedAt));
+};
+
+/**
+ * An item of the trash as the API returns it
+ */
+export const toTrashEntry = (type, item, contents = 0) => ({
+  type,
+  _id: item._id,
+  name: type === 'task' ? item.title : item.name,
+  trashedAt: item.trashedAt,
+  trashedBy: item.trashedBy,
+  purgeAt: getPurgeDate(item.trashedAt),
+  contents
+});
+
+/**
+ * Purge what has been in the trash longer than the retention period.
+ * Higher levels go first, so their contents are purged with them.
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (const type of TRASH_TYPES) {
+    const expired = await db[levelOf(type).collection].find({ trashedAt: { $lt: cutoff }, trashedWith: null });
+    for (const item of expired) {
+      // A higher level purged just before may have taken the item along
+      if (!await db[levelOf(type).collection].findById(item._id, { withTrashed: true, select: '_id' })) continue;
+      await purgeItem(type, item);
+      purged += 1;
+    }
+  }
+
+  return purged;
+};
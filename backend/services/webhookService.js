@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import { db } from '../repositories/index.js';
+import { MAX_DELIVERY_ATTEMPTS, DELIVERY_TIMEOUT, getRetryDelay } from '../utils/webhookContract.js';
+import { notifyChat } from './slackService.js';
+
+// Deliveries being sent right now, so the retry queue does not send them twice
+const inFlight = new Map();
+
+export const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature of a payload: `sha256=` and the hex HMAC of `<timestamp>.<body>`.
+ * Receivers recompute it with the webhook secret and compare, and reject old
+ * timestamps to stop replays.
+ */
+export const signPayload = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+const send = async (delivery, webhook) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  let result;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ClickUp-Alternative-Webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+      },
+      body: delivery.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+    result = response.ok
+      ? { responseStatus: response.status, error: null }
+      : { responseStatus: response.status, error: `Receiver answered with status ${response.status}` };
+  } catch (error) {
+    result = { responseStatus: null, error: error.message };
+  }
+
+  const delivered = result.error === null;
+  const gaveUp = !delivered && attempts >= MAX_DELIVERY_ATTEMPTS;
+
+  return db.webhookDeliveries.updateById(delivery._id, {
+    ...result,
+    attempts,
+    lastAttemptAt: now,
+    status: delivered ? 'success' : gaveUp ? 'failed' : 'pending',
+    deliveredAt: delivered ? now : null,
+    nextAttemptAt: delivered || gaveUp ? null : new Date(now.getTime() + getRetryDelay(attempts))
+  });
+};
+
+/**
+ * Make one attempt at a delivery. Failed attempts are scheduled again with
+ * exponential backoff until MAX_DELIVERY_ATTEMPTS is reached.
+ */
+export const attemptDelivery = (delivery, webhook) => {
+  const key = String(delivery._id);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const attempt = send(delivery, webhook)
+    .catch(error => {
+      console.error('Error delivering webhook:', error);
+      return null;
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, attempt);
+  return attempt;
+};
+
+// Wait for every attempt that is still under way
+export const settleDeliveries = () => Promise.all(inFlight.values());
+
+/**
+ * Send an event to the active webhooks of a workspace that subscribed to it,
+ * and to its chat. Deliveries are recorded first and sent in the background,
+ * so a slow or failing receiver never holds up the change that caused the event.
+ */
+export const publishEvent = async (workspaceId, event, data) => {
+  notifyChat(workspaceId, event, data);
+
+  try {
+    const webhooks = await db.webhooks.find({ workspace: workspaceId, active: true, events: event });
+
+    return await Promise.all(webhooks.map(async (webhook) => {
+      const delivery = await db.webhookDeliveries.create({
+        webhook: webhook._id,
+        workspace: webhook.workspace,
+        event,
+        body: JSON.stringify({ event, workspace: workspaceId, createdAt: new Date(), data }),
+        // Picked up by the queue should the process stop before the first attempt
+        nextAttemptAt: new Date()
+      });
+      attemptDelivery(delivery, webhook);
+      return delivery;
+    }));
+  } catch (error) {
+    console.error('Error publishing webhook event:', error);
+    return [];
+  }
+};
+
+/**
+ * Send a recorded delivery again as a new delivery with the same payload
+ */
+export const redeliver = async (delivery, webhook) => {
+  const copy = await db.webhookDeliveries.create({
+    webhook: delivery.webhook,
+    workspace: delivery.workspace,
+    event: delivery.event,
+    body: delivery.body,
+    nextAttemptAt: new Date(),
+    redeliveryOf: delivery._id
+  });
+  return attemptDelivery(copy, webhook);
+};
+
+/**
+ * Retry the pending deliveries whose next attempt is due. Deliveries of
+ * webhooks that were deactivated or deleted in the meantime are given up.
+ */
+export const processWebhookQueue = async (now = new Date()) => {
+  const due = await db.webhookDeliveries.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now }
+  }, { sort: { nextAttemptAt: 1 }, limit: 100 });
+
+  for (const { _id: deliveryId, webhook: webhookId } of due) {
+    const webhook = await db.webhooks.findById(webhookId);
+    if (!webhook?.active) {
+      await db.webhookDeliveries.updateById(deliveryId, {
+        status: 'failed',
+        nextAttemptAt: null,
+        error: 'Webhook was deactivated'
+      });
+      continue;
+    }
+
+    // An attempt started since the queue was read may have delivered it already
+    const delivery = await db.webhookDeliveries.findById(deliveryId);
+    if (delivery?.status !== 'pending' || new Date(delivery.nextAttemptAt) > now) continue;
+    await attemptDelivery(delivery, webhook);
+  }
+  return due.length;
+};
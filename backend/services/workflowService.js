@@ -0,0 +1,309 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { idOf } from '../utils/ids.js';
+import {
+  DEFAULT_TASK_STATUSES,
+  DEFAULT_TASK_PRIORITIES,
+  STATUS_CATEGORIES,
+  toWorkflowKey
+} from '../utils/taskContract.js';
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_COLOR = '#6B7280';
+const NAME_MAX_LENGTH = 50;
+
+/**
+ * Sort stored options and fill in what older workspaces lack. Workspaces
+ * created before keys existed only stored names, so those are matched
+ * against the defaults to keep `todo`, `in-progress`, etc. stable.
+ */
+const resolveOptions = (stored = [], defaults, withCategory) => {
+  const options = stored.length > 0 ? [...stored].sort((a, b) => a.order - b.order) : defaults;
+
+  return options.map((option, order) => {
+    const fallback = defaults.find(item => item.key === option.key || item.name === option.name);
+    const resolved = {
+      key: option.key || fallback?.key || toWorkflowKey(option.name),
+      name: option.name,
+      color: option.color || fallback?.color || DEFAULT_COLOR,
+      order,
+      archived: Boolean(option.archived)
+    };
+    if (withCategory) {
+      resolved.category = option.category || fallback?.category || 'open';
+    }
+    return resolved;
+  });
+};
+
+/**
+ * Statuses and priorities of a workspace, ordered, archived ones included
+ */
+export const getWorkflow = (workspace) => ({
+  statuses: resolveOptions(workspace?.settings?.taskStatuses, DEFAULT_TASK_STATUSES, true),
+  priorities: resolveOptions(workspace?.settings?.taskPriorities, DEFAULT_TASK_PRIORITIES, false)
+});
+
+/**
+ * Workspace with its resolved workflow in `settings`, as sent to clients
+ */
+export const withWorkflow = (workspace) => {
+  if (!workspace) return workspace;
+  const { statuses, priorities } = getWorkflow(workspace);
+
+  return {
+    ...workspace,
+    settings: {
+      ...workspace.settings,
+      taskStatuses: statuses,
+      taskPriorities: priorities
+    }
+  };
+};
+
+/**
+ * Keys of the statuses in a category (`open` or `done`), archived ones included
+ */
+export const getStatusKeys = (workflow, category) => {
+  return workflow.statuses
+    .filter(status => status.category === category)
+    .map(status => status.key);
+};
+
+/**
+ * Drop tasks whose status is in the `done` category of their workspace
+ */
+export const filterOpenTasks = async (tasks) => {
+  if (tasks.length === 0) return [];
+
+  const workspaceIds = [...new Set(tasks.map(task => idOf(task.workspace)))];
+  const workspaces = await db.workspaces.find({ _id: { $in: workspaceIds } }, { select: '_id settings' });
+  const doneStatuses = new Map(workspaces.map(workspace => [
+    idOf(workspace._id),
+    getStatusKeys(getWorkflow(workspace), 'done')
+  ]));
+
+  return tasks.filter(task => !doneStatuses.get(idOf(task.workspace))?.includes(task.status));
+};
+
+/**
+ * Validate submitted options against the current ones. Options are matched
+ * by `key`; an option without a key is new. Keys follow the name, so a
+ * renamed option gets a new key and its tasks are moved over.
+ */
+const normalizeOptions = (input, current, label, withCategory) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new AppError(`At least one ${label} is required`, 400);
+  }
+
+  const currentByKey = new Map(current.map(option => [option.key, option]));
+  const referenced = new Set();
+  const renames = [];
+
+  const options = input.map((item, order) => {
+    const name = typeof item?.name === 'string' ? item.name.trim() : '';
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      throw new AppError(`Each ${label} needs a name of at most ${NAME_MAX_LENGTH} characters`, 400);
+    }
+
+    const existing = item.key ? currentByKey.get(item.key) : null;
+    if (item.key && !existing) {
+      throw new AppError(`Unknown ${label}: ${item.key}`, 400);
+    }
+    if (existing) referenced.add(existing.key);
+
+    const key = existing && existing.name === name ? existing.key : toWorkflowKey(name);
+    if (!key) {
+      throw new AppError(`Invalid ${label} name: ${name}`, 400);
+    }
+    if (existing && existing.key !== key) {
+      renames.push({ from: existing.key, to: key });
+    }
+
+    const color = item.color ?? existing?.color ?? DEFAULT_COLOR;
+    if (!COLOR_PATTERN.test(color)) {
+      throw new AppError(`Invalid color for ${label} ${name}`, 400);
+    }
+
+    const option = {
+      key,
+      name,
+      color,
+      order,
+      archived: Boolean(item.archived ?? existing?.archived)
+    };
+
+    if (withCategory) {
+      option.category = item.category ?? existing?.category ?? 'open';
+      if (!STATUS_CATEGORIES.includes(option.category)) {
+        throw new AppError(`Invalid category for ${label} ${name}`, 400);
+      }
+    }
+
+    return option;
+  });
+
+  const keys = options.map(option => option.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new AppError(`Duplicate ${label}: ${duplicate}`, 400);
+  }
+
+  const removed = current.filter(option => !referenced.has(option.key) && !keys.includes(option.key));
+
+  return { options, renames, removed };
+};
+
+// Removing an option would orphan its tasks, trashed ones included; archiving keeps them readable
+const assertNotInUse = async (workspaceId, field, removed, label) => {
+  for (const option of removed) {
+    const count = await db.tasks.count({ workspace: workspaceId, [field]: option.key }, { withTrashed: true });
+    if (count > 0) {
+      throw new AppError(`The ${label} "${option.name}" is used by ${count} task(s); archive it instead`, 400);
+    }
+  }
+};
+
+const migrateTasks = async (workspaceId, field, renames) => {
+  // Collect the tasks first so that swapped keys do not move the same tasks twice;
+  // trashed tasks move too so that they come back with a valid key
+  const moves = await Promise.all(renames.map(async ({ from, to }) => {
+    const tasks = await db.tasks.find({ workspace: workspaceId, [field]: from }, { select: '_id', withTrashed: true });
+    return { to, ids: tasks.map(task => task._id) };
+  }));
+
+  const counts = await Promise.all(moves
+    .filter(({ ids }) => ids.length > 0)
+    .map(({ to, ids }) => db.tasks.updateMany({ _id: { $in: ids } }, { [field]: to })));
+
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+// Key an option has after the renames; one lookup per key keeps swapped keys apart
+const renameKey = (renames, key) => renames.find(rename => rename.from === key)?.to ?? key;
+
+const isRenamed = (renames, key) => renames.some(rename => rename.from === key);
+
+// Point the conditions of automation rules, and for statuses their triggers and actions, at renamed keys
+const migrateAutomations = async (workspaceId, field, renames) => {
+  if (renames.length === 0) return;
+
+  const rules = await db.automations.find({ workspace: workspaceId });
+  for (const rule of rules) {
+    const keys = [
+      ...rule.conditions.filter(condition => condition.field === field).map(condition => condition.value),
+      ...(field === 'status' ? [rule.trigger.from, rule.trigger.to, ...rule.actions.map(action => action.status)] : [])
+    ];
+    if (!keys.some(key => isRenamed(renames, key))) continue;
+
+    const changes = {
+      conditions: rule.conditions.map(condition => (
+        condition.field === field ? { ...condition, value: renameKey(renames, condition.value) } : condition
+      ))
+    };
+    if (field === 'status') {
+      changes.trigger = {
+        ...rule.trigger,
+        from: renameKey(renames, rule.trigger.from),
+        to: renameKey(renames, rule.trigger.to)
+      };
+      changes.actions = rule.actions.map(action => (
+        action.status ? { ...action, status: renameKey(renames, action.status) } : action
+      ));
+    }
+    await db.automations.updateById(rule._id, changes);
+  }
+};
+
+// Point the GitHub transitions of a workspace at renamed statuses
+const migrateTransitions = async (workspaceId, renames) => {
+  if (renames.length === 0) return;
+
+  const integrations = await db.integrations.find({ workspace: workspaceId, provider: 'github' });
+  for (const integration of integrations) {
+    const transitions = integration.github?.transitions || [];
+    if (!transitions.some(transition => isRenamed(renames, transition.status))) continue;
+
+    await db.integrations.updateById(integration._id, {
+      'github.transitions': transitions.map(transition => ({ ...transition, status: renameKey(renames, transition.status) }))
+    });
+  }
+};
+
+// A saved filter with the `field` values of its conditions, at any depth, renamed
+const renameFilterKeys = (node, field, renames) => {
+  if (!node || typeof node !== 'object') return node;
+
+  const renamed = { ...node };
+  ['and', 'or'].filter(group => Array.isArray(node[group])).forEach(group => {
+    renamed[group] = node[group].map(child => renameFilterKeys(child, field, renames));
+  });
+  if (node.field === field) {
+    renamed.value = Array.isArray(node.value)
+      ? node.value.map(key => renameKey(renames, key))
+      : renameKey(renames, node.value);
+  }
+  return renamed;
+};
+
+// Point the filters of saved views at renamed keys; sorting and grouping name fields, not keys
+const migrateSavedViews = async (workspaceId, field, renames) => {
+  if (renames.length === 0) return;
+
+  const views = await db.savedViews.find({ workspace: workspaceId, filter: { $ne: null } });
+  for (const view of views) {
+    const filter = renameFilterKeys(view.filter, field, renames);
+    if (JSON.stringify(filter) !== JSON.stringify(view.filter)) {
+      await db.savedViews.updateById(view._id, { filter });
+    }
+  }
+};
+
+/**
+ * Replace the statuses of a workspace. Renamed statuses carry their tasks
+ * and the automation rules, GitHub transitions and saved views that refer
+ * to them along; there must always be an active `open` and an active `done`
+ * status.
+ */
+export const updateStatuses = async (workspace, input) => {
+  const { statuses } = getWorkflow(workspace);
+  const { options, renames, removed } = normalizeOptions(input, statuses, 'status', true);
+
+  STATUS_CATEGORIES.forEach(category => {
+    if (!options.some(option => option.category === category && !option.archived)) {
+      throw new AppError(`At least one active "${category}" status is required`, 400);
+    }
+  });
+
+  await assertNotInUse(workspace._id, 'status', removed, 'status');
+
+  const updated = await db.workspaces.updateById(workspace._id, { 'settings.taskStatuses': options });
+  const migratedTasks = await migrateTasks(workspace._id, 'status', renames);
+  await migrateAutomations(workspace._id, 'status', renames);
+  await migrateSavedViews(workspace._id, 'status', renames);
+  await migrateTransitions(workspace._id, renames);
+
+  return { workspace: withWorkflow(updated), renames, migratedTasks };
+};
+
+/**
+ * Replace the priorities of a workspace, migrating the tasks, automation
+ * conditions and saved views of renamed ones
+ */
+export const updatePriorities = async (workspace, input) => {
+  const { priorities } = getWorkflow(workspace);
+  const { options, renames, removed } = normalizeOptions(input, priorities, 'priority', false);
+
+  if (!options.some(option => !option.archived)) {
+    throw new AppError('At least one active priority is required', 400);
+  }
+
+  await assertNotInUse(workspace._id, 'priority', removed, 'priority');
+
+  const updated = await db.workspaces.updateById(workspace._id, { 'settings.taskPriorities': options });
+  const migratedTasks = await migrateTasks(workspace._id, 'priority', renames);
+  await migrateAutomations(workspace._id, 'priority', renames);
+  await migrateSavedViews(workspace._id, 'priority', renames);
+
+  return { workspace: withWorkflow(updated), renames, migratedTasks };
+};
@@ -0,0 +1,175 @@
+import { Server } from 'socket.io';
+import { socketAuthMiddleware } from './middleware/auth.js';
+import { getWorkspaceForUser, getTaskForUser } from './utils/hierarchy.js';
+import { idOf } from './utils/ids.js';
+import {
+  joinPresence,
+  leavePresence,
+  leaveAllPresence,
+  updatePresence,
+  getViewers,
+  getFieldEditor
+} from './services/presenceService.js';
+
+let io = null;
+
+const userRoom = (userId) => `user-${idOf(userId)}`;
+
+// Editable task fields a client may report; anything else is ignored
+const EDITABLE_FIELD_PATTERN = /^[a-zA-Z]{1,50}$/;
+
+// Rooms are named `workspace-<id>` or `task-<id>`
+const broadcastPresence = (room) => {
+  const [type, id] = room.split('-');
+  io.to(room).emit('presence', { type, id, viewers: getViewers(room) });
+};
+
+/**
+ * Attach Socket.IO to the HTTP server and register the connection handlers.
+ * Every connection must carry a valid JWT, and rooms are only joined after
+ * the same access checks as the REST API. Changes are only broadcast by the
+ * server once they went through the API; clients merely report presence.
+ */
+export const initializeSocket = (server, { origins = [] } = {}) => {
+  io = new Server(server, {
+    cors: {
+      origin: origins,
+      methods: ["GET", "POST", "PUT", "DELETE", "PATCH"]
+    }
+  });
+
+  io.use(socketAuthMiddleware);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log('User connected:', socket.id);
+
+    // Lets the server reach every connection of a user, e.g. to evict it
+    socket.join(userRoom(user._id));
+
+    // Task rooms remember their workspace so they can be left with it
+    socket.data.taskRooms = new Map();
+
+    // Acknowledge the outcome when the client asks for it
+    const respond = (ack, result) => {
+      if (typeof ack === 'function') ack(result);
+    };
+
+    socket.on('join-workspace', async (workspaceId, ack) => {
+      try {
+        const workspace = await getWorkspaceForUser(workspaceId, user);
+        const room = `workspace-${workspace._id}`;
+        socket.join(room);
+        joinPresence(room, socket.id, user);
+        broadcastPresence(room);
+        respond(ack, { success: true });
+      } catch (error) {
+        respond(ack, { success: false, message: error.message });
+      }
+    });
+
+    const leaveRoom = (room) => {
+      socket.leave(room);
+      if (leavePresence(room, socket.id)) broadcastPresence(room);
+    };
+
+    socket.on('leave-workspace', (workspaceId) => {
+      leaveRoom(`workspace-${workspaceId}`);
+    });
+
+    socket.on('join-task', async (taskId, ack) => {
+      try {
+        const { task, workspace } = await getTaskForUser(taskId, user);
+        const room = `task-${task._id}`;
+        socket.join(room);
+        socket.data.taskRooms.set(room, idOf(workspace._id));
+        joinPresence(room, socket.id, user);
+        broadcastPresence(room);
+        respond(ack, { success: true });
+      } catch (error) {
+        respond(ack, { success: false, message: error.message });
+      }
+    });
+
+    socket.on('leave-task', (taskId) => {
+      const room = `task-${taskId}`;
+      leaveRoom(room);
+      socket.data.taskRooms.delete(room);
+    });
+
+    // Soft lock: editing a field others are editing is allowed, but the
+    // acknowledgement names who got there first so the client can warn
+    socket.on('task-editing', ({ taskId, field } = {}, ack) => {
+      const room = `task-${taskId}`;
+      const editing = typeof field === 'string' && EDITABLE_FIELD_PATTERN.test(field) ? field : null;
+
+      if (!socket.rooms.has(room)) {
+        return respond(ack, { success: false, message: 'Join the task first' });
+      }
+
+      const lockedBy = getFieldEditor(room, editing, user._id);
+      updatePresence(room, socket.id, { editing });
+      broadcastPresence(room);
+      respond(ack, { success: true, lockedBy });
+    });
+
+    socket.on('task-typing', ({ taskId, typing } = {}) => {
+      const room = `task-${taskId}`;
+      if (socket.rooms.has(room) && updatePresence(room, socket.id, { typing: Boolean(typing) })) {
+        broadcastPresence(room);
+      }
+    });
+
+    socket.on('disconnecting', () => {
+      leaveAllPresence(socket.id).forEach(broadcastPresence);
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+
+  return io;
+};
+
+export const getIO = () => io;
+
+/**
+ * Emit an event to a room. A no-op when no socket server is running
+ * (e.g. when the app is mounted in tests).
+ */
+export const emitToRoom = (room, event, payload) => {
+  if (io) {
+    io.to(room).emit(event, payload);
+  }
+};
+
+/**
+ * Emit an event to every connection of a user
+ */
+export const emitToUser = (userId, event, payload) => {
+  emitToRoom(userRoom(userId), event, payload);
+};
+
+/**
+ * Take a user's connections out of a workspace room and its task rooms,
+ * e.g. after they were removed from the workspace
+ */
+export const leaveWorkspaceRooms = async (workspaceId, userId) => {
+  if (!io) return;
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  const left = new Set();
+  const leave = (socket, room) => {
+    socket.leave(room);
+    if (leavePresence(room, socket.id)) left.add(room);
+  };
+
+  sockets.forEach(socket => {
+    leave(socket, `workspace-${workspaceId}`);
+    socket.data.taskRooms?.forEach((taskWorkspaceId, room) => {
+      if (taskWorkspaceId === idOf(workspaceId)) leave(socket, room);
+    });
+  });
+  left.forEach(broadcastPresence);
+};
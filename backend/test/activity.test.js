@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { db } from '../repositories/index.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+describe('Task activity', () => {
+  let owner;
+  let member;
+  let outsider;
+  let workspace;
+  let list;
+  let otherList;
+  let listField;
+
+  const { request } = useTestServer();
+
+  const createTask = async (title, extra = {}) => {
+    const { body } = await request(owner, 'POST', '/tasks', { title, list: String(list._id), ...extra });
+    return body.data;
+  };
+
+  const getActivity = async (params, user = owner) => {
+    const { status, body } = await request(user, 'GET', `/activity?${new URLSearchParams(params)}`);
+    expect(status).toBe(200);
+    return body.data.activities;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    outsider = await createUser('Outsider');
+    workspace = await createWorkspace('Audit', owner, [member]);
+    ({ list } = await createList(workspace, owner, { list: 'Backlog' }));
+    otherList = await db.lists.create({ name: 'Sprint', folder: list.folder, createdBy: owner._id });
+    listField = await db.customFields.create({ name: 'Estimate', type: 'number', workspace: workspace._id, list: list._id, createdBy: owner._id });
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.activities.deleteMany({});
+  });
+
+  it('records each changed field with its old and new value', async () => {
+    const task = await createTask('Write report', { priority: 'low' });
+
+    const { status } = await request(member, 'PUT', `/tasks/${task._id}`, {
+      title: 'Write report',
+      status: 'in-progress',
+      priority: 'high',
+      dueDate: '2026-03-01T00:00:00.000Z',
+      assignees: [String(member._id)],
+      customFields: [{ field: String(listField._id), value: 3 }]
+    });
+    expect(status).toBe(200);
+
+    const activities = await getActivity({ taskId: task._id });
+    expect(activities.map(activity => [activity.action, activity.field]).sort()).toEqual([
+      ['created', null],
+      ['updated', 'assignees'],
+      ['updated', 'customFields'],
+      ['updated', 'dueDate'],
+      ['updated', 'priority'],
+      ['updated', 'status']
+    ]);
+    expect(activities[0].actor).toMatchObject({ name: 'Member' });
+
+    const byField = Object.fromEntries(activities.map(activity => [activity.field, activity]));
+    expect(byField.status).toMatchObject({ from: 'todo', to: 'in-progress', source: 'user', taskTitle: 'Write report' });
+    expect(byField.priority).toMatchObject({ from: 'low', to: 'high' });
+    expect(byField.dueDate).toMatchObject({ from: null, to: '2026-03-01T00:00:00.000Z' });
+    expect(byField.assignees).toMatchObject({ from: [], to: [{ _id: String(member._id), name: 'Member' }] });
+    expect(byField.customFields).toMatchObject({ customField: String(listField._id), label: 'Estimate', from: null, to: 3 });
+  });
+
+  it('moves tasks between lists and drops values of fields the new list lacks', async () => {
+    const task = await createTask('Plan sprint', { customFields: [{ field: String(listField._id), value: 5 }] });
+
+    const { status, body } = await request(owner, 'PUT', `/tasks/${task._id}`, { list: String(otherList._id) });
+    expect(status).toBe(200);
+    expect(body.data.list.name).toBe('Sprint');
+    expect(body.data.customFields).toEqual([]);
+
+    const activities = await getActivity({ taskId: task._id, action: 'updated' });
+    expect(activities.find(activity => activity.field === 'list')).toMatchObject({
+      from: { _id: String(list._id), name: 'Backlog' },
+      to: { _id: String(otherList._id), name: 'Sprint' }
+    });
+    expect(activities.find(activity => activity.field === 'customFields')).toMatchObject({ from: 5, to: null });
+
+    const otherWorkspace = await createWorkspace('Other', owner);
+    const { list: foreignList } = await createList(otherWorkspace, owner, { list: 'Foreign' });
+    expect((await request(owner, 'PUT', `/tasks/${task._id}`, { list: String(foreignList._id) })).status).toBe(400);
+  });
+
+  it('records board moves, automations and rescheduled dependents', async () => {
+    await db.automations.create({
+      name: 'Tag finished work',
+      workspace: workspace._id,
+      createdBy: owner._id,
+      trigger: { type: 'status-changed', to: 'done' },
+      actions: [{ type: 'add-tag', tag: 'shipped' }]
+    });
+
+    const first = await createTask('Build', { startDate: '2026-03-01', dueDate: '2026-03-03' });
+    const second = await createTask('Test', { startDate: '2026-03-04', dueDate: '2026-03-05' });
+    await request(owner, 'POST', `/tasks/${second._id}/dependencies`, { predecessor: first._id });
+    await request(owner, 'PUT', `/tasks/${first._id}`, { dueDate: '2026-03-10' });
+    await request(owner, 'PUT', `/tasks/${first._id}/move`, { status: 'done' });
+
+    const firstActivity = await getActivity({ taskId: first._id, action: 'updated' });
+    expect(firstActivity.map(activity => [activity.field, activity.source])).toEqual([
+      ['tags', 'automation'],
+      ['status', 'user'],
+      ['dueDate', 'user']
+    ]);
+
+    const secondActivity = await getActivity({ taskId: second._id, field: 'startDate,dueDate,dependencies' });
+    expect(secondActivity.map(activity => [activity.field, activity.source]).sort()).toEqual([
+      ['dependencies', 'user'],
+      ['dueDate', 'dependency'],
+      ['startDate', 'dependency']
+    ]);
+    expect(secondActivity.find(activity => activity.field === 'dependencies').to)
+      .toEqual([{ _id: String(first._id), name: 'Build', type: 'finish-to-start' }]);
+
+    await db.automations.deleteMany({});
+  });
+
+  it('keeps the history of deleted tasks in the workspace feed', async () => {
+    const task = await createTask('Short lived');
+    await createTask('Long lived');
+    await request(owner, 'DELETE', `/tasks/${task._id}`);
+
+    const deleted = await getActivity({ workspaceId: workspace._id, action: 'deleted' });
+    expect(deleted).toHaveLength(1);
+    expect(deleted[0]).toMatchObject({ task: String(task._id), taskTitle: 'Short lived' });
+
+    const all = await getActivity({ workspaceId: workspace._id, limit: '2' });
+    expect(all.map(activity => activity.action)).toEqual(['deleted', 'created']);
+    expect(await getActivity({ workspaceId: workspace._id, actor: String(member._id) })).toEqual([]);
+    expect(await getActivity({ workspaceId: workspace._id, since: new Date(Date.now() + 60000).toISOString() })).toEqual([]);
+  });
+
+  it('checks access and validates the filters', async () => {
+    const task = await createTask('Private');
+
+    expect((await request(outsider, 'GET', `/activity?workspaceId=${workspace._id}`)).status).toBe(403);
+    expect((await request(outsider, 'GET', `/activity?taskId=${task._id}`)).status).toBe(403);
+    expect((await request(owner, 'GET', '/activity')).status).toBe(400);
+    expect((await request(owner, 'GET', `/activity?workspaceId=${workspace._id}&field=rank`)).status).toBe(400);
+    expect((await request(owner, 'GET', `/activity?workspaceId=${workspace._id}&since=yesterday`)).status).toBe(400);
+  });
+});
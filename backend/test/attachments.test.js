@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import process from 'process';
+import { Buffer } from 'buffer';
+import sharp from 'sharp';
+import { db } from '../repositories/index.js';
+import { selectFileStorage } from '../fileStorage/index.js';
+import { useTestServer, createUser, createWorkspace } from './helpers.js';
+
+describe('Attachments', () => {
+  const { request } = useTestServer();
+  let uploadDir;
+  let owner;
+  let member;
+  let outsider;
+  let workspace;
+  let task;
+  let image;
+
+  const fileForm = (data, name, type, fields = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    form.append('file', new Blob([data], { type }), name);
+    return form;
+  };
+
+  const upload = (user, data, name, type, fields) => (
+    request(user, 'POST', `/tasks/${task._id}/attachments`, fileForm(data, name, type, fields))
+  );
+
+  const storedFiles = async () => {
+    const entries = await fs.readdir(uploadDir, { recursive: true, withFileTypes: true });
+    return entries.filter(entry => entry.isFile()).map(entry => entry.name).sort();
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    outsider = await createUser('Outsider');
+    workspace = await createWorkspace('Files', owner, [member]);
+
+    image = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3366ff' } }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    selectFileStorage('local', { root: uploadDir });
+    delete process.env.MAX_FILE_SIZE;
+
+    await db.tasks.deleteMany({});
+    await db.comments.deleteMany({});
+    task = await db.tasks.create({
+      title: 'Design review',
+      workspace: workspace._id,
+      list: workspace._id,
+      createdBy: owner._id
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  it('stores uploads with a thumbnail for images and serves them to members', async () => {
+    const created = await upload(member, image, 'mockup.png', 'image/png');
+
+    expect(created.status).toBe(201);
+    const attachment = created.body.data;
+    expect(attachment).toMatchObject({
+      originalName: 'mockup.png',
+      mimeType: 'image/png',
+      size: image.length,
+      version: 1,
+      comment: null,
+      uploadedBy: { name: 'Member' }
+    });
+    expect(attachment.url).toBe(`/api/tasks/${task._id}/attachments/${attachment._id}`);
+    expect(await storedFiles()).toEqual(['v1.png', 'v1.thumb.webp']);
+
+    const download = await request(owner, 'GET', `/tasks/${task._id}/attachments/${attachment._id}`);
+    expect(download.status).toBe(200);
+    expect(download.headers.get('content-type')).toBe('image/png');
+    expect(download.headers.get('content-disposition')).toBe("inline; filename*=UTF-8''mockup.png");
+    expect(download.body.equals(image)).toBe(true);
+
+    const thumbnail = await request(owner, 'GET', `/tasks/${task._id}/attachments/${attachment._id}/thumbnail`);
+    expect(thumbnail.status).toBe(200);
+    expect(await sharp(thumbnail.body).metadata()).toMatchObject({ format: 'webp', width: 320, height: 240 });
+
+    const notes = await upload(member, 'Agenda', 'notes été.txt', 'text/plain');
+    expect(notes.body.data.originalName).toBe('notes été.txt');
+    expect(notes.body.data.thumbnail).toBeNull();
+    const text = await request(member, 'GET', notes.body.data.url.replace('/api', ''));
+    expect(text.headers.get('content-disposition')).toBe("attachment; filename*=UTF-8''notes%20%C3%A9t%C3%A9.txt");
+
+    const taskView = await request(owner, 'GET', `/tasks/${task._id}`);
+    expect(taskView.body.data.attachments.map(item => item.originalName)).toEqual(['mockup.png', 'notes été.txt']);
+
+    expect((await request(outsider, 'GET', `/tasks/${task._id}/attachments/${attachment._id}`)).status).toBe(403);
+    expect((await upload(outsider, image, 'sneaky.png', 'image/png')).status).toBe(403);
+  });
+
+  it('enforces the size and type limits', async () => {
+    const html = await upload(member, '<script>alert(1)</script>', 'page.html', 'text/html');
+    expect(html.status).toBe(400);
+    expect(html.body.message).toBe('Files of type text/html cannot be attached');
+
+    process.env.MAX_FILE_SIZE = '1024';
+    const large = await upload(member, Buffer.alloc(2048), 'big.txt', 'text/plain');
+    expect(large.status).toBe(400);
+    expect(large.body.message).toBe('File size too large');
+
+    const empty = await request(member, 'POST', `/tasks/${task._id}/attachments`, new FormData());
+    expect(empty.status).toBe(400);
+
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  it('keeps earlier versions downloadable', async () => {
+    const { body: { data: first } } = await upload(member, 'draft', 'spec.md', 'text/markdown');
+    const second = await request(owner, 'POST', `/tasks/${task._id}/attachments/${first._id}/versions`, fileForm('final', 'spec-v2.md', 'text/markdown'));
+
+    expect(second.status).toBe(201);
+    expect(second.body.data).toMatchObject({ version: 2, originalName: 'spec-v2.md', uploadedBy: { name: 'Owner' } });
+    expect(second.body.data.versions).toEqual([
+      expect.objectContaining({ version: 1, originalName: 'spec.md', size: 5, uploadedBy: expect.objectContaining({ name: 'Member' }) })
+    ]);
+
+    const current = await request(member, 'GET', `/tasks/${task._id}/attachments/${first._id}`);
+    const previous = await request(member, 'GET', `/tasks/${task._id}/attachments/${first._id}?version=1`);
+    expect(current.body.toString()).toBe('final');
+    expect(previous.body.toString()).toBe('draft');
+    expect(previous.headers.get('content-disposition')).toBe("attachment; filename*=UTF-8''spec.md");
+    expect((await request(member, 'GET', `/tasks/${task._id}/attachments/${first._id}?version=7`)).status).toBe(404);
+
+    // Only the uploader or an admin deletes, and every version goes with it
+    expect((await request(member, 'DELETE', `/tasks/${task._id}/attachments/${first._id}`)).status).toBe(403);
+    expect((await request(owner, 'DELETE', `/tasks/${task._id}/attachments/${first._id}`)).status).toBe(200);
+    expect(await storedFiles()).toEqual([]);
+    expect((await db.tasks.findById(task._id)).attachments).toEqual([]);
+  });
+
+  it('attaches files to comments and removes them with the comment', async () => {
+    const comment = await db.comments.create({ task: task._id, workspace: workspace._id, user: member._id, content: 'See the screenshot' });
+
+    expect((await upload(owner, image, 'shot.png', 'image/png', { comment: String(comment._id) })).status).toBe(403);
+
+    const attached = await upload(member, image, 'shot.png', 'image/png', { comment: String(comment._id) });
+    expect(attached.status).toBe(201);
+    expect(attached.body.data.comment).toBe(String(comment._id));
+
+    const deleted = await request(member, 'DELETE', `/comments/${comment._id}`);
+    expect(deleted.status).toBe(200);
+    expect((await db.tasks.findById(task._id)).attachments).toEqual([]);
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  it('removes the files of tasks deleted for good', async () => {
+    await upload(member, image, 'mockup.png', 'image/png');
+    await upload(member, 'Agenda', 'notes.txt', 'text/plain');
+
+    expect((await request(owner, 'DELETE', `/tasks/${task._id}`)).status).toBe(200);
+    expect(await storedFiles()).not.toEqual([]);
+
+    expect((await request(owner, 'DELETE', `/trash/task/${task._id}`)).status).toBe(200);
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  it('stores files in an S3-compatible bucket', async () => {
+    // Stands in for MinIO: path-style buckets, objects kept in memory
+    const objects = new Map();
+    const bucketServer = http.createServer((req, res) => {
+      const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        if (req.method === 'PUT') {
+          objects.set(key, { data: Buffer.concat(chunks), type: req.headers['content-type'] });
+          res.writeHead(200, { ETag: '"etag"' }).end();
+        } else if (req.method === 'GET' && objects.has(key)) {
+          const object = objects.get(key);
+          res.writeHead(200, { 'Content-Type': object.type, 'Content-Length': object.data.length }).end(object.data);
+        } else if (req.method === 'DELETE') {
+          objects.delete(key);
+          res.writeHead(204).end();
+        } else {
+          res.writeHead(404, { 'Content-Type': 'application/xml' })
+            .end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code></Error>');
+        }
+      });
+    }).listen(0);
+    await new Promise(resolve => bucketServer.once('listening', resolve));
+
+    try {
+      selectFileStorage('s3', {
+        endpoint: `http://127.0.0.1:${bucketServer.address().port}`,
+        bucket: 'attachments',
+        accessKeyId: 'minio',
+        secretAccessKey: 'minio-secret'
+      });
+
+      const { body: { data: attachment } } = await upload(member, image, 'mockup.png', 'image/png');
+      const prefix = `/attachments/${workspace._id}/${task._id}/${attachment._id}`;
+      expect([...objects.keys()].sort()).toEqual([`${prefix}/v1.png`, `${prefix}/v1.thumb.webp`]);
+      expect(objects.get(`${prefix}/v1.png`).type).toBe('image/png');
+
+      const download = await request(member, 'GET', `/tasks/${task._id}/attachments/${attachment._id}`);
+      expect(download.body.equals(image)).toBe(true);
+
+      objects.delete(`${prefix}/v1.thumb.webp`);
+      expect((await request(member, 'GET', `/tasks/${task._id}/attachments/${attachment._id}/thumbnail`)).status).toBe(404);
+
+      await request(member, 'DELETE', `/tasks/${task._id}/attachments/${attachment._id}`);
+      expect(objects.size).toBe(0);
+    } finally {
+      await new Promise(resolve => bucketServer.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'http';
+import { db } from '../repositories/index.js';
+import { runAutomations, runDueDateAutomations } from '../services/automationService.js';
+import { getWorkflow, updateStatuses, updatePriorities } from '../services/workflowService.js';
+import { resetStorage, createUser, createWorkspace } from './helpers.js';
+
+const hours = (count) => count * 60 * 60 * 1000;
+
+describe('automations', () => {
+  let owner;
+  let member;
+  let workspace;
+  let hook;
+  let received = [];
+
+  beforeAll(async () => {
+    // Local webhook receiver; answers 500 or a redirect when asked to
+    hook = createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(raw) });
+        if (req.url === '/moved') res.writeHead(302, { Location: '/ok' }).end();
+        else res.writeHead(req.url === '/fail' ? 500 : 200).end();
+      });
+    });
+    await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+
+    resetStorage();
+
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    workspace = await createWorkspace('Rules', owner, [member]);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => hook.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    await db.automations.deleteMany({});
+    await db.automationRuns.deleteMany({});
+  });
+
+  const hookUrl = (path) => `http://127.0.0.1:${hook.address().port}${path}`;
+
+  const createRule = (trigger, actions, extra = {}) => db.automations.create({
+    name: `${trigger.type} rule`,
+    workspace: workspace._id,
+    trigger,
+    actions,
+    createdBy: owner._id,
+    ...extra
+  });
+
+  const createTask = (title, extra = {}) => db.tasks.create({
+    title,
+    workspace: workspace._id,
+    list: workspace._id,
+    createdBy: owner._id,
+    ...extra
+  });
+
+  it('acts when the trigger and conditions match', async () => {
+    const rule = await createRule({ type: 'status-changed', to: 'review' }, [
+      { type: 'assign', user: member._id },
+      { type: 'add-tag', tag: 'needs-review' },
+      { type: 'post-comment', content: 'Ready for review' },
+      { type: 'send-notification', message: 'Please review' }
+    ], { conditions: [{ field: 'priority', operator: 'is', value: 'high' }] });
+    const low = await createTask('Low', { status: 'review', priority: 'low' });
+    const high = await createTask('High', { status: 'review', priority: 'high' });
+
+    expect(await runAutomations('status-changed', { task: low, workspace, event: { from: 'todo', to: 'review' } })).toEqual([]);
+    expect(await runAutomations('status-changed', { task: high, workspace, event: { from: 'todo', to: 'done' } })).toEqual([]);
+
+    const [run] = await runAutomations('status-changed', { task: high, workspace, event: { from: 'todo', to: 'review' } });
+    expect(run).toMatchObject({ status: 'success', trigger: 'status-changed', depth: 0 });
+    expect(run.actions.map(action => action.status)).toEqual(['success', 'success', 'success', 'success']);
+
+    const updated = await db.tasks.findById(high._id);
+    expect(updated.assignees.map(assignee => String(assignee.user))).toEqual([String(member._id)]);
+    expect(updated.tags).toEqual(['needs-review']);
+    expect(await db.comments.count({ task: high._id, content: 'Ready for review' })).toBe(1);
+    expect(await db.notifications.count({ recipient: member._id, type: 'automation' })).toBe(1);
+    expect((await db.automations.findById(rule._id)).runCount).toBe(1);
+
+    // Running again has nothing left to change
+    const [again] = await runAutomations('status-changed', { task: updated, workspace, event: { from: 'todo', to: 'review' } });
+    expect(again.actions.slice(0, 2).map(action => action.status)).toEqual(['skipped', 'skipped']);
+  });
+
+  it('stops rules from triggering each other forever', async () => {
+    const forth = await createRule({ type: 'status-changed', to: 'review' }, [{ type: 'change-status', status: 'in-progress' }]);
+    await createRule({ type: 'status-changed', to: 'in-progress' }, [{ type: 'change-status', status: 'review' }]);
+    const task = await createTask('Ping pong', { status: 'review' });
+
+    await runAutomations('status-changed', { task, workspace, event: { from: 'todo', to: 'review' } });
+
+    const runs = await db.automationRuns.find({}, { sort: { createdAt: 1 } });
+    expect(runs.map(run => [run.status, run.depth])).toEqual([['success', 0], ['success', 1], ['skipped', 2]]);
+    expect(runs[2].automation).toEqual(forth._id);
+    expect(runs[2].reason).toMatch(/Loop/);
+    expect((await db.tasks.findById(task._id)).status).toBe('review');
+  });
+
+  it('only logs what dry-run rules would do', async () => {
+    await createRule({ type: 'task-created' }, [
+      { type: 'create-subtask', title: 'Write tests' },
+      { type: 'change-status', status: 'done' }
+    ], { dryRun: true });
+    const task = await createTask('Feature');
+
+    const [run] = await runAutomations('task-created', { task, workspace });
+    expect(run).toMatchObject({ status: 'success', dryRun: true });
+    expect(run.actions.map(action => action.detail)).toEqual(['Create subtask "Write tests"', 'Move to Done']);
+    expect(await db.tasks.count({ parentTask: task._id })).toBe(0);
+    expect((await db.tasks.findById(task._id)).status).toBe('todo');
+  });
+
+  it('calls webhooks and logs failures', async () => {
+    await createRule({ type: 'comment-added' }, [
+      { type: 'call-webhook', url: hookUrl('/ok') },
+      { type: 'call-webhook', url: hookUrl('/fail') },
+      { type: 'call-webhook', url: hookUrl('/moved') }
+    ]);
+    const task = await createTask('Hooked');
+
+    const [run] = await runAutomations('comment-added', { task, workspace });
+    // The redirect is not followed
+    expect(received.map(request => request.path)).toEqual(['/ok', '/fail', '/moved']);
+    expect(received[0].body).toMatchObject({ trigger: 'comment-added', task: { title: 'Hooked' } });
+    expect(run.status).toBe('failed');
+    expect(run.actions.map(action => action.status)).toEqual(['success', 'failed', 'failed']);
+    expect(run.actions[1].detail).toMatch(/500/);
+    expect(run.actions[2].detail).toMatch(/302/);
+  });
+
+  it('fires once per passed due date of open tasks', async () => {
+    const rule = await createRule({ type: 'due-date-passed' }, [{ type: 'add-tag', tag: 'overdue' }]);
+    const now = new Date(new Date(rule.createdAt).getTime() + hours(5));
+    const late = await createTask('Late', { dueDate: new Date(now.getTime() - hours(1)) });
+    await createTask('Not yet', { dueDate: new Date(now.getTime() + hours(1)) });
+    await createTask('Shipped', { dueDate: new Date(now.getTime() - hours(1)), status: 'done' });
+    await createTask('Before the rule', { dueDate: new Date(new Date(rule.createdAt).getTime() - hours(1)) });
+
+    const runs = await runDueDateAutomations(now);
+    expect(runs).toHaveLength(1);
+    expect(runs[0].task).toEqual(late._id);
+    expect((await db.tasks.findById(late._id)).tags).toEqual(['overdue']);
+    expect(await runDueDateAutomations(new Date(now.getTime() + hours(0.5)))).toEqual([]);
+  });
+
+  it('follows renamed statuses and priorities', async () => {
+    const rule = await createRule({ type: 'status-changed', from: 'review', to: 'done' }, [
+      { type: 'change-status', status: 'review' },
+      { type: 'add-tag', tag: 'shipped' }
+    ], {
+      conditions: [
+        { field: 'status', operator: 'is', value: 'review' },
+        { field: 'priority', operator: 'is-not', value: 'high' },
+        { field: 'title', operator: 'contains', value: 'review' }
+      ]
+    });
+
+    const { statuses, priorities } = getWorkflow(workspace);
+    await updateStatuses(workspace, statuses.map(status => (
+      status.key === 'review' ? { ...status, name: 'QA' } : status
+    )));
+    const renamed = await updatePriorities(workspace, priorities.map(priority => (
+      priority.key === 'high' ? { ...priority, name: 'Important' } : priority
+    )));
+    workspace = renamed.workspace;
+
+    const migrated = await db.automations.findById(rule._id);
+    expect(migrated.trigger).toMatchObject({ type: 'status-changed', from: 'qa', to: 'done' });
+    expect(migrated.conditions.map(condition => condition.value)).toEqual(['qa', 'important', 'review']);
+    expect(migrated.actions.map(action => action.status)).toEqual(['qa', undefined]);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { io as connect } from 'socket.io-client';
+import { db } from '../repositories/index.js';
+import generateToken from '../utils/generateToken.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+describe('Bulk task operations', () => {
+  let client;
+  let owner;
+  let member;
+  let outsider;
+  let workspace;
+  let list;
+  let otherList;
+  let foreignWorkspace;
+  let foreignList;
+
+  const api = useTestServer({ socket: true });
+  const { request } = api;
+
+  const bulk = (body, user = owner) => request(user, 'POST', '/tasks/bulk', body);
+
+  const createTask = async (title, extra = {}) => {
+    const { body } = await request(owner, 'POST', '/tasks', { title, list: String(list._id), ...extra });
+    return body.data;
+  };
+
+  // Resolves with the payloads of an event received while the action runs
+  const collect = (event, action) => new Promise(resolve => {
+    const received = [];
+    const listener = payload => received.push(payload);
+    client.on(event, listener);
+    Promise.resolve(action()).then(result => setTimeout(() => {
+      client.off(event, listener);
+      resolve({ result, received });
+    }, 100));
+  });
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    outsider = await createUser('Outsider');
+    workspace = await createWorkspace('Batch', owner, [member]);
+    ({ list } = await createList(workspace, owner, { list: 'Backlog' }));
+    otherList = await db.lists.create({ name: 'Sprint', folder: list.folder, createdBy: owner._id });
+
+    foreignWorkspace = await createWorkspace('Foreign', outsider);
+    ({ list: foreignList } = await createList(foreignWorkspace, outsider, { list: 'Theirs' }));
+
+    client = connect(api.baseUrl, { auth: { token: generateToken(member._id) }, transports: ['websocket'], reconnection: false });
+    await new Promise(resolve => client.once('connect', resolve));
+    await new Promise(resolve => client.emit('join-workspace', String(workspace._id), resolve));
+  });
+
+  afterAll(async () => {
+    client.close();
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.activities.deleteMany({});
+  });
+
+  it('changes status, priority, assignees and tags of many tasks in one batch', async () => {
+    const tasks = await Promise.all(['One', 'Two', 'Three'].map(title => createTask(title)));
+    const taskIds = tasks.map(task => task._id);
+
+    const { result, received } = await collect('tasks-bulk-updated', () => bulk({ taskIds, operation: 'status', status: 'done' }));
+    expect(result.status).toBe(200);
+    expect(result.body.data.results).toEqual(taskIds.map(taskId => ({ taskId, success: true, changed: true })));
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ operation: 'status', deletedTaskIds: [] });
+    expect(received[0].tasks.map(task => task.status)).toEqual(['done', 'done', 'done']);
+
+    // Tasks already as asked are left alone
+    const again = await bulk({ taskIds, operation: 'status', status: 'done' });
+    expect(again.body.data.results.every(item => item.changed === false)).toBe(true);
+
+    await bulk({ taskIds: taskIds.slice(0, 2), operation: 'priority', priority: 'urgent' });
+    await bulk({ taskIds, operation: 'assign', assignee: String(member._id) });
+    await bulk({ taskIds, operation: 'add-tag', tag: ' release ' });
+    await bulk({ taskIds: [taskIds[0]], operation: 'remove-tag', tag: 'release' });
+
+    const updated = await Promise.all(taskIds.map(taskId => db.tasks.findById(taskId)));
+    expect(updated.map(task => task.priority)).toEqual(['urgent', 'urgent', 'medium']);
+    expect(updated.every(task => task.assignees.map(entry => String(entry.user)).includes(String(member._id)))).toBe(true);
+    expect(updated.map(task => task.tags)).toEqual([[], ['release'], ['release']]);
+    expect(await db.notifications.count({ recipient: member._id, type: 'assignment' })).toBe(3);
+    expect(await db.activities.count({ task: taskIds[0], field: 'status' })).toBe(1);
+
+    await bulk({ taskIds, operation: 'unassign', assignee: String(member._id) });
+    expect((await db.tasks.findById(taskIds[1])).assignees).toEqual([]);
+  });
+
+  it('changes nothing when one of the tasks cannot be changed', async () => {
+    const task = await createTask('Mine');
+    const foreign = await db.tasks.create({
+      title: 'Theirs',
+      workspace: foreignWorkspace._id,
+      list: foreignList._id,
+      createdBy: outsider._id
+    });
+
+    const denied = await bulk({ taskIds: [task._id, String(foreign._id)], operation: 'priority', priority: 'high' });
+    expect(denied.status).toBe(400);
+    expect(denied.body.message).toBe('No tasks were changed: 1 of 2 cannot be');
+    expect(denied.body.data.results).toEqual([
+      { taskId: task._id, success: true, changed: false },
+      { taskId: String(foreign._id), success: false, error: 'Task not found' }
+    ]);
+    expect((await db.tasks.findById(task._id)).priority).toBe('medium');
+
+    const invalid = await bulk({ taskIds: [task._id], operation: 'status', status: 'shipped' });
+    expect(invalid.body.data.results[0]).toMatchObject({ success: false, error: 'Invalid status: shipped' });
+
+    const stranger = await bulk({ taskIds: [task._id], operation: 'assign', assignee: String(outsider._id) });
+    expect(stranger.body.data.results[0].error).toBe('The assignee is not a member of this workspace');
+
+    expect((await bulk({ taskIds: [task._id], operation: 'move', list: String(foreignList._id) })).status).toBe(403);
+    expect((await bulk({ taskIds: [task._id], operation: 'rename' })).status).toBe(400);
+    expect((await bulk({ taskIds: [task._id], operation: 'shift-dates', days: 0 })).status).toBe(400);
+    expect((await bulk({ taskIds: [], operation: 'delete' })).status).toBe(400);
+
+    const malformed = await bulk({ taskIds: [task._id, 'not-an-id'], operation: 'delete' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.errors).toEqual([expect.objectContaining({ path: 'taskIds[1]', msg: 'Invalid task ID' })]);
+    expect(await db.tasks.count({})).toBe(2);
+  });
+
+  it('reports the tasks that fail while the others are changed', async () => {
+    const tasks = await Promise.all(['One', 'Two', 'Three'].map(title => createTask(title)));
+    const taskIds = tasks.map(task => task._id);
+    const { updateById } = db.tasks;
+    const failing = vi.spyOn(db.tasks, 'updateById').mockImplementation(function (id, ...rest) {
+      if (String(id) === taskIds[1]) return Promise.reject(new Error('Write conflict'));
+      return updateById.call(this, id, ...rest);
+    });
+
+    try {
+      const partial = await bulk({ taskIds, operation: 'priority', priority: 'high' });
+      expect(partial.status).toBe(500);
+      expect(partial.body.message).toBe('1 of 3 tasks failed to change; the others were changed');
+      expect(partial.body.data.results).toEqual([
+        { taskId: taskIds[0], success: true, changed: true },
+        { taskId: taskIds[1], success: false, error: 'The task could not be changed' },
+        { taskId: taskIds[2], success: true, changed: true }
+      ]);
+      expect(partial.body.data.tasks.map(task => task.title)).toEqual(['One', 'Three']);
+    } finally {
+      failing.mockRestore();
+    }
+
+    const updated = await Promise.all(taskIds.map(taskId => db.tasks.findById(taskId)));
+    expect(updated.map(task => task.priority)).toEqual(['high', 'medium', 'high']);
+  });
+
+  it('shifts dates, pushing dependents along once', async () => {
+    const first = await createTask('Design', { startDate: '2030-01-01', dueDate: '2030-01-03' });
+    const second = await createTask('Build', { startDate: '2030-01-04', dueDate: '2030-01-06' });
+    const undated = await createTask('Someday');
+    await request(owner, 'POST', `/tasks/${second._id}/dependencies`, { predecessor: first._id });
+
+    const shifted = await bulk({ taskIds: [first._id, undated._id], operation: 'shift-dates', days: 7 });
+    expect(shifted.body.data.results.map(item => item.changed)).toEqual([true, false]);
+
+    const [movedFirst, movedSecond] = await Promise.all([db.tasks.findById(first._id), db.tasks.findById(second._id)]);
+    expect(movedFirst.startDate.toISOString()).toBe('2030-01-08T00:00:00.000Z');
+    expect(movedFirst.dueDate.toISOString()).toBe('2030-01-10T00:00:00.000Z');
+    expect(movedSecond.startDate.toISOString()).toBe('2030-01-11T00:00:00.000Z');
+    expect(shifted.body.data.tasks.map(task => task.title).sort()).toEqual(['Build', 'Design']);
+
+    // Shifting both together keeps them apart as they were
+    await bulk({ taskIds: [first._id, second._id], operation: 'shift-dates', days: -2 });
+    expect((await db.tasks.findById(second._id)).startDate.toISOString()).toBe('2030-01-09T00:00:00.000Z');
+  });
+
+  it('moves tasks to another list and deletes them with their subtasks', async () => {
+    const parent = await createTask('Parent');
+    const child = await createTask('Child', { parentTask: parent._id });
+    const loner = await createTask('Loner');
+
+    const moved = await bulk({ taskIds: [parent._id, loner._id], operation: 'move', list: String(otherList._id) });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.tasks.map(task => task.list.name)).toEqual(['Sprint', 'Sprint']);
+
+    const { result, received } = await collect('tasks-bulk-updated', () => bulk({
+      taskIds: [child._id, parent._id, loner._id],
+      operation: 'delete'
+    }, member));
+    expect(result.status).toBe(200);
+    expect(result.body.message).toBe('3 tasks moved to trash');
+    expect(result.body.data.trashed).toEqual([parent._id, loner._id]);
+    expect(received).toHaveLength(1);
+    expect(received[0].deletedTaskIds.sort()).toEqual([child._id, parent._id, loner._id].sort());
+    expect(await db.tasks.count({})).toBe(0);
+
+    // The parent comes back with its subtask
+    expect((await request(member, 'POST', `/trash/task/${parent._id}/restore`)).status).toBe(200);
+    expect((await db.tasks.find({})).map(task => task.title).sort()).toEqual(['Child', 'Parent']);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { findMentions } from '../services/commentService.js';
+import { isEmoji } from '../utils/commentContract.js';
+
+const users = [
+  { _id: 'jane', name: 'Jane Doe', email: 'jane@example.com' },
+  { _id: 'jan', name: 'Jan', email: 'jan@example.com' },
+  { _id: 'bob', name: 'Bob', email: 'bob@example.com' }
+];
+
+describe('comment mentions', () => {
+  it.each([
+    ['a full name', 'Ping @jane doe, please', ['jane']],
+    ['an email address', 'cc @bob@example.com', ['bob']],
+    ['several people', '@Jan and @Bob: done?', ['jan', 'bob']],
+    ['markdown around a name', '**@Bob**', ['bob']]
+  ])('finds %s', (_label, content, expected) => {
+    expect(findMentions(content, users)).toEqual(expected);
+  });
+
+  it('ignores partial names and plain emails', () => {
+    expect(findMentions('@Janet, @Bobby and jane@example.com', users)).toEqual([]);
+    expect(findMentions('@jan@example.com', users)).toEqual(['jan']);
+  });
+
+  it('accepts only emoji reactions', () => {
+    expect(isEmoji('👍')).toBe(true);
+    expect(isEmoji('❤️')).toBe(true);
+    expect(isEmoji('+1')).toBe(false);
+    expect(isEmoji('🎉'.repeat(10))).toBe(false);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { db } from '../repositories/index.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+describe('Custom fields', () => {
+  let owner;
+  let member;
+  let outsider;
+  let workspace;
+  let list;
+  let otherList;
+
+  const { request } = useTestServer();
+
+  const createField = async (data) => {
+    const { status, body } = await request(owner, 'POST', '/custom-fields', { workspace: String(workspace._id), ...data });
+    expect(status).toBe(201);
+    return body.data;
+  };
+
+  const createTask = async (title, customFields = [], extra = {}) => {
+    const { status, body } = await request(owner, 'POST', '/tasks', { title, list: String(list._id), customFields, ...extra });
+    expect(status).toBe(201);
+    return body.data;
+  };
+
+  const valueOf = (task, field) => task.customFields.find(entry => entry.field === field._id)?.value;
+
+  const listTitles = async (query) => {
+    const { status, body } = await request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&${query}`);
+    expect(status).toBe(200);
+    return body.data.tasks.map(task => task.title);
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    outsider = await createUser('Outsider');
+    workspace = await createWorkspace('Fields', owner, [member]);
+    ({ list } = await createList(workspace, owner));
+    otherList = await db.lists.create({ name: 'Other list', folder: list.folder, createdBy: owner._id });
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.customFields.deleteMany({});
+  });
+
+  it('lets admins define fields for the workspace or one list', async () => {
+    await createField({ name: 'Points', type: 'number' });
+    const customer = await createField({ name: 'Customer', type: 'text', list: String(list._id) });
+
+    const forbidden = await request(member, 'POST', '/custom-fields', { workspace: String(workspace._id), name: 'Mine', type: 'text' });
+    expect(forbidden.status).toBe(403);
+    expect((await request(outsider, 'GET', `/custom-fields?workspaceId=${workspace._id}`)).status).toBe(403);
+
+    const duplicate = await request(owner, 'POST', '/custom-fields', { workspace: String(workspace._id), name: 'points', type: 'text' });
+    expect(duplicate.status).toBe(400);
+    const noOptions = await request(owner, 'POST', '/custom-fields', { workspace: String(workspace._id), name: 'Stage', type: 'dropdown' });
+    expect(noOptions.body.message).toBe('Dropdown fields need at least one option');
+    const badType = await request(owner, 'POST', '/custom-fields', { workspace: String(workspace._id), name: 'Odd', type: 'color' });
+    expect(badType.status).toBe(400);
+
+    const { body: { data: forList } } = await request(member, 'GET', `/custom-fields?workspaceId=${workspace._id}&listId=${list._id}`);
+    expect(forList.map(field => field.name)).toEqual(['Points', 'Customer']);
+    const { body: { data: forOther } } = await request(member, 'GET', `/custom-fields?workspaceId=${workspace._id}&listId=${otherList._id}`);
+    expect(forOther.map(field => field.name)).toEqual(['Points']);
+
+    const renamed = await request(owner, 'PUT', `/custom-fields/${customer._id}`, { name: 'Client', type: 'number' });
+    expect(renamed.body.data).toMatchObject({ name: 'Client', type: 'text' });
+  });
+
+  it('validates task values against the field type', async () => {
+    const points = await createField({ name: 'Points', type: 'number' });
+    const budget = await createField({ name: 'Budget', type: 'currency', currency: 'EUR' });
+    const stage = await createField({ name: 'Stage', type: 'dropdown', options: [{ name: 'Lead' }, { name: 'Won' }] });
+    const accountOwner = await createField({ name: 'Account owner', type: 'person' });
+    const site = await createField({ name: 'Site', type: 'url' });
+    const scoped = await createField({ name: 'Scoped', type: 'text', list: String(otherList._id) });
+    const [lead] = stage.options;
+
+    const task = await createTask('Deal', [
+      { field: points._id, value: '5' },
+      { field: budget._id, value: 1999.999 },
+      { field: stage._id, value: lead._id },
+      { field: accountOwner._id, value: String(member._id) }
+    ]);
+    expect(valueOf(task, points)).toBe(5);
+    expect(valueOf(task, budget)).toBe(2000);
+    expect(valueOf(task, stage)).toBe(lead._id);
+    expect(valueOf(task, accountOwner)).toBe(String(member._id));
+
+    const rejected = [
+      [{ field: points._id, value: 'many' }, 'Invalid value for Points: expected a number'],
+      [{ field: stage._id, value: 'Lost' }, 'Invalid value for Stage: expected one of its options'],
+      [{ field: accountOwner._id, value: String(outsider._id) }, 'Invalid value for Account owner: expected a member of the workspace'],
+      [{ field: site._id, value: 'javascript:alert(1)' }, 'Invalid value for Site: expected an http(s) URL'],
+      [{ field: scoped._id, value: 'Nope' }, 'Custom field not found for this list']
+    ];
+    for (const [entry, message] of rejected) {
+      const { status, body } = await request(owner, 'PUT', `/tasks/${task._id}`, { customFields: [entry] });
+      expect(status).toBe(400);
+      expect(body.message).toBe(message);
+    }
+
+    const { body: { data: updated } } = await request(owner, 'PUT', `/tasks/${task._id}`, {
+      customFields: [{ field: points._id, value: null }, { field: site._id, value: 'https://example.com' }]
+    });
+    expect(valueOf(updated, points)).toBeUndefined();
+    expect(valueOf(updated, budget)).toBe(2000);
+    expect(valueOf(updated, site)).toBe('https://example.com/');
+  });
+
+  it('calculates formula fields from number and currency fields', async () => {
+    const hours = await createField({ name: 'Hours', type: 'number' });
+    const rate = await createField({ name: 'Rate', type: 'currency' });
+    const total = await createField({ name: 'Total', type: 'formula', formula: '{Hours} * {Rate} + 10' });
+
+    const invalid = await request(owner, 'POST', '/custom-fields', {
+      workspace: String(workspace._id), name: 'Broken', type: 'formula', formula: '{Hours} * ('
+    });
+    expect(invalid.body.message).toBe('Formula ends unexpectedly');
+    const unknown = await request(owner, 'POST', '/custom-fields', {
+      workspace: String(workspace._id), name: 'Unknown', type: 'formula', formula: '{Missing} + 1'
+    });
+    expect(unknown.status).toBe(400);
+
+    const task = await createTask('Consulting', [{ field: hours._id, value: 3 }, { field: rate._id, value: 50 }]);
+    const { body: { data: read } } = await request(owner, 'GET', `/tasks/${task._id}`);
+    expect(valueOf(read, total)).toBe(160);
+    expect((await db.tasks.findById(task._id)).customFields).toHaveLength(2);
+
+    const setFormula = await request(owner, 'PUT', `/tasks/${task._id}`, { customFields: [{ field: total._id, value: 1 }] });
+    expect(setFormula.body.message).toBe('Total is calculated and cannot be set');
+
+    await request(owner, 'PUT', `/custom-fields/${hours._id}`, { name: 'Time' });
+    expect((await db.customFields.findById(total._id)).formula).toBe('{Time} * {Rate} + 10');
+    const { body: { data: reread } } = await request(owner, 'GET', `/tasks/${task._id}`);
+    expect(valueOf(reread, total)).toBe(160);
+  });
+
+  it('filters and sorts tasks by custom fields', async () => {
+    const points = await createField({ name: 'Points', type: 'number' });
+    const customer = await createField({ name: 'Customer', type: 'text' });
+    const tags = await createField({ name: 'Tags', type: 'labels', options: [{ name: 'Bug' }, { name: 'UI' }] });
+    const urgent = await createField({ name: 'Urgent', type: 'checkbox' });
+    const double = await createField({ name: 'Double', type: 'formula', formula: '{Points} * 2' });
+    const [bug, ui] = tags.options;
+
+    await createTask('Alpha', [
+      { field: points._id, value: 3 },
+      { field: customer._id, value: 'Acme Corp' },
+      { field: tags._id, value: [bug._id, ui._id] }
+    ]);
+    await createTask('Beta', [
+      { field: points._id, value: 8 },
+      { field: tags._id, value: [ui._id] },
+      { field: urgent._id, value: true }
+    ]);
+    await createTask('Gamma', [{ field: customer._id, value: 'Globex (EU)' }]);
+
+    expect(await listTitles(`cf[${points._id}][gte]=3&cf[${points._id}][lt]=8`)).toEqual(['Alpha']);
+    expect(await listTitles(`cf[${customer._id}]=${encodeURIComponent('(eu)')}`)).toEqual(['Gamma']);
+    expect(await listTitles(`cf[${tags._id}]=${bug._id}`)).toEqual(['Alpha']);
+    expect(await listTitles(`cf[${urgent._id}]=false&sortBy=title&sortOrder=asc`)).toEqual(['Alpha', 'Gamma']);
+    expect(await listTitles(`cf[${points._id}][set]=false`)).toEqual(['Gamma']);
+    expect(await listTitles(`cf[${double._id}][gt]=10`)).toEqual(['Beta']);
+
+    expect(await listTitles(`sortBy=cf.${points._id}&sortOrder=desc`)).toEqual(['Beta', 'Alpha', 'Gamma']);
+    expect(await listTitles(`sortBy=cf.${tags._id}&sortOrder=asc`)).toEqual(['Alpha', 'Beta', 'Gamma']);
+    const { body: { data: page } } = await request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&sortBy=cf.${double._id}&sortOrder=asc&limit=1&page=2`);
+    expect(page.tasks.map(task => task.title)).toEqual(['Beta']);
+    expect(page.pagination.total).toBe(3);
+
+    const badRange = await request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&cf[${customer._id}][gt]=a`);
+    expect(badRange.body.message).toBe('Customer cannot be compared by range');
+    const unknown = await request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&cf[${workspace._id}]=1`);
+    expect(unknown.body.message).toBe(`Unknown custom field: ${workspace._id}`);
+  });
+
+  it('removes values when a field or one of its options is deleted', async () => {
+    const stage = await createField({ name: 'Stage', type: 'dropdown', options: [{ name: 'Lead' }, { name: 'Won' }] });
+    const points = await createField({ name: 'Points', type: 'number' });
+    const [lead, won] = stage.options;
+    const first = await createTask('First', [{ field: stage._id, value: lead._id }, { field: points._id, value: 1 }]);
+    const second = await createTask('Second', [{ field: stage._id, value: won._id }]);
+
+    const updated = await request(owner, 'PUT', `/custom-fields/${stage._id}`, { options: [{ _id: won._id, name: 'Closed' }] });
+    expect(updated.body.data.options.map(option => option.name)).toEqual(['Closed']);
+    expect((await db.tasks.findById(first._id)).customFields.map(entry => String(entry.field))).toEqual([points._id]);
+    expect((await db.tasks.findById(second._id)).customFields[0].value).toBe(won._id);
+
+    expect((await request(member, 'DELETE', `/custom-fields/${points._id}`)).status).toBe(403);
+    expect((await request(owner, 'DELETE', `/custom-fields/${points._id}`)).status).toBe(200);
+    expect((await db.tasks.findById(first._id)).customFields).toEqual([]);
+  });
+});
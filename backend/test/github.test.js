@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import crypto from 'crypto';
+import { db } from '../repositories/index.js';
+import { parseTaskReferences } from '../utils/taskReferences.js';
+import { getWorkflow } from '../services/workflowService.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+// Payloads as recorded from GitHub, trimmed to the fields that matter
+const fixture = (name) => readFileSync(new URL(`./fixtures/github/${name}.json`, import.meta.url), 'utf8');
+
+describe('GitHub integration', () => {
+  const api = useTestServer();
+  const { request } = api;
+  let owner;
+  let member;
+  let workspace;
+  let integration;
+  let login;
+  let reset;
+
+  const sign = (body, secret = integration.secret) => (
+    `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+  );
+
+  const deliver = async (event, body, { signature = sign(body), integrationId = integration._id } = {}) => {
+    const response = await fetch(`${api.baseUrl}/api/hooks/github/${integrationId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': event,
+        'X-GitHub-Delivery': crypto.randomUUID(),
+        'X-Hub-Signature-256': signature
+      },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    workspace = await createWorkspace('Octo', owner, [member]);
+  });
+
+  beforeEach(async () => {
+    await db.integrations.deleteMany({});
+    await db.githubLinks.deleteMany({});
+    await db.tasks.deleteMany({});
+    await db.automations.deleteMany({});
+
+    integration = await db.integrations.create({
+      workspace: workspace._id,
+      provider: 'github',
+      secret: 'topsecret',
+      github: {
+        transitions: [
+          { on: 'pull-request-opened', status: 'review' },
+          { on: 'pull-request-merged', status: 'done' }
+        ]
+      },
+      createdBy: owner._id
+    });
+
+    const createTask = (title, number) => db.tasks.create({
+      title,
+      number,
+      workspace: workspace._id,
+      list: workspace._id,
+      assignees: [{ user: member._id }],
+      createdBy: member._id
+    });
+    login = await createTask('Login form', 1);
+    reset = await createTask('Password reset', 2);
+  });
+
+  it('finds task numbers and ids in branch names and messages', () => {
+    const id = '65f1c2d3e4f5a6b7c8d9e0f1';
+    expect(parseTaskReferences([
+      'feature/CU-12-login',
+      `Fixes cu-3 and CU-12, see ${id}`,
+      'Reverts b1a3c7f2e4d5a6b7c8d9e0f1a2b3c4d5e6f7a8b9',
+      'CU-7x is not a reference',
+      null
+    ])).toEqual({ numbers: [12, 3], ids: [id] });
+  });
+
+  it('only accepts events signed with the integration secret', async () => {
+    const body = fixture('ping');
+
+    expect((await deliver('ping', body, { signature: sign(body, 'wrong') })).status).toBe(401);
+    expect((await deliver('ping', body, { signature: '' })).status).toBe(401);
+    expect((await deliver('ping', body, { integrationId: workspace._id })).status).toBe(404);
+
+    const ping = await deliver('ping', body);
+    expect(ping.status).toBe(200);
+    expect(ping.body.message).toBe('Pong');
+  });
+
+  it('links pushed commits to the tasks they refer to, once', async () => {
+    const body = fixture('push');
+
+    const first = await deliver('push', body);
+    expect(first.status).toBe(200);
+    // Both commits are on the CU-1 branch, the second one also mentions CU-2
+    expect(first.body.data).toEqual({ links: 3, moved: [] });
+    await deliver('push', body);
+
+    const loginLinks = await db.githubLinks.find({ task: login._id }, { sort: { createdAt: 1 } });
+    expect(loginLinks.map(link => [link.kind, link.title])).toEqual([
+      ['commit', 'Add the login form'],
+      ['commit', 'Fix the reset link, also closes cu-2']
+    ]);
+    expect(loginLinks[0]).toMatchObject({
+      repository: 'octo-org/app',
+      branch: 'feature/CU-1-login-form',
+      author: 'monalisa',
+      url: 'https://github.com/octo-org/app/commit/b1a3c7f2e4d5a6b7c8d9e0f1a2b3c4d5e6f7a8b9'
+    });
+    expect(await db.githubLinks.count({ task: reset._id })).toBe(1);
+    expect((await db.tasks.findById(login._id)).status).toBe('todo');
+  });
+
+  it('moves tasks along as their pull request is opened and merged', async () => {
+    const opened = await deliver('pull_request', fixture('pull_request.opened'));
+    expect(opened.body.data.moved).toEqual([{ task: String(login._id), status: 'review' }]);
+
+    let task = await db.tasks.findById(login._id);
+    expect(task.status).toBe('review');
+    expect(task.updatedBy).toEqual(owner._id);
+    expect(await db.notifications.count({ recipient: member._id, type: 'status-change' })).toBe(1);
+
+    await deliver('pull_request', fixture('pull_request.closed'));
+    task = await db.tasks.findById(login._id);
+    expect(task.status).toBe('done');
+
+    const links = await db.githubLinks.find({ task: login._id });
+    expect(links).toHaveLength(1);
+    expect(links[0]).toMatchObject({ kind: 'pull-request', ref: '42', state: 'merged', title: 'Login form' });
+    expect((await db.tasks.findById(reset._id)).status).toBe('todo');
+  });
+
+  it('reports tasks as the automations their transition fires left them', async () => {
+    await db.automations.create({
+      name: 'Back to work',
+      workspace: workspace._id,
+      trigger: { type: 'status-changed', to: 'review' },
+      actions: [{ type: 'change-status', status: 'in-progress' }],
+      createdBy: owner._id
+    });
+
+    const opened = await deliver('pull_request', fixture('pull_request.opened'));
+    expect(opened.body.data.moved).toEqual([{ task: String(login._id), status: 'in-progress' }]);
+    expect((await db.tasks.findById(login._id)).status).toBe('in-progress');
+  });
+
+  it('repeats a recurring task its merged pull request completes', async () => {
+    const { list } = await createList(workspace, owner, { list: 'Backlog' });
+    await db.tasks.updateById(login._id, {
+      list: list._id,
+      dueDate: new Date('2099-01-05T09:00:00Z'),
+      recurrence: { frequency: 'daily', mode: 'on-completion', timezone: 'UTC' }
+    });
+
+    await deliver('pull_request', fixture('pull_request.closed'));
+
+    const next = await db.tasks.findOne({ recurringFrom: login._id });
+    expect(next).toMatchObject({ title: 'Login form', status: 'todo' });
+    expect(next.dueDate).toEqual(new Date('2099-01-06T09:00:00Z'));
+    expect((await db.tasks.findById(login._id)).recurrence).toBeNull();
+  });
+
+  it('ignores events while paused', async () => {
+    await db.integrations.updateById(integration._id, { active: false });
+
+    const paused = await deliver('pull_request', fixture('pull_request.opened'));
+    expect(paused.body.message).toBe('Integration is paused');
+    expect(await db.githubLinks.count({})).toBe(0);
+    expect((await db.tasks.findById(login._id)).status).toBe('todo');
+  });
+
+  it('lets workspace admins configure the integration and members read links', async () => {
+    await db.integrations.deleteMany({});
+
+    expect((await request(member, 'POST', '/integrations/github', { workspace: workspace._id })).status).toBe(403);
+    expect((await request(owner, 'POST', '/integrations/github', {
+      workspace: workspace._id,
+      transitions: [{ on: 'pull-request-merged', status: 'shipped' }]
+    })).status).toBe(400);
+
+    const connected = await request(owner, 'POST', '/integrations/github', {
+      workspace: workspace._id,
+      transitions: [{ on: 'pull-request-merged', status: 'done' }]
+    });
+    expect(connected.status).toBe(201);
+    expect(connected.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+    integration = connected.body.data;
+
+    const updated = await request(owner, 'POST', '/integrations/github', {
+      workspace: workspace._id,
+      transitions: [{ on: 'commit-pushed', status: 'in-progress' }]
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.github.transitions.map(transition => transition.on)).toEqual(['commit-pushed']);
+    expect(updated.body.data.secret).toBe(integration.secret);
+
+    await deliver('push', fixture('push'));
+    expect((await db.tasks.findById(reset._id)).status).toBe('in-progress');
+
+    const links = await request(member, 'GET', `/integrations/github/links?taskId=${login._id}`);
+    expect(links.body.data).toHaveLength(2);
+
+    const listed = await request(owner, 'GET', `/integrations?workspaceId=${workspace._id}`);
+    expect(listed.body.data.map(item => item.provider)).toEqual(['github']);
+
+    const rotated = await request(owner, 'POST', `/integrations/github/${integration._id}/secret`);
+    expect(rotated.body.data.secret).not.toBe(integration.secret);
+    expect((await deliver('ping', fixture('ping'))).status).toBe(401);
+
+    expect((await request(owner, 'DELETE', `/integrations/github/${integration._id}`)).status).toBe(200);
+    expect(await db.githubLinks.count({ task: login._id })).toBe(2);
+  });
+
+  it('follows statuses renamed after the transitions were set up', async () => {
+    const statuses = getWorkflow(workspace).statuses.map(status => (
+      status.key === 'review' ? { ...status, name: 'QA' } : status
+    ));
+    expect((await request(owner, 'PUT', `/workspaces/${workspace._id}/statuses`, { statuses })).status).toBe(200);
+
+    const migrated = await db.integrations.findById(integration._id);
+    expect(migrated.github.transitions.map(transition => transition.status)).toEqual(['qa', 'done']);
+
+    const opened = await deliver('pull_request', fixture('pull_request.opened'));
+    expect(opened.body.data.moved).toEqual([{ task: String(login._id), status: 'qa' }]);
+  });
+});
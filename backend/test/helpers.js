@@ -0,0 +1,95 @@
+import { beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import process from 'process';
+import { Buffer } from 'buffer';
+import mockDb from '../mockDb.js';
+import { db, selectStorage } from '../repositories/index.js';
+import { createApp } from '../app.js';
+import { initializeSocket } from '../socket.js';
+import generateToken from '../utils/generateToken.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Start over on an empty in-memory store
+export const resetStorage = () => {
+  selectStorage('memory');
+  mockDb.clear();
+};
+
+/**
+ * Run the API on a free port against an empty in-memory store for the tests
+ * of the calling `describe`. `request(user, method, url, body)` calls it as
+ * that user, or with a token, and resolves with the status, the headers and
+ * the parsed body. Form data is sent as is and answers other than JSON come
+ * back as a Buffer; `socket` also attaches Socket.IO to the server.
+ */
+export const useTestServer = ({ socket = false } = {}) => {
+  const api = {
+    server: null,
+    baseUrl: null,
+    request: async (user, method, url, body) => {
+      const token = typeof user === 'string' ? user : user && generateToken(user._id);
+      const response = await fetch(`${api.baseUrl}/api${url}`, {
+        method,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(!(body instanceof FormData) && { 'Content-Type': 'application/json' })
+        },
+        body: body instanceof FormData ? body : body && JSON.stringify(body)
+      });
+      const isJson = response.headers.get('content-type')?.includes('application/json');
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer())
+      };
+    }
+  };
+
+  beforeAll(async () => {
+    resetStorage();
+
+    api.server = createServer(createApp());
+    if (socket) initializeSocket(api.server);
+    api.server.listen(0);
+    await new Promise(resolve => api.server.once('listening', resolve));
+    api.baseUrl = `http://127.0.0.1:${api.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => api.server.close(resolve));
+  });
+
+  return api;
+};
+
+// A user who signs in as `<name>@example.com`, e.g. createUser('Owner')
+export const createUser = (name, fields = {}) => db.users.create({
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'password123',
+  ...fields
+});
+
+// A workspace owned and administered by `owner`, with `members` as members
+export const createWorkspace = (name, owner, members = [], fields = {}) => db.workspaces.create({
+  name,
+  owner: owner._id,
+  members: [{ user: owner._id, role: 'admin' }, ...members.map(member => ({ user: member._id, role: 'member' }))],
+  ...fields
+});
+
+/**
+ * A list of `workspace` in a new space and folder, all created by `user` and
+ * linked to their parents like the API does. `names` overrides the default
+ * names; `fields` go to the list.
+ */
+export const createList = async (workspace, user, names = {}, fields = {}) => {
+  const space = await db.spaces.create({ name: names.space || 'Space', workspace: workspace._id, createdBy: user._id });
+  const folder = await db.folders.create({ name: names.folder || 'Folder', space: space._id, createdBy: user._id });
+  const list = await db.lists.create({ name: names.list || 'List', folder: folder._id, createdBy: user._id, ...fields });
+  await db.workspaces.updateById(workspace._id, { $push: { spaces: space._id } });
+  await db.spaces.updateById(space._id, { $push: { folders: folder._id } });
+  await db.folders.updateById(folder._id, { $push: { lists: list._id } });
+  return { space, folder, list };
+};
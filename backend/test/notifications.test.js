@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { db } from '../repositories/index.js';
+import { notify, notifyDueSoon } from '../services/notificationService.js';
+import { resetStorage, createUser, createWorkspace } from './helpers.js';
+
+const hours = (count) => count * 60 * 60 * 1000;
+
+describe('notifications', () => {
+  let owner;
+  let assignee;
+  let workspace;
+
+  beforeAll(async () => {
+    resetStorage();
+
+    owner = await createUser('Owner');
+    assignee = await createUser('Assignee');
+    workspace = await createWorkspace('Reminders', owner, [assignee]);
+  });
+
+  const createTask = (title, dueDate, status = 'todo') => db.tasks.create({
+    title,
+    status,
+    dueDate,
+    workspace: workspace._id,
+    list: workspace._id,
+    createdBy: owner._id,
+    assignees: [{ user: assignee._id }]
+  });
+
+  it('skips the actor and muted types', async () => {
+    const task = await createTask('Mute me', null);
+    await db.users.updateById(assignee._id, { notificationSettings: { mutedTypes: ['comment'] } });
+
+    expect(await notify([owner._id, assignee._id], { type: 'comment', actor: owner, task, message: 'Hi' })).toEqual([]);
+    const [notification] = await notify([owner._id, assignee._id, assignee._id], { type: 'assignment', actor: owner, task, message: 'Yours' });
+    expect(notification).toMatchObject({ type: 'assignment', read: false, actor: { name: 'Owner' }, task: { title: 'Mute me' } });
+    expect(await db.notifications.count({ recipient: assignee._id })).toBe(1);
+  });
+
+  it('reminds assignees of open tasks once per due date', async () => {
+    const now = new Date();
+    const soon = await createTask('Due soon', new Date(now.getTime() + hours(6)));
+    await createTask('Due later', new Date(now.getTime() + hours(48)));
+    await createTask('Already done', new Date(now.getTime() + hours(6)), 'done');
+
+    const first = await notifyDueSoon(now);
+    expect(first.map(notification => notification.task.title)).toEqual(['Due soon']);
+    expect(await notifyDueSoon(new Date(now.getTime() + hours(1)))).toEqual([]);
+
+    // Moving the due date opens a new reminder window
+    await db.tasks.updateById(soon._id, { dueDate: new Date(now.getTime() + hours(40)) });
+    const later = await notifyDueSoon(new Date(now.getTime() + hours(30)));
+    expect(later.map(notification => notification.task.title).sort()).toEqual(['Due later', 'Due soon']);
+  });
+});
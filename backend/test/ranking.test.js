@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { rankBetween, RANK_STEP } from '../utils/ranking.js';
+
+describe('rankBetween', () => {
+  it.each([
+    ['an empty column', undefined, undefined, RANK_STEP],
+    ['the top of a column', undefined, 100, 100 - RANK_STEP],
+    ['the bottom of a column', 100, undefined, 100 + RANK_STEP],
+    ['two neighbours', 100, 200, 150]
+  ])('ranks a card dropped into %s', (_label, before, after, expected) => {
+    expect(rankBetween(before, after)).toBe(expected);
+  });
+
+  it('asks for a rebalance when neighbours are too close', () => {
+    expect(rankBetween(5, 5)).toBeNull();
+    expect(rankBetween(1, 1 + 1e-9)).toBeNull();
+  });
+});
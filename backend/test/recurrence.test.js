@@ -0,0 +1,215 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { db } from '../repositories/index.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+import { getNextOccurrence, createScheduledOccurrences } from '../services/recurrenceService.js';
+
+const next = (dueDate, recurrence, now = new Date('2030-01-01T00:00:00Z')) => {
+  const occurrence = getNextOccurrence({
+    dueDate: new Date(dueDate),
+    recurrence: { interval: 1, weekdays: [], monthDay: null, weekdayPosition: null, timezone: 'UTC', until: null, ...recurrence }
+  }, now);
+  return occurrence && occurrence.dueDate.toISOString();
+};
+
+describe('Recurrence rules', () => {
+  it('repeats daily, weekly and monthly', () => {
+    expect(next('2030-01-07T09:00:00Z', { frequency: 'daily', interval: 2 })).toBe('2030-01-09T09:00:00.000Z');
+
+    // Monday, Wednesday and Friday, and every other week on Monday
+    expect(next('2030-01-09T09:00:00Z', { frequency: 'weekly', weekdays: ['MO', 'WE', 'FR'] })).toBe('2030-01-11T09:00:00.000Z');
+    expect(next('2030-01-11T09:00:00Z', { frequency: 'weekly', weekdays: ['MO', 'WE', 'FR'] })).toBe('2030-01-14T09:00:00.000Z');
+    expect(next('2030-01-07T09:00:00Z', { frequency: 'weekly', interval: 2, weekdays: ['MO'] })).toBe('2030-01-21T09:00:00.000Z');
+
+    // The 31st falls back to the end of shorter months
+    expect(next('2030-01-31T09:00:00Z', { frequency: 'monthly', monthDay: 31 })).toBe('2030-02-28T09:00:00.000Z');
+    expect(next('2030-02-28T09:00:00Z', { frequency: 'monthly', monthDay: 31 })).toBe('2030-03-31T09:00:00.000Z');
+    expect(next('2030-01-15T09:00:00Z', { frequency: 'monthly', interval: 3, monthDay: 15 })).toBe('2030-04-15T09:00:00.000Z');
+
+    // Second Tuesday and last Friday of the month
+    expect(next('2030-01-08T09:00:00Z', { frequency: 'monthly', weekdayPosition: 2, weekdays: ['TU'] })).toBe('2030-02-12T09:00:00.000Z');
+    expect(next('2030-01-25T09:00:00Z', { frequency: 'monthly', weekdayPosition: -1, weekdays: ['FR'] })).toBe('2030-02-22T09:00:00.000Z');
+  });
+
+  it('keeps the local time across daylight saving changes', () => {
+    // 9:00 in New York is 14:00 UTC in winter and 13:00 UTC in summer
+    const recurrence = { frequency: 'weekly', weekdays: ['MO'], timezone: 'America/New_York' };
+    expect(next('2030-03-04T14:00:00Z', recurrence)).toBe('2030-03-11T13:00:00.000Z');
+
+    // Late on Sunday in New York is already Monday in UTC
+    expect(next('2030-03-04T02:00:00Z', { ...recurrence, weekdays: ['SU'] })).toBe('2030-03-11T01:00:00.000Z');
+  });
+
+  it('skips occurrences that already passed and stops after the end date', () => {
+    expect(next('2030-01-01T09:00:00Z', { frequency: 'daily' }, new Date('2030-01-05T12:00:00Z'))).toBe('2030-01-06T09:00:00.000Z');
+    expect(next('2030-01-28T09:00:00Z', { frequency: 'weekly', weekdays: ['MO'], until: '2030-02-04' })).toBe('2030-02-04T09:00:00.000Z');
+    expect(next('2030-02-04T09:00:00Z', { frequency: 'weekly', weekdays: ['MO'], until: '2030-02-04' })).toBeNull();
+  });
+});
+
+describe('Recurring tasks', () => {
+  let owner;
+  let member;
+  let workspace;
+  let list;
+
+  const { request } = useTestServer();
+
+  const createTask = async (fields) => {
+    const { status, body } = await request(owner, 'POST', '/tasks', { list: String(list._id), ...fields });
+    expect(status).toBe(201);
+    return body.data;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner', { preferences: { timezone: 'Europe/Berlin' } });
+    member = await createUser('Member');
+    workspace = await createWorkspace('Ops', owner, [member]);
+    ({ list } = await createList(workspace, owner, { list: 'Routines' }));
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.activities.deleteMany({});
+    await db.notifications.deleteMany({});
+    await db.automations.deleteMany({});
+  });
+
+  it('creates the next occurrence with its checklists and subtasks on completion', async () => {
+    const weekly = await createTask({
+      title: 'Weekly checks',
+      // Monday 9:00 in Berlin
+      startDate: '2099-06-01T06:00:00.000Z',
+      dueDate: '2099-06-01T07:00:00.000Z',
+      assignees: [String(member._id)],
+      recurrence: { frequency: 'weekly', weekdays: ['MO', 'TH'], copySubtasks: true }
+    });
+    expect(weekly.recurrence).toMatchObject({
+      frequency: 'weekly',
+      interval: 1,
+      weekdays: ['MO', 'TH'],
+      mode: 'on-completion',
+      timezone: 'Europe/Berlin',
+      copyChecklists: true
+    });
+
+    const checklist = await request(owner, 'POST', `/tasks/${weekly._id}/checklists`, { name: 'Steps' });
+    const checklistId = checklist.body.data._id;
+    const item = await request(owner, 'POST', `/tasks/${weekly._id}/checklists/${checklistId}/items`, { text: 'Backups', completed: true });
+    expect(item.status).toBe(201);
+    await createTask({ title: 'Restore test', parentTask: weekly._id, dueDate: '2099-05-31T10:00:00.000Z' });
+
+    expect((await request(owner, 'PUT', `/tasks/${weekly._id}`, { status: 'done' })).body.data.recurrence).toBeNull();
+
+    const occurrence = await db.tasks.findOne({ recurringFrom: weekly._id });
+    expect(occurrence).toMatchObject({ title: 'Weekly checks', status: 'todo', recurrence: { weekdays: ['MO', 'TH'] } });
+    expect(occurrence.dueDate.toISOString()).toBe('2099-06-04T07:00:00.000Z');
+    expect(occurrence.startDate.toISOString()).toBe('2099-06-04T06:00:00.000Z');
+    expect(occurrence.checklists[0].items.map(entry => [entry.text, entry.completed])).toEqual([['Backups', false]]);
+    expect(occurrence.assignees.map(assignee => String(assignee.user))).toEqual([String(member._id)]);
+
+    const [subtask] = await db.tasks.find({ parentTask: occurrence._id });
+    expect(subtask.title).toBe('Restore test');
+    expect(subtask.recurrence).toBeNull();
+    expect(subtask.dueDate.toISOString()).toBe('2099-06-03T10:00:00.000Z');
+
+    const created = await db.activities.find({ task: occurrence._id });
+    expect(created.map(entry => [entry.action, entry.source, String(entry.actor)])).toEqual([['created', 'recurrence', String(owner._id)]]);
+    // Once for the first task and once for the new occurrence
+    expect(await db.notifications.count({ recipient: member._id, type: 'assignment' })).toBe(2);
+
+    // Reopening and completing the old task again does not repeat it twice
+    await request(member, 'PUT', `/tasks/${weekly._id}`, { status: 'todo' });
+    await request(member, 'PUT', `/tasks/${weekly._id}`, { status: 'done' });
+    expect(await db.tasks.count({ title: 'Weekly checks' })).toBe(2);
+
+    // The recurrence went along, so the occurrence repeats in turn
+    await request(owner, 'PUT', `/tasks/${occurrence._id}/move`, { status: 'done' });
+    const third = await db.tasks.findOne({ recurringFrom: occurrence._id });
+    expect(third.dueDate.toISOString()).toBe('2099-06-08T07:00:00.000Z');
+    expect(third.checklists).toHaveLength(1);
+  });
+
+  it('creates occurrences on schedule once the due date has come', async () => {
+    const daily = await createTask({
+      title: 'Stand-up notes',
+      dueDate: '2099-01-10T08:00:00.000Z',
+      recurrence: { frequency: 'daily', mode: 'on-schedule', timezone: 'UTC', copyChecklists: false }
+    });
+
+    expect(await createScheduledOccurrences(new Date('2099-01-09T00:00:00Z'))).toBe(0);
+    expect(await createScheduledOccurrences(new Date('2099-01-10T08:00:00Z'))).toBe(1);
+    expect(await createScheduledOccurrences(new Date('2099-01-10T09:00:00Z'))).toBe(0);
+
+    const occurrence = await db.tasks.findOne({ recurringFrom: daily._id });
+    expect(occurrence.dueDate.toISOString()).toBe('2099-01-11T08:00:00.000Z');
+    expect((await db.tasks.findById(daily._id)).status).toBe('todo');
+
+    // Completing a task that repeats on schedule creates nothing extra
+    await request(owner, 'PUT', `/tasks/${occurrence._id}`, { status: 'done' });
+    expect(await db.tasks.count({})).toBe(2);
+
+    // After a long pause the missed days are skipped
+    expect(await createScheduledOccurrences(new Date('2099-01-20T12:00:00Z'))).toBe(1);
+    const latest = await db.tasks.findOne({ recurringFrom: occurrence._id });
+    expect(latest.dueDate.toISOString()).toBe('2099-01-21T08:00:00.000Z');
+  });
+
+  it('runs task-created rules for new occurrences', async () => {
+    const daily = await createTask({
+      title: 'Backups',
+      dueDate: '2099-01-10T08:00:00.000Z',
+      recurrence: { frequency: 'daily', mode: 'on-schedule', timezone: 'UTC' }
+    });
+    await db.automations.create({
+      name: 'Triage new tasks',
+      workspace: workspace._id,
+      trigger: { type: 'task-created' },
+      actions: [{ type: 'add-tag', tag: 'routine' }],
+      createdBy: owner._id
+    });
+
+    expect(await createScheduledOccurrences(new Date('2099-01-10T08:00:00Z'))).toBe(1);
+    expect((await db.tasks.findOne({ recurringFrom: daily._id })).tags).toEqual(['routine']);
+    expect((await db.tasks.findById(daily._id)).tags).toEqual([]);
+  });
+
+  it('validates recurrences and keeps a due date on recurring tasks', async () => {
+    const noDueDate = await request(owner, 'POST', '/tasks', {
+      title: 'Someday',
+      list: String(list._id),
+      recurrence: { frequency: 'daily' }
+    });
+    expect(noDueDate.status).toBe(400);
+    expect(noDueDate.body.message).toBe('Recurring tasks need a due date');
+
+    const invalid = [
+      { frequency: 'yearly' },
+      { frequency: 'weekly', weekdays: ['XX'] },
+      { frequency: 'daily', interval: 0 },
+      { frequency: 'daily', timezone: 'Mars/Olympus' },
+      { frequency: 'monthly', weekdayPosition: 5 }
+    ];
+    for (const recurrence of invalid) {
+      const response = await request(owner, 'POST', '/tasks', { title: 'Bad', list: String(list._id), dueDate: '2099-01-01', recurrence });
+      expect(response.status).toBe(400);
+    }
+
+    // A monthly rule takes the day of the month from the due date
+    const monthly = await createTask({ title: 'Invoices', dueDate: '2099-03-15T09:00:00.000Z', recurrence: { frequency: 'monthly' } });
+    expect(monthly.recurrence).toMatchObject({ monthDay: 15, weekdayPosition: null, weekdays: [] });
+
+    expect((await request(owner, 'PUT', `/tasks/${monthly._id}`, { dueDate: null })).status).toBe(400);
+    const early = await request(owner, 'PUT', `/tasks/${monthly._id}`, { recurrence: { frequency: 'monthly', until: '2099-01-01' } });
+    expect(early.body.message).toBe('A recurrence cannot end before the task is due');
+
+    const lastFriday = await request(owner, 'PUT', `/tasks/${monthly._id}`, {
+      recurrence: { frequency: 'monthly', weekdayPosition: -1, weekdays: ['FR'], mode: 'on-schedule' }
+    });
+    expect(lastFriday.body.data.recurrence).toMatchObject({ weekdayPosition: -1, weekdays: ['FR'], monthDay: null });
+
+    const stopped = await request(owner, 'PUT', `/tasks/${monthly._id}`, { recurrence: null });
+    expect(stopped.body.data.recurrence).toBeNull();
+    const changes = await db.activities.find({ task: monthly._id, field: 'recurrence' });
+    expect(changes).toHaveLength(2);
+  });
+});
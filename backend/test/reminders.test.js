@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import process from 'process';
+import { SMTPServer } from 'smtp-server';
+import { db } from '../repositories/index.js';
+import { sendDueDateReminders, sendDigests } from '../services/reminderService.js';
+import { getLocalTime } from '../utils/timezone.js';
+import { resetStorage, createUser, createWorkspace } from './helpers.js';
+
+const hours = (count) => count * 60 * 60 * 1000;
+
+// Monday 07:30 UTC: 08:30 in Berlin, 02:30 in New York
+const monday = new Date('2030-03-04T07:30:00Z');
+
+describe('reminder and digest emails', () => {
+  let smtp;
+  let messages = [];
+  let owner;
+  let workspace;
+
+  beforeAll(async () => {
+    // Local SMTP stand-in that keeps every message it receives
+    smtp = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        let raw = '';
+        stream.on('data', chunk => { raw += chunk; });
+        stream.on('end', () => {
+          messages.push({ to: session.envelope.rcptTo.map(recipient => recipient.address), raw });
+          callback();
+        });
+      }
+    });
+    await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.server.address().port);
+    process.env.SMTP_USER = '';
+    process.env.EMAIL_FROM = 'ClickUp Alternative <noreply@example.com>';
+
+    resetStorage();
+    owner = await createUser('Owner');
+    workspace = await createWorkspace('Mail', owner);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => smtp.close(resolve));
+  });
+
+  beforeEach(() => {
+    messages = [];
+  });
+
+  const createRecipient = (name, { timezone = 'UTC', ...notificationSettings } = {}) => createUser(name, {
+    preferences: { timezone },
+    notificationSettings
+  });
+
+  const createTask = (title, assignee, dueDate, status = 'todo') => db.tasks.create({
+    title,
+    status,
+    dueDate,
+    workspace: workspace._id,
+    list: workspace._id,
+    createdBy: owner._id,
+    updatedBy: owner._id,
+    assignees: [{ user: assignee._id }]
+  });
+
+  it('reads the local time of a time zone', () => {
+    expect(getLocalTime(monday, 'Europe/Berlin')).toEqual({ date: '2030-03-04', hour: 8, minutes: 510, weekday: 'Mon' });
+    expect(getLocalTime(monday, 'America/New_York')).toEqual({ date: '2030-03-04', hour: 2, minutes: 150, weekday: 'Mon' });
+    expect(getLocalTime(monday, 'Not/AZone').hour).toBe(7);
+  });
+
+  it('emails overdue and due soon tasks once', async () => {
+    const assignee = await createRecipient('Assignee');
+    const muted = await createRecipient('Muted', { mutedTypes: ['due-soon'] });
+    await createTask('Write report', assignee, new Date(monday.getTime() - hours(2)));
+    await createTask('Review report', assignee, new Date(monday.getTime() + hours(5)));
+    await createTask('Plan next quarter', assignee, new Date(monday.getTime() + hours(72)));
+    await createTask('Already shipped', assignee, new Date(monday.getTime() - hours(1)), 'done');
+    await createTask('Quiet task', muted, new Date(monday.getTime() + hours(5)));
+
+    expect(await sendDueDateReminders(monday)).toBe(1);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toEqual(['assignee@example.com']);
+    expect(messages[0].raw).toContain('Subject: 1 overdue task');
+    expect(messages[0].raw).toContain('Write report');
+    expect(messages[0].raw).toContain('Review report');
+    expect(messages[0].raw).not.toContain('Plan next quarter');
+    expect(messages[0].raw).not.toContain('Already shipped');
+
+    // A restart runs the job again; nothing is sent twice
+    expect(await sendDueDateReminders(new Date(monday.getTime() + hours(1)))).toBe(0);
+    expect(messages).toHaveLength(1);
+  });
+
+  it('sends digests at the local digest hour, once per day or week', async () => {
+    const berlin = await createRecipient('Berlin', { timezone: 'Europe/Berlin', digest: 'daily' });
+    const newYork = await createRecipient('NewYork', { timezone: 'America/New_York', digest: 'daily' });
+    const weekly = await createRecipient('Weekly', { timezone: 'Europe/Berlin', digest: 'weekly' });
+    await createRecipient('Idle', { timezone: 'Europe/Berlin', digest: 'daily' });
+    for (const user of [berlin, newYork, weekly]) {
+      await createTask(`Task for ${user.name}`, user, null);
+    }
+
+    expect(await sendDigests(monday)).toBe(2);
+    expect(messages.map(message => message.to[0]).sort()).toEqual(['berlin@example.com', 'weekly@example.com']);
+    expect(messages.find(message => message.to[0] === 'berlin@example.com').raw).toContain('Task for Berlin');
+    expect(await sendDigests(new Date(monday.getTime() + hours(2)))).toBe(0);
+
+    // New York reaches 8am later the same day
+    expect(await sendDigests(new Date(monday.getTime() + hours(6)))).toBe(1);
+
+    // Tuesday: daily digests again, the weekly one waits for next Monday
+    messages = [];
+    expect(await sendDigests(new Date(monday.getTime() + hours(24)))).toBe(1);
+    expect(messages[0].to).toEqual(['berlin@example.com']);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+import process from 'process';
+import mockDb from '../mockDb.js';
+import { selectStorage } from '../repositories/index.js';
+import { matchesFilter, applyUpdate } from '../repositories/query.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('memory query matcher', () => {
+  const userId = id();
+  const doc = {
+    _id: id(),
+    title: 'Ship release',
+    status: 'todo',
+    estimatedTime: 30,
+    tags: ['backend', 'urgent'],
+    assignees: [{ user: userId }],
+    dueDate: new Date('2030-01-10')
+  };
+
+  it.each([
+    ['equality', { status: 'todo' }, true],
+    ['ObjectId against string', { _id: String(doc._id) }, true],
+    ['array contains', { tags: 'backend' }, true],
+    ['dotted path through arrays', { 'assignees.user': String(userId) }, true],
+    ['$in', { status: { $in: ['review', 'todo'] } }, true],
+    ['$nin', { status: { $nin: ['todo'] } }, false],
+    ['$ne on missing field', { parentTask: { $ne: null } }, false],
+    ['null matches missing', { parentTask: null }, true],
+    ['date range', { dueDate: { $gt: new Date('2030-01-01'), $lt: new Date('2030-02-01') } }, true],
+    ['$regex with options', { title: { $regex: 'ship', $options: 'i' } }, true],
+    ['$all', { tags: { $all: ['urgent', 'backend'] } }, true],
+    ['$or', { $or: [{ status: 'done' }, { estimatedTime: { $gte: 30 } }] }, true],
+    ['$and', { $and: [{ status: 'todo' }, { estimatedTime: { $lt: 30 } }] }, false],
+    ['$exists', { dueDate: { $exists: false } }, false]
+  ])('supports %s', (_label, filter, expected) => {
+    expect(matchesFilter(doc, filter)).toBe(expected);
+  });
+
+  it('applies update operators to a copy', () => {
+    const original = { _id: id(), order: 1, tags: ['a'], nested: { count: 1 } };
+    const { document, paths } = applyUpdate(original, {
+      title: 'Renamed',
+      $inc: { 'nested.count': 2 },
+      $push: { tags: { $each: ['b', 'c'] } },
+      $pull: { tags: 'a' }
+    });
+
+    expect(document).toMatchObject({ title: 'Renamed', nested: { count: 3 }, tags: ['b', 'c'] });
+    expect(paths.sort()).toEqual(['nested', 'tags', 'title']);
+    expect(original.tags).toEqual(['a']);
+  });
+});
+
+// The Mongo run needs a disposable database: TEST_MONGODB_URI=mongodb://localhost/clickup-test
+const backends = [
+  { name: 'memory', enabled: true },
+  { name: 'mongo', enabled: Boolean(process.env.TEST_MONGODB_URI) }
+];
+
+describe.each(backends)('repositories ($name)', ({ name, enabled }) => {
+  let db;
+
+  beforeEach(async () => {
+    if (!enabled) return;
+    if (name === 'mongo' && mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.TEST_MONGODB_URI);
+    }
+    db = selectStorage(name);
+    mockDb.clear();
+    if (name === 'mongo') {
+      await Promise.all(['users', 'workspaces', 'spaces'].map(collection => db[collection].deleteMany({})));
+    }
+  });
+
+  const createUser = (overrides = {}) => db.users.create({
+    name: 'Ada',
+    email: `ada-${id()}@example.com`,
+    password: 'hashed',
+    ...overrides
+  });
+
+  it.runIf(enabled)('applies schema defaults and timestamps on create', async () => {
+    const user = await createUser();
+
+    expect(user._id).toBeDefined();
+    expect(user.status).toBe('pending');
+    expect(user.preferences).toEqual({ theme: 'light', timezone: 'UTC' });
+    expect(user.createdAt).toBeInstanceOf(Date);
+  });
+
+  it.runIf(enabled)('rejects documents that break the schema', async () => {
+    await expect(db.users.create({ name: 'No email' })).rejects.toThrow(/email/);
+  });
+
+  it.runIf(enabled)('enforces unique indexes', async () => {
+    const user = await createUser();
+    await expect(createUser({ email: user.email })).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it.runIf(enabled)('finds with filters, sort, pagination and selection', async () => {
+    const owner = await createUser();
+    const workspace = await db.workspaces.create({ name: 'Acme', owner: owner._id, members: [] });
+    await Promise.all([2, 0, 1].map(order => db.spaces.create({
+      name: `Space ${order}`,
+      workspace: workspace._id,
+      order
+    })));
+
+    const spaces = await db.spaces.find(
+      { workspace: String(workspace._id) },
+      { sort: { order: -1 }, skip: 1, limit: 1, select: 'name' }
+    );
+
+    expect(spaces).toHaveLength(1);
+    expect(spaces[0]).toEqual({ _id: spaces[0]._id, name: 'Space 1' });
+    expect(await db.spaces.count({ workspace: workspace._id, order: { $gte: 1 } })).toBe(2);
+  });
+
+  it.runIf(enabled)('updates with operators and validates the result', async () => {
+    const owner = await createUser();
+    const member = await createUser();
+    const workspace = await db.workspaces.create({ name: 'Acme', owner: owner._id, members: [] });
+
+    const updated = await db.workspaces.updateById(workspace._id, {
+      name: 'Acme Inc',
+      $push: { members: { user: member._id, role: 'member' } }
+    });
+
+    expect(updated.name).toBe('Acme Inc');
+    expect(updated.members.map(entry => String(entry.user))).toEqual([String(member._id)]);
+    expect(await db.workspaces.updateById(id(), { name: 'Missing' })).toBeNull();
+    await expect(db.workspaces.updateById(workspace._id, {
+      $push: { members: { user: member._id, role: 'owner' } }
+    })).rejects.toThrow();
+  });
+
+  it.runIf(enabled)('populates references, including array paths', async () => {
+    const owner = await createUser({ name: 'Owner' });
+    const workspace = await db.workspaces.create({
+      name: 'Acme',
+      owner: owner._id,
+      members: [{ user: owner._id, role: 'admin' }]
+    });
+
+    const populated = await db.workspaces.findById(workspace._id, {
+      populate: [
+        { path: 'owner', select: 'name' },
+        { path: 'members.user', select: 'name email' }
+      ]
+    });
+
+    expect(populated.owner).toEqual({ _id: owner._id, name: 'Owner' });
+    expect(populated.members[0].user.email).toBe(owner.email);
+    expect(populated.members[0].user.password).toBeUndefined();
+  });
+
+  it.runIf(enabled)('searches the text index, best match first', async () => {
+    if (name === 'mongo') await mongoose.model('Space').syncIndexes();
+    const owner = await createUser();
+    const workspace = await db.workspaces.create({ name: 'Acme', owner: owner._id });
+    const other = await db.workspaces.create({ name: 'Other', owner: owner._id });
+    await db.spaces.create({ name: 'Marketing', description: 'Launch plans and launch dates', workspace: workspace._id });
+    await db.spaces.create({ name: 'Launch', workspace: workspace._id });
+    await db.spaces.create({ name: 'Launch', workspace: other._id });
+    await db.spaces.create({ name: 'Engineering', workspace: workspace._id });
+
+    const found = await db.spaces.search('launches', { workspace: workspace._id }, { select: 'name' });
+
+    expect(found.map(space => space.name)).toEqual(['Launch', 'Marketing']);
+    expect(found[0].score).toBeGreaterThan(found[1].score);
+    expect(await db.spaces.search('launch', { workspace: workspace._id }, { limit: 1 })).toHaveLength(1);
+  });
+
+  it.runIf(enabled)('deletes by id and by filter', async () => {
+    const [first, second] = await Promise.all([createUser(), createUser()]);
+
+    expect(String((await db.users.deleteById(first._id))._id)).toBe(String(first._id));
+    expect(await db.users.findById(first._id)).toBeNull();
+    expect(await db.users.deleteMany({ _id: { $in: [second._id] } })).toBe(1);
+    expect(await db.users.count()).toBe(0);
+  });
+});
@@ -0,0 +1,485 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { db } from '../repositories/index.js';
+import { seedDemoData, DEMO_USER } from '../repositories/seed.js';
+import generateToken from '../utils/generateToken.js';
+import { settleDeliveries } from '../services/webhookService.js';
+import { useTestServer, createUser } from './helpers.js';
+
+// Exercise the real routers end to end on the in-memory backend, no MongoDB needed
+describe('API on in-memory storage', () => {
+  let token;
+
+  const api = useTestServer();
+  const request = (method, path, body) => api.request(token, method, path, body);
+
+  beforeAll(async () => {
+    await seedDemoData();
+  });
+
+  it('logs in the seeded demo user', async () => {
+    const wrong = await request('POST', '/auth/login', { email: DEMO_USER.email, password: 'nope' });
+    expect(wrong.status).toBe(401);
+
+    const { status, body } = await request('POST', '/auth/login', {
+      email: DEMO_USER.email,
+      password: DEMO_USER.password
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.user.workspaces).toHaveLength(1);
+    token = body.data.token;
+  });
+
+  it('rejects requests without a token', async () => {
+    const response = await fetch(`${api.baseUrl}/api/workspaces`);
+    expect(response.status).toBe(401);
+  });
+
+  it('walks the hierarchy from workspace down to tasks, comments and time logs', async () => {
+    const me = await request('GET', '/users/me');
+    expect(me.body.data.password).toBeUndefined();
+
+    const workspace = await request('POST', '/workspaces', { name: 'Offline Co' });
+    expect(workspace.status).toBe(201);
+    const workspaceId = workspace.body.data._id;
+
+    const space = await request('POST', '/spaces', { name: 'Engineering', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Backend', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Sprint 1', folder: folder.body.data._id });
+    expect(list.status).toBe(201);
+
+    const tree = await request('GET', `/spaces?workspace=${workspaceId}`);
+    expect(tree.body.data[0].folders[0].lists[0].name).toBe('Sprint 1');
+
+    const task = await request('POST', '/tasks', {
+      title: 'Write adapter',
+      list: list.body.data._id,
+      priority: 'high'
+    });
+    expect(task.status).toBe(201);
+    expect(task.body.data.number).toBe(1);
+    expect(task.body.data.list.name).toBe('Sprint 1');
+    expect(task.body.data.createdBy.email).toBe(DEMO_USER.email);
+    const taskId = task.body.data._id;
+
+    const updated = await request('PUT', `/tasks/${taskId}`, { status: 'in-progress' });
+    expect(updated.body.data.status).toBe('in-progress');
+
+    const invalid = await request('PUT', `/tasks/${taskId}`, { status: 'open' });
+    expect(invalid.status).toBe(400);
+
+    const filtered = await request('GET', `/tasks?workspaceId=${workspaceId}&priority=high`);
+    expect(filtered.body.data.tasks.map(item => item._id)).toEqual([taskId]);
+    expect(filtered.body.data.pagination.total).toBe(1);
+
+    const comment = await request('POST', `/tasks/${taskId}/comments`, { content: 'On it' });
+    expect(comment.status).toBe(201);
+    const comments = await request('GET', `/tasks/${taskId}/comments`);
+    expect(comments.body.data[0].user.email).toBe(DEMO_USER.email);
+
+    const timeLog = await request('POST', '/time/manual', {
+      taskId,
+      duration: 45,
+      startTime: new Date().toISOString()
+    });
+    expect(timeLog.status).toBe(201);
+    const stats = await request('GET', '/time/stats');
+    expect(stats.body.data).toEqual({ totalTime: 45, logsCount: 1 });
+
+    const removed = await request('DELETE', `/lists/${list.body.data._id}`);
+    expect(removed.status).toBe(200);
+    expect((await request('GET', `/tasks/${taskId}`)).status).toBe(404);
+    expect((await request('GET', '/time/stats')).body.data.logsCount).toBe(1);
+
+    const purged = await request('DELETE', `/trash/list/${list.body.data._id}`);
+    expect(purged.status).toBe(200);
+    expect((await request('GET', '/time/stats')).body.data.logsCount).toBe(0);
+  });
+
+  it('follows the workspace workflow for tasks, filters and reports', async () => {
+    const workspace = await request('POST', '/workspaces', { name: 'Workflow Co' });
+    const workspaceId = workspace.body.data._id;
+    const statuses = workspace.body.data.settings.taskStatuses;
+    expect(statuses.map(status => status.key)).toEqual(['todo', 'in-progress', 'review', 'done']);
+
+    const space = await request('POST', '/spaces', { name: 'Ops', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Runbooks', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Incidents', folder: folder.body.data._id });
+    const createTask = (data) => request('POST', '/tasks', { list: list.body.data._id, ...data });
+
+    const reviewed = await createTask({ title: 'Check alerts', status: 'review' });
+    await createTask({ title: 'Close ticket', status: 'done' });
+
+    // Rename Review, archive In Progress, add a new done status
+    const [todo, inProgress, review, done] = statuses;
+    const updated = await request('PUT', `/workspaces/${workspaceId}/statuses`, {
+      statuses: [
+        todo,
+        { ...inProgress, archived: true },
+        { ...review, name: 'QA' },
+        done,
+        { name: 'Released', color: '#8B5CF6', category: 'done' }
+      ]
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.renames).toEqual([{ from: 'review', to: 'qa' }]);
+    expect(updated.body.data.migratedTasks).toBe(1);
+
+    const migrated = await request('GET', `/tasks/${reviewed.body.data._id}`);
+    expect(migrated.body.data.status).toBe('qa');
+
+    expect((await createTask({ title: 'Old status', status: 'review' })).status).toBe(400);
+    expect((await createTask({ title: 'Archived', status: 'in-progress' })).status).toBe(400);
+    expect((await createTask({ title: 'Shipped', status: 'released' })).status).toBe(201);
+
+    const stillUsed = await request('PUT', `/workspaces/${workspaceId}/statuses`, {
+      statuses: [todo, { name: 'QA', key: 'qa' }, { name: 'Released', key: 'released', category: 'done' }]
+    });
+    expect(stillUsed.status).toBe(400);
+    expect(stillUsed.body.message).toMatch(/archive it instead/);
+
+    const doneTasks = await request('GET', `/tasks?workspaceId=${workspaceId}&statusCategory=done`);
+    expect(doneTasks.body.data.tasks.map(task => task.status).sort()).toEqual(['done', 'released']);
+
+    const summary = await request('GET', `/tasks/summary?workspaceId=${workspaceId}`);
+    expect(summary.body.data).toMatchObject({ total: 3, open: 1, done: 2 });
+    expect(summary.body.data.byStatus.map(status => [status.key, status.count])).toEqual([
+      ['todo', 0], ['in-progress', 0], ['qa', 1], ['done', 1], ['released', 1]
+    ]);
+  });
+
+  it('moves tasks across board columns and keeps their order', async () => {
+    const workspace = await request('POST', '/workspaces', { name: 'Board Co' });
+    const workspaceId = workspace.body.data._id;
+    const space = await request('POST', '/spaces', { name: 'Product', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Roadmap', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Now', folder: folder.body.data._id });
+
+    const ids = [];
+    for (const title of ['First', 'Second', 'Third']) {
+      const created = await request('POST', '/tasks', { title, list: list.body.data._id });
+      ids.push(created.body.data._id);
+    }
+
+    const column = async (status) => {
+      const { body } = await request('GET', `/tasks?workspaceId=${workspaceId}&status=${status}&sortBy=rank&sortOrder=asc`);
+      return body.data.tasks.map(task => task.title);
+    };
+
+    expect(await column('todo')).toEqual(['First', 'Second', 'Third']);
+
+    const moved = await request('PUT', `/tasks/${ids[2]}/move`, { prevTaskId: ids[0], nextTaskId: ids[1] });
+    expect(moved.status).toBe(200);
+    expect(await column('todo')).toEqual(['First', 'Third', 'Second']);
+
+    await request('PUT', `/tasks/${ids[0]}/move`, { status: 'done' });
+    expect(await column('done')).toEqual(['First']);
+
+    const wrongColumn = await request('PUT', `/tasks/${ids[1]}/move`, { status: 'review', prevTaskId: ids[2] });
+    expect(wrongColumn.status).toBe(400);
+
+    // Legacy tasks share a rank and fall back to creation order; dropping
+    // between them spreads the column out
+    await Promise.all([ids[1], ids[2]].map(id => db.tasks.updateById(id, { rank: 0 })));
+    expect(await column('todo')).toEqual(['Second', 'Third']);
+    const rebalanced = await request('PUT', `/tasks/${ids[0]}/move`, { status: 'todo', prevTaskId: ids[1], nextTaskId: ids[2] });
+    expect(rebalanced.status).toBe(200);
+    expect(await column('todo')).toEqual(['Second', 'First', 'Third']);
+  });
+
+  it('returns only tasks visible in a date range', async () => {
+    const workspace = await request('POST', '/workspaces', { name: 'Calendar Co' });
+    const workspaceId = workspace.body.data._id;
+    const space = await request('POST', '/spaces', { name: 'Events', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Conferences', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: '2030', folder: folder.body.data._id });
+
+    const tasks = [
+      { title: 'Spans into March', startDate: '2030-02-20', dueDate: '2030-03-03' },
+      { title: 'Due in March', dueDate: '2030-03-15' },
+      { title: 'Starts in March', startDate: '2030-03-31' },
+      { title: 'Ends before March', startDate: '2030-02-01', dueDate: '2030-02-28' },
+      { title: 'Due in April', dueDate: '2030-04-01' },
+      { title: 'Undated' }
+    ];
+    for (const task of tasks) {
+      await request('POST', '/tasks', { ...task, list: list.body.data._id });
+    }
+
+    const { body } = await request('GET', `/tasks?workspaceId=${workspaceId}&rangeStart=2030-03-01&rangeEnd=2030-04-01&search=in`);
+    expect(body.data.tasks.map(task => task.title).sort()).toEqual(['Due in March', 'Spans into March', 'Starts in March']);
+
+    const invalid = await request('GET', `/tasks?workspaceId=${workspaceId}&rangeStart=soon`);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('links dependent tasks and keeps the schedule consistent', async () => {
+    const workspace = await request('POST', '/workspaces', { name: 'Gantt Co' });
+    const workspaceId = workspace.body.data._id;
+    const space = await request('POST', '/spaces', { name: 'Launch', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Plan', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Q1', folder: folder.body.data._id });
+
+    const create = async (title, startDate, dueDate) => {
+      const { body } = await request('POST', '/tasks', { title, startDate, dueDate, list: list.body.data._id });
+      return body.data._id;
+    };
+    const design = await create('Design', '2030-01-01', '2030-01-03');
+    const build = await create('Build', '2030-01-02', '2030-01-08');
+    const copy = await create('Copy', '2030-01-01', '2030-01-02');
+
+    const linked = await request('POST', `/tasks/${build}/dependencies`, { predecessor: design });
+    expect(linked.status).toBe(201);
+    expect(linked.body.data.task.startDate).toBe('2030-01-04T00:00:00.000Z');
+    expect(linked.body.data.task.dueDate).toBe('2030-01-10T00:00:00.000Z');
+
+    const cycle = await request('POST', `/tasks/${design}/dependencies`, { predecessor: build });
+    expect(cycle.status).toBe(400);
+    const self = await request('POST', `/tasks/${design}/dependencies`, { predecessor: design });
+    expect(self.status).toBe(400);
+
+    // Moving the predecessor pushes its dependent along
+    await request('PUT', `/tasks/${design}`, { startDate: '2030-01-05', dueDate: '2030-01-07' });
+    const moved = await request('GET', `/tasks/${build}`);
+    expect(moved.body.data.startDate).toBe('2030-01-08T00:00:00.000Z');
+
+    const gantt = await request('GET', `/tasks/gantt?workspaceId=${workspaceId}`);
+    expect(gantt.body.data.criticalPath.sort()).toEqual([design, build].sort());
+    expect(gantt.body.data.tasks.find(task => task._id === copy).slack).toBe(12);
+
+    const unlinked = await request('DELETE', `/tasks/${build}/dependencies/${design}`);
+    expect(unlinked.body.data.dependencies).toEqual([]);
+    expect((await request('DELETE', `/tasks/${build}/dependencies/${design}`)).status).toBe(404);
+
+    await request('POST', `/tasks/${build}/dependencies`, { predecessor: design, type: 'start-to-start' });
+    await request('DELETE', `/tasks/${design}`);
+    await request('DELETE', `/trash/task/${design}`);
+    const orphan = await request('GET', `/tasks/${build}`);
+    expect(orphan.body.data.dependencies).toEqual([]);
+  });
+
+  it('rejects saves based on an outdated version of a task', async () => {
+    const workspace = await request('POST', '/workspaces', { name: 'Conflict Co' });
+    const space = await request('POST', '/spaces', { name: 'Docs', workspace: workspace.body.data._id });
+    const folder = await request('POST', '/folders', { name: 'Specs', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Drafts', folder: folder.body.data._id });
+    const created = await request('POST', '/tasks', { title: 'Draft', list: list.body.data._id });
+    const { _id: taskId, updatedAt } = created.body.data;
+
+    const first = await request('PUT', `/tasks/${taskId}`, { title: 'First edit', expectedUpdatedAt: updatedAt });
+    expect(first.status).toBe(200);
+
+    const stale = await request('PUT', `/tasks/${taskId}`, { title: 'Second edit', expectedUpdatedAt: updatedAt });
+    expect(stale.status).toBe(409);
+    expect((await request('GET', `/tasks/${taskId}`)).body.data.title).toBe('First edit');
+  });
+
+  it('threads comments with mentions, reactions and edit history', async () => {
+    const workspace = await request('POST', '/workspaces', { name: 'Comment Co' });
+    const space = await request('POST', '/spaces', { name: 'Team', workspace: workspace.body.data._id });
+    const folder = await request('POST', '/folders', { name: 'Chat', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Threads', folder: folder.body.data._id });
+    const task = await request('POST', '/tasks', { title: 'Discuss', list: list.body.data._id });
+    const taskId = task.body.data._id;
+
+    const root = await request('POST', `/tasks/${taskId}/comments`, { content: `Thoughts, @${DEMO_USER.name}?` });
+    expect(root.body.data.mentions.map(user => user.email)).toEqual([DEMO_USER.email]);
+    const rootId = root.body.data._id;
+
+    const reply = await request('POST', `/tasks/${taskId}/comments`, { content: 'Yes', parent: rootId });
+    const nested = await request('POST', `/tasks/${taskId}/comments`, { content: 'Agreed', parent: reply.body.data._id });
+    expect(nested.body.data.parent).toBe(rootId);
+
+    const liked = await request('POST', `/comments/${reply.body.data._id}/reactions`, { emoji: '👍' });
+    expect(liked.body.data.reactions).toEqual([{ emoji: '👍', user: expect.objectContaining({ name: DEMO_USER.name }) }]);
+    const unliked = await request('POST', `/comments/${reply.body.data._id}/reactions`, { emoji: '👍' });
+    expect(unliked.body.data.reactions).toEqual([]);
+    expect((await request('POST', `/comments/${rootId}/reactions`, { emoji: 'yes' })).status).toBe(400);
+
+    const edited = await request('PUT', `/comments/${rootId}`, { content: '**Thoughts?**' });
+    expect(edited.body.data.editedAt).toBeTruthy();
+    expect(edited.body.data.mentions).toEqual([]);
+    const history = await request('GET', `/comments/${rootId}/history`);
+    expect(history.body.data.revisions.map(revision => revision.content)).toEqual([`Thoughts, @${DEMO_USER.name}?`]);
+
+    await request('DELETE', `/comments/${rootId}`);
+    const { body } = await request('GET', `/tasks/${taskId}/comments`);
+    expect(body.data.map(comment => [comment.content, comment.parent])).toEqual([
+      ['', null], ['Yes', rootId], ['Agreed', rootId]
+    ]);
+    expect(body.data[0].deletedAt).toBeTruthy();
+    expect(body.data[0].edits).toBeUndefined();
+    expect((await request('PUT', `/comments/${rootId}`, { content: 'Back' })).status).toBe(400);
+  });
+
+  it('notifies assignees and followers as their preferences allow', async () => {
+    const teammate = await createUser('Teammate');
+    const workspace = await request('POST', '/workspaces', { name: 'Notify Co' });
+    await db.workspaces.updateById(workspace.body.data._id, { $push: { members: { user: teammate._id, role: 'member' } } });
+    const space = await request('POST', '/spaces', { name: 'Ops', workspace: workspace.body.data._id });
+    const folder = await request('POST', '/folders', { name: 'Releases', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Next', folder: folder.body.data._id });
+    const task = await request('POST', '/tasks', { title: 'Ship it', list: list.body.data._id, assignees: [teammate._id] });
+    const taskId = task.body.data._id;
+    await request('PUT', `/tasks/${taskId}`, { status: 'in-progress' });
+    await request('POST', `/tasks/${taskId}/comments`, { content: 'Started' });
+
+    const ownerToken = token;
+    token = generateToken(teammate._id);
+    const inbox = await request('GET', '/notifications');
+    expect(inbox.body.data.notifications.map(notification => notification.type).sort())
+      .toEqual(['assignment', 'comment', 'status-change']);
+    expect(inbox.body.data.notifications[0]).toMatchObject({ actor: { name: DEMO_USER.name }, task: { title: 'Ship it' } });
+    expect(inbox.body.data.unreadCount).toBe(3);
+    expect((await request('GET', '/notifications?limit=1&page=2')).body.data.notifications).toHaveLength(1);
+    expect((await request('GET', '/notifications?type=nope')).status).toBe(400);
+
+    const read = await request('PUT', `/notifications/${inbox.body.data.notifications[0]._id}/read`);
+    expect(read.body.data.read).toBe(true);
+    expect((await request('GET', '/notifications?unread=true')).body.data.notifications).toHaveLength(2);
+    await request('PUT', '/notifications/read-all');
+    expect((await request('GET', '/notifications')).body.data.unreadCount).toBe(0);
+
+    const settings = await request('PUT', '/users/notifications', { mutedTypes: ['comment'], digest: 'weekly' });
+    expect(settings.body.data).toEqual({
+      emailNotifications: true,
+      pushNotifications: true,
+      mutedTypes: ['comment'],
+      digest: 'weekly'
+    });
+    expect((await request('PUT', '/users/notifications', { mutedTypes: ['spam'] })).status).toBe(400);
+    expect((await request('PUT', '/users/notifications', { digest: 'hourly' })).status).toBe(400);
+    expect((await request('PUT', '/users/me', { preferences: { timezone: 'Mars/Olympus' } })).status).toBe(400);
+
+    token = ownerToken;
+    expect((await request('PUT', `/notifications/${inbox.body.data.notifications[0]._id}/read`)).status).toBe(404);
+    await request('POST', `/tasks/${taskId}/comments`, { content: 'Done soon' });
+    token = generateToken(teammate._id);
+    expect((await request('GET', '/notifications')).body.data.pagination.total).toBe(3);
+    token = ownerToken;
+  });
+
+  it('runs workspace automations when tasks change', async () => {
+    const teammate = await createUser('Rule Teammate', { email: 'rules@example.com' });
+    const workspace = await request('POST', '/workspaces', { name: 'Rules Co' });
+    const workspaceId = workspace.body.data._id;
+    await db.workspaces.updateById(workspaceId, { $push: { members: { user: teammate._id, role: 'member' } } });
+    const space = await request('POST', '/spaces', { name: 'Ops', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Flow', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Board', folder: folder.body.data._id });
+
+    const invalid = await request('POST', '/automations', {
+      workspace: workspaceId,
+      name: 'Broken',
+      trigger: { type: 'status-changed', to: 'shipped' },
+      actions: [{ type: 'add-tag', tag: 'x' }]
+    });
+    expect(invalid.status).toBe(400);
+    expect((await request('POST', '/automations', {
+      workspace: workspaceId,
+      name: 'No actions',
+      trigger: { type: 'task-created' },
+      actions: []
+    })).status).toBe(400);
+
+    const rule = await request('POST', '/automations', {
+      workspace: workspaceId,
+      name: 'Review handoff',
+      list: list.body.data._id,
+      trigger: { type: 'status-changed', to: 'review' },
+      conditions: [{ field: 'tag', operator: 'is-not', value: 'skip-review' }],
+      actions: [{ type: 'assign', user: teammate._id }, { type: 'add-tag', tag: 'in-review' }]
+    });
+    expect(rule.status).toBe(201);
+    expect(rule.body.data.actions[0].user.name).toBe('Rule Teammate');
+    const ruleId = rule.body.data._id;
+
+    const task = await request('POST', '/tasks', { title: 'Automate me', list: list.body.data._id });
+    const dryRun = await request('POST', `/automations/${ruleId}/dry-run`, { task: task.body.data._id });
+    expect(dryRun.body.data.matches).toBe(true);
+    expect(dryRun.body.data.run.actions.map(action => action.detail)).toEqual(['Assign Rule Teammate', 'Add tag "in-review"']);
+
+    // The response already reflects what the automation changed
+    const moved = await request('PUT', `/tasks/${task.body.data._id}`, { status: 'review' });
+    expect(moved.body.data.assignees.map(assignee => assignee.user.name)).toEqual(['Rule Teammate']);
+    expect(moved.body.data.tags).toEqual(['in-review']);
+
+    const runs = await request('GET', `/automations/${ruleId}/runs`);
+    expect(runs.body.data.runs.map(run => [run.status, run.dryRun])).toEqual([['success', false], ['success', true]]);
+    expect(runs.body.data.runs[0].task.title).toBe('Automate me');
+    expect((await request('GET', `/automations?workspaceId=${workspaceId}`)).body.data[0].runCount).toBe(1);
+
+    const ownerToken = token;
+    token = generateToken(teammate._id);
+    expect((await request('GET', `/automations/${ruleId}`)).status).toBe(200);
+    expect((await request('PUT', `/automations/${ruleId}`, { enabled: false })).status).toBe(403);
+    token = ownerToken;
+
+    const disabled = await request('PUT', `/automations/${ruleId}`, { enabled: false });
+    expect(disabled.body.data.enabled).toBe(false);
+    expect((await request('DELETE', `/automations/${ruleId}`)).status).toBe(200);
+    expect((await request('GET', `/automations/${ruleId}`)).status).toBe(404);
+    expect(await db.automationRuns.count({ automation: ruleId })).toBe(0);
+  });
+
+  it('lets workspace admins manage webhooks and their delivery log', async () => {
+    const teammate = await createUser('Hook Teammate', { email: 'hooks@example.com' });
+    const workspace = await request('POST', '/workspaces', { name: 'Hooks Co' });
+    const workspaceId = workspace.body.data._id;
+    await db.workspaces.updateById(workspaceId, { $push: { members: { user: teammate._id, role: 'member' } } });
+    const space = await request('POST', '/spaces', { name: 'Ops', workspace: workspaceId });
+    const folder = await request('POST', '/folders', { name: 'Flow', space: space.body.data._id });
+    const list = await request('POST', '/lists', { name: 'Board', folder: folder.body.data._id });
+
+    expect((await request('POST', '/integrations/webhooks', {
+      workspace: workspaceId,
+      url: 'ftp://example.com',
+      events: ['task.created']
+    })).status).toBe(400);
+
+    // The receiver answers 401, so every delivery fails and stays in the log
+    const created = await request('POST', '/integrations/webhooks', {
+      workspace: workspaceId,
+      url: `${api.baseUrl}/api/integrations`,
+      events: ['task.created']
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+    const webhookId = created.body.data._id;
+
+    await request('POST', '/tasks', { title: 'Hook me', list: list.body.data._id });
+    await settleDeliveries();
+
+    const log = await request('GET', `/integrations/webhooks/${webhookId}/deliveries`);
+    expect(log.body.data.deliveries).toHaveLength(1);
+    const [delivery] = log.body.data.deliveries;
+    expect(delivery).toMatchObject({ event: 'task.created', status: 'pending', attempts: 1, responseStatus: 401 });
+    expect(JSON.parse(delivery.body).data.task.title).toBe('Hook me');
+
+    const redelivered = await request('POST', `/integrations/webhooks/${webhookId}/deliveries/${delivery._id}/redeliver`);
+    expect(redelivered.status).toBe(201);
+    expect(redelivered.body.data).toMatchObject({ redeliveryOf: delivery._id, attempts: 1 });
+
+    const rotated = await request('POST', `/integrations/webhooks/${webhookId}/secret`);
+    expect(rotated.body.data.secret).not.toBe(created.body.data.secret);
+
+    const ownerToken = token;
+    token = generateToken(teammate._id);
+    expect((await request('GET', `/integrations/webhooks?workspaceId=${workspaceId}`)).status).toBe(403);
+    expect((await request('PUT', `/integrations/webhooks/${webhookId}`, { active: false })).status).toBe(403);
+    token = ownerToken;
+
+    const paused = await request('PUT', `/integrations/webhooks/${webhookId}`, { active: false });
+    expect(paused.body.data.active).toBe(false);
+    await request('POST', '/tasks', { title: 'Not sent', list: list.body.data._id });
+    expect(await db.webhookDeliveries.count({ webhook: webhookId })).toBe(2);
+
+    expect((await request('DELETE', `/integrations/webhooks/${webhookId}`)).status).toBe(200);
+    expect(await db.webhookDeliveries.count({ webhook: webhookId })).toBe(0);
+  });
+
+  it('returns 404 for unknown ids instead of failing', async () => {
+    const { status } = await request('GET', '/workspaces/not-an-id');
+    expect(status).toBe(404);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { wouldCreateCycle, planReschedule, getCriticalPath } from '../services/schedulingService.js';
+
+const task = (_id, startDate, dueDate, dependencies = []) => ({
+  _id,
+  startDate: startDate && new Date(startDate),
+  dueDate: dueDate && new Date(dueDate),
+  dependencies: dependencies.map(([predecessor, type = 'finish-to-start']) => ({ task: predecessor, type }))
+});
+
+const day = (value) => new Date(value);
+
+describe('task scheduling', () => {
+  it('detects dependency cycles', () => {
+    const tasks = [
+      task('design', '2030-01-01', '2030-01-03'),
+      task('build', '2030-01-04', '2030-01-10', [['design']]),
+      task('test', '2030-01-11', '2030-01-12', [['build']])
+    ];
+
+    expect(wouldCreateCycle(tasks, 'design', 'test')).toBe(true);
+    expect(wouldCreateCycle(tasks, 'design', 'design')).toBe(true);
+    expect(wouldCreateCycle(tasks, 'test', 'design')).toBe(false);
+  });
+
+  it('pushes dependents back and keeps their duration', () => {
+    const tasks = [
+      task('design', '2030-01-01', '2030-01-05'),
+      task('build', '2030-01-04', '2030-01-10', [['design']]),
+      task('docs', '2030-01-02', '2030-01-03', [['design', 'start-to-start']]),
+      task('review', null, '2030-01-08', [['build', 'finish-to-finish']]),
+      task('launch', '2030-02-01', '2030-02-01', [['review']])
+    ];
+
+    expect(planReschedule(tasks, 'design')).toEqual([
+      { _id: 'build', startDate: day('2030-01-06'), dueDate: day('2030-01-12') },
+      { _id: 'review', dueDate: day('2030-01-12') }
+    ]);
+  });
+
+  it('finds the tasks without slack', () => {
+    const tasks = [
+      task('design', '2030-01-01', '2030-01-03'),
+      task('build', '2030-01-04', '2030-01-10', [['design']]),
+      task('copy', '2030-01-01', '2030-01-02'),
+      task('docs', '2030-01-02', '2030-01-04', [['design', 'start-to-start']]),
+      task('undated')
+    ];
+
+    const schedule = getCriticalPath(tasks);
+    expect(Object.fromEntries(schedule)).toEqual({
+      design: { slack: 0, critical: true },
+      build: { slack: 0, critical: true },
+      copy: { slack: 8, critical: false },
+      docs: { slack: 6, critical: false }
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import mockDb from '../mockDb.js';
+import { db } from '../repositories/index.js';
+import { parseSearch, scoreFields, buildSnippet } from '../utils/textSearch.js';
+import { backfillCommentWorkspaces } from '../services/commentService.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+describe('Text search', () => {
+  const highlighted = ({ text, highlights }) => highlights.map(([start, end]) => text.slice(start, end));
+
+  it('matches word forms, phrases and exclusions', () => {
+    const score = (text, search) => scoreFields([{ text, weight: 1 }], parseSearch(search));
+
+    expect(score('Fixing the login pages', 'fixed page')).toBeGreaterThan(0);
+    expect(score('Fixing the login pages', 'logout')).toBe(0);
+    expect(score('Fixing the login pages', '"login pages"')).toBeGreaterThan(0);
+    expect(score('Fixing the login pages', '"pages login"')).toBe(0);
+    expect(score('Fixing the login pages', 'login -fix')).toBe(0);
+    expect(score('Login', 'login')).toBeGreaterThan(score('Login form with a very long description of everything', 'login'));
+    expect(parseSearch('the of').terms).toEqual([]);
+  });
+
+  it('cuts snippets around the first match', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(10)}The deploy failed twice. ${'Consectetur adipiscing. '.repeat(10)}`;
+    const snippet = buildSnippet(text, parseSearch('deploys'), 80);
+
+    expect(snippet.text.length).toBeLessThanOrEqual(82);
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(highlighted(snippet)).toEqual(['deploy']);
+    expect(buildSnippet(text, parseSearch('missing'))).toBeNull();
+  });
+});
+
+describe('Search API', () => {
+  const { request } = useTestServer();
+  let owner;
+  let outsider;
+  let workspace;
+  let otherWorkspace;
+  let list;
+
+  const search = async (params, user = owner) => {
+    const { status, body } = await request(user, 'GET', `/search?${new URLSearchParams(params)}`);
+    expect(status).toBe(200);
+    return body.data.results;
+  };
+
+  const createTask = (title, extra = {}) => db.tasks.create({
+    title,
+    workspace: workspace._id,
+    list: list._id,
+    createdBy: owner._id,
+    ...extra
+  });
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    outsider = await createUser('Grace Outsider', { email: 'grace@example.com' });
+    const member = await createUser('Rocket Engineer', { email: 'rocket@example.com' });
+    workspace = await createWorkspace('Search', owner, [member]);
+    otherWorkspace = await createWorkspace('Elsewhere', outsider);
+    ({ list } = await createList(workspace, owner, { space: 'Rocket launch', list: 'Rocket parts' }, { description: 'Everything we order' }));
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.comments.deleteMany({});
+  });
+
+  it('ranks tasks, comments, attachments, spaces, lists and members together', async () => {
+    const titled = await createTask('Rocket engine test');
+    const described = await createTask('Fuel order', { description: 'Order fuel before the rocket engines are tested' });
+    await createTask('Unrelated');
+    await createTask('Rocket engine in another workspace', { workspace: otherWorkspace._id });
+    await db.comments.create({ user: owner._id, task: described._id, workspace: workspace._id, content: 'The engine supplier called back' });
+    await db.tasks.updateById(described._id, {
+      $push: { attachments: { filename: 'key', originalName: 'engine-drawing.pdf', url: '/files/key', mimeType: 'application/pdf' } }
+    });
+
+    const results = await search({ q: 'engine' });
+    expect(results.map(result => [result.type, result.title])).toEqual([
+      ['task', 'Rocket engine test'],
+      ['attachment', 'engine-drawing.pdf'],
+      ['comment', 'Fuel order'],
+      ['task', 'Fuel order']
+    ]);
+
+    const [first] = results;
+    expect(first).toMatchObject({ id: String(titled._id), reference: expect.stringMatching(/^CU-|^[0-9a-f]{24}$/) });
+    expect(first.highlights.map(([start, end]) => first.title.slice(start, end))).toEqual(['engine']);
+
+    const order = results.find(result => result.title === 'Fuel order' && result.type === 'task');
+    expect(order.snippet.text).toBe('Order fuel before the rocket engines are tested');
+    expect(order.snippet.highlights.map(([start, end]) => order.snippet.text.slice(start, end))).toEqual(['engines']);
+
+    const rockets = await search({ q: 'rocket', types: 'space,list,member' });
+    expect(rockets.map(result => [result.type, result.title]).sort()).toEqual([
+      ['list', 'Rocket parts'],
+      ['member', 'Rocket Engineer'],
+      ['space', 'Rocket launch']
+    ]);
+    expect(rockets.find(result => result.type === 'list').path).toEqual(['Rocket launch', 'Folder']);
+
+    expect(await search({ q: 'rocket', limit: '2' })).toHaveLength(2);
+  });
+
+  it('keeps each user to their own workspaces', async () => {
+    await createTask('Secret rocket plan');
+
+    expect(await search({ q: 'secret' }, outsider)).toEqual([]);
+    expect(await search({ q: 'grace' })).toEqual([]);
+
+    const { status } = await request(outsider, 'GET', `/search?q=secret&workspaceId=${workspace._id}`);
+    expect(status).toBe(403);
+  });
+
+  it('finds comments by their workspace and leaves out those of trashed tasks', async () => {
+    const kept = await createTask('Kept');
+    const trashed = await createTask('Trashed');
+    const elsewhere = await createTask('Elsewhere', { workspace: otherWorkspace._id });
+    const comment = (task, workspaceId) => db.comments.create({ user: owner._id, task: task._id, workspace: workspaceId, content: 'Telemetry looks fine' });
+    await comment(kept, workspace._id);
+    await comment(trashed, workspace._id);
+    await comment(elsewhere, otherWorkspace._id);
+    await db.tasks.updateById(trashed._id, { trashedAt: new Date() });
+
+    const results = await search({ q: 'telemetry', types: 'comment' });
+    expect(results.map(result => result.title)).toEqual(['Kept']);
+  });
+
+  it('gives comments saved before they recorded it the workspace of their task', async () => {
+    const task = await createTask('Legacy');
+    const { _id } = await db.comments.create({ user: owner._id, task: task._id, workspace: workspace._id, content: 'Old telemetry' });
+    // As stored before comments had a workspace
+    delete mockDb.collection('comments').get(String(_id)).workspace;
+
+    expect(await backfillCommentWorkspaces()).toBe(1);
+    expect((await db.comments.findById(_id)).workspace).toEqual(workspace._id);
+    expect(await backfillCommentWorkspaces()).toBe(0);
+  });
+
+  it('follows renames and deletes', async () => {
+    const task = await createTask('Old name');
+    expect(await search({ q: 'old', types: 'task' })).toHaveLength(1);
+
+    await db.tasks.updateById(task._id, { title: 'New name' });
+    expect(await search({ q: 'old', types: 'task' })).toEqual([]);
+    expect(await search({ q: 'new', types: 'task' })).toHaveLength(1);
+
+    await db.tasks.deleteById(task._id);
+    expect(await search({ q: 'new', types: 'task' })).toEqual([]);
+  });
+
+  it('validates the query', async () => {
+    expect((await request(owner, 'GET', '/search')).status).toBe(400);
+    expect((await request(owner, 'GET', '/search?q=a&types=task,planet')).status).toBe(400);
+    expect((await request(owner, 'GET', `/search?q=${'a'.repeat(201)}`)).status).toBe(400);
+  });
+
+  it('treats the search text of the task list as plain text', async () => {
+    await createTask('Learn C++ (a+)+');
+    await createTask('Learn C');
+
+    const { status, body } = await request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&search=${encodeURIComponent('C++ (a+)+')}`);
+    expect(status).toBe(200);
+    expect(body.data.tasks.map(task => task.title)).toEqual(['Learn C++ (a+)+']);
+  });
+});
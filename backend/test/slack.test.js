@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import crypto from 'crypto';
+import { db } from '../repositories/index.js';
+import { publishEvent } from '../services/webhookService.js';
+import { settleChatMessages, verifyChatSignature } from '../services/slackService.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+describe('Slack integration', () => {
+  const api = useTestServer();
+  const { request } = api;
+  let chat;
+  let chatUrl;
+  let messages;
+  let owner;
+  let member;
+  let workspace;
+  let list;
+  let integration;
+
+  const sign = (body, timestamp, secret = integration.secret) => (
+    `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`
+  );
+
+  // Slash commands arrive form-encoded, like the chat sends them
+  const command = async (fields, { timestamp = Math.floor(Date.now() / 1000), signature } = {}) => {
+    const body = new URLSearchParams({ command: '/task', ...fields }).toString();
+    const response = await fetch(`${api.baseUrl}/api/hooks/slack/${integration._id}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signature ?? sign(body, timestamp)
+      },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    workspace = await createWorkspace('Chatty', owner, [member]);
+    ({ list } = await createList(workspace, owner, { space: 'Product', folder: 'Launch', list: 'Inbox' }));
+
+    // Stands in for the chat's incoming webhook
+    chat = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        messages.push(JSON.parse(body));
+        res.end('ok');
+      });
+    }).listen(0);
+    await new Promise(resolve => chat.once('listening', resolve));
+    chatUrl = `http://127.0.0.1:${chat.address().port}/services/T000/B000/XXXX`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => chat.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await db.integrations.deleteMany({});
+    await db.tasks.deleteMany({});
+    messages = [];
+
+    integration = await db.integrations.create({
+      workspace: workspace._id,
+      provider: 'slack',
+      secret: 'signing-secret',
+      slack: {
+        webhookUrl: chatUrl,
+        events: ['task.created', 'comment.created'],
+        defaultList: list._id,
+        members: [{ chatUserId: 'U123', user: member._id }]
+      },
+      createdBy: owner._id
+    });
+  });
+
+  it('posts the selected events to the incoming webhook as blocks', async () => {
+    const task = await db.tasks.create({
+      title: 'Ship <beta>',
+      number: 4,
+      workspace: workspace._id,
+      list: list._id,
+      createdBy: member._id
+    });
+
+    await publishEvent(workspace._id, 'task.created', { task });
+    await publishEvent(workspace._id, 'task.updated', { task });
+    await settleChatMessages();
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].text).toContain(`/workspace/${workspace._id}/task/${task._id}|CU-4 Ship &lt;beta&gt;>`);
+    expect(messages[0].text).toContain('by Member');
+    expect(messages[0].blocks[0]).toMatchObject({ type: 'section', text: { type: 'mrkdwn' } });
+
+    await publishEvent(workspace._id, 'comment.created', {
+      taskId: task._id,
+      comment: { content: 'Looks good', user: owner._id }
+    });
+    await settleChatMessages();
+
+    expect(messages[1].text).toContain('*Owner* commented on');
+    expect(messages[1].blocks[1]).toEqual({ type: 'context', elements: [{ type: 'mrkdwn', text: 'Looks good' }] });
+  });
+
+  it('only runs commands signed recently with the signing secret', async () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000);
+    const body = 'text=list+mine';
+
+    expect(verifyChatSignature('signing-secret', { rawBody: body, timestamp: String(timestamp), signature: sign(body, timestamp) }, now)).toBe(true);
+    expect(verifyChatSignature('signing-secret', { rawBody: body, timestamp: String(timestamp - 301), signature: sign(body, timestamp - 301) }, now)).toBe(false);
+
+    expect((await command({ user_id: 'U123', text: 'list mine' }, { signature: 'v0=deadbeef' })).status).toBe(401);
+    expect((await command({ user_id: 'U123', text: 'list mine' }, { timestamp: timestamp - 600 })).status).toBe(401);
+
+    const signed = await command({ user_id: 'U123', text: 'list mine' });
+    expect(signed.status).toBe(200);
+    expect(signed.body).toEqual({ response_type: 'ephemeral', text: 'You have no open tasks.' });
+  });
+
+  it('asks unlinked chat accounts to get linked first', async () => {
+    const response = await command({ user_id: 'U999', text: 'create Nope' });
+
+    expect(response.body.response_type).toBe('ephemeral');
+    expect(response.body.text).toContain('not linked to a workspace member');
+    expect(await db.tasks.count({})).toBe(0);
+  });
+
+  it('creates numbered tasks and lists the open tasks of the member', async () => {
+    const created = await command({ user_id: 'U123', text: 'create Write the release notes' });
+
+    expect(created.body.response_type).toBe('in_channel');
+    expect(created.body.text).toMatch(/^Created <.+\|CU-1 Write the release notes> in Inbox$/);
+
+    const [task] = await db.tasks.find({ workspace: workspace._id });
+    expect(task).toMatchObject({ title: 'Write the release notes', number: 1, status: 'todo' });
+    expect(String(task.list)).toBe(String(list._id));
+    expect(String(task.createdBy)).toBe(String(member._id));
+
+    // The new task was announced in the channel as well
+    await settleChatMessages();
+    expect(messages).toHaveLength(1);
+
+    await db.tasks.updateById(task._id, { assignees: [{ user: member._id }] });
+    await db.tasks.create({ title: 'Finished', workspace: workspace._id, list: list._id, status: 'done', assignees: [{ user: member._id }], createdBy: member._id });
+
+    const mine = await command({ user_id: 'U123', text: 'list mine' });
+    expect(mine.body.response_type).toBe('ephemeral');
+    expect(mine.body.text).toContain('*Your open tasks* (1)');
+    expect(mine.body.text).toContain('CU-1 Write the release notes');
+    expect(mine.body.blocks).toHaveLength(1);
+
+    const help = await command({ user_id: 'U123', text: 'dance' });
+    expect(help.body.text).toContain('/task create <title>');
+  });
+
+  it('lets workspace admins configure the chat', async () => {
+    await db.integrations.deleteMany({});
+
+    const denied = await request(member, 'POST', '/integrations/slack', { workspace: workspace._id, signingSecret: 'x' });
+    expect(denied.status).toBe(403);
+
+    const missingSecret = await request(owner, 'POST', '/integrations/slack', { workspace: workspace._id });
+    expect(missingSecret.status).toBe(400);
+
+    const stranger = await request(owner, 'POST', '/integrations/slack', {
+      workspace: workspace._id,
+      signingSecret: 'signing-secret',
+      members: [{ chatUserId: 'U1', user: String(list._id) }]
+    });
+    expect(stranger.status).toBe(400);
+
+    const created = await request(owner, 'POST', '/integrations/slack', {
+      workspace: workspace._id,
+      signingSecret: 'signing-secret',
+      webhookUrl: chatUrl,
+      events: ['task.updated'],
+      defaultList: String(list._id),
+      members: [{ chatUserId: 'U123', user: String(member._id) }]
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data.slack.events).toEqual(['task.updated']);
+
+    const updated = await request(owner, 'POST', '/integrations/slack', { workspace: workspace._id, events: ['task.created'] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.slack.events).toEqual(['task.created']);
+    expect(updated.body.data.secret).toBe('signing-secret');
+
+    const test = await request(owner, 'POST', `/integrations/slack/${created.body.data._id}/test`);
+    expect(test.status).toBe(200);
+    expect(messages[0].text).toContain('Owner connected this channel');
+
+    const removed = await request(owner, 'DELETE', `/integrations/slack/${created.body.data._id}`);
+    expect(removed.status).toBe(200);
+    expect(await db.integrations.count({})).toBe(0);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as connect } from 'socket.io-client';
+import { db } from '../repositories/index.js';
+import { seedDemoData, DEMO_USER } from '../repositories/seed.js';
+import { emitToRoom } from '../socket.js';
+import generateToken from '../utils/generateToken.js';
+import { useTestServer, createUser, createWorkspace } from './helpers.js';
+
+describe('Socket.IO authorization', () => {
+  const api = useTestServer({ socket: true });
+  let owner;
+  let outsider;
+  let workspaceId;
+  const clients = [];
+
+  const open = (token) => new Promise((resolve, reject) => {
+    const client = connect(api.baseUrl, { auth: { token }, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+
+  const join = (client, event, id) => new Promise(resolve => client.emit(event, id, resolve));
+
+  // Resolves with the payloads of an event received within a short window
+  const collect = (client, event, action) => new Promise(resolve => {
+    const received = [];
+    client.on(event, payload => received.push(payload));
+    Promise.resolve(action()).then(() => setTimeout(() => resolve(received), 100));
+  });
+
+  beforeAll(async () => {
+    await seedDemoData();
+
+    owner = await db.users.findOne({ email: DEMO_USER.email });
+    outsider = await createUser('Outsider');
+    const workspace = await createWorkspace('Private', owner);
+    workspaceId = String(workspace._id);
+  });
+
+  afterAll(async () => {
+    clients.forEach(client => client.close());
+  });
+
+  it('rejects connections without a valid token', async () => {
+    await expect(open(undefined)).rejects.toThrow(/No token/);
+    await expect(open('forged')).rejects.toThrow(/not valid/);
+  });
+
+  it('only lets members join a workspace room', async () => {
+    const member = await open(generateToken(owner._id));
+    const stranger = await open(generateToken(outsider._id));
+
+    expect(await join(member, 'join-workspace', workspaceId)).toEqual({ success: true });
+    expect(await join(stranger, 'join-workspace', workspaceId)).toEqual({ success: false, message: 'Access denied' });
+
+    const memberEvents = collect(member, 'task-created', () => emitToRoom(`workspace-${workspaceId}`, 'task-created', { workspaceId }));
+    const strangerEvents = collect(stranger, 'task-created', () => {});
+    expect(await memberEvents).toHaveLength(1);
+    expect(await strangerEvents).toHaveLength(0);
+  });
+
+  it('does not relay events sent by clients', async () => {
+    const sender = await open(generateToken(owner._id));
+    const listener = await open(generateToken(owner._id));
+    await join(sender, 'join-workspace', workspaceId);
+    await join(listener, 'join-workspace', workspaceId);
+
+    const received = await collect(listener, 'task-update', () => {
+      sender.emit('task-updated', { workspaceId, task: { title: 'Spoofed' } });
+    });
+    expect(received).toEqual([]);
+  });
+
+  it('shares who is viewing and editing a task', async () => {
+    const task = await db.tasks.create({
+      title: 'Shared',
+      workspace: workspaceId,
+      list: workspaceId,
+      createdBy: owner._id
+    });
+    const taskId = String(task._id);
+    const first = await open(generateToken(owner._id));
+    const second = await open(generateToken(owner._id));
+    const stranger = await open(generateToken(outsider._id));
+
+    expect(await join(stranger, 'join-task', taskId)).toEqual({ success: false, message: 'Access denied' });
+    await join(first, 'join-task', taskId);
+
+    // Both tabs of the same user count as one viewer
+    const presence = await collect(first, 'presence', () => join(second, 'join-task', taskId));
+    expect(presence.at(-1)).toMatchObject({ type: 'task', id: taskId });
+    expect(presence.at(-1).viewers.map(viewer => viewer.user.name)).toEqual([DEMO_USER.name]);
+
+    const emitWithAck = (client, event, data) => new Promise(resolve => client.emit(event, data, resolve));
+    expect(await emitWithAck(first, 'task-editing', { taskId, field: 'title' })).toEqual({ success: true, lockedBy: null });
+
+    const other = await open(generateToken(outsider._id));
+    await db.workspaces.updateById(workspaceId, { $push: { members: { user: outsider._id, role: 'member' } } });
+    await join(other, 'join-task', taskId);
+    const locked = await emitWithAck(other, 'task-editing', { taskId, field: 'title' });
+    expect(locked.lockedBy.name).toBe(DEMO_USER.name);
+
+    const typing = await collect(first, 'presence', () => other.emit('task-typing', { taskId, typing: true }));
+    expect(typing.at(-1).viewers.find(viewer => viewer.user.name === 'Outsider')).toMatchObject({ editing: 'title', typing: true });
+
+    const left = await collect(first, 'presence', () => other.close());
+    expect(left.at(-1).viewers.map(viewer => viewer.user.name)).toEqual([DEMO_USER.name]);
+    await db.workspaces.updateById(workspaceId, { $pull: { members: { user: outsider._id } } });
+  });
+
+  it('tells mentioned members about new comments', async () => {
+    await db.workspaces.updateById(workspaceId, { $push: { members: { user: outsider._id, role: 'member' } } });
+    const task = await db.tasks.create({ title: 'Review', workspace: workspaceId, list: workspaceId, createdBy: owner._id });
+    const mentioned = await open(generateToken(outsider._id));
+
+    const received = await collect(mentioned, 'notification', () => (
+      api.request(owner, 'POST', `/tasks/${task._id}/comments`, { content: 'Can you check this, @outsider?' })
+    ));
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ type: 'mention', task: { title: 'Review' }, actor: { name: DEMO_USER.name } });
+    await db.workspaces.updateById(workspaceId, { $pull: { members: { user: outsider._id } } });
+  });
+
+  it('stops updates to members removed from the workspace', async () => {
+    await db.workspaces.updateById(workspaceId, {
+      $push: { members: { user: outsider._id, role: 'member' } }
+    });
+    const client = await open(generateToken(outsider._id));
+    expect(await join(client, 'join-workspace', workspaceId)).toEqual({ success: true });
+
+    const response = await api.request(owner, 'DELETE', `/workspaces/${workspaceId}/members/${outsider._id}`);
+    expect(response.status).toBe(200);
+
+    const received = await collect(client, 'task-created', () => emitToRoom(`workspace-${workspaceId}`, 'task-created', {}));
+    expect(received).toEqual([]);
+  });
+});
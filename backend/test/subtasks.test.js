@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { db } from '../repositories/index.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+
+describe('Subtasks and checklists', () => {
+  let owner;
+  let outsider;
+  let workspace;
+  let list;
+
+  const { request } = useTestServer();
+
+  const createTask = async (title, extra = {}) => {
+    const { body } = await request(owner, 'POST', '/tasks', { title, list: String(list._id), ...extra });
+    return body.data;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    outsider = await createUser('Outsider');
+    workspace = await createWorkspace('Nesting', owner);
+    ({ list } = await createList(workspace, owner));
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.timeLogs.deleteMany({});
+    await db.automations.deleteMany({});
+  });
+
+  it('rolls progress and time up through nested subtasks', async () => {
+    const root = await createTask('Launch', { estimatedTime: 60 });
+    const design = await createTask('Design', { parentTask: root._id, estimatedTime: 120 });
+    const mockups = await createTask('Mockups', { parentTask: design._id, status: 'done', estimatedTime: 30 });
+    await createTask('Copy', { parentTask: design._id });
+    await db.timeLogs.create({ user: owner._id, task: mockups._id, workspace: workspace._id, duration: 45 });
+    await db.timeLogs.create({ user: owner._id, task: root._id, workspace: workspace._id, duration: 15 });
+
+    const { body: { data: task } } = await request(owner, 'GET', `/tasks/${root._id}`);
+    expect(task.progress).toEqual({
+      percent: 33,
+      subtasks: { done: 1, total: 3 },
+      checklist: { done: 0, total: 0 },
+      estimatedTime: 210,
+      loggedTime: 60
+    });
+
+    const { body: { data: tree } } = await request(owner, 'GET', `/tasks/${root._id}/subtasks`);
+    expect(tree.subtasks.map(node => node.title)).toEqual(['Design']);
+    expect(tree.subtasks[0].subtasks.map(node => [node.title, node.progress.percent])).toEqual([['Mockups', 100], ['Copy', 0]]);
+    expect(tree.subtasks[0].progress.subtasks).toEqual({ done: 1, total: 2 });
+
+    const { body: { data: listed } } = await request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&sortBy=createdAt&sortOrder=asc`);
+    expect(listed.tasks.map(item => item.progress.percent)).toEqual([33, 50, 100, 0]);
+  });
+
+  it('counts checklist items and turns them into subtasks', async () => {
+    const task = await createTask('Release');
+    const url = `/tasks/${task._id}/checklists`;
+
+    const { status, body: { data: checklist } } = await request(owner, 'POST', url, { name: 'Before shipping' });
+    expect(status).toBe(201);
+    await request(owner, 'POST', `${url}/${checklist._id}/items`, { text: 'Changelog' });
+    const { body: { data: filled } } = await request(owner, 'POST', `${url}/${checklist._id}/items`, { text: 'Tag release' });
+    const [changelog, tag] = filled.items;
+
+    const checked = await request(owner, 'PUT', `${url}/${checklist._id}/items/${changelog._id}`, { completed: true });
+    expect(checked.body.data.items[0]).toMatchObject({ completed: true, completedBy: String(owner._id) });
+    expect((await request(owner, 'GET', `/tasks/${task._id}`)).body.data.progress).toMatchObject({
+      percent: 50,
+      checklist: { done: 1, total: 2 }
+    });
+
+    const converted = await request(owner, 'POST', `${url}/${checklist._id}/items/${tag._id}/convert`);
+    expect(converted.status).toBe(201);
+    expect(converted.body.data).toMatchObject({ title: 'Tag release', parentTask: task._id, status: 'todo' });
+
+    const { body: { data: updated } } = await request(owner, 'GET', `/tasks/${task._id}`);
+    expect(updated.checklists[0].items.map(item => item.text)).toEqual(['Changelog']);
+    expect(updated.subtasks.map(subtask => subtask._id)).toEqual([converted.body.data._id]);
+    expect(updated.progress).toMatchObject({ percent: 50, subtasks: { done: 0, total: 1 }, checklist: { done: 1, total: 1 } });
+
+    expect((await request(owner, 'POST', `${url}/${checklist._id}/items`, { text: ' ' })).status).toBe(400);
+    expect((await request(owner, 'DELETE', `${url}/${checklist._id}/items/${tag._id}`)).status).toBe(404);
+    expect((await request(outsider, 'POST', url, { name: 'Sneaky' })).status).toBe(403);
+
+    expect((await request(owner, 'DELETE', `${url}/${checklist._id}`)).status).toBe(200);
+    expect((await db.tasks.findById(task._id)).checklists).toEqual([]);
+  });
+
+  it('runs task-created rules for checklist items turned into subtasks', async () => {
+    await db.automations.create({
+      name: 'Triage new tasks',
+      workspace: workspace._id,
+      trigger: { type: 'task-created' },
+      actions: [{ type: 'add-tag', tag: 'triage' }],
+      createdBy: owner._id
+    });
+    const task = await createTask('Release');
+    const url = `/tasks/${task._id}/checklists`;
+    const { body: { data: checklist } } = await request(owner, 'POST', url, { name: 'Before shipping' });
+    const { body: { data: filled } } = await request(owner, 'POST', `${url}/${checklist._id}/items`, { text: 'Tag release' });
+
+    const converted = await request(owner, 'POST', `${url}/${checklist._id}/items/${filled.items[0]._id}/convert`);
+    expect(converted.status).toBe(201);
+    expect(converted.body.data.tags).toEqual(['triage']);
+  });
+
+  it('moves subtasks between parents without creating loops', async () => {
+    const first = await createTask('First');
+    const second = await createTask('Second');
+    const child = await createTask('Child', { parentTask: first._id });
+    const grandchild = await createTask('Grandchild', { parentTask: child._id });
+
+    const moved = await request(owner, 'PUT', `/tasks/${child._id}/parent`, { parentTask: second._id });
+    expect(moved.status).toBe(200);
+    expect((await db.tasks.findById(first._id)).subtasks).toEqual([]);
+    expect((await db.tasks.findById(second._id)).subtasks.map(String)).toEqual([child._id]);
+
+    const loop = await request(owner, 'PUT', `/tasks/${second._id}/parent`, { parentTask: grandchild._id });
+    expect(loop.status).toBe(400);
+    expect(loop.body.message).toBe('A task cannot be moved under one of its own subtasks');
+    expect((await request(owner, 'PUT', `/tasks/${child._id}/parent`, {})).status).toBe(400);
+
+    const detached = await request(owner, 'PUT', `/tasks/${child._id}/parent`, { parentTask: null });
+    expect(detached.body.data.parentTask).toBeNull();
+    expect((await db.tasks.findById(second._id)).subtasks).toEqual([]);
+  });
+
+  it('deletes a task together with its whole subtree', async () => {
+    const root = await createTask('Root');
+    const child = await createTask('Child', { parentTask: root._id });
+    const grandchild = await createTask('Grandchild', { parentTask: child._id });
+    const other = await createTask('Other');
+    await request(owner, 'POST', `/tasks/${other._id}/dependencies`, { predecessor: grandchild._id });
+    await db.timeLogs.create({ user: owner._id, task: grandchild._id, workspace: workspace._id, duration: 10 });
+
+    expect((await request(owner, 'DELETE', `/tasks/${root._id}`)).status).toBe(200);
+    expect((await db.tasks.find({})).map(task => task.title)).toEqual(['Other']);
+    expect((await db.tasks.find({}, { withTrashed: true })).map(task => task.title).sort()).toEqual(['Child', 'Grandchild', 'Other', 'Root']);
+
+    expect((await request(owner, 'DELETE', `/trash/task/${root._id}`)).status).toBe(200);
+    expect((await db.tasks.find({}, { withTrashed: true })).map(task => task.title)).toEqual(['Other']);
+    expect((await db.tasks.findById(other._id)).dependencies).toEqual([]);
+    expect(await db.timeLogs.count({})).toBe(0);
+  });
+});
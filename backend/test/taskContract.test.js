@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { selectStorage } from '../repositories/index.js';
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  buildTask
+} from '../utils/taskContract.js';
+
+// Each backend creates a task the same way its routes do and returns a plain object
+const backends = [
+  {
+    name: 'mongoose',
+    newId: () => new mongoose.Types.ObjectId(),
+    create: async (data) => {
+      const task = new Task(buildTask(data));
+      await task.validate();
+      return task.toObject();
+    }
+  },
+  {
+    name: 'memory repository',
+    newId: () => new mongoose.Types.ObjectId(),
+    create: async (data) => selectStorage('memory').tasks.create(buildTask(data))
+  }
+];
+
+describe.each(backends)('task contract ($name)', ({ newId, create }) => {
+  const baseTask = () => ({
+    title: 'Write release notes',
+    workspace: newId(),
+    list: newId(),
+    createdBy: newId()
+  });
+
+  it('applies the canonical defaults', async () => {
+    const data = baseTask();
+    const task = await create(data);
+
+    expect(task.status).toBe('todo');
+    expect(task.priority).toBe('medium');
+    expect(task.description).toBe('');
+    expect(task.estimatedTime).toBe(0);
+    expect(task.assignees).toEqual([]);
+    expect(task.tags).toEqual([]);
+    expect(task.subtasks).toEqual([]);
+    expect(task.attachments).toEqual([]);
+    expect(task.parentTask).toBeNull();
+    expect(task.dependencies).toEqual([]);
+    expect(String(task.updatedBy)).toBe(String(data.createdBy));
+    expect(task.watchers.map(String)).toEqual([String(data.createdBy)]);
+  });
+
+  it('keeps every canonical field', async () => {
+    const assignee = newId();
+    const parentTask = newId();
+    const subtask = newId();
+    const predecessor = newId();
+    const data = {
+      ...baseTask(),
+      description: 'Summarize the sprint',
+      status: 'in-progress',
+      priority: 'high',
+      assignees: [assignee],
+      tags: ['docs'],
+      estimatedTime: 90,
+      startDate: '2026-01-01T00:00:00.000Z',
+      dueDate: '2026-01-05T00:00:00.000Z',
+      parentTask,
+      subtasks: [subtask],
+      dependencies: [{ task: predecessor, type: 'start-to-start' }],
+      attachments: [{ filename: 'notes.md', url: '/uploads/notes.md', size: 12 }]
+    };
+
+    const task = await create(data);
+
+    expect(task.title).toBe(data.title);
+    expect(String(task.workspace)).toBe(String(data.workspace));
+    expect(String(task.list)).toBe(String(data.list));
+    expect(task.status).toBe('in-progress');
+    expect(task.priority).toBe('high');
+    expect(task.assignees.map(entry => String(entry.user))).toEqual([String(assignee)]);
+    expect(String(task.assignees[0].assignedBy)).toBe(String(data.createdBy));
+    expect(task.tags).toEqual(['docs']);
+    expect(task.estimatedTime).toBe(90);
+    expect(new Date(task.dueDate).toISOString()).toBe(data.dueDate);
+    expect(String(task.parentTask)).toBe(String(parentTask));
+    expect(task.subtasks.map(String)).toEqual([String(subtask)]);
+    expect(task.dependencies.map(({ task, type }) => [String(task), type])).toEqual([[String(predecessor), 'start-to-start']]);
+    expect(task.attachments[0].filename).toBe('notes.md');
+  });
+
+  it.each(TASK_STATUSES)('accepts status %s', async (status) => {
+    const task = await create({ ...baseTask(), status });
+    expect(task.status).toBe(status);
+  });
+
+  it.each(TASK_PRIORITIES)('accepts priority %s', async (priority) => {
+    const task = await create({ ...baseTask(), priority });
+    expect(task.priority).toBe(priority);
+  });
+
+  it.each([
+    ['legacy status', { status: 'open' }],
+    ['display status', { status: 'To Do' }],
+    ['display priority', { priority: 'Medium' }],
+    ['missing title', { title: '' }],
+    ['missing list', { list: undefined }],
+    ['missing workspace', { workspace: undefined }],
+    ['missing creator', { createdBy: undefined }],
+    ['negative estimate', { estimatedTime: -5 }],
+    ['start after due', { startDate: '2026-02-01', dueDate: '2026-01-01' }],
+    ['unknown dependency type', { dependencies: [{ task: new mongoose.Types.ObjectId(), type: 'start-to-finish' }] }]
+  ])('rejects %s', async (_label, overrides) => {
+    await expect(create({ ...baseTask(), ...overrides })).rejects.toThrow();
+  });
+});
+
+describe('Task model', () => {
+  it('enforces the contract without going through buildTask', async () => {
+    const task = new Task({
+      title: 'Legacy task',
+      workspace: new mongoose.Types.ObjectId(),
+      list: new mongoose.Types.ObjectId(),
+      createdBy: new mongoose.Types.ObjectId(),
+      status: 'In Review'
+    });
+
+    await expect(task.validate()).rejects.toThrow(/status/);
+  });
+});
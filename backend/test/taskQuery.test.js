@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { db } from '../repositories/index.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+import { getRelativeRange } from '../services/taskQueryService.js';
+import { getWorkflow } from '../services/workflowService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Relative dates', () => {
+  // Wednesday, 15 October 2025, 23:30 in New York
+  const now = new Date('2025-10-16T03:30:00Z');
+  const iso = (range) => Object.fromEntries(Object.entries(range).map(([key, date]) => [key, date.toISOString()]));
+
+  it('counts days, weeks and months in the time zone of the user', () => {
+    expect(iso(getRelativeRange('today', { now, timeZone: 'America/New_York' }))).toEqual({
+      $gte: '2025-10-15T04:00:00.000Z',
+      $lt: '2025-10-16T04:00:00.000Z'
+    });
+    expect(iso(getRelativeRange('this-week', { now, timeZone: 'America/New_York' }))).toEqual({
+      $gte: '2025-10-13T04:00:00.000Z',
+      $lt: '2025-10-20T04:00:00.000Z'
+    });
+    expect(iso(getRelativeRange('next-month', { now }))).toEqual({
+      $gte: '2025-11-01T00:00:00.000Z',
+      $lt: '2025-12-01T00:00:00.000Z'
+    });
+    // The change back from summer time makes this range an hour longer
+    expect(iso(getRelativeRange('next-7-days', { now, timeZone: 'Europe/Berlin' }))).toEqual({
+      $gte: '2025-10-15T22:00:00.000Z',
+      $lt: '2025-10-22T22:00:00.000Z'
+    });
+    expect(iso(getRelativeRange('last-3-days', { now }))).toEqual({
+      $gte: '2025-10-14T00:00:00.000Z',
+      $lt: '2025-10-17T00:00:00.000Z'
+    });
+    expect(() => getRelativeRange('someday', { now })).toThrow('Unknown relative date: someday');
+  });
+});
+
+describe('Task queries and saved views', () => {
+  let owner;
+  let member;
+  let workspace;
+  let list;
+
+  const { request } = useTestServer();
+
+  const createTask = async (title, extra = {}) => {
+    const { status, body } = await request(owner, 'POST', '/tasks', { title, list: String(list._id), ...extra });
+    expect(status).toBe(201);
+    return body.data;
+  };
+
+  const query = (params) => request(owner, 'GET', `/tasks?workspaceId=${workspace._id}&${new URLSearchParams(params)}`);
+
+  const titles = async (params) => {
+    const { status, body } = await query(params);
+    expect(status).toBe(200);
+    return body.data.tasks.map(task => task.title);
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    workspace = await createWorkspace('Queries', owner, [member]);
+    ({ list } = await createList(workspace, owner));
+  });
+
+  beforeEach(async () => {
+    await db.tasks.deleteMany({});
+    await db.savedViews.deleteMany({});
+    await db.customFields.deleteMany({});
+  });
+
+  it('combines dueBefore and dueAfter', async () => {
+    const now = Date.now();
+    await createTask('Past', { dueDate: new Date(now - 10 * DAY).toISOString() });
+    await createTask('Soon', { dueDate: new Date(now + 2 * DAY).toISOString() });
+    await createTask('Later', { dueDate: new Date(now + 30 * DAY).toISOString() });
+
+    expect(await titles({
+      dueAfter: new Date(now).toISOString(),
+      dueBefore: new Date(now + 7 * DAY).toISOString()
+    })).toEqual(['Soon']);
+  });
+
+  it('filters with AND/OR groups, multi-value and relative date conditions', async () => {
+    const now = Date.now();
+    await createTask('Bug today', { status: 'todo', priority: 'high', tags: ['bug', 'ui'], dueDate: new Date(now).toISOString(), assignees: [String(owner._id)] });
+    await createTask('Bug later', { status: 'review', priority: 'low', tags: ['bug'], dueDate: new Date(now + 40 * DAY).toISOString() });
+    await createTask('Done chore', { status: 'done', priority: 'high', tags: ['chore'], assignees: [String(member._id)] });
+    await createTask('Untagged', { status: 'in-progress', priority: 'urgent' });
+
+    const sort = 'title';
+    const filter = (value) => ({ filter: JSON.stringify(value), sort });
+
+    expect(await titles(filter({
+      or: [
+        { field: 'status', op: 'in', value: ['review', 'in-progress'] },
+        { and: [{ field: 'priority', op: 'in', value: 'high' }, { field: 'statusCategory', op: 'eq', value: 'open' }] }
+      ]
+    }))).toEqual(['Bug later', 'Bug today', 'Untagged']);
+    expect(await titles(filter({ field: 'tags', op: 'all', value: ['bug', 'ui'] }))).toEqual(['Bug today']);
+    expect(await titles(filter({ field: 'tags', op: 'set', value: false }))).toEqual(['Untagged']);
+    expect(await titles(filter({ field: 'assignee', op: 'in', value: 'me' }))).toEqual(['Bug today']);
+    expect(await titles(filter({ field: 'dueDate', op: 'within', value: 'today' }))).toEqual(['Bug today']);
+    expect(await titles(filter({ field: 'dueDate', op: 'within', value: 'next-60-days' }))).toEqual(['Bug later', 'Bug today']);
+    expect(await titles(filter({ and: [{ field: 'title', op: 'contains', value: 'BUG' }, { field: 'status', op: 'nin', value: ['todo'] }] }))).toEqual(['Bug later']);
+
+    const errors = [
+      [filter({ field: 'color', op: 'in', value: 'red' }), 'Unknown filter field: color'],
+      [filter({ field: 'completedAt', op: 'set', value: true }), 'Unknown filter field: completedAt'],
+      [filter({ field: 'status', op: 'contains', value: 'to' }), 'status cannot be filtered with "contains"'],
+      [filter({ field: 'dueDate', op: 'within', value: 'someday' }), /^Unknown relative date: someday/],
+      [filter({ or: [] }), '"or" needs a list of conditions'],
+      [{ filter: '{nope' }, 'filter must be JSON'],
+      [{ sort: 'colour:desc' }, 'Cannot sort by colour'],
+      [{ groupBy: 'dueDate' }, 'Cannot group by dueDate']
+    ];
+    for (const [params, message] of errors) {
+      const { status, body } = await query(params);
+      expect(status).toBe(400);
+      expect(body.message).toMatch(message);
+    }
+  });
+
+  it('sorts by several keys and groups the result', async () => {
+    await createTask('Alpha', { status: 'review', priority: 'high', tags: ['ui'] });
+    await createTask('Beta', { status: 'todo', priority: 'urgent', tags: ['ui', 'api'] });
+    await createTask('Gamma', { status: 'todo', priority: 'high' });
+    await createTask('Delta', { status: 'done', priority: 'low', tags: ['api'] });
+
+    expect(await titles({ sort: 'priority:desc,title' })).toEqual(['Beta', 'Alpha', 'Gamma', 'Delta']);
+    expect(await titles({ sort: 'status,title:desc' })).toEqual(['Gamma', 'Beta', 'Alpha', 'Delta']);
+
+    const { body: { data: byStatus } } = await query({ groupBy: 'status', sort: 'title', limit: 2 });
+    expect(byStatus.tasks.map(task => task.title)).toEqual(['Beta', 'Gamma']);
+    expect(byStatus.groups).toEqual([
+      { key: 'todo', count: 2, taskIds: byStatus.tasks.map(task => task._id) },
+      { key: 'review', count: 1, taskIds: [] },
+      { key: 'done', count: 1, taskIds: [] }
+    ]);
+    expect(byStatus.pagination).toMatchObject({ total: 4, pages: 2 });
+
+    const { body: { data: byTag } } = await query({ groupBy: 'tags', sort: 'title' });
+    const idsOf = (...names) => names.map(name => byTag.tasks.find(task => task.title === name)._id);
+    expect(byTag.groups).toEqual([
+      { key: 'api', count: 2, taskIds: idsOf('Beta', 'Delta') },
+      { key: 'ui', count: 2, taskIds: idsOf('Alpha', 'Beta') },
+      { key: null, count: 1, taskIds: idsOf('Gamma') }
+    ]);
+  });
+
+  it('filters by custom fields and keeps formulas out of OR groups', async () => {
+    const { body: { data: points } } = await request(owner, 'POST', '/custom-fields', { workspace: String(workspace._id), name: 'Points', type: 'number' });
+    const { body: { data: double } } = await request(owner, 'POST', '/custom-fields', {
+      workspace: String(workspace._id), name: 'Double', type: 'formula', formula: '{Points} * 2'
+    });
+    await createTask('Small', { customFields: [{ field: points._id, value: 1 }] });
+    await createTask('Large', { customFields: [{ field: points._id, value: 8 }] });
+
+    expect(await titles({
+      filter: JSON.stringify({ and: [{ field: `cf.${double._id}`, op: 'gt', value: 10 }, { field: 'title', op: 'contains', value: 'l' }] })
+    })).toEqual(['Large']);
+    expect(await titles({
+      filter: JSON.stringify({ or: [{ field: `cf.${points._id}`, op: 'lt', value: 2 }, { field: 'title', op: 'contains', value: 'nothing' }] })
+    })).toEqual(['Small']);
+    expect(await titles({ sort: `cf.${double._id}:desc` })).toEqual(['Large', 'Small']);
+
+    const mixed = await query({
+      filter: JSON.stringify({ or: [{ field: `cf.${double._id}`, op: 'gt', value: 10 }, { field: 'status', op: 'in', value: 'todo' }] })
+    });
+    expect(mixed.body.message).toBe('Formula fields can only be combined with AND');
+  });
+
+  it('saves views, shares them and applies them to task queries', async () => {
+    await createTask('Urgent one', { priority: 'urgent', assignees: [String(member._id)] });
+    await createTask('Urgent two', { priority: 'urgent' });
+    await createTask('Calm', { priority: 'low', assignees: [String(member._id)] });
+
+    const invalid = await request(owner, 'POST', '/views', {
+      workspace: String(workspace._id), name: 'Broken', filter: { field: 'mood', op: 'in', value: 'happy' }
+    });
+    expect(invalid.body.message).toBe('Unknown filter field: mood');
+
+    const { status, body: { data: urgent } } = await request(owner, 'POST', '/views', {
+      workspace: String(workspace._id),
+      name: 'Urgent',
+      shared: true,
+      layout: 'board',
+      filter: { field: 'priority', op: 'in', value: ['urgent'] },
+      sort: 'title:desc'
+    });
+    expect(status).toBe(201);
+    const { body: { data: mine } } = await request(member, 'POST', '/views', {
+      workspace: String(workspace._id),
+      name: 'Assigned to me',
+      filter: { field: 'assignee', op: 'in', value: ['me'] },
+      sort: 'title'
+    });
+
+    const { body: { data: ownerViews } } = await request(owner, 'GET', `/views?workspaceId=${workspace._id}`);
+    expect(ownerViews.map(view => view.name)).toEqual(['Urgent']);
+    const { body: { data: memberViews } } = await request(member, 'GET', `/views?workspaceId=${workspace._id}`);
+    expect(memberViews.map(view => view.name)).toEqual(['Assigned to me', 'Urgent']);
+
+    const viewTitles = async (user, viewId, extra = '') => {
+      const { body } = await request(user, 'GET', `/tasks?view=${viewId}${extra}`);
+      return body.data.tasks.map(task => task.title);
+    };
+    expect(await viewTitles(member, urgent._id)).toEqual(['Urgent two', 'Urgent one']);
+    expect(await viewTitles(member, urgent._id, '&sort=title')).toEqual(['Urgent one', 'Urgent two']);
+    expect(await viewTitles(member, mine._id)).toEqual(['Calm', 'Urgent one']);
+    expect((await request(owner, 'GET', `/tasks?view=${mine._id}`)).status).toBe(404);
+
+    expect((await request(member, 'PUT', `/views/${urgent._id}`, { name: 'Mine now' })).status).toBe(403);
+    const renamed = await request(owner, 'PUT', `/views/${urgent._id}`, { name: 'Fire', shared: false });
+    expect(renamed.body.data).toMatchObject({ name: 'Fire', shared: false, layout: 'board' });
+    expect((await request(member, 'GET', `/views/${urgent._id}`)).status).toBe(404);
+
+    expect((await request(member, 'DELETE', `/views/${mine._id}`)).status).toBe(200);
+    expect(await db.savedViews.count({})).toBe(1);
+  });
+
+  it('keeps views working after statuses and priorities are renamed', async () => {
+    await createTask('Reviewing', { status: 'review', priority: 'urgent' });
+    await createTask('Waiting', { status: 'todo', priority: 'urgent' });
+    await createTask('Calm', { status: 'review', priority: 'low' });
+
+    const { body: { data: view } } = await request(owner, 'POST', '/views', {
+      workspace: String(workspace._id),
+      name: 'Urgent reviews',
+      filter: { and: [{ field: 'status', op: 'in', value: ['review'] }, { or: [{ field: 'priority', op: 'in', value: 'urgent' }] }] },
+      sort: 'priority:desc',
+      groupBy: 'status'
+    });
+
+    const { statuses, priorities } = getWorkflow(workspace);
+    const rename = (options, key, name) => options.map(option => (option.key === key ? { ...option, name } : option));
+    await request(owner, 'PUT', `/workspaces/${workspace._id}/statuses`, { statuses: rename(statuses, 'review', 'QA') });
+    await request(owner, 'PUT', `/workspaces/${workspace._id}/priorities`, { priorities: rename(priorities, 'urgent', 'Critical') });
+
+    expect((await db.savedViews.findById(view._id)).filter).toEqual({
+      and: [{ field: 'status', op: 'in', value: ['qa'] }, { or: [{ field: 'priority', op: 'in', value: 'critical' }] }]
+    });
+    const { body } = await request(owner, 'GET', `/tasks?view=${view._id}`);
+    expect(body.data.tasks.map(task => task.title)).toEqual(['Reviewing']);
+  });
+});
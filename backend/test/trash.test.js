@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { db } from '../repositories/index.js';
+import { useTestServer, createUser, createWorkspace, createList } from './helpers.js';
+import { purgeExpiredTrash } from '../services/trashService.js';
+
+describe('Trash', () => {
+  let owner;
+  let member;
+  let outsider;
+  let workspace;
+  let space;
+  let folder;
+  let list;
+
+  const { request } = useTestServer();
+
+  const createTask = async (title, extra = {}) => {
+    const { body } = await request(owner, 'POST', '/tasks', { title, list: String(list._id), ...extra });
+    return body.data;
+  };
+
+  const getTrash = async (user = owner) => {
+    const { status, body } = await request(user, 'GET', `/trash?workspaceId=${workspace._id}`);
+    expect(status).toBe(200);
+    return body.data;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    outsider = await createUser('Outsider');
+  });
+
+  beforeEach(async () => {
+    for (const collection of ['workspaces', 'spaces', 'folders', 'lists', 'tasks', 'timeLogs', 'activities']) {
+      await db[collection].deleteMany({});
+    }
+
+    workspace = await createWorkspace('Cleanup', owner, [member]);
+    ({ space, folder, list } = await createList(workspace, owner, { list: 'Backlog' }));
+  });
+
+  it('moves a task and its subtasks to the trash and restores them', async () => {
+    const root = await createTask('Root');
+    const child = await createTask('Child', { parentTask: root._id });
+    await createTask('Other');
+
+    expect((await request(member, 'DELETE', `/tasks/${root._id}`)).status).toBe(200);
+    expect((await request(owner, 'GET', `/tasks/${child._id}`)).status).toBe(404);
+    const visible = await request(owner, 'GET', `/tasks?list=${list._id}`);
+    expect(visible.body.data.tasks.map(task => task.title)).toEqual(['Other']);
+
+    const trash = await getTrash(member);
+    expect(trash).toHaveLength(1);
+    expect(trash[0]).toMatchObject({ type: 'task', _id: root._id, name: 'Root', contents: 1, trashedBy: { name: 'Member' } });
+    expect(new Date(trash[0].purgeAt) - new Date(trash[0].trashedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+
+    // Only the item deleted itself can be restored
+    expect((await request(owner, 'POST', `/trash/task/${child._id}/restore`)).status).toBe(404);
+
+    const restored = await request(member, 'POST', `/trash/task/${root._id}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data.restored).toBe(1);
+
+    const back = await request(owner, 'GET', `/tasks/${root._id}`);
+    expect(back.body.data.subtasks.map(subtask => subtask._id)).toEqual([child._id]);
+    expect(await getTrash()).toEqual([]);
+
+    const activity = await db.activities.find({ task: root._id }, { sort: { createdAt: 1 } });
+    expect(activity.map(entry => entry.action)).toEqual(['created', 'deleted', 'restored']);
+  });
+
+  it('carries trashed tasks over to renamed statuses', async () => {
+    const task = await createTask('Waiting', { status: 'review' });
+    await request(owner, 'DELETE', `/tasks/${task._id}`);
+
+    const statuses = [
+      { key: 'todo', name: 'To Do' },
+      { key: 'in-progress', name: 'In Progress' },
+      { key: 'review', name: 'QA' },
+      { key: 'done', name: 'Done', category: 'done' }
+    ];
+    const renamed = await request(owner, 'PUT', `/workspaces/${workspace._id}/statuses`, { statuses });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.data).toMatchObject({ renames: [{ from: 'review', to: 'qa' }], migratedTasks: 1 });
+
+    // A status that only trashed tasks still use cannot be removed either
+    const removed = await request(owner, 'PUT', `/workspaces/${workspace._id}/statuses`, {
+      statuses: statuses.filter(status => status.key !== 'review')
+    });
+    expect(removed.status).toBe(400);
+    expect(removed.body.message).toMatch(/archive it instead/);
+
+    expect((await request(owner, 'POST', `/trash/task/${task._id}/restore`)).status).toBe(200);
+    expect((await request(owner, 'GET', `/tasks/${task._id}`)).body.data.status).toBe('qa');
+  });
+
+  it('takes the contents of a space along and restores in order', async () => {
+    const task = await createTask('Inside');
+    const loose = await createTask('Deleted first');
+    await request(owner, 'DELETE', `/tasks/${loose._id}`);
+
+    expect((await request(member, 'DELETE', `/spaces/${space._id}`)).status).toBe(200);
+    expect((await request(owner, 'GET', `/lists/${list._id}`)).status).toBe(404);
+    expect((await request(owner, 'GET', `/spaces?workspace=${workspace._id}`)).body.data).toEqual([]);
+
+    const trash = await getTrash();
+    expect(trash.map(entry => [entry.type, entry.contents])).toEqual([['space', 3], ['task', 0]]);
+
+    // A task deleted on its own waits for its list to come back
+    const early = await request(owner, 'POST', `/trash/task/${loose._id}/restore`);
+    expect(early.status).toBe(409);
+    expect(early.body.message).toBe('Restore the list this task belongs to first');
+
+    expect((await request(owner, 'POST', `/trash/space/${space._id}/restore`)).status).toBe(200);
+    expect((await request(owner, 'GET', `/tasks/${task._id}`)).status).toBe(200);
+    expect((await request(owner, 'GET', `/tasks/${loose._id}`)).status).toBe(404);
+    expect((await request(owner, 'POST', `/trash/task/${loose._id}/restore`)).status).toBe(200);
+  });
+
+  it('lets only admins delete for good', async () => {
+    const task = await createTask('Purge me');
+    await db.timeLogs.create({ user: owner._id, task: task._id, workspace: workspace._id, duration: 10 });
+    await request(member, 'DELETE', `/lists/${list._id}`);
+
+    expect((await request(member, 'DELETE', `/trash/list/${list._id}`)).status).toBe(403);
+    expect((await request(outsider, 'GET', `/trash?workspaceId=${workspace._id}`)).status).toBe(403);
+    expect((await request(owner, 'DELETE', `/trash/project/${list._id}`)).status).toBe(400);
+
+    expect((await request(owner, 'DELETE', `/trash/list/${list._id}`)).status).toBe(200);
+    expect(await db.tasks.count({}, { withTrashed: true })).toBe(0);
+    expect(await db.timeLogs.count({})).toBe(0);
+    expect((await db.folders.findById(folder._id)).lists).toEqual([]);
+    expect(await getTrash()).toEqual([]);
+  });
+
+  it('keeps deleted workspaces for their owner only', async () => {
+    expect((await request(member, 'DELETE', `/workspaces/${workspace._id}`)).status).toBe(403);
+    expect((await request(owner, 'DELETE', `/workspaces/${workspace._id}`)).status).toBe(200);
+    expect((await request(owner, 'GET', '/workspaces')).body.data).toEqual([]);
+    expect((await request(member, 'GET', `/workspaces/${workspace._id}`)).status).toBe(404);
+
+    const deleted = await request(owner, 'GET', '/trash/workspaces');
+    expect(deleted.body.data.map(entry => entry.name)).toEqual(['Cleanup']);
+    expect((await request(member, 'GET', '/trash/workspaces')).body.data).toEqual([]);
+    expect((await request(member, 'POST', `/trash/workspace/${workspace._id}/restore`)).status).toBe(403);
+
+    expect((await request(owner, 'POST', `/trash/workspace/${workspace._id}/restore`)).status).toBe(200);
+    expect((await request(member, 'GET', `/lists/${list._id}`)).status).toBe(200);
+  });
+
+  it('purges a workspace together with everything that belongs to it', async () => {
+    const other = await createWorkspace('Other', owner);
+    const task = await createTask('Linked');
+    const elsewhere = await db.tasks.create({ title: 'Elsewhere', workspace: other._id, list: other._id, createdBy: owner._id });
+    const seed = async (workspaceId, taskId) => {
+      const automation = await db.automations.create({ name: 'Rule', workspace: workspaceId, trigger: { type: 'task-created' }, createdBy: owner._id });
+      await db.automationRuns.create({ automation: automation._id, workspace: workspaceId, trigger: 'task-created', status: 'success' });
+      const webhook = await db.webhooks.create({ workspace: workspaceId, url: 'http://127.0.0.1:9/hook', secret: 'secret', createdBy: owner._id });
+      await db.webhookDeliveries.create({ webhook: webhook._id, workspace: workspaceId, event: 'task.created', body: '{}' });
+      await db.integrations.create({ workspace: workspaceId, provider: 'github', secret: 'secret', createdBy: owner._id });
+      await db.githubLinks.create({ workspace: workspaceId, task: taskId, kind: 'commit', repository: 'octo/app', ref: 'abc' });
+      await db.notifications.create({ recipient: member._id, type: 'assignment', workspace: workspaceId, message: 'Hi' });
+      await db.invitations.create({ email: 'new@example.com', workspaceId, invitedBy: owner._id, token: String(workspaceId), expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+    };
+    await seed(workspace._id, task._id);
+    await seed(other._id, elsewhere._id);
+
+    await request(owner, 'DELETE', `/workspaces/${workspace._id}`);
+    expect((await request(owner, 'DELETE', `/trash/workspace/${workspace._id}`)).status).toBe(200);
+
+    const collections = ['automations', 'automationRuns', 'webhooks', 'webhookDeliveries', 'integrations', 'githubLinks', 'notifications'];
+    for (const collection of collections) {
+      expect(await db[collection].count({ workspace: workspace._id }), collection).toBe(0);
+      expect(await db[collection].count({ workspace: other._id }), collection).toBe(1);
+    }
+    expect(await db.invitations.count({ workspaceId: workspace._id })).toBe(0);
+    expect(await db.invitations.count({ workspaceId: other._id })).toBe(1);
+    expect(await db.tasks.count({}, { withTrashed: true })).toBe(1);
+  });
+
+  it('purges what has been in the trash longer than the retention period', async () => {
+    const old = await createTask('Old');
+    const recent = await createTask('Recent');
+    await request(owner, 'DELETE', `/tasks/${old._id}`);
+    await request(owner, 'DELETE', `/tasks/${recent._id}`);
+    await request(owner, 'DELETE', `/folders/${folder._id}`);
+    await db.tasks.updateById(old._id, { trashedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+    expect(await purgeExpiredTrash()).toBe(1);
+    expect((await db.tasks.find({}, { withTrashed: true })).map(task => task.title)).toEqual(['Recent']);
+
+    // Later on the folder goes, taking its list and the task deleted before it along
+    expect(await purgeExpiredTrash(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000))).toBe(1);
+    expect(await db.lists.count({}, { withTrashed: true })).toBe(0);
+    expect(await db.tasks.count({}, { withTrashed: true })).toBe(0);
+  });
+});
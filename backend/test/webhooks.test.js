@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'http';
+import crypto from 'crypto';
+import { db } from '../repositories/index.js';
+import {
+  publishEvent,
+  processWebhookQueue,
+  redeliver,
+  settleDeliveries,
+  signPayload
+} from '../services/webhookService.js';
+import { MAX_DELIVERY_ATTEMPTS, getRetryDelay } from '../utils/webhookContract.js';
+import { resetStorage, createUser, createWorkspace } from './helpers.js';
+
+describe('outgoing webhooks', () => {
+  let receiver;
+  let received = [];
+  let failing = false;
+  let owner;
+  let workspace;
+
+  beforeAll(async () => {
+    receiver = createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, raw });
+        res.writeHead(failing ? 503 : 204).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    resetStorage();
+    owner = await createUser('Owner');
+    workspace = await createWorkspace('Hooks', owner);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    failing = false;
+    await db.webhooks.deleteMany({});
+    await db.webhookDeliveries.deleteMany({});
+  });
+
+  const createWebhook = (events, extra = {}) => db.webhooks.create({
+    workspace: workspace._id,
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    events,
+    secret: 'shh',
+    createdBy: owner._id,
+    ...extra
+  });
+
+  it('sends signed payloads to subscribed webhooks only', async () => {
+    await createWebhook(['task.created']);
+    await createWebhook(['task.deleted']);
+    await createWebhook(['task.created'], { active: false });
+
+    const [delivery] = await publishEvent(workspace._id, 'task.created', { task: { title: 'Hello' } });
+    await settleDeliveries();
+
+    expect(received).toHaveLength(1);
+    const { headers, raw } = received[0];
+    expect(JSON.parse(raw)).toMatchObject({ event: 'task.created', data: { task: { title: 'Hello' } } });
+    expect(headers['x-webhook-event']).toBe('task.created');
+    expect(headers['x-webhook-delivery']).toBe(String(delivery._id));
+
+    const expected = crypto.createHmac('sha256', 'shh').update(`${headers['x-webhook-timestamp']}.${raw}`).digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(signPayload('shh', headers['x-webhook-timestamp'], raw)).toBe(headers['x-webhook-signature']);
+
+    expect(await db.webhookDeliveries.findById(delivery._id)).toMatchObject({
+      status: 'success',
+      attempts: 1,
+      responseStatus: 204,
+      nextAttemptAt: null
+    });
+  });
+
+  it('retries with exponential backoff and gives up after the last attempt', async () => {
+    await createWebhook(['comment.created']);
+    failing = true;
+
+    const [delivery] = await publishEvent(workspace._id, 'comment.created', { comment: { content: 'Hi' } });
+    await settleDeliveries();
+
+    let current = await db.webhookDeliveries.findById(delivery._id);
+    expect(current).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 503 });
+    expect(new Date(current.nextAttemptAt) - new Date(current.lastAttemptAt)).toBe(getRetryDelay(1));
+
+    // Not due yet
+    expect(await processWebhookQueue(new Date())).toBe(0);
+
+    for (let attempt = 2; attempt <= MAX_DELIVERY_ATTEMPTS; attempt += 1) {
+      expect(await processWebhookQueue(new Date(current.nextAttemptAt))).toBe(1);
+      current = await db.webhookDeliveries.findById(delivery._id);
+      expect(current.attempts).toBe(attempt);
+    }
+
+    expect(current).toMatchObject({ status: 'failed', nextAttemptAt: null });
+    expect(received).toHaveLength(MAX_DELIVERY_ATTEMPTS);
+    // Every retry carries the same payload
+    expect(new Set(received.map(request => request.raw)).size).toBe(1);
+  });
+
+  it('redelivers a logged delivery by hand', async () => {
+    const webhook = await createWebhook(['timer.stopped']);
+    failing = true;
+    const [delivery] = await publishEvent(workspace._id, 'timer.stopped', { timeLog: { duration: 5 } });
+    await settleDeliveries();
+
+    failing = false;
+    const redelivery = await redeliver(delivery, webhook);
+    expect(redelivery).toMatchObject({ status: 'success', redeliveryOf: delivery._id, event: 'timer.stopped' });
+    expect(received[1].raw).toBe(received[0].raw);
+  });
+
+  it('gives up pending deliveries of deactivated webhooks', async () => {
+    const webhook = await createWebhook(['task.updated']);
+    failing = true;
+    const [delivery] = await publishEvent(workspace._id, 'task.updated', { task: {} });
+    await settleDeliveries();
+
+    await db.webhooks.updateById(webhook._id, { active: false });
+    await processWebhookQueue(new Date(Date.now() + getRetryDelay(1)));
+
+    expect(await db.webhookDeliveries.findById(delivery._id)).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(received).toHaveLength(1);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import mongoose from 'mongoose';
+import { buildTask, toWorkflowKey, getDefaultStatus } from '../utils/taskContract.js';
+import { getWorkflow, getStatusKeys } from '../services/workflowService.js';
+
+describe('workspace workflow', () => {
+  it('falls back to the default statuses and priorities', () => {
+    const { statuses, priorities } = getWorkflow({ settings: {} });
+
+    expect(statuses.map(status => status.key)).toEqual(['todo', 'in-progress', 'review', 'done']);
+    expect(priorities.map(priority => priority.key)).toEqual(['low', 'medium', 'high', 'urgent']);
+    expect(getStatusKeys({ statuses }, 'done')).toEqual(['done']);
+  });
+
+  it('resolves keys and categories of workspaces saved before they existed', () => {
+    const { statuses } = getWorkflow({
+      settings: {
+        taskStatuses: [
+          { name: 'Done', color: '#10B981', order: 2 },
+          { name: 'To Do', color: '#6B7280', order: 0 },
+          { name: 'Blocked by QA', color: '#EF4444', order: 1 }
+        ]
+      }
+    });
+
+    expect(statuses).toEqual([
+      { key: 'todo', name: 'To Do', color: '#6B7280', order: 0, archived: false, category: 'open' },
+      { key: 'blocked-by-qa', name: 'Blocked by QA', color: '#EF4444', order: 1, archived: false, category: 'open' },
+      { key: 'done', name: 'Done', color: '#10B981', order: 2, archived: false, category: 'done' }
+    ]);
+  });
+
+  it('derives keys from names', () => {
+    expect(toWorkflowKey('  Waiting on Client! ')).toBe('waiting-on-client');
+    expect(toWorkflowKey('QA / Review')).toBe('qa-review');
+  });
+
+  it('validates tasks against a custom workflow', () => {
+    const workflow = {
+      statuses: [
+        { key: 'backlog', name: 'Backlog', category: 'open', archived: true },
+        { key: 'triage', name: 'Triage', category: 'open' },
+        { key: 'shipped', name: 'Shipped', category: 'done' }
+      ],
+      priorities: [{ key: 'p1', name: 'P1' }, { key: 'p2', name: 'P2' }]
+    };
+    const base = {
+      title: 'Custom flow',
+      workspace: new mongoose.Types.ObjectId(),
+      list: new mongoose.Types.ObjectId(),
+      createdBy: new mongoose.Types.ObjectId()
+    };
+
+    const task = buildTask(base, workflow);
+    expect(getDefaultStatus(workflow)).toBe('triage');
+    expect(task.status).toBe('triage');
+    expect(task.priority).toBe('p1');
+
+    expect(buildTask({ ...base, status: 'shipped' }, workflow).status).toBe('shipped');
+    expect(() => buildTask({ ...base, status: 'todo' }, workflow)).toThrow(/Invalid status/);
+    expect(() => buildTask({ ...base, status: 'backlog' }, workflow)).toThrow(/Invalid status/);
+    expect(() => buildTask({ ...base, priority: 'medium' }, workflow)).toThrow(/Invalid priority/);
+  });
+});
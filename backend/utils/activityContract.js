@@ -0,0 +1,46 @@
+import { query } from 'express-validator';
+
+/**
+ * Shape of the task activity log, shared by the Mongoose model, the activity
+ * routes and services/activityService.js
+ */
+
+export const ACTIVITY_ACTIONS = ['created', 'updated', 'deleted', 'restored'];
+
+// Task fields whose changes are recorded, one entry per field
+export const ACTIVITY_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'startDate',
+  'estimatedTime',
+  'assignees',
+  'tags',
+  'list',
+  'parentTask',
+  'dependencies',
+  'customFields',
+  'recurrence'
+];
+
+// What made the change: a person, or something acting for them
+export const ACTIVITY_SOURCES = ['user', 'automation', 'github', 'slack', 'dependency', 'recurrence'];
+
+const isIdList = value => String(value).split(',').every(Boolean);
+
+// Validation rules for reading the activity feed
+export const listActivityValidation = [
+  query('workspaceId').optional().notEmpty().withMessage('Invalid workspace'),
+  query('taskId').optional().notEmpty().withMessage('Invalid task'),
+  query('actor').optional().custom(isIdList).withMessage('actor must be a comma separated list of user IDs'),
+  query('action').optional().isIn(ACTIVITY_ACTIONS).withMessage('Invalid action'),
+  query('field').optional().custom(value => String(value).split(',').every(field => ACTIVITY_FIELDS.includes(field)))
+    .withMessage(`field must be a comma separated list of: ${ACTIVITY_FIELDS.join(', ')}`),
+  query('source').optional().isIn(ACTIVITY_SOURCES).withMessage('Invalid source'),
+  query('since').optional().isISO8601().withMessage('Invalid since date'),
+  query('until').optional().isISO8601().withMessage('Invalid until date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
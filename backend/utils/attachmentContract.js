@@ -0,0 +1,35 @@
+import process from 'process';
+
+/**
+ * Files attached to tasks and comments, shared by the Task model, the
+ * attachment routes and services/attachmentService.js
+ */
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Read when a file arrives, so MAX_FILE_SIZE from .env applies
+export const getMaxFileSize = () => Number(process.env.MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE;
+
+// Images that get a thumbnail and are shown inline
+export const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Served inline; everything else is downloaded, so uploaded markup never runs in the browser
+export const INLINE_TYPES = [...PREVIEW_TYPES, 'application/pdf'];
+
+export const ATTACHMENT_TYPES = [
+  ...PREVIEW_TYPES,
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+export const THUMBNAIL_SIZE = 320;
@@ -0,0 +1,92 @@
+import { body, query } from 'express-validator';
+import { TASK_LIMITS, WORKFLOW_KEY_PATTERN } from './taskContract.js';
+
+/**
+ * Shape of automation rules (trigger → conditions → actions), shared by the
+ * Mongoose models, the automation routes and the rule engine
+ */
+
+export const AUTOMATION_TRIGGERS = [
+  'task-created',
+  'status-changed',
+  'assignee-changed',
+  'due-date-passed',
+  'comment-added'
+];
+
+// Task fields conditions can test, and how they compare
+export const CONDITION_FIELDS = ['status', 'priority', 'assignee', 'tag', 'list', 'title'];
+export const CONDITION_OPERATORS = ['is', 'is-not', 'contains', 'is-set', 'is-not-set'];
+
+export const AUTOMATION_ACTIONS = [
+  'change-status',
+  'assign',
+  'add-tag',
+  'create-subtask',
+  'post-comment',
+  'send-notification',
+  'call-webhook'
+];
+
+// What each action needs besides its type
+export const ACTION_FIELDS = {
+  'change-status': ['status'],
+  assign: ['user'],
+  'add-tag': ['tag'],
+  'create-subtask': ['title'],
+  'post-comment': ['content'],
+  'send-notification': ['message'],
+  'call-webhook': ['url']
+};
+
+export const RUN_STATUSES = ['success', 'failed', 'skipped'];
+
+export const AUTOMATION_LIMITS = {
+  name: 100,
+  conditions: 10,
+  actions: 10,
+  text: 2000
+};
+
+// Changes made by automations may trigger further rules, up to this many in a row
+export const MAX_AUTOMATION_DEPTH = 3;
+
+const ruleValidation = (optional) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    required(body('name')).trim().isLength({ min: 1, max: AUTOMATION_LIMITS.name }).withMessage(`Name is required and cannot exceed ${AUTOMATION_LIMITS.name} characters`),
+    body('list').optional({ values: 'null' }).notEmpty().withMessage('Invalid list'),
+    body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+    required(body('trigger.type')).isIn(AUTOMATION_TRIGGERS).withMessage('Invalid trigger'),
+    body('trigger.from').optional({ values: 'null' }).matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+    body('trigger.to').optional({ values: 'null' }).matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+    body('conditions').optional().isArray({ max: AUTOMATION_LIMITS.conditions }).withMessage(`Up to ${AUTOMATION_LIMITS.conditions} conditions are allowed`),
+    body('conditions.*.field').isIn(CONDITION_FIELDS).withMessage('Invalid condition field'),
+    body('conditions.*.operator').isIn(CONDITION_OPERATORS).withMessage('Invalid condition operator'),
+    body('conditions.*.value').optional().isString().withMessage('Condition value must be a string'),
+    required(body('actions')).isArray({ min: 1, max: AUTOMATION_LIMITS.actions }).withMessage(`Between 1 and ${AUTOMATION_LIMITS.actions} actions are required`),
+    body('actions.*.type').isIn(AUTOMATION_ACTIONS).withMessage('Invalid action'),
+    body('actions.*.status').optional().matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+    body('actions.*.title').optional().trim().isLength({ max: TASK_LIMITS.title }).withMessage(`Subtask title cannot exceed ${TASK_LIMITS.title} characters`),
+    body(['actions.*.content', 'actions.*.message']).optional().trim().isLength({ max: AUTOMATION_LIMITS.text }).withMessage(`Text cannot exceed ${AUTOMATION_LIMITS.text} characters`),
+    body('actions.*.url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('Webhook URL must be an http(s) URL')
+  ];
+};
+
+// Validation rules for creating an automation
+export const createAutomationValidation = [
+  body('workspace').notEmpty().withMessage('Workspace is required'),
+  ...ruleValidation(false)
+];
+
+// Validation rules for updating an automation
+export const updateAutomationValidation = ruleValidation(true);
+
+// Validation rules for listing the runs of an automation
+export const listRunsValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(RUN_STATUSES).withMessage('Invalid run status')
+];
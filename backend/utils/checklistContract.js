@@ -0,0 +1,36 @@
+import { body } from 'express-validator';
+
+/**
+ * Checklists inside a task, shared by the Task model and the checklist routes
+ */
+
+export const CHECKLIST_LIMITS = {
+  name: 100,
+  item: 500,
+  items: 200
+};
+
+const nameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: CHECKLIST_LIMITS.name })
+  .withMessage(`Checklist name is required and cannot exceed ${CHECKLIST_LIMITS.name} characters`);
+
+const textRule = () => body('text')
+  .trim()
+  .isLength({ min: 1, max: CHECKLIST_LIMITS.item })
+  .withMessage(`Item text is required and cannot exceed ${CHECKLIST_LIMITS.item} characters`);
+
+// Validation rules for creating or renaming a checklist
+export const checklistValidation = [nameRule()];
+
+// Validation rules for adding an item
+export const createChecklistItemValidation = [
+  textRule(),
+  body('completed').optional().isBoolean().withMessage('completed must be a boolean').toBoolean()
+];
+
+// Validation rules for editing or checking off an item
+export const updateChecklistItemValidation = [
+  textRule().optional(),
+  body('completed').optional().isBoolean().withMessage('completed must be a boolean').toBoolean()
+];
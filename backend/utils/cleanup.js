@@ -1,5 +1,6 @@
-import TemporaryUser from '../models/TemporaryUser.js';
-import OTP from '../models/OTP.js';
+import { db } from '../repositories/index.js';
+import { scheduleJob } from '../services/jobScheduler.js';
+import { purgeExpiredTrash } from '../services/trashService.js';
 
 /**
  * Clean up expired temporary users and their associated OTPs
@@ -10,7 +11,7 @@ export const cleanupExpiredData = async () => {
     console.log('Starting cleanup of expired data...');
     
     // Get all expired temporary users
-    const expiredTempUsers = await TemporaryUser.find({
+    const expiredTempUsers = await db.temporaryUsers.find({
       expiresAt: { $lt: new Date() }
     });
     
@@ -21,28 +22,28 @@ export const cleanupExpiredData = async () => {
       const expiredEmails = expiredTempUsers.map(user => user.email);
       
       // Delete expired temporary users
-      const deletedTempUsers = await TemporaryUser.deleteMany({
+      const deletedTempUsers = await db.temporaryUsers.deleteMany({
         expiresAt: { $lt: new Date() }
       });
       
       // Delete associated OTPs for expired users
-      const deletedOTPs = await OTP.deleteMany({
+      const deletedOTPs = await db.otps.deleteMany({
         email: { $in: expiredEmails },
         purpose: 'email_verification'
       });
       
-      console.log(`Cleanup completed: ${deletedTempUsers.deletedCount} temporary users and ${deletedOTPs.deletedCount} OTPs removed`);
+      console.log(`Cleanup completed: ${deletedTempUsers} temporary users and ${deletedOTPs} OTPs removed`);
     } else {
       console.log('No expired temporary users found');
     }
     
     // Also clean up expired OTPs that might be orphaned
-    const deletedOrphanedOTPs = await OTP.deleteMany({
+    const deletedOrphanedOTPs = await db.otps.deleteMany({
       expiresAt: { $lt: new Date() }
     });
     
-    if (deletedOrphanedOTPs.deletedCount > 0) {
-      console.log(`Removed ${deletedOrphanedOTPs.deletedCount} expired OTPs`);
+    if (deletedOrphanedOTPs > 0) {
+      console.log(`Removed ${deletedOrphanedOTPs} expired OTPs`);
     }
     
   } catch (error) {
@@ -57,10 +58,10 @@ export const cleanupExpiredData = async () => {
 export const cleanupUserData = async (email) => {
   try {
     // Delete temporary user
-    await TemporaryUser.deleteMany({ email });
+    await db.temporaryUsers.deleteMany({ email });
     
     // Delete associated OTPs
-    await OTP.deleteMany({ email, purpose: 'email_verification' });
+    await db.otps.deleteMany({ email, purpose: 'email_verification' });
     
     console.log(`Cleaned up data for email: ${email}`);
   } catch (error) {
@@ -68,16 +69,25 @@ export const cleanupUserData = async (email) => {
   }
 };
 
+/**
+ * Delete for good what has been in the trash longer than the retention period
+ */
+export const cleanupExpiredTrash = async () => {
+  try {
+    const purged = await purgeExpiredTrash();
+
+    if (purged > 0) {
+      console.log(`Purged ${purged} items from the trash`);
+    }
+  } catch (error) {
+    console.error('Error during trash cleanup:', error);
+  }
+};
+
 /**
  * Initialize cleanup scheduler
  * Runs cleanup every hour
  */
 export const initializeCleanupScheduler = () => {
-  // Run cleanup immediately on startup
-  cleanupExpiredData();
-  
-  // Schedule cleanup to run every hour (3600000 ms)
-  setInterval(cleanupExpiredData, 3600000);
-  
-  console.log('Cleanup scheduler initialized - running every hour');
+  scheduleJob('cleanup', 3600000, cleanupExpiredData);
 };
@@ -0,0 +1,36 @@
+import { body } from 'express-validator';
+
+/**
+ * Shape of task comments, shared by the Mongoose model and the comment routes
+ */
+
+export const COMMENT_LIMITS = {
+  content: 2000,
+  emoji: 16
+};
+
+// Any short string that contains an emoji, e.g. 👍 or ❤️
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+export const isEmoji = (value) => (
+  typeof value === 'string' && value.length <= COMMENT_LIMITS.emoji && EMOJI_PATTERN.test(value)
+);
+
+const contentRule = () => body('content')
+  .trim()
+  .isLength({ min: 1, max: COMMENT_LIMITS.content })
+  .withMessage(`Comment content is required and cannot exceed ${COMMENT_LIMITS.content} characters`);
+
+// Validation rules for posting a comment or a reply
+export const createCommentValidation = [
+  contentRule(),
+  body('parent').optional({ values: 'null' }).notEmpty().withMessage('Invalid parent comment')
+];
+
+// Validation rules for editing a comment
+export const updateCommentValidation = [contentRule()];
+
+// Validation rules for toggling a reaction
+export const reactionValidation = [
+  body('emoji').custom(isEmoji).withMessage('Reaction must be an emoji')
+];
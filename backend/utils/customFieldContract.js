@@ -0,0 +1,59 @@
+import { body } from 'express-validator';
+
+/**
+ * Typed custom fields defined per workspace or per list, shared by the
+ * CustomField model, the custom field routes and services/customFieldService.js
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  'text',
+  'number',
+  'currency',
+  'date',
+  'dropdown',
+  'labels',
+  'checkbox',
+  'url',
+  'person',
+  'formula'
+];
+
+// Types whose values are picked from the field's `options`
+export const OPTION_TYPES = ['dropdown', 'labels'];
+
+// Types a formula can refer to
+export const NUMERIC_TYPES = ['number', 'currency'];
+
+export const CUSTOM_FIELD_LIMITS = {
+  name: 50,
+  text: 1000,
+  options: 50,
+  optionName: 50,
+  formula: 500
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+export const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const definitionRules = () => [
+  body('name').trim().isLength({ min: 1, max: CUSTOM_FIELD_LIMITS.name }).withMessage(`Name is required and cannot exceed ${CUSTOM_FIELD_LIMITS.name} characters`),
+  body('options').optional().isArray({ max: CUSTOM_FIELD_LIMITS.options }).withMessage(`Up to ${CUSTOM_FIELD_LIMITS.options} options are allowed`),
+  body('options.*.name').trim().isLength({ min: 1, max: CUSTOM_FIELD_LIMITS.optionName }).withMessage(`Option names are required and cannot exceed ${CUSTOM_FIELD_LIMITS.optionName} characters`),
+  body('options.*.color').optional().matches(COLOR_PATTERN).withMessage('Option colors must be hex colors like #3B82F6'),
+  body('currency').optional().matches(CURRENCY_PATTERN).withMessage('Currency must be a three-letter code like USD'),
+  body('formula').optional().isString().isLength({ max: CUSTOM_FIELD_LIMITS.formula }).withMessage(`Formula cannot exceed ${CUSTOM_FIELD_LIMITS.formula} characters`),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer')
+];
+
+// Validation rules for defining a custom field
+export const createCustomFieldValidation = [
+  body('workspace').notEmpty().withMessage('Workspace is required'),
+  body('list').optional({ values: 'null' }).notEmpty().withMessage('Invalid list'),
+  body('type').isIn(CUSTOM_FIELD_TYPES).withMessage('Invalid custom field type'),
+  ...definitionRules()
+];
+
+// Validation rules for changing a custom field; its type and scope stay fixed
+export const updateCustomFieldValidation = definitionRules().map(rule => rule.optional());
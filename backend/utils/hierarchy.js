@@ -0,0 +1,188 @@
+import { db } from '../repositories/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sameId } from './ids.js';
+import { removeAttachmentFiles } from '../services/attachmentService.js';
+
+/**
+ * Check whether a user is the owner or a member of a workspace.
+ * Works with both populated and unpopulated owner/member references.
+ */
+export const hasWorkspaceAccess = (workspace, userId) => {
+  return sameId(workspace.owner, userId) ||
+    workspace.members.some(member => sameId(member.user, userId));
+};
+
+/**
+ * Check whether a user is the owner or an admin member of a workspace
+ */
+export const isWorkspaceAdmin = (workspace, userId) => {
+  return sameId(workspace.owner, userId) ||
+    workspace.members.some(member => sameId(member.user, userId) && member.role === 'admin');
+};
+
+/**
+ * Load a workspace and make sure the user may access it
+ */
+export const getWorkspaceForUser = async (workspaceId, user) => {
+  const workspace = await db.workspaces.findById(workspaceId);
+
+  if (!workspace) {
+    throw new AppError('Workspace not found', 404);
+  }
+
+  if (!hasWorkspaceAccess(workspace, user._id)) {
+    throw new AppError('Access denied', 403);
+  }
+
+  return workspace;
+};
+
+/**
+ * Load a space together with its workspace and check access
+ */
+export const getSpaceForUser = async (spaceId, user) => {
+  const space = await db.spaces.findById(spaceId);
+
+  if (!space) {
+    throw new AppError('Space not found', 404);
+  }
+
+  const workspace = await getWorkspaceForUser(space.workspace, user);
+
+  return { space, workspace };
+};
+
+/**
+ * Load a folder together with its space and workspace and check access
+ */
+export const getFolderForUser = async (folderId, user) => {
+  const folder = await db.folders.findById(folderId);
+
+  if (!folder) {
+    throw new AppError('Folder not found', 404);
+  }
+
+  const { space, workspace } = await getSpaceForUser(folder.space, user);
+
+  return { folder, space, workspace };
+};
+
+/**
+ * Load a list together with its folder, space and workspace and check access
+ */
+export const getListForUser = async (listId, user) => {
+  const list = await db.lists.findById(listId);
+
+  if (!list) {
+    throw new AppError('List not found', 404);
+  }
+
+  const { folder, space, workspace } = await getFolderForUser(list.folder, user);
+
+  return { list, folder, space, workspace };
+};
+
+/**
+ * Load a task together with its workspace and check access
+ */
+export const getTaskForUser = async (taskId, user, options = {}) => {
+  const task = await db.tasks.findById(taskId, options);
+
+  if (!task) {
+    throw new AppError('Task not found', 404);
+  }
+
+  const workspace = await getWorkspaceForUser(task.workspace, user);
+
+  return { task, workspace };
+};
+
+/**
+ * Load a comment together with its task and workspace and check access
+ */
+export const getCommentForUser = async (commentId, user, options = {}) => {
+  const comment = await db.comments.findById(commentId, options);
+
+  if (!comment) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  const { task, workspace } = await getTaskForUser(comment.task, user);
+
+  return { comment, task, workspace };
+};
+
+/**
+ * Assign sequential `order` values following the given ID order.
+ * IDs that do not belong to the parent are rejected.
+ */
+export const applyOrder = async (repository, parentFilter, orderedIds) => {
+  const siblings = await repository.find(parentFilter, { select: '_id' });
+  const siblingIds = new Set(siblings.map(doc => doc._id.toString()));
+
+  if (orderedIds.some(id => !siblingIds.has(String(id)))) {
+    throw new AppError('Order contains items that do not belong to this parent', 400);
+  }
+
+  await Promise.all(orderedIds.map((id, index) =>
+    repository.updateById(id, { order: index })
+  ));
+};
+
+/**
+ * Delete tasks for good, with their comments, time logs, GitHub links and
+ * files; other tasks let go of them as subtasks and predecessors
+ */
+export const deleteTasksCascade = async (taskIds) => {
+  if (taskIds.length === 0) return;
+
+  const tasks = await db.tasks.find({ _id: { $in: taskIds } }, { select: '_id attachments', withTrashed: true });
+
+  await db.comments.deleteMany({ task: { $in: taskIds } });
+  await db.timeLogs.deleteMany({ task: { $in: taskIds } });
+  await db.githubLinks.deleteMany({ task: { $in: taskIds } });
+  await db.tasks.deleteMany({ _id: { $in: taskIds } });
+  await removeAttachmentFiles(tasks.flatMap(task => task.attachments || []));
+
+  // Subtasks kept elsewhere move up to the top level
+  await db.tasks.updateMany({ parentTask: { $in: taskIds } }, { parentTask: null });
+  await db.tasks.updateMany({ subtasks: { $in: taskIds } }, { $pull: { subtasks: { $in: taskIds } } });
+  await db.tasks.updateMany({ 'dependencies.task': { $in: taskIds } }, { $pull: { dependencies: { task: { $in: taskIds } } } });
+};
+
+/**
+ * Delete lists and everything underneath them, including what is in the trash
+ */
+export const deleteListsCascade = async (listIds) => {
+  if (listIds.length === 0) return;
+
+  const tasks = await db.tasks.find({ list: { $in: listIds } }, { select: '_id', withTrashed: true });
+  await deleteTasksCascade(tasks.map(task => task._id));
+
+  await db.customFields.deleteMany({ list: { $in: listIds } });
+  await db.lists.deleteMany({ _id: { $in: listIds } });
+};
+
+/**
+ * Delete folders and all of their lists
+ */
+export const deleteFoldersCascade = async (folderIds) => {
+  if (folderIds.length === 0) return;
+
+  const lists = await db.lists.find({ folder: { $in: folderIds } }, { select: '_id', withTrashed: true });
+  await deleteListsCascade(lists.map(list => list._id));
+
+  await db.folders.deleteMany({ _id: { $in: folderIds } });
+};
+
+/**
+ * Delete spaces and all of their folders
+ */
+export const deleteSpacesCascade = async (spaceIds) => {
+  if (spaceIds.length === 0) return;
+
+  const folders = await db.folders.find({ space: { $in: spaceIds } }, { select: '_id', withTrashed: true });
+  await deleteFoldersCascade(folders.map(folder => folder._id));
+
+  await db.spaces.deleteMany({ _id: { $in: spaceIds } });
+};
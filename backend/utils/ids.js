@@ -0,0 +1,6 @@
+/**
+ * ID helpers that work for ObjectIds, plain string IDs and populated documents
+ */
+export const idOf = (value) => String(value?._id ?? value);
+
+export const sameId = (a, b) => a != null && b != null && idOf(a) === idOf(b);
@@ -0,0 +1,59 @@
+import { body, query } from 'express-validator';
+import { WORKFLOW_KEY_PATTERN } from './taskContract.js';
+import { WEBHOOK_EVENTS } from './webhookContract.js';
+
+/**
+ * Inbound integrations of a workspace, shared by the Mongoose models, the
+ * integration routes and the services that handle their events
+ */
+
+export const INTEGRATION_PROVIDERS = ['github', 'slack'];
+
+// What happens on GitHub to the tasks a commit or pull request refers to
+export const GITHUB_TRANSITION_EVENTS = [
+  'commit-pushed',
+  'pull-request-opened',
+  'pull-request-merged',
+  'pull-request-closed'
+];
+
+export const GITHUB_LINK_KINDS = ['commit', 'pull-request'];
+
+export const PULL_REQUEST_STATES = ['open', 'merged', 'closed'];
+
+// Validation rules for connecting GitHub or changing its settings
+export const saveGithubIntegrationValidation = [
+  body('workspace').notEmpty().withMessage('Workspace is required'),
+  body('active').optional().isBoolean().withMessage('active must be a boolean'),
+  body('transitions').optional().isArray().withMessage('Transitions must be an array'),
+  body('transitions.*.on').isIn(GITHUB_TRANSITION_EVENTS).withMessage('Invalid GitHub event'),
+  body('transitions.*.status').matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status')
+];
+
+// Chat messages go out for the same events as outgoing webhooks
+export const CHAT_EVENTS = WEBHOOK_EVENTS;
+
+// Slash command requests older than this are rejected to stop replays
+export const CHAT_SIGNATURE_MAX_AGE = 5 * 60;
+
+// Validation rules for connecting a Slack-compatible chat or changing its settings
+export const saveSlackIntegrationValidation = [
+  body('workspace').notEmpty().withMessage('Workspace is required'),
+  body('active').optional().isBoolean().withMessage('active must be a boolean'),
+  body('signingSecret').optional().isString().trim().notEmpty().withMessage('Signing secret cannot be empty'),
+  body('webhookUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Incoming webhook URL must be an http(s) URL'),
+  body('events').optional().isArray().withMessage('Events must be an array'),
+  body('events.*').isIn(CHAT_EVENTS).withMessage('Invalid event'),
+  body('defaultList').optional({ values: 'null' }).isString().withMessage('Invalid default list'),
+  body('members').optional().isArray().withMessage('Members must be an array'),
+  body('members.*.chatUserId').isString().trim().notEmpty().withMessage('Chat user ID is required'),
+  body('members.*.user').notEmpty().withMessage('Member is required')
+];
+
+// Validation rules for listing the GitHub links of a task
+export const listGithubLinksValidation = [
+  query('taskId').notEmpty().withMessage('taskId is required')
+];
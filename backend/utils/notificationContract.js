@@ -0,0 +1,49 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Kinds of notifications and the preferences that control them, shared by the
+ * Mongoose models and the notification routes
+ */
+
+export const NOTIFICATION_TYPES = [
+  'assignment',
+  'mention',
+  'comment',
+  'due-soon',
+  'status-change',
+  'invitation-accepted',
+  'automation'
+];
+
+// How often the email digest of assigned and changed tasks is sent
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  emailNotifications: true,
+  pushNotifications: true,
+  mutedTypes: [],
+  digest: 'off'
+};
+
+// Stored settings with the defaults filled in, e.g. for users created before they existed
+export const getNotificationSettings = (user) => ({
+  ...DEFAULT_NOTIFICATION_SETTINGS,
+  ...(user?.notificationSettings || {})
+});
+
+// Validation rules for updating notification preferences
+export const notificationSettingsValidation = [
+  body('emailNotifications').optional().isBoolean().withMessage('emailNotifications must be a boolean'),
+  body('pushNotifications').optional().isBoolean().withMessage('pushNotifications must be a boolean'),
+  body('mutedTypes').optional().isArray().withMessage('mutedTypes must be an array'),
+  body('mutedTypes.*').isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+  body('digest').optional().isIn(DIGEST_FREQUENCIES).withMessage('Digest must be off, daily or weekly')
+];
+
+// Validation rules for listing notifications
+export const listNotificationsValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+  query('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type')
+];
@@ -0,0 +1,16 @@
+import bcrypt from 'bcryptjs';
+
+/**
+ * Hash a plain-text password. Hashing happens before a user is stored so
+ * that every storage backend keeps the same hashed value.
+ */
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Match user entered password to hashed password
+export const matchPassword = async (enteredPassword, hashedPassword) => {
+  if (!hashedPassword) return false;
+  return bcrypt.compare(enteredPassword, hashedPassword);
+};
@@ -0,0 +1,48 @@
+import { db } from '../repositories/index.js';
+
+/**
+ * Board ordering for tasks. Every task has a numeric `rank` within its
+ * workspace and status column; a moved card gets the midpoint of its new
+ * neighbours, so only the moved task is written. When the gap between two
+ * neighbours gets too small the column is spread out again.
+ */
+
+export const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Rank for a task placed between two ranks (either may be missing).
+ * Returns null when there is no room left and the column needs rebalancing.
+ */
+export const rankBetween = (before, after) => {
+  if (before == null && after == null) return RANK_STEP;
+  if (before == null) return after - RANK_STEP;
+  if (after == null) return before + RANK_STEP;
+  if (after - before < MIN_RANK_GAP) return null;
+  return (before + after) / 2;
+};
+
+/**
+ * Rank that puts a task at the bottom of a status column
+ */
+export const getBottomRank = async (workspaceId, status) => {
+  const [last] = await db.tasks.find(
+    { workspace: workspaceId, status },
+    { sort: { rank: -1 }, limit: 1, select: 'rank' }
+  );
+  return rankBetween(last?.rank, null);
+};
+
+/**
+ * Spread the ranks of a status column evenly, keeping the current order
+ */
+export const rebalanceColumn = async (workspaceId, status) => {
+  const tasks = await db.tasks.find(
+    { workspace: workspaceId, status },
+    { sort: { rank: 1, createdAt: 1 }, select: '_id' }
+  );
+
+  await Promise.all(tasks.map((task, index) => (
+    db.tasks.updateById(task._id, { rank: (index + 1) * RANK_STEP })
+  )));
+};
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+import { isValidTimeZone } from './timezone.js';
+
+/**
+ * Recurrence of tasks, modelled on the RRULE of iCalendar, shared by the Task
+ * model, the task routes and services/recurrenceService.js. A task repeats
+ * every `interval` days, weeks or months:
+ * - daily
+ * - weekly on some `weekdays`
+ * - monthly on a `monthDay`, or on the `weekdayPosition`-th of `weekdays[0]`
+ *   (-1 for the last one, e.g. the last Friday)
+ * Only the latest occurrence carries the recurrence; it moves on to each new
+ * occurrence, which links back through `recurringFrom`.
+ */
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * When the next occurrence is created:
+ * - on-completion: as soon as the task moves into a done status
+ * - on-schedule: once its due date has come, done or not
+ */
+export const RECURRENCE_MODES = ['on-completion', 'on-schedule'];
+
+// BYDAY codes of RRULE, Monday first
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+export const WEEKDAY_POSITIONS = [1, 2, 3, 4, -1];
+
+export const RECURRENCE_LIMITS = {
+  interval: 99
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const recurrenceSchema = mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: RECURRENCE_FREQUENCIES,
+    required: true,
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: RECURRENCE_LIMITS.interval,
+    default: 1,
+  },
+  weekdays: [
+    {
+      type: String,
+      enum: WEEKDAYS,
+    },
+  ],
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null,
+  },
+  weekdayPosition: {
+    type: Number,
+    enum: [...WEEKDAY_POSITIONS, null],
+    default: null,
+  },
+  mode: {
+    type: String,
+    enum: RECURRENCE_MODES,
+    default: RECURRENCE_MODES[0],
+  },
+  // IANA time zone whose calendar and wall clock the dates follow
+  timezone: {
+    type: String,
+    default: 'UTC',
+  },
+  copySubtasks: {
+    type: Boolean,
+    default: false,
+  },
+  copyChecklists: {
+    type: Boolean,
+    default: true,
+  },
+  // Last calendar day (`YYYY-MM-DD`) an occurrence may be due on
+  until: {
+    type: String,
+    match: DAY_PATTERN,
+    default: null,
+  },
+}, { _id: false });
+
+const isSet = body('recurrence').isObject();
+
+// Validation rules for the `recurrence` of a created or updated task; null stops it
+export const recurrenceValidation = [
+  body('recurrence').optional({ values: 'null' }).isObject().withMessage('recurrence must be an object or null'),
+  body('recurrence.frequency').if(isSet).isIn(RECURRENCE_FREQUENCIES)
+    .withMessage(`frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`),
+  body('recurrence.interval').optional().isInt({ min: 1, max: RECURRENCE_LIMITS.interval })
+    .withMessage(`interval must be a whole number from 1 to ${RECURRENCE_LIMITS.interval}`).toInt(),
+  body('recurrence.weekdays').optional().isArray().withMessage('weekdays must be an array'),
+  body('recurrence.weekdays.*').isIn(WEEKDAYS).withMessage(`weekdays must be some of: ${WEEKDAYS.join(', ')}`),
+  body('recurrence.monthDay').optional({ values: 'null' }).isInt({ min: 1, max: 31 })
+    .withMessage('monthDay must be a day of the month from 1 to 31').toInt(),
+  body('recurrence.weekdayPosition').optional({ values: 'null' }).custom(value => WEEKDAY_POSITIONS.includes(Number(value)))
+    .withMessage(`weekdayPosition must be one of: ${WEEKDAY_POSITIONS.join(', ')}`).toInt(),
+  body('recurrence.mode').optional().isIn(RECURRENCE_MODES).withMessage(`mode must be one of: ${RECURRENCE_MODES.join(', ')}`),
+  body('recurrence.timezone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+  body('recurrence.copySubtasks').optional().isBoolean().withMessage('copySubtasks must be a boolean').toBoolean(),
+  body('recurrence.copyChecklists').optional().isBoolean().withMessage('copyChecklists must be a boolean').toBoolean(),
+  body('recurrence.until').optional({ values: 'null' }).matches(DAY_PATTERN).withMessage('until must be a date like 2030-12-31')
+];
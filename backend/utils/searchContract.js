@@ -0,0 +1,32 @@
+import { query } from 'express-validator';
+
+/**
+ * What `GET /api/search` looks through, shared by the text indexes of the
+ * Mongoose models and services/searchService.js
+ */
+
+export const SEARCH_TYPES = ['task', 'comment', 'attachment', 'space', 'list', 'member'];
+
+// Weights of the searched fields; a title match counts ten description matches
+export const SEARCH_WEIGHTS = {
+  task: { title: 10, description: 2, 'attachments.originalName': 4 },
+  comment: { content: 2 },
+  space: { name: 8, description: 1 },
+  list: { name: 8, description: 1 },
+  member: { name: 6, email: 3 }
+};
+
+export const SEARCH_LIMITS = {
+  query: 200,
+  results: 50,
+  defaultResults: 20,
+  snippet: 160
+};
+
+// Validation rules for searching
+export const searchValidation = [
+  query('q').trim().isLength({ min: 1, max: SEARCH_LIMITS.query }).withMessage(`q is required and cannot exceed ${SEARCH_LIMITS.query} characters`),
+  query('types').optional().custom(value => String(value).split(',').every(type => SEARCH_TYPES.includes(type)))
+    .withMessage(`types must be a comma-separated list of ${SEARCH_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: SEARCH_LIMITS.results }).withMessage(`Limit must be between 1 and ${SEARCH_LIMITS.results}`)
+];
@@ -0,0 +1,286 @@
+import { body } from 'express-validator';
+import { AppError } from '../middleware/errorHandler.js';
+import { recurrenceValidation } from './recurrenceContract.js';
+
+/**
+ * Canonical task contract shared by the Mongoose model, the task routes
+ * and the in-memory database. Any change to the shape of a task belongs here.
+ */
+
+export const TASK_LIMITS = {
+  title: 200,
+  description: 5000
+};
+
+export const TASK_DEFAULTS = {
+  description: '',
+  status: 'todo',
+  priority: 'medium',
+  estimatedTime: 0,
+  rank: 0
+};
+
+/**
+ * Statuses and priorities are configured per workspace
+ * (`settings.taskStatuses` / `settings.taskPriorities`). Tasks store the
+ * option's `key`; these defaults apply to workspaces that never customized them.
+ */
+export const STATUS_CATEGORIES = ['open', 'done'];
+
+export const DEFAULT_TASK_STATUSES = [
+  { key: 'todo', name: 'To Do', color: '#6B7280', category: 'open' },
+  { key: 'in-progress', name: 'In Progress', color: '#3B82F6', category: 'open' },
+  { key: 'review', name: 'Review', color: '#F59E0B', category: 'open' },
+  { key: 'done', name: 'Done', color: '#10B981', category: 'done' }
+];
+
+export const DEFAULT_TASK_PRIORITIES = [
+  { key: 'low', name: 'Low', color: '#6B7280' },
+  { key: 'medium', name: 'Medium', color: '#3B82F6' },
+  { key: 'high', name: 'High', color: '#EF4444' },
+  { key: 'urgent', name: 'Urgent', color: '#DC2626' }
+];
+
+export const DEFAULT_WORKFLOW = {
+  statuses: DEFAULT_TASK_STATUSES,
+  priorities: DEFAULT_TASK_PRIORITIES
+};
+
+export const TASK_STATUSES = DEFAULT_TASK_STATUSES.map(status => status.key);
+export const TASK_PRIORITIES = DEFAULT_TASK_PRIORITIES.map(priority => priority.key);
+
+/**
+ * Dependencies are stored on the successor and point at its predecessor:
+ * - finish-to-start: the task starts after the predecessor is due
+ * - start-to-start: the task starts no earlier than the predecessor
+ * - finish-to-finish: the task is due no earlier than the predecessor
+ */
+export const DEPENDENCY_TYPES = ['finish-to-start', 'start-to-start', 'finish-to-finish'];
+
+// Fields of the users a task refers to, as sent to clients
+export const userFields = 'name email avatar';
+
+// References filled in on tasks returned by the API and sent in events
+export const taskPopulate = [
+  { path: 'list', select: 'name' },
+  { path: 'assignees.user', select: userFields },
+  { path: 'createdBy', select: userFields },
+  { path: 'updatedBy', select: userFields }
+];
+
+// Status and priority keys are lowercase slugs, e.g. `in-progress`
+export const WORKFLOW_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Derive the key of a status or priority from its display name
+ */
+export const toWorkflowKey = (name = '') => {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+const activeKeys = (options = []) => options.filter(option => !option.archived).map(option => option.key);
+
+/**
+ * Status given to new tasks: the first active status of the `open` category
+ */
+export const getDefaultStatus = (workflow = DEFAULT_WORKFLOW) => {
+  const active = workflow.statuses.filter(status => !status.archived);
+  return (active.find(status => status.category !== 'done') || active[0])?.key;
+};
+
+/**
+ * Priority given to new tasks: `medium` while it exists, else the first active one
+ */
+export const getDefaultPriority = (workflow = DEFAULT_WORKFLOW) => {
+  const keys = activeKeys(workflow.priorities);
+  return keys.includes(TASK_DEFAULTS.priority) ? TASK_DEFAULTS.priority : keys[0];
+};
+
+export const isValidStatus = (workflow, status) => activeKeys(workflow.statuses).includes(status);
+export const isValidPriority = (workflow, priority) => activeKeys(workflow.priorities).includes(priority);
+
+// Validation rules for creating a task
+export const createTaskValidation = [
+  body('title').trim().isLength({ min: 1, max: TASK_LIMITS.title }).withMessage(`Task title is required and cannot exceed ${TASK_LIMITS.title} characters`),
+  body('description').optional().trim().isLength({ max: TASK_LIMITS.description }).withMessage(`Description cannot exceed ${TASK_LIMITS.description} characters`),
+  body('list').notEmpty().withMessage('Valid list ID is required'),
+  body('status').optional().matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+  body('priority').optional().matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid priority'),
+  body('dueDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid due date format'),
+  body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date format'),
+  body('estimatedTime').optional().isInt({ min: 0 }).withMessage('Estimated time must be a positive integer'),
+  body('assignees').optional().isArray().withMessage('Assignees must be an array'),
+  body('watchers').optional().isArray().withMessage('Watchers must be an array'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('customFields').optional().isArray().withMessage('Custom fields must be a list of { field, value }'),
+  body('parentTask').optional({ values: 'null' }).notEmpty().withMessage('Invalid parent task'),
+  ...recurrenceValidation
+];
+
+// Validation rules for updating a task
+export const updateTaskValidation = [
+  body('title').optional().trim().isLength({ min: 1, max: TASK_LIMITS.title }).withMessage(`Task title cannot exceed ${TASK_LIMITS.title} characters`),
+  body('description').optional().trim().isLength({ max: TASK_LIMITS.description }).withMessage(`Description cannot exceed ${TASK_LIMITS.description} characters`),
+  body('list').optional().notEmpty().withMessage('Invalid list'),
+  body('status').optional().matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+  body('priority').optional().matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid priority'),
+  body('dueDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid due date format'),
+  body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date format'),
+  body('estimatedTime').optional().isInt({ min: 0 }).withMessage('Estimated time must be a positive integer'),
+  body('assignees').optional().isArray().withMessage('Assignees must be an array'),
+  body('watchers').optional().isArray().withMessage('Watchers must be an array'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('customFields').optional().isArray().withMessage('Custom fields must be a list of { field, value }'),
+  body('expectedUpdatedAt').optional().isISO8601().withMessage('Invalid expectedUpdatedAt'),
+  ...recurrenceValidation
+];
+
+/**
+ * Operations of `POST /api/tasks/bulk`, each applied to every task of the
+ * request: `status`, `priority`, `assign`/`unassign` a member, `add-tag`/
+ * `remove-tag`, `shift-dates` by a number of days, `move` to a list and `delete`
+ */
+export const BULK_OPERATIONS = ['status', 'priority', 'assign', 'unassign', 'add-tag', 'remove-tag', 'shift-dates', 'move', 'delete'];
+
+// Most tasks one bulk request may change
+export const BULK_TASK_LIMIT = 500;
+
+const forOperations = (...operations) => body('operation').isIn(operations);
+
+// Validation rules for a bulk operation on tasks
+export const bulkTaskValidation = [
+  body('taskIds').isArray({ min: 1, max: BULK_TASK_LIMIT }).withMessage(`taskIds must list 1 to ${BULK_TASK_LIMIT} tasks`),
+  body('taskIds.*').isMongoId().withMessage('Invalid task ID'),
+  body('operation').isIn(BULK_OPERATIONS).withMessage(`operation must be one of: ${BULK_OPERATIONS.join(', ')}`),
+  body('status').if(forOperations('status')).matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid status'),
+  body('priority').if(forOperations('priority')).matches(WORKFLOW_KEY_PATTERN).withMessage('Invalid priority'),
+  body('assignee').if(forOperations('assign', 'unassign')).isString().notEmpty().withMessage('assignee is required'),
+  body('tag').if(forOperations('add-tag', 'remove-tag')).isString().trim().notEmpty().withMessage('tag is required'),
+  body('days').if(forOperations('shift-dates')).isInt({ min: -365, max: 365 }).not().equals('0')
+    .withMessage('days must be a whole number of days between -365 and 365 other than 0'),
+  body('list').if(forOperations('move')).isString().notEmpty().withMessage('list is required')
+];
+
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+/**
+ * Turn a list of user IDs (or existing assignee entries) into assignee entries
+ */
+export const toAssignees = (assignees = [], assignedBy) => {
+  return assignees.map(assignee => (
+    assignee && typeof assignee === 'object' && assignee.user
+      ? { assignedAt: new Date(), assignedBy, ...assignee }
+      : { user: assignee, assignedAt: new Date(), assignedBy }
+  ));
+};
+
+/**
+ * Rules that span several fields, shared with the Mongoose schema hook.
+ * Returns a list of { path, message } entries.
+ */
+export const getCrossFieldErrors = (task) => {
+  const errors = [];
+
+  if (task.startDate && task.dueDate && new Date(task.startDate) > new Date(task.dueDate)) {
+    errors.push({ path: 'startDate', message: 'Start date cannot be after due date' });
+  }
+  if (task.parentTask && task._id && String(task.parentTask) === String(task._id)) {
+    errors.push({ path: 'parentTask', message: 'A task cannot be its own parent' });
+  }
+  if (task._id && (task.dependencies || []).some(dependency => String(dependency.task) === String(task._id))) {
+    errors.push({ path: 'dependencies', message: 'A task cannot depend on itself' });
+  }
+  if (task.recurrence && !task.dueDate) {
+    errors.push({ path: 'recurrence', message: 'Recurring tasks need a due date' });
+  }
+
+  return errors;
+};
+
+/**
+ * Check a task against the contract and the workflow of its workspace.
+ * Returns a list of error messages.
+ */
+export const validateTask = (task, workflow = DEFAULT_WORKFLOW) => {
+  const errors = [];
+
+  if (typeof task.title !== 'string' || task.title.trim().length === 0) {
+    errors.push('Task title is required');
+  } else if (task.title.length > TASK_LIMITS.title) {
+    errors.push(`Task title cannot exceed ${TASK_LIMITS.title} characters`);
+  }
+  if (task.description && task.description.length > TASK_LIMITS.description) {
+    errors.push(`Description cannot exceed ${TASK_LIMITS.description} characters`);
+  }
+  if (!task.workspace) errors.push('Workspace is required');
+  if (!task.list) errors.push('List is required');
+  if (!task.createdBy) errors.push('Creator is required');
+  if (!isValidStatus(workflow, task.status)) errors.push(`Invalid status: ${task.status}`);
+  if (!isValidPriority(workflow, task.priority)) errors.push(`Invalid priority: ${task.priority}`);
+  if (!Number.isInteger(task.estimatedTime) || task.estimatedTime < 0) {
+    errors.push('Estimated time must be a positive integer');
+  }
+  if (!Number.isFinite(task.rank)) errors.push('Rank must be a number');
+  if ((task.dependencies || []).some(dependency => !dependency.task || !DEPENDENCY_TYPES.includes(dependency.type))) {
+    errors.push('Invalid dependency');
+  }
+  ['dueDate', 'startDate'].forEach(field => {
+    if (task[field] && isNaN(new Date(task[field]).getTime())) {
+      errors.push(`Invalid ${field}`);
+    }
+  });
+  errors.push(...getCrossFieldErrors(task).map(error => error.message));
+
+  return errors;
+};
+
+/**
+ * Build a canonical task from raw input: applies defaults, normalizes
+ * references and dates, and rejects anything that breaks the contract
+ * or the workspace workflow.
+ */
+export const buildTask = (input, workflow = DEFAULT_WORKFLOW) => {
+  // Fields passed as undefined fall back to their defaults
+  const data = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+
+  const task = {
+    ...TASK_DEFAULTS,
+    status: getDefaultStatus(workflow),
+    priority: getDefaultPriority(workflow),
+    ...data,
+    assignees: toAssignees(data.assignees, data.createdBy),
+    watchers: data.watchers || (data.createdBy ? [data.createdBy] : []),
+    tags: data.tags || [],
+    customFields: data.customFields || [],
+    subtasks: data.subtasks || [],
+    parentTask: data.parentTask || null,
+    dependencies: data.dependencies || [],
+    checklists: data.checklists || [],
+    attachments: data.attachments || [],
+    comments: data.comments || [],
+    timeLogs: data.timeLogs || [],
+    estimatedTime: Number(data.estimatedTime ?? TASK_DEFAULTS.estimatedTime),
+    rank: Number(data.rank ?? TASK_DEFAULTS.rank),
+    dueDate: toDate(data.dueDate),
+    startDate: toDate(data.startDate),
+    updatedBy: data.updatedBy || data.createdBy
+  };
+
+  assertValidTask(task, workflow);
+  return task;
+};
+
+/**
+ * Throw an AppError if the task breaks the contract
+ */
+export const assertValidTask = (task, workflow) => {
+  const errors = validateTask(task, workflow);
+  if (errors.length > 0) {
+    const error = new AppError(errors.join(', '), 400);
+    error.errors = errors;
+    throw error;
+  }
+};
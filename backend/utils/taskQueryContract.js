@@ -0,0 +1,95 @@
+import { body } from 'express-validator';
+
+/**
+ * Task query language of `GET /api/tasks` and saved views, compiled by
+ * services/taskQueryService.js.
+ *
+ * A filter is a condition `{ field, op, value }` or a group
+ * `{ and: [...] }` / `{ or: [...] }` of conditions and groups. Custom fields
+ * are addressed as `cf.<fieldId>`.
+ */
+
+// Fields that can be filtered on, by kind; the kind decides the operators
+export const FILTER_FIELDS = {
+  status: 'key',
+  priority: 'key',
+  list: 'key',
+  createdBy: 'key',
+  assignee: 'multi',
+  tags: 'multi',
+  statusCategory: 'category',
+  title: 'text',
+  description: 'text',
+  dueDate: 'date',
+  startDate: 'date',
+  createdAt: 'date',
+  updatedAt: 'date',
+  estimatedTime: 'number'
+};
+
+export const FILTER_OPERATORS = {
+  key: ['in', 'nin'],
+  multi: ['in', 'nin', 'all', 'set'],
+  category: ['eq'],
+  text: ['contains', 'set'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte', 'within', 'set'],
+  number: ['eq', 'gt', 'gte', 'lt', 'lte', 'set'],
+  custom: ['eq', 'gt', 'gte', 'lt', 'lte', 'within', 'set']
+};
+
+// Values of `within`, relative to now in the user's time zone; weeks start on Monday.
+// `last-<n>-days` ends with today, `next-<n>-days` starts with it.
+export const RELATIVE_DATES = [
+  'overdue',
+  'today',
+  'yesterday',
+  'tomorrow',
+  'this-week',
+  'last-week',
+  'next-week',
+  'this-month',
+  'last-month',
+  'next-month'
+];
+export const RELATIVE_DAYS_PATTERN = /^(last|next)-(\d{1,3})-days$/;
+
+export const SORT_FIELDS = [
+  'title',
+  'status',
+  'priority',
+  'dueDate',
+  'startDate',
+  'createdAt',
+  'updatedAt',
+  'estimatedTime',
+  'number',
+  'rank'
+];
+
+export const GROUP_BY_FIELDS = ['status', 'priority', 'assignee', 'list', 'tags'];
+
+export const VIEW_LAYOUTS = ['list', 'board'];
+
+export const TASK_QUERY_LIMITS = {
+  conditions: 50,
+  depth: 4,
+  sortKeys: 5,
+  viewName: 100
+};
+
+// Validation rules for saving a view; the filter itself is checked by compiling it
+const viewRules = () => [
+  body('name').trim().isLength({ min: 1, max: TASK_QUERY_LIMITS.viewName }).withMessage(`Name is required and cannot exceed ${TASK_QUERY_LIMITS.viewName} characters`),
+  body('layout').optional().isIn(VIEW_LAYOUTS).withMessage('Invalid layout'),
+  body('shared').optional().isBoolean().withMessage('Shared must be true or false'),
+  body('filter').optional({ values: 'null' }).isObject().withMessage('Filter must be a condition or a group of conditions'),
+  body('sort').optional().isString().withMessage('Sort must look like priority:desc,dueDate'),
+  body('groupBy').optional({ values: 'falsy' }).isString().withMessage('Invalid group')
+];
+
+export const createViewValidation = [
+  body('workspace').notEmpty().withMessage('Workspace is required'),
+  ...viewRules()
+];
+
+export const updateViewValidation = viewRules().map(rule => rule.optional());
@@ -0,0 +1,51 @@
+import { db } from '../repositories/index.js';
+
+/**
+ * Tasks are numbered per workspace and referenced as `CU-<number>`, e.g. in
+ * branch names and commit messages. Their ids work as references too.
+ */
+export const TASK_REFERENCE_PREFIX = 'CU';
+
+const NUMBER_PATTERN = new RegExp(`\\b${TASK_REFERENCE_PREFIX}-(\\d+)\\b`, 'gi');
+// 24 hex digits on their own, so commit SHAs do not match
+const ID_PATTERN = /(?<![0-9a-f])[0-9a-f]{24}(?![0-9a-f])/gi;
+
+export const formatTaskReference = (task) => (
+  task.number ? `${TASK_REFERENCE_PREFIX}-${task.number}` : String(task._id)
+);
+
+/**
+ * Reserve the next task number of a workspace
+ */
+export const nextTaskNumber = async (workspaceId) => {
+  const workspace = await db.workspaces.updateById(workspaceId, { $inc: { taskCounter: 1 } });
+  return workspace?.taskCounter;
+};
+
+/**
+ * Task numbers and ids mentioned in some texts, without duplicates
+ */
+export const parseTaskReferences = (texts) => {
+  const numbers = new Set();
+  const ids = new Set();
+
+  texts.filter(Boolean).forEach(text => {
+    for (const [, number] of text.matchAll(NUMBER_PATTERN)) numbers.add(Number(number));
+    for (const [id] of text.matchAll(ID_PATTERN)) ids.add(id.toLowerCase());
+  });
+
+  return { numbers: [...numbers], ids: [...ids] };
+};
+
+/**
+ * Tasks of a workspace that some texts refer to
+ */
+export const findReferencedTasks = async (workspaceId, texts) => {
+  const { numbers, ids } = parseTaskReferences(texts);
+  if (numbers.length === 0 && ids.length === 0) return [];
+
+  return db.tasks.find({
+    workspace: workspaceId,
+    $or: [{ number: { $in: numbers } }, { _id: { $in: ids } }]
+  });
+};
@@ -0,0 +1,139 @@
+/**
+ * Tokenizing, matching and scoring for full-text search. The memory backend
+ * indexes with these (repositories/textIndex.js) and services/searchService.js
+ * ranks and highlights with them, so both storage backends rank alike.
+ *
+ * Queries follow MongoDB's `$search` syntax: words match any of them,
+ * `"quoted phrases"` must all appear and `-words` exclude a document.
+ */
+
+// Words too common to search for (a subset of MongoDB's English stop words)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'then', 'there', 'these', 'this',
+  'to', 'was', 'were', 'will', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// A few English suffix rules, so plurals and verb forms find each other
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (/(ch|sh|x|z|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3).replace(/e$/, '');
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2).replace(/e$/, '');
+  if (word.endsWith('s')) return word.slice(0, -1).replace(/e$/, '');
+  return word.replace(/e$/, '');
+};
+
+const fold = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Searchable words of a text as `{ term, start, end }`, with the position
+ * of each in the original text
+ */
+export const tokenize = (text) => {
+  if (!text) return [];
+  return [...String(text).matchAll(WORD_PATTERN)]
+    .map(match => ({ word: fold(match[0]), start: match.index, end: match.index + match[0].length }))
+    .filter(({ word }) => !STOP_WORDS.has(word))
+    .map(({ word, start, end }) => ({ term: stem(word), start, end }));
+};
+
+/**
+ * Split a `$search` string into the `terms` that score a match, the
+ * `phrases` that must appear and the `excluded` terms
+ */
+export const parseSearch = (text) => {
+  const phrases = [...String(text).matchAll(/"([^"]+)"/g)].map(match => fold(match[1]).trim()).filter(Boolean);
+  const rest = String(text).replace(/"[^"]*"/g, ' ');
+  const excluded = rest.split(/\s+/).filter(word => word.startsWith('-')).flatMap(word => tokenize(word.slice(1)));
+  const included = rest.split(/\s+/).filter(word => !word.startsWith('-')).join(' ');
+
+  return {
+    terms: [...new Set([...tokenize(included), ...phrases.flatMap(tokenize)].map(token => token.term))],
+    phrases,
+    excluded: [...new Set(excluded.map(token => token.term))]
+  };
+};
+
+/**
+ * Relevance of a document for a parsed query, from its searched fields as
+ * `[{ text, weight }]`; 0 when it does not match. Each matching word counts
+ * with the weight of its field, damped for long fields, and a field holding
+ * the whole query, or starting with it, ranks higher.
+ */
+export const scoreFields = (fields, query) => {
+  const folded = fields.map(field => fold(field.text || ''));
+  if (query.phrases.some(phrase => !folded.some(text => text.includes(phrase)))) return 0;
+
+  const tokenized = fields.map(field => tokenize(field.text));
+  if (tokenized.some(tokens => tokens.some(token => query.excluded.includes(token.term)))) return 0;
+
+  let score = 0;
+  const whole = query.terms.join(' ');
+  fields.forEach((field, index) => {
+    const tokens = tokenized[index];
+    if (tokens.length === 0) return;
+    const terms = tokens.map(token => token.term);
+
+    const matched = query.terms
+      .map(term => terms.filter(item => item === term).length)
+      .filter(count => count > 0)
+      .reduce((sum, count) => sum + 1 + Math.log(count), 0);
+    if (matched === 0) return;
+
+    const joined = terms.join(' ');
+    const bonus = (joined.startsWith(whole) ? 1 : 0) + (joined.includes(whole) ? 1 : 0);
+    score += field.weight * (matched + bonus) * (0.5 + 0.5 / Math.sqrt(tokens.length));
+    if (query.phrases.some(phrase => folded[index].includes(phrase))) score += field.weight;
+  });
+
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * `[start, end]` ranges of the words in a text that match a parsed query
+ */
+export const findMatches = (text, query) => {
+  const terms = new Set(query.terms);
+  return tokenize(text).filter(token => terms.has(token.term)).map(({ start, end }) => [start, end]);
+};
+
+/**
+ * Excerpt of at most `length` characters around the first match of a
+ * parsed query, with the ranges to highlight; null when nothing matches
+ */
+export const buildSnippet = (text, query, length = 160) => {
+  if (!text) return null;
+  const content = String(text).replace(/\s+/g, ' ');
+  const matches = findMatches(content, query);
+  if (matches.length === 0) return null;
+  if (content.length <= length) {
+    return { text: content, highlights: matches };
+  }
+
+  // Start a little before the first match, on a word boundary
+  const [firstStart] = matches[0];
+  let start = Math.max(0, Math.min(firstStart - Math.floor(length / 4), content.length - length));
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    start = space !== -1 && space < firstStart ? space + 1 : start;
+  }
+  const end = Math.min(content.length, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+  };
+};
+
+// Text matched literally in a regular expression or `$regex` filter, so user input cannot form a pattern
+export const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,75 @@
+/**
+ * Time zone helpers based on the IANA names stored in `User.preferences.timezone`
+ */
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar date (`YYYY-MM-DD`), hour (0-23), minutes since midnight and
+ * weekday (`Mon`..`Sun`) of an instant in a time zone. Unknown zones fall
+ * back to UTC.
+ */
+export const getLocalTime = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: parts.weekday
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Instant at which the wall clock of a time zone shows `minutes` past
+ * midnight on a calendar date (`YYYY-MM-DD`). Times skipped when clocks go
+ * forward come out an hour early. Unknown zones fall back to UTC.
+ */
+export const zonedTimeToInstant = (day, minutes, timeZone) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const local = Date.UTC(year, month - 1, dayOfMonth) + minutes * 60 * 1000;
+  // A second pass settles days on which the offset changes
+  const guess = local - getOffset(new Date(local), zone);
+  return new Date(local - getOffset(new Date(guess), zone));
+};
+
+/**
+ * Instant at which a calendar date (`YYYY-MM-DD`) starts in a time zone.
+ * Unknown zones fall back to UTC.
+ */
+export const startOfLocalDay = (day, timeZone) => zonedTimeToInstant(day, 0, timeZone);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { param, query } from 'express-validator';
+
+/**
+ * Soft delete of workspaces, spaces, folders, lists and tasks. Deleting one
+ * moves it to the trash of its workspace together with everything under it;
+ * it can be restored from there until the retention job purges it.
+ */
+
+export const TRASH_TYPES = ['workspace', 'space', 'folder', 'list', 'task'];
+
+// Days an item stays in the trash before it is purged for good
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Schema plugin for the trashable models. Reads leave trashed documents out,
+ * unless the filter asks about `trashedAt` itself or the query sets the
+ * `withTrashed` option; updates and deletes by filter still reach them.
+ * The memory repository applies the same rule.
+ */
+export const trashPlugin = (schema) => {
+  schema.add({
+    trashedAt: {
+      type: Date,
+      default: null,
+    },
+    trashedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Item whose deletion took this one along; null on the item deleted itself
+    trashedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  });
+
+  schema.index({ trashedAt: 1 });
+
+  schema.pre(['find', 'findOne', 'countDocuments'], function excludeTrashed() {
+    if (this.getOptions().withTrashed || 'trashedAt' in this.getFilter()) return;
+    this.where({ trashedAt: null });
+  });
+};
+
+/**
+ * When a trashed item will be purged
+ */
+export const getPurgeDate = (trashedAt) => new Date(new Date(trashedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Validation rules for restoring or purging an item
+export const trashItemValidation = [
+  param('type').isIn(TRASH_TYPES).withMessage(`type must be one of: ${TRASH_TYPES.join(', ')}`)
+];
+
+// Validation rules for listing the trash of a workspace
+export const listTrashValidation = [
+  query('workspaceId').notEmpty().withMessage('workspaceId is required')
+];
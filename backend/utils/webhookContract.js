@@ -0,0 +1,59 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Outgoing webhooks: the events they can subscribe to and how deliveries are
+ * retried, shared by the Mongoose models, the integration routes and the
+ * delivery queue
+ */
+
+export const WEBHOOK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.deleted',
+  'task.restored',
+  'comment.created',
+  'timer.stopped'
+];
+
+export const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// A delivery is tried this many times, waiting 1, 2, 4, 8 and 16 minutes in between
+export const MAX_DELIVERY_ATTEMPTS = 6;
+export const RETRY_BASE_DELAY = 60 * 1000;
+
+export const getRetryDelay = (attempts) => RETRY_BASE_DELAY * 2 ** (attempts - 1);
+
+// Receivers get this long to answer; redirects are never followed
+export const DELIVERY_TIMEOUT = 10 * 1000;
+
+const urlRule = () => body('url')
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be an http(s) URL');
+
+const eventRules = () => [
+  body('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+  body('events.*').isIn(WEBHOOK_EVENTS).withMessage('Invalid event')
+];
+
+// Validation rules for registering a webhook
+export const createWebhookValidation = [
+  body('workspace').notEmpty().withMessage('Workspace is required'),
+  urlRule(),
+  ...eventRules(),
+  body('active').optional().isBoolean().withMessage('active must be a boolean')
+];
+
+// Validation rules for updating a webhook
+export const updateWebhookValidation = [
+  urlRule().optional(),
+  ...eventRules().map(rule => rule.optional()),
+  body('active').optional().isBoolean().withMessage('active must be a boolean')
+];
+
+// Validation rules for listing deliveries
+export const listDeliveriesValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage('Invalid delivery status'),
+  query('event').optional().isIn(WEBHOOK_EVENTS).withMessage('Invalid event')
+];
@@ -13,6 +13,11 @@ import TaskView from './pages/TaskView';
 import Profile from './pages/Profile';
 import Settings from './pages/Settings';
 import WorkspaceTasksPage from './pages/WorkspaceTasksPage';
+import WorkspaceSettingsPage from './pages/WorkspaceSettingsPage';
+import CalendarPage from './pages/CalendarPage';
+import GanttPage from './pages/GanttPage';
+import AutomationsPage from './pages/AutomationsPage';
+import TrashPage from './pages/TrashPage';
 import WorkspacesPage from './pages/WorkspacesPage';
 import TasksPage from './pages/TasksPage';
 import TimeTrackingPage from './pages/TimeTrackingPage';
@@ -87,6 +92,11 @@ function App() {
                   <Route path="workspace/:workspaceId" element={<Workspace />} />
                   <Route path="workspace/:workspaceId/tasks" element={<WorkspaceTasksPage />} />
                   <Route path="workspace/:workspaceId/task/:taskId" element={<TaskView />} />
+                  <Route path="workspace/:workspaceId/settings" element={<WorkspaceSettingsPage />} />
+                  <Route path="workspace/:workspaceId/calendar" element={<CalendarPage />} />
+                  <Route path="workspace/:workspaceId/gantt" element={<GanttPage />} />
+                  <Route path="workspace/:workspaceId/automations" element={<AutomationsPage />} />
+                  <Route path="workspace/:workspaceId/trash" element={<TrashPage />} />
                   <Route path="profile" element={<Profile />} />
                   <Route path="settings" element={<Settings />} />
                 </Route>
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Trash2, X } from 'lucide-react';
+import { taskAPI, spaceAPI, trashAPI } from '../services/api';
+import UndoToast from './ui/UndoToast';
+import { getStatuses, getPriorities, getSelectableOptions } from '../utils/workflow';
+
+// Operations that need the workspace for their choices come first
+const OPERATIONS = [
+  { key: 'status', label: 'Set status', field: 'status', scoped: true },
+  { key: 'priority', label: 'Set priority', field: 'priority', scoped: true },
+  { key: 'assign', label: 'Assign', field: 'assignee', scoped: true },
+  { key: 'unassign', label: 'Unassign', field: 'assignee', scoped: true },
+  { key: 'move', label: 'Move to list', field: 'list', scoped: true },
+  { key: 'add-tag', label: 'Add tag', field: 'tag' },
+  { key: 'remove-tag', label: 'Remove tag', field: 'tag' },
+  { key: 'shift-dates', label: 'Shift dates', field: 'days' },
+];
+
+const controlClass = 'border border-gray-300 rounded-md px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Actions on the selected tasks. Status, priority, assignees and lists are
+ * offered when all tasks belong to `workspace`; pass null when they do not.
+ */
+const BulkActionBar = ({ tasks, workspace, onClear }) => {
+  const queryClient = useQueryClient();
+  const operations = OPERATIONS.filter(operation => workspace || !operation.scoped);
+  const [operationKey, setOperationKey] = useState(operations[0].key);
+  const [value, setValue] = useState('');
+  const [failures, setFailures] = useState([]);
+
+  const operation = operations.find(item => item.key === operationKey) || operations[0];
+
+  const { data: spaces = [] } = useQuery(
+    ['spaces', workspace?._id],
+    () => spaceAPI.getSpaces(workspace._id),
+    {
+      enabled: Boolean(workspace) && operation.key === 'move',
+      select: (response) => response.data.data
+    }
+  );
+
+  const lists = spaces.flatMap(space => (space.folders || []).flatMap(folder => folder.lists || []));
+
+  const refresh = () => {
+    queryClient.invalidateQueries('tasks');
+    queryClient.invalidateQueries('workspace-tasks');
+  };
+
+  const titleOf = (taskId) => tasks.find(task => task._id === taskId)?.title || 'Task';
+
+  const bulkMutation = useMutation(
+    (bulkData) => taskAPI.bulkUpdate({ taskIds: tasks.map(task => task._id), ...bulkData }),
+    {
+      onSuccess: (response, bulkData) => {
+        const { message, data } = response.data;
+        refresh();
+        setFailures([]);
+        onClear();
+        if (bulkData.operation !== 'delete') {
+          toast.success(message);
+          return;
+        }
+        toast((t) => (
+          <UndoToast
+            t={t}
+            message={message}
+            onUndo={async () => {
+              await Promise.all(data.trashed.map(taskId => trashAPI.restore('task', taskId)));
+              refresh();
+            }}
+          />
+        ), { duration: 8000 });
+      },
+      onError: (error) => {
+        // Some tasks may have changed before the others failed
+        refresh();
+        const results = error.response?.data?.data?.results || [];
+        setFailures(results.filter(result => !result.success));
+        toast.error(error.response?.data?.message || 'Failed to update tasks');
+      }
+    }
+  );
+
+  const selectOperation = (key) => {
+    setOperationKey(key);
+    setValue('');
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    const params = operation.field === 'days' ? Number(value) : value.trim();
+    if (!params) {
+      toast.error(operation.field === 'days' ? 'Enter a number of days' : 'Choose a value first');
+      return;
+    }
+    bulkMutation.mutate({ operation: operation.key, [operation.field]: params });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Move ${tasks.length} task${tasks.length === 1 ? '' : 's'} and their subtasks to the trash?`)) {
+      bulkMutation.mutate({ operation: 'delete' });
+    }
+  };
+
+  const renderValueControl = () => {
+    const options = {
+      status: getSelectableOptions(getStatuses(workspace)).map(status => [status.key, status.name]),
+      priority: getSelectableOptions(getPriorities(workspace)).map(priority => [priority.key, priority.name]),
+      assign: (workspace?.members || []).map(member => [member.user._id, member.user.name]),
+      unassign: (workspace?.members || []).map(member => [member.user._id, member.user.name]),
+      move: lists.map(list => [list._id, list.name]),
+    }[operation.key];
+
+    if (options) {
+      return (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className={controlClass}>
+          <option value="">Choose…</option>
+          {options.map(([key, name]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={operation.field === 'days' ? 'number' : 'text'}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={operation.field === 'days' ? 'Days, e.g. 7 or -3' : 'Tag'}
+        className={`${controlClass} w-36`}
+      />
+    );
+  };
+
+  return (
+    <>
+      {/* Keeps the last tasks scrollable out from under the bar */}
+      <div className="h-24" />
+      <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 bg-white rounded-lg shadow-lg border px-4 py-3 max-w-3xl w-[calc(100%-2rem)]">
+        <form onSubmit={handleApply} className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-900 mr-2">{tasks.length} selected</span>
+          <select value={operation.key} onChange={(e) => selectOperation(e.target.value)} className={controlClass}>
+            {operations.map(item => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+          {renderValueControl()}
+          <button
+            type="submit"
+            disabled={bulkMutation.isLoading}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={bulkMutation.isLoading}
+            className="flex items-center px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Delete
+          </button>
+          <button
+            type="button"
+            onClick={onClear}
+            className="ml-auto p-1 text-gray-400 hover:text-gray-600"
+            title="Clear selection"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </form>
+        {!workspace && (
+          <p className="mt-2 text-xs text-gray-500">Select tasks of one workspace to change their status, priority, assignees or list.</p>
+        )}
+        {failures.length > 0 && (
+          <ul className="mt-2 text-sm text-red-600 space-y-0.5 max-h-32 overflow-y-auto">
+            {failures.map(failure => (
+              <li key={failure.taskId}>{titleOf(failure.taskId)}: {failure.error}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default BulkActionBar;
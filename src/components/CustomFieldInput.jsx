@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { formatFieldValue } from '../utils/customFields';
+
+const inputClass = 'w-full border border-gray-300 rounded-md py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+// Typed input that saves once the user leaves it, not on every key
+const CommitInput = ({ type, value, onSave, ...props }) => {
+  const [draft, setDraft] = useState(value ?? '');
+
+  const commit = () => {
+    if (String(draft) !== String(value ?? '')) onSave(draft === '' ? null : draft);
+  };
+
+  return (
+    <input
+      type={type}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+        if (e.key === 'Escape') setDraft(value ?? '');
+      }}
+      className={inputClass}
+      {...props}
+    />
+  );
+};
+
+/**
+ * Editor for the value of one custom field; `onSave` gets the new value, or
+ * null to clear it. Formula values are calculated and only shown.
+ */
+const CustomFieldInput = ({ field, value, members = [], onSave, disabled }) => {
+  switch (field.type) {
+    case 'formula':
+      return <span className="text-sm text-gray-700">{value === null ? '—' : formatFieldValue(field, value)}</span>;
+
+    case 'checkbox':
+      return (
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          disabled={disabled}
+          onChange={(e) => onSave(e.target.checked)}
+          className="h-4 w-4 rounded border-gray-300 text-blue-600"
+        />
+      );
+
+    case 'dropdown':
+      return (
+        <select
+          value={value || ''}
+          disabled={disabled}
+          onChange={(e) => onSave(e.target.value || null)}
+          className={inputClass}
+        >
+          <option value="">—</option>
+          {field.options.map(option => (
+            <option key={option._id} value={option._id}>{option.name}</option>
+          ))}
+        </select>
+      );
+
+    case 'labels': {
+      const selected = value || [];
+      const toggle = (id) => onSave(selected.includes(id) ? selected.filter(item => item !== id) : [...selected, id]);
+      return (
+        <div className="flex flex-wrap gap-1">
+          {field.options.map(option => (
+            <button
+              key={option._id}
+              type="button"
+              disabled={disabled}
+              onClick={() => toggle(option._id)}
+              className={`px-2 py-0.5 rounded-full text-xs font-medium border ${
+                selected.includes(option._id) ? 'text-white border-transparent' : 'text-gray-600 border-gray-300 bg-white'
+              }`}
+              style={selected.includes(option._id) ? { backgroundColor: option.color || '#6B7280' } : undefined}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+      );
+    }
+
+    case 'person':
+      return (
+        <select
+          value={value || ''}
+          disabled={disabled}
+          onChange={(e) => onSave(e.target.value || null)}
+          className={inputClass}
+        >
+          <option value="">—</option>
+          {members.filter(member => member.user).map(member => (
+            <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+          ))}
+        </select>
+      );
+
+    case 'date':
+      return (
+        <input
+          type="date"
+          value={toDateInput(value)}
+          disabled={disabled}
+          onChange={(e) => onSave(e.target.value || null)}
+          className={inputClass}
+        />
+      );
+
+    case 'number':
+    case 'currency':
+      // Remount after a save so the input shows the stored (rounded) value
+      return <CommitInput key={value ?? ''} type="number" step="any" value={value} onSave={onSave} disabled={disabled} />;
+
+    default:
+      return (
+        <CommitInput
+          key={value ?? ''}
+          type={field.type === 'url' ? 'url' : 'text'}
+          value={value}
+          onSave={onSave}
+          disabled={disabled}
+          placeholder={field.type === 'url' ? 'https://' : ''}
+        />
+      );
+  }
+};
+
+export default CustomFieldInput;
@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Plus, Trash2, X } from 'lucide-react';
+import { customFieldAPI, spaceAPI } from '../services/api';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { FIELD_TYPES, OPTION_TYPES } from '../utils/customFields';
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const errorMessage = (error, fallback) => {
+  const { message, errors } = error.response?.data || {};
+  return errors?.[0]?.msg || message || fallback;
+};
+
+const emptyField = { name: '', type: 'text', list: '', options: '', currency: 'USD', formula: '' };
+
+const FieldRow = ({ field, listName, onUpdate, onDelete }) => {
+  const [name, setName] = useState(field.name);
+  const [formula, setFormula] = useState(field.formula);
+  const [option, setOption] = useState('');
+
+  const addOption = (e) => {
+    e.preventDefault();
+    if (!option.trim()) return;
+    onUpdate({ options: [...field.options, { name: option.trim() }] }, () => setOption(''));
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-center gap-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => name.trim() && name !== field.name && onUpdate({ name: name.trim() })}
+          maxLength={50}
+          className={`flex-1 ${inputClass}`}
+          aria-label="Name"
+        />
+        <span className="text-sm text-gray-600 w-24">{FIELD_TYPES.find(type => type.value === field.type)?.label}</span>
+        <span className="text-sm text-gray-500 w-32 truncate">{listName || 'Whole workspace'}</span>
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm(`Delete "${field.name}" and its values on every task?`)) onDelete();
+          }}
+          className="p-2 text-gray-500 hover:text-red-600"
+          title="Delete field"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      {OPTION_TYPES.includes(field.type) && (
+        <div className="flex flex-wrap items-center gap-2">
+          {field.options.map(item => (
+            <span key={item._id} className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-800">
+              {item.name}
+              <button
+                type="button"
+                onClick={() => field.options.length > 1 && onUpdate({ options: field.options.filter(other => other._id !== item._id) })}
+                disabled={field.options.length === 1}
+                className="ml-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                title="Remove option"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+          <form onSubmit={addOption} className="flex items-center gap-1">
+            <input
+              type="text"
+              value={option}
+              onChange={(e) => setOption(e.target.value)}
+              placeholder="New option"
+              maxLength={50}
+              className="border border-gray-300 rounded-md px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button type="submit" className="p-1 text-gray-500 hover:text-gray-900" title="Add option">
+              <Plus className="h-4 w-4" />
+            </button>
+          </form>
+        </div>
+      )}
+
+      {field.type === 'formula' && (
+        <input
+          type="text"
+          value={formula}
+          onChange={(e) => setFormula(e.target.value)}
+          onBlur={() => formula !== field.formula && onUpdate({ formula })}
+          className={`w-full font-mono ${inputClass}`}
+          aria-label="Formula"
+        />
+      )}
+      {field.type === 'currency' && <p className="text-xs text-gray-500">Amounts in {field.currency}</p>}
+    </div>
+  );
+};
+
+/**
+ * Custom fields of a workspace, for admins. Fields apply to every task of the
+ * workspace or only to the tasks of one list.
+ */
+const CustomFieldSettings = ({ workspaceId }) => {
+  const queryClient = useQueryClient();
+  const [newField, setNewField] = useState(emptyField);
+
+  const { data: fields, isLoading } = useQuery(
+    ['custom-fields', workspaceId],
+    () => customFieldAPI.getFields(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: spaces } = useQuery(
+    ['spaces', workspaceId],
+    () => spaceAPI.getSpaces(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const lists = (spaces || []).flatMap(space => space.folders.flatMap(folder => folder.lists));
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['custom-fields', workspaceId]);
+    queryClient.invalidateQueries(['tasks', workspaceId]);
+    queryClient.invalidateQueries(['workspace-tasks', workspaceId]);
+  };
+  const onError = (error) => toast.error(errorMessage(error, 'Failed to save custom field'));
+
+  const createMutation = useMutation(
+    (fieldData) => customFieldAPI.createField(fieldData),
+    {
+      onSuccess: () => {
+        refresh();
+        setNewField(emptyField);
+        toast.success('Custom field created successfully');
+      },
+      onError,
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ id, changes }) => customFieldAPI.updateField(id, changes),
+    { onSuccess: refresh, onError }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => customFieldAPI.deleteField(id),
+    {
+      onSuccess: () => {
+        refresh();
+        toast.success('Custom field deleted successfully');
+      },
+      onError,
+    }
+  );
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const { name, type, list, options, currency, formula } = newField;
+    createMutation.mutate({
+      workspace: workspaceId,
+      name,
+      type,
+      list: list || null,
+      ...(OPTION_TYPES.includes(type) && {
+        options: options.split(',').map(option => option.trim()).filter(Boolean).map(option => ({ name: option }))
+      }),
+      ...(type === 'currency' && { currency: currency.toUpperCase() }),
+      ...(type === 'formula' && { formula }),
+    });
+  };
+
+  const update = (field) => (changes, onDone) => updateMutation.mutate(
+    { id: field._id, changes },
+    { onSuccess: onDone }
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Custom Fields</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Extra columns for tasks, like story points or customer names. Formulas combine number and currency
+          fields, e.g. <code className="font-mono">{'{Hours} * {Rate}'}</code>.
+        </p>
+      </div>
+
+      <div className="p-6 space-y-3">
+        {isLoading ? <LoadingSpinner className="py-4" /> : fields?.map(field => (
+          <FieldRow
+            key={`${field._id}-${field.updatedAt}`}
+            field={field}
+            listName={lists.find(list => list._id === field.list)?.name}
+            onUpdate={update(field)}
+            onDelete={() => deleteMutation.mutate(field._id)}
+          />
+        ))}
+
+        <form onSubmit={handleCreate} className="border border-dashed border-gray-300 rounded-lg p-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="text"
+              value={newField.name}
+              onChange={(e) => setNewField(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Field name"
+              maxLength={50}
+              className={`flex-1 ${inputClass}`}
+              required
+            />
+            <select
+              value={newField.type}
+              onChange={(e) => setNewField(prev => ({ ...prev, type: e.target.value }))}
+              className={inputClass}
+            >
+              {FIELD_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <select
+              value={newField.list}
+              onChange={(e) => setNewField(prev => ({ ...prev, list: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">Whole workspace</option>
+              {lists.map(list => (
+                <option key={list._id} value={list._id}>{list.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {OPTION_TYPES.includes(newField.type) && (
+            <input
+              type="text"
+              value={newField.options}
+              onChange={(e) => setNewField(prev => ({ ...prev, options: e.target.value }))}
+              placeholder="Options, separated by commas"
+              className={`w-full ${inputClass}`}
+            />
+          )}
+          {newField.type === 'currency' && (
+            <input
+              type="text"
+              value={newField.currency}
+              onChange={(e) => setNewField(prev => ({ ...prev, currency: e.target.value }))}
+              placeholder="USD"
+              maxLength={3}
+              className={`w-24 uppercase ${inputClass}`}
+            />
+          )}
+          {newField.type === 'formula' && (
+            <input
+              type="text"
+              value={newField.formula}
+              onChange={(e) => setNewField(prev => ({ ...prev, formula: e.target.value }))}
+              placeholder="{Hours} * {Rate}"
+              className={`w-full font-mono ${inputClass}`}
+            />
+          )}
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={createMutation.isLoading || !newField.name.trim()}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add Field
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFieldSettings;
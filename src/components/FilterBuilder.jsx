@@ -0,0 +1,223 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  FILTER_FIELDS,
+  RELATIVE_DATES,
+  getOperators,
+  isGroup
+} from '../utils/taskQuery';
+
+const MAX_DEPTH = 3;
+
+const selectClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Pills that toggle values in or out of a list
+const OptionToggles = ({ options, selected = [], onChange }) => (
+  <div className="flex flex-wrap gap-1">
+    {options.map(option => {
+      const active = selected.includes(option.value);
+      return (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(active ? selected.filter(value => value !== option.value) : [...selected, option.value])}
+          className={`px-2 py-0.5 rounded-full text-xs font-medium border ${
+            active ? 'bg-blue-600 text-white border-transparent' : 'bg-white text-gray-600 border-gray-300'
+          }`}
+        >
+          {option.label}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const ValueInput = ({ condition, context, onChange }) => {
+  const { field, op, value } = condition;
+  const customField = context.customFields.find(item => `cf.${item._id}` === field);
+  const kind = customField ? customField.type : FILTER_FIELDS.find(item => item.value === field)?.kind;
+  const memberOptions = context.members
+    .filter(member => member.user)
+    .map(member => ({ value: member.user._id, label: member.user.name }));
+
+  if (op === 'set' || kind === 'checkbox') {
+    return (
+      <select value={String(value ?? '')} onChange={(e) => onChange(e.target.value === 'true')} className={selectClass}>
+        <option value="" disabled>—</option>
+        <option value="true">{op === 'set' ? 'yes' : 'checked'}</option>
+        <option value="false">{op === 'set' ? 'no' : 'unchecked'}</option>
+      </select>
+    );
+  }
+  if (op === 'within') {
+    return (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+        <option value="" disabled>Pick a range</option>
+        {RELATIVE_DATES.map(date => <option key={date.value} value={date.value}>{date.label}</option>)}
+      </select>
+    );
+  }
+
+  switch (field) {
+    case 'status':
+      return <OptionToggles options={context.statuses.map(status => ({ value: status.key, label: status.name }))} selected={value} onChange={onChange} />;
+    case 'priority':
+      return <OptionToggles options={context.priorities.map(priority => ({ value: priority.key, label: priority.name }))} selected={value} onChange={onChange} />;
+    case 'assignee':
+      return <OptionToggles options={[{ value: 'me', label: 'Me' }, ...memberOptions]} selected={value} onChange={onChange} />;
+    case 'list':
+      return <OptionToggles options={context.lists.map(list => ({ value: list._id, label: list.name }))} selected={value} onChange={onChange} />;
+    case 'tags':
+      return (
+        <input
+          type="text"
+          value={(value || []).join(', ')}
+          onChange={(e) => onChange(e.target.value.split(',').map(tag => tag.trim()).filter(Boolean))}
+          placeholder="bug, ui"
+          className={selectClass}
+        />
+      );
+    case 'statusCategory':
+      return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+          <option value="" disabled>—</option>
+          <option value="open">open</option>
+          <option value="done">done</option>
+        </select>
+      );
+    default:
+      break;
+  }
+
+  if (kind === 'dropdown' || kind === 'labels' || kind === 'person') {
+    const options = kind === 'person'
+      ? memberOptions
+      : customField.options.map(option => ({ value: option._id, label: option.name }));
+    return (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+        <option value="" disabled>—</option>
+        {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+    );
+  }
+
+  const inputType = kind === 'date' ? 'date' : ['number', 'currency', 'formula'].includes(kind) ? 'number' : 'text';
+  return (
+    <input
+      type={inputType}
+      value={value ?? ''}
+      onChange={(e) => onChange(inputType === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value)}
+      className={selectClass}
+    />
+  );
+};
+
+const ConditionEditor = ({ condition, context, onChange, onRemove }) => {
+  const operators = getOperators(condition.field, context.customFields);
+
+  const changeField = (field) => {
+    const [op] = getOperators(field, context.customFields)[0] || [];
+    onChange({ field, op, value: ['in', 'nin', 'all'].includes(op) ? [] : '' });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select value={condition.field || ''} onChange={(e) => changeField(e.target.value)} className={selectClass}>
+        <option value="" disabled>Field</option>
+        {FILTER_FIELDS.map(field => <option key={field.value} value={field.value}>{field.label}</option>)}
+        {context.customFields.map(field => <option key={field._id} value={`cf.${field._id}`}>{field.name}</option>)}
+      </select>
+      {condition.field && (
+        <select
+          value={condition.op}
+          onChange={(e) => onChange({ ...condition, op: e.target.value, value: ['in', 'nin', 'all'].includes(e.target.value) ? [] : '' })}
+          className={selectClass}
+        >
+          {operators.map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+        </select>
+      )}
+      {condition.field && <ValueInput condition={condition} context={context} onChange={(value) => onChange({ ...condition, value })} />}
+      <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove condition">
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+const GroupEditor = ({ group, context, depth, onChange, onRemove }) => {
+  const joiner = group.or ? 'or' : 'and';
+  const children = group[joiner];
+
+  const setChildren = (next) => onChange({ [joiner]: next });
+  const updateChild = (index, child) => setChildren(children.map((item, i) => (i === index ? child : item)));
+  const removeChild = (index) => setChildren(children.filter((_item, i) => i !== index));
+
+  return (
+    <div className={`space-y-2 ${depth > 1 ? 'border-l-2 border-blue-200 pl-3' : ''}`}>
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        Match
+        <select value={joiner} onChange={(e) => onChange({ [e.target.value]: children })} className={selectClass}>
+          <option value="and">all</option>
+          <option value="or">any</option>
+        </select>
+        of these
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove group">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {children.map((child, index) => (isGroup(child) ? (
+        <GroupEditor
+          key={index}
+          group={child}
+          context={context}
+          depth={depth + 1}
+          onChange={(next) => updateChild(index, next)}
+          onRemove={() => removeChild(index)}
+        />
+      ) : (
+        <ConditionEditor
+          key={index}
+          condition={child}
+          context={context}
+          onChange={(next) => updateChild(index, next)}
+          onRemove={() => removeChild(index)}
+        />
+      )))}
+
+      <div className="flex gap-4">
+        <button
+          type="button"
+          onClick={() => setChildren([...children, { field: '', op: '', value: '' }])}
+          className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Condition
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() => setChildren([...children, { or: [] }])}
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Editor for a filter of the task query language, as nested AND/OR groups.
+ * `context` holds the `statuses`, `priorities`, `members`, `lists` and
+ * `customFields` conditions can pick from.
+ */
+const FilterBuilder = ({ value, onChange, context }) => (
+  <GroupEditor group={value} context={context} depth={1} onChange={onChange} />
+);
+
+export default FilterBuilder;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Github, Plus, Trash2, KeyRound, RefreshCw } from 'lucide-react';
+import api, { integrationAPI } from '../services/api';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { getSelectableOptions } from '../utils/workflow';
+
+const TRANSITION_EVENTS = [
+  { value: 'commit-pushed', label: 'A commit is pushed' },
+  { value: 'pull-request-opened', label: 'A pull request is opened' },
+  { value: 'pull-request-merged', label: 'A pull request is merged' },
+  { value: 'pull-request-closed', label: 'A pull request is closed unmerged' },
+];
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const errorMessage = (error, fallback) => {
+  const { message, errors } = error.response?.data || {};
+  return errors?.[0]?.msg || message || fallback;
+};
+
+// Status transitions, edited locally and saved as a whole
+const TransitionsEditor = ({ initialTransitions, statuses, onSave, isSaving }) => {
+  const [transitions, setTransitions] = useState(initialTransitions);
+
+  const updateTransition = (index, changes) => {
+    setTransitions(prev => prev.map((transition, i) => (i === index ? { ...transition, ...changes } : transition)));
+  };
+
+  const unused = TRANSITION_EVENTS.filter(event => !transitions.some(transition => transition.on === event.value));
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-gray-900">Move referenced tasks when</h3>
+      {transitions.map((transition, index) => (
+        <div key={transition.on} className="flex items-center gap-2">
+          <span className="flex-1 text-sm text-gray-700">
+            {TRANSITION_EVENTS.find(event => event.value === transition.on)?.label}
+          </span>
+          <select
+            value={transition.status}
+            onChange={(e) => updateTransition(index, { status: e.target.value })}
+            className={inputClass}
+          >
+            {getSelectableOptions(statuses, transition.status).map(status => (
+              <option key={status.key} value={status.key}>{status.name}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => setTransitions(prev => prev.filter((_transition, i) => i !== index))}
+            className="p-2 text-gray-500 hover:text-red-600"
+            title="Remove"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <div className="flex justify-between pt-1">
+        {unused.length > 0 ? (
+          <select
+            value=""
+            onChange={(e) => setTransitions(prev => [...prev, { on: e.target.value, status: getSelectableOptions(statuses)[0]?.key }])}
+            className={`${inputClass} py-1`}
+          >
+            <option value="">Add transition...</option>
+            {unused.map(event => (
+              <option key={event.value} value={event.value}>{event.label}</option>
+            ))}
+          </select>
+        ) : <span />}
+        <button
+          type="button"
+          onClick={() => onSave(transitions.map(({ on, status }) => ({ on, status })))}
+          disabled={isSaving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// GitHub connection of a workspace; only shown to workspace admins
+const GitHubSettings = ({ workspaceId, statuses }) => {
+  const queryClient = useQueryClient();
+  const [showSecret, setShowSecret] = useState(false);
+
+  const { data: integration, isLoading } = useQuery(
+    ['integrations', workspaceId],
+    () => integrationAPI.getIntegrations(workspaceId),
+    {
+      select: (response) => response.data.data.find(item => item.provider === 'github') || null
+    }
+  );
+
+  const refresh = () => queryClient.invalidateQueries(['integrations', workspaceId]);
+  const onError = (error) => toast.error(errorMessage(error, 'Failed to update GitHub'));
+
+  const saveMutation = useMutation(
+    (changes) => integrationAPI.connectGitHub({ workspace: workspaceId, ...changes }),
+    {
+      onSuccess: (response) => {
+        refresh();
+        toast.success(response.data.message);
+      },
+      onError,
+    }
+  );
+
+  const rotateMutation = useMutation(
+    () => integrationAPI.rotateGitHubSecret(integration._id),
+    {
+      onSuccess: () => {
+        refresh();
+        setShowSecret(true);
+        toast.success('Secret rotated, update it on GitHub');
+      },
+      onError,
+    }
+  );
+
+  const disconnectMutation = useMutation(
+    () => integrationAPI.disconnectGitHub(integration._id),
+    {
+      onSuccess: () => {
+        refresh();
+        toast.success('GitHub disconnected successfully');
+      },
+      onError,
+    }
+  );
+
+  const payloadUrl = integration && `${api.defaults.baseURL}/hooks/github/${integration._id}`;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+        <div>
+          <h2 className="flex items-center text-lg font-semibold text-gray-900">
+            <Github className="h-5 w-5 mr-2" />
+            GitHub
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Link commits and pull requests to tasks they mention, like CU-12 in a branch name or commit message.
+          </p>
+        </div>
+        {integration && (
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={integration.active}
+              onChange={(e) => saveMutation.mutate({ active: e.target.checked })}
+              className="mr-1"
+            />
+            Active
+          </label>
+        )}
+      </div>
+
+      <div className="p-6 space-y-4">
+        {isLoading ? (
+          <LoadingSpinner className="py-4" />
+        ) : !integration ? (
+          <button
+            onClick={() => saveMutation.mutate({})}
+            disabled={saveMutation.isLoading}
+            className="inline-flex items-center px-4 py-2 bg-gray-900 text-white rounded-md hover:bg-gray-800 disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Connect GitHub
+          </button>
+        ) : (
+          <>
+            <div className="space-y-2 text-sm">
+              <p className="text-gray-700">
+                Add a webhook to your repository or organization with content type <code>application/json</code>,
+                the push and pull request events, this payload URL and secret:
+              </p>
+              <code className="block px-2 py-1 bg-gray-100 rounded text-xs break-all">{payloadUrl}</code>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 px-2 py-1 bg-gray-100 rounded text-xs break-all">
+                  {showSecret ? integration.secret : '•'.repeat(24)}
+                </code>
+                <button onClick={() => setShowSecret(!showSecret)} className="p-2 text-gray-500 hover:text-gray-900" title="Show secret">
+                  <KeyRound className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm('Rotate the secret? GitHub must be updated with the new one.')) rotateMutation.mutate();
+                  }}
+                  disabled={rotateMutation.isLoading}
+                  className="p-2 text-gray-500 hover:text-gray-900 disabled:opacity-50"
+                  title="Rotate secret"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+
+            {/* Remount with fresh data after every save */}
+            <TransitionsEditor
+              key={integration.updatedAt}
+              initialTransitions={integration.github?.transitions || []}
+              statuses={statuses}
+              onSave={(transitions) => saveMutation.mutate({ transitions })}
+              isSaving={saveMutation.isLoading}
+            />
+
+            <button
+              onClick={() => {
+                if (window.confirm('Disconnect GitHub? Links already made stay on their tasks.')) disconnectMutation.mutate();
+              }}
+              className="inline-flex items-center text-sm font-medium text-red-600 hover:text-red-700"
+            >
+              <Trash2 className="h-4 w-4 mr-1" />
+              Disconnect
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GitHubSettings;
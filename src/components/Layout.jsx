@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Outlet, useNavigate, useLocation } from 'react-router-dom';
-import { useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import { toast } from 'react-hot-toast';
 import { 
   LayoutDashboard, 
@@ -11,17 +11,25 @@ import {
   Settings, 
   LogOut,
   Menu,
-  X
+  X,
+  Search
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
 import { workspaceAPI } from '../services/api';
 import LoadingSpinner from './ui/LoadingSpinner';
+import NotificationBell from './NotificationBell';
+import SearchPalette from './SearchPalette';
+import { getNotificationLink } from '../utils/notifications';
 
 const Layout = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const queryClient = useQueryClient();
+  const { onNotification } = useSocket();
 
   const { data: workspaces, isLoading: workspacesLoading } = useQuery(
     'workspaces',
@@ -34,6 +42,38 @@ const Layout = () => {
     }
   );
 
+  // New notifications reach the user wherever they are in the app
+  useEffect(() => {
+    if (!onNotification) return undefined;
+    return onNotification((notification) => {
+      queryClient.invalidateQueries('notifications');
+      const link = getNotificationLink(notification);
+      toast((t) => (
+        <button
+          className="text-left"
+          onClick={() => {
+            toast.dismiss(t.id);
+            if (link) navigate(link);
+          }}
+        >
+          {notification.message}
+        </button>
+      ), { icon: '🔔', duration: 6000 });
+    });
+  }, [onNotification, queryClient, navigate]);
+
+  // Cmd+K / Ctrl+K opens the search palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setSearchOpen(open => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -58,12 +98,28 @@ const Layout = () => {
   const SidebarContent = () => (
     <div className="flex flex-col h-full">
       {/* Logo */}
-      <div className="flex items-center px-6 py-4 border-b border-gray-200">
+      <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
         <h1 className="text-xl font-bold text-gray-900">ClickUp Alt</h1>
+        <div className="hidden lg:block">
+          <NotificationBell />
+        </div>
       </div>
 
       {/* Navigation */}
       <nav className="flex-1 px-4 py-6 space-y-2">
+        <button
+          type="button"
+          onClick={() => {
+            setSidebarOpen(false);
+            setSearchOpen(true);
+          }}
+          className="w-full flex items-center px-3 py-2 text-sm text-gray-500 border border-gray-200 rounded-md hover:bg-gray-50"
+        >
+          <Search className="w-4 h-4 mr-3" />
+          Search
+          <kbd className="ml-auto text-xs text-gray-400">⌘K</kbd>
+        </button>
+
         {navigation.map((item) => {
           const Icon = item.icon;
           return (
@@ -188,7 +244,7 @@ const Layout = () => {
               <Menu className="h-6 w-6" />
             </button>
             <h1 className="text-lg font-semibold text-gray-900">ClickUp Alt</h1>
-            <div className="w-6" /> {/* Spacer for alignment */}
+            <NotificationBell align="right" />
           </div>
         </div>
 
@@ -201,6 +257,8 @@ const Layout = () => {
           </div>
         </main>
       </div>
+
+      <SearchPalette isOpen={searchOpen} onClose={() => setSearchOpen(false)} />
     </div>
   );
 };
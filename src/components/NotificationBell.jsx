@@ -0,0 +1,182 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { Bell, CheckCheck } from 'lucide-react';
+import { notificationAPI } from '../services/api';
+import { getNotificationLink } from '../utils/notifications';
+import LoadingSpinner from './ui/LoadingSpinner';
+
+const PAGE_SIZE = 10;
+
+// Bell with the unread count that opens the latest notifications
+const NotificationBell = ({ align = 'left' }) => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [isOpen, setIsOpen] = useState(false);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const containerRef = useRef(null);
+
+  const {
+    data,
+    isLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
+    ['notifications', { unreadOnly }],
+    ({ pageParam = 1 }) => notificationAPI.getNotifications({
+      page: pageParam,
+      limit: PAGE_SIZE,
+      ...(unreadOnly && { unread: true }),
+    }),
+    {
+      getNextPageParam: (lastPage) => {
+        const { page, pages } = lastPage.data.data.pagination;
+        return page < pages ? page + 1 : undefined;
+      },
+    }
+  );
+
+  const notifications = data?.pages.flatMap(page => page.data.data.notifications) || [];
+  const unreadCount = data?.pages[0]?.data.data.unreadCount || 0;
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const markRead = useMutation(
+    ({ notificationId, read }) => notificationAPI.markRead(notificationId, read),
+    {
+      onSuccess: () => queryClient.invalidateQueries('notifications'),
+      onError: () => {
+        toast.error('Failed to update notification');
+      },
+    }
+  );
+
+  const markAllRead = useMutation(notificationAPI.markAllRead, {
+    onSuccess: () => queryClient.invalidateQueries('notifications'),
+    onError: () => {
+      toast.error('Failed to mark notifications as read');
+    },
+  });
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      markRead.mutate({ notificationId: notification._id, read: true });
+    }
+    const link = getNotificationLink(notification);
+    if (link) {
+      setIsOpen(false);
+      navigate(link);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-1 text-gray-500 hover:text-gray-700 transition-colors"
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-medium flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className={`absolute z-50 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg ${
+          align === 'right' ? 'right-0' : 'left-0'
+        }`}>
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <div className="flex items-center space-x-2 text-sm">
+              <button
+                onClick={() => setUnreadOnly(false)}
+                className={unreadOnly ? 'text-gray-500 hover:text-gray-700' : 'font-medium text-gray-900'}
+              >
+                All
+              </button>
+              <button
+                onClick={() => setUnreadOnly(true)}
+                className={unreadOnly ? 'font-medium text-gray-900' : 'text-gray-500 hover:text-gray-700'}
+              >
+                Unread ({unreadCount})
+              </button>
+            </div>
+            <button
+              onClick={() => markAllRead.mutate()}
+              disabled={unreadCount === 0 || markAllRead.isLoading}
+              className="flex items-center text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+            >
+              <CheckCheck className="w-4 h-4 mr-1" />
+              Mark all read
+            </button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {isLoading ? (
+              <LoadingSpinner className="py-6" />
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">
+                {unreadOnly ? 'No unread notifications' : 'No notifications yet'}
+              </p>
+            ) : (
+              notifications.map((notification) => (
+                <div
+                  key={notification._id}
+                  className={`flex items-start px-4 py-3 border-b border-gray-100 hover:bg-gray-50 cursor-pointer ${
+                    notification.read ? '' : 'bg-blue-50'
+                  }`}
+                  onClick={() => openNotification(notification)}
+                >
+                  <div className="w-8 h-8 flex-shrink-0 rounded-full bg-blue-600 flex items-center justify-center text-white text-sm font-medium">
+                    {notification.actor?.name?.charAt(0).toUpperCase() || <Bell className="w-4 h-4" />}
+                  </div>
+                  <div className="ml-3 flex-1 min-w-0">
+                    <p className="text-sm text-gray-900">{notification.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                      {notification.workspace?.name && ` · ${notification.workspace.name}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      markRead.mutate({ notificationId: notification._id, read: !notification.read });
+                    }}
+                    className={`ml-2 mt-1 w-2.5 h-2.5 flex-shrink-0 rounded-full ${
+                      notification.read ? 'border border-gray-300' : 'bg-blue-600'
+                    }`}
+                    title={notification.read ? 'Mark as unread' : 'Mark as read'}
+                  />
+                </div>
+              ))
+            )}
+            {hasNextPage && (
+              <button
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className="w-full px-4 py-2 text-sm text-blue-600 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {isFetchingNextPage ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,38 @@
+import React from 'react';
+
+const describe = ({ user, editing, typing }) => {
+  if (typing) return `${user.name} is typing`;
+  if (editing) return `${user.name} is editing the ${editing}`;
+  return `${user.name} is viewing`;
+};
+
+// Overlapping avatars of the people in a workspace or task right now
+const PresenceAvatars = ({ viewers, max = 5 }) => {
+  if (!viewers?.length) return null;
+
+  const shown = viewers.slice(0, max);
+  const hidden = viewers.length - shown.length;
+
+  return (
+    <div className="flex items-center -space-x-2">
+      {shown.map((viewer) => (
+        <div
+          key={viewer.user._id}
+          title={describe(viewer)}
+          className={`w-8 h-8 rounded-full bg-blue-600 flex items-center justify-center text-white text-sm font-medium ring-2 ${
+            viewer.editing || viewer.typing ? 'ring-amber-400' : 'ring-white'
+          }`}
+        >
+          {viewer.user.name?.charAt(0).toUpperCase()}
+        </div>
+      ))}
+      {hidden > 0 && (
+        <div className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center text-gray-700 text-xs font-medium ring-2 ring-white">
+          +{hidden}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresenceAvatars;
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  Search,
+  CheckSquare,
+  MessageSquare,
+  Paperclip,
+  FolderOpen,
+  List,
+  User
+} from 'lucide-react';
+import { searchAPI } from '../services/api';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { getSearchResultLink, splitHighlights } from '../utils/search';
+
+const TYPE_ICONS = {
+  task: CheckSquare,
+  comment: MessageSquare,
+  attachment: Paperclip,
+  space: FolderOpen,
+  list: List,
+  member: User
+};
+
+const DEBOUNCE_MS = 250;
+
+const Highlighted = ({ text, ranges }) => (
+  <>
+    {splitHighlights(text, ranges).map((part, index) => (part.match
+      ? <mark key={index} className="bg-yellow-100 text-gray-900 rounded-sm">{part.text}</mark>
+      : <React.Fragment key={index}>{part.text}</React.Fragment>))}
+  </>
+);
+
+// Line under a result's title saying where it was found
+const ResultContext = ({ result }) => {
+  switch (result.type) {
+    case 'task':
+      return <>{result.reference}{result.list?.name && ` · ${result.list.name}`}</>;
+    case 'comment':
+      return <>Comment by {result.user?.name || 'Unknown'} on {result.reference}</>;
+    case 'attachment':
+      return <>Attachment of {result.task.title}</>;
+    case 'list':
+      return <>List in {result.path.join(' / ')}</>;
+    case 'space':
+      return <>Space</>;
+    default:
+      return <>Member</>;
+  }
+};
+
+/**
+ * Quick search over everything the user can see, opened with Cmd+K / Ctrl+K.
+ * Inside a workspace it searches that workspace unless widened to all of them.
+ */
+const SearchPalette = ({ isOpen, onClose }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [text, setText] = useState('');
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const [allWorkspaces, setAllWorkspaces] = useState(false);
+
+  const currentWorkspace = location.pathname.match(/^\/workspace\/([0-9a-f]{24})/)?.[1];
+  const workspaceId = allWorkspaces ? undefined : currentWorkspace;
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(text.trim()), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setText('');
+      setQuery('');
+    }
+  }, [isOpen]);
+
+  const { data: results = [], isFetching } = useQuery(
+    ['search', query, workspaceId],
+    () => searchAPI.search({ q: query, workspaceId }),
+    {
+      enabled: isOpen && query.length > 0,
+      keepPreviousData: true,
+      select: (response) => response.data.data.results
+    }
+  );
+
+  useEffect(() => {
+    setSelected(0);
+  }, [query, workspaceId]);
+
+  if (!isOpen) return null;
+
+  const visible = query ? results : [];
+
+  const open = (result) => {
+    onClose();
+    navigate(getSearchResultLink(result));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(index => Math.min(index + 1, visible.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && visible[selected]) {
+      e.preventDefault();
+      open(visible[selected]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center pt-24 px-4 bg-gray-500 bg-opacity-75"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="w-full max-w-2xl bg-white rounded-lg shadow-xl overflow-hidden">
+        <div className="flex items-center px-4 border-b border-gray-200">
+          <Search className="h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search tasks, comments, files, lists and people..."
+            autoFocus
+            className="flex-1 px-3 py-4 text-sm focus:outline-none"
+          />
+          {isFetching && <LoadingSpinner size="small" />}
+        </div>
+
+        {currentWorkspace && (
+          <div className="flex gap-2 px-4 py-2 border-b border-gray-100 text-xs">
+            {[[false, 'This workspace'], [true, 'All workspaces']].map(([value, label]) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => setAllWorkspaces(value)}
+                className={`px-2 py-1 rounded-full ${allWorkspaces === value ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <ul className="max-h-96 overflow-y-auto">
+          {visible.map((result, index) => {
+            const Icon = TYPE_ICONS[result.type];
+            return (
+              <li key={`${result.type}-${result.id}`}>
+                <button
+                  type="button"
+                  onClick={() => open(result)}
+                  onMouseEnter={() => setSelected(index)}
+                  className={`w-full flex items-start px-4 py-3 text-left ${index === selected ? 'bg-blue-50' : ''}`}
+                >
+                  <Icon className="h-4 w-4 mt-0.5 mr-3 text-gray-400 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      <Highlighted text={result.title} ranges={result.highlights} />
+                    </p>
+                    {result.snippet && (
+                      <p className="text-xs text-gray-600 line-clamp-2">
+                        <Highlighted text={result.snippet.text} ranges={result.snippet.highlights} />
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-0.5">
+                      <ResultContext result={result} />
+                    </p>
+                  </div>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        {query && !isFetching && visible.length === 0 && (
+          <p className="px-4 py-6 text-sm text-center text-gray-500">No results for &quot;{query}&quot;</p>
+        )}
+        {!query && (
+          <p className="px-4 py-6 text-sm text-center text-gray-500">
+            Use &quot;quotes&quot; for exact phrases and -word to leave results out.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPalette;
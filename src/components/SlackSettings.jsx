@@ -0,0 +1,290 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Slack, Plus, Trash2, Send } from 'lucide-react';
+import api, { integrationAPI, spaceAPI } from '../services/api';
+import LoadingSpinner from './ui/LoadingSpinner';
+
+const EVENTS = [
+  { value: 'task.created', label: 'Task created' },
+  { value: 'task.updated', label: 'Task updated' },
+  { value: 'task.deleted', label: 'Task deleted' },
+  { value: 'task.restored', label: 'Task restored' },
+  { value: 'comment.created', label: 'Comment created' },
+  { value: 'timer.stopped', label: 'Timer stopped' },
+];
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const errorMessage = (error, fallback) => {
+  const { message, errors } = error.response?.data || {};
+  return errors?.[0]?.msg || message || fallback;
+};
+
+// Every list of the workspace, labelled with the space and folder it is in
+const flattenLists = (spaces = []) => spaces.flatMap(space => (space.folders || []).flatMap(folder => (
+  (folder.lists || []).map(list => ({ _id: list._id, label: `${space.name} / ${folder.name} / ${list.name}` }))
+)));
+
+// Chat settings, edited locally and saved as a whole
+const SlackForm = ({ integration, lists, members, onSave, isSaving }) => {
+  const [webhookUrl, setWebhookUrl] = useState(integration?.slack?.webhookUrl || '');
+  const [signingSecret, setSigningSecret] = useState('');
+  const [events, setEvents] = useState(integration?.slack?.events || ['task.created']);
+  const [defaultList, setDefaultList] = useState(integration?.slack?.defaultList || '');
+  const [links, setLinks] = useState(integration?.slack?.members || []);
+
+  const updateLink = (index, changes) => {
+    setLinks(prev => prev.map((link, i) => (i === index ? { ...link, ...changes } : link)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      webhookUrl: webhookUrl.trim(),
+      ...(signingSecret.trim() && { signingSecret: signingSecret.trim() }),
+      events,
+      defaultList: defaultList || null,
+      members: links
+        .filter(link => link.chatUserId.trim() && link.user)
+        .map(link => ({ chatUserId: link.chatUserId.trim(), user: link.user })),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-sm text-gray-700 space-y-1">
+          <span className="block font-medium">Incoming webhook URL</span>
+          <input
+            type="url"
+            value={webhookUrl}
+            onChange={(e) => setWebhookUrl(e.target.value)}
+            placeholder="https://hooks.slack.com/services/..."
+            className={`w-full ${inputClass}`}
+          />
+        </label>
+        <label className="text-sm text-gray-700 space-y-1">
+          <span className="block font-medium">Signing secret</span>
+          <input
+            type="password"
+            value={signingSecret}
+            onChange={(e) => setSigningSecret(e.target.value)}
+            placeholder={integration ? 'Leave empty to keep the current one' : 'From your app\'s settings'}
+            required={!integration}
+            className={`w-full ${inputClass}`}
+          />
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        <h3 className="text-sm font-medium text-gray-900">Post to the channel when</h3>
+        <div className="flex flex-wrap gap-3">
+          {EVENTS.map(event => (
+            <label key={event.value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={events.includes(event.value)}
+                onChange={(e) => setEvents(prev => (e.target.checked
+                  ? [...prev, event.value]
+                  : prev.filter(item => item !== event.value)))}
+                className="mr-1"
+              />
+              {event.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label className="block text-sm text-gray-700 space-y-1">
+        <span className="block font-medium">List for tasks created with /task create</span>
+        <select value={defaultList} onChange={(e) => setDefaultList(e.target.value)} className={`w-full ${inputClass}`}>
+          <option value="">None</option>
+          {lists.map(list => (
+            <option key={list._id} value={list._id}>{list.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="space-y-2">
+        <h3 className="text-sm font-medium text-gray-900">Chat accounts</h3>
+        <p className="text-xs text-gray-500">Slash commands act as the member a chat user ID is linked to.</p>
+        {links.map((link, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={link.chatUserId}
+              onChange={(e) => updateLink(index, { chatUserId: e.target.value })}
+              placeholder="U012AB3CD"
+              className={`flex-1 font-mono ${inputClass}`}
+            />
+            <select value={link.user} onChange={(e) => updateLink(index, { user: e.target.value })} className={`flex-1 ${inputClass}`}>
+              <option value="">Select member...</option>
+              {members.map(member => (
+                <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setLinks(prev => prev.filter((_link, i) => i !== index))}
+              className="p-2 text-gray-500 hover:text-red-600"
+              title="Remove"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setLinks(prev => [...prev, { chatUserId: '', user: '' }])}
+          className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Link account
+        </button>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : integration ? 'Save' : 'Connect'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Slack-compatible chat of a workspace; only shown to workspace admins
+const SlackSettings = ({ workspaceId, members = [] }) => {
+  const queryClient = useQueryClient();
+
+  const { data: integration, isLoading } = useQuery(
+    ['integrations', workspaceId],
+    () => integrationAPI.getIntegrations(workspaceId),
+    {
+      select: (response) => response.data.data.find(item => item.provider === 'slack') || null
+    }
+  );
+
+  const { data: spaces } = useQuery(
+    ['spaces', workspaceId],
+    () => spaceAPI.getSpaces(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const refresh = () => queryClient.invalidateQueries(['integrations', workspaceId]);
+  const onError = (error) => toast.error(errorMessage(error, 'Failed to update the chat'));
+
+  const saveMutation = useMutation(
+    (changes) => integrationAPI.connectSlack({ workspace: workspaceId, ...changes }),
+    {
+      onSuccess: (response) => {
+        refresh();
+        toast.success(response.data.message);
+      },
+      onError,
+    }
+  );
+
+  const testMutation = useMutation(
+    () => integrationAPI.testSlack(integration._id),
+    {
+      onSuccess: () => toast.success('Test message sent'),
+      onError,
+    }
+  );
+
+  const disconnectMutation = useMutation(
+    () => integrationAPI.disconnectSlack(integration._id),
+    {
+      onSuccess: () => {
+        refresh();
+        toast.success('Chat disconnected successfully');
+      },
+      onError,
+    }
+  );
+
+  const commandUrl = integration && `${api.defaults.baseURL}/hooks/slack/${integration._id}`;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+        <div>
+          <h2 className="flex items-center text-lg font-semibold text-gray-900">
+            <Slack className="h-5 w-5 mr-2" />
+            Slack
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Post changes to a channel, and create or list tasks with the /task slash command.
+          </p>
+        </div>
+        {integration && (
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={integration.active}
+              onChange={(e) => saveMutation.mutate({ active: e.target.checked })}
+              className="mr-1"
+            />
+            Active
+          </label>
+        )}
+      </div>
+
+      <div className="p-6 space-y-4">
+        {isLoading ? (
+          <LoadingSpinner className="py-4" />
+        ) : (
+          <>
+            {integration && (
+              <div className="space-y-2 text-sm">
+                <p className="text-gray-700">Point the /task slash command of your app to this request URL:</p>
+                <code className="block px-2 py-1 bg-gray-100 rounded text-xs break-all">{commandUrl}</code>
+              </div>
+            )}
+
+            {/* Remount with fresh data after every save */}
+            <SlackForm
+              key={integration?.updatedAt || 'new'}
+              integration={integration}
+              lists={flattenLists(spaces)}
+              members={members.filter(member => member.user?._id)}
+              onSave={(changes) => saveMutation.mutate(changes)}
+              isSaving={saveMutation.isLoading}
+            />
+
+            {integration && (
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => testMutation.mutate()}
+                  disabled={!integration.slack?.webhookUrl || testMutation.isLoading}
+                  className="inline-flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Send className="h-4 w-4 mr-1" />
+                  Send test message
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm('Disconnect the chat? Slash commands will stop working.')) disconnectMutation.mutate();
+                  }}
+                  className="inline-flex items-center text-sm font-medium text-red-600 hover:text-red-700"
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Disconnect
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SlackSettings;
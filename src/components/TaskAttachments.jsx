@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { useDropzone } from 'react-dropzone';
+import { Paperclip, FileText, Download, Upload, History, Trash2 } from 'lucide-react';
+import { attachmentAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import Modal from './ui/Modal';
+import { formatFileSize, saveBlob } from '../utils/files';
+
+// Object URL for a blob, released again when the blob changes or the component unmounts
+const useObjectUrl = (blob) => {
+  const url = useMemo(() => (blob ? URL.createObjectURL(blob) : null), [blob]);
+  useEffect(() => () => {
+    if (url) URL.revokeObjectURL(url);
+  }, [url]);
+  return url;
+};
+
+const AttachmentThumbnail = ({ taskId, attachment }) => {
+  const { data: blob } = useQuery(
+    ['attachment-thumbnail', attachment._id, attachment.version],
+    () => attachmentAPI.getThumbnail(taskId, attachment._id),
+    {
+      enabled: Boolean(attachment.thumbnail),
+      staleTime: Infinity,
+      select: (response) => response.data,
+    }
+  );
+  const src = useObjectUrl(blob);
+
+  if (!src) {
+    return (
+      <div className="h-10 w-10 rounded bg-gray-100 flex items-center justify-center flex-shrink-0">
+        <FileText className="h-5 w-5 text-gray-400" />
+      </div>
+    );
+  }
+  return <img src={src} alt="" className="h-10 w-10 rounded object-cover flex-shrink-0" />;
+};
+
+// Full-size image, fetched when opened
+const ImagePreview = ({ taskId, attachment, onClose }) => {
+  const { data: blob } = useQuery(
+    ['attachment-file', attachment._id, attachment.version],
+    () => attachmentAPI.download(taskId, attachment._id),
+    {
+      staleTime: Infinity,
+      select: (response) => response.data,
+    }
+  );
+  const src = useObjectUrl(blob);
+
+  return (
+    <Modal isOpen onClose={onClose} title={attachment.originalName} size="large">
+      {src ? <img src={src} alt={attachment.originalName} className="max-h-[70vh] mx-auto" /> : <p className="text-sm text-gray-500">Loading...</p>}
+    </Modal>
+  );
+};
+
+const AttachmentItem = ({ taskId, attachment, canModerate }) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [showVersions, setShowVersions] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const versionInput = useRef(null);
+
+  const isUploader = attachment.uploadedBy?._id === user?._id;
+  const canReplace = !attachment.comment || isUploader;
+  const refresh = () => queryClient.invalidateQueries(['task', taskId]);
+
+  const download = async (version) => {
+    try {
+      const response = await attachmentAPI.download(taskId, attachment._id, version);
+      saveBlob(response.data, attachment.originalName);
+    } catch {
+      toast.error('Failed to download file');
+    }
+  };
+
+  const versionMutation = useMutation(
+    (file) => attachmentAPI.uploadVersion(taskId, attachment._id, file),
+    {
+      onSuccess: (response) => {
+        refresh();
+        toast.success(response.data.message);
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to upload version'),
+    }
+  );
+
+  const deleteMutation = useMutation(
+    () => attachmentAPI.deleteAttachment(taskId, attachment._id),
+    {
+      onSuccess: () => {
+        refresh();
+        toast.success('Attachment deleted');
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to delete attachment'),
+    }
+  );
+
+  return (
+    <li className="px-3 py-2">
+      <div className="flex items-center gap-3">
+        <AttachmentThumbnail taskId={taskId} attachment={attachment} />
+        <div className="min-w-0 flex-1">
+          <button
+            onClick={() => (attachment.thumbnail ? setShowPreview(true) : download())}
+            className="block max-w-full truncate text-sm font-medium text-blue-600 hover:underline"
+          >
+            {attachment.originalName}
+          </button>
+          <p className="text-xs text-gray-500">
+            {formatFileSize(attachment.size)}
+            {attachment.version > 1 && ` · v${attachment.version}`}
+            {` · ${attachment.uploadedBy?.name || 'Unknown'}, ${new Date(attachment.uploadedAt).toLocaleDateString()}`}
+          </p>
+        </div>
+        <div className="flex items-center text-gray-400">
+          <button onClick={() => download()} className="p-1 hover:text-gray-600" title="Download">
+            <Download className="h-4 w-4" />
+          </button>
+          {canReplace && (
+            <>
+              <button
+                onClick={() => versionInput.current.click()}
+                disabled={versionMutation.isLoading}
+                className="p-1 hover:text-gray-600 disabled:opacity-50"
+                title="Upload new version"
+              >
+                <Upload className="h-4 w-4" />
+              </button>
+              <input
+                ref={versionInput}
+                type="file"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) versionMutation.mutate(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </>
+          )}
+          {attachment.versions?.length > 0 && (
+            <button onClick={() => setShowVersions(!showVersions)} className="p-1 hover:text-gray-600" title="Earlier versions">
+              <History className="h-4 w-4" />
+            </button>
+          )}
+          {(isUploader || canModerate) && (
+            <button
+              onClick={() => {
+                if (window.confirm(`Delete ${attachment.originalName} and all of its versions?`)) deleteMutation.mutate();
+              }}
+              className="p-1 hover:text-red-600"
+              title="Delete"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showVersions && (
+        <ul className="mt-2 ml-12 space-y-1">
+          {[...attachment.versions].reverse().map(version => (
+            <li key={version.version} className="flex items-center gap-2 text-xs text-gray-500">
+              <button onClick={() => download(version.version)} className="text-blue-600 hover:underline">
+                v{version.version}
+              </button>
+              {version.originalName && version.originalName !== attachment.originalName && `${version.originalName} · `}
+              {formatFileSize(version.size)} · {version.uploadedBy?.name || 'Unknown'}, {new Date(version.uploadedAt).toLocaleDateString()}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showPreview && (
+        <ImagePreview taskId={taskId} attachment={attachment} onClose={() => setShowPreview(false)} />
+      )}
+    </li>
+  );
+};
+
+// Files of a task or a comment
+export const AttachmentList = ({ taskId, attachments, canModerate }) => (
+  <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+    {attachments.map(attachment => (
+      <AttachmentItem key={attachment._id} taskId={taskId} attachment={attachment} canModerate={canModerate} />
+    ))}
+  </ul>
+);
+
+/**
+ * Files attached to the task itself; files of comments are listed with
+ * their comment. Drop files anywhere on the box to upload them.
+ */
+const TaskAttachments = ({ taskId, attachments = [], canModerate }) => {
+  const queryClient = useQueryClient();
+  const { onAttachmentsUpdated } = useSocket();
+
+  useEffect(() => {
+    if (!onAttachmentsUpdated) return undefined;
+    return onAttachmentsUpdated(({ taskId: changedTaskId }) => {
+      if (changedTaskId === taskId) queryClient.invalidateQueries(['task', taskId]);
+    });
+  }, [onAttachmentsUpdated, queryClient, taskId]);
+
+  const uploadMutation = useMutation(
+    (file) => attachmentAPI.upload(taskId, file),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['task', taskId]),
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to upload file'),
+    }
+  );
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop: (files) => files.forEach(file => uploadMutation.mutate(file)),
+  });
+
+  const taskFiles = attachments.filter(attachment => !attachment.comment);
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2 flex items-center">
+        <Paperclip className="h-5 w-5 mr-2" />
+        Attachments ({taskFiles.length})
+      </h2>
+      <div className="space-y-2">
+        {taskFiles.length > 0 && (
+          <AttachmentList taskId={taskId} attachments={taskFiles} canModerate={canModerate} />
+        )}
+        <div
+          {...getRootProps()}
+          className={`border-2 border-dashed rounded-lg px-4 py-3 text-center text-sm cursor-pointer ${
+            isDragActive ? 'border-blue-400 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500 hover:border-gray-400'
+          }`}
+        >
+          <input {...getInputProps()} />
+          {uploadMutation.isLoading ? 'Uploading...' : 'Drop files here or click to upload'}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskAttachments;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ListChecks, Plus, Trash2, ArrowUpRight } from 'lucide-react';
+import { checklistAPI } from '../services/api';
+
+// One-line input that clears itself once the value was added
+const AddInput = ({ placeholder, onAdd, isLoading }) => {
+  const [value, setValue] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+    onAdd(value.trim(), () => setValue(''));
+  };
+
+  return (
+    <form onSubmit={submit} className="flex items-center gap-2">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        className="flex-1 border border-gray-300 rounded-md py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+      />
+      <button
+        type="submit"
+        disabled={isLoading || !value.trim()}
+        className="p-1.5 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        title="Add"
+      >
+        <Plus className="h-4 w-4" />
+      </button>
+    </form>
+  );
+};
+
+const Checklist = ({ taskId, checklist, run }) => {
+  const done = checklist.items.filter(item => item.completed).length;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-900">
+          {checklist.name}
+          <span className="ml-2 text-xs font-normal text-gray-500">{done}/{checklist.items.length}</span>
+        </h3>
+        <button
+          onClick={() => {
+            if (window.confirm(`Delete the checklist "${checklist.name}"?`)) {
+              run(() => checklistAPI.deleteChecklist(taskId, checklist._id));
+            }
+          }}
+          className="p-1 text-gray-400 hover:text-red-600"
+          title="Delete checklist"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      <ul className="space-y-1 mb-2">
+        {checklist.items.map(item => (
+          <li key={item._id} className="group flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={item.completed}
+              onChange={(e) => run(() => checklistAPI.updateItem(taskId, checklist._id, item._id, { completed: e.target.checked }))}
+              className="h-4 w-4 rounded border-gray-300 text-blue-600"
+            />
+            <span className={`flex-1 ${item.completed ? 'text-gray-400 line-through' : 'text-gray-900'}`}>{item.text}</span>
+            <div className="flex items-center opacity-0 group-hover:opacity-100 text-gray-400">
+              <button
+                onClick={() => run(() => checklistAPI.convertItem(taskId, checklist._id, item._id), 'Item converted to a subtask')}
+                className="p-1 hover:text-gray-600"
+                title="Convert to subtask"
+              >
+                <ArrowUpRight className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => run(() => checklistAPI.deleteItem(taskId, checklist._id, item._id))}
+                className="p-1 hover:text-red-600"
+                title="Delete item"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <AddInput
+        placeholder="Add an item"
+        onAdd={(text, clear) => run(() => checklistAPI.addItem(taskId, checklist._id, text), null, clear)}
+      />
+    </div>
+  );
+};
+
+// Checklists of a task; items count towards its progress and can become subtasks
+const TaskChecklists = ({ taskId, workspaceId, checklists = [] }) => {
+  const queryClient = useQueryClient();
+
+  const checklistMutation = useMutation(
+    ({ request }) => request(),
+    {
+      onSuccess: (_response, { message, onDone }) => {
+        queryClient.invalidateQueries(['task', taskId]);
+        queryClient.invalidateQueries(['subtasks', taskId]);
+        queryClient.invalidateQueries(['tasks', workspaceId]);
+        if (message) toast.success(message);
+        onDone?.();
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to update checklist'),
+    }
+  );
+
+  const run = (request, message, onDone) => checklistMutation.mutate({ request, message, onDone });
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2 flex items-center">
+        <ListChecks className="h-5 w-5 mr-2" />
+        Checklists
+      </h2>
+      <div className="space-y-2">
+        {checklists.map(checklist => (
+          <Checklist key={checklist._id} taskId={taskId} checklist={checklist} run={run} />
+        ))}
+        <AddInput
+          placeholder="New checklist"
+          isLoading={checklistMutation.isLoading}
+          onAdd={(name, clear) => run(() => checklistAPI.createChecklist(taskId, name), null, clear)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TaskChecklists;
@@ -0,0 +1,707 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import ReactMarkdown from 'react-markdown';
+import {
+  MessageSquare,
+  Send,
+  User,
+  Reply,
+  Edit,
+  Trash2,
+  Smile,
+  History,
+  Paperclip,
+  Activity,
+  X
+} from 'lucide-react';
+import { taskAPI, commentAPI, attachmentAPI, activityAPI, customFieldAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import Modal from './ui/Modal';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { AttachmentList } from './TaskAttachments';
+import { joinNames } from '../utils/presence';
+import { describeActivity, mergeTimeline, SOURCE_LABELS } from '../utils/activity';
+
+const TYPING_TIMEOUT = 3000;
+const QUICK_REACTIONS = ['👍', '❤️', '🎉', '😄', '👀', '🚀'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatDate = (date) => `${new Date(date).toLocaleDateString()} at ${new Date(date).toLocaleTimeString()}`;
+
+// Turn resolved mentions into links so the markdown renderer can highlight them
+const linkMentions = (content, mentions = []) => mentions.reduce((text, mentioned) => {
+  const handles = [mentioned?.name, mentioned?.email].filter(Boolean).map(escapeRegExp);
+  if (!handles.length) return text;
+  const pattern = new RegExp(`@(${handles.join('|')})(?![\\w.-])`, 'gi');
+  return text.replace(pattern, `[@${mentioned.name}](#mention-${mentioned._id})`);
+}, content);
+
+const markdownComponents = {
+  a: ({ href, children }) => (href?.startsWith('#mention-') ? (
+    <span className="px-1 rounded bg-blue-50 text-blue-700 font-medium">{children}</span>
+  ) : (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+      {children}
+    </a>
+  )),
+  ul: ({ children }) => <ul className="list-disc pl-5">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-5">{children}</ol>,
+  pre: ({ children }) => <pre className="bg-gray-100 rounded p-3 overflow-x-auto text-sm">{children}</pre>,
+  code: ({ children }) => <code className="bg-gray-100 rounded px-1 font-mono text-sm">{children}</code>,
+  blockquote: ({ children }) => <blockquote className="border-l-4 border-gray-200 pl-3 text-gray-500">{children}</blockquote>,
+};
+
+const Markdown = ({ content, mentions }) => (
+  <div className="text-gray-700 space-y-2 break-words">
+    <ReactMarkdown components={markdownComponents}>
+      {linkMentions(content, mentions)}
+    </ReactMarkdown>
+  </div>
+);
+
+// One entry per emoji with everyone who reacted with it, in order of first use
+const groupReactions = (reactions = []) => {
+  const groups = new Map();
+  reactions.forEach(({ emoji, user }) => {
+    if (!groups.has(emoji)) groups.set(emoji, []);
+    groups.get(emoji).push(user);
+  });
+  return [...groups].map(([emoji, users]) => ({ emoji, users }));
+};
+
+// Add a comment to the cached list, or replace it when it is already there
+const mergeComment = (response, comment) => {
+  if (!response) return response;
+  const comments = response.data.data;
+  const next = comments.some(existing => existing._id === comment._id)
+    ? comments.map(existing => (existing._id === comment._id ? comment : existing))
+    : [...comments, comment];
+  return { ...response, data: { ...response.data, data: next } };
+};
+
+/**
+ * Comment box with @mention suggestions from the workspace members.
+ * Enter sends, Shift+Enter starts a new line.
+ */
+const CommentComposer = ({
+  members,
+  initialValue = '',
+  placeholder,
+  submitLabel = 'Send',
+  isLoading,
+  autoFocus,
+  onSubmit,
+  onCancel,
+  onChange,
+  allowFiles,
+}) => {
+  const [value, setValue] = useState(initialValue);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [files, setFiles] = useState([]);
+  const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const suggestions = mentionQuery === null ? [] : members
+    .filter(member => member.name?.toLowerCase().includes(mentionQuery.toLowerCase()))
+    .slice(0, 5);
+
+  const update = (next) => {
+    setValue(next);
+    onChange?.(next);
+  };
+
+  const handleChange = (e) => {
+    const match = e.target.value.slice(0, e.target.selectionStart).match(/(?:^|\s)@([^\s@]*)$/);
+    setMentionQuery(match ? match[1] : null);
+    update(e.target.value);
+  };
+
+  const insertMention = (member) => {
+    const input = inputRef.current;
+    const caret = input.selectionStart;
+    const before = value.slice(0, caret).replace(/@[^\s@]*$/, `@${member.name} `);
+    update(before + value.slice(caret));
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const submit = () => {
+    if (!value.trim()) return;
+    onSubmit(value.trim(), () => {
+      update('');
+      setFiles([]);
+    }, files);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      if (suggestions.length) setMentionQuery(null);
+      else onCancel?.();
+      return;
+    }
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      if (suggestions.length) insertMention(suggestions[0]);
+      else submit();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex space-x-3">
+        <textarea
+          ref={inputRef}
+          rows={2}
+          value={value}
+          autoFocus={autoFocus}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setMentionQuery(null)}
+          placeholder={placeholder}
+          className="flex-1 border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+        />
+        <div className="flex flex-col space-y-2">
+          <button
+            onClick={submit}
+            disabled={isLoading || !value.trim()}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Send className="h-4 w-4 mr-2" />
+            {submitLabel}
+          </button>
+          {onCancel && (
+            <button
+              onClick={onCancel}
+              className="px-4 py-1 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          )}
+          {allowFiles && (
+            <>
+              <button
+                onClick={() => fileInputRef.current.click()}
+                className="inline-flex items-center justify-center px-4 py-1 text-sm text-gray-600 hover:text-gray-800"
+                title="Attach files"
+              >
+                <Paperclip className="h-4 w-4" />
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  const selected = [...e.target.files];
+                  setFiles(prev => [...prev, ...selected]);
+                  e.target.value = '';
+                }}
+              />
+            </>
+          )}
+        </div>
+      </div>
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {files.map((file, index) => (
+            <span key={`${file.name}-${index}`} className="inline-flex items-center px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-700">
+              <Paperclip className="h-3 w-3 mr-1" />
+              {file.name}
+              <button
+                onClick={() => setFiles(prev => prev.filter((_file, i) => i !== index))}
+                className="ml-1 text-gray-400 hover:text-gray-600"
+                title="Remove"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-lg">
+          {suggestions.map(member => (
+            <li key={member._id}>
+              <button
+                // Keep the focus in the textarea so the caret position is still known
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  insertMention(member);
+                }}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-gray-100"
+              >
+                <span className="font-medium text-gray-900">{member.name}</span>
+                <span className="ml-2 text-gray-500">{member.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Every version of a comment, newest first
+const CommentHistory = ({ commentId, isOpen, onClose }) => {
+  const { data: history, isLoading } = useQuery(
+    ['comment-history', commentId],
+    () => commentAPI.getHistory(commentId),
+    {
+      enabled: isOpen,
+      select: (response) => response.data.data,
+    }
+  );
+
+  const versions = history ? [
+    { content: history.current.content, label: `Current version, edited ${formatDate(history.current.editedAt)}` },
+    ...[...history.revisions].reverse().map(revision => ({
+      content: revision.content,
+      label: `Replaced ${formatDate(revision.editedAt)}`,
+    })),
+  ] : [];
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Edit history" size="large">
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : (
+        <div className="space-y-4">
+          {versions.map((version, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg p-4">
+              <p className="text-xs text-gray-500 mb-2">{version.label}</p>
+              <Markdown content={version.content} />
+            </div>
+          ))}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+const CommentItem = ({ comment, taskId, attachments = [], currentUserId, canModerate, members, actions }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [showReactions, setShowReactions] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const isAuthor = comment.user?._id === currentUserId;
+  const isDeleted = Boolean(comment.deletedAt);
+
+  const react = (emoji) => {
+    setShowReactions(false);
+    actions.toggleReaction.mutate({ commentId: comment._id, emoji });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Are you sure you want to delete this comment?')) {
+      actions.deleteComment.mutate(comment._id);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <div className="h-8 w-8 rounded-full bg-gray-300 flex items-center justify-center">
+            <User className="h-4 w-4 text-gray-600" />
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-900">{comment.user?.name || 'Unknown'}</p>
+            <p className="text-xs text-gray-500">
+              {formatDate(comment.createdAt)}
+              {comment.editedAt && !isDeleted && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="ml-2 hover:text-gray-700 hover:underline"
+                  title="Show edit history"
+                >
+                  (edited)
+                </button>
+              )}
+            </p>
+          </div>
+        </div>
+
+        {!isDeleted && (
+          <div className="flex items-center space-x-1 text-gray-400">
+            <button onClick={() => actions.reply(comment)} className="p-1 hover:text-gray-600" title="Reply">
+              <Reply className="h-4 w-4" />
+            </button>
+            <button onClick={() => setShowReactions(!showReactions)} className="p-1 hover:text-gray-600" title="React">
+              <Smile className="h-4 w-4" />
+            </button>
+            {comment.editedAt && (
+              <button onClick={() => setShowHistory(true)} className="p-1 hover:text-gray-600" title="Edit history">
+                <History className="h-4 w-4" />
+              </button>
+            )}
+            {isAuthor && (
+              <button onClick={() => setIsEditing(true)} className="p-1 hover:text-gray-600" title="Edit">
+                <Edit className="h-4 w-4" />
+              </button>
+            )}
+            {(isAuthor || canModerate) && (
+              <button onClick={handleDelete} className="p-1 hover:text-red-600" title="Delete">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {isDeleted ? (
+        <p className="text-gray-500 italic">This comment was deleted</p>
+      ) : isEditing ? (
+        <CommentComposer
+          members={members}
+          initialValue={comment.content}
+          submitLabel="Save"
+          isLoading={actions.updateComment.isLoading}
+          autoFocus
+          onCancel={() => setIsEditing(false)}
+          onSubmit={(content) => actions.updateComment.mutate(
+            { commentId: comment._id, content },
+            { onSuccess: () => setIsEditing(false) }
+          )}
+        />
+      ) : (
+        <Markdown content={comment.content} mentions={comment.mentions} />
+      )}
+
+      {!isDeleted && attachments.length > 0 && (
+        <div className="mt-3">
+          <AttachmentList taskId={taskId} attachments={attachments} canModerate={canModerate} />
+        </div>
+      )}
+
+      {showReactions && (
+        <div className="flex space-x-1 mt-2">
+          {QUICK_REACTIONS.map(emoji => (
+            <button key={emoji} onClick={() => react(emoji)} className="px-2 py-1 rounded hover:bg-gray-100">
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!isDeleted && comment.reactions?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {groupReactions(comment.reactions).map(({ emoji, users }) => {
+            const reacted = users.some(reactor => reactor?._id === currentUserId);
+            return (
+              <button
+                key={emoji}
+                onClick={() => react(emoji)}
+                title={users.map(reactor => reactor?.name).join(', ')}
+                className={`inline-flex items-center px-2 py-0.5 rounded-full border text-sm ${
+                  reacted ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-gray-50 border-gray-200 text-gray-700'
+                }`}
+              >
+                <span className="mr-1">{emoji}</span>
+                {users.length}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {comment.editedAt && (
+        <CommentHistory commentId={comment._id} isOpen={showHistory} onClose={() => setShowHistory(false)} />
+      )}
+    </div>
+  );
+};
+
+const ActivityItem = ({ activity, context }) => (
+  <div className="flex items-start px-2 text-sm text-gray-500">
+    <Activity className="h-4 w-4 mt-0.5 mr-2 flex-shrink-0 text-gray-400" />
+    <p className="break-words">
+      <span className="font-medium text-gray-700">{activity.actor?.name || 'Someone'}</span>
+      {' '}{describeActivity(activity, context)}
+      {SOURCE_LABELS[activity.source] && ` ${SOURCE_LABELS[activity.source]}`}
+      <span className="ml-2 text-xs text-gray-400">{formatDate(activity.createdAt)}</span>
+    </p>
+  </div>
+);
+
+/**
+ * Threaded comments of a task, between the entries of its activity log.
+ * New and changed comments stream in through the task room, which the page
+ * has to join; the log reloads whenever `updatedAt` of the task moves.
+ */
+const TaskComments = ({ taskId, workspace, updatedAt, viewers = [], attachments = [] }) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const { setTaskTyping, onCommentAdded, onCommentUpdated } = useSocket();
+  const [replyTo, setReplyTo] = useState(null);
+  const [showActivity, setShowActivity] = useState(true);
+  const typingTimeout = useRef(null);
+
+  const { data: comments = [], isLoading } = useQuery(
+    ['comments', taskId],
+    () => taskAPI.getComments(taskId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: activities = [] } = useQuery(
+    ['activity', taskId, updatedAt],
+    () => activityAPI.getActivity({ taskId, limit: 100 }),
+    {
+      enabled: showActivity,
+      keepPreviousData: true,
+      select: (response) => response.data.data.activities
+    }
+  );
+
+  const { data: customFields = [] } = useQuery(
+    ['custom-fields', workspace?._id],
+    () => customFieldAPI.getFields(workspace._id),
+    {
+      enabled: showActivity && Boolean(workspace?._id),
+      select: (response) => response.data.data
+    }
+  );
+
+  // Everyone who can be mentioned, except the current user
+  const members = useMemo(() => {
+    const users = [workspace?.owner, ...(workspace?.members || []).map(member => member.user)];
+    const byId = new Map(users.filter(member => member?._id).map(member => [member._id, member]));
+    byId.delete(user?._id);
+    return [...byId.values()];
+  }, [workspace, user?._id]);
+
+  const canModerate = workspace?.owner?._id === user?._id ||
+    Boolean(workspace?.members?.some(member => member.user?._id === user?._id && member.role === 'admin'));
+
+  // Replies are listed under their thread's first comment, both oldest first
+  const threads = useMemo(() => comments
+    .filter(comment => !comment.parent)
+    .map(root => ({ root, replies: comments.filter(comment => comment.parent === root._id) })), [comments]);
+
+  const timeline = useMemo(
+    () => mergeTimeline(threads, showActivity ? activities : []),
+    [threads, activities, showActivity]
+  );
+
+  const storeComment = (comment) => {
+    queryClient.setQueryData(['comments', taskId], (response) => mergeComment(response, comment));
+    queryClient.invalidateQueries(['comment-history', comment._id]);
+  };
+
+  useEffect(() => {
+    const handleComment = ({ comment, taskId: commentTaskId }) => {
+      if (commentTaskId !== taskId) return;
+      queryClient.setQueryData(['comments', taskId], (response) => mergeComment(response, comment));
+      queryClient.invalidateQueries(['comment-history', comment._id]);
+    };
+    const stopAdded = onCommentAdded?.(handleComment);
+    const stopUpdated = onCommentUpdated?.(handleComment);
+    return () => {
+      stopAdded?.();
+      stopUpdated?.();
+    };
+  }, [onCommentAdded, onCommentUpdated, queryClient, taskId]);
+
+  const stopTyping = () => {
+    clearTimeout(typingTimeout.current);
+    typingTimeout.current = null;
+    setTaskTyping?.(taskId, false);
+  };
+
+  useEffect(() => () => clearTimeout(typingTimeout.current), []);
+
+  // Typing counts until the comment box has been idle for a few seconds
+  const handleTyping = () => {
+    if (!typingTimeout.current) setTaskTyping?.(taskId, true);
+    clearTimeout(typingTimeout.current);
+    typingTimeout.current = setTimeout(stopTyping, TYPING_TIMEOUT);
+  };
+
+  const onMutationSuccess = (response) => storeComment(response.data.data);
+
+  const addComment = useMutation(
+    (commentData) => taskAPI.addComment(taskId, commentData),
+    {
+      onSuccess: (response) => {
+        onMutationSuccess(response);
+        toast.success('Comment added successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to add comment');
+      },
+    }
+  );
+
+  const updateComment = useMutation(
+    ({ commentId, content }) => commentAPI.updateComment(commentId, { content }),
+    {
+      onSuccess: onMutationSuccess,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update comment');
+      },
+    }
+  );
+
+  const deleteComment = useMutation(
+    (commentId) => commentAPI.deleteComment(commentId),
+    {
+      onSuccess: (response) => {
+        onMutationSuccess(response);
+        toast.success('Comment deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete comment');
+      },
+    }
+  );
+
+  const toggleReaction = useMutation(
+    ({ commentId, emoji }) => commentAPI.toggleReaction(commentId, emoji),
+    {
+      onSuccess: onMutationSuccess,
+      onError: () => {
+        toast.error('Failed to update reaction');
+      },
+    }
+  );
+
+  // Replying to a reply continues its thread and mentions its author
+  const reply = (comment) => {
+    const rootId = comment.parent || comment._id;
+    const mention = comment.parent && comment.user?._id !== user?._id ? `@${comment.user.name} ` : '';
+    setReplyTo({ rootId, initialValue: mention });
+  };
+
+  // Files are attached once the comment they belong to exists
+  const attachFiles = async (commentId, files) => {
+    try {
+      for (const file of files) {
+        await attachmentAPI.upload(taskId, file, { comment: commentId });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to attach file');
+    }
+    queryClient.invalidateQueries(['task', taskId]);
+  };
+
+  const submitComment = (parent) => (content, clear, files = []) => {
+    stopTyping();
+    addComment.mutate({ content, parent }, {
+      onSuccess: (response) => {
+        clear();
+        if (parent) setReplyTo(null);
+        if (files.length > 0) attachFiles(response.data.data._id, files);
+      },
+    });
+  };
+
+  const attachmentsOf = (comment) => attachments.filter(attachment => attachment.comment === comment._id);
+
+  const actions = { reply, updateComment, deleteComment, toggleReaction };
+  const typingViewers = viewers.filter(viewer => viewer.typing && viewer.user._id !== user?._id);
+  const count = comments.filter(comment => !comment.deletedAt).length;
+
+  return (
+    <div className="mt-12">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <MessageSquare className="h-5 w-5 mr-2" />
+          Comments ({count})
+        </h2>
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={showActivity}
+            onChange={(e) => setShowActivity(e.target.checked)}
+            className="mr-2 rounded border-gray-300"
+          />
+          Show activity
+        </label>
+      </div>
+
+      <div className="space-y-4">
+        <CommentComposer
+          members={members}
+          placeholder="Add a comment... Markdown is supported, type @ to mention someone"
+          isLoading={addComment.isLoading}
+          allowFiles
+          onChange={handleTyping}
+          onSubmit={submitComment(null)}
+        />
+        {typingViewers.length > 0 && (
+          <p className="text-sm text-gray-500 italic">
+            {joinNames(typingViewers)} {typingViewers.length > 1 ? 'are' : 'is'} typing...
+          </p>
+        )}
+
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="space-y-4">
+            {timeline.map(({ type, key, activity, thread: { root, replies } = {} }) => (type === 'activity' ? (
+              <ActivityItem key={key} activity={activity} context={{ workspace, customFields }} />
+            ) : (
+              <div key={key} className="space-y-2">
+                <CommentItem
+                  comment={root}
+                  taskId={taskId}
+                  attachments={attachmentsOf(root)}
+                  currentUserId={user?._id}
+                  canModerate={canModerate}
+                  members={members}
+                  actions={actions}
+                />
+                {(replies.length > 0 || replyTo?.rootId === root._id) && (
+                  <div className="ml-10 pl-4 border-l-2 border-gray-100 space-y-2">
+                    {replies.map(replyComment => (
+                      <CommentItem
+                        key={replyComment._id}
+                        comment={replyComment}
+                        taskId={taskId}
+                        attachments={attachmentsOf(replyComment)}
+                        currentUserId={user?._id}
+                        canModerate={canModerate}
+                        members={members}
+                        actions={actions}
+                      />
+                    ))}
+                    {replyTo?.rootId === root._id && (
+                      <CommentComposer
+                        key={replyTo.initialValue}
+                        members={members}
+                        initialValue={replyTo.initialValue}
+                        placeholder="Write a reply..."
+                        submitLabel="Reply"
+                        isLoading={addComment.isLoading}
+                        allowFiles
+                        autoFocus
+                        onChange={handleTyping}
+                        onCancel={() => setReplyTo(null)}
+                        onSubmit={submitComment(root._id)}
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+            )))}
+            {threads.length === 0 && (
+              <div className="text-center py-8">
+                <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-500">No comments yet. Be the first to comment!</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { SlidersHorizontal } from 'lucide-react';
+import { taskAPI, customFieldAPI } from '../services/api';
+import CustomFieldInput from './CustomFieldInput';
+import { getFieldValue } from '../utils/customFields';
+
+// Custom fields of the task's workspace and list, each saved as soon as it changes
+const TaskCustomFields = ({ task, workspace, workspaceId }) => {
+  const queryClient = useQueryClient();
+  const taskId = task._id;
+  const listId = task.list?._id || task.list;
+
+  const { data: fields = [] } = useQuery(
+    ['custom-fields', workspaceId, listId],
+    () => customFieldAPI.getFields(workspaceId, listId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ field, value }) => taskAPI.updateTask(taskId, { customFields: [{ field, value }] }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['task', taskId]);
+        queryClient.invalidateQueries(['tasks', workspaceId]);
+        queryClient.invalidateQueries(['workspace-tasks', workspaceId]);
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to update field'),
+    }
+  );
+
+  if (fields.length === 0) return null;
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2 flex items-center">
+        <SlidersHorizontal className="h-5 w-5 mr-2" />
+        Custom Fields
+      </h2>
+      <dl className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {fields.map(field => (
+          <div key={field._id} className="grid grid-cols-3 gap-4 items-center px-4 py-2">
+            <dt className="text-sm font-medium text-gray-500">{field.name}</dt>
+            <dd className="col-span-2">
+              <CustomFieldInput
+                field={field}
+                value={getFieldValue(task, field)}
+                members={workspace?.members}
+                disabled={updateMutation.isLoading}
+                onSave={(value) => updateMutation.mutate({ field: field._id, value })}
+              />
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default TaskCustomFields;
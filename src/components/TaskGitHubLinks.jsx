@@ -0,0 +1,51 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { GitCommit, GitPullRequest } from 'lucide-react';
+import { integrationAPI } from '../services/api';
+
+const PULL_REQUEST_STATE_STYLES = {
+  open: 'bg-green-100 text-green-800',
+  merged: 'bg-purple-100 text-purple-800',
+  closed: 'bg-red-100 text-red-800',
+};
+
+// Commits and pull requests that mention a task; hidden while there are none
+const TaskGitHubLinks = ({ taskId }) => {
+  const { data: links } = useQuery(
+    ['github-links', taskId],
+    () => integrationAPI.getGitHubLinks(taskId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  if (!links?.length) return null;
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2">GitHub</h2>
+      <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {links.map(link => (
+          <li key={link._id} className="flex items-center gap-2 px-4 py-2 text-sm">
+            {link.kind === 'pull-request'
+              ? <GitPullRequest className="h-4 w-4 text-gray-500 flex-shrink-0" />
+              : <GitCommit className="h-4 w-4 text-gray-500 flex-shrink-0" />}
+            <a href={link.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline truncate">
+              {link.title}
+            </a>
+            <span className="text-xs text-gray-500 flex-shrink-0">
+              {link.repository}{link.kind === 'pull-request' ? `#${link.ref}` : `@${link.ref.slice(0, 7)}`}
+            </span>
+            {link.state && (
+              <span className={`ml-auto px-2 py-0.5 rounded text-xs font-medium ${PULL_REQUEST_STATE_STYLES[link.state]}`}>
+                {link.state}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TaskGitHubLinks;
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Repeat } from 'lucide-react';
+import { taskAPI } from '../services/api';
+import {
+  WEEKDAYS,
+  WEEKDAY_POSITIONS,
+  RECURRENCE_MODES,
+  toRecurrenceForm,
+  fromRecurrenceForm,
+  describeRecurrence
+} from '../utils/recurrence';
+
+const inputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// How a task repeats; the next occurrence is created by the server
+const TaskRecurrence = ({ task, workspaceId }) => {
+  const queryClient = useQueryClient();
+  const taskId = task._id;
+  const [form, setForm] = useState(null);
+
+  const updateMutation = useMutation(
+    (recurrence) => taskAPI.updateTask(taskId, { recurrence }),
+    {
+      onSuccess: (_response, recurrence) => {
+        queryClient.invalidateQueries(['task', taskId]);
+        queryClient.invalidateQueries(['tasks', workspaceId]);
+        queryClient.invalidateQueries(['workspace-tasks', workspaceId]);
+        toast.success(recurrence ? 'Repeat schedule saved' : 'Task no longer repeats');
+        setForm(null);
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to update the repeat schedule'),
+    }
+  );
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleWeekday = (key) => setForm(prev => ({
+    ...prev,
+    weekdays: prev.weekdays.includes(key) ? prev.weekdays.filter(day => day !== key) : [...prev.weekdays, key],
+  }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (form.frequency === 'weekly' && form.weekdays.length === 0) {
+      toast.error('Pick at least one day of the week');
+      return;
+    }
+    updateMutation.mutate(fromRecurrenceForm(form));
+  };
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2 flex items-center">
+        <Repeat className="h-5 w-5 mr-2" />
+        Repeat
+      </h2>
+      <div className="bg-white border border-gray-200 rounded-lg p-4">
+        {!form && (
+          <div className="flex items-center justify-between gap-4">
+            <div className="text-sm">
+              {task.recurrence ? (
+                <>
+                  <p className="text-gray-900">{describeRecurrence(task.recurrence)}</p>
+                  <p className="text-gray-500">
+                    Next one is created {task.recurrence.mode === 'on-schedule' ? 'when this one is due' : 'when this one is completed'}
+                    {' · '}{task.recurrence.timezone}
+                  </p>
+                </>
+              ) : (
+                <p className="text-gray-500">
+                  {task.dueDate ? 'This task does not repeat' : 'Set a due date to make this task repeat'}
+                </p>
+              )}
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              {task.recurrence && (
+                <button
+                  onClick={() => updateMutation.mutate(null)}
+                  disabled={updateMutation.isLoading}
+                  className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Stop repeating
+                </button>
+              )}
+              <button
+                onClick={() => setForm(toRecurrenceForm(task))}
+                disabled={!task.dueDate}
+                className="px-3 py-1.5 text-sm text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+              >
+                {task.recurrence ? 'Edit' : 'Set up'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-gray-700">Every</span>
+              <input
+                type="number"
+                min={1}
+                max={99}
+                value={form.interval}
+                onChange={(e) => setField('interval', e.target.value)}
+                className={`${inputClass} w-16`}
+              />
+              <select value={form.frequency} onChange={(e) => setField('frequency', e.target.value)} className={inputClass}>
+                <option value="daily">day{Number(form.interval) > 1 ? 's' : ''}</option>
+                <option value="weekly">week{Number(form.interval) > 1 ? 's' : ''}</option>
+                <option value="monthly">month{Number(form.interval) > 1 ? 's' : ''}</option>
+              </select>
+            </div>
+
+            {form.frequency === 'weekly' && (
+              <div className="flex flex-wrap gap-1">
+                {WEEKDAYS.map(weekday => (
+                  <button
+                    key={weekday.key}
+                    type="button"
+                    onClick={() => toggleWeekday(weekday.key)}
+                    className={`px-2 py-1 rounded-md border ${form.weekdays.includes(weekday.key)
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {weekday.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {form.frequency === 'monthly' && (
+              <div className="space-y-2">
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={form.monthlyBy === 'date'} onChange={() => setField('monthlyBy', 'date')} />
+                  On day
+                  <input
+                    type="number"
+                    min={1}
+                    max={31}
+                    value={form.monthDay}
+                    onChange={(e) => setField('monthDay', e.target.value)}
+                    disabled={form.monthlyBy !== 'date'}
+                    className={`${inputClass} w-16`}
+                  />
+                </label>
+                <label className="flex flex-wrap items-center gap-2">
+                  <input type="radio" checked={form.monthlyBy === 'weekday'} onChange={() => setField('monthlyBy', 'weekday')} />
+                  On the
+                  <select
+                    value={form.weekdayPosition}
+                    onChange={(e) => setField('weekdayPosition', e.target.value)}
+                    disabled={form.monthlyBy !== 'weekday'}
+                    className={inputClass}
+                  >
+                    {WEEKDAY_POSITIONS.map(position => (
+                      <option key={position.value} value={position.value}>{position.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={form.monthWeekday}
+                    onChange={(e) => setField('monthWeekday', e.target.value)}
+                    disabled={form.monthlyBy !== 'weekday'}
+                    className={inputClass}
+                  >
+                    {WEEKDAYS.map(weekday => (
+                      <option key={weekday.key} value={weekday.key}>{weekday.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <p className="text-xs text-gray-500">Months without the day use their last one.</p>
+              </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-gray-700">Create the next one</span>
+              <select value={form.mode} onChange={(e) => setField('mode', e.target.value)} className={inputClass}>
+                {RECURRENCE_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label.toLowerCase()}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={form.copyChecklists} onChange={(e) => setField('copyChecklists', e.target.checked)} />
+                Copy checklists
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={form.copySubtasks} onChange={(e) => setField('copySubtasks', e.target.checked)} />
+                Copy subtasks
+              </label>
+              <label className="flex items-center gap-2">
+                Ends
+                <input
+                  type="date"
+                  value={form.until}
+                  onChange={(e) => setField('until', e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Occurrences keep the task's time of day in {form.timezone}.
+            </p>
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-3 py-1.5 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={updateMutation.isLoading}
+                className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskRecurrence;
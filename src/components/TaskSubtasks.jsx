@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ListTree, Plus, CornerUpLeft, CheckSquare, Square } from 'lucide-react';
+import { taskAPI } from '../services/api';
+import ProgressBar from './ui/ProgressBar';
+import { StatusBadge } from './WorkflowBadge';
+import { getStatuses } from '../utils/workflow';
+import { hasProgress, formatMinutes } from '../utils/progress';
+
+const AddSubtaskForm = ({ onAdd, isLoading, onCancel }) => {
+  const [title, setTitle] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    onAdd(title.trim(), () => setTitle(''));
+  };
+
+  return (
+    <form onSubmit={submit} className="flex items-center gap-2">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Subtask title"
+        autoFocus={Boolean(onCancel)}
+        className="flex-1 border border-gray-300 rounded-md py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+      />
+      <button
+        type="submit"
+        disabled={isLoading || !title.trim()}
+        className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        Add
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="px-2 py-1 text-sm text-gray-500 hover:text-gray-700">
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+};
+
+const SubtaskNode = ({ node, workspace, workspaceId, actions }) => {
+  const [adding, setAdding] = useState(false);
+  const statuses = getStatuses(workspace);
+  const isDone = statuses.find(status => status.key === node.status)?.category === 'done';
+
+  return (
+    <li>
+      <div className="flex items-center gap-2 px-3 py-2 hover:bg-gray-50">
+        <button
+          onClick={() => actions.toggleDone(node, isDone)}
+          className="text-gray-400 hover:text-blue-600"
+          title={isDone ? 'Reopen' : 'Mark as done'}
+        >
+          {isDone ? <CheckSquare className="h-4 w-4 text-green-600" /> : <Square className="h-4 w-4" />}
+        </button>
+        <Link
+          to={`/workspace/${workspaceId}/task/${node._id}`}
+          className={`min-w-0 flex-1 truncate text-sm hover:underline ${isDone ? 'text-gray-500 line-through' : 'text-gray-900'}`}
+        >
+          {node.title}
+        </Link>
+        {hasProgress(node.progress) && (
+          <ProgressBar percent={node.progress.percent} className="w-28" />
+        )}
+        <StatusBadge workspace={workspace} status={node.status} />
+        <button onClick={() => setAdding(!adding)} className="p-1 text-gray-400 hover:text-gray-600" title="Add subtask">
+          <Plus className="h-4 w-4" />
+        </button>
+        <button onClick={() => actions.detach(node)} className="p-1 text-gray-400 hover:text-gray-600" title="Make top-level task">
+          <CornerUpLeft className="h-4 w-4" />
+        </button>
+      </div>
+
+      {adding && (
+        <div className="pl-9 pr-3 pb-2">
+          <AddSubtaskForm
+            isLoading={actions.isCreating}
+            onAdd={(title, done) => actions.create(title, node._id, () => {
+              done();
+              setAdding(false);
+            })}
+            onCancel={() => setAdding(false)}
+          />
+        </div>
+      )}
+
+      {node.subtasks.length > 0 && (
+        <ul className="ml-6 border-l border-gray-100">
+          {node.subtasks.map(child => (
+            <SubtaskNode key={child._id} node={child} workspace={workspace} workspaceId={workspaceId} actions={actions} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Subtasks of a task at every depth, with the progress rolled up from them
+ * and from the task's checklists
+ */
+const TaskSubtasks = ({ task, workspace, workspaceId }) => {
+  const queryClient = useQueryClient();
+  const taskId = task._id;
+
+  const { data: tree } = useQuery(
+    ['subtasks', taskId],
+    () => taskAPI.getSubtasks(taskId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['subtasks', taskId]);
+    queryClient.invalidateQueries(['task', taskId]);
+    queryClient.invalidateQueries(['tasks', workspaceId]);
+  };
+
+  const createMutation = useMutation(
+    ({ title, parentTask }) => taskAPI.createTask({ title, parentTask, list: task.list?._id }),
+    {
+      onSuccess: refresh,
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to create subtask'),
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ id, status }) => taskAPI.updateTask(id, { status }),
+    {
+      onSuccess: refresh,
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to update subtask'),
+    }
+  );
+
+  const detachMutation = useMutation(
+    (id) => taskAPI.setParent(id, null),
+    {
+      onSuccess: () => {
+        refresh();
+        toast.success('Subtask moved to the top level');
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to move subtask'),
+    }
+  );
+
+  const activeStatuses = getStatuses(workspace).filter(status => !status.archived);
+  const doneStatus = activeStatuses.find(status => status.category === 'done');
+  const openStatus = activeStatuses.find(status => status.category !== 'done');
+
+  const actions = {
+    isCreating: createMutation.isLoading,
+    create: (title, parentTask, onDone) => createMutation.mutate({ title, parentTask }, { onSuccess: onDone }),
+    toggleDone: (node, isDone) => {
+      const status = isDone ? openStatus : doneStatus;
+      if (status) updateMutation.mutate({ id: node._id, status: status.key });
+    },
+    detach: (node) => detachMutation.mutate(node._id),
+  };
+
+  const progress = tree?.progress;
+  const subtasks = tree?.subtasks || [];
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2 flex items-center">
+        <ListTree className="h-5 w-5 mr-2" />
+        Subtasks ({progress?.subtasks.total ?? 0})
+      </h2>
+
+      {progress && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-2">
+          <ProgressBar percent={progress.percent} />
+          <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1 text-xs text-gray-500">
+            <span>{progress.subtasks.done}/{progress.subtasks.total} subtasks done</span>
+            <span>{progress.checklist.done}/{progress.checklist.total} checklist items done</span>
+            <span>
+              {formatMinutes(progress.loggedTime)} logged of {formatMinutes(progress.estimatedTime)} estimated
+            </span>
+          </div>
+        </div>
+      )}
+
+      {subtasks.length > 0 && (
+        <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100 mb-2">
+          {subtasks.map(node => (
+            <SubtaskNode key={node._id} node={node} workspace={workspace} workspaceId={workspaceId} actions={actions} />
+          ))}
+        </ul>
+      )}
+
+      <AddSubtaskForm
+        isLoading={createMutation.isLoading}
+        onAdd={(title, done) => actions.create(title, taskId, done)}
+      />
+    </div>
+  );
+};
+
+export default TaskSubtasks;
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Plus, Trash2 } from 'lucide-react';
+import Modal from './ui/Modal';
+import FilterBuilder from './FilterBuilder';
+import { viewAPI } from '../services/api';
+import { getStatuses, getPriorities } from '../utils/workflow';
+import {
+  SORT_FIELDS,
+  GROUP_BY_FIELDS,
+  parseSort,
+  formatSort,
+  cleanFilter,
+  toGroup
+} from '../utils/taskQuery';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const MAX_SORT_KEYS = 5;
+
+const ViewForm = ({ workspace, view, lists, customFields, onClose, onSaved, onDeleted }) => {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState(view?.name || '');
+  const [shared, setShared] = useState(Boolean(view?.shared));
+  const [layout, setLayout] = useState(view?.layout || 'list');
+  const [filter, setFilter] = useState(toGroup(view?.filter));
+  const [sortKeys, setSortKeys] = useState(parseSort(view?.sort));
+  const [groupBy, setGroupBy] = useState(view?.groupBy || '');
+
+  const saveMutation = useMutation(
+    (viewData) => (view ? viewAPI.updateView(view._id, viewData) : viewAPI.createView({ ...viewData, workspace: workspace._id })),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['views', workspace._id]);
+        queryClient.invalidateQueries(['view', response.data.data._id]);
+        queryClient.invalidateQueries(['tasks', workspace._id]);
+        toast.success(view ? 'View updated' : 'View created');
+        onSaved(response.data.data);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save view');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(() => viewAPI.deleteView(view._id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['views', workspace._id]);
+      toast.success('View deleted');
+      onDeleted();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete view');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    saveMutation.mutate({
+      name: name.trim(),
+      shared,
+      layout,
+      filter: cleanFilter(filter),
+      sort: formatSort(sortKeys),
+      groupBy
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the view "${view.name}"?`)) {
+      deleteMutation.mutate();
+    }
+  };
+
+  const updateSortKey = (index, change) =>
+    setSortKeys(sortKeys.map((key, i) => (i === index ? { ...key, ...change } : key)));
+
+  const context = {
+    statuses: getStatuses(workspace),
+    priorities: getPriorities(workspace),
+    members: workspace?.members || [],
+    lists,
+    customFields
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <div>
+        <label htmlFor="viewName" className="block text-sm font-medium text-gray-700 mb-2">
+          Name *
+        </label>
+        <input
+          id="viewName"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. My overdue bugs"
+          autoFocus
+          className={inputClass}
+        />
+      </div>
+
+      <div className="flex items-center gap-6">
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">Layout</span>
+          <select value={layout} onChange={(e) => setLayout(e.target.value)} className={inputClass}>
+            <option value="list">List</option>
+            <option value="board">Board</option>
+          </select>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mt-6">
+          <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+          Share with the workspace
+        </label>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Filter</span>
+        <FilterBuilder value={filter} onChange={setFilter} context={context} />
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Sort by</span>
+        <div className="space-y-2">
+          {sortKeys.map((key, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select value={key.field} onChange={(e) => updateSortKey(index, { field: e.target.value })} className={inputClass}>
+                {SORT_FIELDS.map(field => <option key={field.value} value={field.value}>{field.label}</option>)}
+                {customFields.map(field => <option key={field._id} value={`cf.${field._id}`}>{field.name}</option>)}
+              </select>
+              <select value={key.direction} onChange={(e) => updateSortKey(index, { direction: e.target.value })} className={inputClass}>
+                <option value="asc">Ascending</option>
+                <option value="desc">Descending</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => setSortKeys(sortKeys.filter((_key, i) => i !== index))}
+                className="p-1 text-gray-400 hover:text-red-600"
+                title="Remove sort key"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          {sortKeys.length < MAX_SORT_KEYS && (
+            <button
+              type="button"
+              onClick={() => setSortKeys([...sortKeys, { field: 'dueDate', direction: 'asc' }])}
+              className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Sort key
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="viewGroupBy" className="block text-sm font-medium text-gray-700 mb-2">
+          Group by
+        </label>
+        <select id="viewGroupBy" value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={inputClass}>
+          <option value="">No grouping</option>
+          {GROUP_BY_FIELDS.map(field => <option key={field.value} value={field.value}>{field.label}</option>)}
+          {customFields.map(field => <option key={field._id} value={`cf.${field._id}`}>{field.name}</option>)}
+        </select>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <div>
+          {view && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={deleteMutation.isLoading}
+              className="inline-flex items-center text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4 mr-1" />
+              Delete view
+            </button>
+          )}
+        </div>
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saveMutation.isLoading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saveMutation.isLoading ? 'Saving...' : 'Save view'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Modal to create a saved view, or edit and delete `view`.
+ * The form remounts for every view so it starts from the saved values.
+ */
+const ViewEditor = ({ isOpen, onClose, view, ...props }) => (
+  <Modal isOpen={isOpen} onClose={onClose} title={view ? 'Edit view' : 'New view'} size="xlarge">
+    <ViewForm key={view?._id || 'new'} view={view} onClose={onClose} {...props} />
+  </Modal>
+);
+
+export default ViewEditor;
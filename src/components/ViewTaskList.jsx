@@ -0,0 +1,99 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { StatusBadge, PriorityBadge } from './WorkflowBadge';
+import ProgressBar from './ui/ProgressBar';
+import { hasProgress } from '../utils/progress';
+import { formatFieldValue } from '../utils/customFields';
+import { GROUP_BY_FIELDS } from '../utils/taskQuery';
+
+const GroupLabel = ({ groupBy, groupKey, workspace, tasks, customFields }) => {
+  if (groupKey === null) {
+    const field = GROUP_BY_FIELDS.find(item => item.value === groupBy)
+      || customFields.find(item => `cf.${item._id}` === groupBy);
+    return <span className="text-gray-500">No {(field?.label || field?.name || 'value').toLowerCase()}</span>;
+  }
+
+  switch (groupBy) {
+    case 'status':
+      return <StatusBadge workspace={workspace} status={groupKey} />;
+    case 'priority':
+      return <PriorityBadge workspace={workspace} priority={groupKey} />;
+    case 'assignee': {
+      const assignee = tasks.flatMap(task => task.assignees || []).find(item => item.user?._id === groupKey);
+      return <span>{assignee?.user.name || 'Unknown member'}</span>;
+    }
+    case 'list':
+      return <span>{tasks.find(task => task.list?._id === groupKey)?.list.name || 'Unknown list'}</span>;
+    case 'tags':
+      return <span>#{groupKey}</span>;
+    default: {
+      const field = customFields.find(item => `cf.${item._id}` === groupBy);
+      if (!field) return <span>{groupKey}</span>;
+      const value = field.type === 'checkbox' ? groupKey === 'true' : groupKey;
+      return <span>{formatFieldValue(field, value, workspace?.members) || groupKey}</span>;
+    }
+  }
+};
+
+const TaskRow = ({ task, workspace }) => (
+  <Link
+    to={`/workspace/${workspace._id}/task/${task._id}`}
+    className="flex items-center justify-between px-4 py-3 hover:bg-gray-50"
+  >
+    <div className="min-w-0">
+      <span className="text-sm text-gray-900 truncate">{task.title}</span>
+      {hasProgress(task.progress) && <ProgressBar percent={task.progress.percent} className="mt-1 w-40" />}
+    </div>
+    <div className="flex items-center space-x-2 flex-shrink-0">
+      {task.dueDate && (
+        <span className="text-xs text-gray-500">{new Date(task.dueDate).toLocaleDateString()}</span>
+      )}
+      <PriorityBadge workspace={workspace} priority={task.priority} />
+      <StatusBadge workspace={workspace} status={task.status} />
+    </div>
+  </Link>
+);
+
+/**
+ * Tasks of a saved view in list layout, under a heading per group
+ * when the view groups them
+ */
+const ViewTaskList = ({ tasks, groups, groupBy, workspace, customFields = [] }) => {
+  if (tasks.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow p-8 text-center text-sm text-gray-500">
+        No tasks match this view.
+      </div>
+    );
+  }
+
+  if (!groups) {
+    return (
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+        {tasks.map(task => <TaskRow key={task._id} task={task} workspace={workspace} />)}
+      </div>
+    );
+  }
+
+  const tasksById = new Map(tasks.map(task => [task._id, task]));
+
+  return (
+    <div className="space-y-4">
+      {groups.filter(group => group.taskIds.length > 0).map(group => (
+        <div key={group.key ?? 'none'} className="bg-white rounded-lg shadow">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 text-sm font-medium text-gray-900">
+            <GroupLabel groupBy={groupBy} groupKey={group.key} workspace={workspace} tasks={tasks} customFields={customFields} />
+            <span className="text-xs text-gray-500">{group.count}</span>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {group.taskIds.map(taskId => tasksById.get(taskId)).filter(Boolean).map(task => (
+              <TaskRow key={task._id} task={task} workspace={workspace} />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ViewTaskList;
@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { Plus, Trash2, History, KeyRound, RefreshCw, Send, X } from 'lucide-react';
+import { integrationAPI } from '../services/api';
+import LoadingSpinner from './ui/LoadingSpinner';
+
+const EVENTS = [
+  { value: 'task.created', label: 'Task created' },
+  { value: 'task.updated', label: 'Task updated' },
+  { value: 'task.deleted', label: 'Task deleted' },
+  { value: 'task.restored', label: 'Task restored' },
+  { value: 'comment.created', label: 'Comment created' },
+  { value: 'timer.stopped', label: 'Timer stopped' },
+];
+
+const DELIVERY_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  success: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const errorMessage = (error, fallback) => {
+  const { message, errors } = error.response?.data || {};
+  return errors?.[0]?.msg || message || fallback;
+};
+
+// Delivery log of one webhook, newest first
+const WebhookDeliveries = ({ webhookId }) => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    ['webhook-deliveries', webhookId],
+    () => integrationAPI.getDeliveries(webhookId, { limit: 20 }),
+    {
+      select: (response) => response.data.data.deliveries,
+    }
+  );
+
+  const redeliverMutation = useMutation(
+    (deliveryId) => integrationAPI.redeliver(webhookId, deliveryId),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['webhook-deliveries', webhookId]);
+        if (response.data.data?.status === 'success') {
+          toast.success(response.data.message);
+        } else {
+          toast.error(response.data.message);
+        }
+      },
+      onError: (error) => toast.error(errorMessage(error, 'Failed to redeliver')),
+    }
+  );
+
+  if (isLoading) return <LoadingSpinner className="py-4" />;
+  if (!data?.length) return <p className="text-sm text-gray-500 py-2">Nothing has been delivered yet.</p>;
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {data.map(delivery => (
+        <li key={delivery._id} className="py-2 text-sm">
+          <div className="flex items-center gap-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+              {delivery.status}
+            </span>
+            <span className="font-mono text-xs text-gray-900">{delivery.event}</span>
+            {delivery.redeliveryOf && <span className="text-xs text-gray-500">redelivery</span>}
+            <span className="text-gray-500 text-xs ml-auto">
+              {formatDistanceToNow(new Date(delivery.createdAt), { addSuffix: true })}
+            </span>
+            <button
+              onClick={() => redeliverMutation.mutate(delivery._id)}
+              disabled={redeliverMutation.isLoading}
+              className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-50"
+              title="Redeliver"
+            >
+              <Send className="h-4 w-4" />
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {delivery.attempts} attempt{delivery.attempts !== 1 ? 's' : ''}
+            {delivery.responseStatus && `, last answered ${delivery.responseStatus}`}
+            {delivery.status !== 'success' && delivery.error && ` (${delivery.error})`}
+            {delivery.nextAttemptAt && `, next try ${formatDistanceToNow(new Date(delivery.nextAttemptAt), { addSuffix: true })}`}
+          </p>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const WebhookCard = ({ webhook, workspaceId }) => {
+  const queryClient = useQueryClient();
+  const [showDeliveries, setShowDeliveries] = useState(false);
+  const [showSecret, setShowSecret] = useState(false);
+
+  const refresh = () => queryClient.invalidateQueries(['webhooks', workspaceId]);
+  const onError = (error) => toast.error(errorMessage(error, 'Failed to update webhook'));
+
+  const updateMutation = useMutation(
+    (changes) => integrationAPI.updateWebhook(webhook._id, changes),
+    { onSuccess: refresh, onError }
+  );
+
+  const rotateMutation = useMutation(
+    () => integrationAPI.rotateWebhookSecret(webhook._id),
+    {
+      onSuccess: () => {
+        refresh();
+        setShowSecret(true);
+        toast.success('Signing secret rotated');
+      },
+      onError,
+    }
+  );
+
+  const deleteMutation = useMutation(
+    () => integrationAPI.deleteWebhook(webhook._id),
+    {
+      onSuccess: () => {
+        refresh();
+        toast.success('Webhook deleted successfully');
+      },
+      onError,
+    }
+  );
+
+  const toggleEvent = (event) => {
+    const events = webhook.events.includes(event)
+      ? webhook.events.filter(item => item !== event)
+      : [...webhook.events, event];
+    if (events.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+    updateMutation.mutate({ events });
+  };
+
+  return (
+    <div className={`border border-gray-200 rounded-lg p-4 ${webhook.active ? '' : 'opacity-60'}`}>
+      <div className="flex items-start justify-between gap-4">
+        <p className="font-mono text-sm text-gray-900 break-all">{webhook.url}</p>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={webhook.active}
+              onChange={(e) => updateMutation.mutate({ active: e.target.checked })}
+              className="mr-1"
+            />
+            Active
+          </label>
+          <button onClick={() => setShowSecret(!showSecret)} className="p-2 text-gray-500 hover:text-gray-900" title="Signing secret">
+            <KeyRound className="h-4 w-4" />
+          </button>
+          <button onClick={() => setShowDeliveries(!showDeliveries)} className="p-2 text-gray-500 hover:text-gray-900" title="Delivery log">
+            <History className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm(`Delete the webhook for ${webhook.url}?`)) deleteMutation.mutate();
+            }}
+            className="p-2 text-gray-500 hover:text-red-600"
+            title="Delete"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-2">
+        {EVENTS.map(event => (
+          <label key={event.value} className="flex items-center text-xs text-gray-700">
+            <input
+              type="checkbox"
+              checked={webhook.events.includes(event.value)}
+              onChange={() => toggleEvent(event.value)}
+              className="mr-1"
+            />
+            {event.label}
+          </label>
+        ))}
+      </div>
+
+      {showSecret && (
+        <div className="flex items-center gap-2 mt-3">
+          <code className="flex-1 px-2 py-1 bg-gray-100 rounded text-xs break-all">{webhook.secret}</code>
+          <button
+            onClick={() => {
+              if (window.confirm('Rotate the secret? Receivers must be updated with the new one.')) rotateMutation.mutate();
+            }}
+            disabled={rotateMutation.isLoading}
+            className="inline-flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className="h-4 w-4 mr-1" />
+            Rotate
+          </button>
+        </div>
+      )}
+
+      {showDeliveries && (
+        <div className="mt-3 pt-3 border-t border-gray-200">
+          <WebhookDeliveries webhookId={webhook._id} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Outgoing webhooks of a workspace; only shown to workspace admins
+const WebhookSettings = ({ workspaceId }) => {
+  const queryClient = useQueryClient();
+  const [isCreating, setIsCreating] = useState(false);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(['task.created']);
+
+  const { data: webhooks, isLoading } = useQuery(
+    ['webhooks', workspaceId],
+    () => integrationAPI.getWebhooks(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const createMutation = useMutation(integrationAPI.createWebhook, {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['webhooks', workspaceId]);
+      toast.success('Webhook created successfully');
+      setIsCreating(false);
+      setUrl('');
+      setEvents(['task.created']);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to create webhook')),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (events.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+    createMutation.mutate({ workspace: workspaceId, url: url.trim(), events });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Webhooks</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            POST signed JSON to your URLs when things change. Failed deliveries are retried with growing delays.
+          </p>
+        </div>
+        {!isCreating && (
+          <button
+            onClick={() => setIsCreating(true)}
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add
+          </button>
+        )}
+      </div>
+
+      <div className="p-6 space-y-3">
+        {isCreating && (
+          <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-center gap-2">
+              <input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="https://example.com/webhooks"
+                required
+                className={`flex-1 ${inputClass}`}
+              />
+              <button type="button" onClick={() => setIsCreating(false)} className="p-1 text-gray-500 hover:text-gray-700">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {EVENTS.map(event => (
+                <label key={event.value} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={events.includes(event.value)}
+                    onChange={(e) => setEvents(prev => (e.target.checked
+                      ? [...prev, event.value]
+                      : prev.filter(item => item !== event.value)))}
+                    className="mr-1"
+                  />
+                  {event.label}
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={createMutation.isLoading}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {createMutation.isLoading ? 'Saving...' : 'Create Webhook'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {isLoading ? (
+          <LoadingSpinner className="py-4" />
+        ) : webhooks?.length ? (
+          webhooks.map(webhook => (
+            <WebhookCard key={webhook._id} webhook={webhook} workspaceId={workspaceId} />
+          ))
+        ) : (
+          !isCreating && <p className="text-sm text-gray-500">No webhooks yet.</p>
+        )}
+
+        <p className="text-xs text-gray-500">
+          Each request carries an X-Webhook-Signature header: sha256= and the HMAC-SHA256 of
+          {' '}<code>&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;</code> keyed with the webhook secret.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default WebhookSettings;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { getStatuses, getPriorities, findOption, getBadgeStyle } from '../utils/workflow';
+
+const WorkflowBadge = ({ options, value, className = '' }) => {
+  if (!value) return null;
+
+  const option = findOption(options, value);
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${className}`}
+      style={getBadgeStyle(option?.color)}
+    >
+      {option?.name || value}
+    </span>
+  );
+};
+
+export const StatusBadge = ({ workspace, status, className }) => (
+  <WorkflowBadge options={getStatuses(workspace)} value={status} className={className} />
+);
+
+export const PriorityBadge = ({ workspace, priority, className }) => (
+  <WorkflowBadge options={getPriorities(workspace)} value={priority} className={className} />
+);
+
+export default WorkflowBadge;
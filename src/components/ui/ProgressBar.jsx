@@ -0,0 +1,15 @@
+import React from 'react';
+
+const ProgressBar = ({ percent = 0, showLabel = true, className = '' }) => (
+  <div className={`flex items-center gap-2 ${className}`} title={`${percent}% complete`}>
+    <div className="h-1.5 flex-1 rounded-full bg-gray-200 overflow-hidden">
+      <div
+        className={`h-full rounded-full ${percent === 100 ? 'bg-green-500' : 'bg-blue-500'}`}
+        style={{ width: `${percent}%` }}
+      />
+    </div>
+    {showLabel && <span className="text-xs text-gray-500 w-8 text-right">{percent}%</span>}
+  </div>
+);
+
+export default ProgressBar;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { toast } from 'react-hot-toast';
+
+// Toast body with an Undo button, for toast((t) => <UndoToast t={t} ... />)
+const UndoToast = ({ t, message, onUndo }) => (
+  <span className="flex items-center gap-3">
+    {message}
+    <button
+      onClick={() => {
+        toast.dismiss(t.id);
+        onUndo();
+      }}
+      className="text-sm font-medium text-blue-600 hover:text-blue-800"
+    >
+      Undo
+    </button>
+  </span>
+);
+
+export default UndoToast;
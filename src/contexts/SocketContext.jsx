@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useCallback, useState } from 'react';
 import { io } from 'socket.io-client';
+import { useQueryClient } from 'react-query';
 import { useAuth } from './AuthContext';
 
 const SocketContext = createContext();
@@ -15,15 +16,16 @@ export function useSocket() {
 export function SocketProvider({ children }) {
   const { user, isAuthenticated } = useAuth();
   const [socket, setSocket] = useState(null);
+  const queryClient = useQueryClient();
 
   useEffect(() => {
     if (isAuthenticated && user) {
       // Initialize socket connection
       const socketUrl = import.meta.env.VITE_SOCKET_URL || 'https://clickup-alternative.onrender.com';
       const newSocket = io(socketUrl, {
+        // The server identifies the user from the token alone
         auth: {
           token: localStorage.getItem('token'),
-          userId: user._id,
         },
         autoConnect: false, // Don't auto-connect to prevent immediate errors
         transports: ['websocket', 'polling'], // Fallback transports
@@ -57,6 +59,23 @@ export function SocketProvider({ children }) {
     }
   }, [isAuthenticated, user]);
 
+  // Statuses and priorities saved elsewhere change the workspace and may move its tasks to renamed keys
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const onWorkflowUpdated = ({ workspaceId }) => {
+      queryClient.invalidateQueries(['workspace', workspaceId]);
+      queryClient.invalidateQueries('workspaces');
+      queryClient.invalidateQueries(['tasks', workspaceId]);
+      queryClient.invalidateQueries(['workspace-tasks', workspaceId]);
+      queryClient.invalidateQueries(['task-summary', workspaceId]);
+    };
+    socket.on('workflow-updated', onWorkflowUpdated);
+    return () => {
+      socket.off('workflow-updated', onWorkflowUpdated);
+    };
+  }, [socket, queryClient]);
+
   const joinWorkspace = useCallback((workspaceId) => {
     if (socket) {
       socket.emit('join-workspace', workspaceId);
@@ -81,10 +100,29 @@ export function SocketProvider({ children }) {
     }
   }, [socket]);
 
-  const sendMessage = useCallback((data) => {
+  // Report the task field being edited (null when done); resolves with who else is editing it
+  const setTaskEditing = useCallback((taskId, field) => {
+    if (!socket) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      socket.emit('task-editing', { taskId, field }, resolve);
+    });
+  }, [socket]);
+
+  const setTaskTyping = useCallback((taskId, typing) => {
+    if (socket) {
+      socket.emit('task-typing', { taskId, typing });
+    }
+  }, [socket]);
+
+  const onPresence = useCallback((callback) => {
     if (socket) {
-      socket.emit('send-message', data);
+      socket.on('presence', callback);
     }
+    return () => {
+      if (socket) {
+        socket.off('presence', callback);
+      }
+    };
   }, [socket]);
 
   const onTaskCreated = useCallback((callback) => {
@@ -109,6 +147,18 @@ export function SocketProvider({ children }) {
     };
   }, [socket]);
 
+  // Board changes (e.g. drag-and-drop moves) broadcast to the workspace room
+  const onTaskUpdate = useCallback((callback) => {
+    if (socket) {
+      socket.on('task-update', callback);
+    }
+    return () => {
+      if (socket) {
+        socket.off('task-update', callback);
+      }
+    };
+  }, [socket]);
+
   const onTaskDeleted = useCallback((callback) => {
     if (socket) {
       socket.on('task-deleted', callback);
@@ -120,6 +170,18 @@ export function SocketProvider({ children }) {
     };
   }, [socket]);
 
+  // One event for a whole bulk operation, with the changed and deleted tasks
+  const onTasksBulkUpdated = useCallback((callback) => {
+    if (socket) {
+      socket.on('tasks-bulk-updated', callback);
+    }
+    return () => {
+      if (socket) {
+        socket.off('tasks-bulk-updated', callback);
+      }
+    };
+  }, [socket]);
+
   const onCommentAdded = useCallback((callback) => {
     if (socket) {
       socket.on('comment-added', callback);
@@ -131,13 +193,38 @@ export function SocketProvider({ children }) {
     };
   }, [socket]);
 
-  const onReceiveMessage = useCallback((callback) => {
+  // Edits, deletions and reactions on comments of a joined task
+  const onCommentUpdated = useCallback((callback) => {
+    if (socket) {
+      socket.on('comment-updated', callback);
+    }
+    return () => {
+      if (socket) {
+        socket.off('comment-updated', callback);
+      }
+    };
+  }, [socket]);
+
+  // Files added to, replaced on or removed from a joined task
+  const onAttachmentsUpdated = useCallback((callback) => {
+    if (socket) {
+      socket.on('attachments-updated', callback);
+    }
+    return () => {
+      if (socket) {
+        socket.off('attachments-updated', callback);
+      }
+    };
+  }, [socket]);
+
+  // Sent to the user alone for every new notification in their inbox
+  const onNotification = useCallback((callback) => {
     if (socket) {
-      socket.on('receive-message', callback);
+      socket.on('notification', callback);
     }
     return () => {
       if (socket) {
-        socket.off('receive-message', callback);
+        socket.off('notification', callback);
       }
     };
   }, [socket]);
@@ -149,12 +236,18 @@ export function SocketProvider({ children }) {
     leaveWorkspace,
     joinTask,
     leaveTask,
-    sendMessage,
+    setTaskEditing,
+    setTaskTyping,
+    onPresence,
     onTaskCreated,
     onTaskUpdated,
+    onTaskUpdate,
     onTaskDeleted,
+    onTasksBulkUpdated,
     onCommentAdded,
-    onReceiveMessage,
+    onCommentUpdated,
+    onAttachmentsUpdated,
+    onNotification,
   };
 
   return (
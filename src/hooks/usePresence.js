@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+
+/**
+ * People currently viewing a workspace or task (`type` is 'workspace' or 'task').
+ * The room itself has to be joined separately.
+ */
+export function usePresence(type, id) {
+  const { onPresence } = useSocket();
+  const [presence, setPresence] = useState({ id: null, viewers: [] });
+
+  useEffect(() => {
+    return onPresence((payload) => {
+      if (payload.type === type && payload.id === id) {
+        setPresence({ id, viewers: payload.viewers });
+      }
+    });
+  }, [onPresence, type, id]);
+
+  return presence.id === id ? presence.viewers : [];
+}
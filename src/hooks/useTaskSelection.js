@@ -0,0 +1,44 @@
+import { useState } from 'react';
+
+/**
+ * Checkbox selection over a list of task ids, in the order they are shown.
+ * Shift-clicking sets every task between the last click and this one alike;
+ * tasks that leave the list (filters, deletion) drop out of the selection.
+ */
+export function useTaskSelection(taskIds) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null);
+
+  const selectedIds = taskIds.filter((taskId) => selected.has(taskId));
+
+  const toggle = (taskId, event) => {
+    const checked = !selected.has(taskId);
+    const from = taskIds.indexOf(anchorId);
+    const to = taskIds.indexOf(taskId);
+    const range = event?.shiftKey && from !== -1
+      ? taskIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+      : [taskId];
+
+    setSelected((previous) => {
+      const next = new Set(previous);
+      range.forEach((id) => (checked ? next.add(id) : next.delete(id)));
+      return next;
+    });
+    setAnchorId(taskId);
+  };
+
+  const allSelected = taskIds.length > 0 && selectedIds.length === taskIds.length;
+
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(taskIds));
+
+  const clear = () => setSelected(new Set());
+
+  return {
+    selectedIds,
+    isSelected: (taskId) => selected.has(taskId),
+    allSelected,
+    toggle,
+    toggleAll,
+    clear,
+  };
+}
@@ -0,0 +1,575 @@
+import React, { useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { ArrowLeft, Plus, Trash2, Zap, History, FlaskConical, X } from 'lucide-react';
+import api, { automationAPI, spaceAPI } from '../services/api';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { getStatuses, getSelectableOptions } from '../utils/workflow';
+
+const TRIGGERS = [
+  { value: 'task-created', label: 'Task is created' },
+  { value: 'status-changed', label: 'Status changes' },
+  { value: 'assignee-changed', label: 'Assignees change' },
+  { value: 'due-date-passed', label: 'Due date passes' },
+  { value: 'comment-added', label: 'Comment is added' },
+];
+
+const CONDITION_FIELDS = [
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'tag', label: 'Tag' },
+  { value: 'title', label: 'Title' },
+];
+
+const CONDITION_OPERATORS = [
+  { value: 'is', label: 'is' },
+  { value: 'is-not', label: 'is not' },
+  { value: 'contains', label: 'contains' },
+  { value: 'is-set', label: 'is set' },
+  { value: 'is-not-set', label: 'is not set' },
+];
+
+const ACTIONS = [
+  { value: 'change-status', label: 'Change status', field: 'status' },
+  { value: 'assign', label: 'Assign', field: 'user' },
+  { value: 'add-tag', label: 'Add tag', field: 'tag', placeholder: 'Tag' },
+  { value: 'create-subtask', label: 'Create subtask', field: 'title', placeholder: 'Subtask title' },
+  { value: 'post-comment', label: 'Post comment', field: 'content', placeholder: 'Comment' },
+  { value: 'send-notification', label: 'Send notification', field: 'message', placeholder: 'Message to assignees and watchers' },
+  { value: 'call-webhook', label: 'Call webhook', field: 'url', placeholder: 'https://example.com/hook' },
+];
+
+const RUN_STATUS_STYLES = {
+  success: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-700',
+};
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const labelOf = (options, value) => options.find(option => option.value === value)?.label || value;
+
+const emptyRule = () => ({
+  name: '',
+  list: '',
+  trigger: { type: 'status-changed', from: '', to: '' },
+  conditions: [],
+  actions: [{ type: 'add-tag', tag: '' }],
+  dryRun: false,
+});
+
+// Form for a new rule: trigger, then conditions, then actions
+const AutomationForm = ({ workspaceId, statuses, members, lists, onClose }) => {
+  const queryClient = useQueryClient();
+  const [rule, setRule] = useState(emptyRule);
+
+  const createMutation = useMutation(automationAPI.createAutomation, {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['automations', workspaceId]);
+      toast.success('Automation created successfully');
+      onClose();
+    },
+    onError: (error) => {
+      const { message, errors } = error.response?.data || {};
+      toast.error(errors?.[0]?.msg || message || 'Failed to create automation');
+    },
+  });
+
+  const updateRow = (key, index, changes) => {
+    setRule(prev => ({
+      ...prev,
+      [key]: prev[key].map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    }));
+  };
+
+  const removeRow = (key, index) => {
+    setRule(prev => ({ ...prev, [key]: prev[key].filter((_row, i) => i !== index) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { type, from, to } = rule.trigger;
+    createMutation.mutate({
+      ...rule,
+      workspace: workspaceId,
+      list: rule.list || null,
+      trigger: type === 'status-changed' ? { type, from: from || null, to: to || null } : { type },
+    });
+  };
+
+  const statusSelect = (value, onChange, anyLabel) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+      {anyLabel && <option value="">{anyLabel}</option>}
+      {getSelectableOptions(statuses, value).map(status => (
+        <option key={status.key} value={status.key}>{status.name}</option>
+      ))}
+    </select>
+  );
+
+  const memberSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+      <option value="">Select member</option>
+      {members.map(member => (
+        <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">New Automation</h2>
+        <button type="button" onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input
+          type="text"
+          value={rule.name}
+          onChange={(e) => setRule(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Name, e.g. Hand off to review"
+          maxLength={100}
+          required
+          className={inputClass}
+        />
+        <select
+          value={rule.list}
+          onChange={(e) => setRule(prev => ({ ...prev, list: e.target.value }))}
+          className={inputClass}
+        >
+          <option value="">All lists</option>
+          {lists.map(list => (
+            <option key={list._id} value={list._id}>{list.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 mb-2">When</h3>
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={rule.trigger.type}
+            onChange={(e) => setRule(prev => ({ ...prev, trigger: { type: e.target.value, from: '', to: '' } }))}
+            className={inputClass}
+          >
+            {TRIGGERS.map(trigger => (
+              <option key={trigger.value} value={trigger.value}>{trigger.label}</option>
+            ))}
+          </select>
+          {rule.trigger.type === 'status-changed' && (
+            <>
+              {statusSelect(rule.trigger.from, (from) => setRule(prev => ({ ...prev, trigger: { ...prev.trigger, from } })), 'From any status')}
+              {statusSelect(rule.trigger.to, (to) => setRule(prev => ({ ...prev, trigger: { ...prev.trigger, to } })), 'To any status')}
+            </>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 mb-2">If</h3>
+        <div className="space-y-2">
+          {rule.conditions.map((condition, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select
+                value={condition.field}
+                onChange={(e) => updateRow('conditions', index, { field: e.target.value, value: '' })}
+                className={inputClass}
+              >
+                {CONDITION_FIELDS.map(field => (
+                  <option key={field.value} value={field.value}>{field.label}</option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateRow('conditions', index, { operator: e.target.value })}
+                className={inputClass}
+              >
+                {CONDITION_OPERATORS.map(operator => (
+                  <option key={operator.value} value={operator.value}>{operator.label}</option>
+                ))}
+              </select>
+              {!['is-set', 'is-not-set'].includes(condition.operator) && (
+                condition.field === 'status'
+                  ? statusSelect(condition.value, (value) => updateRow('conditions', index, { value }), 'Select status')
+                  : condition.field === 'assignee'
+                    ? memberSelect(condition.value, (value) => updateRow('conditions', index, { value }))
+                    : (
+                      <input
+                        type="text"
+                        value={condition.value}
+                        onChange={(e) => updateRow('conditions', index, { value: e.target.value })}
+                        placeholder="Value"
+                        className={inputClass}
+                      />
+                    )
+              )}
+              <button type="button" onClick={() => removeRow('conditions', index)} className="p-2 text-gray-500 hover:text-red-600" title="Remove">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setRule(prev => ({ ...prev, conditions: [...prev.conditions, { field: 'priority', operator: 'is', value: '' }] }))}
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add condition
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 mb-2">Then</h3>
+        <div className="space-y-2">
+          {rule.actions.map((action, index) => {
+            const definition = ACTIONS.find(option => option.value === action.type);
+            const setValue = (value) => updateRow('actions', index, { [definition.field]: value });
+
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <select
+                  value={action.type}
+                  onChange={(e) => {
+                    setRule(prev => ({
+                      ...prev,
+                      actions: prev.actions.map((row, i) => (i === index ? { type: e.target.value } : row)),
+                    }));
+                  }}
+                  className={inputClass}
+                >
+                  {ACTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {definition.field === 'status' && statusSelect(action.status || '', setValue, 'Select status')}
+                {definition.field === 'user' && memberSelect(action.user || '', setValue)}
+                {definition.placeholder && (
+                  <input
+                    type={definition.field === 'url' ? 'url' : 'text'}
+                    value={action[definition.field] || ''}
+                    onChange={(e) => setValue(e.target.value)}
+                    placeholder={definition.placeholder}
+                    required
+                    className={`${inputClass} flex-1 min-w-[12rem]`}
+                  />
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeRow('actions', index)}
+                  disabled={rule.actions.length === 1}
+                  className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  title="Remove"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            );
+          })}
+          <button
+            type="button"
+            onClick={() => setRule(prev => ({ ...prev, actions: [...prev.actions, { type: 'add-tag', tag: '' }] }))}
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add action
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between pt-2 border-t border-gray-200">
+        <label className="flex items-center text-sm text-gray-700 pt-4">
+          <input
+            type="checkbox"
+            checked={rule.dryRun}
+            onChange={(e) => setRule(prev => ({ ...prev, dryRun: e.target.checked }))}
+            className="mr-2"
+          />
+          Dry run: only log what the rule would do
+        </label>
+        <button
+          type="submit"
+          disabled={createMutation.isLoading}
+          className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {createMutation.isLoading ? 'Saving...' : 'Create Automation'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Execution log of one rule, newest first
+const AutomationRuns = ({ automationId }) => {
+  const { data, isLoading } = useQuery(
+    ['automation-runs', automationId],
+    () => automationAPI.getRuns(automationId, { limit: 20 }),
+    {
+      select: (response) => response.data.data.runs,
+    }
+  );
+
+  if (isLoading) return <LoadingSpinner className="py-4" />;
+  if (!data?.length) return <p className="text-sm text-gray-500 py-2">This rule has not run yet.</p>;
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {data.map(run => (
+        <li key={run._id} className="py-2 text-sm">
+          <div className="flex items-center gap-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${RUN_STATUS_STYLES[run.status]}`}>
+              {run.dryRun ? 'dry run' : run.status}
+            </span>
+            <span className="text-gray-900">{run.task?.title || 'Deleted task'}</span>
+            <span className="text-gray-500 text-xs ml-auto">
+              {formatDistanceToNow(new Date(run.createdAt), { addSuffix: true })}
+            </span>
+          </div>
+          {run.reason && <p className="text-xs text-gray-500 mt-1">{run.reason}</p>}
+          {run.actions.length > 0 && (
+            <ul className="mt-1 ml-4 list-disc text-xs text-gray-600">
+              {run.actions.map(action => (
+                <li key={action._id}>
+                  {labelOf(ACTIONS, action.type)}: {action.detail} ({action.status})
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AutomationCard = ({ automation, workspaceId, statuses, tasks }) => {
+  const queryClient = useQueryClient();
+  const [showRuns, setShowRuns] = useState(false);
+  const [testTaskId, setTestTaskId] = useState('');
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['automations', workspaceId]);
+    queryClient.invalidateQueries(['automation-runs', automation._id]);
+  };
+
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update automation');
+  };
+
+  const updateMutation = useMutation(
+    (changes) => automationAPI.updateAutomation(automation._id, changes),
+    { onSuccess: refresh, onError }
+  );
+
+  const deleteMutation = useMutation(
+    () => automationAPI.deleteAutomation(automation._id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['automations', workspaceId]);
+        toast.success('Automation deleted successfully');
+      },
+      onError,
+    }
+  );
+
+  const dryRunMutation = useMutation(
+    () => automationAPI.dryRun(automation._id, testTaskId),
+    {
+      onSuccess: (response) => {
+        const { matches, run } = response.data.data;
+        if (!matches) {
+          toast('The task does not meet the conditions of this rule');
+        } else {
+          toast.success(run.actions.map(action => action.detail).join(' · ') || 'Nothing to do');
+          setShowRuns(true);
+          refresh();
+        }
+      },
+      onError,
+    }
+  );
+
+  const { trigger } = automation;
+  const statusName = (key) => statuses.find(status => status.key === key)?.name || key;
+
+  return (
+    <div className={`bg-white rounded-lg shadow p-4 ${automation.enabled ? '' : 'opacity-60'}`}>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <Zap className="h-4 w-4 text-yellow-500" />
+            <h3 className="font-medium text-gray-900">{automation.name}</h3>
+            {automation.dryRun && <span className="px-2 py-0.5 rounded bg-yellow-100 text-yellow-800 text-xs">Dry run</span>}
+          </div>
+          <p className="text-sm text-gray-600 mt-1">
+            When {labelOf(TRIGGERS, trigger.type).toLowerCase()}
+            {trigger.from && ` from ${statusName(trigger.from)}`}
+            {trigger.to && ` to ${statusName(trigger.to)}`}
+            {automation.list && ` in ${automation.list.name}`}
+            {automation.conditions.length > 0 && `, if ${automation.conditions.map(condition => (
+              `${condition.field} ${labelOf(CONDITION_OPERATORS, condition.operator)} ${condition.value}`.trim()
+            )).join(' and ')}`}
+            {': '}
+            {automation.actions.map(action => labelOf(ACTIONS, action.type).toLowerCase()).join(', ')}
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            Ran {automation.runCount} time{automation.runCount !== 1 ? 's' : ''}
+            {automation.lastRunAt && `, last ${formatDistanceToNow(new Date(automation.lastRunAt), { addSuffix: true })}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={automation.enabled}
+              onChange={(e) => updateMutation.mutate({ enabled: e.target.checked })}
+              className="mr-1"
+            />
+            Enabled
+          </label>
+          <button onClick={() => setShowRuns(!showRuns)} className="p-2 text-gray-500 hover:text-gray-900" title="Execution log">
+            <History className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm(`Delete "${automation.name}"?`)) deleteMutation.mutate();
+            }}
+            className="p-2 text-gray-500 hover:text-red-600"
+            title="Delete"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        <select value={testTaskId} onChange={(e) => setTestTaskId(e.target.value)} className={`${inputClass} py-1`}>
+          <option value="">Test on a task...</option>
+          {tasks.map(task => (
+            <option key={task._id} value={task._id}>{task.title}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => dryRunMutation.mutate()}
+          disabled={!testTaskId || dryRunMutation.isLoading}
+          className="inline-flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FlaskConical className="h-4 w-4 mr-1" />
+          Dry run
+        </button>
+      </div>
+
+      {showRuns && (
+        <div className="mt-3 pt-3 border-t border-gray-200">
+          <AutomationRuns automationId={automation._id} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AutomationsPage = () => {
+  const { workspaceId } = useParams();
+  const [isCreating, setIsCreating] = useState(false);
+
+  const { data: workspace, isLoading: workspaceLoading } = useQuery(
+    ['workspace', workspaceId],
+    () => api.get(`/workspaces/${workspaceId}`),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: spaces } = useQuery(
+    ['spaces', workspaceId],
+    () => spaceAPI.getSpaces(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: tasks } = useQuery(
+    ['tasks', workspaceId],
+    () => api.get(`/tasks?workspaceId=${workspaceId}&sortBy=rank&sortOrder=asc`),
+    {
+      select: (response) => response.data.data.tasks
+    }
+  );
+
+  const { data: automations, isLoading } = useQuery(
+    ['automations', workspaceId],
+    () => automationAPI.getAutomations(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  if (workspaceLoading || isLoading) return <LoadingSpinner />;
+
+  const statuses = getStatuses(workspace);
+  const lists = (spaces || []).flatMap(space => space.folders.flatMap(folder => folder.lists));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <Link
+          to={`/workspace/${workspaceId}`}
+          className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Workspace
+        </Link>
+        <div className="flex items-start justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Automations</h1>
+            <p className="text-gray-600 mt-2">Rules that act on the tasks of {workspace?.name} when something happens.</p>
+          </div>
+          {!isCreating && (
+            <button
+              onClick={() => setIsCreating(true)}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Automation
+            </button>
+          )}
+        </div>
+
+        <div className="space-y-4">
+          {isCreating && (
+            <AutomationForm
+              workspaceId={workspaceId}
+              statuses={statuses}
+              members={workspace?.members || []}
+              lists={lists}
+              onClose={() => setIsCreating(false)}
+            />
+          )}
+
+          {automations?.length === 0 && !isCreating && (
+            <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+              <Zap className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+              No automations yet
+            </div>
+          )}
+
+          {automations?.map(automation => (
+            <AutomationCard
+              key={automation._id}
+              automation={automation}
+              workspaceId={workspaceId}
+              statuses={statuses}
+              tasks={tasks || []}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AutomationsPage;
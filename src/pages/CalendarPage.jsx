@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import FullCalendar from '@fullcalendar/react';
+import dayGridPlugin from '@fullcalendar/daygrid';
+import timeGridPlugin from '@fullcalendar/timegrid';
+import interactionPlugin from '@fullcalendar/interaction';
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { ArrowLeft, Filter } from 'lucide-react';
+import { taskAPI, workspaceAPI } from '../services/api';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { getStatuses, findOption } from '../utils/workflow';
+
+// Task dates are stored as UTC midnight; the calendar works with plain days
+const toDay = (date) => (date ? date.slice(0, 10) : null);
+const formatDay = (date) => format(date, 'yyyy-MM-dd');
+
+// A task spans from its start date to its due date (inclusive)
+const toEvent = (task, statuses) => {
+  const first = toDay(task.startDate || task.dueDate);
+  const last = toDay(task.dueDate || task.startDate);
+  const color = findOption(statuses, task.status)?.color || '#6B7280';
+
+  return {
+    id: task._id,
+    title: task.title,
+    start: first,
+    end: formatDay(addDays(parseISO(last), 1)),
+    allDay: true,
+    backgroundColor: color,
+    borderColor: color,
+    extendedProps: { task }
+  };
+};
+
+const CalendarPage = () => {
+  const { workspaceId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [range, setRange] = useState(null);
+  const [assigneeFilter, setAssigneeFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+
+  const { data: workspace, isLoading: workspaceLoading } = useQuery(
+    ['workspace', workspaceId],
+    () => workspaceAPI.getWorkspace(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const filters = {
+    workspaceId,
+    rangeStart: range?.start,
+    rangeEnd: range?.end,
+    assignee: assigneeFilter !== 'all' ? assigneeFilter : undefined,
+    status: statusFilter !== 'all' ? statusFilter : undefined,
+    limit: 1000
+  };
+
+  // Only the tasks visible in the current month, week or day
+  const { data: tasks = [] } = useQuery(
+    ['calendar-tasks', workspaceId, filters],
+    () => taskAPI.getTasks(filters),
+    {
+      enabled: !!range,
+      keepPreviousData: true,
+      select: (response) => response.data.data.tasks
+    }
+  );
+
+  const rescheduleMutation = useMutation(
+    ({ taskId, dates }) => taskAPI.updateTask(taskId, dates),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['calendar-tasks', workspaceId]);
+        queryClient.invalidateQueries(['tasks', workspaceId]);
+        toast.success('Task rescheduled');
+      },
+      onError: (error, { revert }) => {
+        revert();
+        toast.error(error.response?.data?.message || 'Failed to reschedule task');
+      }
+    }
+  );
+
+  // Dragging or resizing an event moves the task's start and due dates
+  const handleEventChange = ({ event, revert }) => {
+    const { task } = event.extendedProps;
+    const first = formatDay(event.start);
+    const last = formatDay(addDays(event.end || event.start, event.end ? -1 : 0));
+    const spansDays = differenceInCalendarDays(parseISO(last), parseISO(first)) > 0;
+
+    const dates = {};
+    if (task.startDate || spansDays) dates.startDate = first;
+    if (task.dueDate || spansDays) dates.dueDate = last;
+
+    rescheduleMutation.mutate({ taskId: task._id, dates, revert });
+  };
+
+  if (workspaceLoading) return <LoadingSpinner />;
+
+  const statuses = getStatuses(workspace);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <div className="mb-6">
+          <Link
+            to={`/workspace/${workspaceId}`}
+            className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to Workspace
+          </Link>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">{workspace?.name} Calendar</h1>
+              <p className="text-gray-600 mt-2">Drag tasks to reschedule them, or stretch them to change their duration.</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Filter className="w-4 h-4 text-gray-400" />
+              <select
+                value={assigneeFilter}
+                onChange={(e) => setAssigneeFilter(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="all">All Assignees</option>
+                {workspace?.members?.map((member) => (
+                  <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+                ))}
+              </select>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="all">All Status</option>
+                {statuses.map((status) => (
+                  <option key={status.key} value={status.key}>{status.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <FullCalendar
+            plugins={[dayGridPlugin, timeGridPlugin, interactionPlugin]}
+            initialView="dayGridMonth"
+            headerToolbar={{
+              left: 'prev,next today',
+              center: 'title',
+              right: 'dayGridMonth,timeGridWeek,timeGridDay'
+            }}
+            height="auto"
+            editable
+            eventResizableFromStart
+            events={tasks.map(task => toEvent(task, statuses))}
+            datesSet={({ startStr, endStr }) => setRange({ start: startStr, end: endStr })}
+            eventDrop={handleEventChange}
+            eventResize={handleEventChange}
+            eventClick={({ event }) => navigate(`/workspace/${workspaceId}/task/${event.id}`)}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarPage;
@@ -15,6 +15,7 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import api from '../services/api';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { StatusBadge, PriorityBadge } from '../components/WorkflowBadge';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -75,6 +76,8 @@ const Dashboard = () => {
     }
   ];
 
+  const getWorkspace = (task) => workspaces?.find(workspace => workspace._id === task.workspace);
+
   const filteredTasks = recentTasks?.filter(task =>
     task.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
     task.description?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -205,7 +208,7 @@ const Dashboard = () => {
                   {filteredTasks?.map((task) => (
                     <Link
                       key={task._id}
-                      to={`/workspace/${task.list?.folder?.space?.workspace?._id}/task/${task._id}`}
+                      to={`/workspace/${task.workspace}/task/${task._id}`}
                       className="block p-3 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
                     >
                       <div className="flex items-start justify-between">
@@ -214,17 +217,11 @@ const Dashboard = () => {
                             {task.title}
                           </h3>
                           <p className="text-xs text-gray-500 mt-1">
-                            {task.list?.name} • {task.status}
+                            {task.list?.name}
                           </p>
                           <div className="flex items-center mt-2 space-x-2">
-                            <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
-                              task.priority === 'urgent' ? 'bg-red-100 text-red-800' :
-                              task.priority === 'high' ? 'bg-orange-100 text-orange-800' :
-                              task.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                              'bg-green-100 text-green-800'
-                            }`}>
-                              {task.priority}
-                            </span>
+                            <StatusBadge workspace={getWorkspace(task)} status={task.status} />
+                            <PriorityBadge workspace={getWorkspace(task)} priority={task.priority} />
                             {task.dueDate && (
                               <span className="text-xs text-gray-500">
                                 Due {new Date(task.dueDate).toLocaleDateString()}
@@ -0,0 +1,458 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import {
+  addDays,
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  format,
+  isWeekend,
+  parseISO
+} from 'date-fns';
+import { ArrowLeft, ExternalLink, Link2, X } from 'lucide-react';
+import { taskAPI, workspaceAPI } from '../services/api';
+import { useSocket } from '../contexts/SocketContext';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { getStatuses, findOption } from '../utils/workflow';
+
+const DAY_WIDTH = 32;
+const ROW_HEIGHT = 40;
+const BAR_HEIGHT = 20;
+const HEADER_HEIGHT = 48;
+
+const DEPENDENCY_TYPES = [
+  { value: 'finish-to-start', label: 'Finish to start' },
+  { value: 'start-to-start', label: 'Start to start' },
+  { value: 'finish-to-finish', label: 'Finish to finish' }
+];
+
+// Task dates are stored as UTC midnight; the chart works with plain days
+const toDay = (date) => (date ? parseISO(date.slice(0, 10)) : null);
+const formatDay = (date) => format(date, 'yyyy-MM-dd');
+
+// A task spans from its start date to its due date (inclusive)
+const getSpan = (task) => {
+  const start = toDay(task.startDate || task.dueDate);
+  const end = toDay(task.dueDate || task.startDate);
+  return start ? { start, end } : null;
+};
+
+// Visible days: every dated task, with some room on both sides
+const getTimeline = (spans) => {
+  if (spans.length === 0) {
+    const today = new Date();
+    return { start: addDays(today, -3), end: addDays(today, 30) };
+  }
+  const starts = spans.map(span => span.start.getTime());
+  const ends = spans.map(span => span.end.getTime());
+  return {
+    start: addDays(new Date(Math.min(...starts)), -3),
+    end: addDays(new Date(Math.max(...ends)), 7)
+  };
+};
+
+// Arrow from the predecessor's bar to the dependent's bar
+const getArrowPath = (from, to, type) => {
+  const fromX = type === 'start-to-start' ? from.left : from.left + from.width;
+  const toX = type === 'finish-to-finish' ? to.left + to.width : to.left;
+  const fromY = from.top + BAR_HEIGHT / 2;
+  const toY = to.top + BAR_HEIGHT / 2;
+  const elbow = type === 'finish-to-finish'
+    ? Math.max(fromX, toX) + 12
+    : type === 'start-to-start' ? Math.min(fromX, toX) - 12 : fromX + 12;
+  const entry = type === 'finish-to-finish' ? toX + 6 : toX - 6;
+
+  return `M ${fromX} ${fromY} H ${elbow} V ${toY} H ${entry}`;
+};
+
+const GanttPage = () => {
+  const { workspaceId } = useParams();
+  const queryClient = useQueryClient();
+  const [selectedTaskId, setSelectedTaskId] = useState(null);
+  const [predecessorId, setPredecessorId] = useState('');
+  const [dependencyType, setDependencyType] = useState(DEPENDENCY_TYPES[0].value);
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const { data: workspace, isLoading: workspaceLoading } = useQuery(
+    ['workspace', workspaceId],
+    () => workspaceAPI.getWorkspace(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: gantt, isLoading: ganttLoading } = useQuery(
+    ['gantt', workspaceId],
+    () => taskAPI.getGantt(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { joinWorkspace, leaveWorkspace, onTaskUpdated } = useSocket();
+
+  useEffect(() => {
+    joinWorkspace?.(workspaceId);
+    return () => leaveWorkspace?.(workspaceId);
+  }, [workspaceId, joinWorkspace, leaveWorkspace]);
+
+  // Rescheduled dependents arrive as separate updates; reload the whole plan
+  useEffect(() => {
+    if (!onTaskUpdated) return undefined;
+    return onTaskUpdated(() => queryClient.invalidateQueries(['gantt', workspaceId]));
+  }, [onTaskUpdated, queryClient, workspaceId]);
+
+  const onScheduleChanged = (message) => {
+    queryClient.invalidateQueries(['gantt', workspaceId]);
+    queryClient.invalidateQueries(['tasks', workspaceId]);
+    queryClient.invalidateQueries(['calendar-tasks', workspaceId]);
+    toast.success(message);
+  };
+
+  const onScheduleError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const rescheduleMutation = useMutation(
+    ({ taskId, dates }) => taskAPI.updateTask(taskId, dates),
+    {
+      onSuccess: () => onScheduleChanged('Task rescheduled'),
+      onError: onScheduleError('Failed to reschedule task'),
+      onSettled: () => setDrag(null)
+    }
+  );
+
+  const addDependencyMutation = useMutation(
+    ({ taskId, ...dependency }) => taskAPI.addDependency(taskId, dependency),
+    {
+      onSuccess: (response) => {
+        const { rescheduled } = response.data.data;
+        const moved = rescheduled.length;
+        onScheduleChanged(moved > 0
+          ? `Dependency added (${moved} task${moved !== 1 ? 's' : ''} rescheduled)`
+          : 'Dependency added');
+        setPredecessorId('');
+      },
+      onError: onScheduleError('Failed to add dependency')
+    }
+  );
+
+  const removeDependencyMutation = useMutation(
+    ({ taskId, predecessor }) => taskAPI.removeDependency(taskId, predecessor),
+    {
+      onSuccess: () => onScheduleChanged('Dependency removed'),
+      onError: onScheduleError('Failed to remove dependency')
+    }
+  );
+
+  // Dragging a bar moves both dates of the task by whole days
+  const handlePointerDown = (event, task) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { taskId: task._id, originX: event.clientX, offset: 0 };
+    setDrag(dragRef.current);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const offset = Math.round((event.clientX - dragRef.current.originX) / DAY_WIDTH);
+    if (offset !== dragRef.current.offset) {
+      dragRef.current = { ...dragRef.current, offset };
+      setDrag(dragRef.current);
+    }
+  };
+
+  const handlePointerUp = (task) => {
+    const current = dragRef.current;
+    dragRef.current = null;
+    if (!current || current.offset === 0) {
+      setDrag(null);
+      if (current) setSelectedTaskId(task._id);
+      return;
+    }
+
+    const dates = {};
+    if (task.startDate) dates.startDate = formatDay(addDays(toDay(task.startDate), current.offset));
+    if (task.dueDate) dates.dueDate = formatDay(addDays(toDay(task.dueDate), current.offset));
+    rescheduleMutation.mutate({ taskId: task._id, dates });
+  };
+
+  if (workspaceLoading || ganttLoading) return <LoadingSpinner />;
+
+  const statuses = getStatuses(workspace);
+  const tasks = gantt?.tasks || [];
+  const tasksById = new Map(tasks.map(task => [task._id, task]));
+  const spans = tasks.map(getSpan).filter(Boolean);
+  const timeline = getTimeline(spans);
+  const days = eachDayOfInterval(timeline);
+  const today = new Date();
+
+  // Bar geometry of every dated task, shifted while it is dragged
+  const bars = new Map();
+  tasks.forEach((task, index) => {
+    const span = getSpan(task);
+    if (!span) return;
+    const offset = drag?.taskId === task._id ? drag.offset : 0;
+    bars.set(task._id, {
+      left: (differenceInCalendarDays(span.start, timeline.start) + offset) * DAY_WIDTH,
+      width: (differenceInCalendarDays(span.end, span.start) + 1) * DAY_WIDTH,
+      top: index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2
+    });
+  });
+
+  const arrows = tasks.flatMap(task => (task.dependencies || [])
+    .filter(dependency => bars.has(task._id) && bars.has(dependency.task))
+    .map(dependency => ({
+      key: `${dependency.task}-${task._id}`,
+      path: getArrowPath(bars.get(dependency.task), bars.get(task._id), dependency.type),
+      critical: task.critical && tasksById.get(dependency.task)?.critical
+    })));
+
+  const selectedTask = tasksById.get(selectedTaskId);
+  const candidates = selectedTask
+    ? tasks.filter(task => task._id !== selectedTask._id &&
+      !selectedTask.dependencies?.some(dependency => dependency.task === task._id))
+    : [];
+
+  const handleAddDependency = (e) => {
+    e.preventDefault();
+    if (!predecessorId) return;
+    addDependencyMutation.mutate({
+      taskId: selectedTask._id,
+      predecessor: predecessorId,
+      type: dependencyType
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <div className="mb-6">
+          <Link
+            to={`/workspace/${workspaceId}`}
+            className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to Workspace
+          </Link>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">{workspace?.name} Gantt Chart</h1>
+              <p className="text-gray-600 mt-2">
+                Drag bars to reschedule tasks; tasks that depend on them move along.
+              </p>
+            </div>
+            <div className="flex items-center gap-4 text-sm text-gray-600">
+              <span className="flex items-center">
+                <span className="inline-block w-4 h-3 rounded bg-red-500 mr-2" />
+                Critical path
+              </span>
+              <span className="flex items-center">
+                <span className="inline-block w-4 h-3 rounded bg-blue-500 mr-2" />
+                Has slack
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex gap-6">
+          <div className="flex-1 min-w-0 bg-white rounded-lg shadow-sm border flex overflow-hidden">
+            {/* Task names */}
+            <div className="w-64 flex-shrink-0 border-r border-gray-200">
+              <div
+                className="px-4 flex items-center text-xs font-medium text-gray-500 uppercase border-b border-gray-200"
+                style={{ height: HEADER_HEIGHT }}
+              >
+                Task
+              </div>
+              {tasks.map(task => (
+                <button
+                  key={task._id}
+                  type="button"
+                  onClick={() => setSelectedTaskId(task._id)}
+                  className={`w-full px-4 flex items-center text-left text-sm border-b border-gray-100 ${
+                    task._id === selectedTaskId ? 'bg-blue-50 text-blue-700' : 'text-gray-900 hover:bg-gray-50'
+                  }`}
+                  style={{ height: ROW_HEIGHT }}
+                >
+                  <span
+                    className="w-2 h-2 rounded-full mr-2 flex-shrink-0"
+                    style={{ backgroundColor: findOption(statuses, task.status)?.color || '#6B7280' }}
+                  />
+                  <span className="truncate">{task.title}</span>
+                </button>
+              ))}
+              {tasks.length === 0 && (
+                <p className="px-4 py-6 text-sm text-gray-500">No tasks in this workspace yet.</p>
+              )}
+            </div>
+
+            {/* Timeline */}
+            <div className="flex-1 overflow-x-auto">
+              <div style={{ width: days.length * DAY_WIDTH }}>
+                <div className="flex border-b border-gray-200" style={{ height: HEADER_HEIGHT }}>
+                  {days.map(day => (
+                    <div
+                      key={day.toISOString()}
+                      className={`flex-shrink-0 flex flex-col items-center justify-center text-xs border-r border-gray-100 ${
+                        isWeekend(day) ? 'bg-gray-50 text-gray-400' : 'text-gray-600'
+                      }`}
+                      style={{ width: DAY_WIDTH }}
+                    >
+                      <span>{format(day, 'EEEEE')}</span>
+                      <span className={differenceInCalendarDays(day, today) === 0 ? 'font-bold text-blue-600' : ''}>
+                        {format(day, 'd')}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="relative" style={{ height: tasks.length * ROW_HEIGHT }}>
+                  {tasks.map((task, index) => (
+                    <div
+                      key={task._id}
+                      className="absolute left-0 right-0 border-b border-gray-100"
+                      style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+                    />
+                  ))}
+
+                  <svg className="absolute inset-0 pointer-events-none" width="100%" height="100%">
+                    <defs>
+                      <marker id="gantt-arrow" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                        <path d="M 0 0 L 6 3 L 0 6 z" fill="#9CA3AF" />
+                      </marker>
+                      <marker id="gantt-arrow-critical" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                        <path d="M 0 0 L 6 3 L 0 6 z" fill="#EF4444" />
+                      </marker>
+                    </defs>
+                    {arrows.map(arrow => (
+                      <path
+                        key={arrow.key}
+                        d={arrow.path}
+                        fill="none"
+                        stroke={arrow.critical ? '#EF4444' : '#9CA3AF'}
+                        strokeWidth="1.5"
+                        markerEnd={`url(#${arrow.critical ? 'gantt-arrow-critical' : 'gantt-arrow'})`}
+                      />
+                    ))}
+                  </svg>
+
+                  {tasks.map(task => {
+                    const bar = bars.get(task._id);
+                    if (!bar) return null;
+                    return (
+                      <div
+                        key={task._id}
+                        onPointerDown={(e) => handlePointerDown(e, task)}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={() => handlePointerUp(task)}
+                        className={`absolute rounded cursor-grab active:cursor-grabbing text-xs text-white px-2 truncate select-none ${
+                          task.critical ? 'bg-red-500' : 'bg-blue-500'
+                        } ${task._id === selectedTaskId ? 'ring-2 ring-offset-1 ring-gray-900' : ''}`}
+                        style={{ left: bar.left, width: bar.width, top: bar.top, height: BAR_HEIGHT, lineHeight: `${BAR_HEIGHT}px` }}
+                        title={task.slack != null ? `${task.title} (${task.slack} day${task.slack !== 1 ? 's' : ''} of slack)` : task.title}
+                      >
+                        {task.title}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Dependencies of the selected task */}
+          {selectedTask && (
+            <div className="w-80 flex-shrink-0 bg-white rounded-lg shadow-sm border p-4 self-start">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{selectedTask.title}</h2>
+                  <p className="text-sm text-gray-500">
+                    {selectedTask.slack == null
+                      ? 'Not scheduled'
+                      : selectedTask.critical ? 'On the critical path' : `${selectedTask.slack} day${selectedTask.slack !== 1 ? 's' : ''} of slack`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setSelectedTaskId(null)}
+                  className="p-1 text-gray-400 hover:text-gray-600"
+                  title="Close"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Waits on</h3>
+              <div className="space-y-2 mb-4">
+                {(selectedTask.dependencies || []).map(dependency => (
+                  <div key={dependency.task} className="flex items-center justify-between text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 truncate">{tasksById.get(dependency.task)?.title || 'Unknown task'}</p>
+                      <p className="text-xs text-gray-500">
+                        {DEPENDENCY_TYPES.find(type => type.value === dependency.type)?.label}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeDependencyMutation.mutate({ taskId: selectedTask._id, predecessor: dependency.task })}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove dependency"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                {!selectedTask.dependencies?.length && (
+                  <p className="text-sm text-gray-500">No dependencies</p>
+                )}
+              </div>
+
+              <form onSubmit={handleAddDependency} className="space-y-2">
+                <select
+                  value={predecessorId}
+                  onChange={(e) => setPredecessorId(e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Select a task...</option>
+                  {candidates.map(task => (
+                    <option key={task._id} value={task._id}>{task.title}</option>
+                  ))}
+                </select>
+                <select
+                  value={dependencyType}
+                  onChange={(e) => setDependencyType(e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {DEPENDENCY_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={!predecessorId || addDependencyMutation.isLoading}
+                  className="w-full inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Link2 className="h-4 w-4 mr-2" />
+                  {addDependencyMutation.isLoading ? 'Adding...' : 'Add dependency'}
+                </button>
+              </form>
+
+              <Link
+                to={`/workspace/${workspaceId}/task/${selectedTask._id}`}
+                className="mt-4 inline-flex items-center text-sm text-blue-600 hover:text-blue-700"
+              >
+                <ExternalLink className="h-4 w-4 mr-1" />
+                Open task
+              </Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GanttPage;
@@ -11,24 +11,61 @@ import {
   Trash2
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
-import api from '../services/api';
+import api, { notificationAPI, userAPI } from '../services/api';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 
+// Notification types users can switch off, see NOTIFICATION_TYPES on the server
+const NOTIFICATION_TYPE_OPTIONS = [
+  { type: 'assignment', label: 'Task Assignments', description: 'Get notified when assigned to tasks' },
+  { type: 'mention', label: 'Mentions', description: 'Get notified when someone @mentions you' },
+  { type: 'comment', label: 'Comments', description: 'Get notified about comments on tasks you follow' },
+  { type: 'status-change', label: 'Status Changes', description: 'Get notified when tasks you follow change status' },
+  { type: 'due-soon', label: 'Due Date Reminders', description: 'Get reminded a day before your tasks are due and when they are overdue' },
+  { type: 'invitation-accepted', label: 'Accepted Invitations', description: 'Get notified when someone joins through your invitation' },
+  { type: 'automation', label: 'Automations', description: 'Messages sent by workspace automation rules' },
+];
+
+const DIGEST_OPTIONS = [
+  { value: 'off', label: 'Off' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly (Mondays)' },
+];
+
+const TIME_ZONES = Intl.supportedValuesOf?.('timeZone') || ['UTC'];
+
+const ToggleRow = ({ title, description, checked, onChange }) => (
+  <div className="flex items-center justify-between">
+    <div>
+      <h3 className="text-sm font-medium text-gray-900">{title}</h3>
+      <p className="text-sm text-gray-500">{description}</p>
+    </div>
+    <label className="relative inline-flex items-center cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="sr-only peer"
+      />
+      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+    </label>
+  </div>
+);
+
 const Settings = () => {
-  const { loading } = useAuth();
+  const { user, updateUser, loading } = useAuth();
   const queryClient = useQueryClient();
   const [activeTab, setActiveTab] = useState('notifications');
 
   const { data: notificationSettings } = useQuery(
     'notification-settings',
-    () => api.get('/users/notifications'),
+    notificationAPI.getSettings,
     {
       select: (response) => response.data.data
     }
   );
 
   const updateNotificationSettings = useMutation(
-    (settings) => api.put('/users/notifications', settings),
+    notificationAPI.updateSettings,
     {
       onSuccess: () => {
         queryClient.invalidateQueries(['notification-settings']);
@@ -40,6 +77,20 @@ const Settings = () => {
     }
   );
 
+  // Reminders and digests go out in the user's own time zone
+  const updateTimezone = useMutation(
+    (timezone) => userAPI.updateProfile({ preferences: { timezone } }),
+    {
+      onSuccess: (response) => {
+        updateUser(response.data.data);
+        toast.success('Time zone updated successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update time zone');
+      },
+    }
+  );
+
   const exportData = useMutation(
     () => api.get('/users/export-data'),
     {
@@ -75,8 +126,14 @@ const Settings = () => {
   );
 
   const handleNotificationChange = (key, value) => {
-    const newSettings = { ...notificationSettings, [key]: value };
-    updateNotificationSettings.mutate(newSettings);
+    updateNotificationSettings.mutate({ [key]: value });
+  };
+
+  const mutedTypes = notificationSettings?.mutedTypes || [];
+
+  const handleTypeChange = (type, enabled) => {
+    const next = enabled ? mutedTypes.filter(muted => muted !== type) : [...mutedTypes, type];
+    updateNotificationSettings.mutate({ mutedTypes: next });
   };
 
   if (loading) {
@@ -130,68 +187,62 @@ const Settings = () => {
                   </h2>
                 </div>
                 <div className="p-6 space-y-6">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <h3 className="text-sm font-medium text-gray-900">Email Notifications</h3>
-                      <p className="text-sm text-gray-500">Receive notifications via email</p>
-                    </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={notificationSettings?.emailNotifications || false}
-                        onChange={(e) => handleNotificationChange('emailNotifications', e.target.checked)}
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
-                  </div>
+                  <ToggleRow
+                    title="Email Notifications"
+                    description="Receive notifications via email"
+                    checked={notificationSettings?.emailNotifications || false}
+                    onChange={(checked) => handleNotificationChange('emailNotifications', checked)}
+                  />
+                  <ToggleRow
+                    title="Push Notifications"
+                    description="Show new notifications right away while the app is open"
+                    checked={notificationSettings?.pushNotifications || false}
+                    onChange={(checked) => handleNotificationChange('pushNotifications', checked)}
+                  />
 
                   <div className="flex items-center justify-between">
                     <div>
-                      <h3 className="text-sm font-medium text-gray-900">Push Notifications</h3>
-                      <p className="text-sm text-gray-500">Receive push notifications in browser</p>
+                      <h3 className="text-sm font-medium text-gray-900">Email Digest</h3>
+                      <p className="text-sm text-gray-500">Summary of your assigned and changed tasks, sent at 8am your time</p>
                     </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={notificationSettings?.pushNotifications || false}
-                        onChange={(e) => handleNotificationChange('pushNotifications', e.target.checked)}
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
+                    <select
+                      value={notificationSettings?.digest || 'off'}
+                      onChange={(e) => handleNotificationChange('digest', e.target.value)}
+                      disabled={!notificationSettings?.emailNotifications}
+                      className="border border-gray-300 rounded-md py-1.5 px-3 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50"
+                    >
+                      {DIGEST_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
                   </div>
 
                   <div className="flex items-center justify-between">
                     <div>
-                      <h3 className="text-sm font-medium text-gray-900">Task Assignments</h3>
-                      <p className="text-sm text-gray-500">Get notified when assigned to tasks</p>
+                      <h3 className="text-sm font-medium text-gray-900">Time Zone</h3>
+                      <p className="text-sm text-gray-500">Used for digests and due date emails</p>
                     </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={notificationSettings?.taskAssignments || false}
-                        onChange={(e) => handleNotificationChange('taskAssignments', e.target.checked)}
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
+                    <select
+                      value={user?.preferences?.timezone || 'UTC'}
+                      onChange={(e) => updateTimezone.mutate(e.target.value)}
+                      className="border border-gray-300 rounded-md py-1.5 px-3 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {[...new Set(['UTC', ...TIME_ZONES])].map(timeZone => (
+                        <option key={timeZone} value={timeZone}>{timeZone}</option>
+                      ))}
+                    </select>
                   </div>
 
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <h3 className="text-sm font-medium text-gray-900">Comments & Mentions</h3>
-                      <p className="text-sm text-gray-500">Get notified for comments and mentions</p>
-                    </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={notificationSettings?.commentsAndMentions || false}
-                        onChange={(e) => handleNotificationChange('commentsAndMentions', e.target.checked)}
-                        className="sr-only peer"
+                  <div className="border-t border-gray-200 pt-6 space-y-6">
+                    {NOTIFICATION_TYPE_OPTIONS.map(({ type, label, description }) => (
+                      <ToggleRow
+                        key={type}
+                        title={label}
+                        description={description}
+                        checked={Boolean(notificationSettings) && !mutedTypes.includes(type)}
+                        onChange={(checked) => handleTypeChange(type, checked)}
                       />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
@@ -10,34 +10,61 @@ import {
   Edit, 
   Save, 
   X, 
-  MessageSquare, 
   Clock,
   User,
   Calendar,
   Flag,
   CheckSquare,
   Trash2,
-  Send
+  AlertTriangle
 } from 'lucide-react';
-import api from '../services/api';
+import api, { trashAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import { usePresence } from '../hooks/usePresence';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import UndoToast from '../components/ui/UndoToast';
+import PresenceAvatars from '../components/PresenceAvatars';
+import TaskComments from '../components/TaskComments';
+import TaskGitHubLinks from '../components/TaskGitHubLinks';
+import TaskAttachments from '../components/TaskAttachments';
+import TaskSubtasks from '../components/TaskSubtasks';
+import TaskChecklists from '../components/TaskChecklists';
+import TaskCustomFields from '../components/TaskCustomFields';
+import TaskRecurrence from '../components/TaskRecurrence';
+import { StatusBadge, PriorityBadge } from '../components/WorkflowBadge';
+import { getStatuses, getPriorities, getSelectableOptions } from '../utils/workflow';
+import { joinNames } from '../utils/presence';
 
 const taskSchema = z.object({
   title: z.string().min(1, 'Title is required'),
   description: z.string().optional(),
-  status: z.enum(['todo', 'in-progress', 'review', 'done']),
-  priority: z.enum(['low', 'medium', 'high', 'urgent']),
+  // Allowed values come from the workspace workflow and are checked by the server
+  status: z.string().min(1, 'Status is required'),
+  priority: z.string().min(1, 'Priority is required'),
   dueDate: z.string().optional(),
 });
 
+const toFormValues = (task) => ({
+  title: task?.title || '',
+  description: task?.description || '',
+  status: task?.status || 'todo',
+  priority: task?.priority || 'medium',
+  dueDate: task?.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
+});
+
 const TaskView = () => {
   const { workspaceId, taskId } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const [isEditing, setIsEditing] = useState(false);
-  const [newComment, setNewComment] = useState('');
+  const [remoteChangeBy, setRemoteChangeBy] = useState(null);
+  const { user } = useAuth();
+  const { joinTask, leaveTask, setTaskEditing, onTaskUpdated } = useSocket();
+  const viewers = usePresence('task', taskId);
+  const others = viewers.filter(viewer => viewer.user._id !== user?._id);
 
-  const { data: task, isLoading: taskLoading } = useQuery(
+  const { data: task, isLoading: taskLoading, refetch: refetchTask } = useQuery(
     ['task', taskId],
     () => api.get(`/tasks/${taskId}`),
     {
@@ -45,9 +72,9 @@ const TaskView = () => {
     }
   );
 
-  const { data: comments, isLoading: commentsLoading } = useQuery(
-    ['comments', taskId],
-    () => api.get(`/tasks/${taskId}/comments`),
+  const { data: workspace } = useQuery(
+    ['workspace', workspaceId],
+    () => api.get(`/workspaces/${workspaceId}`),
     {
       select: (response) => response.data.data
     }
@@ -60,26 +87,81 @@ const TaskView = () => {
     formState: { errors },
   } = useForm({
     resolver: zodResolver(taskSchema),
-    defaultValues: {
-      title: task?.title || '',
-      description: task?.description || '',
-      status: task?.status || 'todo',
-      priority: task?.priority || 'medium',
-      dueDate: task?.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
-    },
+    defaultValues: toFormValues(task),
   });
 
+  useEffect(() => {
+    joinTask?.(taskId);
+    return () => leaveTask?.(taskId);
+  }, [taskId, joinTask, leaveTask]);
+
+  // Changes by others show up right away, unless they would overwrite an open form
+  useEffect(() => {
+    if (!onTaskUpdated) return undefined;
+    return onTaskUpdated(({ task: updatedTask }) => {
+      if (updatedTask?.parentTask === taskId) queryClient.invalidateQueries(['subtasks', taskId]);
+      if (updatedTask?._id !== taskId) return;
+      if (isEditing && updatedTask.updatedBy?._id !== user?._id) {
+        setRemoteChangeBy(updatedTask.updatedBy?.name || 'Someone');
+        return;
+      }
+      queryClient.invalidateQueries(['task', taskId]);
+    });
+  }, [onTaskUpdated, queryClient, taskId, isEditing, user?._id]);
+
+  const startEditing = () => {
+    reset(toFormValues(task));
+    setRemoteChangeBy(null);
+    setIsEditing(true);
+  };
+
+  const stopEditing = () => {
+    setTaskEditing?.(taskId, null);
+    setRemoteChangeBy(null);
+    setIsEditing(false);
+  };
+
+  // Soft lock: warn when someone else is already editing the field
+  const handleFieldFocus = async (field) => {
+    const result = await setTaskEditing?.(taskId, field);
+    if (result?.lockedBy) {
+      toast(`${result.lockedBy.name} is also editing this field`, { icon: '⚠️' });
+    }
+  };
+
+  const fieldEditors = (field) => others.filter(viewer => viewer.editing === field);
+
+  const renderFieldWarning = (field) => {
+    const editors = fieldEditors(field);
+    if (editors.length === 0) return null;
+    return (
+      <p className="mt-1 text-sm text-amber-600">
+        {joinNames(editors)} {editors.length > 1 ? 'are' : 'is'} editing this field
+      </p>
+    );
+  };
+
+  const loadRemoteChanges = async () => {
+    const { data } = await refetchTask();
+    reset(toFormValues(data));
+    setRemoteChangeBy(null);
+  };
+
   const updateTaskMutation = useMutation(
-    (taskData) => api.put(`/tasks/${taskId}`, taskData),
+    // The version being edited lets the server reject saves over newer changes
+    (taskData) => api.put(`/tasks/${taskId}`, { ...taskData, expectedUpdatedAt: task?.updatedAt }),
     {
       onSuccess: () => {
         queryClient.invalidateQueries(['task', taskId]);
         queryClient.invalidateQueries(['tasks', workspaceId]);
         toast.success('Task updated successfully');
-        setIsEditing(false);
+        stopEditing();
       },
-      onError: () => {
-        toast.error('Failed to update task');
+      onError: (error) => {
+        if (error.response?.status === 409) {
+          setRemoteChangeBy(prev => prev || 'Someone');
+        }
+        toast.error(error.response?.data?.message || 'Failed to update task');
       },
     }
   );
@@ -89,7 +171,9 @@ const TaskView = () => {
     {
       onSuccess: () => {
         queryClient.invalidateQueries(['tasks', workspaceId]);
-        toast.success('Task deleted successfully');
+        toast((t) => (
+          <UndoToast t={t} message="Task moved to trash" onUndo={() => restoreTaskMutation.mutate()} />
+        ), { duration: 8000 });
         navigate(`/workspace/${workspaceId}`);
       },
       onError: () => {
@@ -98,16 +182,17 @@ const TaskView = () => {
     }
   );
 
-  const addCommentMutation = useMutation(
-    (commentData) => api.post(`/tasks/${taskId}/comments`, commentData),
+  const restoreTaskMutation = useMutation(
+    () => trashAPI.restore('task', taskId),
     {
       onSuccess: () => {
-        queryClient.invalidateQueries(['comments', taskId]);
-        setNewComment('');
-        toast.success('Comment added successfully');
+        queryClient.invalidateQueries(['tasks', workspaceId]);
+        queryClient.invalidateQueries(['task', taskId]);
+        toast.success('Task restored');
+        navigate(`/workspace/${workspaceId}/task/${taskId}`);
       },
-      onError: () => {
-        toast.error('Failed to add comment');
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore task');
       },
     }
   );
@@ -116,36 +201,13 @@ const TaskView = () => {
     updateTaskMutation.mutate(data);
   };
 
-  const handleAddComment = () => {
-    if (newComment.trim()) {
-      addCommentMutation.mutate({ content: newComment });
-    }
-  };
-
-  const getStatusColor = (status) => {
-    const colors = {
-      'todo': 'bg-gray-100 text-gray-800',
-      'in-progress': 'bg-blue-100 text-blue-800',
-      'review': 'bg-yellow-100 text-yellow-800',
-      'done': 'bg-green-100 text-green-800'
-    };
-    return colors[status] || 'bg-gray-100 text-gray-800';
-  };
-
-  const getPriorityColor = (priority) => {
-    const colors = {
-      'low': 'bg-green-100 text-green-800',
-      'medium': 'bg-yellow-100 text-yellow-800',
-      'high': 'bg-orange-100 text-orange-800',
-      'urgent': 'bg-red-100 text-red-800'
-    };
-    return colors[priority] || 'bg-gray-100 text-gray-800';
-  };
-
-  if (taskLoading || commentsLoading) {
+  if (taskLoading) {
     return <LoadingSpinner />;
   }
 
+  const canModerate = workspace?.owner?._id === user?._id ||
+    Boolean(workspace?.members?.some(member => member.user?._id === user?._id && member.role === 'admin'));
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="bg-white border-b border-gray-200 px-6 py-4">
@@ -159,22 +221,24 @@ const TaskView = () => {
               Back to Workspace
             </Link>
             <div className="flex items-center space-x-2">
-              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(task?.status)}`}>
-                {task?.status?.replace('-', ' ')}
-              </span>
-              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getPriorityColor(task?.priority)}`}>
-                {task?.priority}
-              </span>
+              <StatusBadge workspace={workspace} status={task?.status} />
+              <PriorityBadge workspace={workspace} priority={task?.priority} />
             </div>
           </div>
 
           <div className="flex items-center space-x-2">
+            {others.length > 0 && (
+              <div className="flex items-center mr-4">
+                <span className="text-xs text-gray-500 mr-3">Also here</span>
+                <PresenceAvatars viewers={others} />
+              </div>
+            )}
             {isEditing ? (
               <>
                 <button
                   onClick={() => {
                     reset();
-                    setIsEditing(false);
+                    stopEditing();
                   }}
                   className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                 >
@@ -193,7 +257,7 @@ const TaskView = () => {
             ) : (
               <>
                 <button
-                  onClick={() => setIsEditing(true)}
+                  onClick={startEditing}
                   className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                 >
                   <Edit className="h-4 w-4 mr-2" />
@@ -201,7 +265,7 @@ const TaskView = () => {
                 </button>
                 <button
                   onClick={() => {
-                    if (window.confirm('Are you sure you want to delete this task?')) {
+                    if (window.confirm('Move this task to the trash?')) {
                       deleteTaskMutation.mutate();
                     }
                   }}
@@ -220,6 +284,22 @@ const TaskView = () => {
       <div className="max-w-4xl mx-auto px-6 py-8">
         {isEditing ? (
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            {remoteChangeBy && (
+              <div className="flex items-center justify-between bg-amber-50 border border-amber-200 rounded-md px-4 py-3 text-sm text-amber-800">
+                <div className="flex items-center">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  {remoteChangeBy} saved changes to this task while you were editing.
+                </div>
+                <button
+                  type="button"
+                  onClick={loadRemoteChanges}
+                  className="font-medium underline hover:text-amber-900"
+                >
+                  Load their version
+                </button>
+              </div>
+            )}
+
             <div>
               <label htmlFor="title" className="block text-sm font-medium text-gray-700">
                 Title
@@ -228,11 +308,13 @@ const TaskView = () => {
                 type="text"
                 id="title"
                 {...register('title')}
+                onFocus={() => handleFieldFocus('title')}
                 className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               />
               {errors.title && (
                 <p className="mt-1 text-sm text-red-600">{errors.title.message}</p>
               )}
+              {renderFieldWarning('title')}
             </div>
 
             <div>
@@ -243,8 +325,10 @@ const TaskView = () => {
                 id="description"
                 rows={4}
                 {...register('description')}
+                onFocus={() => handleFieldFocus('description')}
                 className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               />
+              {renderFieldWarning('description')}
             </div>
 
             <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
@@ -255,13 +339,14 @@ const TaskView = () => {
                 <select
                   id="status"
                   {...register('status')}
+                  onFocus={() => handleFieldFocus('status')}
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                 >
-                  <option value="todo">To Do</option>
-                  <option value="in-progress">In Progress</option>
-                  <option value="review">Review</option>
-                  <option value="done">Done</option>
+                  {getSelectableOptions(getStatuses(workspace), task?.status).map((status) => (
+                    <option key={status.key} value={status.key}>{status.name}</option>
+                  ))}
                 </select>
+                {renderFieldWarning('status')}
               </div>
 
               <div>
@@ -271,13 +356,14 @@ const TaskView = () => {
                 <select
                   id="priority"
                   {...register('priority')}
+                  onFocus={() => handleFieldFocus('priority')}
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                 >
-                  <option value="low">Low</option>
-                  <option value="medium">Medium</option>
-                  <option value="high">High</option>
-                  <option value="urgent">Urgent</option>
+                  {getSelectableOptions(getPriorities(workspace), task?.priority).map((priority) => (
+                    <option key={priority.key} value={priority.key}>{priority.name}</option>
+                  ))}
                 </select>
+                {renderFieldWarning('priority')}
               </div>
             </div>
 
@@ -289,13 +375,24 @@ const TaskView = () => {
                 type="date"
                 id="dueDate"
                 {...register('dueDate')}
+                onFocus={() => handleFieldFocus('dueDate')}
                 className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               />
+              {renderFieldWarning('dueDate')}
             </div>
           </form>
         ) : (
           <div className="space-y-6">
             <div>
+              {task?.parentTask && (
+                <p className="text-sm text-gray-500">
+                  Subtask of{' '}
+                  <Link to={`/workspace/${workspaceId}/task/${task.parentTask._id}`} className="text-blue-600 hover:underline">
+                    {task.parentTask.title}
+                  </Link>
+                </p>
+              )}
+              {task?.number && <p className="text-sm font-mono text-gray-500">CU-{task.number}</p>}
               <h1 className="text-3xl font-bold text-gray-900">{task?.title}</h1>
               <div className="mt-4 flex items-center space-x-6 text-sm text-gray-500">
                 <div className="flex items-center">
@@ -323,67 +420,31 @@ const TaskView = () => {
                 )}
               </div>
             </div>
+
+            <TaskGitHubLinks taskId={taskId} />
           </div>
         )}
 
-        <div className="mt-12">
-          <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-            <MessageSquare className="h-5 w-5 mr-2" />
-            Comments ({comments?.length || 0})
-          </h2>
-
-          <div className="space-y-4">
-            <div className="flex space-x-3">
-              <input
-                type="text"
-                value={newComment}
-                onChange={(e) => setNewComment(e.target.value)}
-                placeholder="Add a comment..."
-                className="flex-1 border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                onKeyPress={(e) => {
-                  if (e.key === 'Enter') {
-                    handleAddComment();
-                  }
-                }}
-              />
-              <button
-                onClick={handleAddComment}
-                disabled={addCommentMutation.isLoading || !newComment.trim()}
-                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
-              >
-                <Send className="h-4 w-4 mr-2" />
-                Send
-              </button>
-            </div>
-
-            <div className="space-y-4">
-              {comments?.map((comment) => (
-                <div key={comment._id} className="bg-white border border-gray-200 rounded-lg p-4">
-                  <div className="flex items-center justify-between mb-2">
-                    <div className="flex items-center space-x-2">
-                      <div className="h-8 w-8 rounded-full bg-gray-300 flex items-center justify-center">
-                        <User className="h-4 w-4 text-gray-600" />
-                      </div>
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">{comment.createdBy?.name || 'Unknown'}</p>
-                        <p className="text-xs text-gray-500">
-                          {new Date(comment.createdAt).toLocaleDateString()} at {new Date(comment.createdAt).toLocaleTimeString()}
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                  <p className="text-gray-700">{comment.content}</p>
-                </div>
-              ))}
-              {comments?.length === 0 && (
-                <div className="text-center py-8">
-                  <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-                  <p className="text-gray-500">No comments yet. Be the first to comment!</p>
-                </div>
-              )}
-            </div>
+        {task && (
+          <div className="mt-6 space-y-6">
+            <TaskCustomFields task={task} workspace={workspace} workspaceId={workspaceId} />
+            <TaskRecurrence task={task} workspaceId={workspaceId} />
+            <TaskSubtasks task={task} workspace={workspace} workspaceId={workspaceId} />
+            <TaskChecklists taskId={taskId} workspaceId={workspaceId} checklists={task.checklists} />
           </div>
+        )}
+
+        <div className="mt-6">
+          <TaskAttachments taskId={taskId} attachments={task?.attachments} canModerate={canModerate} />
         </div>
+
+        <TaskComments
+          taskId={taskId}
+          workspace={workspace}
+          updatedAt={task?.updatedAt}
+          viewers={others}
+          attachments={task?.attachments}
+        />
       </div>
     </div>
   );
@@ -1,18 +1,32 @@
 import React, { useState } from 'react';
 import { useQuery } from 'react-query';
-import { Plus, Search, Filter, CheckSquare, Clock, User } from 'lucide-react';
-import { taskAPI } from '../services/api';
+import { Plus, Search, Filter, CheckSquare, Clock, User, Repeat } from 'lucide-react';
+import { taskAPI, workspaceAPI } from '../services/api';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { StatusBadge, PriorityBadge } from '../components/WorkflowBadge';
+import ProgressBar from '../components/ui/ProgressBar';
+import BulkActionBar from '../components/BulkActionBar';
+import { useTaskSelection } from '../hooks/useTaskSelection';
+import { hasProgress } from '../utils/progress';
 
 const TasksPage = () => {
   const [searchTerm, setSearchTerm] = useState('');
+  // Statuses differ per workspace, so across workspaces we filter by category
   const [statusFilter, setStatusFilter] = useState('all');
 
+  const { data: workspaces } = useQuery(
+    'workspaces',
+    () => workspaceAPI.getWorkspaces(),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
   const { data: tasksData, isLoading, error } = useQuery(
-    ['tasks', { search: searchTerm, status: statusFilter !== 'all' ? statusFilter : undefined }],
+    ['tasks', { search: searchTerm, statusCategory: statusFilter !== 'all' ? statusFilter : undefined }],
     () => taskAPI.getTasks({
       search: searchTerm || undefined,
-      status: statusFilter !== 'all' ? statusFilter : undefined,
+      statusCategory: statusFilter !== 'all' ? statusFilter : undefined,
       limit: 50
     }),
     {
@@ -22,25 +36,13 @@ const TasksPage = () => {
 
   const tasks = tasksData?.tasks || [];
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'todo': return 'bg-gray-100 text-gray-800';
-      case 'in-progress': return 'bg-blue-100 text-blue-800';
-      case 'review': return 'bg-yellow-100 text-yellow-800';
-      case 'done': return 'bg-green-100 text-green-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
-  };
+  const getWorkspace = (task) => workspaces?.find(workspace => workspace._id === task.workspace);
 
-  const getPriorityColor = (priority) => {
-    switch (priority) {
-      case 'low': return 'text-gray-500';
-      case 'medium': return 'text-blue-500';
-      case 'high': return 'text-orange-500';
-      case 'urgent': return 'text-red-500';
-      default: return 'text-gray-500';
-    }
-  };
+  const selection = useTaskSelection(tasks.map(task => task._id));
+  const selectedTasks = tasks.filter(task => selection.isSelected(task._id));
+  // Workspace-specific actions need all selected tasks in one workspace
+  const selectedWorkspaceIds = new Set(selectedTasks.map(task => task.workspace));
+  const selectedWorkspace = selectedWorkspaceIds.size === 1 ? getWorkspace(selectedTasks[0]) : null;
 
   if (isLoading) return <LoadingSpinner />;
 
@@ -81,9 +83,7 @@ const TasksPage = () => {
                 className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
                 <option value="all">All Status</option>
-                <option value="todo">To Do</option>
-                <option value="in-progress">In Progress</option>
-                <option value="review">Review</option>
+                <option value="open">Open</option>
                 <option value="done">Done</option>
               </select>
             </div>
@@ -114,19 +114,31 @@ const TasksPage = () => {
           </div>
         ) : (
           <div className="bg-white rounded-lg shadow-sm border">
+            <label className="flex items-center gap-3 px-4 py-2 border-b text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={selection.allSelected}
+                onChange={selection.toggleAll}
+                className="rounded border-gray-300"
+              />
+              {selectedTasks.length > 0 ? `${selectedTasks.length} of ${tasks.length} selected` : 'Select all'}
+            </label>
             <div className="divide-y divide-gray-200">
               {tasks.map((task) => (
-                <div key={task._id} className="p-4 hover:bg-gray-50">
-                  <div className="flex items-start justify-between">
+                <div key={task._id} className={`p-4 ${selection.isSelected(task._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                  <div className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={selection.isSelected(task._id)}
+                      onChange={(e) => selection.toggle(task._id, e.nativeEvent)}
+                      className="mt-1 rounded border-gray-300"
+                      aria-label={`Select ${task.title}`}
+                    />
                     <div className="flex-1">
                       <div className="flex items-center gap-3 mb-2">
                         <h3 className="font-medium text-gray-900">{task.title}</h3>
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(task.status)}`}>
-                          {task.status?.replace('-', ' ') || 'todo'}
-                        </span>
-                        <span className={`text-xs font-medium ${getPriorityColor(task.priority)}`}>
-                          {task.priority || 'medium'} priority
-                        </span>
+                        <StatusBadge workspace={getWorkspace(task)} status={task.status} />
+                        <PriorityBadge workspace={getWorkspace(task)} priority={task.priority} />
                       </div>
                       {task.description && (
                         <p className="text-gray-600 text-sm mb-2 line-clamp-2">{task.description}</p>
@@ -142,12 +154,16 @@ const TasksPage = () => {
                           <div className="flex items-center">
                             <Clock className="w-4 h-4 mr-1" />
                             Due {new Date(task.dueDate).toLocaleDateString()}
+                            {task.recurrence && <Repeat className="w-4 h-4 ml-1" aria-label="Repeats" />}
                           </div>
                         )}
                         <div>
                           Created {new Date(task.createdAt).toLocaleDateString()}
                         </div>
                       </div>
+                      {hasProgress(task.progress) && (
+                        <ProgressBar percent={task.progress.percent} className="mt-2 max-w-xs" />
+                      )}
                     </div>
                   </div>
                 </div>
@@ -155,6 +171,16 @@ const TasksPage = () => {
             </div>
           </div>
         )}
+
+        {selectedTasks.length > 0 && (
+          <BulkActionBar
+            // Remounts with the right actions when the selection changes workspace
+            key={selectedWorkspace?._id || 'mixed'}
+            tasks={selectedTasks}
+            workspace={selectedWorkspace}
+            onClear={selection.clear}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,151 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowLeft, ArchiveRestore, Trash2, FolderOpen, Folder, List, CheckSquare } from 'lucide-react';
+import { workspaceAPI, trashAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { TRASH_TYPE_LABELS, daysUntilPurge, formatContents } from '../utils/trash';
+
+const TYPE_ICONS = {
+  space: FolderOpen,
+  folder: Folder,
+  list: List,
+  task: CheckSquare
+};
+
+const TrashPage = () => {
+  const { workspaceId } = useParams();
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+
+  const { data: workspace } = useQuery(
+    ['workspace', workspaceId],
+    () => workspaceAPI.getWorkspace(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: items = [], isLoading } = useQuery(
+    ['trash', workspaceId],
+    () => trashAPI.getTrash(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  // What comes back shows up in the sidebar, boards and task lists again
+  const onChanged = () => {
+    queryClient.invalidateQueries(['trash', workspaceId]);
+    queryClient.invalidateQueries(['workspace', workspaceId]);
+    queryClient.invalidateQueries(['spaces', workspaceId]);
+    queryClient.invalidateQueries(['tasks', workspaceId]);
+  };
+
+  const restoreMutation = useMutation(
+    (item) => trashAPI.restore(item.type, item._id),
+    {
+      onSuccess: (_response, item) => {
+        onChanged();
+        toast.success(`${TRASH_TYPE_LABELS[item.type]} restored`);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore');
+      },
+    }
+  );
+
+  const purgeMutation = useMutation(
+    (item) => trashAPI.purge(item.type, item._id),
+    {
+      onSuccess: (_response, item) => {
+        onChanged();
+        toast.success(`${TRASH_TYPE_LABELS[item.type]} deleted for good`);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete');
+      },
+    }
+  );
+
+  if (isLoading) return <LoadingSpinner />;
+
+  const isAdmin = workspace?.owner?._id === user?._id ||
+    Boolean(workspace?.members?.some(member => member.user?._id === user?._id && member.role === 'admin'));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <Link
+          to={`/workspace/${workspaceId}`}
+          className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Workspace
+        </Link>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">{workspace?.name} Trash</h1>
+          <p className="text-gray-600 mt-2">Deleted spaces, folders, lists and tasks stay here for 30 days before they are deleted for good.</p>
+        </div>
+
+        {items.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border p-8 text-center">
+            <Trash2 className="w-8 h-8 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">The trash is empty</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border divide-y">
+            {items.map((item) => {
+              const Icon = TYPE_ICONS[item.type];
+              const days = daysUntilPurge(item.purgeAt);
+              return (
+                <div key={item._id} className="flex items-center justify-between p-4">
+                  <div className="flex items-center min-w-0">
+                    <Icon className="w-5 h-5 text-gray-400 mr-3 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{item.name}</p>
+                      <p className="text-sm text-gray-500">
+                        {TRASH_TYPE_LABELS[item.type]}
+                        {item.contents > 0 && ` with ${formatContents(item.contents)}`}
+                        {' · '}deleted by {item.trashedBy?.name || 'a former member'} on {new Date(item.trashedAt).toLocaleDateString()}
+                        {' · '}{days === 0 ? 'purged today' : `purged in ${days} day${days === 1 ? '' : 's'}`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 ml-4 flex-shrink-0">
+                    <button
+                      onClick={() => restoreMutation.mutate(item)}
+                      disabled={restoreMutation.isLoading}
+                      className="flex items-center px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <ArchiveRestore className="w-4 h-4 mr-1" />
+                      Restore
+                    </button>
+                    {isAdmin && (
+                      <button
+                        onClick={() => {
+                          if (window.confirm(`Delete "${item.name}" for good? This cannot be undone.`)) {
+                            purgeMutation.mutate(item);
+                          }
+                        }}
+                        disabled={purgeMutation.isLoading}
+                        className="flex items-center px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                      >
+                        <Trash2 className="w-4 h-4 mr-1" />
+                        Delete forever
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
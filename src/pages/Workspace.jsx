@@ -1,6 +1,8 @@
-import React, { useState } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
-import { useQuery } from 'react-query';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import { 
   LayoutDashboard, 
   FolderOpen, 
@@ -12,17 +14,84 @@ import {
   Grid,
   Calendar,
   BarChart3,
-  ChevronRight
+  Zap,
+  ChevronRight,
+  Bookmark,
+  Share2,
+  Pencil,
+  Link2,
+  Trash2,
+  X
 } from 'lucide-react';
-import api from '../services/api';
+import api, { spaceAPI, folderAPI, listAPI, taskAPI, viewAPI, customFieldAPI } from '../services/api';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import Modal from '../components/ui/Modal';
+import { StatusBadge, PriorityBadge } from '../components/WorkflowBadge';
+import ProgressBar from '../components/ui/ProgressBar';
+import { hasProgress } from '../utils/progress';
+import PresenceAvatars from '../components/PresenceAvatars';
+import ViewEditor from '../components/ViewEditor';
+import ViewTaskList from '../components/ViewTaskList';
+import { getStatuses } from '../utils/workflow';
+import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+import { usePresence } from '../hooks/usePresence';
+
+const createLabels = {
+  space: 'Create Space',
+  folder: 'Add Folder',
+  list: 'Add List'
+};
+
+// Apply a change to the task list cached by react-query (the raw API response)
+const updateCachedTasks = (response, updater) => response && ({
+  ...response,
+  data: {
+    ...response.data,
+    data: { ...response.data.data, tasks: updater(response.data.data.tasks) }
+  }
+});
+
+const TASK_PAGE_SIZE = 200;
+
+// Every page of a task query as one response; the board ranks dropped cards
+// against their neighbours, so it needs whole columns
+const fetchAllTasks = async (params) => {
+  const first = await taskAPI.getTasks({ ...params, page: 1, limit: TASK_PAGE_SIZE });
+  let { tasks, groups } = first.data.data;
+
+  for (let page = 2; page <= first.data.data.pagination.pages; page += 1) {
+    const next = (await taskAPI.getTasks({ ...params, page, limit: TASK_PAGE_SIZE })).data.data;
+    tasks = [...tasks, ...next.tasks];
+    // Groups list the tasks of each page, in the same order on every page
+    groups = groups?.map((group, index) => ({ ...group, taskIds: [...group.taskIds, ...next.groups[index].taskIds] }));
+  }
+
+  return { ...first, data: { ...first.data, data: { ...first.data.data, tasks, groups } } };
+};
+
+// Tasks are kept sorted by rank, so a task goes before the first higher-ranked one.
+// Moved tasks come without their progress rollup, so the cached one is kept.
+const insertByRank = (tasks, movedTask) => {
+  const task = { ...tasks.find(item => item._id === movedTask._id), ...movedTask };
+  const others = tasks.filter(item => item._id !== task._id);
+  const index = others.findIndex(item => item.rank > task.rank);
+  return index === -1 ? [...others, task] : [...others.slice(0, index), task, ...others.slice(index)];
+};
 
 const Workspace = () => {
   const { workspaceId } = useParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const viewId = searchParams.get('view');
   
   const [viewMode, setViewMode] = useState('list');
   const [searchTerm, setSearchTerm] = useState('');
+  const [createTarget, setCreateTarget] = useState(null);
+  const [newItemName, setNewItemName] = useState('');
+  const [viewEditor, setViewEditor] = useState(null);
 
   const { data: workspace, isLoading: workspaceLoading } = useQuery(
     ['workspace', workspaceId],
@@ -34,49 +103,221 @@ const Workspace = () => {
 
   const { data: spaces, isLoading: spacesLoading } = useQuery(
     ['spaces', workspaceId],
-    () => api.get(`/spaces?workspace=${workspaceId}`),
+    () => spaceAPI.getSpaces(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: views } = useQuery(
+    ['views', workspaceId],
+    () => viewAPI.getViews(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const { data: activeView } = useQuery(
+    ['view', viewId],
+    () => viewAPI.getView(viewId),
+    {
+      enabled: !!viewId,
+      select: (response) => response.data.data,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to load view');
+        setSearchParams({});
+      }
+    }
+  );
+
+  const { data: customFields = [] } = useQuery(
+    ['custom-fields', workspaceId],
+    () => customFieldAPI.getFields(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  // Board views keep the rank order so cards can be dragged
+  const boardView = activeView?.layout === 'board';
+  const tasksKey = useMemo(
+    () => (viewId ? ['tasks', workspaceId, { view: viewId, board: boardView }] : ['tasks', workspaceId]),
+    [workspaceId, viewId, boardView]
+  );
+
+  const { data: taskResult, isLoading: tasksLoading } = useQuery(
+    tasksKey,
+    () => (viewId
+      ? fetchAllTasks({ workspaceId, view: viewId, ...(boardView && { sort: 'rank' }) })
+      : fetchAllTasks({ workspaceId, sortBy: 'rank', sortOrder: 'asc' })),
+    {
+      enabled: !viewId || !!activeView,
+      select: (response) => response.data.data
+    }
+  );
+  const tasks = taskResult?.tasks;
+
+  useEffect(() => {
+    if (activeView) setViewMode(activeView.layout === 'board' ? 'kanban' : 'list');
+  }, [activeView]);
+
+  const { joinWorkspace, leaveWorkspace, onTaskUpdate, onTasksBulkUpdated } = useSocket();
+  const viewers = usePresence('workspace', workspaceId);
+
+  useEffect(() => {
+    joinWorkspace?.(workspaceId);
+    return () => leaveWorkspace?.(workspaceId);
+  }, [workspaceId, joinWorkspace, leaveWorkspace]);
+
+  // Reorder live when a teammate moves a card; a view refetches, as the
+  // moved task may have entered or left it
+  useEffect(() => {
+    if (!onTaskUpdate) return undefined;
+    return onTaskUpdate(({ type, task, rebalanced }) => {
+      if (type !== 'move') return;
+      if (rebalanced || viewId) {
+        queryClient.invalidateQueries(['tasks', workspaceId]);
+        return;
+      }
+      queryClient.setQueryData(tasksKey, (response) =>
+        updateCachedTasks(response, (cached) => insertByRank(cached, task))
+      );
+    });
+  }, [onTaskUpdate, queryClient, workspaceId, viewId, tasksKey]);
+
+  // A bulk change arrives as one event, so the board refetches once
+  useEffect(() => {
+    if (!onTasksBulkUpdated) return undefined;
+    return onTasksBulkUpdated(() => queryClient.invalidateQueries(['tasks', workspaceId]));
+  }, [onTasksBulkUpdated, queryClient, workspaceId]);
+
+  const moveTaskMutation = useMutation(
+    ({ taskId, ...moveData }) => taskAPI.moveTask(taskId, moveData),
+    {
+      // Move the card right away and roll back if the server refuses
+      onMutate: async ({ taskId, status, prevTaskId, nextTaskId }) => {
+        await queryClient.cancelQueries(tasksKey);
+        const previous = queryClient.getQueryData(tasksKey);
+
+        queryClient.setQueryData(tasksKey, (response) =>
+          updateCachedTasks(response, (cached) => {
+            const task = { ...cached.find(item => item._id === taskId), status };
+            const others = cached.filter(item => item._id !== taskId);
+            const nextIndex = others.findIndex(item => item._id === nextTaskId);
+            const prevIndex = others.findIndex(item => item._id === prevTaskId);
+            const index = nextIndex !== -1 ? nextIndex : prevIndex !== -1 ? prevIndex + 1 : others.length;
+            return [...others.slice(0, index), task, ...others.slice(index)];
+          })
+        );
+
+        return { previous };
+      },
+      onSuccess: (response) => {
+        const task = response.data.data;
+        queryClient.setQueryData(tasksKey, (cachedResponse) =>
+          updateCachedTasks(cachedResponse, (cached) => cached.map(item => (item._id === task._id ? { ...item, ...task } : item)))
+        );
+        queryClient.invalidateQueries(['task-summary', workspaceId]);
+      },
+      onError: (error, _variables, context) => {
+        queryClient.setQueryData(tasksKey, context?.previous);
+        if (error.response?.status === 409) {
+          queryClient.invalidateQueries(['tasks', workspaceId]);
+        }
+        toast.error(error.response?.data?.message || 'Failed to move task');
+      }
+    }
+  );
+
+  const { data: summary } = useQuery(
+    ['task-summary', workspaceId],
+    () => taskAPI.getSummary(workspaceId),
     {
       select: (response) => response.data.data
     }
   );
 
-  const { data: tasks, isLoading: tasksLoading } = useQuery(
-    ['tasks', workspaceId],
-    () => api.get(`/tasks?workspaceId=${workspaceId}`),
+  const createItemMutation = useMutation(
+    ({ type, parentId, name }) => {
+      if (type === 'space') return spaceAPI.createSpace({ name, workspace: workspaceId });
+      if (type === 'folder') return folderAPI.createFolder({ name, space: parentId });
+      return listAPI.createList({ name, folder: parentId });
+    },
     {
-      select: (response) => response.data.data.tasks
+      onSuccess: (_response, { type }) => {
+        queryClient.invalidateQueries(['spaces', workspaceId]);
+        toast.success(`${type.charAt(0).toUpperCase() + type.slice(1)} created successfully`);
+        closeCreateModal();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create item');
+      }
     }
   );
 
-  if (workspaceLoading || spacesLoading || tasksLoading) {
+  const openCreateModal = (type, parentId) => {
+    setNewItemName('');
+    setCreateTarget({ type, parentId });
+  };
+
+  const closeCreateModal = () => {
+    setCreateTarget(null);
+    setNewItemName('');
+  };
+
+  const handleCreateItem = (e) => {
+    e.preventDefault();
+    if (!newItemName.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    createItemMutation.mutate({ ...createTarget, name: newItemName.trim() });
+  };
+
+  const copyViewLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  if (workspaceLoading || spacesLoading || tasksLoading || (viewId && !activeView)) {
     return <LoadingSpinner />;
   }
 
+  const lists = spaces?.flatMap(space => space.folders?.flatMap(folder => folder.lists || []) || []) || [];
+  const isAdmin = workspace?.owner?._id === user?._id ||
+    Boolean(workspace?.members?.some(member => member.user?._id === user?._id && member.role === 'admin'));
+  // Views change hands only through their creator, or an admin for shared views
+  const canManageView = activeView &&
+    ((activeView.createdBy?._id || activeView.createdBy) === user?._id || (activeView.shared && isAdmin));
+
   const filteredTasks = tasks?.filter(task =>
     task.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
     task.description?.toLowerCase().includes(searchTerm.toLowerCase())
   ) || [];
 
-  const getStatusColor = (status) => {
-    const colors = {
-      'todo': 'bg-gray-100 text-gray-800',
-      'in-progress': 'bg-blue-100 text-blue-800',
-      'review': 'bg-yellow-100 text-yellow-800',
-      'done': 'bg-green-100 text-green-800'
-    };
-    return colors[status] || 'bg-gray-100 text-gray-800';
-  };
+  const handleDragEnd = ({ source, destination, draggableId }) => {
+    if (!destination) return;
+    if (source.droppableId === destination.droppableId && source.index === destination.index) return;
 
-  const getPriorityColor = (priority) => {
-    const colors = {
-      'low': 'bg-green-100 text-green-800',
-      'medium': 'bg-yellow-100 text-yellow-800',
-      'high': 'bg-orange-100 text-orange-800',
-      'urgent': 'bg-red-100 text-red-800'
-    };
-    return colors[priority] || 'bg-gray-100 text-gray-800';
+    // Neighbours at the drop position, as shown in the target column
+    const column = filteredTasks.filter(task => task.status === destination.droppableId && task._id !== draggableId);
+    moveTaskMutation.mutate({
+      taskId: draggableId,
+      status: destination.droppableId,
+      prevTaskId: column[destination.index - 1]?._id,
+      nextTaskId: column[destination.index]?._id
+    });
   };
 
+  // Archived statuses only get a column while tasks still use them
+  const boardColumns = getStatuses(workspace).filter(status =>
+    !status.archived || filteredTasks.some(task => task.status === status.key)
+  );
+
   return (
     <div className="flex h-screen bg-gray-50">
       {/* Sidebar */}
@@ -126,6 +367,43 @@ const Workspace = () => {
             Gantt Chart
           </Link>
 
+          <Link
+            to={`/workspace/${workspaceId}/automations`}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-900 hover:bg-gray-50 rounded-md"
+          >
+            <Zap className="mr-3 h-4 w-4" />
+            Automations
+          </Link>
+
+          <div className="pt-4 mt-4 border-t border-gray-200">
+            <div className="flex items-center justify-between px-3 mb-1">
+              <span className="text-xs text-gray-500">VIEWS</span>
+              <button
+                onClick={() => setViewEditor({ view: null })}
+                className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                title="New view"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </div>
+            {views?.map((view) => (
+              <Link
+                key={view._id}
+                to={`/workspace/${workspaceId}?view=${view._id}`}
+                className={`flex items-center px-3 py-2 text-sm font-medium rounded-md ${
+                  view._id === viewId ? 'text-blue-600 bg-blue-50' : 'text-gray-600 hover:text-gray-900 hover:bg-gray-50'
+                }`}
+              >
+                <Bookmark className="mr-3 h-4 w-4 flex-shrink-0" />
+                <span className="truncate">{view.name}</span>
+                {view.shared && <Share2 className="ml-auto h-3.5 w-3.5 text-gray-400 flex-shrink-0" />}
+              </Link>
+            ))}
+            {views?.length === 0 && (
+              <p className="px-3 text-xs text-gray-400">Save filters as views to find them here.</p>
+            )}
+          </div>
+
           <div className="pt-4 mt-4 border-t border-gray-200">
             <Link
               to={`/workspace/${workspaceId}/settings`}
@@ -134,6 +412,14 @@ const Workspace = () => {
               <Settings className="mr-3 h-4 w-4" />
               Settings
             </Link>
+
+            <Link
+              to={`/workspace/${workspaceId}/trash`}
+              className="flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-900 hover:bg-gray-50 rounded-md"
+            >
+              <Trash2 className="mr-3 h-4 w-4" />
+              Trash
+            </Link>
             
             <Link
               to={`/workspace/${workspaceId}/members`}
@@ -172,11 +458,43 @@ const Workspace = () => {
               <div className="flex items-center space-x-2 text-sm text-gray-500">
                 <Link to="/dashboard" className="hover:text-gray-700">Dashboard</Link>
                 <ChevronRight className="h-4 w-4" />
-                <span className="text-gray-900">{workspace?.name}</span>
+                <span className={activeView ? '' : 'text-gray-900'}>{workspace?.name}</span>
+                {activeView && (
+                  <>
+                    <ChevronRight className="h-4 w-4" />
+                    <span className="inline-flex items-center text-gray-900 font-medium">
+                      <Bookmark className="h-4 w-4 mr-1" />
+                      {activeView.name}
+                    </span>
+                    {canManageView && (
+                      <button
+                        onClick={() => setViewEditor({ view: activeView })}
+                        className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                        title="Edit view"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                    )}
+                    {activeView.shared && (
+                      <button onClick={copyViewLink} className="p-1 text-gray-400 hover:text-gray-600 rounded" title="Copy link">
+                        <Link2 className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setSearchParams({})}
+                      className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                      title="Close view"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </>
+                )}
               </div>
             </div>
 
             <div className="flex items-center space-x-4">
+              <PresenceAvatars viewers={viewers} />
+
               <div className="relative">
                 <Search className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
                 <input
@@ -222,7 +540,35 @@ const Workspace = () => {
 
         {/* Content Area */}
         <div className="flex-1 overflow-auto p-6">
-          {viewMode === 'list' && (
+          {summary?.total > 0 && (
+            <div className="bg-white rounded-lg shadow p-4 mb-6">
+              <div className="flex items-center justify-between text-sm mb-2">
+                <span className="font-medium text-gray-900">Progress</span>
+                <span className="text-gray-500">{summary.done} of {summary.total} tasks done</span>
+              </div>
+              <div className="flex h-2 rounded-full overflow-hidden bg-gray-100">
+                {summary.byStatus.filter(status => status.count > 0).map((status) => (
+                  <div
+                    key={status.key}
+                    title={`${status.name}: ${status.count}`}
+                    style={{ width: `${(status.count / summary.total) * 100}%`, backgroundColor: status.color }}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {viewMode === 'list' && activeView && (
+            <ViewTaskList
+              tasks={filteredTasks}
+              groups={taskResult?.groups}
+              groupBy={activeView.groupBy}
+              workspace={workspace}
+              customFields={customFields}
+            />
+          )}
+
+          {viewMode === 'list' && !activeView && (
             <div className="space-y-6">
               {/* Spaces and Folders */}
               {spaces?.map((space) => (
@@ -230,7 +576,10 @@ const Workspace = () => {
                   <div className="p-4 border-b border-gray-200">
                     <div className="flex items-center justify-between">
                       <h3 className="text-lg font-semibold text-gray-900">{space.name}</h3>
-                      <button className="text-blue-600 hover:text-blue-700 text-sm font-medium">
+                      <button
+                        onClick={() => openCreateModal('folder', space._id)}
+                        className="text-blue-600 hover:text-blue-700 text-sm font-medium"
+                      >
                         <Plus className="h-4 w-4 inline mr-1" />
                         Add Folder
                       </button>
@@ -251,7 +600,10 @@ const Workspace = () => {
                             <div className="p-3 bg-gray-50 border-b border-gray-200">
                               <div className="flex items-center justify-between">
                                 <h4 className="text-sm font-medium text-gray-900">{folder.name}</h4>
-                                <button className="text-blue-600 hover:text-blue-700 text-sm">
+                                <button
+                                  onClick={() => openCreateModal('list', folder._id)}
+                                  className="text-blue-600 hover:text-blue-700 text-sm"
+                                >
                                   <Plus className="h-4 w-4 inline mr-1" />
                                   Add List
                                 </button>
@@ -282,11 +634,12 @@ const Workspace = () => {
                                               <div className="flex items-center justify-between">
                                                 <span className="text-sm text-gray-900 truncate">{task.title}</span>
                                                 <div className="flex items-center space-x-1">
-                                                  <span className={`inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium ${getStatusColor(task.status)}`}>
-                                                    {task.status}
-                                                  </span>
+                                                  <StatusBadge workspace={workspace} status={task.status} />
                                                 </div>
                                               </div>
+                                              {hasProgress(task.progress) && (
+                                                <ProgressBar percent={task.progress.percent} className="mt-2" />
+                                              )}
                                             </Link>
                                           ))}
                                       </div>
@@ -307,6 +660,16 @@ const Workspace = () => {
                   </div>
                 </div>
               ))}
+
+              {spaces?.length > 0 && (
+                <button
+                  onClick={() => openCreateModal('space')}
+                  className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Space
+                </button>
+              )}
             </div>
           )}
 
@@ -316,48 +679,79 @@ const Workspace = () => {
                 <h3 className="text-lg font-semibold text-gray-900">Kanban Board</h3>
               </div>
               <div className="p-4">
-                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-                  {['todo', 'in-progress', 'review', 'done'].map((status) => (
-                    <div key={status} className="bg-gray-50 rounded-lg p-4">
-                      <h4 className="text-sm font-medium text-gray-900 mb-3 capitalize">{status.replace('-', ' ')}</h4>
-                      <div className="space-y-3">
-                        {filteredTasks
-                          .filter(task => task.status === status)
-                          .map((task) => (
-                            <div key={task._id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
-                              <Link
-                                to={`/workspace/${workspaceId}/task/${task._id}`}
-                                className="block"
-                              >
-                                <h5 className="text-sm font-medium text-gray-900 mb-2">{task.title}</h5>
-                                <div className="flex items-center justify-between">
-                                  <span className={`inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium ${getPriorityColor(task.priority)}`}>
-                                    {task.priority}
-                                  </span>
-                                  {task.dueDate && (
-                                    <span className="text-xs text-gray-500">
-                                      {new Date(task.dueDate).toLocaleDateString()}
-                                    </span>
-                                  )}
-                                </div>
-                              </Link>
+                <DragDropContext onDragEnd={handleDragEnd}>
+                  <div className="flex gap-4 overflow-x-auto">
+                    {boardColumns.map((status) => (
+                      <div key={status.key} className="bg-gray-50 rounded-lg p-4 w-72 flex-shrink-0">
+                        <h4 className="flex items-center text-sm font-medium text-gray-900 mb-3">
+                          <span className="w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: status.color }} />
+                          {status.name}
+                          {status.archived && <span className="ml-2 text-xs text-gray-400">(archived)</span>}
+                          <span className="ml-auto text-xs text-gray-500">
+                            {filteredTasks.filter(task => task.status === status.key).length}
+                          </span>
+                        </h4>
+                        <Droppable droppableId={status.key} isDropDisabled={status.archived}>
+                          {(droppableProvided, droppableSnapshot) => (
+                            <div
+                              ref={droppableProvided.innerRef}
+                              {...droppableProvided.droppableProps}
+                              className={`space-y-3 min-h-[4rem] rounded-md ${droppableSnapshot.isDraggingOver ? 'bg-blue-50' : ''}`}
+                            >
+                              {filteredTasks
+                                .filter(task => task.status === status.key)
+                                .map((task, index) => (
+                                  <Draggable key={task._id} draggableId={task._id} index={index}>
+                                    {(draggableProvided, draggableSnapshot) => (
+                                      <div
+                                        ref={draggableProvided.innerRef}
+                                        {...draggableProvided.draggableProps}
+                                        {...draggableProvided.dragHandleProps}
+                                        className={`bg-white rounded-lg border border-gray-200 p-3 ${draggableSnapshot.isDragging ? 'shadow-lg' : 'shadow-sm'}`}
+                                      >
+                                        <Link
+                                          to={`/workspace/${workspaceId}/task/${task._id}`}
+                                          className="block"
+                                        >
+                                          <h5 className="text-sm font-medium text-gray-900 mb-2">{task.title}</h5>
+                                          <div className="flex items-center justify-between">
+                                            <PriorityBadge workspace={workspace} priority={task.priority} />
+                                            {task.dueDate && (
+                                              <span className="text-xs text-gray-500">
+                                                {new Date(task.dueDate).toLocaleDateString()}
+                                              </span>
+                                            )}
+                                          </div>
+                                          {hasProgress(task.progress) && (
+                                            <ProgressBar percent={task.progress.percent} className="mt-2" />
+                                          )}
+                                        </Link>
+                                      </div>
+                                    )}
+                                  </Draggable>
+                                ))}
+                              {droppableProvided.placeholder}
                             </div>
-                          ))}
+                          )}
+                        </Droppable>
                       </div>
-                    </div>
-                  ))}
-                </div>
+                    ))}
+                  </div>
+                </DragDropContext>
               </div>
             </div>
           )}
 
-          {spaces?.length === 0 && (
+          {spaces?.length === 0 && !activeView && (
             <div className="text-center py-12">
               <LayoutDashboard className="mx-auto h-16 w-16 text-gray-400" />
               <h3 className="mt-4 text-lg font-medium text-gray-900">No spaces yet</h3>
               <p className="mt-2 text-sm text-gray-500">Create your first space to organize your work.</p>
               <div className="mt-6">
-                <button className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700">
+                <button
+                  onClick={() => openCreateModal('space')}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                >
                   <Plus className="h-4 w-4 mr-2" />
                   Create Space
                 </button>
@@ -366,6 +760,63 @@ const Workspace = () => {
           )}
         </div>
       </div>
+
+      <ViewEditor
+        isOpen={!!viewEditor}
+        onClose={() => setViewEditor(null)}
+        view={viewEditor?.view}
+        workspace={workspace}
+        lists={lists}
+        customFields={customFields}
+        onSaved={(view) => {
+          setViewEditor(null);
+          setSearchParams({ view: view._id });
+        }}
+        onDeleted={() => {
+          setViewEditor(null);
+          setSearchParams({});
+        }}
+      />
+
+      <Modal
+        isOpen={!!createTarget}
+        onClose={closeCreateModal}
+        title={createTarget ? createLabels[createTarget.type] : ''}
+        size="small"
+      >
+        <form onSubmit={handleCreateItem} className="space-y-4">
+          <div>
+            <label htmlFor="newItemName" className="block text-sm font-medium text-gray-700 mb-2">
+              Name *
+            </label>
+            <input
+              id="newItemName"
+              type="text"
+              value={newItemName}
+              onChange={(e) => setNewItemName(e.target.value)}
+              placeholder="Enter a name"
+              autoFocus
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={closeCreateModal}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={createItemMutation.isLoading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {createItemMutation.isLoading ? 'Creating...' : 'Create'}
+            </button>
+          </div>
+        </form>
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,319 @@
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeft,
+  ArrowUp,
+  ArrowDown,
+  Archive,
+  ArchiveRestore,
+  Plus,
+  Trash2
+} from 'lucide-react';
+import { workspaceAPI, trashAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import UndoToast from '../components/ui/UndoToast';
+import WebhookSettings from '../components/WebhookSettings';
+import GitHubSettings from '../components/GitHubSettings';
+import SlackSettings from '../components/SlackSettings';
+import CustomFieldSettings from '../components/CustomFieldSettings';
+import { getStatuses, getPriorities } from '../utils/workflow';
+
+const STATUS_CATEGORIES = [
+  { value: 'open', label: 'Open' },
+  { value: 'done', label: 'Done' }
+];
+
+// Editable list of statuses or priorities; saved as a whole
+const WorkflowEditor = ({ title, description, initialOptions, withCategory, onSave, isSaving }) => {
+  const [options, setOptions] = useState(initialOptions);
+
+  const updateOption = (index, changes) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? { ...option, ...changes } : option)));
+  };
+
+  const moveOption = (index, offset) => {
+    setOptions(prev => {
+      const next = [...prev];
+      const [option] = next.splice(index, 1);
+      next.splice(index + offset, 0, option);
+      return next;
+    });
+  };
+
+  const addOption = () => {
+    setOptions(prev => [
+      ...prev,
+      { name: '', color: '#6B7280', archived: false, ...(withCategory && { category: 'open' }) }
+    ]);
+  };
+
+  // Only options that were never saved can be removed; saved ones are archived
+  const removeOption = (index) => {
+    setOptions(prev => prev.filter((_option, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    if (options.some(option => !option.name.trim())) {
+      toast.error('Every entry needs a name');
+      return;
+    }
+    onSave(options.map(({ key, name, color, archived, category }) => ({
+      key,
+      name: name.trim(),
+      color,
+      archived,
+      ...(withCategory && { category })
+    })));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+        <p className="text-sm text-gray-600 mt-1">{description}</p>
+      </div>
+
+      <div className="p-6 space-y-3">
+        {options.map((option, index) => (
+          <div
+            key={option.key || `new-${index}`}
+            className={`flex items-center gap-3 ${option.archived ? 'opacity-60' : ''}`}
+          >
+            <input
+              type="color"
+              value={option.color}
+              onChange={(e) => updateOption(index, { color: e.target.value.toUpperCase() })}
+              className="h-9 w-9 rounded border border-gray-300 cursor-pointer"
+              aria-label="Color"
+            />
+            <input
+              type="text"
+              value={option.name}
+              onChange={(e) => updateOption(index, { name: e.target.value })}
+              placeholder="Name"
+              maxLength={50}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            {withCategory && (
+              <select
+                value={option.category}
+                onChange={(e) => updateOption(index, { category: e.target.value })}
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {STATUS_CATEGORIES.map((category) => (
+                  <option key={category.value} value={category.value}>{category.label}</option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              onClick={() => moveOption(index, -1)}
+              disabled={index === 0}
+              className="p-2 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+              title="Move up"
+            >
+              <ArrowUp className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveOption(index, 1)}
+              disabled={index === options.length - 1}
+              className="p-2 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+              title="Move down"
+            >
+              <ArrowDown className="h-4 w-4" />
+            </button>
+            {option.key ? (
+              <button
+                type="button"
+                onClick={() => updateOption(index, { archived: !option.archived })}
+                className="p-2 text-gray-500 hover:text-gray-900"
+                title={option.archived ? 'Restore' : 'Archive'}
+              >
+                {option.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={() => removeOption(index)}
+                className="p-2 text-gray-500 hover:text-red-600"
+                title="Remove"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        ))}
+
+        <p className="text-xs text-gray-500">
+          Renaming moves existing tasks along. Archived entries stay on their tasks but cannot be picked for new ones.
+        </p>
+
+        <div className="flex justify-between pt-2">
+          <button
+            type="button"
+            onClick={addOption}
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const WorkspaceSettingsPage = () => {
+  const { workspaceId } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data: workspace, isLoading } = useQuery(
+    ['workspace', workspaceId],
+    () => workspaceAPI.getWorkspace(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const onWorkflowSaved = (response) => {
+    const { migratedTasks } = response.data.data;
+    queryClient.invalidateQueries(['workspace', workspaceId]);
+    queryClient.invalidateQueries('workspaces');
+    queryClient.invalidateQueries(['tasks', workspaceId]);
+    queryClient.invalidateQueries(['task-summary', workspaceId]);
+    toast.success(migratedTasks > 0
+      ? `${response.data.message} (${migratedTasks} task${migratedTasks !== 1 ? 's' : ''} moved)`
+      : response.data.message);
+  };
+
+  const onWorkflowError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to save changes');
+  };
+
+  const updateStatusesMutation = useMutation(
+    (statuses) => workspaceAPI.updateStatuses(workspaceId, statuses),
+    { onSuccess: onWorkflowSaved, onError: onWorkflowError }
+  );
+
+  const updatePrioritiesMutation = useMutation(
+    (priorities) => workspaceAPI.updatePriorities(workspaceId, priorities),
+    { onSuccess: onWorkflowSaved, onError: onWorkflowError }
+  );
+
+  const restoreWorkspaceMutation = useMutation(
+    () => trashAPI.restore('workspace', workspaceId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('workspaces');
+        toast.success('Workspace restored');
+        navigate(`/workspace/${workspaceId}`);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore workspace');
+      },
+    }
+  );
+
+  const deleteWorkspaceMutation = useMutation(
+    () => workspaceAPI.deleteWorkspace(workspaceId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('workspaces');
+        queryClient.invalidateQueries('deleted-workspaces');
+        toast((t) => (
+          <UndoToast t={t} message="Workspace moved to trash" onUndo={() => restoreWorkspaceMutation.mutate()} />
+        ), { duration: 8000 });
+        navigate('/workspaces');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete workspace');
+      },
+    }
+  );
+
+  if (isLoading) return <LoadingSpinner />;
+
+  const isOwner = workspace?.owner?._id === user?._id;
+  const isAdmin = isOwner ||
+    Boolean(workspace?.members?.some(member => member.user?._id === user?._id && member.role === 'admin'));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <Link
+          to={`/workspace/${workspaceId}`}
+          className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Workspace
+        </Link>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">{workspace?.name} Settings</h1>
+          <p className="text-gray-600 mt-2">Define the statuses, priorities and custom fields tasks in this workspace use, and where changes are sent.</p>
+        </div>
+
+        <div className="space-y-6">
+          {/* Remount the editors with fresh data after every save */}
+          <WorkflowEditor
+            key={`statuses-${workspace?.updatedAt}`}
+            title="Statuses"
+            description="Columns of the board, in order. Tasks in a Done status count as completed."
+            initialOptions={getStatuses(workspace)}
+            withCategory
+            onSave={(statuses) => updateStatusesMutation.mutate(statuses)}
+            isSaving={updateStatusesMutation.isLoading}
+          />
+          <WorkflowEditor
+            key={`priorities-${workspace?.updatedAt}`}
+            title="Priorities"
+            description="From lowest to highest."
+            initialOptions={getPriorities(workspace)}
+            onSave={(priorities) => updatePrioritiesMutation.mutate(priorities)}
+            isSaving={updatePrioritiesMutation.isLoading}
+          />
+          {isAdmin && <CustomFieldSettings workspaceId={workspaceId} />}
+          {isAdmin && <GitHubSettings workspaceId={workspaceId} statuses={getStatuses(workspace)} />}
+          {isAdmin && <SlackSettings workspaceId={workspaceId} members={workspace?.members} />}
+          {isAdmin && <WebhookSettings workspaceId={workspaceId} />}
+          {isOwner && (
+            <div className="bg-white rounded-lg shadow-sm border border-red-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900">Delete workspace</h2>
+              <p className="text-sm text-gray-600 mt-1 mb-4">
+                Moves the workspace and everything in it to the trash. You can restore it from the Workspaces page for 30 days.
+              </p>
+              <button
+                type="button"
+                onClick={() => {
+                  if (window.confirm(`Move ${workspace.name} to the trash?`)) {
+                    deleteWorkspaceMutation.mutate();
+                  }
+                }}
+                disabled={deleteWorkspaceMutation.isLoading}
+                className="flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                <Trash2 className="h-4 w-4 mr-2" />
+                Delete workspace
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceSettingsPage;
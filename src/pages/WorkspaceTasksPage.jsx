@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { toast } from 'react-hot-toast';
@@ -11,10 +11,21 @@ import {
   User,
   ArrowLeft,
   Calendar,
-  Flag
+  Flag,
+  ArrowUpDown,
+  Repeat
 } from 'lucide-react';
-import { taskAPI, workspaceAPI } from '../services/api';
+import { taskAPI, workspaceAPI, customFieldAPI } from '../services/api';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { StatusBadge, PriorityBadge } from '../components/WorkflowBadge';
+import ProgressBar from '../components/ui/ProgressBar';
+import CustomFieldInput from '../components/CustomFieldInput';
+import BulkActionBar from '../components/BulkActionBar';
+import { useSocket } from '../contexts/SocketContext';
+import { useTaskSelection } from '../hooks/useTaskSelection';
+import { hasProgress } from '../utils/progress';
+import { appliesToTask, getFieldValue } from '../utils/customFields';
+import { getStatuses, getPriorities, getSelectableOptions } from '../utils/workflow';
 
 const WorkspaceTasksPage = () => {
   const { workspaceId } = useParams();
@@ -22,11 +33,13 @@ const WorkspaceTasksPage = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [priorityFilter, setPriorityFilter] = useState('all');
+  // createdAt, dueDate or cf.<fieldId>
+  const [sortBy, setSortBy] = useState('createdAt');
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [newTask, setNewTask] = useState({
     title: '',
     description: '',
-    priority: 'medium',
+    priority: '',
     dueDate: ''
   });
 
@@ -39,14 +52,25 @@ const WorkspaceTasksPage = () => {
     }
   );
 
+  const { data: customFields = [] } = useQuery(
+    ['custom-fields', workspaceId],
+    () => customFieldAPI.getFields(workspaceId),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
   // Get tasks for this workspace
   const { data: tasksData, isLoading, error } = useQuery(
-    ['workspace-tasks', workspaceId, { search: searchTerm, status: statusFilter, priority: priorityFilter }],
+    ['workspace-tasks', workspaceId, { search: searchTerm, status: statusFilter, priority: priorityFilter, sortBy }],
     () => taskAPI.getTasks({
       workspaceId,
       search: searchTerm || undefined,
       status: statusFilter !== 'all' ? statusFilter : undefined,
       priority: priorityFilter !== 'all' ? priorityFilter : undefined,
+      sortBy,
+      // Custom fields list the tasks with a value first
+      sortOrder: sortBy === 'createdAt' ? 'desc' : 'asc',
       limit: 50
     }),
     {
@@ -61,7 +85,7 @@ const WorkspaceTasksPage = () => {
       onSuccess: () => {
         toast.success('Task created successfully!');
         setShowCreateModal(false);
-        setNewTask({ title: '', description: '', priority: 'medium', dueDate: '' });
+        setNewTask({ title: '', description: '', priority: '', dueDate: '' });
         queryClient.invalidateQueries(['workspace-tasks', workspaceId]);
       },
       onError: (error) => {
@@ -70,27 +94,28 @@ const WorkspaceTasksPage = () => {
     }
   );
 
+  const updateFieldMutation = useMutation(
+    ({ taskId, field, value }) => taskAPI.updateTask(taskId, { customFields: [{ field, value }] }),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['workspace-tasks', workspaceId]),
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update field');
+      }
+    }
+  );
+
   const tasks = tasksData?.tasks || [];
+  const selection = useTaskSelection(tasks.map(task => task._id));
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'todo': return 'bg-gray-100 text-gray-800';
-      case 'in-progress': return 'bg-blue-100 text-blue-800';
-      case 'review': return 'bg-yellow-100 text-yellow-800';
-      case 'done': return 'bg-green-100 text-green-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
-  };
+  // Teammates' bulk changes show up here as well
+  const { onTasksBulkUpdated } = useSocket();
+  useEffect(() => {
+    if (!onTasksBulkUpdated) return undefined;
+    return onTasksBulkUpdated(() => queryClient.invalidateQueries(['workspace-tasks', workspaceId]));
+  }, [onTasksBulkUpdated, queryClient, workspaceId]);
 
-  const getPriorityColor = (priority) => {
-    switch (priority) {
-      case 'low': return 'text-gray-500';
-      case 'medium': return 'text-blue-500';
-      case 'high': return 'text-orange-500';
-      case 'urgent': return 'text-red-500';
-      default: return 'text-gray-500';
-    }
-  };
+  const statuses = getStatuses(workspace);
+  const priorities = getPriorities(workspace);
 
   const handleCreateTask = (e) => {
     e.preventDefault();
@@ -98,7 +123,8 @@ const WorkspaceTasksPage = () => {
       toast.error('Task title is required');
       return;
     }
-    createTaskMutation.mutate(newTask);
+    // An empty priority leaves the workspace default to the server
+    createTaskMutation.mutate({ ...newTask, priority: newTask.priority || undefined });
   };
 
   if (isLoading) return <LoadingSpinner />;
@@ -156,10 +182,9 @@ const WorkspaceTasksPage = () => {
                 className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
                 <option value="all">All Status</option>
-                <option value="todo">To Do</option>
-                <option value="in-progress">In Progress</option>
-                <option value="review">Review</option>
-                <option value="done">Done</option>
+                {statuses.map((status) => (
+                  <option key={status.key} value={status.key}>{status.name}</option>
+                ))}
               </select>
               <select
                 value={priorityFilter}
@@ -167,10 +192,21 @@ const WorkspaceTasksPage = () => {
                 className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
                 <option value="all">All Priority</option>
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-                <option value="urgent">Urgent</option>
+                {priorities.map((priority) => (
+                  <option key={priority.key} value={priority.key}>{priority.name}</option>
+                ))}
+              </select>
+              <ArrowUpDown className="w-4 h-4 text-gray-400 ml-2" />
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="createdAt">Newest</option>
+                <option value="dueDate">Due Date</option>
+                {customFields.map((field) => (
+                  <option key={field._id} value={`cf.${field._id}`}>{field.name}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -204,10 +240,26 @@ const WorkspaceTasksPage = () => {
           </div>
         ) : (
           <div className="bg-white rounded-lg shadow-sm border">
+            <label className="flex items-center gap-3 px-4 py-2 border-b text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={selection.allSelected}
+                onChange={selection.toggleAll}
+                className="rounded border-gray-300"
+              />
+              {selection.selectedIds.length > 0 ? `${selection.selectedIds.length} of ${tasks.length} selected` : 'Select all'}
+            </label>
             <div className="divide-y divide-gray-200">
               {tasks.map((task) => (
-                <div key={task._id} className="p-4 hover:bg-gray-50">
-                  <div className="flex items-start justify-between">
+                <div key={task._id} className={`p-4 ${selection.isSelected(task._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                  <div className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={selection.isSelected(task._id)}
+                      onChange={(e) => selection.toggle(task._id, e.nativeEvent)}
+                      className="mt-1 rounded border-gray-300"
+                      aria-label={`Select ${task.title}`}
+                    />
                     <div className="flex-1">
                       <div className="flex items-center gap-3 mb-2">
                         <Link
@@ -216,12 +268,10 @@ const WorkspaceTasksPage = () => {
                         >
                           {task.title}
                         </Link>
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(task.status)}`}>
-                          {task.status?.replace('-', ' ') || 'todo'}
-                        </span>
-                        <span className={`text-xs font-medium ${getPriorityColor(task.priority)}`}>
-                          <Flag className="w-3 h-3 inline mr-1" />
-                          {task.priority || 'medium'}
+                        <StatusBadge workspace={workspace} status={task.status} />
+                        <span className="inline-flex items-center">
+                          <Flag className="w-3 h-3 mr-1 text-gray-400" />
+                          <PriorityBadge workspace={workspace} priority={task.priority} />
                         </span>
                       </div>
                       {task.description && (
@@ -238,6 +288,7 @@ const WorkspaceTasksPage = () => {
                           <div className="flex items-center">
                             <Clock className="w-4 h-4 mr-1" />
                             Due {new Date(task.dueDate).toLocaleDateString()}
+                            {task.recurrence && <Repeat className="w-4 h-4 ml-1" aria-label="Repeats" />}
                           </div>
                         )}
                         <div className="flex items-center">
@@ -245,6 +296,24 @@ const WorkspaceTasksPage = () => {
                           Created {new Date(task.createdAt).toLocaleDateString()}
                         </div>
                       </div>
+                      {hasProgress(task.progress) && (
+                        <ProgressBar percent={task.progress.percent} className="mt-2 max-w-xs" />
+                      )}
+                      {customFields.some(field => appliesToTask(field, task)) && (
+                        <div className="mt-3 flex flex-wrap gap-4">
+                          {customFields.filter(field => appliesToTask(field, task)).map((field) => (
+                            <div key={field._id} className="w-40">
+                              <div className="text-xs font-medium text-gray-500 mb-1">{field.name}</div>
+                              <CustomFieldInput
+                                field={field}
+                                value={getFieldValue(task, field)}
+                                members={workspace?.members}
+                                onSave={(value) => updateFieldMutation.mutate({ taskId: task._id, field: field._id, value })}
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -253,6 +322,14 @@ const WorkspaceTasksPage = () => {
           </div>
         )}
 
+        {selection.selectedIds.length > 0 && (
+          <BulkActionBar
+            tasks={tasks.filter(task => selection.isSelected(task._id))}
+            workspace={workspace}
+            onClear={selection.clear}
+          />
+        )}
+
         {/* Create Task Modal */}
         {showCreateModal && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -293,10 +370,10 @@ const WorkspaceTasksPage = () => {
                     onChange={(e) => setNewTask(prev => ({ ...prev, priority: e.target.value }))}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   >
-                    <option value="low">Low</option>
-                    <option value="medium">Medium</option>
-                    <option value="high">High</option>
-                    <option value="urgent">Urgent</option>
+                    <option value="">Default</option>
+                    {getSelectableOptions(priorities).map((priority) => (
+                      <option key={priority.key} value={priority.key}>{priority.name}</option>
+                    ))}
                   </select>
                 </div>
                 <div className="mb-6">
@@ -1,11 +1,15 @@
 import React from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { Link } from 'react-router-dom';
-import { Plus, Users, Settings, Calendar } from 'lucide-react';
-import { workspaceAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Plus, Users, Settings, Calendar, ArchiveRestore } from 'lucide-react';
+import { workspaceAPI, trashAPI } from '../services/api';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { daysUntilPurge } from '../utils/trash';
 
 const WorkspacesPage = () => {
+  const queryClient = useQueryClient();
+
   const { data: workspaces, isLoading, error } = useQuery(
     'workspaces',
     () => workspaceAPI.getWorkspaces(),
@@ -14,6 +18,29 @@ const WorkspacesPage = () => {
     }
   );
 
+  // Workspaces the user deleted, until the trash is purged
+  const { data: deletedWorkspaces = [] } = useQuery(
+    'deleted-workspaces',
+    () => trashAPI.getDeletedWorkspaces(),
+    {
+      select: (response) => response.data.data
+    }
+  );
+
+  const restoreMutation = useMutation(
+    (workspaceId) => trashAPI.restore('workspace', workspaceId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('workspaces');
+        queryClient.invalidateQueries('deleted-workspaces');
+        toast.success('Workspace restored');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore workspace');
+      },
+    }
+  );
+
   if (isLoading) return <LoadingSpinner />;
 
   if (error) {
@@ -107,6 +134,32 @@ const WorkspacesPage = () => {
             ))}
           </div>
         )}
+
+        {deletedWorkspaces.length > 0 && (
+          <div className="mt-10">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Recently deleted</h2>
+            <div className="bg-white rounded-lg shadow-sm border divide-y">
+              {deletedWorkspaces.map((workspace) => (
+                <div key={workspace._id} className="flex items-center justify-between p-4">
+                  <div>
+                    <p className="font-medium text-gray-900">{workspace.name}</p>
+                    <p className="text-sm text-gray-500">
+                      Deleted {new Date(workspace.trashedAt).toLocaleDateString()}, purged in {daysUntilPurge(workspace.purgeAt)} days
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => restoreMutation.mutate(workspace._id)}
+                    disabled={restoreMutation.isLoading}
+                    className="flex items-center px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <ArchiveRestore className="w-4 h-4 mr-1" />
+                    Restore
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
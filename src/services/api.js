@@ -67,19 +67,142 @@ export const workspaceAPI = {
   deleteWorkspace: (workspaceId) => api.delete(`/workspaces/${workspaceId}`),
   addMember: (workspaceId, memberData) => api.post(`/workspaces/${workspaceId}/members`, memberData),
   removeMember: (workspaceId, userId) => api.delete(`/workspaces/${workspaceId}/members/${userId}`),
+  updateStatuses: (workspaceId, statuses) => api.put(`/workspaces/${workspaceId}/statuses`, { statuses }),
+  updatePriorities: (workspaceId, priorities) => api.put(`/workspaces/${workspaceId}/priorities`, { priorities }),
+};
+
+// Space API
+export const spaceAPI = {
+  getSpaces: (workspaceId) => api.get('/spaces', { params: { workspace: workspaceId } }),
+  getSpace: (spaceId) => api.get(`/spaces/${spaceId}`),
+  createSpace: (spaceData) => api.post('/spaces', spaceData),
+  updateSpace: (spaceId, spaceData) => api.put(`/spaces/${spaceId}`, spaceData),
+  deleteSpace: (spaceId) => api.delete(`/spaces/${spaceId}`),
+  reorderSpaces: (workspaceId, spaceIds) => api.put('/spaces/reorder', { workspace: workspaceId, spaceIds }),
+};
+
+// Folder API
+export const folderAPI = {
+  getFolders: (spaceId) => api.get('/folders', { params: { space: spaceId } }),
+  getFolder: (folderId) => api.get(`/folders/${folderId}`),
+  createFolder: (folderData) => api.post('/folders', folderData),
+  updateFolder: (folderId, folderData) => api.put(`/folders/${folderId}`, folderData),
+  deleteFolder: (folderId) => api.delete(`/folders/${folderId}`),
+  reorderFolders: (spaceId, folderIds) => api.put('/folders/reorder', { space: spaceId, folderIds }),
+};
+
+// List API
+export const listAPI = {
+  getLists: (folderId) => api.get('/lists', { params: { folder: folderId } }),
+  getList: (listId) => api.get(`/lists/${listId}`),
+  createList: (listData) => api.post('/lists', listData),
+  updateList: (listId, listData) => api.put(`/lists/${listId}`, listData),
+  deleteList: (listId) => api.delete(`/lists/${listId}`),
+  reorderLists: (folderId, listIds) => api.put('/lists/reorder', { folder: folderId, listIds }),
+  moveList: (listId, folderId, order) => api.put(`/lists/${listId}/move`, { folder: folderId, order }),
 };
 
 // Task API
 export const taskAPI = {
   getTasks: (filters) => api.get('/tasks', { params: filters }),
+  getSummary: (workspaceId, filters) => api.get('/tasks/summary', { params: { workspaceId, ...filters } }),
+  getGantt: (workspaceId, filters) => api.get('/tasks/gantt', { params: { workspaceId, ...filters } }),
   getTask: (taskId) => api.get(`/tasks/${taskId}`),
   createTask: (taskData) => api.post('/tasks', taskData),
   updateTask: (taskId, taskData) => api.put(`/tasks/${taskId}`, taskData),
+  moveTask: (taskId, moveData) => api.put(`/tasks/${taskId}/move`, moveData),
+  // One operation on many tasks; applies to all of them or to none
+  bulkUpdate: (bulkData) => api.post('/tasks/bulk', bulkData),
+  addDependency: (taskId, dependencyData) => api.post(`/tasks/${taskId}/dependencies`, dependencyData),
+  removeDependency: (taskId, predecessorId) => api.delete(`/tasks/${taskId}/dependencies/${predecessorId}`),
+  getSubtasks: (taskId) => api.get(`/tasks/${taskId}/subtasks`),
+  setParent: (taskId, parentTask) => api.put(`/tasks/${taskId}/parent`, { parentTask }),
   deleteTask: (taskId) => api.delete(`/tasks/${taskId}`),
   addComment: (taskId, commentData) => api.post(`/tasks/${taskId}/comments`, commentData),
   getComments: (taskId) => api.get(`/tasks/${taskId}/comments`),
 };
 
+// Comment API (comments are created and listed through the task API)
+export const commentAPI = {
+  updateComment: (commentId, commentData) => api.put(`/comments/${commentId}`, commentData),
+  deleteComment: (commentId) => api.delete(`/comments/${commentId}`),
+  getHistory: (commentId) => api.get(`/comments/${commentId}/history`),
+  toggleReaction: (commentId, emoji) => api.post(`/comments/${commentId}/reactions`, { emoji }),
+};
+
+// Checklist API; checklists live inside a task
+export const checklistAPI = {
+  createChecklist: (taskId, name) => api.post(`/tasks/${taskId}/checklists`, { name }),
+  updateChecklist: (taskId, checklistId, name) => api.put(`/tasks/${taskId}/checklists/${checklistId}`, { name }),
+  deleteChecklist: (taskId, checklistId) => api.delete(`/tasks/${taskId}/checklists/${checklistId}`),
+  addItem: (taskId, checklistId, text) => api.post(`/tasks/${taskId}/checklists/${checklistId}/items`, { text }),
+  updateItem: (taskId, checklistId, itemId, itemData) => api.put(`/tasks/${taskId}/checklists/${checklistId}/items/${itemId}`, itemData),
+  deleteItem: (taskId, checklistId, itemId) => api.delete(`/tasks/${taskId}/checklists/${checklistId}/items/${itemId}`),
+  convertItem: (taskId, checklistId, itemId) => api.post(`/tasks/${taskId}/checklists/${checklistId}/items/${itemId}/convert`),
+};
+
+// Custom field API; values are set through taskAPI as `customFields: [{ field, value }]`
+export const customFieldAPI = {
+  getFields: (workspaceId, listId) => api.get('/custom-fields', { params: { workspaceId, listId } }),
+  createField: (fieldData) => api.post('/custom-fields', fieldData),
+  updateField: (fieldId, fieldData) => api.put(`/custom-fields/${fieldId}`, fieldData),
+  deleteField: (fieldId) => api.delete(`/custom-fields/${fieldId}`),
+};
+
+// Saved view API; tasks of a view come from taskAPI.getTasks({ view })
+export const viewAPI = {
+  getViews: (workspaceId) => api.get('/views', { params: { workspaceId } }),
+  getView: (viewId) => api.get(`/views/${viewId}`),
+  createView: (viewData) => api.post('/views', viewData),
+  updateView: (viewId, viewData) => api.put(`/views/${viewId}`, viewData),
+  deleteView: (viewId) => api.delete(`/views/${viewId}`),
+};
+
+// Ranked search over tasks, comments, attachment names, spaces, lists and members
+export const searchAPI = {
+  search: (params) => api.get('/search', { params }),
+};
+
+// Activity API: the audit log of a workspace, or of one task with `taskId`
+export const activityAPI = {
+  getActivity: (params) => api.get('/activity', { params }),
+};
+
+// Trash API; `type` is workspace, space, folder, list or task
+export const trashAPI = {
+  getTrash: (workspaceId) => api.get('/trash', { params: { workspaceId } }),
+  getDeletedWorkspaces: () => api.get('/trash/workspaces'),
+  restore: (type, id) => api.post(`/trash/${type}/${id}/restore`),
+  purge: (type, id) => api.delete(`/trash/${type}/${id}`),
+};
+
+// Attachment API; files are sent as multipart forms and come back as blobs
+const uploadConfig = { headers: { 'Content-Type': 'multipart/form-data' }, timeout: 60000 };
+
+const fileForm = (file, fields = {}) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  form.append('file', file);
+  return form;
+};
+
+export const attachmentAPI = {
+  upload: (taskId, file, fields) => api.post(`/tasks/${taskId}/attachments`, fileForm(file, fields), uploadConfig),
+  uploadVersion: (taskId, attachmentId, file) => api.post(`/tasks/${taskId}/attachments/${attachmentId}/versions`, fileForm(file), uploadConfig),
+  download: (taskId, attachmentId, version) => api.get(`/tasks/${taskId}/attachments/${attachmentId}`, { params: { version }, responseType: 'blob' }),
+  getThumbnail: (taskId, attachmentId) => api.get(`/tasks/${taskId}/attachments/${attachmentId}/thumbnail`, { responseType: 'blob' }),
+  deleteAttachment: (taskId, attachmentId) => api.delete(`/tasks/${taskId}/attachments/${attachmentId}`),
+};
+
+// Notification API
+export const notificationAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  markRead: (notificationId, read = true) => api.put(`/notifications/${notificationId}/read`, { read }),
+  markAllRead: () => api.put('/notifications/read-all'),
+  getSettings: () => api.get('/users/notifications'),
+  updateSettings: (settings) => api.put('/users/notifications', settings),
+};
+
 // Time Tracking API
 export const timeAPI = {
   startTimer: (timerData) => api.post('/time/start', timerData),
@@ -101,22 +224,36 @@ export const projectAPI = {
   deleteProject: (projectId) => api.delete(`/projects/${projectId}`),
 };
 
-// Automation API (placeholder)
+// Automation API
 export const automationAPI = {
-  getAutomations: () => api.get('/automations'),
+  getAutomations: (workspaceId) => api.get('/automations', { params: { workspaceId } }),
   getAutomation: (automationId) => api.get(`/automations/${automationId}`),
   createAutomation: (automationData) => api.post('/automations', automationData),
   updateAutomation: (automationId, automationData) => api.put(`/automations/${automationId}`, automationData),
   deleteAutomation: (automationId) => api.delete(`/automations/${automationId}`),
+  getRuns: (automationId, params) => api.get(`/automations/${automationId}/runs`, { params }),
+  dryRun: (automationId, taskId) => api.post(`/automations/${automationId}/dry-run`, { task: taskId }),
 };
 
-// Integration API (placeholder)
+// Integration API
 export const integrationAPI = {
-  getIntegrations: () => api.get('/integrations'),
+  getIntegrations: (workspaceId) => api.get('/integrations', { params: { workspaceId } }),
   connectSlack: (config) => api.post('/integrations/slack', config),
+  testSlack: (integrationId) => api.post(`/integrations/slack/${integrationId}/test`),
+  disconnectSlack: (integrationId) => api.delete(`/integrations/slack/${integrationId}`),
   connectGoogleDrive: (config) => api.post('/integrations/google-drive', config),
   connectGitHub: (config) => api.post('/integrations/github', config),
+  rotateGitHubSecret: (integrationId) => api.post(`/integrations/github/${integrationId}/secret`),
+  disconnectGitHub: (integrationId) => api.delete(`/integrations/github/${integrationId}`),
+  getGitHubLinks: (taskId) => api.get('/integrations/github/links', { params: { taskId } }),
   getGoogleOAuth: () => api.get('/integrations/oauth/google'),
+  getWebhooks: (workspaceId) => api.get('/integrations/webhooks', { params: { workspaceId } }),
+  createWebhook: (webhookData) => api.post('/integrations/webhooks', webhookData),
+  updateWebhook: (webhookId, webhookData) => api.put(`/integrations/webhooks/${webhookId}`, webhookData),
+  rotateWebhookSecret: (webhookId) => api.post(`/integrations/webhooks/${webhookId}/secret`),
+  deleteWebhook: (webhookId) => api.delete(`/integrations/webhooks/${webhookId}`),
+  getDeliveries: (webhookId, params) => api.get(`/integrations/webhooks/${webhookId}/deliveries`, { params }),
+  redeliver: (webhookId, deliveryId) => api.post(`/integrations/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`),
 };
 
 // Invitation API
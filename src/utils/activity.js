@@ -0,0 +1,106 @@
+// Wording for entries of the task activity log. References to members, lists
+// and tasks come as { _id, name } snapshots taken when the change was made.
+import { getStatuses, getPriorities, findOption } from './workflow';
+import { formatFieldValue } from './customFields';
+
+const FIELD_LABELS = {
+  title: 'the title',
+  status: 'status',
+  priority: 'priority',
+  dueDate: 'the due date',
+  startDate: 'the start date',
+  estimatedTime: 'the time estimate',
+  list: 'the list',
+  parentTask: 'the parent task'
+};
+
+// Words for the members, tags and dependencies added to or removed from a task
+const LIST_VERBS = {
+  assignees: ['assigned', 'unassigned'],
+  tags: ['added the tag', 'removed the tag'],
+  dependencies: ['made this wait on', 'removed the dependency on']
+};
+
+export const SOURCE_LABELS = {
+  automation: 'via automation',
+  github: 'via GitHub',
+  slack: 'via Slack',
+  dependency: 'after a dependency moved',
+  recurrence: 'from a recurring task'
+};
+
+const nameOf = (reference) => reference?.name || 'a deleted item';
+
+const keyOf = (item) => item?._id ?? item;
+
+const labelOf = (item) => (typeof item === 'string' ? `#${item}` : nameOf(item));
+
+const formatValue = (activity, value, { workspace, customFields = [] }) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (activity.field) {
+    case 'status':
+      return findOption(getStatuses(workspace), value)?.name || value;
+    case 'priority':
+      return findOption(getPriorities(workspace), value)?.name || value;
+    case 'dueDate':
+    case 'startDate':
+      return new Date(value).toLocaleDateString();
+    case 'estimatedTime':
+      return `${value} min`;
+    case 'list':
+    case 'parentTask':
+      return nameOf(value);
+    case 'customFields': {
+      const field = customFields.find(item => item._id === activity.customField);
+      return (field ? formatFieldValue(field, value, workspace?.members) : [].concat(value).join(', ')) || null;
+    }
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * What an activity entry did, to follow the name of whoever did it, e.g.
+ * "changed status from To Do to Done". `context` holds the workspace and
+ * its custom fields.
+ */
+export const describeActivity = (activity, context = {}) => {
+  if (activity.action === 'created') return 'created this task';
+  if (activity.action === 'deleted') return 'deleted this task';
+  if (activity.action === 'restored') return 'restored this task from the trash';
+
+  const { field } = activity;
+  if (LIST_VERBS[field]) {
+    const [addVerb, removeVerb] = LIST_VERBS[field];
+    const before = new Set((activity.from || []).map(keyOf));
+    const after = new Set((activity.to || []).map(keyOf));
+    const added = (activity.to || []).filter(item => !before.has(keyOf(item)));
+    const removed = (activity.from || []).filter(item => !after.has(keyOf(item)));
+    return [
+      added.length > 0 && `${addVerb} ${added.map(labelOf).join(', ')}`,
+      removed.length > 0 && `${removeVerb} ${removed.map(labelOf).join(', ')}`
+    ].filter(Boolean).join(' and ') || `changed ${field}`;
+  }
+  if (field === 'description') return 'updated the description';
+  if (field === 'recurrence') {
+    if (!activity.from) return 'made this task repeat';
+    if (!activity.to) return 'stopped repeating this task';
+    return 'changed the repeat schedule';
+  }
+
+  const label = field === 'customFields' ? activity.label || 'a deleted field' : FIELD_LABELS[field];
+  const from = formatValue(activity, activity.from, context);
+  const to = formatValue(activity, activity.to, context);
+  if (from === null) return `set ${label} to ${to}`;
+  if (to === null) return `cleared ${label} (was ${from})`;
+  return `changed ${label} from ${from} to ${to}`;
+};
+
+/**
+ * Comment threads and activity entries in one list, oldest first
+ */
+export const mergeTimeline = (threads, activities = []) => [
+  ...threads.map(thread => ({ type: 'comment', key: thread.root._id, createdAt: thread.root.createdAt, thread })),
+  ...activities.map(activity => ({ type: 'activity', key: activity._id, createdAt: activity.createdAt, activity }))
+].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
@@ -0,0 +1,54 @@
+// Helpers for custom fields and the `customFields: [{ field, value }]` values
+// of tasks (see backend/services/customFieldService.js)
+
+export const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'date', label: 'Date' },
+  { value: 'dropdown', label: 'Dropdown' },
+  { value: 'labels', label: 'Labels' },
+  { value: 'checkbox', label: 'Checkbox' },
+  { value: 'url', label: 'URL' },
+  { value: 'person', label: 'Person' },
+  { value: 'formula', label: 'Formula' },
+];
+
+export const OPTION_TYPES = ['dropdown', 'labels'];
+
+const idOf = (value) => (value && typeof value === 'object' ? value._id : value);
+
+// Whether a field applies to a task: workspace fields always, list fields in their list
+export const appliesToTask = (field, task) => !field.list || idOf(field.list) === idOf(task?.list);
+
+// Stored or calculated value of a task for a field, or null
+export const getFieldValue = (task, field) =>
+  task?.customFields?.find(entry => idOf(entry.field) === field._id)?.value ?? null;
+
+// A value as read-only text
+export const formatFieldValue = (field, value, members = []) => {
+  if (value === null || value === undefined) return '';
+
+  switch (field.type) {
+    case 'currency':
+      try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: field.currency || 'USD' }).format(value);
+      } catch {
+        return `${value} ${field.currency}`;
+      }
+    case 'date':
+      return new Date(value).toLocaleDateString();
+    case 'checkbox':
+      return value ? 'Yes' : 'No';
+    case 'dropdown':
+    case 'labels':
+      return [].concat(value)
+        .map(id => field.options.find(option => option._id === id)?.name)
+        .filter(Boolean)
+        .join(', ');
+    case 'person':
+      return members.find(member => member.user?._id === value)?.user.name || '';
+    default:
+      return String(value);
+  }
+};
@@ -0,0 +1,6 @@
+// Page a notification points to: its task, else its workspace
+export const getNotificationLink = (notification) => {
+  const workspaceId = notification.workspace?._id;
+  if (!workspaceId) return null;
+  return notification.task ? `/workspace/${workspaceId}/task/${notification.task._id}` : `/workspace/${workspaceId}`;
+};
@@ -0,0 +1,5 @@
+// "Ann", "Ann and Bob", "Ann, Bob and Cy"
+export const joinNames = (viewers) => {
+  const names = viewers.map(viewer => viewer.user.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+};
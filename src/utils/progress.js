@@ -0,0 +1,14 @@
+// Helpers for the `progress` the API adds to tasks: percent complete plus
+// subtask, checklist and time totals (see backend/services/progressService.js)
+
+// Whether a task has anything to count towards its progress
+export const hasProgress = (progress) =>
+  Boolean(progress && progress.subtasks.total + progress.checklist.total > 0);
+
+// Minutes as "1h 30m"
+export const formatMinutes = (minutes = 0) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
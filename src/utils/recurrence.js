@@ -0,0 +1,102 @@
+// Helpers for recurring tasks. Rules follow the backend's recurrenceContract:
+// weekdays are RRULE codes and dates follow the rule's time zone, which is
+// the browser's for rules set up here.
+
+export const WEEKDAYS = [
+  { key: 'MO', label: 'Mon', name: 'Monday' },
+  { key: 'TU', label: 'Tue', name: 'Tuesday' },
+  { key: 'WE', label: 'Wed', name: 'Wednesday' },
+  { key: 'TH', label: 'Thu', name: 'Thursday' },
+  { key: 'FR', label: 'Fri', name: 'Friday' },
+  { key: 'SA', label: 'Sat', name: 'Saturday' },
+  { key: 'SU', label: 'Sun', name: 'Sunday' },
+];
+
+export const WEEKDAY_POSITIONS = [
+  { value: 1, label: 'first' },
+  { value: 2, label: 'second' },
+  { value: 3, label: 'third' },
+  { value: 4, label: 'fourth' },
+  { value: -1, label: 'last' },
+];
+
+export const RECURRENCE_MODES = [
+  { value: 'on-completion', label: 'When the task is completed' },
+  { value: 'on-schedule', label: 'On schedule, done or not' },
+];
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const weekdayOf = (date) => WEEKDAYS[(date.getDay() + 6) % 7];
+
+const ordinal = (number) => {
+  const suffix = number % 100 >= 11 && number % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+  return `${number}${suffix}`;
+};
+
+/**
+ * Editor values for the recurrence of a task; a task without one starts as
+ * weekly on the weekday it is due
+ */
+export const toRecurrenceForm = (task) => {
+  const recurrence = task.recurrence || {};
+  const due = new Date(task.dueDate);
+  const position = Math.ceil(due.getDate() / 7);
+
+  return {
+    frequency: recurrence.frequency || 'weekly',
+    interval: recurrence.interval || 1,
+    weekdays: recurrence.frequency === 'weekly' ? recurrence.weekdays : [weekdayOf(due).key],
+    monthlyBy: recurrence.weekdayPosition ? 'weekday' : 'date',
+    monthDay: recurrence.monthDay || due.getDate(),
+    weekdayPosition: recurrence.weekdayPosition || (position > 4 ? -1 : position),
+    monthWeekday: recurrence.weekdayPosition ? recurrence.weekdays[0] : weekdayOf(due).key,
+    mode: recurrence.mode || 'on-completion',
+    copyChecklists: recurrence.copyChecklists ?? true,
+    copySubtasks: recurrence.copySubtasks ?? false,
+    until: recurrence.until || '',
+    timezone: recurrence.timezone || getBrowserTimeZone(),
+  };
+};
+
+// The `recurrence` to send for editor values
+export const fromRecurrenceForm = (form) => ({
+  frequency: form.frequency,
+  interval: Number(form.interval) || 1,
+  mode: form.mode,
+  copyChecklists: form.copyChecklists,
+  copySubtasks: form.copySubtasks,
+  until: form.until || null,
+  timezone: form.timezone,
+  ...(form.frequency === 'weekly' && { weekdays: form.weekdays }),
+  ...(form.frequency === 'monthly' && (form.monthlyBy === 'weekday'
+    ? { weekdayPosition: Number(form.weekdayPosition), weekdays: [form.monthWeekday] }
+    : { monthDay: Number(form.monthDay) })),
+});
+
+/**
+ * A recurrence in words, e.g. "Every 2 weeks on Mon, Thu"
+ */
+export const describeRecurrence = (recurrence) => {
+  const unit = UNITS[recurrence.frequency];
+  const every = recurrence.interval > 1 ? `Every ${recurrence.interval} ${unit}s` : `Every ${unit}`;
+  const weekdays = (recurrence.weekdays || []).map(key => WEEKDAYS.find(weekday => weekday.key === key));
+
+  let on = '';
+  if (recurrence.frequency === 'weekly') {
+    on = ` on ${weekdays.map(weekday => weekday.label).join(', ')}`;
+  } else if (recurrence.frequency === 'monthly' && recurrence.weekdayPosition) {
+    const position = WEEKDAY_POSITIONS.find(item => item.value === recurrence.weekdayPosition);
+    on = ` on the ${position.label} ${weekdays[0].name}`;
+  } else if (recurrence.frequency === 'monthly') {
+    on = ` on the ${ordinal(recurrence.monthDay)}`;
+  }
+
+  // `until` is a calendar day, so it is shown without a time zone shift
+  const until = recurrence.until
+    ? `, until ${new Date(`${recurrence.until}T00:00:00`).toLocaleDateString()}`
+    : '';
+  return `${every}${on}${until}`;
+};
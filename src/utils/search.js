@@ -0,0 +1,20 @@
+// Page a search result opens: its task, the team for members, else its workspace
+export const getSearchResultLink = (result) => {
+  if (result.type === 'member') return '/team';
+  if (result.type === 'task') return `/workspace/${result.workspace}/task/${result.id}`;
+  if (result.task) return `/workspace/${result.workspace}/task/${result.task._id}`;
+  return `/workspace/${result.workspace}`;
+};
+
+// Split a text into `{ text, match }` parts at the highlighted `[start, end]` ranges
+export const splitHighlights = (text = '', ranges = []) => {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push({ text: text.slice(position, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position), match: false });
+  return parts;
+};
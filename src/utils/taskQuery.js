@@ -0,0 +1,117 @@
+// Fields, operators and values of the task query language used by saved views
+// (see backend/utils/taskQueryContract.js)
+
+export const FILTER_FIELDS = [
+  { value: 'status', label: 'Status', kind: 'key' },
+  { value: 'priority', label: 'Priority', kind: 'key' },
+  { value: 'statusCategory', label: 'Open or done', kind: 'category' },
+  { value: 'assignee', label: 'Assignee', kind: 'multi' },
+  { value: 'tags', label: 'Tags', kind: 'multi' },
+  { value: 'list', label: 'List', kind: 'key' },
+  { value: 'title', label: 'Title', kind: 'text' },
+  { value: 'description', label: 'Description', kind: 'text' },
+  { value: 'dueDate', label: 'Due date', kind: 'date' },
+  { value: 'startDate', label: 'Start date', kind: 'date' },
+  { value: 'createdAt', label: 'Created', kind: 'date' },
+  { value: 'updatedAt', label: 'Updated', kind: 'date' },
+  { value: 'estimatedTime', label: 'Estimate (minutes)', kind: 'number' },
+];
+
+export const OPERATORS = {
+  key: [['in', 'is any of'], ['nin', 'is none of']],
+  multi: [['in', 'has any of'], ['all', 'has all of'], ['nin', 'has none of'], ['set', 'is set']],
+  category: [['eq', 'is']],
+  text: [['contains', 'contains'], ['set', 'is set']],
+  date: [['within', 'is within'], ['eq', 'is on'], ['lt', 'is before'], ['gt', 'is after'], ['set', 'is set']],
+  number: [['eq', '='], ['gt', '>'], ['gte', '≥'], ['lt', '<'], ['lte', '≤'], ['set', 'is set']],
+};
+
+// Operators of custom fields by their type
+export const CUSTOM_OPERATORS = {
+  text: [['eq', 'contains'], ['set', 'is set']],
+  url: [['eq', 'contains'], ['set', 'is set']],
+  number: OPERATORS.number,
+  currency: OPERATORS.number,
+  formula: OPERATORS.number,
+  date: OPERATORS.date,
+  dropdown: [['eq', 'is'], ['set', 'is set']],
+  labels: [['eq', 'has'], ['set', 'is set']],
+  person: [['eq', 'is'], ['set', 'is set']],
+  checkbox: [['eq', 'is']],
+};
+
+export const RELATIVE_DATES = [
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'tomorrow', label: 'Tomorrow' },
+  { value: 'this-week', label: 'This week' },
+  { value: 'last-week', label: 'Last week' },
+  { value: 'next-week', label: 'Next week' },
+  { value: 'last-7-days', label: 'Last 7 days' },
+  { value: 'next-7-days', label: 'Next 7 days' },
+  { value: 'this-month', label: 'This month' },
+  { value: 'last-month', label: 'Last month' },
+  { value: 'next-month', label: 'Next month' },
+];
+
+export const SORT_FIELDS = [
+  { value: 'title', label: 'Title' },
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'startDate', label: 'Start date' },
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Updated' },
+  { value: 'estimatedTime', label: 'Estimate' },
+];
+
+export const GROUP_BY_FIELDS = [
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'list', label: 'List' },
+  { value: 'tags', label: 'Tags' },
+];
+
+export const isGroup = (node) => Boolean(node && (node.and || node.or));
+
+// Operators a condition's field allows
+export const getOperators = (field, customFields = []) => {
+  if (field?.startsWith('cf.')) {
+    const customField = customFields.find(item => `cf.${item._id}` === field);
+    return CUSTOM_OPERATORS[customField?.type] || [];
+  }
+  const kind = FILTER_FIELDS.find(item => item.value === field)?.kind;
+  return OPERATORS[kind] || [];
+};
+
+// Sort keys of `priority:desc,dueDate` as [{ field, direction }], and back
+export const parseSort = (sort = '') => sort.split(',').filter(Boolean).map(part => {
+  const [field, direction = 'asc'] = part.split(':');
+  return { field, direction };
+});
+
+export const formatSort = (keys) => keys
+  .filter(key => key.field)
+  .map(({ field, direction }) => `${field}:${direction}`)
+  .join(',');
+
+const isEmptyValue = (value) => value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Drop conditions without a value and groups left empty; null when nothing is left
+export const cleanFilter = (node) => {
+  if (!node) return null;
+  if (isGroup(node)) {
+    const key = node.and ? 'and' : 'or';
+    const children = node[key].map(cleanFilter).filter(Boolean);
+    return children.length > 0 ? { [key]: children } : null;
+  }
+  return node.field && node.op && !isEmptyValue(node.value) ? node : null;
+};
+
+// Saved filters are edited as a group, even a single condition
+export const toGroup = (filter) => {
+  if (!filter) return { and: [] };
+  return isGroup(filter) ? filter : { and: [filter] };
+};
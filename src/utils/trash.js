@@ -0,0 +1,16 @@
+// Helpers for the trash of a workspace (see backend/services/trashService.js)
+
+export const TRASH_TYPE_LABELS = {
+  workspace: 'Workspace',
+  space: 'Space',
+  folder: 'Folder',
+  list: 'List',
+  task: 'Task'
+};
+
+// Whole days left until an item of the trash is purged, never below zero
+export const daysUntilPurge = (purgeAt, now = new Date()) =>
+  Math.max(0, Math.ceil((new Date(purgeAt) - now) / (24 * 60 * 60 * 1000)));
+
+// "3 items" that went to the trash along with an item
+export const formatContents = (count) => (count === 1 ? '1 item' : `${count} items`);
@@ -0,0 +1,18 @@
+// Helpers for the statuses and priorities a workspace defines in its settings.
+// Tasks store the option `key`; names and colors come from the workspace.
+
+export const getStatuses = (workspace) => workspace?.settings?.taskStatuses || [];
+
+export const getPriorities = (workspace) => workspace?.settings?.taskPriorities || [];
+
+// Options a task can be moved to; keeps the current one even when archived
+export const getSelectableOptions = (options, currentKey) =>
+  options.filter((option) => !option.archived || option.key === currentKey);
+
+export const findOption = (options, key) => options.find((option) => option.key === key);
+
+// Tinted background in the option's own color
+export const getBadgeStyle = (color = '#6B7280') => ({
+  backgroundColor: `${color}1A`,
+  color,
+});
@@ -0,0 +1,13 @@
+import { defineWorkspace } from 'vitest/config';
+
+export default defineWorkspace([
+  './vitest.config.js',
+  {
+    test: {
+      name: 'backend',
+      root: './backend',
+      environment: 'node',
+      testTimeout: 20000,
+    },
+  },
+]);